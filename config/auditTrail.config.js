@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Registers the audit trail plugin on every Mongoose schema
+ *
+ * Mongoose applies global plugins only to models compiled after registration,
+ * so server.js imports this before anything that imports a schema.
+ *
+ * @module config/auditTrail
+ */
+
+import mongoose from "mongoose";
+import { auditTrailPlugin } from "../utils/auditTrail.util.js";
+
+mongoose.plugin(auditTrailPlugin);
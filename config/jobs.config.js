@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Background jobs run by the job scheduler
+ *
+ * Schedules are server local time. A job's schedule and retry settings are
+ * refreshed from here on every boot; pausing and manual runs are done from
+ * the admin panel (/api/web/scheduled-jobs).
+ *
+ * @module config/jobs
+ */
+
+import { defineJob } from "../services/jobScheduler.service.js";
+import { syncCalendlyBookings } from "../services/calendlySync.service.js";
+import { runReminderPass } from "../services/challengeReminder.service.js";
+import { runWaitlistSweep } from "../services/waitlist.service.js";
+import { runTierHoldSweep } from "../services/ticketTier.service.js";
+import { runCouponHoldSweep } from "../services/couponHold.service.js";
+import { runGiftSweep } from "../services/gift.service.js";
+import { purgeExpiredAuditLogs } from "../services/audit.service.js";
+import { cleanupDeletedUsers } from "../scripts/cleanupDeletedUsers.js";
+import { runCashTicketAudit } from "../scripts/cashTicketAudit.js";
+import { processOutboundQueue } from "../services/outboundQueue.service.js";
+// Loaded for their outbound queue transports (WhatsApp, email, push)
+import "../utils/whatsapp.util.js";
+import "../utils/email.util.js";
+import "../utils/fcm.util.js";
+
+let registered = false;
+
+/**
+ * Define every job. Call once, before startJobScheduler().
+ */
+export const registerJobs = () => {
+  if (registered) return;
+  registered = true;
+
+  defineJob({
+    name: "outbound-queue",
+    description: "Retry failed WhatsApp messages, emails and push notifications and send rate-limited ones",
+    intervalSeconds: 30,
+    handler: processOutboundQueue,
+    timeoutSeconds: 10 * 60,
+  });
+
+  defineJob({
+    name: "calendly-sync",
+    description: "Match paid session bookings to the slots booked on Calendly",
+    intervalSeconds: 5 * 60,
+    handler: syncCalendlyBookings,
+    maxAttempts: 2,
+    backoffSeconds: 60,
+    runOnCreate: true,
+  });
+
+  defineJob({
+    name: "challenge-reminders",
+    description: "Push a reminder to users who have not finished today's challenge tasks",
+    cron: "0 12,18 * * *",
+    handler: runReminderPass,
+    maxAttempts: 3,
+    backoffSeconds: 5 * 60,
+  });
+
+  defineJob({
+    name: "waitlist-sweep",
+    description: "Expire unpaid waitlist holds and promote the queue",
+    intervalSeconds: 60,
+    handler: runWaitlistSweep,
+    timeoutSeconds: 5 * 60,
+  });
+
+  defineJob({
+    name: "tier-hold-sweep",
+    description: "Give tier tickets held by unpaid orders back to their pricing tier",
+    intervalSeconds: 60,
+    handler: runTierHoldSweep,
+    timeoutSeconds: 5 * 60,
+  });
+
+  defineJob({
+    name: "coupon-hold-sweep",
+    description: "Give coupon uses held by unpaid orders back to their coupon",
+    intervalSeconds: 60,
+    handler: runCouponHoldSweep,
+    timeoutSeconds: 5 * 60,
+  });
+
+  defineJob({
+    name: "gift-sweep",
+    description: "Send gifts whose delivery date has come and expire unclaimed ones",
+    intervalSeconds: 60,
+    handler: runGiftSweep,
+    timeoutSeconds: 5 * 60,
+  });
+
+  defineJob({
+    name: "audit-log-retention",
+    description: "Delete audit log entries older than AUDIT_LOG_RETENTION_DAYS",
+    cron: "30 3 * * *",
+    handler: async () => ({ deleted: await purgeExpiredAuditLogs() }),
+    maxAttempts: 3,
+    backoffSeconds: 10 * 60,
+    timeoutSeconds: 60 * 60,
+  });
+
+  defineJob({
+    name: "deleted-users-cleanup",
+    description: "Permanently delete users soft-deleted more than 30 days ago",
+    cron: "0 4 * * *",
+    handler: cleanupDeletedUsers,
+    maxAttempts: 3,
+    backoffSeconds: 10 * 60,
+    timeoutSeconds: 60 * 60,
+    runOnCreate: true,
+  });
+
+  defineJob({
+    name: "cash-ticket-audit",
+    description: "Compare offline cash records with cash enrollments and write the report",
+    cron: "0 5 * * *",
+    handler: async () => {
+      const report = await runCashTicketAudit();
+      return { ...report.summary, issues: report.issues.length };
+    },
+    runOnCreate: true,
+  });
+};
+
+export default { registerJobs };
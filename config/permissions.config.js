@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Admin permission catalogue and default role templates
+ *
+ * Every admin route is guarded by one of these permissions (see
+ * routes/admin.routes.js, the admin user routes in src/Auth/user.auth.route.js
+ * and middleware/permission.middleware.js). An admin's
+ * effective permissions are their role template plus any extra grants in
+ * `Admin.access`. SUPER_ADMIN always holds every permission and has no
+ * template, so nobody can lock the owners out of the panel.
+ *
+ * The defaults below keep ADMIN where it was before permissions existed:
+ * everything except what used to be Super Admin only. MANAGEMENT_STAFF is cut
+ * down to running events on the door. Templates can be edited from the panel;
+ * these are the fallback when no edited template is stored.
+ *
+ * @module config/permissions
+ */
+
+/**
+ * Catalogue, grouped for the admin panel. Keys are `<area>:<action>`.
+ */
+export const PERMISSION_GROUPS = [
+  {
+    group: 'Admin accounts',
+    permissions: {
+      'admins:read': 'View admin accounts and their permissions',
+      'admins:write': 'Create and edit admin accounts, their grants and allowed events',
+      'admins:delete': 'Delete admin accounts',
+      'roles:write': 'Edit role templates'
+    }
+  },
+  {
+    group: 'App users',
+    permissions: {
+      'users:read': 'View app users',
+      'users:write': 'Edit, soft delete and restore app users',
+      'users:delete': 'Permanently delete app users'
+    }
+  },
+  {
+    group: 'Events',
+    permissions: {
+      'events:read': 'View events, seating and waitlists',
+      'events:write': 'Create, edit, soft delete and restore events; manage seating and waitlists',
+      'events:delete': 'Permanently delete events'
+    }
+  },
+  {
+    group: 'Coupons and vouchers',
+    permissions: {
+      'coupons:read': 'View coupons',
+      'coupons:write': 'Create, edit, soft delete and restore coupons',
+      'coupons:delete': 'Permanently delete coupons',
+      'vouchers:read': 'View vouchers',
+      'vouchers:write': 'Create, edit, soft delete and restore vouchers',
+      'vouchers:delete': 'Permanently delete vouchers'
+    }
+  },
+  {
+    group: 'Payments',
+    permissions: {
+      'payments:read': 'View payments, invoices and gateway events',
+      'payments:write': 'Issue missing invoices and replay gateway events',
+      'payments:refund': 'Refund payments'
+    }
+  },
+  {
+    group: 'Enrollments and tickets',
+    permissions: {
+      'enrollments:read': 'View enrollments',
+      'enrollments:write': 'Create and change enrollments',
+      'tickets:read': 'View tickets',
+      'tickets:write': 'Scan, reshare and reissue tickets'
+    }
+  },
+  {
+    group: 'Cash',
+    permissions: {
+      'cash:read': 'View cash orders and offline cash records',
+      'cash:write': 'Manage cash partners and delete offline cash records',
+      'cash:mint': 'Issue tickets against cash collected outside the gateway'
+    }
+  },
+  {
+    group: 'Sessions',
+    permissions: {
+      'sessions:read': 'View sessions and bookings',
+      'sessions:write': 'Manage sessions, bookings and the Calendly sync',
+      'sessions:delete': 'Permanently delete sessions and disconnect Calendly'
+    }
+  },
+  {
+    group: 'Memberships and services',
+    permissions: {
+      'memberships:read': 'View membership plans, memberships and membership requests',
+      'memberships:write': 'Manage membership plans, memberships and membership requests',
+      'services:read': 'View services, service orders, requests and subscriptions',
+      'services:write': 'Manage services, service orders, requests and subscriptions',
+      'features:read': 'View feature access, pricing and requests',
+      'features:write': 'Manage feature access, pricing and requests'
+    }
+  },
+  {
+    group: 'Community and content',
+    permissions: {
+      'clubs:read': 'View clubs, club posts and join requests',
+      'clubs:write': 'Manage clubs, club posts and join requests',
+      'content:read': 'View stories, posts, jobs, recommendations and assets',
+      'content:write': 'Manage stories, posts, jobs, recommendations and assets',
+      'moderation:read': 'View reported content and the moderation queue',
+      'moderation:write': 'Hide and delete reported content, warn and suspend users',
+      'engagement:read': 'View SOS programs, quizzes, challenges and polls',
+      'engagement:write': 'Manage SOS programs, quizzes, challenges and polls'
+    }
+  },
+  {
+    group: 'Requests and referrals',
+    permissions: {
+      'submissions:read': 'View Motivata Blend, Round Table and event requests',
+      'submissions:write': 'Approve and reject Motivata Blend, Round Table and event requests',
+      'referrals:read': 'View colleges and referral codes',
+      'referrals:write': 'Manage colleges and referral codes'
+    }
+  },
+  {
+    group: 'Platform',
+    permissions: {
+      'analytics:read': 'View dashboards and communication logs',
+      'communications:retry': 'Retry failed WhatsApp messages, emails and push notifications',
+      'settings:read': 'View app settings',
+      'settings:write': 'Change app settings',
+      'audit:read': 'View the admin audit log',
+      'jobs:read': 'View background jobs and their run history',
+      'jobs:manage': 'Pause, resume and run background jobs'
+    }
+  }
+];
+
+/**
+ * Every permission key in the catalogue
+ */
+export const PERMISSIONS = PERMISSION_GROUPS.flatMap(({ permissions }) => Object.keys(permissions));
+
+/**
+ * Roles that have an editable template (SUPER_ADMIN holds everything)
+ */
+export const TEMPLATE_ROLES = ['ADMIN', 'MANAGEMENT_STAFF'];
+
+/**
+ * Permissions that used to be Super Admin only
+ */
+const SUPER_ADMIN_ONLY = [
+  'admins:read',
+  'admins:write',
+  'admins:delete',
+  'roles:write',
+  'events:delete',
+  'coupons:delete',
+  'vouchers:delete',
+  'payments:refund',
+  'sessions:delete',
+  'audit:read',
+  'jobs:read',
+  'jobs:manage'
+];
+
+/**
+ * Built-in role templates
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: PERMISSIONS.filter((permission) => !SUPER_ADMIN_ONLY.includes(permission)),
+  MANAGEMENT_STAFF: [
+    'events:read',
+    'enrollments:read',
+    'tickets:read',
+    'tickets:write',
+    'cash:read',
+    'cash:mint'
+  ]
+};
+
+export default {
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  TEMPLATE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Admin audit log middleware
+ *
+ * Mounted at the top of the admin and app routers. Every non-GET request
+ * made with an admin token is logged once the response finishes: who, which
+ * route, what it targeted, the before/after diff of every document it wrote,
+ * status, IP and user agent. Refused requests (401/403/4xx) are logged too —
+ * an attempt is as interesting as a success.
+ *
+ * @module middleware/audit
+ */
+
+import { verifyAccessToken } from '../utils/jwt.util.js';
+import { runWithAuditContext, sanitizeForAudit } from '../utils/auditTrail.util.js';
+import { writeAuditLog } from '../services/audit.service.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Admin identity from the bearer token, if any. Runs before the routers'
+ * own `authenticate`, so it reads the token itself.
+ * @param {Object} req - Express request object
+ * @returns {Object|null}
+ */
+const getAdminFromToken = (req) => {
+  if (req.user?.userType === 'admin') {
+    return req.user;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const decoded = verifyAccessToken(authHeader.substring(7));
+  return decoded?.userType === 'admin' ? decoded : null;
+};
+
+/**
+ * Route pattern of the handler that answered, e.g. '/api/web/events/:id'
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const getRoutePattern = (req) => {
+  if (req.route?.path && typeof req.route.path === 'string') {
+    return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/';
+  }
+  return req.originalUrl.split('?')[0];
+};
+
+/**
+ * Target from the route parameters when nothing was written
+ * (e.g. a refused request): the entity named by the path, with its ID.
+ * @param {string} path - Request path
+ * @param {Object} params - Route parameters
+ * @returns {Object|null}
+ */
+const getTargetFromParams = (path, params = {}) => {
+  const [paramName, id] = Object.entries(params).find(([name]) => name === 'id' || name.endsWith('Id')) || [];
+  if (!id) {
+    return null;
+  }
+
+  const type = paramName === 'id'
+    ? path.split('/').filter(Boolean).find((segment, index, segments) => segments[index + 1] === id) || null
+    : paramName.slice(0, -2);
+
+  return { type: type || 'unknown', id: String(id) };
+};
+
+/**
+ * Log every mutating admin request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const auditAdminRequest = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const admin = getAdminFromToken(req);
+  if (!admin) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  const context = { changes: [], truncated: false };
+
+  res.on('finish', () => {
+    const path = req.originalUrl.split('?')[0];
+    const params = req.params || {};
+
+    const entities = [];
+    for (const change of context.changes) {
+      const ref = { type: change.model, id: change.documentId };
+      if (!entities.some((entity) => entity.type === ref.type && entity.id === ref.id)) {
+        entities.push(ref);
+      }
+    }
+
+    const paramTarget = getTargetFromParams(path, params);
+    if (paramTarget && !entities.some((entity) => entity.id === paramTarget.id)) {
+      entities.push(paramTarget);
+    }
+
+    writeAuditLog({
+      actor: { adminId: admin.id, username: admin.username || null, role: admin.role || null },
+      action: `${req.method} ${getRoutePattern(req)}`,
+      method: req.method,
+      path,
+      target: entities[0] || null,
+      entities,
+      changes: context.changes,
+      changesTruncated: context.truncated,
+      params: sanitizeForAudit(params),
+      query: sanitizeForAudit(req.query || {}),
+      body: sanitizeForAudit(req.body || {}),
+      statusCode: res.statusCode,
+      outcome: res.statusCode < 400 ? 'SUCCESS' : 'FAILED',
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  return runWithAuditContext(context, next);
+};
+
+export default {
+  auditAdminRequest
+};
@@ -5,6 +5,7 @@
 
 import { verifyAccessToken } from '../utils/jwt.util.js';
 import responseUtil from '../utils/response.util.js';
+import { loadPermissions } from './permission.middleware.js';
 
 /**
  * Authenticates JWT token from request header
@@ -92,8 +93,11 @@ export const isSuperAdmin = async (req, res, next) => {
 };
 
 /**
- * Checks if authenticated user has specific access permissions
- * @param {string[]} requiredAccess - Array of required access permissions
+ * Checks if authenticated user has at least one of the given permissions
+ * Reads effective permissions (role template plus grants), not the token's
+ * `access` claim, which goes stale until the token expires. To require all
+ * of several permissions use requirePermission from permission.middleware.
+ * @param {string[]} requiredAccess - Array of permissions, any of which suffices
  * @returns {Function} Middleware function
  */
 export const hasAccess = (requiredAccess) => {
@@ -103,13 +107,13 @@ export const hasAccess = (requiredAccess) => {
         return responseUtil.unauthorized(res, 'User not authenticated');
       }
 
-      // Super admin has all access
-      if (req.user.userType === 'admin' && req.user.role === 'SUPER_ADMIN') {
-        return next();
+      if (req.user.userType !== 'admin') {
+        return responseUtil.forbidden(res, 'Admin access required');
       }
 
-      // Check if user has required access
-      const userAccess = req.user.access || [];
+      // Super admin holds every permission
+      const effective = await loadPermissions(req);
+      const userAccess = effective?.permissions || [];
       const hasRequiredAccess = requiredAccess.some(access => userAccess.includes(access));
 
       if (!hasRequiredAccess) {
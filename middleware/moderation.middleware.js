@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Moderation middleware - keeps suspended users from posting,
+ * commenting, liking and following.
+ * @module middleware/moderation
+ */
+
+import responseUtil from "../utils/response.util.js";
+import { getActiveSuspension } from "../services/moderation.service.js";
+
+/**
+ * Reject the request if the user is currently suspended. Admins always pass.
+ * Must run after `authenticate`.
+ * @param {Object} req - Express request (expects req.user from authenticate)
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+export const rejectSuspended = async (req, res, next) => {
+  try {
+    if (req.user?.userType === "admin") {
+      return next();
+    }
+
+    const suspension = await getActiveSuspension(req.user.id);
+    if (!suspension) {
+      return next();
+    }
+
+    return responseUtil.forbidden(
+      res,
+      `Your account is suspended until ${suspension.suspendedUntil.toISOString()} for going against our community guidelines.`,
+      { code: "ACCOUNT_SUSPENDED", ...suspension }
+    );
+  } catch (error) {
+    console.error("rejectSuspended error:", error);
+    return responseUtil.internalError(res, "Suspension check failed", error.message);
+  }
+};
+
+export default { rejectSuspended };
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Admin permission checks
+ *
+ * Two guards over the catalogue in config/permissions.config.js:
+ *   - `requireAreaPermission` sits on a mount in routes/admin.routes.js and
+ *     covers a whole router: reads need the area's read permission, anything
+ *     else its write permission.
+ *   - `requirePermission` sits on a single route, after `authenticate`, for
+ *     actions that need more than the area's write permission (refunds,
+ *     permanent deletes, minting cash tickets, admin accounts).
+ *
+ * @module middleware/permission
+ */
+
+import { verifyAccessToken } from '../utils/jwt.util.js';
+import responseUtil from '../utils/response.util.js';
+import { getEffectivePermissions } from '../services/permission.service.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Effective permissions for the request's admin, looked up once per request
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+export const loadPermissions = async (req) => {
+  if (req.permissions === undefined) {
+    req.permissions = await getEffectivePermissions(req.user.id);
+  }
+  return req.permissions;
+};
+
+/**
+ * Reply 403 unless the request's admin holds every given permission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string[]} permissions - Required permissions
+ */
+const checkPermissions = async (req, res, next, permissions) => {
+  const effective = await loadPermissions(req);
+
+  if (!effective) {
+    return responseUtil.unauthorized(res, 'Admin account not found');
+  }
+
+  const missing = permissions.filter((permission) => !effective.permissions.includes(permission));
+
+  if (missing.length > 0) {
+    return responseUtil.forbidden(res, 'Insufficient permissions', `Missing permission: ${missing.join(', ')}`);
+  }
+
+  next();
+};
+
+/**
+ * Requires every given permission. Use after `authenticate`.
+ * Non-admin callers are refused; SUPER_ADMIN holds every permission.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Middleware function
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return responseUtil.unauthorized(res, 'User not authenticated');
+      }
+
+      if (req.user.userType !== 'admin') {
+        return responseUtil.forbidden(res, 'Admin access required');
+      }
+
+      return await checkPermissions(req, res, next, permissions);
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return responseUtil.internalError(res, 'Authorization failed', error.message);
+    }
+  };
+};
+
+/**
+ * Guards a whole router at its mount point by HTTP method.
+ *
+ * Runs before the router's own `authenticate`, so it reads the token itself.
+ * Requests without a valid admin token pass straight through: the router
+ * still rejects them on its protected routes, and its public routes (website
+ * forms, payment callbacks) keep working for visitors and app users.
+ *
+ * @param {Object} area
+ * @param {string} area.read - Permission for GET/HEAD/OPTIONS
+ * @param {string} [area.write] - Permission for everything else (defaults to read)
+ * @returns {Function} Middleware function
+ */
+export const requireAreaPermission = ({ read, write = read }) => {
+  return async (req, res, next) => {
+    try {
+      let user = req.user;
+
+      if (!user) {
+        const authHeader = req.headers.authorization;
+        user = authHeader?.startsWith('Bearer ') ? verifyAccessToken(authHeader.substring(7)) : null;
+      }
+
+      if (!user || user.userType !== 'admin') {
+        return next();
+      }
+
+      req.user = user;
+      req.user._id = user.id;
+
+      const permission = READ_METHODS.includes(req.method) ? read : write;
+      return await checkPermissions(req, res, next, [permission]);
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return responseUtil.internalError(res, 'Authorization failed', error.message);
+    }
+  };
+};
+
+export default {
+  loadPermissions,
+  requirePermission,
+  requireAreaPermission
+};
@@ -42,6 +42,8 @@ const baseOptions = {
  * limited no matter how many colleagues share the office IP.
  * 10 failed attempts / 15 min kills password guessing while leaving room for
  * someone who genuinely mistypes.
+ * Also guards one-time code login and password reset: a wrong code is a
+ * failure, so code guessing from one IP shares this budget.
  */
 export const loginLimiter = rateLimit({
   ...baseOptions,
@@ -57,6 +59,7 @@ export const loginLimiter = rateLimit({
  * Public form submissions — membership, Doer, Motivata Blend, Round Table,
  * feature requests. A real person submits once, maybe twice if they made a
  * typo. 20/hour is unreachable by hand and useless to a spammer.
+ * One-time code requests use it too; the per-phone caps live in otp.service.
  */
 export const publicFormLimiter = rateLimit({
   ...baseOptions,
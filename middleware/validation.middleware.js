@@ -5,6 +5,9 @@
 
 import Joi from "joi";
 import responseUtil from "../utils/response.util.js";
+import { PERMISSIONS, TEMPLATE_ROLES } from "../config/permissions.config.js";
+import { normalizeHashtag, MAX_HASHTAG_LENGTH } from "../utils/hashtag.util.js";
+import { MAX_MENTIONS, hasTooManyMentions } from "../utils/mention.util.js";
 
 /**
  * Validates request body against a Joi schema
@@ -149,6 +152,27 @@ export const schemas = {
     "string.max": "Username cannot exceed 50 characters",
     "string.pattern.base": "Username can only contain lowercase letters, numbers, and underscores",
   }),
+
+  /**
+   * Hashtag, with or without the leading #; converted to its stored form
+   */
+  hashtag: Joi.string()
+    .trim()
+    .max(MAX_HASHTAG_LENGTH + 1)
+    .custom((value, helpers) => normalizeHashtag(value) ?? helpers.error("any.invalid"))
+    .messages({
+      "string.max": `Hashtag cannot exceed ${MAX_HASHTAG_LENGTH} characters`,
+      "any.invalid": "Hashtag can only contain letters, numbers and underscores, and not only numbers",
+    }),
+
+  /**
+   * Text that may @mention users as `@[Name](userId)` (utils/mention.util.js)
+   */
+  mentionText: Joi.string()
+    .custom((value, helpers) => (hasTooManyMentions(value) ? helpers.error("string.mentions") : value))
+    .messages({
+      "string.mentions": `Text can mention at most ${MAX_MENTIONS} people`,
+    }),
 };
 
 /**
@@ -165,7 +189,7 @@ export const adminSchemas = {
     phone: schemas.phone.optional().allow(null, ""),
     password: schemas.password.required(),
     role: Joi.string().valid("ADMIN", "SUPER_ADMIN", "MANAGEMENT_STAFF").optional(),
-    access: Joi.array().items(Joi.string()).optional(),
+    access: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().optional(),
     allowedEvents: Joi.array().items(schemas.mongoId).optional(),
     maxCashTicketsAllowed: Joi.number().integer().min(0).optional(),
   }),
@@ -187,7 +211,7 @@ export const adminSchemas = {
     email: schemas.email.optional().allow(null, ""),
     phone: schemas.phone.optional().allow(null, ""),
     role: Joi.string().valid("ADMIN", "SUPER_ADMIN", "MANAGEMENT_STAFF").optional(),
-    access: Joi.array().items(Joi.string()).optional(),
+    access: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().optional(),
     allowedEvents: Joi.array().items(schemas.mongoId).optional(),
     maxCashTicketsAllowed: Joi.number().integer().min(0).optional(),
     status: Joi.string().valid("ACTIVATED", "DEACTIVATED").optional(),
@@ -216,6 +240,31 @@ export const adminSchemas = {
   }),
 };
 
+/**
+ * Role template validation schemas
+ */
+export const roleSchemas = {
+  /**
+   * Role parameter validation (SUPER_ADMIN has no template)
+   */
+  role: Joi.object({
+    role: Joi.string()
+      .valid(...TEMPLATE_ROLES)
+      .required()
+      .messages({ "any.only": `Role must be one of: ${TEMPLATE_ROLES.join(", ")}` }),
+  }),
+
+  /**
+   * Replace a role template
+   */
+  update: Joi.object({
+    permissions: Joi.array()
+      .items(Joi.string().valid(...PERMISSIONS))
+      .unique()
+      .required(),
+  }),
+};
+
 /**
  * User validation schemas
  */
@@ -254,6 +303,37 @@ export const userSchemas = {
     phone: schemas.phone.required(),
   }),
 
+  /**
+   * Request a one-time code
+   */
+  requestOtp: Joi.object({
+    phone: schemas.phone.required(),
+    purpose: Joi.string().valid("LOGIN", "PASSWORD_RESET").default("LOGIN"),
+  }),
+
+  /**
+   * Log in with a one-time code
+   */
+  loginWithOtp: Joi.object({
+    phone: schemas.phone.required(),
+    code: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .required()
+      .messages({ "string.pattern.base": "Code must be 6 digits" }),
+  }),
+
+  /**
+   * Reset a forgotten password with a one-time code
+   */
+  resetPasswordWithOtp: Joi.object({
+    phone: schemas.phone.required(),
+    code: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .required()
+      .messages({ "string.pattern.base": "Code must be 6 digits" }),
+    newPassword: schemas.password.required(),
+  }),
+
   /**
    * User update schema
    */
@@ -265,6 +345,7 @@ export const userSchemas = {
     age: Joi.number().integer().min(1).max(150).optional().allow(null),
     achievement: Joi.string().trim().max(500).optional().allow(null, ''),
     bio: Joi.string().trim().max(500).optional().allow(null, ''),
+    city: Joi.string().trim().max(100).optional().allow(null, ''),
     lifeExperiences: Joi.array().items(Joi.string().trim().max(500)).optional().allow(null),
   }),
 
@@ -284,6 +365,37 @@ export const userSchemas = {
   }),
 };
 
+/**
+ * One pricing tier. Inventory counters (sold, held) are server-managed and
+ * never accepted from the client; on update, tiers that carry their `_id`
+ * keep their counters.
+ */
+const pricingTierSchema = Joi.object({
+  _id: schemas.mongoId.optional(),
+  name: Joi.string().trim().max(100).required(),
+  price: Joi.number().min(0).required(),
+  // compareAtPrice validation against price is handled at database level for updates
+  compareAtPrice: Joi.number().min(0).optional(),
+  shortDescription: Joi.string().trim().max(500).optional(),
+  notes: Joi.string().trim().max(1000).optional(),
+  ticketQuantity: Joi.number().integer().min(1).default(1).optional(),
+  capacity: Joi.number().integer().min(0).allow(null).optional(),
+  saleStartDate: Joi.date().iso().allow(null).optional(),
+  saleEndDate: Joi.date().iso().allow(null).optional(),
+  membersOnly: Joi.boolean().optional(),
+  earlyBirdPrice: Joi.number().min(0).allow(null).optional(),
+  earlyBirdEndDate: Joi.date().iso().allow(null).optional(),
+  earlyBirdQuantity: Joi.number().integer().min(1).allow(null).optional(),
+}).custom((tier, helpers) => {
+  if (tier.saleStartDate && tier.saleEndDate && tier.saleEndDate <= tier.saleStartDate) {
+    return helpers.message("Tier sale end date must be after its sale start date");
+  }
+  if ((tier.earlyBirdEndDate || tier.earlyBirdQuantity) && tier.earlyBirdPrice == null) {
+    return helpers.message("An early-bird end date or quantity needs an early-bird price");
+  }
+  return tier;
+});
+
 /**
  * Event validation schemas
  */
@@ -342,20 +454,14 @@ export const eventSchemas = {
     duration: Joi.number().min(0).optional(),
     price: Joi.number().min(0).optional(),
     compareAtPrice: Joi.number().min(0).optional(),
-    pricingTiers: Joi.array()
-      .items(
-        Joi.object({
-          name: Joi.string().trim().max(100).required(),
-          price: Joi.number().min(0).required(),
-          compareAtPrice: Joi.number().min(0).optional(),
-          shortDescription: Joi.string().trim().max(500).optional(),
-          notes: Joi.string().trim().max(1000).optional(),
-          ticketQuantity: Joi.number().integer().min(1).default(1).optional(),
-        })
-      )
-      .optional(),
+    pricingTiers: Joi.array().items(pricingTierSchema.fork(["_id"], (f) => f.forbidden())).optional(),
     availableSeats: Joi.number().integer().min(0).optional(),
     coupons: Joi.array().items(schemas.mongoId).optional(),
+    ticketTransfer: Joi.object({
+      enabled: Joi.boolean().optional(),
+      maxTransfersPerTicket: Joi.number().integer().min(0).max(10).optional(),
+      cutoffHours: Joi.number().min(0).max(720).optional(),
+    }).optional(),
   }).rename("venue", "venueName", { override: true, ignoreUndefined: true }),
 
   /**
@@ -417,22 +523,15 @@ export const eventSchemas = {
     duration: Joi.number().min(0).optional(),
     price: Joi.number().min(0).optional(),
     compareAtPrice: Joi.number().min(0).optional(),
-    pricingTiers: Joi.array()
-      .items(
-        Joi.object({
-          name: Joi.string().trim().max(100).required(),
-          price: Joi.number().min(0).required(),
-          // compareAtPrice validation against price is handled at database level for updates
-          compareAtPrice: Joi.number().min(0).optional(),
-          shortDescription: Joi.string().trim().max(500).optional(),
-          notes: Joi.string().trim().max(1000).optional(),
-          ticketQuantity: Joi.number().integer().min(1).default(1).optional(),
-        })
-      )
-      .optional(),
+    pricingTiers: Joi.array().items(pricingTierSchema).optional(),
     availableSeats: Joi.number().integer().min(0).optional(),
     coupons: Joi.array().items(schemas.mongoId).optional(),
     isLive: Joi.boolean().optional(),
+    ticketTransfer: Joi.object({
+      enabled: Joi.boolean().optional(),
+      maxTransfersPerTicket: Joi.number().integer().min(0).max(10).optional(),
+      cutoffHours: Joi.number().min(0).max(720).optional(),
+    }).optional(),
   }).rename("venue", "venueName", { override: true, ignoreUndefined: true }),
 
   /**
@@ -479,6 +578,170 @@ export const eventSchemas = {
   }),
 };
 
+/**
+ * Fields one occurrence of a series may set for itself
+ */
+const occurrenceFieldsSchema = {
+  venueName: Joi.string().trim().max(300).optional(),
+  city: Joi.string().trim().optional(),
+  gmapLink: Joi.string()
+    .uri()
+    .pattern(/^https?:\/\/(www\.)?(google\.[a-z.]+\/maps|maps\.google\.[a-z.]+|goo\.gl\/maps|maps\.app\.goo\.gl)\/.+/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Please provide a valid Google Maps link",
+    }),
+  joinLink: Joi.string().uri().allow(null, "").optional(),
+  availableSeats: Joi.number().integer().min(0).optional(),
+};
+
+/**
+ * Event series validation schemas
+ */
+export const eventSeriesSchemas = {
+  /**
+   * Create a series from an existing event, by recurrence rule or by listing
+   * the other dates (each with its own venue and capacity if needed)
+   */
+  create: Joi.object({
+    eventId: schemas.mongoId.required(),
+    name: Joi.string().trim().max(200).optional(),
+    recurrence: Joi.object({
+      frequency: Joi.string().valid("DAILY", "WEEKLY", "MONTHLY").required(),
+      interval: Joi.number().integer().min(1).max(12).default(1),
+      byWeekday: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().default([]),
+      count: Joi.number().integer().min(2).max(104).optional(),
+      until: Joi.date().iso().optional(),
+    })
+      .or("count", "until")
+      .messages({ "object.missing": "Recurrence needs a count or an until date" }),
+    dates: Joi.array()
+      .items(
+        Joi.object({
+          startDate: Joi.date().iso().required(),
+          endDate: Joi.date().iso().greater(Joi.ref("startDate")).optional(),
+          ...occurrenceFieldsSchema,
+        })
+      )
+      .min(1)
+      .max(103),
+  })
+    .xor("recurrence", "dates")
+    .messages({ "object.xor": "Provide either a recurrence rule or a list of dates", "object.missing": "Provide either a recurrence rule or a list of dates" }),
+
+  /**
+   * Update a series; `occurrences` is copied to every upcoming occurrence
+   * that does not override the field
+   */
+  update: Joi.object({
+    name: Joi.string().trim().max(200).optional(),
+    isActive: Joi.boolean().optional(),
+    occurrences: Joi.object({
+      name: Joi.string().trim().max(200).optional(),
+      description: Joi.string().max(5000).optional(),
+      imageUrls: Joi.array().items(Joi.string().uri()).optional(),
+      thumbnail: Joi.object({
+        imageUrl: Joi.string().uri().optional(),
+        videoUrl: Joi.string().uri().optional(),
+      }).optional(),
+      category: eventSchemas.create.extract("category").optional(),
+      audience: Joi.string().valid("ALL", "MEMBERS_ONLY", "INVITE_ONLY").optional(),
+      mode: Joi.string().valid("ONLINE", "OFFLINE", "HYBRID").optional(),
+      price: Joi.number().min(0).optional(),
+      compareAtPrice: Joi.number().min(0).optional(),
+      ...occurrenceFieldsSchema,
+    })
+      .min(1)
+      .optional(),
+  }).min(1),
+
+  /**
+   * Add one date to a series
+   */
+  addOccurrence: Joi.object({
+    startDate: Joi.date().iso().greater("now").required(),
+    endDate: Joi.date().iso().greater(Joi.ref("startDate")).optional(),
+    ...occurrenceFieldsSchema,
+  }),
+
+  /**
+   * Change one date of a series; what is set here wins over series-wide edits
+   */
+  updateOccurrence: Joi.object({
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    ...occurrenceFieldsSchema,
+  }).min(1),
+
+  /**
+   * Query parameters for listing series
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  seriesId: Joi.object({
+    id: schemas.mongoId.required(),
+  }),
+
+  occurrenceParams: Joi.object({
+    id: schemas.mongoId.required(),
+    eventId: schemas.mongoId.required(),
+  }),
+};
+
+/**
+ * Discount and rule fields of a new coupon, shared by single coupons and
+ * generated batches
+ */
+const couponRuleKeys = {
+  discountType: Joi.string().valid("PERCENT", "FLAT", "BUY_X_GET_Y").default("PERCENT"),
+  discountPercent: Joi.when("discountType", {
+    is: "PERCENT",
+    then: Joi.number().min(0).max(100).required(),
+    otherwise: Joi.number().min(0).max(100).optional(),
+  }),
+  maxDiscountAmount: Joi.when("discountType", {
+    is: "PERCENT",
+    then: Joi.number().min(0).required(),
+    otherwise: Joi.number().min(0).optional().allow(null),
+  }),
+  flatAmount: Joi.when("discountType", {
+    is: "FLAT",
+    then: Joi.number().min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  buyQuantity: Joi.when("discountType", {
+    is: "BUY_X_GET_Y",
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  freeQuantity: Joi.when("discountType", {
+    is: "BUY_X_GET_Y",
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  minPurchaseAmount: Joi.number().min(0).default(0),
+  minTicketCount: Joi.number().integer().min(1).optional().allow(null),
+  maxUsageLimit: Joi.number().integer().min(1).optional().allow(null),
+  maxUsagePerUser: Joi.number().integer().min(1).default(1),
+  validFrom: Joi.date().iso().required(),
+  validUntil: Joi.date().iso().greater(Joi.ref("validFrom")).required(),
+  description: Joi.string().trim().max(500).optional(),
+  isActive: Joi.boolean().default(true),
+  applicableTo: Joi.array()
+    .items(Joi.string().valid("EVENT", "MEMBERSHIP", "SESSION", "SERVICE", "FEATURE", "ALL"))
+    .default(["ALL"]),
+  eventIds: Joi.array().items(schemas.mongoId).default([]),
+  tierIds: Joi.array().items(schemas.mongoId).default([]),
+  membershipPlanIds: Joi.array().items(schemas.mongoId).default([]),
+  serviceIds: Joi.array().items(schemas.mongoId).default([]),
+  firstPurchaseOnly: Joi.boolean().default(false),
+  membersOnly: Joi.boolean().default(false),
+};
+
 /**
  * Coupon validation schemas
  */
@@ -488,18 +751,7 @@ export const couponSchemas = {
    */
   create: Joi.object({
     code: Joi.string().trim().uppercase().min(3).max(50).required(),
-    discountPercent: Joi.number().min(0).max(100).required(),
-    maxDiscountAmount: Joi.number().min(0).required(),
-    minPurchaseAmount: Joi.number().min(0).default(0),
-    maxUsageLimit: Joi.number().integer().min(1).optional().allow(null),
-    maxUsagePerUser: Joi.number().integer().min(1).default(1),
-    validFrom: Joi.date().iso().required(),
-    validUntil: Joi.date().iso().greater(Joi.ref("validFrom")).required(),
-    description: Joi.string().trim().max(500).optional(),
-    isActive: Joi.boolean().default(true),
-    applicableTo: Joi.array()
-      .items(Joi.string().valid("EVENT", "MEMBERSHIP", "SESSION", "SERVICE", "ALL"))
-      .default(["ALL"]),
+    ...couponRuleKeys,
   }),
 
   /**
@@ -507,9 +759,14 @@ export const couponSchemas = {
    */
   update: Joi.object({
     code: Joi.string().trim().uppercase().min(3).max(50).optional(),
+    discountType: Joi.string().valid("PERCENT", "FLAT", "BUY_X_GET_Y").optional(),
     discountPercent: Joi.number().min(0).max(100).optional(),
-    maxDiscountAmount: Joi.number().min(0).optional(),
+    maxDiscountAmount: Joi.number().min(0).optional().allow(null),
+    flatAmount: Joi.number().min(1).optional().allow(null),
+    buyQuantity: Joi.number().integer().min(1).optional().allow(null),
+    freeQuantity: Joi.number().integer().min(1).optional().allow(null),
     minPurchaseAmount: Joi.number().min(0).optional(),
+    minTicketCount: Joi.number().integer().min(1).optional().allow(null),
     maxUsageLimit: Joi.number().integer().min(1).optional().allow(null),
     maxUsagePerUser: Joi.number().integer().min(1).optional(),
     validFrom: Joi.date().iso().optional(),
@@ -517,16 +774,31 @@ export const couponSchemas = {
     description: Joi.string().trim().max(500).optional(),
     isActive: Joi.boolean().optional(),
     applicableTo: Joi.array()
-      .items(Joi.string().valid("EVENT", "MEMBERSHIP", "SESSION", "SERVICE", "ALL"))
+      .items(Joi.string().valid("EVENT", "MEMBERSHIP", "SESSION", "SERVICE", "FEATURE", "ALL"))
       .optional(),
+    eventIds: Joi.array().items(schemas.mongoId).optional(),
+    tierIds: Joi.array().items(schemas.mongoId).optional(),
+    membershipPlanIds: Joi.array().items(schemas.mongoId).optional(),
+    serviceIds: Joi.array().items(schemas.mongoId).optional(),
+    firstPurchaseOnly: Joi.boolean().optional(),
+    membersOnly: Joi.boolean().optional(),
   }),
 
   /**
    * Validate coupon code schema
+   * type and the ids of what is being bought are optional; without them
+   * purchase-type and targeting rules are not checked
    */
   validate: Joi.object({
     code: Joi.string().trim().uppercase().required(),
     amount: Joi.number().min(0).required(),
+    type: Joi.string().valid("EVENT", "MEMBERSHIP", "SESSION", "SERVICE", "FEATURE").optional(),
+    eventId: schemas.mongoId.optional(),
+    tierId: schemas.mongoId.optional(),
+    ticketCount: Joi.number().integer().min(1).optional(),
+    unitPrice: Joi.number().min(0).optional(),
+    membershipPlanId: schemas.mongoId.optional(),
+    serviceIds: Joi.array().items(schemas.mongoId).optional(),
   }),
 
   /**
@@ -541,6 +813,7 @@ export const couponSchemas = {
     sortOrder: Joi.string().valid("asc", "desc").default("desc"),
     isActive: Joi.boolean().optional(),
     search: Joi.string().trim().optional(),
+    batchId: schemas.mongoId.optional(),
   }),
 
   /**
@@ -549,6 +822,38 @@ export const couponSchemas = {
   couponId: Joi.object({
     id: schemas.mongoId.required(),
   }),
+
+  /**
+   * Generate a batch of single-use codes from one template
+   * Codes are prefix + codeLength random characters (at most 50 in total)
+   */
+  createBatch: Joi.object({
+    name: Joi.string().trim().min(3).max(100).required(),
+    notes: Joi.string().trim().max(500).optional(),
+    prefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]*$/).max(18).allow("").default("")
+      .messages({ "string.pattern.base": "Prefix may only contain letters, digits and hyphens" }),
+    codeLength: Joi.number().integer().min(4).max(32).default(8),
+    charset: Joi.string().valid("UNAMBIGUOUS", "ALPHANUMERIC", "LETTERS", "DIGITS").default("UNAMBIGUOUS"),
+    quantity: Joi.number().integer().min(1).max(10000).required(),
+    ...couponRuleKeys,
+    // Generated codes are single-use
+    maxUsageLimit: Joi.forbidden(),
+    maxUsagePerUser: Joi.forbidden(),
+  }),
+
+  /**
+   * Query parameters for listing batches
+   */
+  listBatches: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    isActive: Joi.boolean().optional(),
+    search: Joi.string().trim().optional(),
+  }),
+
+  exportBatch: Joi.object({
+    format: Joi.string().valid("csv", "xlsx").default("xlsx"),
+  }),
 };
 
 /**
@@ -573,6 +878,8 @@ export const paymentSchemas = {
     amount: Joi.number().min(0).required(),
     tierName: Joi.string().trim().optional(),
     couponCode: Joi.string().trim().uppercase().optional(),
+    // Another user's personal referral code (EVENT orders only)
+    userReferralCode: Joi.string().trim().uppercase().max(50).optional(),
     metadata: Joi.object({
       buyer: Joi.object({
         name: schemas.name.required(),
@@ -625,7 +932,7 @@ export const paymentSchemas = {
       .default("createdAt"),
     sortOrder: Joi.string().valid("asc", "desc").default("desc"),
     status: Joi.string()
-      .valid("PENDING", "SUCCESS", "FAILED", "REFUNDED")
+      .valid("PENDING", "SUCCESS", "FAILED", "REFUNDED", "PARTIALLY_REFUNDED")
       .optional(),
     type: Joi.string().valid("EVENT", "SESSION", "MEMBERSHIP", "OTHER", "PRODUCT").optional(),
     eventId: schemas.mongoId.optional(),
@@ -634,10 +941,269 @@ export const paymentSchemas = {
   }),
 
   /**
-   * Payment ID parameter validation
+   * Payment ID parameter validation
+   */
+  paymentId: Joi.object({
+    id: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Full refund schema
+   */
+  refund: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+      "string.min": "Refund reason must be at least 3 characters",
+      "any.required": "Refund reason is required",
+    }),
+  }),
+
+  /**
+   * Partial refund schema.
+   * phones (event payments only) names the tickets the refund covers.
+   */
+  partialRefund: Joi.object({
+    amount: Joi.number().positive().precision(2).required().messages({
+      "number.positive": "Refund amount must be greater than 0",
+      "any.required": "Refund amount is required",
+    }),
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+      "string.min": "Refund reason must be at least 3 characters",
+      "any.required": "Refund reason is required",
+    }),
+    phones: Joi.array().items(schemas.phone).unique().min(1).optional(),
+  }),
+
+  /**
+   * Payment + invoice ID parameter validation
+   */
+  invoiceParams: Joi.object({
+    id: schemas.mongoId.required(),
+    invoiceId: schemas.mongoId.required(),
+  }),
+};
+
+/**
+ * Invoice register validation schemas
+ */
+export const invoiceSchemas = {
+  /**
+   * Invoice ID parameter validation
+   */
+  invoiceId: Joi.object({
+    invoiceId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Query parameters for the invoice register
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    documentType: Joi.string().valid("TAX_INVOICE", "CREDIT_NOTE").optional(),
+    paymentType: Joi.string()
+      .valid("EVENT", "SESSION", "MEMBERSHIP", "MEMBERSHIP_REQUEST", "SERVICE", "FEATURE_REQUEST", "GIFT", "OTHER", "PRODUCT", "SOS")
+      .optional(),
+    financialYear: Joi.string()
+      .pattern(/^\d{4}-\d{2}$/)
+      .optional()
+      .messages({ "string.pattern.base": "Financial year must look like 2026-27" }),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+    search: Joi.string().trim().max(50).optional(),
+  }),
+};
+
+/**
+ * Admin audit log validation schemas
+ */
+export const auditLogSchemas = {
+  /**
+   * Audit log ID parameter validation
+   */
+  id: Joi.object({
+    id: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Audit log search validation
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    entityType: Joi.string().trim().max(50).optional(),
+    entityId: Joi.string().trim().max(100).optional(),
+    actorId: schemas.mongoId.optional(),
+    action: Joi.string().trim().max(200).optional(),
+    method: Joi.string().valid("POST", "PUT", "PATCH", "DELETE").optional(),
+    outcome: Joi.string().valid("SUCCESS", "FAILED").optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+  }),
+};
+
+/**
+ * Communication log validation schemas
+ */
+export const communicationLogSchemas = {
+  /**
+   * Communication log ID parameter validation
+   */
+  id: Joi.object({
+    id: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Bulk retry: listed entries, or every failed entry matching the filters
+   * of the communication log view
+   */
+  bulkRetry: Joi.object({
+    ids: Joi.array().items(schemas.mongoId).min(1).max(500).unique().optional(),
+    type: Joi.string().valid("EMAIL", "WHATSAPP", "NOTIFICATION").optional(),
+    category: Joi.string().trim().max(50).optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref("startDate")).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+  }).without("ids", ["type", "category", "startDate", "endDate"]),
+};
+
+/**
+ * Scheduled job validation schemas
+ */
+export const scheduledJobSchemas = {
+  /**
+   * Job name parameter validation
+   */
+  name: Joi.object({
+    name: Joi.string().trim().max(100).pattern(/^[a-z0-9-]+$/).required(),
+  }),
+
+  /**
+   * Run history search validation
+   */
+  runs: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    jobName: Joi.string().trim().max(100).optional(),
+    status: Joi.string()
+      .valid("RUNNING", "SUCCEEDED", "FAILED", "TIMED_OUT", "ABANDONED")
+      .optional(),
+    failed: Joi.boolean().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional(),
+  }),
+};
+
+/**
+ * Event waitlist validation schemas
+ */
+export const waitlistSchemas = {
+  /**
+   * Event ID parameter validation
+   */
+  eventIdParam: Joi.object({
+    eventId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Event + entry ID parameter validation
+   */
+  entryParams: Joi.object({
+    eventId: schemas.mongoId.required(),
+    entryId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Join waitlist schema. The buyer is the logged-in user; others are the
+   * extra ticket holders, same shape as order metadata.others.
+   */
+  join: Joi.object({
+    priceTierId: schemas.mongoId.optional(),
+    others: Joi.array()
+      .items(
+        Joi.object({
+          name: schemas.name.required(),
+          email: schemas.email.optional().allow(null, ""),
+          phone: schemas.phone.required(),
+        })
+      )
+      .max(9)
+      .default([])
+      .messages({
+        "array.max": "You can add at most 9 other ticket holders",
+      }),
+  }),
+
+  /**
+   * Query parameters for the admin queue view.
+   * ACTIVE (default) = WAITING + OFFERED; ALL lists every entry.
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    status: Joi.string()
+      .valid("ACTIVE", "ALL", "WAITING", "OFFERED", "CONVERTED", "EXPIRED", "CANCELLED", "REMOVED")
+      .default("ACTIVE"),
+    priceTierId: schemas.mongoId.optional(),
+  }),
+
+  /**
+   * Move entry schema (1-based place among WAITING entries)
+   */
+  move: Joi.object({
+    position: Joi.number().integer().min(1).required().messages({
+      "any.required": "Position is required",
+      "number.min": "Position must be at least 1",
+    }),
+  }),
+
+  /**
+   * Remove entry schema
+   */
+  remove: Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+};
+
+/**
+ * Razorpay webhook inbox validation schemas (admin)
+ */
+export const webhookEventSchemas = {
+  /**
+   * Query parameters for listing stored webhook events.
+   * status defaults to FAILED — that is the queue an admin acts on. ALL lists everything.
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string()
+      .valid("RECEIVED", "PROCESSING", "PROCESSED", "FAILED", "ALL")
+      .default("FAILED"),
+    event: Joi.string().trim().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+  }),
+
+  /**
+   * Webhook event ID parameter (x-razorpay-event-id, not a Mongo ID)
    */
-  paymentId: Joi.object({
-    id: schemas.mongoId.required(),
+  eventId: Joi.object({
+    eventId: Joi.string().trim().max(200).required(),
+  }),
+
+  /**
+   * Replay one or more FAILED events
+   */
+  replay: Joi.object({
+    eventIds: Joi.array()
+      .items(Joi.string().trim().max(200))
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one event ID is required",
+        "array.max": "Cannot replay more than 100 events at once",
+      }),
   }),
 };
 
@@ -854,6 +1420,93 @@ export const offlineCashSchemas = {
     userId: schemas.mongoId.optional(),
     eventId: schemas.mongoId.required(),
     phone: schemas.phone.required(),
+    sig: Joi.string().max(1000).optional(),
+  }),
+};
+
+/**
+ * Offline ticket scanning validation schemas
+ */
+export const ticketScanSchemas = {
+  /**
+   * Event ID parameter validation
+   */
+  eventIdParam: Joi.object({
+    eventId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Batch upload of offline scans. Each scan names its ticket by the signed
+   * QR payload (sig) or, for manual entry, by type + enrollmentId (+ phone).
+   */
+  sync: Joi.object({
+    deviceId: Joi.string().trim().min(1).max(100).required(),
+    gate: Joi.string().trim().max(50).optional(),
+    scans: Joi.array()
+      .items(
+        Joi.object({
+          clientScanId: Joi.string().trim().min(1).max(100).required(),
+          scannedAt: Joi.date().iso().required(),
+          sig: Joi.string().max(1000).optional(),
+          type: Joi.string().valid("E", "C").when("sig", {
+            is: Joi.exist(),
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+          }),
+          enrollmentId: schemas.mongoId.when("sig", {
+            is: Joi.exist(),
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+          }),
+          phone: schemas.phone.when("type", {
+            is: "E",
+            then: Joi.required(),
+            otherwise: Joi.optional(),
+          }),
+          direction: Joi.string().uppercase().valid("ENTRY", "EXIT").default("ENTRY"),
+          gate: Joi.string().trim().max(50).optional(),
+        })
+      )
+      .min(1)
+      .max(500)
+      .unique("clientScanId")
+      .required(),
+  }),
+
+  /**
+   * Online check-in at a gate. The ticket is named by its signed QR payload
+   * (sig) or, for manual entry, by type + enrollmentId (+ phone).
+   */
+  checkIn: Joi.object({
+    eventId: schemas.mongoId.required(),
+    sig: Joi.string().max(1000).optional(),
+    type: Joi.string().valid("E", "C").when("sig", {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    enrollmentId: schemas.mongoId.when("sig", {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    phone: schemas.phone.when("type", {
+      is: "E",
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+    direction: Joi.string().uppercase().valid("ENTRY", "EXIT").default("ENTRY"),
+    gate: Joi.string().trim().max(50).optional(),
+    deviceId: Joi.string().trim().max(100).optional(),
+  }),
+
+  /**
+   * Attendance dashboard query
+   */
+  attendance: Joi.object({
+    bucketMinutes: Joi.number().integer().min(1).max(240).default(15),
+    since: Joi.date().iso().optional(),
+    interval: Joi.number().integer().min(5).max(60).default(10),
   }),
 };
 
@@ -1108,6 +1761,21 @@ export const sessionSchemas = {
   }),
 };
 
+/**
+ * Calendar feed validation schemas
+ */
+export const calendarSchemas = {
+  /**
+   * Private feed URL: /feed/:token.ics
+   */
+  feedToken: Joi.object({
+    token: Joi.string().hex().length(48).required().messages({
+      "string.hex": "Invalid calendar feed link",
+      "string.length": "Invalid calendar feed link",
+    }),
+  }),
+};
+
 /**
  * Poll validation schemas
  */
@@ -1138,6 +1806,8 @@ export const pollSchemas = {
       .messages({
         "array.min": "At least 1 question is required",
       }),
+    // Also give every upcoming date of the event's series this poll
+    applyToSeries: Joi.boolean().default(false),
   }),
 
   /**
@@ -1357,6 +2027,100 @@ export const ticketReshareSchemas = {
   }),
 };
 
+/**
+ * Ticket transfer validation schemas
+ */
+export const ticketTransferSchemas = {
+  /**
+   * Enrollment ID parameter validation
+   */
+  enrollmentId: Joi.object({
+    enrollmentId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Transfer request body validation
+   */
+  transfer: Joi.object({
+    fromPhone: schemas.phone.required(),
+    toPhone: schemas.phone.required(),
+    toName: schemas.name.required(),
+    toEmail: schemas.email.optional(),
+  }),
+};
+
+/**
+ * Gift validation schemas (buying a membership, services or feature access
+ * for someone else)
+ */
+export const giftSchemas = {
+  /**
+   * Gift ID parameter validation
+   */
+  id: Joi.object({
+    id: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Claim link token parameter validation
+   */
+  claimToken: Joi.object({
+    token: Joi.string().trim().max(64).required(),
+  }),
+
+  /**
+   * Buy a gift. The product is priced on the server; deliverAt defaults to
+   * as soon as the payment clears.
+   */
+  create: Joi.object({
+    productType: Joi.string().valid("MEMBERSHIP", "SERVICE", "FEATURE").required().messages({
+      "any.only": "Product type must be MEMBERSHIP, SERVICE or FEATURE",
+      "any.required": "Product type is required",
+    }),
+    membershipPlanId: Joi.when("productType", {
+      is: "MEMBERSHIP",
+      then: schemas.mongoId.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    serviceIds: Joi.when("productType", {
+      is: "SERVICE",
+      then: Joi.array().items(schemas.mongoId).min(1).max(10).unique().required(),
+      otherwise: Joi.forbidden(),
+    }),
+    featurePricingId: Joi.when("productType", {
+      is: "FEATURE",
+      then: schemas.mongoId.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    recipient: Joi.object({
+      name: schemas.name.required(),
+      phone: schemas.phone.required(),
+      email: schemas.email.optional().allow(null, ""),
+    }).required(),
+    message: Joi.string().trim().max(500).optional().allow(""),
+    deliverAt: Joi.date().iso().optional(),
+    couponCode: Joi.string().trim().uppercase().max(50).optional(),
+  }),
+
+  /**
+   * Query parameters for the sent and received gift lists
+   */
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string()
+      .valid("PENDING_PAYMENT", "SCHEDULED", "DELIVERED", "CLAIMED", "EXPIRED", "FAILED", "REFUNDED")
+      .optional(),
+  }),
+
+  /**
+   * Refund an expired gift
+   */
+  refund: Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+};
+
 /**
  * Connect validation schemas (social feed feature)
  */
@@ -1368,7 +2132,7 @@ export const connectSchemas = {
    * - VIDEO: exactly 1 URL
    */
   createPost: Joi.object({
-    caption: Joi.string().trim().max(2000).optional().allow("").default(""),
+    caption: schemas.mentionText.trim().max(2000).optional().allow("").default(""),
     mediaType: Joi.string().valid("IMAGE", "VIDEO").required().messages({
       "any.required": "Media type is required",
       "any.only": "Media type must be IMAGE or VIDEO",
@@ -1403,6 +2167,47 @@ export const connectSchemas = {
     limit: Joi.number().integer().min(1).max(50).default(10),
   }),
 
+  /**
+   * Edit a post's caption
+   */
+  updatePost: Joi.object({
+    caption: schemas.mentionText.trim().max(2000).allow("").required().messages({
+      "any.required": "Caption is required",
+      "string.max": "Caption cannot exceed 2000 characters",
+    }),
+  }),
+
+  /**
+   * Create or edit a post comment
+   */
+  postComment: Joi.object({
+    text: schemas.mentionText.trim().min(1).max(1000).required().messages({
+      "string.empty": "Comment text is required",
+      "any.required": "Comment text is required",
+      "string.max": "Comment cannot exceed 1000 characters",
+    }),
+  }),
+
+  /**
+   * Ranked feed query (home and explore)
+   * - cursor: pagination.nextCursor of the previous page
+   * - page: still sent by older app versions; only page 1 returns posts
+   */
+  rankedFeedQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10),
+    cursor: Joi.string().max(512).optional(),
+    page: Joi.number().integer().min(1).optional(),
+  }),
+
+  /**
+   * Admin boost for an explore post. A weight of 1 removes the boost;
+   * without `until` the boost stays until changed.
+   */
+  boostPost: Joi.object({
+    weight: Joi.number().min(1).max(10).required(),
+    until: Joi.date().iso().greater("now").allow(null).optional(),
+  }),
+
   /**
    * Pagination query parameters
    */
@@ -1420,6 +2225,9 @@ export const connectSchemas = {
       "string.max": "Search query cannot exceed 100 characters",
       "any.required": "Search query is required",
     }),
+    city: Joi.string().trim().min(2).max(100).optional(),
+    occupation: Joi.string().trim().min(2).max(100).optional(),
+    clubId: schemas.mongoId.optional(),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
   }),
@@ -1437,6 +2245,148 @@ export const connectSchemas = {
   postId: Joi.object({
     postId: schemas.mongoId.required(),
   }),
+
+  /**
+   * Post and comment ID parameter validation
+   */
+  commentId: Joi.object({
+    postId: schemas.mongoId.required(),
+    commentId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Hashtag page: tag parameter
+   */
+  hashtag: Joi.object({
+    tag: schemas.hashtag.required(),
+  }),
+
+  /**
+   * Hashtag page query
+   * - sortBy: top (most liked) or recent
+   */
+  hashtagQuery: Joi.object({
+    type: Joi.string().valid("posts", "recommendations").default("posts"),
+    sortBy: Joi.string().valid("top", "recent").default("top"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+
+  /**
+   * Trending hashtags over a time window
+   */
+  trendingHashtagsQuery: Joi.object({
+    window: Joi.string().valid("24h", "7d", "30d").default("24h"),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+
+  /**
+   * Follow request ID parameter validation
+   */
+  requestId: Joi.object({
+    requestId: schemas.mongoId.required(),
+  }),
+};
+
+/**
+ * Moderation validation schemas (blocks, mutes, reports, moderation queue)
+ */
+const REPORT_TARGET_TYPES = [
+  "POST",
+  "POST_COMMENT",
+  "RECOMMENDATION",
+  "RECOMMENDATION_COMMENT",
+  "CHALLENGE_STORY",
+  "PROFILE",
+];
+
+export const moderationSchemas = {
+  /**
+   * Report a post, comment, recommendation, story or profile
+   */
+  createReport: Joi.object({
+    targetType: Joi.string().valid(...REPORT_TARGET_TYPES).required().messages({
+      "any.only": `Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`,
+      "any.required": "Target type is required",
+    }),
+    targetId: schemas.mongoId.required(),
+    reason: Joi.string()
+      .valid("SPAM", "HARASSMENT", "HATE_SPEECH", "NUDITY", "VIOLENCE", "MISINFORMATION", "SELF_HARM", "OTHER")
+      .required()
+      .messages({
+        "any.only": "Please choose a valid reason",
+        "any.required": "Reason is required",
+      }),
+    details: Joi.string().trim().max(1000).allow("").default("").when("reason", {
+      is: "OTHER",
+      then: Joi.string().trim().min(1).required().messages({
+        "any.required": "Please describe the problem",
+        "string.empty": "Please describe the problem",
+      }),
+    }),
+  }),
+
+  /**
+   * Moderation queue (admin)
+   */
+  queue: Joi.object({
+    status: Joi.string().valid("OPEN", "RESOLVED", "DISMISSED").default("OPEN"),
+    targetType: Joi.string().valid(...REPORT_TARGET_TYPES).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  /**
+   * Reported item parameters (admin)
+   */
+  target: Joi.object({
+    targetType: Joi.string().valid(...REPORT_TARGET_TYPES).required(),
+    targetId: schemas.mongoId.required(),
+  }),
+
+  /**
+   * Resolve all open reports on an item (admin). NONE dismisses them.
+   */
+  resolve: Joi.object({
+    action: Joi.string().valid("NONE", "HIDE", "DELETE", "WARN", "SUSPEND").required().messages({
+      "any.only": "Action must be one of: NONE, HIDE, DELETE, WARN, SUSPEND",
+      "any.required": "Action is required",
+    }),
+    hideContent: Joi.boolean().default(false),
+    suspendDays: Joi.number().integer().min(1).max(365).when("action", {
+      is: "SUSPEND",
+      otherwise: Joi.forbidden(),
+    }),
+    note: Joi.string().trim().max(1000).allow("").default(""),
+  }),
+};
+
+/**
+ * Search validation schemas (people, posts, clubs, recommendations, jobs)
+ */
+export const searchSchemas = {
+  /**
+   * Search query: a term, a filter, or both.
+   * city applies to users and jobs, occupation to users, clubId to users and posts,
+   * hashtag to posts and recommendations.
+   */
+  query: Joi.object({
+    q: Joi.string().trim().min(2).max(100).optional().messages({
+      "string.min": "Search query must be at least 2 characters",
+      "string.max": "Search query cannot exceed 100 characters",
+    }),
+    type: Joi.string()
+      .valid("all", "users", "posts", "clubs", "recommendations", "jobs")
+      .default("all"),
+    city: Joi.string().trim().min(2).max(100).optional(),
+    occupation: Joi.string().trim().min(2).max(100).optional(),
+    clubId: schemas.mongoId.optional(),
+    hashtag: schemas.hashtag.optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).optional(),
+  })
+    .or("q", "city", "occupation", "clubId", "hashtag")
+    .messages({ "object.missing": "Provide a search term or a filter" }),
 };
 
 /**
@@ -1839,6 +2789,7 @@ export const userMembershipSchemas = {
     phone: schemas.phone.required(),
     membershipPlanId: schemas.mongoId.required(),
     couponCode: Joi.string().trim().uppercase().max(50).optional(),
+    userReferralCode: Joi.string().trim().uppercase().max(50).optional(),
   }),
 
   /**
@@ -1924,77 +2875,145 @@ export const userMembershipSchemas = {
   }),
 };
 
+/**
+ * Seats without a map position (the original flat list)
+ */
+const seatListSchema = Joi.array()
+  .items(
+    Joi.object({
+      label: Joi.string().trim().max(10).required().messages({
+        "string.empty": "Seat label is required",
+        "string.max": "Seat label cannot exceed 10 characters",
+        "any.required": "Seat label is required",
+      }),
+      accessible: Joi.boolean().optional(),
+      blocked: Joi.boolean().optional(),
+    })
+  )
+  .min(1)
+  .custom((value, helpers) => {
+    // Validate unique labels
+    const labels = value.map((s) => s.label.toUpperCase().trim());
+    if (labels.length !== new Set(labels).size) {
+      return helpers.message("Seat labels must be unique");
+    }
+    return value;
+  });
+
+/**
+ * Seat map section: rows of seats at a position on the map, priced by
+ * `price` or by one of the event's pricing tiers
+ */
+const seatSectionSchema = Joi.object({
+  code: Joi.string().trim().uppercase().max(20).required().messages({
+    "any.required": "Section code is required",
+    "string.max": "Section code cannot exceed 20 characters",
+  }),
+  name: Joi.string().trim().max(100).required().messages({
+    "any.required": "Section name is required",
+  }),
+  price: Joi.number().min(0).allow(null).optional(),
+  tierId: schemas.mongoId.allow(null).optional(),
+  color: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .allow(null)
+    .optional()
+    .messages({ "string.pattern.base": "Section color must be a hex color like #D4AF37" }),
+  origin: Joi.object({
+    x: Joi.number().integer().min(0).default(0),
+    y: Joi.number().integer().min(0).default(0),
+  }).optional(),
+  rows: Joi.array()
+    .items(
+      Joi.object({
+        label: Joi.string().trim().uppercase().max(4).required(),
+        seats: Joi.number().integer().min(1).max(200).required(),
+        offset: Joi.number().integer().min(0).default(0),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({ "array.min": "A section needs at least one row" }),
+  aisleAfter: Joi.array().items(Joi.number().integer().min(1)).unique().default([]),
+  labelPrefix: Joi.string().trim().uppercase().max(4).allow("").default(""),
+  blockedSeats: Joi.array().items(Joi.string().trim().uppercase().max(10)).default([]),
+  accessibleSeats: Joi.array().items(Joi.string().trim().uppercase().max(10)).default([]),
+}).custom((value, helpers) => {
+  if (value.price != null && value.tierId) {
+    return helpers.message(`Section ${value.code} can have a price or a pricing tier, not both`);
+  }
+  const rowLabels = value.rows.map((row) => row.label);
+  if (rowLabels.length !== new Set(rowLabels).size) {
+    return helpers.message(`Row labels must be unique in section ${value.code}`);
+  }
+  return value;
+});
+
+const seatSectionListSchema = Joi.array()
+  .items(seatSectionSchema)
+  .custom((value, helpers) => {
+    const codes = value.map((section) => section.code);
+    if (codes.length !== new Set(codes).size) {
+      return helpers.message("Section codes must be unique");
+    }
+    return value;
+  });
+
 /**
  * Seat Arrangement validation schemas
  */
 export const seatArrangementSchemas = {
   /**
-   * Create seat arrangement schema
+   * Create seat arrangement schema. Seats come from `sections` (a seat map),
+   * from a flat `seats` list, or both.
    */
   create: Joi.object({
-    imageUrl: Joi.string().uri().required().messages({
-      "string.uri": "Please provide a valid image URL",
-      "any.required": "Seat arrangement image is required",
-    }),
-    seats: Joi.array()
-      .items(
-        Joi.object({
-          label: Joi.string().trim().max(10).required().messages({
-            "string.empty": "Seat label is required",
-            "string.max": "Seat label cannot exceed 10 characters",
-            "any.required": "Seat label is required",
-          }),
-        })
-      )
-      .min(1)
-      .required()
+    imageUrl: Joi.string()
+      .uri()
+      .when("sections", {
+        is: Joi.array().min(1).required(),
+        then: Joi.optional(),
+        otherwise: Joi.required(),
+      })
+      .messages({
+        "string.uri": "Please provide a valid image URL",
+        "any.required": "Seat arrangement image is required",
+      }),
+    sections: seatSectionListSchema.optional(),
+    seats: seatListSchema
+      .when("sections", {
+        is: Joi.array().min(1).required(),
+        then: Joi.optional(),
+        otherwise: Joi.required(),
+      })
       .messages({
         "array.min": "At least one seat is required",
         "any.required": "Seats array is required",
-      })
-      .custom((value, helpers) => {
-        // Validate unique labels
-        const labels = value.map((s) => s.label.toUpperCase().trim());
-        const uniqueLabels = new Set(labels);
-        if (labels.length !== uniqueLabels.size) {
-          return helpers.error("any.custom", {
-            message: "Seat labels must be unique",
-          });
-        }
-        return value;
       }),
   }),
 
   /**
-   * Update seat arrangement schema
+   * Update seat arrangement schema. `sections` replaces the mapped seats,
+   * `seats` the unmapped ones.
    */
   update: Joi.object({
     imageUrl: Joi.string().uri().optional().messages({
       "string.uri": "Please provide a valid image URL",
     }),
-    seats: Joi.array()
-      .items(
-        Joi.object({
-          label: Joi.string().trim().max(10).required().messages({
-            "string.empty": "Seat label is required",
-            "string.max": "Seat label cannot exceed 10 characters",
-          }),
-        })
-      )
-      .min(1)
-      .optional()
-      .custom((value, helpers) => {
-        if (value) {
-          const labels = value.map((s) => s.label.toUpperCase().trim());
-          const uniqueLabels = new Set(labels);
-          if (labels.length !== uniqueLabels.size) {
-            return helpers.error("any.custom", {
-              message: "Seat labels must be unique",
-            });
-          }
-        }
-        return value;
-      }),
+    sections: seatSectionListSchema.optional(),
+    seats: seatListSchema.optional(),
+  }),
+
+  /**
+   * Adjacent seat suggestions query
+   */
+  suggestions: Joi.object({
+    quantity: Joi.number().integer().min(1).max(20).required().messages({
+      "number.max": "Suggestions are limited to 20 seats together",
+      "any.required": "quantity is required",
+    }),
+    accessible: Joi.boolean().default(false),
+    section: Joi.string().trim().uppercase().max(20).optional(),
   }),
 
   /**
@@ -2741,6 +3760,31 @@ export const collegeSchemas = {
   collegeId: Joi.object({
     id: schemas.mongoId.required(),
   }),
+
+  /**
+   * kind=user reports personal referrers only; from/to bound when they referred
+   */
+  report: Joi.object({
+    kind: Joi.string().valid("college", "leader", "user").optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref("from")).optional().messages({
+      "date.min": "To date must be after from date",
+    }),
+  }),
+};
+
+/**
+ * Personal referral (user-to-user) validation schemas
+ */
+export const userReferralSchemas = {
+  leaderboard: Joi.object({
+    period: Joi.string().valid("month", "all").default("all"),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+
+  summary: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
 };
 
 /**
@@ -2819,18 +3863,32 @@ export default {
   validateQuery,
   schemas,
   adminSchemas,
+  roleSchemas,
   userSchemas,
   eventSchemas,
+  eventSeriesSchemas,
   couponSchemas,
   paymentSchemas,
+  invoiceSchemas,
+  auditLogSchemas,
+  communicationLogSchemas,
+  scheduledJobSchemas,
+  webhookEventSchemas,
+  waitlistSchemas,
   enrollmentSchemas,
   voucherSchemas,
   offlineCashSchemas,
+  ticketScanSchemas,
   sessionSchemas,
+  calendarSchemas,
   pollSchemas,
   storySchemas,
   ticketReshareSchemas,
+  ticketTransferSchemas,
+  giftSchemas,
   connectSchemas,
+  moderationSchemas,
+  searchSchemas,
   membershipPlanSchemas,
   userMembershipSchemas,
   membershipRequestSchemas,
@@ -2843,5 +3901,6 @@ export default {
   roundTableSchemas,
   eventRequestSchemas,
   collegeSchemas,
+  userReferralSchemas,
   referralCodeSchemas,
 };
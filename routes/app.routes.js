@@ -21,6 +21,7 @@ import userChallengeRoutes from "../src/Challenge/challenge.user.route.js";
 import userPollRoutes from "../src/Poll/poll.user.route.js";
 import userConnectRoutes from "../src/Connect/connect.user.route.js";
 import userNotificationRoutes from "../src/Notification/fcm.user.route.js";
+import userCalendarRoutes from "../src/Calendar/calendar.user.route.js";
 import responseUtil from "../utils/response.util.js";
 import services from "../src/Other/app/showDelete.js";
 import publicAssetRoutes from "../src/Asset/asset.public.route.js";
@@ -28,9 +29,14 @@ import userStoryRoutes from "../src/Story/story.user.route.js";
 import challengeStoryRoutes from "../src/ChallengeStory/challengeStory.user.route.js";
 import userMembershipRoutes from "../src/Membership/user.membership.route.js";
 import seatArrangementUserRoutes from "../src/SeatArrangement/seatArrangement.user.route.js";
+import waitlistUserRoutes from "../src/Waitlist/waitlist.user.route.js";
 import userServiceRoutes from "../src/Service/service.user.route.js";
+import userGiftRoutes from "../src/Gift/gift.user.route.js";
+import userReferralRoutes from "../src/Referral/userReferral.user.route.js";
 import userJobRoutes from "../src/Job/job.user.route.js";
 import userRecommendationRoutes from "../src/Recommendation/recommendation.user.route.js";
+import userSearchRoutes from "../src/Search/search.user.route.js";
+import { auditAdminRequest } from "../middleware/audit.middleware.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,6 +50,9 @@ const router = express.Router();
  * Base path: /api/app
  */
 
+// Audit admin actions made through app routes (e.g. /auth/users management)
+router.use(auditAdminRequest);
+
 // Auth routes - /api/app/auth
 router.use("/auth", userAuthRoutes);
 
@@ -53,6 +62,9 @@ router.use("/events", userEventRoutes);
 // Seat arrangement routes - /api/app/events/:eventId/seat-arrangement
 router.use("/events", seatArrangementUserRoutes);
 
+// Waitlist routes - /api/app/events/:eventId/waitlist
+router.use("/events", waitlistUserRoutes);
+
 // Coupon routes - /api/app/coupons
 router.use("/coupons", userCouponRoutes);
 
@@ -98,18 +110,30 @@ router.use("/stories", userStoryRoutes);
 // Notification routes - /api/app/notifications (FCM token management)
 router.use("/notifications", userNotificationRoutes);
 
+// Calendar routes - /api/app/calendar (private iCal feed)
+router.use("/calendar", userCalendarRoutes);
+
 // Membership routes - /api/app/membership-plans and /api/app/memberships
 router.use("/", userMembershipRoutes);
 
 // Service routes - /api/app/services (user-facing service browsing and purchase)
 router.use("/services", userServiceRoutes);
 
+// Gift routes - /api/app/gifts (buy for someone else, claim, refund unclaimed)
+router.use("/gifts", userGiftRoutes);
+
+// Referral routes - /api/app/referrals (personal code, credits, leaderboard)
+router.use("/referrals", userReferralRoutes);
+
 // Job routes - /api/app/jobs
 router.use("/jobs", userJobRoutes);
 
 // Recommendation routes - /api/app/recommendations
 router.use("/recommendations", userRecommendationRoutes);
 
+// Search routes - /api/app/search (people, posts, clubs, recommendations, jobs)
+router.use("/search", userSearchRoutes);
+
 // Add more user routes here as needed
 // Example:
 // router.use("/profile", userProfileRoutes);
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview AuditLog schema — one entry per mutating admin request
+ *
+ * Written by middleware/audit.middleware.js once the response has finished,
+ * for successful and refused requests alike. `changes` holds the documents
+ * the request wrote (see utils/auditTrail.util.js); `entities` repeats their
+ * type and ID flat so the log can be indexed and searched by entity.
+ * Entries older than the retention period are purged by the audit job.
+ *
+ * @module schema/AuditLog
+ */
+
+import mongoose from 'mongoose';
+
+const entityRefSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    id: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+const changeSchema = new mongoose.Schema(
+  {
+    model: { type: String, required: true },
+    documentId: { type: String, default: null },
+    operation: {
+      type: String,
+      enum: ['CREATE', 'UPDATE', 'DELETE', 'UPDATE_MANY', 'DELETE_MANY', 'INSERT_MANY'],
+      required: true
+    },
+    // [{ field, before, after }]
+    diff: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Bulk operations only
+    filter: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    count: { type: Number, default: undefined }
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+      },
+      username: { type: String, default: null },
+      role: { type: String, default: null }
+    },
+
+    // Route pattern, e.g. 'DELETE /api/web/events/:id/permanent'
+    action: {
+      type: String,
+      required: true
+    },
+
+    method: {
+      type: String,
+      required: true
+    },
+
+    // Path as requested, without the query string
+    path: {
+      type: String,
+      required: true
+    },
+
+    // Main target: the first document written, else the route's ID parameter
+    target: {
+      type: entityRefSchema,
+      default: null
+    },
+
+    entities: {
+      type: [entityRefSchema],
+      default: []
+    },
+
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+
+    // More documents were written than the log keeps per request
+    changesTruncated: {
+      type: Boolean,
+      default: false
+    },
+
+    // Redacted copies; secrets are never stored
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    query: { type: mongoose.Schema.Types.Mixed, default: {} },
+    body: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    statusCode: {
+      type: Number,
+      required: true
+    },
+
+    outcome: {
+      type: String,
+      enum: ['SUCCESS', 'FAILED'],
+      required: true
+    },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    durationMs: { type: Number, default: null }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.adminId': 1, createdAt: -1 });
+auditLogSchema.index({ 'entities.type': 1, 'entities.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
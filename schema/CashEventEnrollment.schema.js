@@ -107,6 +107,32 @@ const cashEventEnrollmentSchema = new mongoose.Schema(
       default: null,
     },
 
+    /**
+     * Where the holder is now; null = not arrived (or scanned before gates were tracked)
+     */
+    attendanceStatus: {
+      type: String,
+      enum: ["INSIDE", "LEFT", null],
+      default: null,
+    },
+
+    /**
+     * Gate of the last entry or exit scan
+     */
+    lastGate: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * When the holder last entered or left
+     */
+    lastMovementAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * QR ticket link
      */
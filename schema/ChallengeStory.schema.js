@@ -103,6 +103,15 @@ const challengeStorySchema = new mongoose.Schema(
       default: false,
       select: false,
     },
+
+    /**
+     * Hidden by a moderator after a report
+     */
+    isHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -150,6 +159,9 @@ challengeStorySchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
   }
+  if (!this.getQuery().hasOwnProperty("isHidden")) {
+    this.where({ isHidden: { $ne: true } });
+  }
 });
 
 /**
@@ -7,6 +7,7 @@
  */
 
 import mongoose from "mongoose";
+import { searchIndexPlugin } from "../utils/searchIndex.util.js";
 
 const clubSchema = new mongoose.Schema(
   {
@@ -132,6 +133,17 @@ clubSchema.index({ createdAt: -1 });
 clubSchema.index({ memberCount: -1 });
 clubSchema.index({ postCount: -1 });
 
+/**
+ * Search index (see utils/searchIndex.util.js)
+ */
+clubSchema.plugin(searchIndexPlugin, {
+  watch: ["name", "description"],
+  build: (club) => ({
+    primary: [club.name],
+    secondary: [club.description],
+  }),
+});
+
 /**
  * Pre-query middleware to exclude soft deleted clubs
  */
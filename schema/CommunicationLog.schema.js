@@ -31,6 +31,7 @@ const communicationLogSchema = new mongoose.Schema(
         values: [
           "TICKET",
           "TICKET_RESHARE",
+          "TICKET_TRANSFER",
           "VOUCHER",
           "REDEMPTION_LINK",
           "ENROLLMENT_CONFIRMATION",
@@ -38,6 +39,11 @@ const communicationLogSchema = new mongoose.Schema(
           "REFUND_NOTIFICATION",
           "EVENT_REMINDER",
           "SERVICE_PAYMENT_LINK",
+          "WAITLIST_OFFER",
+          "SESSION_BOOKING",
+          "CALENDAR_INVITE",
+          "GIFT",
+          "OTP",
           "MARKETING",
           "TRANSACTIONAL",
           "OTHER",
@@ -67,7 +73,8 @@ const communicationLogSchema = new mongoose.Schema(
     },
 
     /**
-     * Status of communication
+     * Status of communication. PENDING while queued or waiting for a retry;
+     * FAILED once out of attempts (see OutboundMessage)
      */
     status: {
       type: String,
@@ -166,6 +173,24 @@ const communicationLogSchema = new mongoose.Schema(
       default: null,
     },
 
+    /**
+     * Queue entry that delivers this message (null for messages sent before
+     * the outbound queue existed)
+     */
+    outboundMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OutboundMessage",
+      default: null,
+    },
+
+    /**
+     * Delivery attempts made so far
+     */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
     /**
      * Additional metadata
      */
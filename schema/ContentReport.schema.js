@@ -0,0 +1,162 @@
+/**
+ * @fileoverview ContentReport schema - a user's report of a post, comment,
+ * recommendation, challenge story or profile, and the moderator's decision.
+ * @module schema/ContentReport
+ *
+ * Reports are resolved per target: one moderator action closes every open
+ * report on the same item (see services/moderation.service.js).
+ */
+
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = [
+  "POST",
+  "POST_COMMENT",
+  "RECOMMENDATION",
+  "RECOMMENDATION_COMMENT",
+  "CHALLENGE_STORY",
+  "PROFILE",
+];
+
+export const REPORT_REASONS = [
+  "SPAM",
+  "HARASSMENT",
+  "HATE_SPEECH",
+  "NUDITY",
+  "VIOLENCE",
+  "MISINFORMATION",
+  "SELF_HARM",
+  "OTHER",
+];
+
+export const REPORT_STATUSES = ["OPEN", "RESOLVED", "DISMISSED"];
+
+/**
+ * NONE is recorded when a report is dismissed
+ */
+export const MODERATION_ACTIONS = ["NONE", "HIDE", "DELETE", "WARN", "SUSPEND"];
+
+const contentReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+
+    /**
+     * Reported document (the user's _id for PROFILE)
+     */
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    /**
+     * Author of the reported content; warnings and suspensions go to them
+     */
+    targetOwnerType: {
+      type: String,
+      enum: ["User", "Admin"],
+      default: "User",
+    },
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetOwnerType",
+      default: null,
+    },
+
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+
+    /**
+     * Copy of the content at report time, so moderators can still read it
+     * after the author edits or deletes it
+     */
+    snapshot: {
+      text: { type: String, default: "" },
+      mediaUrls: { type: [String], default: [] },
+    },
+
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "OPEN",
+    },
+
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+      default: null,
+    },
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Internal note from the moderator; not shown to the reporter
+     */
+    resolutionNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    /**
+     * Message shown to the reporter in their report list and sent as a push
+     */
+    reporterNotice: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * A user can have only one open report per item
+ */
+contentReportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "OPEN" } }
+);
+
+/**
+ * Moderation queue and resolving all reports on one item
+ */
+contentReportSchema.index({ status: 1, targetType: 1, targetId: 1 });
+contentReportSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * "My reports"
+ */
+contentReportSchema.index({ reporter: 1, createdAt: -1 });
+
+const ContentReport = mongoose.model("ContentReport", contentReportSchema);
+
+export default ContentReport;
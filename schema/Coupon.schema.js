@@ -20,24 +20,72 @@ const couponSchema = new mongoose.Schema({
   },
 
   /**
-   * Discount percentage (0-100)
+   * How the discount is worked out
+   * PERCENT - discountPercent of the amount, capped by maxDiscountAmount
+   * FLAT - flatAmount rupees off the order
+   * BUY_X_GET_Y - for every buyQuantity tickets bought, freeQuantity more are free
+   */
+  discountType: {
+    type: String,
+    enum: {
+      values: ['PERCENT', 'FLAT', 'BUY_X_GET_Y'],
+      message: '{VALUE} is not a valid discount type'
+    },
+    default: 'PERCENT'
+  },
+
+  /**
+   * Discount percentage (0-100), for PERCENT coupons
    */
   discountPercent: {
     type: Number,
-    required: [true, 'Discount percentage is required'],
+    required: [
+      function() { return this.discountType === 'PERCENT'; },
+      'Discount percentage is required'
+    ],
     min: [0, 'Discount percentage cannot be negative'],
     max: [100, 'Discount percentage cannot exceed 100']
   },
 
   /**
    * Maximum discount amount in rupees
+   * Required for PERCENT coupons; an optional cap for the other types
    */
   maxDiscountAmount: {
     type: Number,
-    required: [true, 'Maximum discount amount is required'],
+    required: [
+      function() { return this.discountType === 'PERCENT'; },
+      'Maximum discount amount is required'
+    ],
+    default: null,
     min: [0, 'Maximum discount amount cannot be negative']
   },
 
+  /**
+   * Rupees off the order, for FLAT coupons (never more than the order amount)
+   */
+  flatAmount: {
+    type: Number,
+    default: null,
+    min: [1, 'Flat discount amount must be at least 1']
+  },
+
+  /**
+   * Tickets to buy and tickets given free, for BUY_X_GET_Y coupons
+   * e.g. buyQuantity 3, freeQuantity 1: every 4th ticket is free
+   */
+  buyQuantity: {
+    type: Number,
+    default: null,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+
+  freeQuantity: {
+    type: Number,
+    default: null,
+    min: [1, 'Free quantity must be at least 1']
+  },
+
   /**
    * Minimum purchase amount required to use coupon
    */
@@ -119,6 +167,70 @@ const couponSchema = new mongoose.Schema({
     default: ['ALL']
   },
 
+  /**
+   * Targeting - each list only restricts purchases of its own kind, and an
+   * empty list means no restriction. A coupon for ALL with eventIds set works
+   * on any membership, but only on tickets for those events.
+   */
+  eventIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+
+  /**
+   * Pricing tier _ids (Event.pricingTiers) the coupon is limited to
+   */
+  tierIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+
+  membershipPlanIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MembershipPlan'
+  }],
+
+  /**
+   * Every service in the order must be in this list
+   */
+  serviceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+
+  /**
+   * Only for buyers with no earlier successful payment
+   */
+  firstPurchaseOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * Only for buyers with an active membership
+   */
+  membersOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * Minimum number of tickets in the order, for ticket purchases
+   */
+  minTicketCount: {
+    type: Number,
+    default: null,
+    min: [1, 'Minimum ticket count must be at least 1']
+  },
+
+  /**
+   * Batch the code was generated in (null for coupons created one by one)
+   */
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponBatch',
+    default: null
+  },
+
   /**
    * Whether coupon is active
    */
@@ -183,6 +295,7 @@ couponSchema.index({ isActive: 1, isDeleted: 1 });
 couponSchema.index({ validFrom: 1, validUntil: 1 });
 couponSchema.index({ createdAt: -1 });
 couponSchema.index({ applicableTo: 1, isActive: 1, isDeleted: 1 });
+couponSchema.index({ batchId: 1, usageCount: 1 });
 
 /**
  * Pre-query middleware to exclude soft deleted documents
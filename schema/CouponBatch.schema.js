@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Coupon batch schema - a set of generated single-use coupon
+ * codes sharing one template, for college and partner campaigns
+ * @module schema/CouponBatch
+ */
+
+import mongoose from 'mongoose';
+
+const couponBatchSchema = new mongoose.Schema({
+  /**
+   * Campaign or partner name, e.g. "IIT Bombay Fest 2026"
+   */
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters']
+  },
+
+  /**
+   * Internal notes about the campaign
+   */
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  /**
+   * Code format: prefix followed by codeLength characters from the charset
+   * UNAMBIGUOUS - letters and digits without 0, O, 1, I and L
+   * ALPHANUMERIC - A-Z and 0-9
+   * LETTERS - A-Z
+   * DIGITS - 0-9
+   */
+  prefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: ''
+  },
+
+  codeLength: {
+    type: Number,
+    required: true,
+    min: [4, 'Code length must be at least 4']
+  },
+
+  charset: {
+    type: String,
+    enum: {
+      values: ['UNAMBIGUOUS', 'ALPHANUMERIC', 'LETTERS', 'DIGITS'],
+      message: '{VALUE} is not a valid charset'
+    },
+    default: 'UNAMBIGUOUS'
+  },
+
+  /**
+   * Codes requested and codes actually created
+   */
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+
+  generatedCount: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * Discount and rule fields copied onto every code (see Coupon schema)
+   */
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  /**
+   * Disabling the batch turns off all of its codes at once, without
+   * touching each coupon's own isActive
+   */
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+
+  disabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+couponBatchSchema.index({ createdAt: -1 });
+couponBatchSchema.index({ isActive: 1 });
+
+const CouponBatch = mongoose.model('CouponBatch', couponBatchSchema);
+
+export default CouponBatch;
@@ -272,6 +272,68 @@ const eventSchema = new mongoose.Schema(
           default: 1,
           min: [1, "Ticket quantity must be at least 1"],
         },
+        /**
+         * Tickets this tier may sell; null = limited only by the event's seats.
+         * Inventory rules live in services/ticketTier.service.js.
+         */
+        capacity: {
+          type: Number,
+          default: null,
+          min: [0, "Tier capacity cannot be negative"],
+        },
+        /**
+         * Paid tickets (server-managed)
+         */
+        sold: {
+          type: Number,
+          default: 0,
+          min: [0, "Tier sold count cannot be negative"],
+        },
+        /**
+         * Tickets in orders awaiting payment (server-managed)
+         */
+        held: {
+          type: Number,
+          default: 0,
+          min: [0, "Tier held count cannot be negative"],
+        },
+        /**
+         * Sale window; null means open from bookingStartDate / until bookingEndDate
+         */
+        saleStartDate: {
+          type: Date,
+          default: null,
+        },
+        saleEndDate: {
+          type: Date,
+          default: null,
+        },
+        /**
+         * Only members see and can buy this tier
+         */
+        membersOnly: {
+          type: Boolean,
+          default: false,
+        },
+        /**
+         * Early-bird price, charged until earlyBirdEndDate or until the tier
+         * has earlyBirdQuantity tickets sold or held, whichever comes first.
+         * Then the tier switches to `price`.
+         */
+        earlyBirdPrice: {
+          type: Number,
+          default: null,
+          min: [0, "Early-bird price cannot be negative"],
+        },
+        earlyBirdEndDate: {
+          type: Date,
+          default: null,
+        },
+        earlyBirdQuantity: {
+          type: Number,
+          default: null,
+          min: [1, "Early-bird quantity must be at least 1"],
+        },
       },
     ],
 
@@ -294,6 +356,43 @@ const eventSchema = new mongoose.Schema(
       min: [0, "Tickets sold cannot be negative"],
     },
 
+    /**
+     * Seats out of availableSeats currently held for waitlist offers.
+     * Held seats cannot be bought by the public; see getBookableSeats().
+     * Events with a seat arrangement hold concrete seats instead, so this stays 0 for them.
+     */
+    waitlistHeldSeats: {
+      type: Number,
+      default: 0,
+      min: [0, "Waitlist held seats cannot be negative"],
+    },
+
+    /**
+     * Ticket transfers by holders (see services/ticketTransfer.service.js)
+     */
+    ticketTransfer: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      /**
+       * How many times one ticket may change hands
+       */
+      maxTransfersPerTicket: {
+        type: Number,
+        default: 1,
+        min: [0, "Max transfers per ticket cannot be negative"],
+      },
+      /**
+       * Transfers close this many hours before the event starts
+       */
+      cutoffHours: {
+        type: Number,
+        default: 24,
+        min: [0, "Transfer cut-off cannot be negative"],
+      },
+    },
+
     /**
      * List of applicable coupon IDs
      */
@@ -321,6 +420,25 @@ const eventSchema = new mongoose.Schema(
       default: null,
     },
 
+    /**
+     * Series this event is an occurrence of (services/eventSeries.service.js).
+     * Each occurrence keeps its own capacity, seats, attendees, poll and scans.
+     */
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventSeries",
+      default: null,
+    },
+
+    /**
+     * Fields set on this occurrence that series-wide edits must not overwrite
+     * (e.g. a tour date's venueName and city)
+     */
+    occurrenceOverrides: {
+      type: [String],
+      default: [],
+    },
+
     /**
      * Created by (admin user)
      */
@@ -382,6 +500,7 @@ const eventSchema = new mongoose.Schema(
 // eventSchema.index({ mode: 1, city: 1 });
 eventSchema.index({ createdAt: -1 });
 eventSchema.index({ bookingStartDate: 1, endDate: 1 });
+eventSchema.index({ seriesId: 1, startDate: 1 });
 
 /**
  * Pre-query middleware to exclude soft deleted documents
@@ -491,6 +610,17 @@ eventSchema.methods.updateEventStatus = function () {
   return Promise.resolve(this);
 };
 
+/**
+ * Seats the public can still buy: availableSeats minus seats held for waitlist offers.
+ * @returns {number|null} null when the event does not track seats
+ */
+eventSchema.methods.getBookableSeats = function () {
+  if (this.availableSeats == null) {
+    return null;
+  }
+  return Math.max(0, this.availableSeats - (this.waitlistHeldSeats || 0));
+};
+
 /**
  * Keep the banner unique: clear isBanner on every event except the given one.
  * Call this whenever an event is set as the banner (create or update).
@@ -84,7 +84,12 @@ const eventEnrollmentSchema = new mongoose.Schema(
      *     cancellationReason: null,
      *     isTicketScanned: false,
      *     ticketScannedAt: null,
-     *     ticketScannedBy: null
+     *     ticketScannedBy: null,
+     *     attendanceStatus: null, // INSIDE | LEFT once scanned at a gate
+     *     lastGate: null,
+     *     lastMovementAt: null,
+     *     transferCount: 0,
+     *     reissuedAt: null // set when transferred; earlier QR links are void
      *   }
      * }
      */
@@ -127,6 +132,32 @@ const eventEnrollmentSchema = new mongoose.Schema(
           trim: true,
           default: null,
         },
+        // Where the holder is now; null = not arrived (or scanned before gates were tracked)
+        attendanceStatus: {
+          type: String,
+          enum: ["INSIDE", "LEFT", null],
+          default: null,
+        },
+        lastGate: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        lastMovementAt: {
+          type: Date,
+          default: null,
+        },
+        // Times this ticket has been transferred to another phone
+        transferCount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Last transfer; QR links issued before this belong to a previous holder
+        reissuedAt: {
+          type: Date,
+          default: null,
+        },
       },
       required: true,
       default: new Map(),
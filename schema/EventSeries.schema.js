@@ -0,0 +1,126 @@
+/**
+ * @fileoverview EventSeries schema — a recurring or multi-date event
+ *
+ * A series groups its occurrences, which are ordinary Event documents with
+ * `seriesId` set, so every booking, seating, poll and scanning flow keeps
+ * working per occurrence. The series holds the recurrence rule and the event
+ * the occurrences were copied from; services/eventSeries.service.js expands
+ * the rule and creates the occurrences.
+ *
+ * Dates follow the server's local time, so a weekly 7pm meetup stays at 7pm
+ * across daylight-saving changes.
+ *
+ * @module schema/EventSeries
+ */
+
+import mongoose from "mongoose";
+
+export const RECURRENCE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: {
+        values: RECURRENCE_FREQUENCIES,
+        message: "{VALUE} is not a valid recurrence frequency",
+      },
+      required: true,
+    },
+
+    /**
+     * Every `interval` days, weeks or months
+     */
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, "Recurrence interval must be at least 1"],
+    },
+
+    /**
+     * WEEKLY only: days of the week (0 = Sunday). Empty means the weekday of
+     * the first occurrence.
+     */
+    byWeekday: {
+      type: [Number],
+      default: [],
+    },
+
+    /**
+     * Stop after this many occurrences (the first one included) ...
+     */
+    count: {
+      type: Number,
+      default: null,
+      min: [1, "Recurrence count must be at least 1"],
+    },
+
+    /**
+     * ... or at this date, whichever comes first
+     */
+    until: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Series name is required"],
+      trim: true,
+      maxlength: [200, "Series name cannot exceed 200 characters"],
+    },
+
+    /**
+     * null for a multi-date series whose dates were listed one by one
+     * (e.g. a tour through several cities)
+     */
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+
+    /**
+     * Event the occurrences were copied from; it is the first occurrence
+     */
+    templateEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+eventSeriesSchema.index({ templateEventId: 1 }, { unique: true });
+eventSeriesSchema.index({ createdAt: -1 });
+
+const EventSeries = mongoose.model("EventSeries", eventSeriesSchema);
+
+export default EventSeries;
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview EventWaitlist schema — queue of people waiting for a sold-out event
+ *
+ * One entry per buyer phone per event. The buyer can bring extra ticket holders
+ * (`others`), so an entry asks for `ticketCount` seats at once, optionally on a
+ * specific pricing tier.
+ *
+ * Status lifecycle:
+ *   WAITING   -> in the queue, ordered by `position`
+ *   OFFERED   -> capacity is held for this entry and a payment link was sent;
+ *                the hold ends at `offer.expiresAt`
+ *   CONVERTED -> the offer was paid; tickets were issued by the payment webhook
+ *   EXPIRED   -> the offer was not paid in time (or the link was cancelled);
+ *                the held capacity went to the next entry
+ *   CANCELLED -> the user left the queue
+ *   REMOVED   -> an admin removed the entry
+ *
+ * Every status change out of OFFERED is an atomic findOneAndUpdate guarded on
+ * status and orderId, so a payment that lands at the same moment the hold
+ * expires is settled exactly once — either it converts or the hold is released.
+ *
+ * @module schema/EventWaitlist
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Statuses that occupy a place in the queue. A phone can only have one entry
+ * in these statuses per event.
+ */
+export const ACTIVE_WAITLIST_STATUSES = ['WAITING', 'OFFERED'];
+
+const ticketHolderSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Ticket holder name is required'],
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: [true, 'Ticket holder phone is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const offerSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: String,
+      default: null
+    },
+    paymentLinkId: {
+      type: String,
+      default: null
+    },
+    paymentUrl: {
+      type: String,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: null
+    },
+    // Seat labels reserved for this offer (events with a seat arrangement only)
+    seatLabels: {
+      type: [String],
+      default: []
+    },
+    offeredAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Channels the offer was actually delivered on, e.g. ['WHATSAPP', 'PUSH']
+    notifiedVia: {
+      type: [String],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+const eventWaitlistSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Event ID is required'],
+      index: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+
+    // Pricing tier the buyer wants; null means the event's default price
+    priceTierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+
+    tierName: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    buyer: {
+      type: ticketHolderSchema,
+      required: [true, 'Buyer details are required']
+    },
+
+    others: {
+      type: [ticketHolderSchema],
+      default: []
+    },
+
+    // 1 (buyer) + others.length
+    ticketCount: {
+      type: Number,
+      required: true,
+      min: [1, 'Ticket count must be at least 1']
+    },
+
+    // Normalized 10-digit buyer phone, used for the one-entry-per-phone rule
+    phone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    // Queue order within the event. Lower goes first; admins can reorder.
+    position: {
+      type: Number,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['WAITING', 'OFFERED', 'CONVERTED', 'EXPIRED', 'CANCELLED', 'REMOVED'],
+        message: '{VALUE} is not a valid waitlist status'
+      },
+      default: 'WAITING',
+      index: true
+    },
+
+    offer: {
+      type: offerSchema,
+      default: () => ({})
+    },
+
+    // Number of offers this entry has received (an admin can re-queue an expired entry)
+    offerCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    convertedAt: {
+      type: Date,
+      default: null
+    },
+
+    closedAt: {
+      type: Date,
+      default: null
+    },
+
+    closedReason: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Admin who last moved or removed this entry
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+eventWaitlistSchema.index({ eventId: 1, status: 1, position: 1 });
+eventWaitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+eventWaitlistSchema.index({ 'offer.orderId': 1 });
+
+// A phone can only hold one place in an event's queue at a time
+eventWaitlistSchema.index(
+  { eventId: 1, phone: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_WAITLIST_STATUSES } }
+  }
+);
+
+/**
+ * Next free position at the back of an event's queue.
+ * @param {mongoose.Types.ObjectId|string} eventId
+ * @returns {Promise<number>}
+ */
+eventWaitlistSchema.statics.nextPosition = async function (eventId) {
+  const last = await this.findOne({ eventId })
+    .sort({ position: -1 })
+    .select('position')
+    .lean();
+
+  return (last?.position || 0) + 1;
+};
+
+/**
+ * 1-based place of a WAITING entry among the event's WAITING entries.
+ * @returns {Promise<number|null>} null when the entry is not WAITING
+ */
+eventWaitlistSchema.methods.getRank = async function () {
+  if (this.status !== 'WAITING') {
+    return null;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    eventId: this.eventId,
+    status: 'WAITING',
+    $or: [
+      { position: { $lt: this.position } },
+      { position: this.position, createdAt: { $lt: this.createdAt } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Move an entry from WAITING to OFFERED. Atomic, so two promotion passes
+ * running at once cannot both make an offer to the same entry.
+ * @param {mongoose.Types.ObjectId|string} entryId
+ * @returns {Promise<Object|null>} the claimed entry, or null if it was no longer WAITING
+ */
+eventWaitlistSchema.statics.claimForOffer = function (entryId) {
+  return this.findOneAndUpdate(
+    { _id: entryId, status: 'WAITING' },
+    {
+      $set: { status: 'OFFERED', 'offer.offeredAt': new Date() },
+      $inc: { offerCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Settle an offer. Only succeeds while the entry is still OFFERED for this
+ * order, so a late webhook for an offer that already expired (or vice versa)
+ * is a no-op.
+ * @param {string} orderId - Razorpay order ID of the offer
+ * @param {'CONVERTED'|'EXPIRED'|'CANCELLED'|'REMOVED'} status
+ * @param {string} [reason]
+ * @returns {Promise<Object|null>} the settled entry, or null if someone settled it first
+ */
+eventWaitlistSchema.statics.settleOffer = function (orderId, status, reason = null) {
+  const now = new Date();
+  const update = { status, closedAt: now, closedReason: reason };
+
+  if (status === 'CONVERTED') {
+    update.convertedAt = now;
+  }
+
+  return this.findOneAndUpdate(
+    { 'offer.orderId': orderId, status: 'OFFERED' },
+    { $set: update },
+    { new: true }
+  );
+};
+
+const EventWaitlist = mongoose.model('EventWaitlist', eventWaitlistSchema);
+
+export default EventWaitlist;
@@ -168,6 +168,17 @@ const featureRequestSchema = new mongoose.Schema(
       default: null
     },
 
+    /**
+     * Personal referral code entered with the request; its discount is
+     * applied when the request is approved
+     */
+    userReferralCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null
+    },
+
     /**
      * Discount percentage from the coupon
      */
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview FeedImpression schema — which feed posts a user has been served
+ * @module schema/FeedImpression
+ *
+ * The ranked feeds (services/feedRanking.service.js) use these records to skip
+ * posts already served during the current scroll session and to push posts
+ * seen in an earlier session further down. Records expire RETENTION_DAYS after
+ * the post was last served, after which the post counts as unseen again.
+ */
+
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = 7;
+
+export const FEED_TYPES = ["HOME", "EXPLORE"];
+
+const feedImpressionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+
+    feed: {
+      type: String,
+      enum: FEED_TYPES,
+      required: true,
+    },
+
+    /**
+     * First time the post was served in this feed
+     */
+    firstSeenAt: {
+      type: Date,
+      required: true,
+    },
+
+    /**
+     * Most recent time the post was served; drives the TTL
+     */
+    lastServedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+/**
+ * One record per user, feed and post
+ */
+feedImpressionSchema.index({ user: 1, feed: 1, post: 1 }, { unique: true });
+
+feedImpressionSchema.index(
+  { lastServedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Record that posts were served to a user now
+ * @param {string} userId
+ * @param {"HOME"|"EXPLORE"} feed
+ * @param {Array<ObjectId>} postIds
+ */
+feedImpressionSchema.statics.recordServed = function (userId, feed, postIds) {
+  if (postIds.length === 0) return Promise.resolve();
+
+  const now = new Date();
+  return this.bulkWrite(
+    postIds.map((postId) => ({
+      updateOne: {
+        filter: { user: userId, feed, post: postId },
+        update: { $setOnInsert: { firstSeenAt: now }, $set: { lastServedAt: now } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+const FeedImpression = mongoose.model("FeedImpression", feedImpressionSchema);
+
+export default FeedImpression;
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview FollowRequest schema for private Connect accounts
+ * @module schema/FollowRequest
+ *
+ * Following a private account creates a PENDING request instead of a Connect
+ * edge. When the owner approves it, the Connect edge is created; a Connect
+ * edge therefore always means an approved follower.
+ */
+
+import mongoose from "mongoose";
+
+export const FOLLOW_REQUEST_STATUSES = ["PENDING", "APPROVED", "REJECTED", "CANCELLED"];
+
+const followRequestSchema = new mongoose.Schema(
+  {
+    /**
+     * The user asking to follow
+     */
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * The private account being asked
+     */
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * CANCELLED = withdrawn by the requester, dropped by a block, or the
+     * requester's account was deleted
+     */
+    status: {
+      type: String,
+      enum: FOLLOW_REQUEST_STATUSES,
+      default: "PENDING",
+    },
+
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Only one pending request per pair; answered requests are kept as history
+ */
+followRequestSchema.index(
+  { requester: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } }
+);
+
+/**
+ * Incoming requests for an account
+ */
+followRequestSchema.index({ target: 1, status: 1, createdAt: -1 });
+
+/**
+ * Requests a user has sent
+ */
+followRequestSchema.index({ requester: 1, status: 1, createdAt: -1 });
+
+/**
+ * Pre-save validation: prevent requesting yourself
+ */
+followRequestSchema.pre("save", function (next) {
+  if (this.requester.toString() === this.target.toString()) {
+    return next(new Error("Cannot follow yourself"));
+  }
+  next();
+});
+
+/**
+ * Static method to check if a request from A to B is waiting
+ */
+followRequestSchema.statics.hasPendingRequest = async function (requesterId, targetId) {
+  const request = await this.exists({
+    requester: requesterId,
+    target: targetId,
+    status: "PENDING",
+  });
+  return !!request;
+};
+
+const FollowRequest = mongoose.model("FollowRequest", followRequestSchema);
+
+export default FollowRequest;
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Gift schema - a membership, service or feature access bought
+ * for someone else. The buyer pays, the recipient is sent a claim link on the
+ * delivery date, and the product is activated on their account when claimed.
+ * @module schema/Gift
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Statuses a gift moves through:
+ * PENDING_PAYMENT -> SCHEDULED (paid, waiting for deliverAt) -> DELIVERED
+ * (claim link sent) -> CLAIMED, or EXPIRED when the claim window runs out.
+ * FAILED = payment failed; REFUNDED = payment refunded (buyer or admin).
+ */
+export const GIFT_STATUSES = [
+  'PENDING_PAYMENT',
+  'SCHEDULED',
+  'DELIVERED',
+  'CLAIMED',
+  'EXPIRED',
+  'FAILED',
+  'REFUNDED'
+];
+
+export const GIFT_PRODUCT_TYPES = ['MEMBERSHIP', 'SERVICE', 'FEATURE'];
+
+const giftItemSchema = new mongoose.Schema({
+  /**
+   * MembershipPlan, Service or FeaturePricing, depending on productType
+   */
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // null or 0 = lifetime
+  durationInDays: {
+    type: Number,
+    default: null
+  },
+  // Feature keys granted (FEATURE gifts; several for a bundle)
+  featureKeys: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+const giftSchema = new mongoose.Schema({
+  productType: {
+    type: String,
+    enum: {
+      values: GIFT_PRODUCT_TYPES,
+      message: '{VALUE} is not a giftable product'
+    },
+    required: [true, 'Product type is required']
+  },
+
+  /**
+   * What was bought, priced at purchase time. One membership plan or
+   * feature pricing, or one or more services.
+   */
+  items: {
+    type: [giftItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A gift needs at least one item'
+    }
+  },
+
+  buyer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: { type: String, trim: true },
+    phone: { type: String, required: true },
+    email: { type: String, trim: true, lowercase: true }
+  },
+
+  recipient: {
+    name: {
+      type: String,
+      required: [true, 'Recipient name is required'],
+      trim: true
+    },
+    // Normalized to the last 10 digits; claiming needs an account on this phone
+    phone: {
+      type: String,
+      required: [true, 'Recipient phone is required'],
+      match: [/^\d{10}$/, 'Recipient phone must be exactly 10 digits (normalized)']
+    },
+    email: { type: String, trim: true, lowercase: true }
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Gift message cannot exceed 500 characters']
+  },
+
+  /**
+   * Secret part of the claim link, never shown to the buyer
+   */
+  claimToken: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+
+  status: {
+    type: String,
+    enum: GIFT_STATUSES,
+    default: 'PENDING_PAYMENT'
+  },
+
+  // When the claim link is sent; defaults to as soon as the payment clears
+  deliverAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Unclaimed after this, the gift expires and the buyer can refund it
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Payment
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paymentId: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  finalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  // Result of the last delivery attempt per channel
+  delivery: {
+    deliveredAt: { type: Date, default: null },
+    whatsapp: {
+      sent: { type: Boolean, default: false },
+      error: { type: String, default: null }
+    },
+    email: {
+      sent: { type: Boolean, default: false },
+      error: { type: String, default: null }
+    }
+  },
+
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * What the claim created, so a refund can revoke it
+   */
+  activation: {
+    userMembershipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UserMembership',
+      default: null
+    },
+    serviceSubscriptionIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UserServiceSubscription'
+    }],
+    featureAccessIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UserFeatureAccess'
+    }]
+  },
+
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftSchema.index({ 'buyer.userId': 1, createdAt: -1 });
+giftSchema.index({ 'recipient.phone': 1, status: 1 });
+giftSchema.index({ status: 1, deliverAt: 1 });
+giftSchema.index({ status: 1, expiresAt: 1 });
+
+const Gift = mongoose.model('Gift', giftSchema);
+
+export default Gift;
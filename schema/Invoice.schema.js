@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Invoice schema — GST tax invoices and credit notes
+ *
+ * A TAX_INVOICE is issued once per successful payment. Each refund against
+ * that payment issues a CREDIT_NOTE that points back at the invoice and
+ * reverses the refunded share of its tax.
+ *
+ * Documents are immutable snapshots: seller, buyer, line items and tax split
+ * are copied in at issue time, so a later change to the company address, GST
+ * rate or event name never alters an invoice already sent. The PDF is
+ * rendered from this snapshot, so re-rendering always gives the same document.
+ *
+ * @module schema/Invoice
+ */
+
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: null },
+    gstin: { type: String, trim: true, uppercase: true, default: null },
+    address: { type: String, trim: true, default: null },
+    state: { type: String, trim: true, default: null },
+    // Two-digit GST state code, e.g. '27' for Maharashtra
+    stateCode: { type: String, trim: true, default: null },
+    email: { type: String, trim: true, lowercase: true, default: null },
+    phone: { type: String, trim: true, default: null }
+  },
+  { _id: false }
+);
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    // HSN for goods, SAC for services
+    hsnSac: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    // Tax-inclusive unit price in rupees
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Tax-inclusive line total in rupees
+    amount: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    documentType: {
+      type: String,
+      enum: {
+        values: ['TAX_INVOICE', 'CREDIT_NOTE'],
+        message: '{VALUE} is not a valid document type'
+      },
+      required: true
+    },
+
+    // e.g. MOT/INV/2026-27/000123
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+
+    // Indian financial year the number belongs to, e.g. '2026-27'
+    financialYear: {
+      type: String,
+      required: true
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true
+    },
+
+    orderId: {
+      type: String,
+      trim: true,
+      required: true
+    },
+
+    // Payment.type at issue time (EVENT, SESSION, MEMBERSHIP, ...)
+    paymentType: {
+      type: String,
+      required: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+
+    seller: {
+      type: partySchema,
+      required: true
+    },
+
+    buyer: {
+      type: partySchema,
+      required: true
+    },
+
+    placeOfSupply: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // INTRA_STATE splits tax into CGST + SGST, INTER_STATE charges IGST
+    supplyType: {
+      type: String,
+      enum: ['INTRA_STATE', 'INTER_STATE'],
+      required: true
+    },
+
+    lineItems: {
+      type: [lineItemSchema],
+      default: []
+    },
+
+    couponCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // GST rate in percent, e.g. 18
+    gstRate: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    taxableValue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+
+    totalTax: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    // Tax-inclusive total: amount paid for an invoice, amount refunded for a credit note
+    grandTotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    paymentMethod: {
+      type: String,
+      trim: true,
+      default: 'RAZORPAY'
+    },
+
+    // ---- Credit note only ----
+
+    originalInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
+    },
+
+    originalInvoiceNumber: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Gateway refund ID the credit note was issued for
+    refundId: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Set while a process is assigning the number to a DRAFT
+    numberingClaimedAt: {
+      type: Date,
+      default: null
+    },
+
+    // ---- Stored PDF ----
+
+    pdf: {
+      url: { type: String, default: null },
+      publicId: { type: String, default: null },
+      generatedAt: { type: Date, default: null }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+invoiceSchema.index({ documentType: 1, issuedAt: -1 });
+invoiceSchema.index({ paymentId: 1, issuedAt: 1 });
+
+// One tax invoice per payment
+invoiceSchema.index(
+  { paymentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { documentType: 'TAX_INVOICE' }
+  }
+);
+
+// One credit note per gateway refund
+invoiceSchema.index(
+  { refundId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { documentType: 'CREDIT_NOTE' }
+  }
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
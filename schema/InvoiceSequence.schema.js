@@ -0,0 +1,49 @@
+/**
+ * @fileoverview InvoiceSequence schema — counters for invoice numbers
+ *
+ * One document per series and financial year, e.g. `INV/2026-27` or
+ * `CN/2026-27`. GST rules require invoice numbers to be consecutive within a
+ * financial year, so numbers come from an atomic $inc here rather than from a
+ * count of existing invoices.
+ *
+ * @module schema/InvoiceSequence
+ */
+
+import mongoose from 'mongoose';
+
+const invoiceSequenceSchema = new mongoose.Schema(
+  {
+    // Series key, e.g. 'INV/2026-27'
+    _id: {
+      type: String,
+      required: true
+    },
+
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Reserve the next number in a series
+ * @param {string} key - Series key
+ * @returns {Promise<number>} The reserved number (1-based)
+ */
+invoiceSequenceSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+const InvoiceSequence = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
+
+export default InvoiceSequence;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { searchIndexPlugin } from "../utils/searchIndex.util.js";
 
 const jobPostSchema = new mongoose.Schema(
   {
@@ -32,6 +33,21 @@ const jobPostSchema = new mongoose.Schema(
 jobPostSchema.index({ createdAt: -1 });
 jobPostSchema.index({ isActive: 1, createdAt: -1 });
 
+/**
+ * Search index (see utils/searchIndex.util.js). Each comma-separated part of
+ * a location ("Pune, Maharashtra") is a city facet.
+ */
+const locationParts = (location) => (location || "").split(/[,/|]/).map((part) => part.trim());
+
+jobPostSchema.plugin(searchIndexPlugin, {
+  watch: ["title", "company", "description", "opportunityType", "location", "opportunityLocation"],
+  build: (job) => ({
+    primary: [job.title, job.company],
+    secondary: [job.opportunityType, job.location, job.description],
+    facets: { city: [...locationParts(job.location), ...locationParts(job.opportunityLocation)] },
+  }),
+});
+
 jobPostSchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
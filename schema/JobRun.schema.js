@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Run history of scheduled jobs — one document per attempt
+ *
+ * Entries expire after RETENTION_DAYS (TTL index).
+ *
+ * @module schema/JobRun
+ */
+
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = 30;
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * SCHEDULE: due by its trigger; RETRY: after a failed attempt; MANUAL: run from the admin panel
+     */
+    reason: {
+      type: String,
+      enum: ["SCHEDULE", "RETRY", "MANUAL"],
+      required: true,
+    },
+
+    attempt: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    /**
+     * RUNNING until it ends; ABANDONED when the instance running it went away
+     */
+    status: {
+      type: String,
+      enum: ["RUNNING", "SUCCEEDED", "FAILED", "TIMED_OUT", "ABANDONED"],
+      default: "RUNNING",
+    },
+
+    /**
+     * Server instance that ran it (hostname:pid)
+     */
+    instanceId: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Admin who asked for a manual run
+     */
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * What the job returned (counts and the like)
+     */
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    error: {
+      message: { type: String, default: null },
+      stack: { type: String, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+jobRunSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview OtpChallenge schema — one-time codes sent to a phone
+ *
+ * Only a keyed hash of the code is stored. A challenge is good for one
+ * successful verification, a limited number of wrong guesses, and until
+ * `expiresAt`; MongoDB's TTL monitor removes it a day after that, so recent
+ * challenges are still around for the per-phone send limits.
+ *
+ * @module schema/OtpChallenge
+ */
+
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = ['LOGIN', 'PASSWORD_RESET'];
+
+const otpChallengeSchema = new mongoose.Schema(
+  {
+    // Normalized 10-digit phone
+    phone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    purpose: {
+      type: String,
+      enum: {
+        values: OTP_PURPOSES,
+        message: '{VALUE} is not a valid OTP purpose'
+      },
+      required: true
+    },
+
+    // Null for a phone without an account: nothing was sent, the request is
+    // kept only so the send limits treat that phone like any other
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    // HMAC-SHA256 of the code — never the code itself
+    codeHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    maxAttempts: {
+      type: Number,
+      required: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Set on successful verification, or when a newer code replaces this one
+    consumedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Channel the code went out on (WHATSAPP, STUB)
+    provider: {
+      type: String,
+      default: null
+    },
+
+    requestIp: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+otpChallengeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+
+// Kept for a day after expiry so the hourly send limit can still count it
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+export default OtpChallenge;
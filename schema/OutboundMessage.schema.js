@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Outbound message queue — one document per WhatsApp message,
+ * email or push send, holding what is needed to (re)send it
+ *
+ * The matching CommunicationLog entry is what admins see; this is the
+ * delivery state behind it. Delivered messages expire after
+ * SENT_RETENTION_DAYS (TTL index); dead ones are kept until retried.
+ *
+ * @module schema/OutboundMessage
+ */
+
+import mongoose from "mongoose";
+
+const SENT_RETENTION_DAYS = 7;
+
+const outboundMessageSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["WHATSAPP", "EMAIL", "PUSH"],
+      required: true,
+    },
+
+    /**
+     * Provider request (template message, mail options or FCM message).
+     * null for messages that must not be stored, such as OTPs; those get a
+     * single attempt.
+     */
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    communicationLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommunicationLog",
+      default: null,
+    },
+
+    /**
+     * QUEUED: waiting for its (next) attempt; SENDING: an instance is on it
+     * until lockedUntil; SENT: delivered; DEAD: out of attempts or rejected
+     * for good (dead letter), until an admin retries it
+     */
+    status: {
+      type: String,
+      enum: ["QUEUED", "SENDING", "SENT", "DEAD"],
+      default: "QUEUED",
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Not sent after this, e.g. a waitlist offer whose hold has run out
+     */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+
+    deadAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * MAX_ATTEMPTS, REJECTED (provider refused it, retrying will not help) or EXPIRED
+     */
+    deadReason: {
+      type: String,
+      enum: ["MAX_ATTEMPTS", "REJECTED", "EXPIRED", null],
+      default: null,
+    },
+
+    /**
+     * Admin retries of the dead letter
+     */
+    manualRetries: [
+      {
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ communicationLogId: 1 });
+outboundMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const OutboundMessage = mongoose.model("OutboundMessage", outboundMessageSchema);
+
+export default OutboundMessage;
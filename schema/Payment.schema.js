@@ -5,6 +5,96 @@
 
 import mongoose from 'mongoose';
 
+/**
+ * One refund issued against a payment. Kept on the payment itself as its audit
+ * trail: who refunded, how much, why, and what was reversed as a result.
+ */
+const refundSchema = new mongoose.Schema({
+  /**
+   * Gateway refund ID (rfnd_...)
+   */
+  refundId: {
+    type: String,
+    trim: true,
+    required: true
+  },
+
+  /**
+   * Amount refunded in rupees
+   */
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+
+  /**
+   * FULL refunds reverse every linked entity; PARTIAL only the tickets listed
+   */
+  scope: {
+    type: String,
+    enum: ['FULL', 'PARTIAL'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  /**
+   * PENDING until Razorpay's refund.processed webhook (or an instant mock refund)
+   */
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSED'],
+    default: 'PENDING'
+  },
+
+  /**
+   * ADMIN = issued through the API, GATEWAY = issued from the Razorpay dashboard,
+   * BUYER = the buyer refunded an unclaimed gift
+   */
+  source: {
+    type: String,
+    enum: ['ADMIN', 'GATEWAY', 'BUYER'],
+    default: 'ADMIN'
+  },
+
+  /**
+   * Ticket phones cancelled by a partial EVENT refund
+   */
+  phones: {
+    type: [String],
+    default: []
+  },
+
+  /**
+   * What was reversed, e.g. ['tickets:9876543210', 'seat:A1', 'coupon:SAVE10']
+   */
+  reversals: {
+    type: [String],
+    default: []
+  },
+
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+
+  initiatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: true });
+
 const paymentSchema = new mongoose.Schema({
   /**
    * Razorpay order ID
@@ -51,7 +141,7 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Payment type is required'],
     enum: {
-      values: ['EVENT', 'SESSION', 'MEMBERSHIP', 'MEMBERSHIP_REQUEST', 'SERVICE', 'OTHER', 'PRODUCT', 'SOS'],
+      values: ['EVENT', 'SESSION', 'MEMBERSHIP', 'MEMBERSHIP_REQUEST', 'SERVICE', 'FEATURE_REQUEST', 'GIFT', 'OTHER', 'PRODUCT', 'SOS'],
       message: '{VALUE} is not a valid payment type'
     }
   },
@@ -155,12 +245,29 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['PENDING', 'SUCCESS', 'FAILED', 'REFUNDED'],
+      values: ['PENDING', 'SUCCESS', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
       message: '{VALUE} is not a valid payment status'
     },
     default: 'PENDING'
   },
 
+  /**
+   * Total refunded so far in rupees (sum of refunds[].amount)
+   */
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+
+  /**
+   * Refund history — see refundSchema above
+   */
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+
   /**
    * Date and time of purchase
    */
@@ -184,6 +291,33 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     trim: true,
     default: null
+  },
+
+  /**
+   * What the webhook created for this payment once it succeeded (enrollment,
+   * membership, booking...). A PENDING or FAILED fulfillment is run again by
+   * the next webhook delivery or an admin replay, even though the payment is
+   * already SUCCESS. Payments from before this field existed have no status
+   * and are never re-run.
+   */
+  fulfillment: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'PROCESSING', 'DONE', 'FAILED'],
+      default: 'PENDING'
+    },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    // Non-repeatable steps already done, so a retry skips them
+    steps: { type: [String], default: [] },
+    // Enrollment issued for an EVENT payment, reused by a retry
+    enrollmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventEnrollment',
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -202,11 +336,29 @@ paymentSchema.index({ serviceOrderId: 1, status: 1 });
 paymentSchema.index({ phone: 1, status: 1 });
 paymentSchema.index({ purchaseDateTime: -1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'refunds.refundId': 1 });
 
 /**
  * Compound index for user and coupon usage tracking
  */
 paymentSchema.index({ userId: 1, couponCode: 1 });
+paymentSchema.index({ couponCode: 1, status: 1 });
+
+/**
+ * Unsettled pricing tier holds, for the hold sweep (services/ticketTier.service.js)
+ */
+paymentSchema.index(
+  { 'metadata.tierHold.expiresAt': 1 },
+  { partialFilterExpression: { 'metadata.tierHold.status': 'HELD' } }
+);
+
+/**
+ * Unsettled coupon holds, for the hold sweep (services/couponHold.service.js)
+ */
+paymentSchema.index(
+  { 'metadata.couponHold.expiresAt': 1 },
+  { partialFilterExpression: { 'metadata.couponHold.status': 'HELD' } }
+);
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
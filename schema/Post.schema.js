@@ -10,6 +10,8 @@
  */
 
 import mongoose from "mongoose";
+import { searchIndexPlugin } from "../utils/searchIndex.util.js";
+import { extractHashtags } from "../utils/hashtag.util.js";
 
 const postSchema = new mongoose.Schema(
   {
@@ -153,6 +155,32 @@ const postSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Lowercased #hashtags from the caption and content, kept in sync on save
+     */
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+
+    /**
+     * Users linked by @mentions in the caption (see services/mention.service.js)
+     */
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+
+    /**
+     * Admin boost for explore ranking (see services/feedRanking.service.js).
+     * The post's score is multiplied by weight until the given date; a null
+     * date keeps the boost until an admin changes it.
+     */
+    boost: {
+      weight: { type: Number, min: 1, max: 10, default: 1 },
+      until:  { type: Date, default: null },
+    },
+
     /**
      * Soft delete flag
      */
@@ -162,6 +190,16 @@ const postSchema = new mongoose.Schema(
       select: false,
     },
 
+    /**
+     * Hidden by a moderator (see services/moderation.service.js). Unlike a
+     * soft delete this is reversible from the moderation queue.
+     */
+    isHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+
     /**
      * Deletion timestamp
      */
@@ -186,6 +224,20 @@ postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ isDeleted: 1, createdAt: -1 });
 postSchema.index({ club: 1, createdAt: -1 });
 postSchema.index({ club: 1, isDeleted: 1 });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ mentions: 1, createdAt: -1 });
+
+/**
+ * Search index (see utils/searchIndex.util.js): admin titles rank above
+ * caption and content words
+ */
+postSchema.plugin(searchIndexPlugin, {
+  watch: ["title", "caption", "content"],
+  build: (post) => ({
+    primary: [post.title],
+    secondary: [post.caption, post.content],
+  }),
+});
 
 /**
  * Pre-query middleware to exclude soft deleted posts
@@ -194,6 +246,18 @@ postSchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
   }
+  if (!this.getQuery().hasOwnProperty("isHidden")) {
+    this.where({ isHidden: { $ne: true } });
+  }
+});
+
+/**
+ * Re-extract hashtags whenever the text they come from changes
+ */
+postSchema.pre("save", function () {
+  if (this.isNew || this.isModified("caption") || this.isModified("content")) {
+    this.hashtags = extractHashtags(this.caption, this.content);
+  }
 });
 
 /**
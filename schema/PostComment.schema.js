@@ -5,6 +5,7 @@
  */
 
 import mongoose from "mongoose";
+import { extractHashtags } from "../utils/hashtag.util.js";
 
 const postCommentSchema = new mongoose.Schema(
   {
@@ -42,11 +43,27 @@ const postCommentSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Lowercased #hashtags in the text
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+    // Users linked by @mentions in the text (services/mention.service.js)
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
     isDeleted: {
       type: Boolean,
       default: false,
       select: false,
     },
+    // Hidden by a moderator; reversible, unlike isDeleted
+    isHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
     deletedAt: {
       type: Date,
       default: null,
@@ -63,11 +80,22 @@ const postCommentSchema = new mongoose.Schema(
 postCommentSchema.index({ post: 1, createdAt: -1 });
 postCommentSchema.index({ author: 1, createdAt: -1 });
 postCommentSchema.index({ isDeleted: 1 });
+postCommentSchema.index({ hashtags: 1, createdAt: -1 });
+postCommentSchema.index({ mentions: 1, createdAt: -1 });
 
 postCommentSchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
   }
+  if (!this.getQuery().hasOwnProperty("isHidden")) {
+    this.where({ isHidden: { $ne: true } });
+  }
+});
+
+postCommentSchema.pre("save", function () {
+  if (this.isNew || this.isModified("text")) {
+    this.hashtags = extractHashtags(this.text);
+  }
 });
 
 postCommentSchema.methods.softDelete = function () {
@@ -11,6 +11,8 @@ import {
   RECOMMENDATION_MAX_WORDS,
   countWords,
 } from "../src/Recommendation/recommendation.constants.js";
+import { searchIndexPlugin } from "../utils/searchIndex.util.js";
+import { extractHashtags } from "../utils/hashtag.util.js";
 
 const recommendationSchema = new mongoose.Schema(
   {
@@ -78,6 +80,22 @@ const recommendationSchema = new mongoose.Schema(
       ],
     },
 
+    /**
+     * Lowercased #hashtags in the text, re-extracted when the text changes.
+     */
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+
+    /**
+     * Users linked by @mentions in the text (see services/mention.service.js).
+     */
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+
     /**
      * Like count (denormalized for performance).
      */
@@ -105,6 +123,15 @@ const recommendationSchema = new mongoose.Schema(
       select: false,
     },
 
+    /**
+     * Hidden by a moderator after a report; can be unhidden.
+     */
+    isHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+
     /**
      * Deletion timestamp.
      */
@@ -128,6 +155,20 @@ recommendationSchema.index({ createdAt: -1 });
 recommendationSchema.index({ author: 1, createdAt: -1 });
 recommendationSchema.index({ tags: 1, createdAt: -1 });
 recommendationSchema.index({ isDeleted: 1, createdAt: -1 });
+recommendationSchema.index({ hashtags: 1, createdAt: -1 });
+recommendationSchema.index({ mentions: 1, createdAt: -1 });
+
+/**
+ * Search index (see utils/searchIndex.util.js). Tags are the primary field
+ * so "books" or a misspelt tag still finds tagged recommendations.
+ */
+recommendationSchema.plugin(searchIndexPlugin, {
+  watch: ["tags", "text"],
+  build: (recommendation) => ({
+    primary: [recommendation.tags || []],
+    secondary: [recommendation.text],
+  }),
+});
 
 /**
  * Pre-query middleware to exclude soft deleted recommendations by default.
@@ -136,6 +177,18 @@ recommendationSchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
   }
+  if (!this.getQuery().hasOwnProperty("isHidden")) {
+    this.where({ isHidden: { $ne: true } });
+  }
+});
+
+/**
+ * Keep hashtags in sync with the text.
+ */
+recommendationSchema.pre("save", function () {
+  if (this.isNew || this.isModified("text")) {
+    this.hashtags = extractHashtags(this.text);
+  }
 });
 
 /**
@@ -51,6 +51,12 @@ const recommendationCommentSchema = new mongoose.Schema(
       default: false,
       select: false,
     },
+    // Hidden by a moderator; reversible, unlike isDeleted
+    isHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
     deletedAt: {
       type: Date,
       default: null,
@@ -72,6 +78,9 @@ recommendationCommentSchema.pre(/^find/, function () {
   if (!this.getQuery().hasOwnProperty("isDeleted")) {
     this.where({ isDeleted: false });
   }
+  if (!this.getQuery().hasOwnProperty("isHidden")) {
+    this.where({ isHidden: { $ne: true } });
+  }
 });
 
 recommendationCommentSchema.methods.softDelete = function () {
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview RoleTemplate schema — edited permission sets for admin roles
+ *
+ * One document per role. A role with no document uses the built-in defaults
+ * from config/permissions.config.js, so resetting a template is deleting it.
+ *
+ * @module schema/RoleTemplate
+ */
+
+import mongoose from 'mongoose';
+import { PERMISSIONS, TEMPLATE_ROLES } from '../config/permissions.config.js';
+
+const roleTemplateSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: {
+        values: TEMPLATE_ROLES,
+        message: '{VALUE} does not have an editable template'
+      },
+      required: true,
+      unique: true
+    },
+
+    permissions: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: PERMISSIONS,
+            message: '{VALUE} is not a known permission'
+          }
+        }
+      ],
+      default: []
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const RoleTemplate = mongoose.model('RoleTemplate', roleTemplateSchema);
+
+export default RoleTemplate;
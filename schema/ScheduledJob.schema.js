@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Scheduled background job — schedule, lease lock and last outcome
+ *
+ * One document per named job (see config/jobs.config.js). The schedule comes
+ * from code and is refreshed on every boot; `paused` and the run state are
+ * kept. Whichever server instance takes the lease runs the job; the others
+ * skip it until the lease expires.
+ *
+ * @module schema/ScheduledJob
+ */
+
+import mongoose from "mongoose";
+
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    /**
+     * Job name, e.g. "waitlist-sweep"
+     */
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * CRON: `cron` expression (server local time); INTERVAL: every `intervalSeconds`
+     */
+    trigger: {
+      type: {
+        type: String,
+        enum: ["CRON", "INTERVAL"],
+        required: true,
+      },
+      cron: {
+        type: String,
+        default: null,
+      },
+      intervalSeconds: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
+    },
+
+    /**
+     * Retries after a failure, with exponential backoff from backoffSeconds
+     */
+    maxAttempts: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    backoffSeconds: {
+      type: Number,
+      default: 60,
+      min: 1,
+    },
+
+    /**
+     * A run still going after this long is recorded as timed out
+     */
+    timeoutSeconds: {
+      type: Number,
+      default: 600,
+      min: 1,
+    },
+
+    /**
+     * Paused jobs skip their schedule; they can still be run by hand
+     */
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    /**
+     * Next scheduled run, or the retry of a failed one
+     */
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Attempt the next run will be (1 = not a retry)
+     */
+    attempt: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    /**
+     * Run requested from the admin panel, picked up on the next poll
+     */
+    manualRunRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    manualRunRequestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    /**
+     * Lease: instance running the job and until when it holds it
+     */
+    lock: {
+      owner: {
+        type: String,
+        default: null,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["SUCCEEDED", "FAILED", null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lastDurationMs: {
+      type: Number,
+      default: null,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+
+export default ScheduledJob;
@@ -19,18 +19,60 @@ const seatSchema = new mongoose.Schema(
     },
 
     /**
-     * Seat status
+     * Seat status. BLOCKED seats are taken out of sale by an admin
+     * (broken, reserved for crew, camera position...).
      */
     status: {
       type: String,
       required: true,
       enum: {
-        values: ["AVAILABLE", "RESERVED", "BOOKED", "CANCELLED"],
+        values: ["AVAILABLE", "RESERVED", "BOOKED", "CANCELLED", "BLOCKED"],
         message: "{VALUE} is not a valid seat status",
       },
       default: "AVAILABLE",
     },
 
+    /**
+     * Section code; null for seats added without a map position
+     */
+    section: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Row label and seat number within the row
+     */
+    row: {
+      type: String,
+      default: null,
+    },
+    number: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Position on the map grid (column, row). Seats next to each other in
+     * a row are 1 apart; an aisle leaves a gap.
+     */
+    x: {
+      type: Number,
+      default: null,
+    },
+    y: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Wheelchair-accessible seat
+     */
+    accessible: {
+      type: Boolean,
+      default: false,
+    },
+
     /**
      * User who booked this seat (final booking)
      */
@@ -86,6 +128,111 @@ const seatSchema = new mongoose.Schema(
   { _id: false } // Don't create separate _id for subdocuments
 );
 
+/**
+ * A block of seats on the map, with its price. Seats are generated from the
+ * geometry by services/seatMap.service.js.
+ */
+const sectionSchema = new mongoose.Schema(
+  {
+    /**
+     * Short code seats refer to (e.g. "VIP", "BALCONY")
+     */
+    code: {
+      type: String,
+      required: [true, "Section code is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Section code cannot exceed 20 characters"],
+    },
+
+    name: {
+      type: String,
+      required: [true, "Section name is required"],
+      trim: true,
+      maxlength: [100, "Section name cannot exceed 100 characters"],
+    },
+
+    /**
+     * Price per seat. Ignored when tierId is set; with neither, the seat
+     * costs the event's own price.
+     */
+    price: {
+      type: Number,
+      default: null,
+      min: [0, "Section price cannot be negative"],
+    },
+
+    /**
+     * Pricing tier of the event sold by this section (Event.pricingTiers._id).
+     * Its current price, early-bird included, is the seat price.
+     */
+    tierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * Display color for the app (e.g. "#D4AF37")
+     */
+    color: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Top-left corner of the section on the map grid
+     */
+    origin: {
+      x: { type: Number, default: 0, min: 0 },
+      y: { type: Number, default: 0, min: 0 },
+    },
+
+    /**
+     * Rows front to back. `offset` indents a row by that many columns.
+     */
+    rows: [
+      {
+        label: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true,
+        },
+        seats: {
+          type: Number,
+          required: true,
+          min: [1, "A row needs at least one seat"],
+        },
+        offset: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        _id: false,
+      },
+    ],
+
+    /**
+     * Seat numbers followed by an aisle
+     */
+    aisleAfter: {
+      type: [Number],
+      default: [],
+    },
+
+    /**
+     * Prepended to every seat label of the section (e.g. "V-" gives "V-A1")
+     */
+    labelPrefix: {
+      type: String,
+      default: "",
+      trim: true,
+      uppercase: true,
+    },
+  },
+  { _id: false }
+);
+
 const seatArrangementSchema = new mongoose.Schema(
   {
     /**
@@ -99,14 +246,28 @@ const seatArrangementSchema = new mongoose.Schema(
     },
 
     /**
-     * URL of the seat arrangement image
+     * URL of the seat arrangement image. Optional when the arrangement has
+     * sections: the app draws the map from the layout instead.
      */
     imageUrl: {
       type: String,
-      required: [true, "Seat arrangement image URL is required"],
+      required: [
+        function () {
+          return !this.sections || this.sections.length === 0;
+        },
+        "Seat arrangement image URL is required",
+      ],
       match: [/^https?:\/\/.+/, "Please provide a valid image URL"],
     },
 
+    /**
+     * Priced sections with row/column geometry (empty for a flat list of seats)
+     */
+    sections: {
+      type: [sectionSchema],
+      default: [],
+    },
+
     /**
      * Array of seats in this arrangement
      */
@@ -205,6 +366,15 @@ seatArrangementSchema.pre("save", function (next) {
       return next(new Error("Seat labels must be unique"));
     }
 
+    const sectionCodes = new Set(this.sections.map((section) => section.code));
+    if (sectionCodes.size !== this.sections.length) {
+      return next(new Error("Section codes must be unique"));
+    }
+    const orphan = this.seats.find((seat) => seat.section && !sectionCodes.has(seat.section));
+    if (orphan) {
+      return next(new Error(`Seat ${orphan.label} belongs to unknown section ${orphan.section}`));
+    }
+
     // Calculate counts
     this.totalSeats = this.seats.length;
     this.availableSeatsCount = this.seats.filter(
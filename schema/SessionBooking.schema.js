@@ -178,6 +178,15 @@ const sessionBookingSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+
+    /**
+     * Slot the last calendar invite was emailed for; null after a cancellation
+     * notice (see services/calendar.service.js)
+     */
+    calendarInviteSlot: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Ticket scan log — every entry and exit scan, online or synced from an offline device
+ *
+ * The ticket documents only keep the first scan (isTicketScanned /
+ * ticketScannedAt) and where the holder is now (attendanceStatus). This log
+ * keeps each scan with its gate, device and direction: it tells a repeat
+ * scan on the same device from the same ticket being admitted at two doors,
+ * and feeds the attendance dashboard's gate and time breakdowns.
+ *
+ * @module schema/TicketScan
+ */
+
+import mongoose from "mongoose";
+
+const ticketScanSchema = new mongoose.Schema(
+  {
+    /**
+     * Event the ticket belongs to
+     */
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+
+    /**
+     * Ticket source: "E" (EventEnrollment) or "C" (CashEventEnrollment)
+     */
+    ticketType: {
+      type: String,
+      enum: ["E", "C"],
+      required: true,
+    },
+
+    /**
+     * EventEnrollment or CashEventEnrollment ID
+     */
+    enrollmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    /**
+     * Ticket phone (last 10 digits)
+     */
+    phone: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Ticket identifier, see getTicketKey in utils/ticketSignature.util.js
+     */
+    ticketKey: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * ONLINE: scanned against the server; OFFLINE: uploaded in a batch sync
+     */
+    mode: {
+      type: String,
+      enum: ["ONLINE", "OFFLINE"],
+      required: true,
+    },
+
+    /**
+     * ENTRY or EXIT; holders may leave and re-enter
+     */
+    direction: {
+      type: String,
+      enum: ["ENTRY", "EXIT"],
+      default: "ENTRY",
+    },
+
+    /**
+     * Gate or door name, as configured on the scanner
+     */
+    gate: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * Scanner device (null for online scans made without one)
+     */
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * Device-generated ID of an offline scan; makes re-uploads idempotent
+     */
+    clientScanId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * When the ticket was scanned (device clock for offline scans)
+     */
+    scannedAt: {
+      type: Date,
+      required: true,
+    },
+
+    /**
+     * Admin signed in on the scanner, if any
+     */
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    /**
+     * ACCEPTED: first entry, or an exit of a holder who was inside
+     * RE_ENTRY: entry of a holder who had left
+     * DUPLICATE: entry while inside, on the device that let them in
+     * CONFLICT: entry while inside, on another device or online
+     * REJECTED: invalid, unknown or inactive ticket, or exit while outside
+     */
+    result: {
+      type: String,
+      enum: ["ACCEPTED", "RE_ENTRY", "DUPLICATE", "CONFLICT", "REJECTED"],
+      required: true,
+    },
+
+    /**
+     * Why a scan was rejected
+     */
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * For CONFLICT/DUPLICATE: the entry that let the holder in
+     */
+    firstScanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TicketScan",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+ticketScanSchema.index({ eventId: 1, ticketKey: 1, scannedAt: 1 });
+ticketScanSchema.index({ eventId: 1, result: 1, createdAt: -1 });
+ticketScanSchema.index({ eventId: 1, scannedAt: 1 });
+ticketScanSchema.index(
+  { deviceId: 1, clientScanId: 1 },
+  { unique: true, partialFilterExpression: { clientScanId: { $type: "string" } } }
+);
+
+const TicketScan = mongoose.model("TicketScan", ticketScanSchema);
+
+export default TicketScan;
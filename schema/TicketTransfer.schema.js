@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Ticket transfer history — one record per ticket handed to another phone
+ *
+ * The EventEnrollment tickets map only knows who holds a ticket now; this
+ * keeps who held it before, who moved it and whether both parties were told.
+ *
+ * @module schema/TicketTransfer
+ */
+
+import mongoose from "mongoose";
+
+const notificationResultSchema = new mongoose.Schema(
+  {
+    sent: { type: Boolean, default: false },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const ticketTransferSchema = new mongoose.Schema(
+  {
+    /**
+     * Enrollment the ticket belongs to
+     */
+    enrollmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventEnrollment",
+      required: true,
+    },
+
+    /**
+     * Event the ticket is for
+     */
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+
+    /**
+     * Tickets map key before and after the transfer
+     */
+    fromPhone: {
+      type: String,
+      required: true,
+    },
+    toPhone: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Recipient details given by the sender
+     */
+    toName: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    toEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    /**
+     * Recipient's account, if the phone has one
+     */
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    /**
+     * User who made the transfer (the holder or the buyer)
+     */
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Seat that moved with the ticket
+     */
+    assignedSeat: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * 1 for the ticket's first transfer, 2 for the next, ...
+     */
+    transferNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    /**
+     * New ticket image sent to the recipient
+     */
+    ticketUrl: {
+      type: String,
+      default: null,
+    },
+
+    notifications: {
+      recipientWhatsapp: { type: notificationResultSchema, default: () => ({}) },
+      recipientEmail: { type: notificationResultSchema, default: () => ({}) },
+      senderWhatsapp: { type: notificationResultSchema, default: () => ({}) },
+      senderEmail: { type: notificationResultSchema, default: () => ({}) },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+ticketTransferSchema.index({ enrollmentId: 1, createdAt: -1 });
+ticketTransferSchema.index({ eventId: 1, createdAt: -1 });
+ticketTransferSchema.index({ toPhone: 1 });
+
+const TicketTransfer = mongoose.model("TicketTransfer", ticketTransferSchema);
+
+export default TicketTransfer;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { searchIndexPlugin, tokenize } from "../utils/searchIndex.util.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -59,6 +60,15 @@ const userSchema = new mongoose.Schema(
       maxlength: 500,
       default: null,
     },
+    /**
+     * City the user lives in, used as a people-search filter
+     */
+    city: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
     lifeExperiences: {
       type: [String],
       default: null,
@@ -121,13 +131,53 @@ const userSchema = new mongoose.Schema(
       min: 0,
     },
     /**
-     * Privacy settings: user controls what others can see on their profile
+     * Privacy settings: user controls what others can see on their profile.
+     * isPrivate turns follows into requests the user approves, and limits
+     * posts and follower/following lists to approved followers.
      */
     privacySettings: {
       showOccupation: { type: Boolean, default: true },
       showAge:        { type: Boolean, default: true },
       showBio:        { type: Boolean, default: true },
       showPosts:      { type: Boolean, default: true },
+      showCity:       { type: Boolean, default: true },
+      isPrivate:      { type: Boolean, default: false },
+    },
+    /**
+     * Secret in the user's private iCal feed URL (see services/calendar.service.js).
+     * Left unset until the user asks for the URL; the sparse index only works
+     * when the field is absent.
+     */
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
+    /**
+     * Personal referral code (see services/userReferral.service.js). Created
+     * the first time the user opens their referral page.
+     */
+    referralCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    /**
+     * Credits earned from referrals, net of refunded ones
+     */
+    referralCredits: {
+      type: Number,
+      default: 0,
+    },
+    /**
+     * Moderation state (see services/moderation.service.js). A suspended user
+     * can still log in and browse but cannot post, comment, like or follow
+     * until suspendedUntil has passed.
+     */
+    moderation: {
+      warningCount:     { type: Number, default: 0 },
+      lastWarnedAt:     { type: Date, default: null },
+      suspendedUntil:   { type: Date, default: null },
+      suspensionReason: { type: String, default: null },
     },
     /**
      * FCM tokens for push notifications (supports multiple devices)
@@ -198,8 +248,31 @@ userSchema.methods.softDelete = function () {
   return this.save();
 };
 
+/**
+ * People search (see utils/searchIndex.util.js). Email and phone are never
+ * indexed, and fields the user hides from their profile are left out so
+ * they can't be found through them.
+ */
+userSchema.plugin(searchIndexPlugin, {
+  watch: ["name", "occupation", "bio", "city", "privacySettings"],
+  build: (user) => {
+    const privacy = user.privacySettings || {};
+    const occupation = privacy.showOccupation !== false ? user.occupation : null;
+    return {
+      primary: [user.name],
+      secondary: [occupation, privacy.showBio !== false ? user.bio : null],
+      facets: {
+        city: privacy.showCity !== false ? [user.city] : [],
+        occ: tokenize(occupation),
+      },
+    };
+  },
+});
+
 // Index for faster queries
 // Note: email already has unique: true which creates an index automatically
 userSchema.index({ isDeleted: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
 
 export default mongoose.model("User", userSchema);
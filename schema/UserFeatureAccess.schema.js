@@ -55,7 +55,7 @@ const userFeatureAccessSchema = new mongoose.Schema(
      */
     source: {
       type: String,
-      enum: ['FEATURE_REQUEST', 'ADMIN_GRANT', 'PROMOTIONAL'],
+      enum: ['FEATURE_REQUEST', 'ADMIN_GRANT', 'PROMOTIONAL', 'GIFT'],
       default: 'FEATURE_REQUEST'
     },
 
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview UserReferral schema - one successful purchase made with a
+ * user's personal referral code. The referee got the discount at checkout;
+ * the referrer is credited when the payment succeeds and debited again if it
+ * is fully refunded.
+ * @module schema/UserReferral
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * EARNED = payment succeeded, credits added to the referrer.
+ * REVERSED = payment refunded, credits taken back.
+ */
+export const USER_REFERRAL_STATUSES = ['EARNED', 'REVERSED'];
+
+const userReferralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer is required']
+  },
+  // Code as entered, kept even if the referrer's code changes
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  refereeUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Normalized to the last 10 digits; guests are tracked by phone
+  refereePhone: {
+    type: String,
+    required: [true, 'Referee phone is required'],
+    match: [/^\d{10}$/, 'Referee phone must be exactly 10 digits (normalized)']
+  },
+
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  paymentType: {
+    type: String,
+    required: true
+  },
+  orderAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Referee's discount at checkout
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Credits given to the referrer
+  creditAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: USER_REFERRAL_STATUSES,
+    default: 'EARNED'
+  },
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A payment is credited once, however many webhooks report it
+userReferralSchema.index({ paymentId: 1 }, { unique: true });
+// A referee counts for one referrer only, once
+userReferralSchema.index(
+  { refereePhone: 1 },
+  { unique: true, partialFilterExpression: { status: 'EARNED' } }
+);
+userReferralSchema.index({ referrerId: 1, status: 1, earnedAt: -1 });
+userReferralSchema.index({ status: 1, earnedAt: -1 });
+
+const UserReferral = mongoose.model('UserReferral', userReferralSchema);
+
+export default UserReferral;
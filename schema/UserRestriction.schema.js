@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Block and mute relations between users for Connect
+ * @module schema/UserRestriction
+ *
+ * - BLOCK: neither side sees the other's posts, comments, stories or profile,
+ *   and neither can follow, like or comment on the other. Blocking also
+ *   removes any follow in both directions.
+ * - MUTE: the muted user's content is hidden from the muting user only; the
+ *   muted user notices nothing.
+ */
+
+import mongoose from "mongoose";
+
+export const RESTRICTION_TYPES = ["BLOCK", "MUTE"];
+
+const userRestrictionSchema = new mongoose.Schema(
+  {
+    /**
+     * The user who blocked or muted
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * The user being blocked or muted
+     */
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: RESTRICTION_TYPES,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * One relation of each type per pair; also serves "who did I block/mute"
+ */
+userRestrictionSchema.index({ user: 1, type: 1, target: 1 }, { unique: true });
+
+/**
+ * Who blocked me
+ */
+userRestrictionSchema.index({ target: 1, type: 1 });
+
+/**
+ * Pre-save validation: prevent restricting yourself
+ */
+userRestrictionSchema.pre("save", function (next) {
+  if (this.user.toString() === this.target.toString()) {
+    return next(new Error("Cannot block or mute yourself"));
+  }
+  next();
+});
+
+/**
+ * Whether either user has blocked the other
+ * @param {string|ObjectId} userId1
+ * @param {string|ObjectId} userId2
+ * @returns {Promise<boolean>}
+ */
+userRestrictionSchema.statics.isBlockedBetween = async function (userId1, userId2) {
+  const block = await this.exists({
+    type: "BLOCK",
+    $or: [
+      { user: userId1, target: userId2 },
+      { user: userId2, target: userId1 },
+    ],
+  });
+  return !!block;
+};
+
+/**
+ * Users whose content should not be shown to the viewer: everyone the viewer
+ * blocked or muted, plus everyone who blocked the viewer
+ * @param {string|ObjectId} viewerId
+ * @returns {Promise<ObjectId[]>}
+ */
+userRestrictionSchema.statics.getHiddenUserIds = async function (viewerId) {
+  if (!viewerId) return [];
+
+  const restrictions = await this.find({
+    $or: [{ user: viewerId }, { target: viewerId, type: "BLOCK" }],
+  })
+    .select("user target")
+    .lean();
+
+  const viewer = viewerId.toString();
+  const seen = new Map();
+  for (const r of restrictions) {
+    const other = r.user.toString() === viewer ? r.target : r.user;
+    seen.set(other.toString(), other);
+  }
+  return [...seen.values()];
+};
+
+const UserRestriction = mongoose.model("UserRestriction", userRestrictionSchema);
+
+export default UserRestriction;
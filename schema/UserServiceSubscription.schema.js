@@ -39,7 +39,17 @@ const userServiceSubscriptionSchema = new mongoose.Schema(
     serviceOrderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ServiceOrder",
-      required: true,
+      required: function () {
+        return !this.giftId;
+      },
+    },
+    /**
+     * Gift that created this subscription (instead of a service order)
+     */
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+      default: null,
     },
     /**
      * Subscription status
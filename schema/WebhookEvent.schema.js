@@ -0,0 +1,182 @@
+/**
+ * @fileoverview WebhookEvent schema — persisted inbox of incoming Razorpay webhooks
+ *
+ * Razorpay retries a webhook until it gets a 2xx, and a single payment fires
+ * several overlapping events (payment.captured, order.paid, payment_link.paid).
+ * Every delivery is stored here keyed by its `x-razorpay-event-id`, so a retry
+ * of an event we already processed is recognised and skipped instead of
+ * creating a second enrollment / membership / subscription.
+ *
+ * Status lifecycle:
+ *   RECEIVED   -> stored, not yet picked up
+ *   PROCESSING -> claimed by one worker (the claim is atomic, see `claim`)
+ *   PROCESSED  -> handler finished; never run again
+ *   FAILED     -> handler threw; can be retried by Razorpay or replayed by an admin
+ *
+ * @module schema/WebhookEvent
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * A PROCESSING claim older than this is treated as abandoned (the process died
+ * mid-handler) and may be claimed again.
+ */
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // x-razorpay-event-id. Same value on every retry of the same event.
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+      unique: true,
+      trim: true
+    },
+
+    provider: {
+      type: String,
+      enum: ['RAZORPAY'],
+      default: 'RAZORPAY'
+    },
+
+    // e.g. 'payment.captured', 'refund.processed'
+    event: {
+      type: String,
+      required: [true, 'Event type is required'],
+      trim: true,
+      index: true
+    },
+
+    // Full parsed webhook body, kept so a failed event can be replayed as-is.
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED'],
+        message: '{VALUE} is not a valid webhook event status'
+      },
+      default: 'RECEIVED',
+      index: true
+    },
+
+    // Number of times a handler has been started for this event
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    lastError: {
+      type: String,
+      default: null
+    },
+
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+
+    processedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Times Razorpay delivered this same event id again after the first one
+    duplicateDeliveries: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // Admin who last triggered a manual replay (null when only Razorpay retried)
+    lastReplayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Store an incoming delivery. Idempotent: a second delivery of the same event
+ * id leaves the original record untouched and only bumps duplicateDeliveries.
+ *
+ * @param {Object} data
+ * @param {string} data.eventId
+ * @param {string} data.event
+ * @param {Object} data.payload
+ * @returns {Promise<{record: Object, isDuplicate: boolean}>}
+ */
+webhookEventSchema.statics.record = async function ({ eventId, event, payload }) {
+  const result = await this.findOneAndUpdate(
+    { eventId },
+    {
+      $setOnInsert: { eventId, event, payload, status: 'RECEIVED' }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  const isDuplicate = Boolean(result.lastErrorObject?.updatedExisting);
+
+  if (isDuplicate) {
+    await this.updateOne({ eventId }, { $inc: { duplicateDeliveries: 1 } });
+  }
+
+  return { record: result.value, isDuplicate };
+};
+
+/**
+ * Claim an event for processing.
+ *
+ * Atomic: the status check is part of the query, so when Razorpay delivers the
+ * same event twice at the same moment only one request gets the claim. The
+ * other gets null and must not run the handler.
+ *
+ * @param {string} eventId
+ * @returns {Promise<Object|null>} the claimed record, or null if already processed / in flight
+ */
+webhookEventSchema.statics.claim = function (eventId) {
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+
+  return this.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: ['RECEIVED', 'FAILED'] } },
+        { status: 'PROCESSING', lastAttemptAt: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'PROCESSING', lastAttemptAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+webhookEventSchema.methods.markProcessed = function () {
+  this.status = 'PROCESSED';
+  this.processedAt = new Date();
+  this.lastError = null;
+  return this.save();
+};
+
+webhookEventSchema.methods.markFailed = function (error) {
+  this.status = 'FAILED';
+  this.lastError = error?.message || String(error);
+  return this.save();
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
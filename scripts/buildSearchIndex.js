@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Backfill script for the search index
+ * Builds searchKeys (see utils/searchIndex.util.js) for every user, post,
+ * club, recommendation and job post. Run once after deploying search, and
+ * again whenever the way keys are built changes.
+ * @module scripts/buildSearchIndex
+ */
+
+import dotenv from 'dotenv';
+import connectDB from '../config/database.config.js';
+import User from '../schema/User.schema.js';
+import Post from '../schema/Post.schema.js';
+import Club from '../schema/Club.schema.js';
+import Recommendation from '../schema/Recommendation.schema.js';
+import JobPost from '../schema/JobPost.schema.js';
+
+dotenv.config();
+
+const buildSearchIndex = async () => {
+  try {
+    console.log('[MIGRATION] Building search index...');
+
+    await connectDB();
+    console.log('[MIGRATION] Connected to database');
+
+    for (const model of [User, Post, Club, Recommendation, JobPost]) {
+      await model.createIndexes();
+      const processed = await model.rebuildSearchKeys();
+      console.log(`[MIGRATION] ${model.modelName}: ${processed} documents indexed`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('[MIGRATION] Search index build failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+buildSearchIndex();
@@ -1,7 +1,8 @@
 /**
  * @fileoverview Cash Ticket Audit Script
  * Compares OfflineCash and CashEventEnrollment records to find discrepancies
- * Runs on server startup and generates a markdown report
+ * Run daily (and once when the job is first created) by the
+ * "cash-ticket-audit" job; generates a markdown report
  */
 
 import fs from "fs";
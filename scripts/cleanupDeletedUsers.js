@@ -2,8 +2,9 @@
  * @fileoverview Cleanup script for permanently deleting soft-deleted users
  * after the 30-day grace period has expired.
  *
- * Runs on server startup and removes users (and their related data)
- * who were soft-deleted more than 30 days ago.
+ * Run daily (and once when the job is first created) by the
+ * "deleted-users-cleanup" job; removes users (and their related data) who
+ * were soft-deleted more than 30 days ago.
  */
 
 import User from '../schema/User.schema.js';
@@ -64,4 +65,6 @@ export const cleanupDeletedUsers = async () => {
     failed: failCount,
     timestamp: new Date().toISOString()
   });
+
+  return { total: expiredUsers.length, success: successCount, failed: failCount };
 };
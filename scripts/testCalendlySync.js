@@ -13,13 +13,12 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 await mongoose.connect(process.env.MONGODB_URL);
 console.log('Connected to DB\n');
 
-const { startCalendlySyncJob } = await import('../services/calendlySync.service.js');
+const { syncCalendlyBookings } = await import('../services/calendlySync.service.js');
 
-// Run one cycle (startup call inside startCalendlySyncJob runs immediately)
-startCalendlySyncJob();
-
-// Wait 15s for it to finish, then disconnect
-setTimeout(async () => {
+// Run one cycle
+try {
+  console.log(await syncCalendlyBookings());
+} finally {
   await mongoose.disconnect();
-  process.exit(0);
-}, 15000);
+}
+process.exit(0);
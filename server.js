@@ -1,15 +1,14 @@
-import dotenv from "dotenv";
-
-dotenv.config();
+// Must stay the first import: modules below read process.env when they load
+import "dotenv/config";
 
 // app imports
+// Audit trail plugin must be registered before any model is compiled
+import "./config/auditTrail.config.js";
 import app from "./config/express.config.js";
 import connectDB from "./config/database.config.js";
-import { runCashTicketAudit } from "./scripts/cashTicketAudit.js";
 import seedFeatureAccess from "./seeds/featureAccessSeed.js";
-import { cleanupDeletedUsers } from "./scripts/cleanupDeletedUsers.js";
-import { startCalendlySyncJob } from "./services/calendlySync.service.js";
-import { startChallengeReminderJobs } from "./services/challengeReminder.service.js";
+import { registerJobs } from "./config/jobs.config.js";
+import { startJobScheduler } from "./services/jobScheduler.service.js";
 
 const PORT = process.env.PORT || 3000;
 
@@ -51,22 +50,14 @@ const startServer = async () => {
       console.error("> Feature access seed failed:", err.message);
     });
 
-    // Run cash ticket audit on startup (non-blocking)
-    runCashTicketAudit().catch((err) => {
-      console.error("> Cash ticket audit failed:", err.message);
-    });
-
-    // Cleanup soft-deleted users past 30-day grace period (non-blocking)
-    cleanupDeletedUsers().catch((err) => {
-      console.error("> Deleted users cleanup failed:", err.message);
+    // Background jobs (Calendly sync, reminders, waitlist sweep, retention
+    // and cleanups) — stored in MongoDB and leased, so with several instances
+    // each run happens once (non-blocking)
+    registerJobs();
+    startJobScheduler().catch((err) => {
+      console.error("> Job scheduler failed to start:", err.message);
     });
 
-    // Start Calendly sync job — polls every 5 min to update scheduled bookings
-    startCalendlySyncJob();
-
-    // Start challenge reminder cron — 12:00 PM & 6:00 PM daily (server local time)
-    startChallengeReminderJobs();
-
     app.listen(PORT, () => {
       console.log(`> Server is running on port ${PORT}`);
     });
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Live attendance for an event — check-ins by tier, gate and time
+ *
+ * Ticket counts come from the tickets themselves (EventEnrollment tickets map
+ * and CashEventEnrollment), so tickets scanned before gates were tracked still
+ * count as checked in. Gate and time breakdowns come from the scan log
+ * (TicketScan), which only has scans made since.
+ *
+ * @module services/attendance
+ */
+
+import mongoose from "mongoose";
+import EventEnrollment from "../schema/EventEnrollment.schema.js";
+import CashEventEnrollment from "../schema/CashEventEnrollment.schema.js";
+import Event from "../schema/Event.schema.js";
+import TicketScan from "../schema/TicketScan.schema.js";
+
+export const DEFAULT_BUCKET_MINUTES = 15;
+
+// Tier labels for tickets without a pricing tier
+const STANDARD_TIER = "Standard";
+const CASH_TIER = "Cash";
+const UNNAMED_GATE = "Unassigned";
+
+/**
+ * Aggregation expression: holder is inside. Tickets scanned before gates
+ * were tracked have no attendanceStatus and count as inside.
+ * @param {string} prefix - Field path prefix, e.g. "$ticket."
+ */
+const insideExpr = (prefix) => ({
+  $or: [
+    { $eq: [`${prefix}attendanceStatus`, "INSIDE"] },
+    {
+      $and: [
+        { $eq: [{ $ifNull: [`${prefix}attendanceStatus`, null] }, null] },
+        { $eq: [`${prefix}isTicketScanned`, true] },
+      ],
+    },
+  ],
+});
+
+const countGroup = (prefix) => ({
+  tickets: { $sum: 1 },
+  checkedIn: { $sum: { $cond: [{ $eq: [`${prefix}isTicketScanned`, true] }, 1, 0] } },
+  inside: { $sum: { $cond: [insideExpr(prefix), 1, 0] } },
+});
+
+/**
+ * Active tickets per tier, with how many checked in and are inside now
+ * @param {mongoose.Types.ObjectId} eventId
+ * @returns {Promise<Array<Object>>}
+ */
+const countTicketsByTier = async (eventId) => {
+  const [online, cash] = await Promise.all([
+    EventEnrollment.aggregate([
+      { $match: { eventId } },
+      { $project: { tierName: 1, ticket: { $objectToArray: "$tickets" } } },
+      { $unwind: "$ticket" },
+      { $match: { "ticket.v.status": "ACTIVE" } },
+      {
+        $group: {
+          _id: { $ifNull: ["$tierName", STANDARD_TIER] },
+          ...countGroup("$ticket.v."),
+        },
+      },
+    ]),
+    CashEventEnrollment.aggregate([
+      // Aggregations skip the soft-delete query hook
+      { $match: { eventId, status: "ACTIVE", isDeleted: { $ne: true } } },
+      { $group: { _id: CASH_TIER, ...countGroup("$") } },
+    ]),
+  ]);
+
+  return [...online, ...cash]
+    .map(({ _id, tickets, checkedIn, inside }) => ({
+      tier: _id,
+      tickets,
+      checkedIn,
+      inside,
+      left: checkedIn - inside,
+      noShows: tickets - checkedIn,
+    }))
+    .sort((a, b) => b.tickets - a.tickets);
+};
+
+/**
+ * Entries, exits and refused scans per gate
+ * @param {mongoose.Types.ObjectId} eventId
+ * @returns {Promise<Array<Object>>}
+ */
+const countScansByGate = async (eventId) => {
+  const rows = await TicketScan.aggregate([
+    { $match: { eventId } },
+    {
+      $group: {
+        _id: { gate: { $ifNull: ["$gate", UNNAMED_GATE] }, direction: "$direction", result: "$result" },
+        count: { $sum: 1 },
+        lastScanAt: { $max: "$scannedAt" },
+      },
+    },
+  ]);
+
+  const gates = new Map();
+  for (const { _id, count, lastScanAt } of rows) {
+    const gate = gates.get(_id.gate) || {
+      gate: _id.gate,
+      entries: 0,
+      reEntries: 0,
+      exits: 0,
+      duplicates: 0,
+      conflicts: 0,
+      rejected: 0,
+      lastScanAt: null,
+    };
+
+    if (_id.result === "ACCEPTED") {
+      gate[_id.direction === "EXIT" ? "exits" : "entries"] += count;
+    } else if (_id.result === "RE_ENTRY") {
+      gate.reEntries += count;
+    } else if (_id.result === "DUPLICATE") {
+      gate.duplicates += count;
+    } else if (_id.result === "CONFLICT") {
+      gate.conflicts += count;
+    } else {
+      gate.rejected += count;
+    }
+
+    if (!gate.lastScanAt || lastScanAt > gate.lastScanAt) {
+      gate.lastScanAt = lastScanAt;
+    }
+    gates.set(_id.gate, gate);
+  }
+
+  return [...gates.values()].sort((a, b) => b.entries + b.reEntries - (a.entries + a.reEntries));
+};
+
+/**
+ * Entries and exits per time bucket
+ * @param {mongoose.Types.ObjectId} eventId
+ * @param {number} bucketMinutes
+ * @param {Date} [since] - Only buckets from this time on
+ * @returns {Promise<Array<Object>>}
+ */
+const countScansByTime = async (eventId, bucketMinutes, since) => {
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const scannedAtMs = { $toLong: "$scannedAt" };
+
+  const rows = await TicketScan.aggregate([
+    {
+      $match: {
+        eventId,
+        result: { $in: ["ACCEPTED", "RE_ENTRY"] },
+        ...(since && { scannedAt: { $gte: since } }),
+      },
+    },
+    {
+      $group: {
+        _id: {
+          bucket: { $subtract: [scannedAtMs, { $mod: [scannedAtMs, bucketMs] }] },
+          direction: "$direction",
+          result: "$result",
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const buckets = new Map();
+  for (const { _id, count } of rows) {
+    const bucket = buckets.get(_id.bucket) || {
+      from: new Date(_id.bucket),
+      to: new Date(_id.bucket + bucketMs),
+      entries: 0,
+      reEntries: 0,
+      exits: 0,
+    };
+    if (_id.direction === "EXIT") bucket.exits += count;
+    else if (_id.result === "RE_ENTRY") bucket.reEntries += count;
+    else bucket.entries += count;
+    buckets.set(_id.bucket, bucket);
+  }
+
+  return [...buckets.values()].sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Attendance snapshot for an event
+ * @param {string} eventId
+ * @param {Object} [options]
+ * @param {number} [options.bucketMinutes]
+ * @param {Date} [options.since] - Start of the timeline
+ * @returns {Promise<Object|null>} Snapshot, or null if the event does not exist
+ */
+export const getAttendanceSnapshot = async (eventId, { bucketMinutes = DEFAULT_BUCKET_MINUTES, since } = {}) => {
+  const event = await Event.findById(eventId).select("name startDate endDate").lean();
+  if (!event) return null;
+
+  const id = new mongoose.Types.ObjectId(String(eventId));
+
+  const [byTier, byGate, timeline] = await Promise.all([
+    countTicketsByTier(id),
+    countScansByGate(id),
+    countScansByTime(id, bucketMinutes, since),
+  ]);
+
+  const sum = (field) => byTier.reduce((total, tier) => total + tier[field], 0);
+  const tickets = sum("tickets");
+  const checkedIn = sum("checkedIn");
+
+  return {
+    event: {
+      id: event._id,
+      name: event.name,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      hasStarted: event.startDate ? new Date(event.startDate) <= new Date() : false,
+    },
+    generatedAt: new Date(),
+    totals: {
+      tickets,
+      checkedIn,
+      inside: sum("inside"),
+      left: sum("left"),
+      noShows: tickets - checkedIn,
+      checkInRate: tickets > 0 ? Math.round((checkedIn / tickets) * 1000) / 10 : 0,
+    },
+    byTier,
+    byGate,
+    timeline: {
+      bucketMinutes,
+      buckets: timeline,
+    },
+  };
+};
+
+export default {
+  DEFAULT_BUCKET_MINUTES,
+  getAttendanceSnapshot,
+};
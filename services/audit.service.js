@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Admin audit log — storage and retention
+ *
+ * Entries are written after the response is sent and a failed write is only
+ * logged: the audit log must never turn a completed admin action into an
+ * error. Retention is AUDIT_LOG_RETENTION_DAYS (default 365); the nightly
+ * "audit-log-retention" job deletes older entries in batches so a long backlog does not lock the
+ * collection.
+ */
+
+import AuditLog from "../schema/AuditLog.schema.js";
+
+const PURGE_BATCH_SIZE = 5000;
+const DEFAULT_RETENTION_DAYS = 365;
+const MIN_RETENTION_DAYS = 30;
+
+/**
+ * Never below MIN_RETENTION_DAYS, so a typo cannot wipe the log
+ */
+export const RETENTION_DAYS = Math.max(
+  Number(process.env.AUDIT_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+  MIN_RETENTION_DAYS
+);
+
+/**
+ * Store one audit entry. Never throws.
+ * @param {Object} entry - AuditLog fields
+ */
+export const writeAuditLog = async (entry) => {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error("[AUDIT] Failed to write audit log:", error.message, {
+      action: entry.action,
+      adminId: entry.actor?.adminId,
+      statusCode: entry.statusCode,
+    });
+  }
+};
+
+/**
+ * Delete entries older than the retention period
+ * @returns {Promise<number>} Number of entries deleted
+ * @throws {Error} If a batch fails, so the scheduler records the failure
+ */
+export const purgeExpiredAuditLogs = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let deleted = 0;
+
+  try {
+    for (;;) {
+      const batch = await AuditLog.find({ createdAt: { $lt: cutoff } })
+        .select("_id")
+        .limit(PURGE_BATCH_SIZE)
+        .lean();
+
+      if (batch.length === 0) break;
+
+      const result = await AuditLog.deleteMany({ _id: { $in: batch.map((doc) => doc._id) } });
+      deleted += result.deletedCount;
+
+      if (batch.length < PURGE_BATCH_SIZE) break;
+    }
+
+    if (deleted > 0) {
+      console.log(`[AUDIT] Purged ${deleted} entr${deleted === 1 ? "y" : "ies"} older than ${cutoff.toISOString()}`);
+    }
+  } catch (error) {
+    console.error(`[AUDIT] Retention purge failed after ${deleted} deletion(s):`, error.message);
+    throw error;
+  }
+
+  return deleted;
+};
+
+export default {
+  RETENTION_DAYS,
+  writeAuditLog,
+  purgeExpiredAuditLogs,
+};
@@ -0,0 +1,557 @@
+/**
+ * @fileoverview Calendar entries for tickets, session bookings and SOS calls
+ *
+ * Builds the entries that go into .ics email attachments and into each user's
+ * private iCal feed. An entry's UID comes from the booking it describes, so the
+ * copy a user imported from an email and the one their calendar app pulls from
+ * the feed are the same entry: reschedules move it and cancellations mark it
+ * CANCELLED.
+ *
+ * Session bookings and SOS calls only get a time once the user picks a slot on
+ * Calendly, so their invites are emailed by notifyScheduleChange whenever the
+ * slot is set, moved or dropped.
+ *
+ * @module services/calendar
+ */
+
+import crypto from "crypto";
+import User from "../schema/User.schema.js";
+import Event from "../schema/Event.schema.js";
+import EventEnrollment from "../schema/EventEnrollment.schema.js";
+import CashEventEnrollment from "../schema/CashEventEnrollment.schema.js";
+import SessionBooking from "../schema/SessionBooking.schema.js";
+import Session from "../schema/Session.schema.js";
+import UserSOSProgress from "../src/Quiz/schemas/userSOSProgress.schema.js";
+import SOSProgram from "../src/Quiz/schemas/sosProgram.schema.js";
+import {
+  buildUid,
+  sequenceFor,
+  buildCalendar,
+  buildCalendarAttachment,
+} from "../utils/ical.util.js";
+import { sendEmail } from "../utils/email.util.js";
+
+/**
+ * The feed keeps entries that started up to this many days ago
+ */
+const FEED_HISTORY_DAYS = 90;
+
+/**
+ * How often subscribed calendar apps are asked to re-fetch the feed
+ */
+const FEED_REFRESH_INTERVAL = "PT1H";
+
+/**
+ * Calendly does not tell us how long an SOS call is; this is the event type's length
+ */
+const SOS_CALL_MINUTES = 30;
+
+const REMINDER_MINUTES = 60;
+
+const ACTIVE_BOOKING_STATUSES = ["confirmed", "scheduled", "completed"];
+
+const BASE_URL = process.env.BASE_URL || "https://motivata.synquic.com/api";
+
+const last10 = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+/**
+ * Keys a phone may be stored under in a tickets Map (old records kept the prefix)
+ * @param {string} phone
+ * @returns {string[]}
+ */
+const phoneKeys = (phone) => {
+  const normalized = last10(phone);
+  return [...new Set([phone, normalized, `+91${normalized}`, `91${normalized}`, `0${normalized}`])];
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+/**
+ * Where an event happens, for LOCATION
+ * @param {Object} event
+ * @returns {string}
+ */
+const eventLocation = (event) => {
+  if (event.mode === "ONLINE") return "Online";
+  return [event.venueName, event.city].filter(Boolean).join(", ");
+};
+
+// ============================================
+// ENTRY BUILDERS
+// ============================================
+
+/**
+ * Calendar entry for one ticket
+ *
+ * Cancelled or refunded tickets, and deleted events, become CANCELLED entries.
+ * The join link of online events is left out: it is only shown in the app
+ * while the event is running.
+ *
+ * @param {Object} params
+ * @param {Object} params.enrollment - EventEnrollment or CashEventEnrollment
+ * @param {Object} params.event - Event (may be soft-deleted)
+ * @param {string} params.phone - Ticket holder's phone
+ * @param {string} [params.ticketStatus] - ACTIVE, CANCELLED or REFUNDED
+ * @returns {Object}
+ */
+export const buildTicketEntry = ({ enrollment, event, phone, ticketStatus = "ACTIVE" }) => {
+  const cancelled = ticketStatus !== "ACTIVE" || !!event.isDeleted;
+  const start = event.startDate;
+  const end = event.endDate && new Date(event.endDate) > new Date(start)
+    ? event.endDate
+    : addMinutes(start, 60);
+
+  const description = [
+    `Your ticket for ${event.name}.`,
+    enrollment.tierName ? `Tier: ${enrollment.tierName}` : null,
+    `Booking ID: ${enrollment._id}`,
+    "Show the QR code from your ticket email or the Motivata app at the entry.",
+  ].filter(Boolean).join("\n");
+
+  return {
+    uid: buildUid("ticket", enrollment._id, last10(phone)),
+    start,
+    end,
+    summary: event.name,
+    description,
+    location: eventLocation(event),
+    url: event.mode !== "ONLINE" ? event.gmapLink || undefined : undefined,
+    status: cancelled ? "CANCELLED" : "CONFIRMED",
+    sequence: sequenceFor(enrollment.createdAt, enrollment.updatedAt, event.updatedAt),
+    updatedAt: enrollment.updatedAt,
+    alarmMinutes: REMINDER_MINUTES,
+  };
+};
+
+/**
+ * Calendar entry for a session booking, or null while it has no time yet
+ *
+ * The time is the slot picked on Calendly, or the session's fixed date for
+ * one-to-many sessions.
+ *
+ * @param {Object} booking - SessionBooking
+ * @param {Object} session - Session
+ * @returns {Object|null}
+ */
+export const buildSessionBookingEntry = (booking, session) => {
+  const start = booking.scheduledSlot || session?.sessionDate;
+  if (!start) return null;
+
+  const title = session?.title || "Session";
+  const description = [
+    session?.host ? `${title} with ${session.host}.` : `${title}.`,
+    `Booking Reference: ${booking.bookingReference}`,
+    "Your joining details are in the Motivata app under Profile → My Bookings.",
+  ].join("\n");
+
+  return {
+    uid: buildUid("session-booking", booking._id),
+    start,
+    end: addMinutes(start, session?.duration || 60),
+    summary: session?.host ? `${title} with ${session.host}` : title,
+    description,
+    location: "Online",
+    status: booking.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    sequence: sequenceFor(booking.createdAt, booking.updatedAt),
+    updatedAt: booking.updatedAt,
+    alarmMinutes: REMINDER_MINUTES,
+  };
+};
+
+/**
+ * Calendar entry for an SOS call, or null while it has no time yet
+ * @param {Object} progress - UserSOSProgress
+ * @param {Object} program - SOSProgram
+ * @returns {Object|null}
+ */
+export const buildSosCallEntry = (progress, program) => {
+  if (!progress.scheduledAt) return null;
+
+  const title = program?.title ? `${program.title} — SOS call` : "SOS call";
+
+  return {
+    uid: buildUid("sos-call", progress._id),
+    start: progress.scheduledAt,
+    end: addMinutes(progress.scheduledAt, SOS_CALL_MINUTES),
+    summary: title,
+    description: "Your scheduled SOS call. The joining details are in your Calendly confirmation.",
+    location: "Online",
+    status: progress.schedulingStatus === "scheduled" ? "CONFIRMED" : "CANCELLED",
+    sequence: sequenceFor(progress.createdAt, progress.updatedAt),
+    updatedAt: progress.updatedAt,
+    alarmMinutes: REMINDER_MINUTES,
+  };
+};
+
+/**
+ * Email attachment for the given entries
+ * @param {string} filename - Without extension
+ * @param {Array<Object|null>} entries
+ * @returns {Object|null} null when there is nothing to attach
+ */
+export const getCalendarAttachment = (filename, entries) => {
+  const events = entries.filter(Boolean);
+  return events.length > 0 ? buildCalendarAttachment({ filename, events }) : null;
+};
+
+// ============================================
+// PRIVATE FEED
+// ============================================
+
+/**
+ * Subscription URL for a feed token
+ * @param {string} token
+ * @returns {string}
+ */
+export const getFeedUrl = (token) => `${BASE_URL}/app/calendar/feed/${token}.ics`;
+
+const generateFeedToken = () => crypto.randomBytes(24).toString("hex");
+
+/**
+ * The user's feed token, created on first use
+ * @param {string} userId
+ * @returns {Promise<string|null>} null if the user does not exist
+ */
+export const ensureFeedToken = async (userId) => {
+  const user = await User.findById(userId).select("+calendarFeedToken");
+  if (!user) return null;
+  if (user.calendarFeedToken) return user.calendarFeedToken;
+
+  // Only set it if no other request did meanwhile
+  const token = generateFeedToken();
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, calendarFeedToken: { $exists: false } },
+    { $set: { calendarFeedToken: token } },
+    { new: true }
+  ).select("+calendarFeedToken");
+
+  if (updated) return updated.calendarFeedToken;
+
+  const current = await User.findById(userId).select("+calendarFeedToken").lean();
+  return current?.calendarFeedToken || null;
+};
+
+/**
+ * Replace the user's feed token; the old URL stops working
+ * @param {string} userId
+ * @returns {Promise<string|null>} null if the user does not exist
+ */
+export const rotateFeedToken = async (userId) => {
+  const token = generateFeedToken();
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $set: { calendarFeedToken: token } },
+    { new: true }
+  ).select("+calendarFeedToken");
+
+  return updated ? updated.calendarFeedToken : null;
+};
+
+/**
+ * Ticket entries for a user: online tickets on their phone and cash tickets
+ * @param {Object} user
+ * @param {Date} since
+ * @returns {Promise<Object[]>}
+ */
+const getTicketEntries = async (user, since) => {
+  const keys = phoneKeys(user.phone);
+
+  const [onlineEnrollments, cashEnrollments] = await Promise.all([
+    EventEnrollment.find({
+      $or: keys.map((key) => ({ [`tickets.${key}`]: { $exists: true } })),
+    }).lean(),
+    CashEventEnrollment.find({
+      $or: [{ userId: user._id }, { phone: { $in: keys } }],
+      isDeleted: { $in: [true, false] },
+    }).select("+isDeleted").lean(),
+  ]);
+
+  const eventIds = [
+    ...onlineEnrollments.map((enrollment) => enrollment.eventId),
+    ...cashEnrollments.map((enrollment) => enrollment.eventId),
+  ];
+  if (eventIds.length === 0) return [];
+
+  // Deleted events stay in the feed as cancelled entries
+  const events = await Event.find({
+    _id: { $in: eventIds },
+    isDeleted: { $in: [true, false] },
+    startDate: { $gte: since },
+  })
+    .select("name mode venueName city gmapLink startDate endDate updatedAt +isDeleted")
+    .lean();
+  const eventById = new Map(events.map((event) => [event._id.toString(), event]));
+
+  const entries = [];
+
+  for (const enrollment of onlineEnrollments) {
+    const event = eventById.get(enrollment.eventId.toString());
+    if (!event) continue;
+
+    const key = keys.find((candidate) => enrollment.tickets?.[candidate]);
+    if (!key) continue;
+
+    entries.push(buildTicketEntry({
+      enrollment,
+      event,
+      phone: key,
+      ticketStatus: enrollment.tickets[key].status,
+    }));
+  }
+
+  for (const enrollment of cashEnrollments) {
+    const event = eventById.get(enrollment.eventId.toString());
+    if (!event) continue;
+
+    entries.push(buildTicketEntry({
+      enrollment: { ...enrollment, tierName: null },
+      event,
+      phone: enrollment.phone,
+      ticketStatus: enrollment.isDeleted ? "CANCELLED" : enrollment.status,
+    }));
+  }
+
+  return entries;
+};
+
+/**
+ * Session booking entries for a user (only bookings that have a time)
+ * @param {string} userId
+ * @param {Date} since
+ * @returns {Promise<Object[]>}
+ */
+const getSessionBookingEntries = async (userId, since) => {
+  const bookings = await SessionBooking.find({
+    userId,
+    status: { $in: [...ACTIVE_BOOKING_STATUSES, "cancelled"] },
+  })
+    .populate("sessionId", "title host duration sessionDate")
+    .lean();
+
+  return bookings
+    .map((booking) => buildSessionBookingEntry(booking, booking.sessionId))
+    .filter((entry) => entry && new Date(entry.start) >= since);
+};
+
+/**
+ * SOS call entries for a user
+ * @param {string} userId
+ * @param {Date} since
+ * @returns {Promise<Object[]>}
+ */
+const getSosCallEntries = async (userId, since) => {
+  const records = await UserSOSProgress.find({
+    userId,
+    scheduledAt: { $gte: since },
+  })
+    .populate("programId", "title")
+    .lean();
+
+  return records
+    .map((progress) => buildSosCallEntry(progress, progress.programId))
+    .filter(Boolean);
+};
+
+/**
+ * Build the iCal feed for a feed token
+ * @param {string} token
+ * @returns {Promise<string|null>} iCalendar text, or null for an unknown token
+ */
+export const buildUserFeed = async (token) => {
+  const user = await User.findOne({ calendarFeedToken: token })
+    .select("name phone")
+    .lean();
+  if (!user) return null;
+
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [tickets, sessions, sosCalls] = await Promise.all([
+    getTicketEntries(user, since),
+    getSessionBookingEntries(user._id, since),
+    getSosCallEntries(user._id, since),
+  ]);
+
+  const events = [...tickets, ...sessions, ...sosCalls]
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  return buildCalendar({
+    name: "Motivata",
+    refreshInterval: FEED_REFRESH_INTERVAL,
+    events,
+  });
+};
+
+// ============================================
+// SCHEDULE CHANGE NOTICES
+// ============================================
+
+/**
+ * Claim the right to email a calendar update for a booking
+ *
+ * `calendarInviteSlot` remembers the slot the last invite was for (null after
+ * a cancellation notice), so the app confirming a slot that the Calendly
+ * webhook already recorded does not email the user twice.
+ *
+ * @param {mongoose.Model} Model
+ * @param {Object} doc - Current document
+ * @param {Date|null} slot - Slot to invite for, null to cancel
+ * @returns {Promise<boolean>} true if this caller should send
+ */
+const claimInviteSlot = async (Model, doc, slot) => {
+  const previous = doc.calendarInviteSlot || null;
+  const same = previous && slot
+    ? new Date(previous).getTime() === new Date(slot).getTime()
+    : previous === slot;
+
+  // Nothing changed, or a cancellation for a slot we never sent
+  if (same) return false;
+
+  // Bookkeeping only: leave updatedAt (and so the entry's SEQUENCE) alone
+  const claimed = await Model.updateOne(
+    { _id: doc._id, calendarInviteSlot: previous },
+    { $set: { calendarInviteSlot: slot } },
+    { timestamps: false }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+/**
+ * Email an invite or a cancellation notice with the .ics attached
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.name
+ * @param {Object} params.entry
+ * @param {string} [params.userId]
+ * @returns {Promise<void>}
+ */
+const sendCalendarEmail = async ({ to, name, entry, userId }) => {
+  const cancelled = entry.status === "CANCELLED";
+  const when = new Date(entry.start).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+
+  const subject = cancelled
+    ? `Cancelled: ${entry.summary}`
+    : `Calendar invite: ${entry.summary}`;
+  const message = cancelled
+    ? `Your ${entry.summary} on ${when} (IST) has been cancelled. Open the attached file to remove it from your calendar.`
+    : `Your ${entry.summary} is on ${when} (IST). Open the attached file to add it to your calendar; it updates the existing entry if you rescheduled.`;
+
+  await sendEmail({
+    to,
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Hi ${name || "there"},</p>
+        <p>${message}</p>
+        <p style="color: #666; font-size: 12px; margin-top: 30px;">
+          If you have any questions, please contact us at support@motivata.in
+        </p>
+      </div>
+    `,
+    text: `Hi ${name || "there"},\n\n${message}\n\nIf you have any questions, please contact us at support@motivata.in\n`,
+    attachments: [buildCalendarAttachment({ filename: entry.summary, events: [entry] })],
+    category: "CALENDAR_INVITE",
+    userId: userId ? userId.toString() : null,
+  });
+};
+
+/**
+ * Email a calendar update after a session booking's slot was set, moved or dropped
+ *
+ * Best effort: failures are logged, never thrown, so callers can fire and forget.
+ *
+ * @param {string} bookingId
+ * @returns {Promise<void>}
+ */
+export const notifySessionBookingSchedule = async (bookingId) => {
+  try {
+    const booking = await SessionBooking.findById(bookingId).lean();
+    if (!booking) return;
+
+    const active = ACTIVE_BOOKING_STATUSES.includes(booking.status);
+    const slot = active && booking.scheduledSlot ? booking.scheduledSlot : null;
+    const cancelledSlot = booking.calendarInviteSlot;
+
+    if (!(await claimInviteSlot(SessionBooking, booking, slot))) return;
+
+    const [session, user] = await Promise.all([
+      Session.findById(booking.sessionId).select("title host duration sessionDate").lean(),
+      User.findById(booking.userId).select("name email").lean(),
+    ]);
+
+    const to = booking.userEmail || user?.email;
+    if (!to) {
+      console.log(`[CALENDAR] ℹ Booking ${bookingId} has no email - skipping calendar update`);
+      return;
+    }
+
+    // A cancellation notice refers to the slot the last invite was for
+    const entry = buildSessionBookingEntry(
+      slot ? booking : { ...booking, status: "cancelled", scheduledSlot: cancelledSlot },
+      session
+    );
+
+    await sendCalendarEmail({ to, name: user?.name, entry, userId: booking.userId });
+    console.log(`[CALENDAR] ✓ ${slot ? "Invite" : "Cancellation"} sent for booking ${bookingId}`);
+  } catch (error) {
+    console.error(`[CALENDAR] ✗ Calendar update failed for booking ${bookingId}: ${error.message}`);
+  }
+};
+
+/**
+ * Email a calendar update after an SOS call was scheduled, moved or cancelled
+ *
+ * Best effort, like notifySessionBookingSchedule.
+ *
+ * @param {string} progressId - UserSOSProgress ID
+ * @returns {Promise<void>}
+ */
+export const notifySosCallSchedule = async (progressId) => {
+  try {
+    const progress = await UserSOSProgress.findById(progressId).lean();
+    if (!progress) return;
+
+    const slot = progress.schedulingStatus === "scheduled" && progress.scheduledAt
+      ? progress.scheduledAt
+      : null;
+    const cancelledSlot = progress.calendarInviteSlot;
+
+    if (!(await claimInviteSlot(UserSOSProgress, progress, slot))) return;
+
+    const [program, user] = await Promise.all([
+      SOSProgram.findById(progress.programId).select("title").lean(),
+      User.findById(progress.userId).select("name email").lean(),
+    ]);
+
+    if (!user?.email) {
+      console.log(`[CALENDAR] ℹ SOS progress ${progressId} has no email - skipping calendar update`);
+      return;
+    }
+
+    const entry = buildSosCallEntry(
+      slot ? progress : { ...progress, schedulingStatus: "pending", scheduledAt: cancelledSlot },
+      program
+    );
+
+    await sendCalendarEmail({ to: user.email, name: user.name, entry, userId: progress.userId });
+    console.log(`[CALENDAR] ✓ ${slot ? "Invite" : "Cancellation"} sent for SOS progress ${progressId}`);
+  } catch (error) {
+    console.error(`[CALENDAR] ✗ Calendar update failed for SOS progress ${progressId}: ${error.message}`);
+  }
+};
+
+export default {
+  buildTicketEntry,
+  buildSessionBookingEntry,
+  buildSosCallEntry,
+  getCalendarAttachment,
+  getFeedUrl,
+  ensureFeedToken,
+  rotateFeedToken,
+  buildUserFeed,
+  notifySessionBookingSchedule,
+  notifySosCallSchedule,
+};
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Calendly Sync Service
- * Polls Calendly's API every 5 minutes.
+ * Polls Calendly's API every 5 minutes (job "calendly-sync", config/jobs.config.js).
  * Strategy:
  *   1. Find all SessionBookings that are confirmed+paid but not yet scheduled
  *   2. Fetch all active Calendly events in a 90-day window
@@ -10,14 +10,14 @@
  * Works on Calendly free plan — no webhooks needed.
  */
 
-import cron from "node-cron";
 import axios from "axios";
 import SessionBooking from "../schema/SessionBooking.schema.js";
 import User from "../schema/User.schema.js";
+import { notifySessionBookingSchedule } from "./calendar.service.js";
 
-const PAT = process.env.CALENDLY_PAT;
 const CALENDLY_API = "https://api.calendly.com";
-const POLL_INTERVAL_MINUTES = 5;
+
+const PAT = process.env.CALENDLY_PAT;
 
 const apiHeaders = () => ({ Authorization: `Bearer ${PAT}` });
 
@@ -69,9 +69,13 @@ const fetchInvitees = async (eventUri) => {
 
 /**
  * Main sync — find unscheduled bookings and match against Calendly events
+ * @returns {Promise<Object>} What the cycle did
+ * @throws {Error} If the cycle fails (the scheduler retries it)
  */
-const syncCalendlyBookings = async () => {
-  if (!PAT) return;
+export const syncCalendlyBookings = async () => {
+  if (!PAT) {
+    return { skipped: true, reason: "CALENDLY_PAT not set" };
+  }
 
   try {
     console.log("[CALENDLY-SYNC] Starting sync cycle");
@@ -85,7 +89,7 @@ const syncCalendlyBookings = async () => {
 
     if (unscheduledBookings.length === 0) {
       console.log("[CALENDLY-SYNC] No unscheduled bookings — nothing to do");
-      return;
+      return { unscheduled: 0, updated: 0 };
     }
 
     console.log(`[CALENDLY-SYNC] ${unscheduledBookings.length} unscheduled booking(s) to check`);
@@ -169,6 +173,7 @@ const syncCalendlyBookings = async () => {
               if (b._id.toString() === matchedBookingId) bookingByUserId.delete(uid);
             });
             updatedCount++;
+            await notifySessionBookingSchedule(matchedBookingId);
           }
         } catch (err) {
           console.error(`[CALENDLY-SYNC] Failed to update booking ${matchedBookingId}:`, err.message);
@@ -181,24 +186,10 @@ const syncCalendlyBookings = async () => {
     } else {
       console.log("[CALENDLY-SYNC] Sync complete — no matches found");
     }
+
+    return { unscheduled: unscheduledBookings.length, calendlyEvents: events.length, updated: updatedCount };
   } catch (err) {
     console.error("[CALENDLY-SYNC] Sync failed:", err.message);
+    throw err;
   }
 };
-
-/**
- * Start the Calendly sync cron job — runs every POLL_INTERVAL_MINUTES minutes
- */
-export const startCalendlySyncJob = () => {
-  if (!PAT) {
-    console.warn("[CALENDLY-SYNC] CALENDLY_PAT not set — sync job not started");
-    return;
-  }
-
-  console.log(`[CALENDLY-SYNC] Starting sync job (every ${POLL_INTERVAL_MINUTES} min)`);
-
-  // Run immediately on startup to catch any previously unsynced bookings
-  syncCalendlyBookings();
-
-  cron.schedule(`*/${POLL_INTERVAL_MINUTES} * * * *`, syncCalendlyBookings);
-};
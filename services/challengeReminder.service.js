@@ -1,19 +1,17 @@
 /**
- * @fileoverview Challenge reminder cron — pushes FCM notifications twice
- * daily (12:00 PM and 6:00 PM server local time) to every user who has an
- * active challenge and has NOT completed today's tasks for it.
+ * @fileoverview Challenge reminders — pushes FCM notifications to every user
+ * who has an active challenge and has NOT completed today's tasks for it.
+ * Run twice daily (12:00 PM and 6:00 PM server local time) by the
+ * "challenge-reminders" job (see config/jobs.config.js).
  *
  * Mirrors the day-boundary logic used in UserChallenge.markTaskComplete
  * (start of today via setHours(0,0,0,0) in server local time).
  */
 
-import cron from "node-cron";
 import UserChallenge from "../src/Challenge/userChallenge.schema.js";
 import User from "../schema/User.schema.js";
 import { sendToMultipleDevices } from "../utils/fcm.util.js";
 
-const SCHEDULES = ["0 12 * * *", "0 18 * * *"];
-
 /**
  * Check whether a UserChallenge has today's tasks all done.
  */
@@ -33,8 +31,10 @@ const hasCompletedToday = (userChallenge) => {
 
 /**
  * Main reminder run — scans active challenges and notifies users with pending tasks.
+ * @returns {Promise<Object>} Counts for the job run history
+ * @throws {Error} If the pass fails, so the scheduler records the failure
  */
-const runReminderPass = async () => {
+export const runReminderPass = async () => {
   try {
     console.log("[CHALLENGE-REMINDER] Starting reminder pass");
 
@@ -49,14 +49,14 @@ const runReminderPass = async () => {
 
     if (activeUCs.length === 0) {
       console.log("[CHALLENGE-REMINDER] No active challenges — nothing to do");
-      return;
+      return { active: 0, sent: 0 };
     }
 
     const pending = activeUCs.filter((uc) => !hasCompletedToday(uc));
 
     if (pending.length === 0) {
       console.log("[CHALLENGE-REMINDER] All active users up to date — nothing to send");
-      return;
+      return { active: activeUCs.length, sent: 0 };
     }
 
     const userIds = [...new Set(pending.map((uc) => uc.userId.toString()))];
@@ -101,19 +101,15 @@ const runReminderPass = async () => {
     console.log(
       `[CHALLENGE-REMINDER] Pass complete — sent: ${sentCount}, skipped (no token): ${skippedNoToken}, up-to-date: ${activeUCs.length - pending.length}`
     );
+
+    return {
+      active: activeUCs.length,
+      sent: sentCount,
+      skippedNoToken,
+      upToDate: activeUCs.length - pending.length,
+    };
   } catch (err) {
     console.error("[CHALLENGE-REMINDER] Reminder pass failed:", err.message);
+    throw err;
   }
 };
-
-/**
- * Register the two daily reminder cron schedules.
- */
-export const startChallengeReminderJobs = () => {
-  SCHEDULES.forEach((expr) => {
-    cron.schedule(expr, runReminderPass);
-  });
-  console.log(
-    `[CHALLENGE-REMINDER] Reminder jobs scheduled at: ${SCHEDULES.join(", ")}`
-  );
-};
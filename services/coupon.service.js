@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Coupon rules — targeting, buyer eligibility and discount maths.
+ *
+ * Every failed rule is reported as { code, message }, and checkout endpoints
+ * pass the code on as error.code so the app can tell the buyer what to change:
+ * - COUPON_REQUIRED, NOT_FOUND, INACTIVE, NOT_STARTED, EXPIRED
+ * - WRONG_PURCHASE_TYPE, WRONG_EVENT, WRONG_TIER, WRONG_PLAN, WRONG_SERVICE
+ * - BATCH_DISABLED (the code's batch was switched off)
+ * - USAGE_LIMIT_REACHED, USER_LIMIT_REACHED
+ * - MIN_PURCHASE_NOT_MET, MIN_TICKETS_NOT_MET, BUNDLE_NOT_MET
+ * - IDENTITY_REQUIRED, FIRST_PURCHASE_ONLY, MEMBERS_ONLY
+ * - VALIDATION_FAILED (unexpected error while checking)
+ */
+
+import Payment from "../schema/Payment.schema.js";
+import CouponBatch from "../schema/CouponBatch.schema.js";
+import UserMembership from "../schema/UserMembership.schema.js";
+
+const PURCHASE_TYPE_LABELS = {
+  EVENT: "event",
+  MEMBERSHIP: "membership",
+  SESSION: "session",
+  SERVICE: "service",
+  FEATURE: "feature",
+};
+
+const includesId = (ids, id) => id != null && ids.some((listed) => String(listed) === String(id));
+
+/**
+ * Fields a coupon of its discountType is missing, for checks that span
+ * fields (updates are partial, so the schema alone cannot enforce them)
+ * @param {Object} coupon - Coupon, or the merge of a coupon and its update
+ * @returns {{ field: string, message: string }|null}
+ */
+export const getCouponShapeError = (coupon) => {
+  const discountType = coupon.discountType || "PERCENT";
+
+  if (discountType === "PERCENT") {
+    if (coupon.discountPercent == null) {
+      return { field: "discountPercent", message: "Discount percentage is required" };
+    }
+    if (coupon.maxDiscountAmount == null) {
+      return { field: "maxDiscountAmount", message: "Maximum discount amount is required" };
+    }
+  }
+  if (discountType === "FLAT" && !coupon.flatAmount) {
+    return { field: "flatAmount", message: "Flat discount amount is required" };
+  }
+  if (discountType === "BUY_X_GET_Y") {
+    if (!coupon.buyQuantity) {
+      return { field: "buyQuantity", message: "Buy quantity is required" };
+    }
+    if (!coupon.freeQuantity) {
+      return { field: "freeQuantity", message: "Free quantity is required" };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Why the coupon cannot be used on this purchase, from the coupon and the
+ * order alone. Buyer-specific rules are in getCouponBuyerError.
+ * @param {Object} coupon
+ * @param {Object} purchase
+ * @param {string} [purchase.type] - EVENT, MEMBERSHIP, SESSION, SERVICE or FEATURE; omitted skips type and targeting checks
+ * @param {number} purchase.amount - Order amount before discount
+ * @param {string} [purchase.eventId]
+ * @param {string} [purchase.tierId]
+ * @param {number} [purchase.ticketCount=1]
+ * @param {string} [purchase.membershipPlanId]
+ * @param {string[]} [purchase.serviceIds]
+ * @returns {{ code: string, message: string }|null} null when the coupon applies
+ */
+export const getCouponRuleError = (
+  coupon,
+  { type, amount, eventId, tierId, ticketCount = 1, membershipPlanId, serviceIds = [], now = new Date() }
+) => {
+  if (!coupon.isActive) {
+    return { code: "INACTIVE", message: "Coupon is not active" };
+  }
+  if (now < coupon.validFrom) {
+    return { code: "NOT_STARTED", message: "Coupon is not yet valid" };
+  }
+  if (now > coupon.validUntil) {
+    return { code: "EXPIRED", message: "Coupon has expired" };
+  }
+
+  if (type) {
+    const applicableTypes = coupon.applicableTo?.length ? coupon.applicableTo : ["ALL"];
+    if (!applicableTypes.includes("ALL") && !applicableTypes.includes(type)) {
+      return {
+        code: "WRONG_PURCHASE_TYPE",
+        message: `This coupon is not valid for ${PURCHASE_TYPE_LABELS[type] || type.toLowerCase()} purchases`,
+      };
+    }
+
+    if (type === "EVENT") {
+      if (coupon.eventIds?.length && !includesId(coupon.eventIds, eventId)) {
+        return { code: "WRONG_EVENT", message: "This coupon is not valid for this event" };
+      }
+      if (coupon.tierIds?.length && !includesId(coupon.tierIds, tierId)) {
+        return { code: "WRONG_TIER", message: "This coupon is not valid for this ticket type" };
+      }
+    }
+    if (type === "MEMBERSHIP" && coupon.membershipPlanIds?.length && !includesId(coupon.membershipPlanIds, membershipPlanId)) {
+      return { code: "WRONG_PLAN", message: "This coupon is not valid for this membership plan" };
+    }
+    if (type === "SERVICE" && coupon.serviceIds?.length) {
+      if (!serviceIds.length || !serviceIds.every((serviceId) => includesId(coupon.serviceIds, serviceId))) {
+        return { code: "WRONG_SERVICE", message: "This coupon is not valid for every service in your order" };
+      }
+    }
+  }
+
+  if (coupon.maxUsageLimit != null && coupon.usageCount >= coupon.maxUsageLimit) {
+    return { code: "USAGE_LIMIT_REACHED", message: "Coupon usage limit reached" };
+  }
+
+  if (amount < (coupon.minPurchaseAmount || 0)) {
+    return {
+      code: "MIN_PURCHASE_NOT_MET",
+      message: `Minimum purchase amount of ₹${coupon.minPurchaseAmount} required`,
+    };
+  }
+
+  if (coupon.minTicketCount && ticketCount < coupon.minTicketCount) {
+    return {
+      code: "MIN_TICKETS_NOT_MET",
+      message: `Book at least ${coupon.minTicketCount} tickets to use this coupon`,
+    };
+  }
+
+  if (coupon.discountType === "BUY_X_GET_Y") {
+    const bundleSize = coupon.buyQuantity + coupon.freeQuantity;
+    if (ticketCount < bundleSize) {
+      return {
+        code: "BUNDLE_NOT_MET",
+        message: `Book ${bundleSize} tickets to get ${coupon.freeQuantity} free (buy ${coupon.buyQuantity} get ${coupon.freeQuantity})`,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Why a generated code cannot be used because of its batch
+ * @param {Object} coupon
+ * @returns {Promise<{ code: string, message: string }|null>}
+ */
+export const getCouponBatchError = async (coupon) => {
+  if (!coupon.batchId) return null;
+
+  const batch = await CouponBatch.findById(coupon.batchId).select("isActive").lean();
+  if (!batch?.isActive) {
+    return { code: "BATCH_DISABLED", message: "This coupon is no longer active" };
+  }
+  return null;
+};
+
+/**
+ * Why this buyer cannot use the coupon: per-user limit, first purchase and
+ * membership. Earlier payments are matched by phone or by user account.
+ * @param {Object} coupon
+ * @param {Object} buyer
+ * @param {string} [buyer.phone]
+ * @param {string} [buyer.userId]
+ * @returns {Promise<{ code: string, message: string }|null>}
+ */
+export const getCouponBuyerError = async (coupon, { phone, userId } = {}) => {
+  const normalizedPhone = phone ? phone.slice(-10) : null;
+  const buyerFilters = [];
+  if (normalizedPhone) buyerFilters.push({ phone: normalizedPhone });
+  if (userId) buyerFilters.push({ userId });
+
+  if (!buyerFilters.length) {
+    if (coupon.firstPurchaseOnly || coupon.membersOnly) {
+      return { code: "IDENTITY_REQUIRED", message: "Please log in to use this coupon" };
+    }
+    return null;
+  }
+
+  if (coupon.maxUsagePerUser) {
+    const userUsageCount = await Payment.countDocuments({
+      $or: buyerFilters,
+      couponCode: coupon.code,
+      status: "SUCCESS",
+    });
+    if (userUsageCount >= coupon.maxUsagePerUser) {
+      return { code: "USER_LIMIT_REACHED", message: "You have reached the maximum usage limit for this coupon" };
+    }
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const hasPurchased = await Payment.exists({ $or: buyerFilters, status: "SUCCESS" });
+    if (hasPurchased) {
+      return { code: "FIRST_PURCHASE_ONLY", message: "This coupon is only valid on your first purchase" };
+    }
+  }
+
+  if (coupon.membersOnly) {
+    if (!normalizedPhone) {
+      return { code: "IDENTITY_REQUIRED", message: "A phone number is required to use this coupon" };
+    }
+    if (!(await UserMembership.hasActiveMembership(normalizedPhone))) {
+      return { code: "MEMBERS_ONLY", message: "This coupon is for members only" };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Discount the coupon gives on an order that passed its rules
+ * @param {Object} coupon
+ * @param {Object} order
+ * @param {number} order.amount - Order amount before discount
+ * @param {number} [order.ticketCount=1]
+ * @param {number} [order.unitPrice] - Ticket price for BUY_X_GET_Y; defaults to amount / ticketCount
+ * @returns {number} Never more than the amount
+ */
+export const calculateCouponDiscount = (coupon, { amount, ticketCount = 1, unitPrice }) => {
+  let discount;
+
+  switch (coupon.discountType) {
+    case "FLAT":
+      discount = coupon.flatAmount || 0;
+      break;
+    case "BUY_X_GET_Y": {
+      const bundles = Math.floor(ticketCount / (coupon.buyQuantity + coupon.freeQuantity));
+      discount = bundles * coupon.freeQuantity * (unitPrice ?? amount / ticketCount);
+      break;
+    }
+    default:
+      discount = (amount * (coupon.discountPercent || 0)) / 100;
+  }
+
+  if (coupon.maxDiscountAmount != null) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+
+  return Math.round(Math.min(Math.max(discount, 0), amount) * 100) / 100;
+};
+
+export default {
+  getCouponShapeError,
+  getCouponRuleError,
+  getCouponBatchError,
+  getCouponBuyerError,
+  calculateCouponDiscount,
+};
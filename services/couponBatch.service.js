@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Coupon batches — generating thousands of unique single-use
+ * codes from one template, redemption stats and exports.
+ *
+ * Each generated code is an ordinary Coupon (with batchId set), so checkout
+ * validates it through validateCouponForType like any other coupon. The only
+ * batch-level rule is that codes of a disabled batch are rejected.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import * as XLSX from "xlsx";
+import Coupon from "../schema/Coupon.schema.js";
+import Payment from "../schema/Payment.schema.js";
+
+export const CODE_CHARSETS = {
+  UNAMBIGUOUS: "ABCDEFGHJKMNPQRSTUVWXYZ23456789",
+  ALPHANUMERIC: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+  LETTERS: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  DIGITS: "0123456789",
+};
+
+/**
+ * Codes must be sparse in their space, so that guessing a valid one is
+ * impractical and random draws rarely collide
+ */
+const MIN_CODE_SPACE_FACTOR = 1000;
+
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Rounds of redrawing codes that turned out to be taken
+ */
+const MAX_GENERATION_ROUNDS = 5;
+
+/**
+ * Why codes of this format cannot be generated in this quantity
+ * @param {Object} options
+ * @param {string} options.charset - Key of CODE_CHARSETS
+ * @param {number} options.codeLength - Random characters after the prefix
+ * @param {number} options.quantity
+ * @returns {string|null}
+ */
+export const getCodeFormatError = ({ charset, codeLength, quantity }) => {
+  const space = CODE_CHARSETS[charset].length ** codeLength;
+  if (space < quantity * MIN_CODE_SPACE_FACTOR) {
+    return `Codes of ${codeLength} ${charset} characters are too easy to guess for a batch of ${quantity}. Use a longer code or a larger charset.`;
+  }
+  return null;
+};
+
+const randomCode = (prefix, alphabet, length) => {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+};
+
+/**
+ * Create the batch's codes. Codes already used by any coupon, deleted ones
+ * included, are skipped and redrawn.
+ * @param {Object} batch - Saved CouponBatch
+ * @returns {Promise<number>} Codes created
+ */
+export const generateBatchCoupons = async (batch) => {
+  const alphabet = CODE_CHARSETS[batch.charset];
+  let created = 0;
+
+  for (let round = 1; round <= MAX_GENERATION_ROUNDS && created < batch.quantity; round++) {
+    const candidates = new Set();
+    while (candidates.size < batch.quantity - created) {
+      candidates.add(randomCode(batch.prefix, alphabet, batch.codeLength));
+    }
+
+    const codes = [...candidates];
+    for (let i = 0; i < codes.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = codes.slice(i, i + INSERT_CHUNK_SIZE);
+      const taken = await Coupon.find({ code: { $in: chunk }, isDeleted: { $in: [true, false] } })
+        .select("code")
+        .lean();
+      const takenCodes = new Set(taken.map((coupon) => coupon.code));
+
+      const docs = chunk
+        .filter((code) => !takenCodes.has(code))
+        .map((code) => ({
+          ...batch.template,
+          code,
+          batchId: batch._id,
+          maxUsageLimit: 1,
+          maxUsagePerUser: 1,
+          createdBy: batch.createdBy,
+        }));
+
+      try {
+        const inserted = await Coupon.insertMany(docs, { ordered: false });
+        created += inserted.length;
+      } catch (error) {
+        // A code taken by a concurrent insert; the rest of the chunk went in
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        created += error.insertedDocs?.length || 0;
+      }
+    }
+
+    console.log(`[COUPON-BATCH] Round ${round}: ${created}/${batch.quantity} codes created for batch ${batch._id}`);
+  }
+
+  return created;
+};
+
+/**
+ * Redemption stats of a batch. A code counts as redeemed once an order holds
+ * its use (services/couponHold.service.js), which is given back if the order's
+ * payment fails or expires.
+ * @param {string} batchId
+ * @returns {Promise<Object>}
+ */
+export const getBatchStats = async (batchId) => {
+  const batchObjectId = new mongoose.Types.ObjectId(String(batchId));
+
+  const [usage] = await Coupon.aggregate([
+    { $match: { batchId: batchObjectId, isDeleted: false } },
+    {
+      $group: {
+        _id: null,
+        totalCodes: { $sum: 1 },
+        redeemedCodes: { $sum: { $cond: [{ $gt: ["$usageCount", 0] }, 1, 0] } },
+        activeCodes: { $sum: { $cond: ["$isActive", 1, 0] } },
+      },
+    },
+  ]);
+
+  const redeemedCodes = await Coupon.distinct("code", { batchId: batchObjectId, usageCount: { $gt: 0 } });
+
+  const [sales] = redeemedCodes.length
+    ? await Payment.aggregate([
+        { $match: { couponCode: { $in: redeemedCodes }, status: "SUCCESS" } },
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            grossAmount: { $sum: "$amount" },
+            discountGiven: { $sum: "$discountAmount" },
+            revenue: { $sum: "$finalAmount" },
+          },
+        },
+      ])
+    : [];
+
+  const totalCodes = usage?.totalCodes || 0;
+  const redeemed = usage?.redeemedCodes || 0;
+
+  return {
+    totalCodes,
+    redeemedCodes: redeemed,
+    unusedCodes: totalCodes - redeemed,
+    activeCodes: usage?.activeCodes || 0,
+    redemptionRate: totalCodes ? Math.round((redeemed / totalCodes) * 10000) / 100 : 0,
+    orders: sales?.orders || 0,
+    grossAmount: sales?.grossAmount || 0,
+    discountGiven: sales?.discountGiven || 0,
+    revenue: sales?.revenue || 0,
+  };
+};
+
+/**
+ * Export a batch's codes as a CSV or XLSX file
+ * @param {Object} batch - CouponBatch
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<{ filename: string, content: Buffer|string, contentType: string }>}
+ */
+export const exportBatchCodes = async (batch, format) => {
+  const coupons = await Coupon.find({ batchId: batch._id })
+    .select("code usageCount isActive validFrom validUntil")
+    .sort({ code: 1 })
+    .lean();
+
+  const rows = coupons.map((coupon) => ({
+    Code: coupon.code,
+    Status: !batch.isActive || !coupon.isActive ? "Disabled" : coupon.usageCount > 0 ? "Redeemed" : "Available",
+    "Times Used": coupon.usageCount,
+    "Valid From": coupon.validFrom.toISOString(),
+    "Valid Until": coupon.validUntil.toISOString(),
+  }));
+
+  const worksheet = XLSX.utils.json_to_sheet(rows, {
+    header: ["Code", "Status", "Times Used", "Valid From", "Valid Until"],
+  });
+  const filename = `coupons_${batch.name.replace(/[^a-zA-Z0-9_-]+/g, "_").slice(0, 60)}_${Date.now()}`;
+
+  if (format === "csv") {
+    return {
+      filename: `${filename}.csv`,
+      content: XLSX.utils.sheet_to_csv(worksheet),
+      contentType: "text/csv; charset=utf-8",
+    };
+  }
+
+  worksheet["!cols"] = [{ wch: 24 }, { wch: 12 }, { wch: 12 }, { wch: 26 }, { wch: 26 }];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Codes");
+
+  return {
+    filename: `${filename}.xlsx`,
+    content: XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }),
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  };
+};
+
+export default {
+  CODE_CHARSETS,
+  getCodeFormatError,
+  generateBatchCoupons,
+  getBatchStats,
+  exportBatchCodes,
+};
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Coupon usage holds — one use of a limited coupon per order.
+ *
+ * A use is taken when the order is created, with one conditional update that
+ * only succeeds while usageCount is below maxUsageLimit, so two buyers cannot
+ * both redeem a single-use code. The hold is recorded on the order as
+ * Payment.metadata.couponHold ({ code, expiresAt, status }):
+ * - HELD: order awaiting payment, the use is counted
+ * - CONFIRMED: paid, the use stays counted
+ * - RELEASED: failed, cancelled or expired order, the use was given back
+ * - REFUNDED: paid and then refunded, the use was given back
+ * The "coupon-hold-sweep" job releases holds whose payment never settled.
+ *
+ * @module services/couponHold
+ */
+
+import Coupon from "../schema/Coupon.schema.js";
+import Payment from "../schema/Payment.schema.js";
+
+const HOLD_MINUTES = 30;
+
+/**
+ * Time given to a late payment webhook before the sweep releases its hold
+ */
+const SWEEP_GRACE_MINUTES = 5;
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Count one use of the coupon
+ * @param {string} code
+ * @param {boolean} withinLimit - only while the coupon has uses left
+ * @returns {Promise<Object|null>} the updated coupon, or null when none was counted
+ */
+const countUse = (code, withinLimit) =>
+  Coupon.findOneAndUpdate(
+    {
+      code,
+      ...(withinLimit && {
+        $or: [{ maxUsageLimit: null }, { $expr: { $lt: ["$usageCount", "$maxUsageLimit"] } }],
+      }),
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+/**
+ * Give one use of the coupon back (never below zero)
+ */
+const returnUse = (code) =>
+  Coupon.updateOne({ code, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+
+/**
+ * Move the order's hold from one status to another, once. `from` null
+ * matches an order without a hold: one placed before holds existed, or by a
+ * flow that doesn't take one.
+ * @returns {Promise<boolean>} whether this call made the move
+ */
+const moveHold = async (payment, from, to) => {
+  const filter = { _id: payment._id };
+  let update;
+  if (from) {
+    filter["metadata.couponHold.status"] = from;
+    update = { $set: { "metadata.couponHold.status": to } };
+  } else {
+    filter["metadata.couponHold"] = { $exists: false };
+    update = { $set: { "metadata.couponHold": { code: payment.couponCode, status: to } } };
+  }
+
+  const result = await Payment.updateOne(filter, update);
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // Keep the loaded copy in line, in case the caller saves the metadata later
+  if (payment.metadata) {
+    payment.metadata.couponHold = { ...payment.metadata.couponHold, code: payment.couponCode, status: to };
+  }
+  return true;
+};
+
+/**
+ * Take one use of the coupon for an order awaiting payment. Store the
+ * returned hold as Payment.metadata.couponHold; if the order is not created,
+ * give the use back with releaseUnsavedCouponHold().
+ * @param {string} code - Coupon code as validated
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] - When the order's payment link expires;
+ *   defaults to HOLD_MINUTES from now
+ * @returns {Promise<Object|null>} the hold, or null when the coupon has no uses left
+ */
+export const holdCouponUse = async (code, { expiresAt } = {}) => {
+  const coupon = await countUse(code, true);
+  if (!coupon) {
+    return null;
+  }
+
+  return {
+    code: coupon.code,
+    expiresAt: expiresAt || new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+    status: "HELD",
+  };
+};
+
+/**
+ * Give back a hold that never made it onto an order
+ */
+export const releaseUnsavedCouponHold = (hold) => returnUse(hold.code);
+
+/**
+ * Keep a paid order's use counted. Orders whose hold was already released,
+ * or that never had one, count the use now, even past the coupon's limit:
+ * the buyer has paid the discounted price. Safe to call more than once.
+ * Errors are logged, not thrown: the payment has already gone through.
+ * @param {Object} payment - Payment document
+ */
+export const confirmCouponUse = async (payment) => {
+  if (!payment.couponCode) {
+    return;
+  }
+
+  try {
+    if (await moveHold(payment, "HELD", "CONFIRMED")) {
+      return;
+    }
+
+    if ((await moveHold(payment, "RELEASED", "CONFIRMED")) || (await moveHold(payment, null, "CONFIRMED"))) {
+      await countUse(payment.couponCode, false);
+      console.log("[COUPON] Use counted on payment:", payment.orderId, payment.couponCode);
+    }
+  } catch (error) {
+    console.error("[COUPON] Failed to confirm coupon use:", payment.orderId, error.message);
+  }
+};
+
+/**
+ * Give an unpaid order's use back. Safe to call more than once and for
+ * orders without a hold.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<boolean>} whether the use was given back
+ */
+export const releaseCouponHold = async (payment) => {
+  if (!payment.couponCode) {
+    return false;
+  }
+
+  try {
+    if (!(await moveHold(payment, "HELD", "RELEASED"))) {
+      return false;
+    }
+    await returnUse(payment.couponCode);
+    console.log("[COUPON] Hold released:", payment.orderId, payment.couponCode);
+    return true;
+  } catch (error) {
+    console.error("[COUPON] Failed to release coupon hold:", payment.orderId, error.message);
+    return false;
+  }
+};
+
+/**
+ * Give a refunded order's use back. Paid orders from before holds existed
+ * have no hold but did count their use, so they are given back too, except
+ * membership requests, which never counted one.
+ * @param {Object} payment - Payment document
+ */
+export const returnRefundedCouponUse = async (payment) => {
+  if (!payment.couponCode) {
+    return;
+  }
+
+  try {
+    const countedWithoutHold = payment.type !== "MEMBERSHIP_REQUEST";
+    if (
+      (await moveHold(payment, "CONFIRMED", "REFUNDED")) ||
+      (countedWithoutHold && (await moveHold(payment, null, "REFUNDED")))
+    ) {
+      await returnUse(payment.couponCode);
+      console.log("[COUPON] Use returned on refund:", payment.orderId, payment.couponCode);
+    }
+  } catch (error) {
+    console.error("[COUPON] Failed to return refunded coupon use:", payment.orderId, error.message);
+  }
+};
+
+/**
+ * Release holds of orders that were never paid (job: "coupon-hold-sweep").
+ * Payment webhooks release most holds; this catches the ones they miss.
+ * @returns {Promise<{released: number}>}
+ */
+export const runCouponHoldSweep = async () => {
+  const cutoff = new Date(Date.now() - SWEEP_GRACE_MINUTES * 60 * 1000);
+  const payments = await Payment.find({
+    "metadata.couponHold.status": "HELD",
+    "metadata.couponHold.expiresAt": { $lte: cutoff },
+    status: { $ne: "SUCCESS" },
+  }).limit(SWEEP_BATCH_SIZE);
+
+  let released = 0;
+  for (const payment of payments) {
+    if (await releaseCouponHold(payment)) {
+      released++;
+    }
+  }
+
+  if (released > 0) {
+    console.log(`[COUPON] Sweep released ${released} expired hold(s)`);
+  }
+  return { released };
+};
+
+export default {
+  holdCouponUse,
+  releaseUnsavedCouponHold,
+  confirmCouponUse,
+  releaseCouponHold,
+  returnRefundedCouponUse,
+  runCouponHoldSweep,
+};
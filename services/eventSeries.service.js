@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Event series — recurrence rules, occurrence creation and
+ * series-grouped listings
+ *
+ * An occurrence is a full Event copied from the series' template event, with
+ * its own dates, capacity, venue, pricing-tier counters, seat arrangement and
+ * poll. Because the occurrence is an Event, enrollments, waitlists, tickets
+ * and gate scans need nothing new to be per occurrence.
+ *
+ * Fields an admin sets on one occurrence are recorded in its
+ * `occurrenceOverrides`, and series-wide edits skip them.
+ *
+ * @module services/eventSeries
+ */
+
+import mongoose from "mongoose";
+import Event from "../schema/Event.schema.js";
+import EventSeries from "../schema/EventSeries.schema.js";
+import SeatArrangement from "../schema/SeatArrangement.schema.js";
+import Poll from "../schema/Poll.schema.js";
+
+// Two years of weekly meetups
+export const MAX_OCCURRENCES = 104;
+
+// Stop walking the calendar after this many days, whatever the rule says
+const MAX_RECURRENCE_DAYS = 5 * 366;
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Fields an admin may set on a single occurrence
+ */
+export const OCCURRENCE_FIELDS = ["startDate", "endDate", "venueName", "city", "gmapLink", "joinLink", "availableSeats"];
+
+/**
+ * Fields a series-wide edit copies to the upcoming occurrences
+ */
+export const SERIES_FIELDS = [
+  "name",
+  "description",
+  "imageUrls",
+  "thumbnail",
+  "category",
+  "audience",
+  "mode",
+  "venueName",
+  "city",
+  "gmapLink",
+  "joinLink",
+  "price",
+  "compareAtPrice",
+  "availableSeats",
+];
+
+// Template fields that belong to the template alone
+const NOT_COPIED = [
+  "_id",
+  "id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "createdBy",
+  "updatedBy",
+  "ticketsSold",
+  "waitlistHeldSeats",
+  "hasSeatArrangement",
+  "seatArrangementId",
+  "isBanner",
+  "isLive",
+  "occurrenceOverrides",
+];
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Same day of a later month, or its last day when the month is shorter
+ */
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  const day = next.getDate();
+  next.setDate(1);
+  next.setMonth(next.getMonth() + months);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDay));
+  return next;
+};
+
+/**
+ * Whole calendar days from a to b (local time, so DST shifts do not count)
+ */
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) -
+      Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) /
+      (24 * 60 * 60 * 1000)
+  );
+
+/**
+ * Start times of every occurrence of a rule, the first one included
+ * @param {Object} rule - { frequency, interval, byWeekday, count, until }
+ * @param {Date} firstStart - start of the first occurrence
+ * @returns {Array<Date>} at most MAX_OCCURRENCES dates
+ */
+export const expandRecurrence = (rule, firstStart) => {
+  const { frequency, interval = 1, count, until } = rule;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const starts = [];
+
+  if (frequency === "WEEKLY" && rule.byWeekday?.length) {
+    const weekdays = new Set(rule.byWeekday);
+    const firstWeekStart = addDays(firstStart, -firstStart.getDay());
+
+    for (let offset = 0; offset <= MAX_RECURRENCE_DAYS && starts.length < limit; offset++) {
+      const day = addDays(firstStart, offset);
+      if (until && day > until) break;
+
+      const week = Math.floor(daysBetween(firstWeekStart, day) / 7);
+      if (week % interval === 0 && weekdays.has(day.getDay())) {
+        starts.push(day);
+      }
+    }
+    return starts;
+  }
+
+  for (let i = 0; starts.length < limit; i++) {
+    const step = i * interval;
+    const start =
+      frequency === "MONTHLY"
+        ? addMonths(firstStart, step)
+        : addDays(firstStart, frequency === "WEEKLY" ? step * 7 : step);
+
+    if (until && start > until) break;
+    if (daysBetween(firstStart, start) > MAX_RECURRENCE_DAYS) break;
+    starts.push(start);
+  }
+  return starts;
+};
+
+/**
+ * Human-readable rule for listings, e.g. "Every 2 weeks on Tue, Thu"
+ * @param {Object|null} rule
+ * @returns {string|null}
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return null;
+
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[rule.frequency];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  const days = rule.frequency === "WEEKLY" && rule.byWeekday?.length
+    ? ` on ${[...rule.byWeekday].sort().map((d) => WEEKDAY_NAMES[d]).join(", ")}`
+    : "";
+
+  return `${every}${days}`;
+};
+
+const shift = (date, ms) => (date ? new Date(date.getTime() + ms) : date);
+
+/**
+ * Event data for one occurrence, copied from the template. The occurrence
+ * opens for booking with the template; its booking close, tier sale end and
+ * early-bird end move with its date.
+ * @param {Object} template - template Event document
+ * @param {Object} occurrence
+ * @param {Date} occurrence.startDate
+ * @param {Date} [occurrence.endDate] - defaults to the template's duration
+ * @param {Object} [occurrence.overrides] - venueName, city, gmapLink, joinLink, availableSeats
+ * @param {string} seriesId
+ * @param {string} adminId
+ * @returns {Object} data for new Event()
+ */
+export const buildOccurrenceData = (template, { startDate, endDate, overrides = {} }, seriesId, adminId) => {
+  const source = template.toObject({ virtuals: false });
+  for (const field of NOT_COPIED) {
+    delete source[field];
+  }
+
+  const offset = startDate.getTime() - template.startDate.getTime();
+  const duration = template.endDate.getTime() - template.startDate.getTime();
+
+  // Tiers keep their _id, so seat sections priced by a tier still point at it
+  const pricingTiers = (source.pricingTiers || []).map(({ sold, held, ...tier }) => ({
+    ...tier,
+    saleEndDate: shift(tier.saleEndDate, offset),
+    earlyBirdEndDate: shift(tier.earlyBirdEndDate, offset),
+  }));
+
+  const setFields = Object.keys(overrides).filter((field) => overrides[field] !== undefined);
+
+  return {
+    ...source,
+    ...Object.fromEntries(setFields.map((field) => [field, overrides[field]])),
+    pricingTiers,
+    startDate,
+    endDate: endDate || new Date(startDate.getTime() + duration),
+    bookingStartDate: template.bookingStartDate,
+    bookingEndDate: shift(template.bookingEndDate, offset),
+    seriesId,
+    occurrenceOverrides: endDate ? [...setFields, "endDate"] : setFields,
+    createdBy: adminId,
+  };
+};
+
+/**
+ * Copy the template's seat map to an occurrence, every seat free except the
+ * blocked ones
+ * @returns {Promise<Object>} the new SeatArrangement
+ */
+const cloneSeatArrangement = async (templateArrangement, eventId, adminId, session) => {
+  const seats = templateArrangement.seats.map((seat) => ({
+    label: seat.label,
+    section: seat.section,
+    row: seat.row,
+    number: seat.number,
+    x: seat.x,
+    y: seat.y,
+    accessible: seat.accessible,
+    status: seat.status === "BLOCKED" ? "BLOCKED" : "AVAILABLE",
+  }));
+
+  const arrangement = new SeatArrangement({
+    eventId,
+    imageUrl: templateArrangement.imageUrl,
+    sections: templateArrangement.sections,
+    seats,
+    totalSeats: seats.length,
+    availableSeatsCount: seats.filter((seat) => seat.status === "AVAILABLE").length,
+    bookedSeatsCount: 0,
+    reservedSeatsCount: 0,
+    createdBy: adminId,
+  });
+  await arrangement.save({ session });
+  return arrangement;
+};
+
+/**
+ * Create occurrences of a series from its template, with a copy of the
+ * template's seat arrangement and poll each
+ * @param {Object} params
+ * @param {Object} params.template - template Event document
+ * @param {Object} params.series - EventSeries document
+ * @param {Array<Object>} params.occurrences - { startDate, endDate?, overrides? }
+ * @param {string} params.adminId
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Array<Object>>} the created events
+ */
+export const createOccurrences = async ({ template, series, occurrences, adminId, session }) => {
+  const [templateArrangement, templatePoll] = await Promise.all([
+    template.hasSeatArrangement
+      ? SeatArrangement.findOne({ eventId: template._id }).session(session || null)
+      : null,
+    Poll.findOne({ eventId: template._id }).session(session || null),
+  ]);
+
+  const created = [];
+  for (const occurrence of occurrences) {
+    const event = new Event(buildOccurrenceData(template, occurrence, series._id, adminId));
+
+    if (templateArrangement) {
+      const arrangement = await cloneSeatArrangement(templateArrangement, event._id, adminId, session);
+      event.hasSeatArrangement = true;
+      event.seatArrangementId = arrangement._id;
+      event.availableSeats = arrangement.availableSeatsCount;
+    }
+
+    await event.save({ session });
+
+    if (templatePoll) {
+      await new Poll({
+        eventId: event._id,
+        questions: templatePoll.questions.map(({ questionText, options }) => ({ questionText, options })),
+        isActive: templatePoll.isActive,
+      }).save({ session });
+    }
+
+    created.push(event);
+  }
+
+  return created;
+};
+
+/**
+ * Copy series-wide changes to the upcoming occurrences, except to those that
+ * override the field
+ * @param {string} seriesId
+ * @param {Object} updates - SERIES_FIELDS values
+ * @param {string} adminId
+ * @returns {Promise<number>} occurrences changed
+ */
+export const applySeriesUpdate = async (seriesId, updates, adminId) => {
+  const changed = new Set();
+  const now = new Date();
+
+  for (const field of SERIES_FIELDS) {
+    if (updates[field] === undefined) continue;
+
+    const filter = { seriesId, startDate: { $gt: now }, occurrenceOverrides: { $ne: field } };
+    // Seat-mapped occurrences take their capacity from the seat map
+    if (field === "availableSeats") {
+      filter.hasSeatArrangement = { $ne: true };
+    }
+
+    const ids = await Event.find(filter).distinct("_id");
+    if (ids.length === 0) continue;
+
+    await Event.updateMany({ _id: { $in: ids } }, { $set: { [field]: updates[field], updatedBy: adminId } });
+    ids.forEach((id) => changed.add(id.toString()));
+  }
+
+  return changed.size;
+};
+
+/**
+ * One occurrence as listed under its series
+ */
+export const summarizeOccurrence = (event) => ({
+  _id: event._id,
+  startDate: event.startDate,
+  endDate: event.endDate,
+  venueName: event.venueName,
+  city: event.city,
+  availableSeats: event.availableSeats,
+  bookableSeats: event.availableSeats == null
+    ? null
+    : Math.max(0, event.availableSeats - (event.waitlistHeldSeats || 0)),
+  isLive: event.isLive,
+});
+
+/**
+ * Events for a listing, with the occurrences of a series collapsed into one
+ * entry: its soonest matching occurrence, plus the others.
+ * @param {Object} filter - Event filter of the listing
+ * @param {number} limit - entries wanted (a series counts once)
+ * @returns {Promise<Array<{ event: Object, series: Object|null, occurrences: Array<Object> }>>}
+ */
+export const findListingEvents = async (filter, limit) => {
+  const [standalone, seriesHeads] = await Promise.all([
+    Event.find({ ...filter, seriesId: null })
+      .sort({ startDate: 1 })
+      .limit(limit)
+      .populate("createdBy", "name email"),
+    // Aggregations skip the soft-delete query hook
+    Event.aggregate([
+      { $match: { ...filter, seriesId: { $ne: null }, isDeleted: false } },
+      { $group: { _id: "$seriesId", firstStart: { $min: "$startDate" } } },
+      { $sort: { firstStart: 1 } },
+      { $limit: limit },
+    ]),
+  ]);
+
+  const entries = [
+    ...standalone.map((event) => ({ startDate: event.startDate, event })),
+    ...seriesHeads.map((head) => ({ startDate: head.firstStart, seriesId: head._id })),
+  ]
+    .sort((a, b) => a.startDate - b.startDate)
+    .slice(0, limit);
+
+  const seriesIds = entries.filter((entry) => entry.seriesId).map((entry) => entry.seriesId);
+  const [seriesDocs, occurrences] = seriesIds.length
+    ? await Promise.all([
+        EventSeries.find({ _id: { $in: seriesIds } }).lean(),
+        Event.find({ ...filter, seriesId: { $in: seriesIds } })
+          .sort({ startDate: 1 })
+          .populate("createdBy", "name email"),
+      ])
+    : [[], []];
+
+  const seriesById = new Map(seriesDocs.map((series) => [series._id.toString(), series]));
+
+  return entries.map((entry) => {
+    if (entry.event) {
+      return { event: entry.event, series: null, occurrences: [] };
+    }
+
+    const key = entry.seriesId.toString();
+    const seriesOccurrences = occurrences.filter((event) => event.seriesId.toString() === key);
+    return {
+      event: seriesOccurrences[0],
+      series: seriesById.get(key) || null,
+      occurrences: seriesOccurrences,
+    };
+  }).filter((entry) => entry.event);
+};
+
+/**
+ * Series block attached to a listed event
+ */
+export const describeSeries = (series, occurrences) => ({
+  _id: series._id,
+  name: series.name,
+  recurrence: series.recurrence,
+  schedule: describeRecurrence(series.recurrence),
+  occurrenceCount: occurrences.length,
+  occurrences: occurrences.map(summarizeOccurrence),
+});
+
+/**
+ * Reason to reject a ticket scanned at another event than its own:
+ * WRONG_OCCURRENCE when both are dates of the same series
+ * @param {string} ticketEventId
+ * @param {string} eventId - event being scanned
+ * @returns {Promise<"WRONG_OCCURRENCE"|"WRONG_EVENT">}
+ */
+export const getWrongEventReason = async (ticketEventId, eventId) => {
+  if (!mongoose.isValidObjectId(ticketEventId)) {
+    return "WRONG_EVENT";
+  }
+
+  const events = await Event.find({ _id: { $in: [ticketEventId, eventId] } })
+    .select("seriesId")
+    .lean();
+
+  const [a, b] = events;
+  return a?.seriesId && b?.seriesId && a.seriesId.toString() === b.seriesId.toString()
+    ? "WRONG_OCCURRENCE"
+    : "WRONG_EVENT";
+};
+
+export default {
+  MAX_OCCURRENCES,
+  OCCURRENCE_FIELDS,
+  SERIES_FIELDS,
+  expandRecurrence,
+  describeRecurrence,
+  buildOccurrenceData,
+  createOccurrences,
+  applySeriesUpdate,
+  summarizeOccurrence,
+  findListingEvents,
+  describeSeries,
+  getWrongEventReason,
+};
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Ranked Connect feeds (home and explore).
+ *
+ * Candidates are the feed's posts from the last FEED_CANDIDATE_DAYS, at most
+ * CANDIDATE_LIMIT of them. Each one is scored as
+ *
+ *   recency × affinity × (1 + velocity) × content weight × boost × seen factor
+ *
+ * - recency halves every FEED_RECENCY_HALF_LIFE_HOURS
+ * - affinity grows with the viewer's likes and comments on the author's posts,
+ *   following the author, and the author following back
+ * - velocity is likes, comments and shares per hour since posting
+ * - boost is the admin weight on explore posts
+ * - posts served to the viewer in an earlier session are demoted, and posts
+ *   already served in the current session are skipped
+ *
+ * Pages are addressed by an opaque cursor that pins the session's start time,
+ * so ages and the candidate window stay put while the user scrolls. Once the
+ * ranked window runs out the feed continues with older posts, newest first.
+ *
+ * @module services/feedRanking
+ */
+
+import mongoose from "mongoose";
+import Post from "../schema/Post.schema.js";
+import Like from "../schema/Like.schema.js";
+import PostComment from "../schema/PostComment.schema.js";
+import Connect from "../schema/Connect.schema.js";
+import FeedImpression from "../schema/FeedImpression.schema.js";
+
+const DEFAULT_CANDIDATE_DAYS = 14;
+const DEFAULT_HALF_LIFE_HOURS = 24;
+const CANDIDATE_LIMIT = 500;
+
+/** How far back, and how many of the viewer's latest interactions, count towards affinity */
+const AFFINITY_DAYS = 90;
+const AFFINITY_SAMPLE = 1000;
+
+const AFFINITY_WEIGHTS = { like: 0.5, comment: 1, follow: 0.5, mutual: 0.5, own: 1 };
+const CONTENT_WEIGHTS = { VIDEO: 1.2, IMAGE: 1 };
+const SEEN_FACTOR = 0.3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const AUTHOR_SELECT = "name email isDeleted";
+
+const CANDIDATE_DAYS = Number(process.env.FEED_CANDIDATE_DAYS) || DEFAULT_CANDIDATE_DAYS;
+const HALF_LIFE_HOURS = Number(process.env.FEED_RECENCY_HALF_LIFE_HOURS) || DEFAULT_HALF_LIFE_HOURS;
+
+// ============================================
+// CURSOR
+// ============================================
+
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString("base64url");
+
+/**
+ * Decode a cursor returned by getRankedFeed.
+ *
+ * Fields: t = session start (ms), w = start of the ranked window (ms),
+ * phase = "ranked" (position s = score, id) or "recent" (position c = createdAt ms, id).
+ *
+ * @param {string} cursor
+ * @returns {Object|null} Cursor state, or null if the string is not a valid cursor
+ */
+export const decodeFeedCursor = (cursor) => {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!state || !Number.isFinite(state.t) || !Number.isFinite(state.w)) return null;
+  if (typeof state.id !== "string" || !/^[0-9a-f]{24}$/.test(state.id)) return null;
+  if (state.phase === "ranked" && Number.isFinite(state.s)) return state;
+  if (state.phase === "recent" && Number.isFinite(state.c)) return state;
+  return null;
+};
+
+// ============================================
+// SCORING
+// ============================================
+
+/** Posts whose User author was deleted are dropped; Admin authors have no isDeleted */
+const hasLiveAuthor = (post) => !!post.author && !post.author.isDeleted;
+
+/**
+ * Count the viewer's recent interactions per author of the posts interacted with
+ * @param {mongoose.Model} model - Like or PostComment
+ * @param {Object} match - Selects the viewer's interactions
+ * @param {Array<ObjectId>} authorIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const countInteractionsByAuthor = async (model, match, authorIds) => {
+  const since = new Date(Date.now() - AFFINITY_DAYS * 24 * HOUR_MS);
+  const rows = await model.aggregate([
+    { $match: { ...match, isDeleted: false, createdAt: { $gte: since } } },
+    { $sort: { createdAt: -1 } },
+    { $limit: AFFINITY_SAMPLE },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: "post",
+        foreignField: "_id",
+        pipeline: [{ $project: { author: 1 } }],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    { $match: { "post.author": { $in: authorIds } } },
+    { $group: { _id: "$post.author", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Affinity multiplier (≥ 1) of the viewer for each author
+ * @param {string|null} viewerId
+ * @param {Array<ObjectId>} authorIds
+ * @returns {Promise<Map<string, number>>} Authors missing from the map have affinity 1
+ */
+const getAffinities = async (viewerId, authorIds) => {
+  const affinities = new Map();
+  if (!viewerId || authorIds.length === 0) return affinities;
+
+  const viewer = new mongoose.Types.ObjectId(viewerId);
+  const [likes, comments, following, followers] = await Promise.all([
+    countInteractionsByAuthor(Like, { user: viewer }, authorIds),
+    countInteractionsByAuthor(PostComment, { author: viewer }, authorIds),
+    Connect.find({ follower: viewerId, following: { $in: authorIds } }).select("following").lean(),
+    Connect.find({ follower: { $in: authorIds }, following: viewerId }).select("follower").lean(),
+  ]);
+  const followingSet = new Set(following.map((c) => c.following.toString()));
+  const followerSet = new Set(followers.map((c) => c.follower.toString()));
+
+  for (const authorId of authorIds) {
+    const key = authorId.toString();
+    let affinity = 1;
+    affinity += AFFINITY_WEIGHTS.like * Math.log1p(likes.get(key) || 0);
+    affinity += AFFINITY_WEIGHTS.comment * Math.log1p(comments.get(key) || 0);
+    if (followingSet.has(key)) {
+      affinity += AFFINITY_WEIGHTS.follow;
+      if (followerSet.has(key)) affinity += AFFINITY_WEIGHTS.mutual;
+    }
+    if (key === viewerId.toString()) affinity += AFFINITY_WEIGHTS.own;
+    affinities.set(key, affinity);
+  }
+  return affinities;
+};
+
+/**
+ * Admin boost in effect at the given time
+ * @returns {number}
+ */
+const getBoostWeight = (post, at) => {
+  const { weight = 1, until = null } = post.boost || {};
+  return !until || new Date(until).getTime() > at ? weight : 1;
+};
+
+/**
+ * @param {Object} post - Lean post
+ * @param {Object} context
+ * @param {number} context.snapshot - Session start (ms); ages are measured from it
+ * @param {number} context.affinity
+ * @param {boolean} context.applyBoost
+ * @param {boolean} context.seenBefore
+ * @returns {number}
+ */
+const scorePost = (post, { snapshot, affinity, applyBoost, seenBefore }) => {
+  const ageHours = Math.max(0, (snapshot - post.createdAt.getTime()) / HOUR_MS);
+  const recency = Math.pow(0.5, ageHours / HALF_LIFE_HOURS);
+
+  const engagement =
+    (post.likeCount || 0) + 2 * (post.commentCount || 0) + 3 * (post.shareCount || 0);
+  const velocity = Math.log1p(engagement / (ageHours + 2));
+
+  const contentWeight = CONTENT_WEIGHTS[post.mediaType] ?? 1;
+  const boost = applyBoost ? getBoostWeight(post, snapshot) : 1;
+
+  return recency * affinity * (1 + velocity) * contentWeight * boost * (seenBefore ? SEEN_FACTOR : 1);
+};
+
+const byScoreDesc = (a, b) => b.score - a.score || (b.id > a.id ? 1 : b.id < a.id ? -1 : 0);
+
+/**
+ * Score the session's candidate window
+ * @returns {Promise<{ranked: Array<{post: Object, score: number, id: string}>, windowStart: number}>}
+ */
+const rankCandidates = async ({ viewerId, feed, match, snapshot, windowStart, applyBoost }) => {
+  const since = windowStart ?? snapshot - CANDIDATE_DAYS * 24 * HOUR_MS;
+  let candidates = await Post.find({
+    ...match,
+    createdAt: { $gte: new Date(since), $lte: new Date(snapshot) },
+  })
+    .populate({ path: "author", select: AUTHOR_SELECT })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  // A full window is cut just after its oldest post, so posts sharing that
+  // timestamp fall to the reverse-chronological phase instead of being lost
+  let start = since;
+  if (windowStart === undefined && candidates.length === CANDIDATE_LIMIT) {
+    start = candidates[candidates.length - 1].createdAt.getTime() + 1;
+    candidates = candidates.filter((post) => post.createdAt.getTime() >= start);
+  }
+  candidates = candidates.filter(hasLiveAuthor);
+
+  const authorIds = [
+    ...new Map(candidates.map((post) => [post.author._id.toString(), post.author._id])).values(),
+  ];
+  const [affinities, impressions] = await Promise.all([
+    getAffinities(viewerId, authorIds),
+    viewerId
+      ? FeedImpression.find({ user: viewerId, feed, post: { $in: candidates.map((p) => p._id) } })
+          .select("post firstSeenAt lastServedAt")
+          .lean()
+      : [],
+  ]);
+  const impressionByPost = new Map(impressions.map((i) => [i.post.toString(), i]));
+
+  const ranked = [];
+  for (const post of candidates) {
+    const id = post._id.toString();
+    const impression = impressionByPost.get(id);
+    if (impression && impression.lastServedAt.getTime() >= snapshot) continue;
+
+    const score = scorePost(post, {
+      snapshot,
+      affinity: affinities.get(post.author._id.toString()) ?? 1,
+      applyBoost,
+      seenBefore: !!impression && impression.firstSeenAt.getTime() < snapshot,
+    });
+    ranked.push({ post, score, id });
+  }
+  ranked.sort(byScoreDesc);
+
+  return { ranked, windowStart: start };
+};
+
+/**
+ * Posts older than the ranked window, newest first
+ * @param {Object} match
+ * @param {number} windowStart
+ * @param {Object|null} after - Recent-phase cursor position
+ * @param {number} limit
+ */
+const getOlderPosts = (match, windowStart, after, limit) => {
+  const clauses = [match, { createdAt: { $lt: new Date(windowStart) } }];
+  if (after) {
+    const createdAt = new Date(after.c);
+    clauses.push({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: new mongoose.Types.ObjectId(after.id) } },
+      ],
+    });
+  }
+
+  return Post.find({ $and: clauses })
+    .populate({ path: "author", select: AUTHOR_SELECT })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// ============================================
+// FEED
+// ============================================
+
+/**
+ * One page of a ranked feed
+ * @param {Object} options
+ * @param {string|null} options.viewerId - Anonymous viewers get no affinity or seen-tracking
+ * @param {"HOME"|"EXPLORE"} options.feed
+ * @param {Object} options.match - Post filter of the feed
+ * @param {number} options.limit
+ * @param {Object|null} [options.cursor] - Decoded cursor of the previous page
+ * @param {boolean} [options.applyBoost=false] - Honour admin boosts
+ * @returns {Promise<{posts: Object[], nextCursor: string|null, hasMore: boolean}>}
+ *   Lean posts with the author populated
+ */
+export const getRankedFeed = async ({ viewerId, feed, match, limit, cursor = null, applyBoost = false }) => {
+  const snapshot = cursor?.t ?? Date.now();
+  let windowStart = cursor?.w;
+  let posts = [];
+  let nextCursor = null;
+  let hasMore = false;
+
+  if (cursor?.phase !== "recent") {
+    const result = await rankCandidates({ viewerId, feed, match, snapshot, windowStart, applyBoost });
+    windowStart = result.windowStart;
+
+    const remaining = cursor
+      ? result.ranked.filter(({ score, id }) => score < cursor.s || (score === cursor.s && id < cursor.id))
+      : result.ranked;
+    const page = remaining.slice(0, limit);
+    posts = page.map((item) => item.post);
+
+    if (page.length > 0) {
+      const last = page[page.length - 1];
+      nextCursor = encodeCursor({ t: snapshot, w: windowStart, phase: "ranked", s: last.score, id: last.id });
+    }
+    hasMore = remaining.length > limit;
+  }
+
+  // Ranked window used up: top the page up with older posts
+  if (!hasMore) {
+    const needed = limit - posts.length;
+    const older = await getOlderPosts(
+      match,
+      windowStart,
+      cursor?.phase === "recent" ? cursor : null,
+      needed + 1
+    );
+    const page = older.slice(0, needed);
+    hasMore = older.length > needed;
+
+    if (page.length > 0) {
+      const last = page[page.length - 1];
+      nextCursor = encodeCursor({
+        t: snapshot,
+        w: windowStart,
+        phase: "recent",
+        c: last.createdAt.getTime(),
+        id: last._id.toString(),
+      });
+    }
+    posts = posts.concat(page.filter(hasLiveAuthor));
+  }
+
+  if (viewerId && posts.length > 0) {
+    FeedImpression.recordServed(viewerId, feed, posts.map((post) => post._id)).catch((error) =>
+      console.error("[FEED] Failed to record impressions:", error.message)
+    );
+  }
+
+  return { posts, nextCursor: hasMore ? nextCursor : null, hasMore };
+};
+
+export default {
+  decodeFeedCursor,
+  getRankedFeed,
+};
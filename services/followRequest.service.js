@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Private accounts and follow requests for Connect.
+ *
+ * A Connect edge always means an approved follower. Following a private
+ * account creates a FollowRequest instead; approving it creates the edge.
+ * Posts and follower/following lists of a private account are visible only to
+ * the owner and their approved followers.
+ *
+ * @module services/followRequest
+ */
+
+import Connect from "../schema/Connect.schema.js";
+import User from "../schema/User.schema.js";
+import FollowRequest from "../schema/FollowRequest.schema.js";
+
+/**
+ * Create a follow edge and bump both users' counts
+ * @param {string} followerId
+ * @param {string} followingId
+ * @returns {Promise<Object|null>} The Connect document, or null if already following
+ */
+export const createFollowEdge = async (followerId, followingId) => {
+  let connection;
+  try {
+    connection = await Connect.create({ follower: followerId, following: followingId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await Promise.all([
+    User.findByIdAndUpdate(followerId, { $inc: { followingCount: 1 } }),
+    User.findByIdAndUpdate(followingId, { $inc: { followerCount: 1 } }),
+  ]);
+
+  return connection;
+};
+
+/**
+ * Remove a follow edge and fix both users' counts (without going below 0)
+ * @returns {Promise<boolean>} False if there was no such follow
+ */
+export const removeFollowEdge = async (followerId, followingId) => {
+  const connection = await Connect.findOneAndDelete({ follower: followerId, following: followingId });
+  if (!connection) return false;
+
+  await Promise.all([
+    User.findByIdAndUpdate(followerId, [
+      { $set: { followingCount: { $max: [0, { $subtract: ["$followingCount", 1] }] } } },
+    ]),
+    User.findByIdAndUpdate(followingId, [
+      { $set: { followerCount: { $max: [0, { $subtract: ["$followerCount", 1] }] } } },
+    ]),
+  ]);
+  return true;
+};
+
+/**
+ * Whether the viewer may see an account's posts and follower lists
+ * @param {string|null} viewerId - Logged-in user, if any
+ * @param {Object|string} owner - User document (with privacySettings) or user ID
+ * @returns {Promise<boolean>}
+ */
+export const canViewAccount = async (viewerId, owner) => {
+  const ownerId = owner?._id ?? owner;
+  if (viewerId && ownerId.toString() === viewerId.toString()) return true;
+
+  const user = owner?.privacySettings
+    ? owner
+    : await User.findById(ownerId).select("privacySettings").lean();
+
+  // Admin authors have no privacy settings
+  if (!user?.privacySettings?.isPrivate) return true;
+  if (!viewerId) return false;
+
+  return Connect.isFollowing(viewerId, ownerId);
+};
+
+/**
+ * Relationship from the viewer to another user
+ * @returns {Promise<"FOLLOWING"|"PENDING"|"NONE">}
+ */
+export const getFollowState = async (viewerId, targetId) => {
+  const [isFollowing, isPending] = await Promise.all([
+    Connect.isFollowing(viewerId, targetId),
+    FollowRequest.hasPendingRequest(viewerId, targetId),
+  ]);
+  if (isFollowing) return "FOLLOWING";
+  return isPending ? "PENDING" : "NONE";
+};
+
+/**
+ * Ask to follow a private account
+ * @returns {Promise<{status: "PENDING"|"ALREADY_PENDING", request?: Object}>}
+ */
+export const createFollowRequest = async (requesterId, targetId) => {
+  try {
+    const request = await FollowRequest.create({ requester: requesterId, target: targetId });
+    return { status: "PENDING", request };
+  } catch (error) {
+    if (error.code === 11000) return { status: "ALREADY_PENDING" };
+    throw error;
+  }
+};
+
+/**
+ * Withdraw a pending request
+ * @returns {Promise<boolean>} Whether a pending request was cancelled
+ */
+export const cancelFollowRequest = async (requesterId, targetId) => {
+  const request = await FollowRequest.findOneAndUpdate(
+    { requester: requesterId, target: targetId, status: "PENDING" },
+    { $set: { status: "CANCELLED", respondedAt: new Date() } }
+  );
+  return !!request;
+};
+
+/**
+ * Approve or reject a request addressed to the owner
+ * @param {string} ownerId - The private account answering
+ * @param {string} requestId
+ * @param {boolean} approve
+ * @returns {Promise<{status: "NOT_FOUND"|"APPROVED"|"REJECTED", request?: Object}>}
+ */
+export const respondToFollowRequest = async (ownerId, requestId, approve) => {
+  const request = await FollowRequest.findOneAndUpdate(
+    { _id: requestId, target: ownerId, status: "PENDING" },
+    { $set: { status: approve ? "APPROVED" : "REJECTED", respondedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!request) {
+    return { status: "NOT_FOUND" };
+  }
+
+  if (approve) {
+    await createFollowEdge(request.requester, ownerId);
+  }
+
+  return { status: request.status, request };
+};
+
+/**
+ * Pending requests sent to (incoming) or by (sent) a user
+ * @param {string} userId
+ * @param {"incoming"|"sent"} direction
+ * @param {{page?: number, limit?: number}} options
+ */
+export const listFollowRequests = async (userId, direction, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+  const [ownField, otherField] = direction === "sent" ? ["requester", "target"] : ["target", "requester"];
+  const filter = { [ownField]: userId, status: "PENDING" };
+
+  const [requests, totalCount] = await Promise.all([
+    FollowRequest.find(filter)
+      .populate({
+        path: otherField,
+        select: "name occupation followerCount followingCount postCount",
+        match: { isDeleted: false },
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    FollowRequest.countDocuments(filter),
+  ]);
+
+  return {
+    requests: requests
+      .filter((r) => r[otherField])
+      .map((r) => ({
+        id: r._id,
+        user: {
+          id: r[otherField]._id,
+          name: r[otherField].name,
+          occupation: r[otherField].occupation || null,
+          followerCount: r[otherField].followerCount || 0,
+          followingCount: r[otherField].followingCount || 0,
+          postCount: r[otherField].postCount || 0,
+        },
+        requestedAt: r.createdAt,
+      })),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit,
+    },
+  };
+};
+
+/**
+ * Switch private mode on or off.
+ *
+ * Turning it on keeps everyone who already follows the user as an approved
+ * follower: their Connect edges are left as they are, so they keep seeing the
+ * user's posts and lists. Turning it off approves every pending request, since
+ * a public account has no use for them.
+ *
+ * @param {string} userId
+ * @param {boolean} isPrivate
+ * @returns {Promise<{isPrivate: boolean, changed: boolean, followersKept?: number, requestsApproved?: number}|null>}
+ *   null if the user does not exist
+ */
+export const setPrivateAccount = async (userId, isPrivate) => {
+  const before = await User.findByIdAndUpdate(
+    userId,
+    { $set: { "privacySettings.isPrivate": isPrivate } },
+    { select: "privacySettings followerCount" }
+  );
+  if (!before) return null;
+
+  const wasPrivate = before.privacySettings?.isPrivate === true;
+  if (wasPrivate === isPrivate) {
+    return { isPrivate, changed: false };
+  }
+
+  if (isPrivate) {
+    const followersKept = await Connect.countDocuments({ following: userId, isDeleted: false });
+    console.log(`[CONNECT] User ${userId} went private; ${followersKept} existing followers kept as approved`);
+    return { isPrivate, changed: true, followersKept };
+  }
+
+  const pending = await FollowRequest.find({ target: userId, status: "PENDING" }).select("requester").lean();
+  let requestsApproved = 0;
+  for (const request of pending) {
+    const updated = await FollowRequest.updateOne(
+      { _id: request._id, status: "PENDING" },
+      { $set: { status: "APPROVED", respondedAt: new Date() } }
+    );
+    if (updated.modifiedCount === 0) continue;
+    await createFollowEdge(request.requester, userId);
+    requestsApproved += 1;
+  }
+
+  console.log(`[CONNECT] User ${userId} went public; ${requestsApproved} pending follow requests approved`);
+  return { isPrivate, changed: true, requestsApproved };
+};
+
+export default {
+  createFollowEdge,
+  removeFollowEdge,
+  canViewAccount,
+  getFollowState,
+  createFollowRequest,
+  cancelFollowRequest,
+  respondToFollowRequest,
+  listFollowRequests,
+  setPrivateAccount,
+};
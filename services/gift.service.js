@@ -0,0 +1,540 @@
+/**
+ * @fileoverview Gifts — a membership, services or feature access bought for
+ * someone else
+ *
+ * The buyer pays through a GIFT payment. Once the payment clears the gift is
+ * SCHEDULED, and on its delivery date the recipient is sent a claim link over
+ * WhatsApp and email. Claiming needs an app account on the recipient's phone;
+ * the product is activated on that account then, not at purchase, so a gift
+ * bought weeks ahead does not start running early. A membership gift starts
+ * when the recipient's current membership ends.
+ *
+ * Gifts left unclaimed for CLAIM_WINDOW_DAYS after delivery expire, and the
+ * buyer can then refund them. Refunding a claimed gift (admin only) revokes
+ * what the claim activated.
+ *
+ * @module services/gift
+ */
+
+import Gift from "../schema/Gift.schema.js";
+import User from "../schema/User.schema.js";
+import MembershipPlan from "../schema/MembershipPlan.schema.js";
+import UserMembership from "../schema/UserMembership.schema.js";
+import Service from "../schema/Service.schema.js";
+import UserServiceSubscription from "../schema/UserServiceSubscription.schema.js";
+import FeaturePricing from "../schema/FeaturePricing.schema.js";
+import UserFeatureAccess from "../schema/UserFeatureAccess.schema.js";
+import { sendGiftWhatsApp } from "../utils/whatsapp.util.js";
+import { sendEmail } from "../utils/email.util.js";
+import { generateGiftEmail, generateGiftEmailText } from "../utils/emailTemplate.util.js";
+
+/**
+ * Days the recipient has to claim a delivered gift
+ */
+export const CLAIM_WINDOW_DAYS = 30;
+
+/**
+ * Gifts delivered per sweep, so one run stays short
+ */
+const DELIVERY_BATCH_SIZE = 100;
+
+const APP_URL = process.env.APP_FRONTEND_URL || "https://app.motivata.in";
+
+export const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Link the recipient opens to claim the gift
+ * @param {string} claimToken
+ * @returns {string}
+ */
+export const getClaimUrl = (claimToken) => `${APP_URL}/gifts/claim/${claimToken}`;
+
+/**
+ * What was gifted, for messages, e.g. "Gold Membership"
+ * @param {Object} gift
+ * @returns {string}
+ */
+export const getGiftName = (gift) => gift.items.map((item) => item.name).join(", ");
+
+/**
+ * Price a gift from the catalogue. Only products the buyer could buy for
+ * themselves can be gifted; student plans need the recipient's own referral
+ * and services that need approval go through a request, so neither can.
+ * @param {Object} product
+ * @param {string} product.productType - MEMBERSHIP, SERVICE or FEATURE
+ * @param {string} [product.membershipPlanId]
+ * @param {string[]} [product.serviceIds]
+ * @param {string} [product.featurePricingId]
+ * @returns {Promise<{ items: Object[], amount: number }|{ error: string }>}
+ */
+export const priceGift = async ({ productType, membershipPlanId, serviceIds = [], featurePricingId }) => {
+  if (productType === "MEMBERSHIP") {
+    const plan = await MembershipPlan.findById(membershipPlanId);
+    if (!plan) return { error: "Membership plan not found" };
+
+    const { canPurchase, reason } = plan.canBePurchased();
+    if (!canPurchase) return { error: reason };
+    if (plan.requiresReferral) return { error: "Student membership plans cannot be gifted" };
+
+    return {
+      items: [{ itemId: plan._id, name: plan.name, price: plan.price, durationInDays: plan.durationInDays }],
+      amount: plan.price,
+    };
+  }
+
+  if (productType === "SERVICE") {
+    const services = await Service.find({ _id: { $in: serviceIds }, isActive: true, requiresApproval: false });
+    if (services.length !== new Set(serviceIds.map(String)).size) {
+      return { error: "One or more services are not available" };
+    }
+
+    const full = services.find((service) => !service.hasAvailableSlots());
+    if (full) return { error: `Service "${full.name}" has no available slots` };
+
+    return {
+      items: services.map((service) => ({
+        itemId: service._id,
+        name: service.name,
+        price: service.price,
+        durationInDays: service.durationInDays,
+      })),
+      amount: roundAmount(services.reduce((sum, service) => sum + service.price, 0)),
+    };
+  }
+
+  const pricing = await FeaturePricing.findById(featurePricingId);
+  if (!pricing) return { error: "Feature pricing not found" };
+
+  const { canPurchase, reason } = pricing.canBePurchased();
+  if (!canPurchase) return { error: reason };
+
+  return {
+    items: [
+      {
+        itemId: pricing._id,
+        name: pricing.name,
+        price: pricing.price,
+        durationInDays: pricing.durationInDays,
+        featureKeys: pricing.isBundle ? pricing.includedFeatures : [pricing.featureKey],
+      },
+    ],
+    amount: pricing.price,
+  };
+};
+
+/**
+ * Send the claim link to the recipient. Only a SCHEDULED gift is delivered,
+ * and only once, however many callers race for it.
+ * @param {string} giftId
+ * @returns {Promise<Object|null>} The delivered gift, or null if it was not due
+ */
+export const deliverGift = async (giftId) => {
+  const gift = await Gift.findOneAndUpdate(
+    { _id: giftId, status: "SCHEDULED" },
+    { $set: { status: "DELIVERED", "delivery.deliveredAt": new Date() } },
+    { new: true }
+  ).select("+claimToken");
+
+  if (!gift) return null;
+
+  const { recipient, buyer } = gift;
+  const claimUrl = getClaimUrl(gift.claimToken);
+  const giftName = getGiftName(gift);
+  const senderName = buyer.name || "Someone";
+
+  try {
+    await sendGiftWhatsApp({
+      phone: recipient.phone,
+      name: recipient.name,
+      senderName,
+      giftName,
+      message: gift.message,
+      claimUrl,
+      expiresAt: gift.expiresAt,
+      orderId: gift.orderId,
+    });
+    gift.delivery.whatsapp = { sent: true, error: null };
+  } catch (whatsappError) {
+    gift.delivery.whatsapp = { sent: false, error: whatsappError.message };
+  }
+
+  if (recipient.email) {
+    const emailData = {
+      name: recipient.name,
+      senderName,
+      giftName,
+      message: gift.message,
+      claimUrl,
+      expiresOn: gift.expiresAt.toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium" }),
+    };
+    try {
+      await sendEmail({
+        to: recipient.email,
+        subject: `${senderName} sent you a gift`,
+        html: generateGiftEmail(emailData),
+        text: generateGiftEmailText(emailData),
+        category: "GIFT",
+        orderId: gift.orderId,
+      });
+      gift.delivery.email = { sent: true, error: null };
+    } catch (emailError) {
+      gift.delivery.email = { sent: false, error: emailError.message };
+    }
+  }
+
+  await gift.save();
+
+  console.log("[GIFT] Delivered:", {
+    giftId: gift._id,
+    recipient: `***${recipient.phone.slice(-4)}`,
+    whatsapp: gift.delivery.whatsapp.sent,
+    email: gift.delivery.email.sent,
+  });
+
+  return gift;
+};
+
+/**
+ * Payment for a gift cleared: schedule it, and deliver it now if its date
+ * has come
+ * @param {Object} payment - GIFT Payment document
+ * @returns {Promise<void>}
+ */
+export const confirmGiftPayment = async (payment) => {
+  const gift = await Gift.findOneAndUpdate(
+    { orderId: payment.orderId, status: { $in: ["PENDING_PAYMENT", "FAILED"] } },
+    { $set: { status: "SCHEDULED", paymentId: payment.paymentId, paidAt: new Date() } },
+    { new: true }
+  );
+
+  if (!gift) {
+    console.log("[GIFT] No unpaid gift for order, skipping:", payment.orderId);
+    return;
+  }
+
+  console.log("[GIFT] Payment confirmed:", { giftId: gift._id, deliverAt: gift.deliverAt });
+
+  if (gift.deliverAt <= new Date()) {
+    await deliverGift(gift._id);
+  }
+};
+
+/**
+ * Payment for a gift failed
+ * @param {Object} payment - GIFT Payment document
+ * @returns {Promise<void>}
+ */
+export const failGiftPayment = async (payment) => {
+  const gift = await Gift.findOneAndUpdate(
+    { orderId: payment.orderId, status: "PENDING_PAYMENT" },
+    { $set: { status: "FAILED" } },
+    { new: true }
+  );
+  if (gift) {
+    console.log("[GIFT] Payment failed:", gift._id);
+  }
+};
+
+const activateMembership = async (gift, user, phone) => {
+  const [item] = gift.items;
+  const plan = await MembershipPlan.findById(item.itemId);
+  const now = new Date();
+
+  // Stack on the recipient's current membership instead of overlapping it
+  const current = await UserMembership.findOne({
+    phone,
+    isDeleted: false,
+    status: "ACTIVE",
+    paymentStatus: "SUCCESS",
+    endDate: { $gt: now },
+  }).sort({ endDate: -1 });
+
+  const startDate = current ? current.endDate : now;
+  const isLifetime = !item.durationInDays;
+
+  const membership = await UserMembership.create({
+    phone,
+    userId: user._id,
+    membershipPlanId: item.itemId,
+    orderId: gift.orderId,
+    paymentId: gift.paymentId,
+    purchaseMethod: "IN_APP",
+    amountPaid: gift.finalAmount,
+    startDate,
+    endDate: isLifetime ? null : addDays(startDate, item.durationInDays),
+    isLifetime,
+    status: "ACTIVE",
+    paymentStatus: "SUCCESS",
+    planSnapshot: {
+      name: plan?.name || item.name,
+      description: plan?.description,
+      durationInDays: item.durationInDays,
+      perks: plan?.perks,
+      metadata: plan?.metadata,
+    },
+    metadata: {
+      giftId: gift._id.toString(),
+      giftedBy: gift.buyer.userId.toString(),
+    },
+  });
+
+  if (plan) {
+    await plan.incrementPurchaseCount();
+  }
+
+  return { userMembershipId: membership._id };
+};
+
+const activateServices = async (gift, user, phone) => {
+  const now = new Date();
+  const serviceSubscriptionIds = [];
+
+  for (const item of gift.items) {
+    const subscription = await UserServiceSubscription.create({
+      phone,
+      userId: user._id,
+      serviceId: item.itemId,
+      giftId: gift._id,
+      status: "ACTIVE",
+      startDate: now,
+      endDate: item.durationInDays ? addDays(now, item.durationInDays) : null,
+      amountPaid: item.price,
+      durationInDays: item.durationInDays,
+      activatedAt: now,
+    });
+    serviceSubscriptionIds.push(subscription._id);
+
+    const service = await Service.findById(item.itemId);
+    if (service) {
+      await service.incrementSubscriptionCount();
+    }
+  }
+
+  return { serviceSubscriptionIds };
+};
+
+const activateFeatures = async (gift, user, phone) => {
+  const [item] = gift.items;
+  const pricing = await FeaturePricing.findById(item.itemId);
+  const now = new Date();
+  const isLifetime = !item.durationInDays;
+  const featureAccessIds = [];
+
+  for (const featureKey of item.featureKeys) {
+    const access = await UserFeatureAccess.create({
+      phone,
+      userId: user._id,
+      featureKey,
+      source: "GIFT",
+      featurePricingId: item.itemId,
+      orderId: `GIFT_${featureKey}_${gift._id}`,
+      paymentId: gift.paymentId,
+      amountPaid: roundAmount(gift.finalAmount / item.featureKeys.length),
+      startDate: now,
+      endDate: isLifetime ? null : addDays(now, item.durationInDays),
+      isLifetime,
+      status: "ACTIVE",
+      paymentStatus: "SUCCESS",
+      pricingSnapshot: {
+        name: item.name,
+        description: pricing?.description,
+        durationInDays: item.durationInDays,
+        originalPrice: item.price,
+        perks: pricing?.perks,
+      },
+      adminNotes: `Gift ${gift._id}`,
+      metadata: { giftId: gift._id.toString() },
+    });
+    featureAccessIds.push(access._id);
+  }
+
+  if (pricing) {
+    await pricing.incrementPurchaseCount();
+  }
+
+  return { featureAccessIds };
+};
+
+const ACTIVATORS = {
+  MEMBERSHIP: activateMembership,
+  SERVICE: activateServices,
+  FEATURE: activateFeatures,
+};
+
+/**
+ * Claim a delivered gift onto the logged-in user's account
+ * @param {Object} params
+ * @param {string} params.claimToken - From the claim link
+ * @param {string} params.userId - Claiming user
+ * @returns {Promise<{ status: string, gift?: Object }>} status is CLAIMED,
+ *   NOT_FOUND, ALREADY_CLAIMED, EXPIRED, NOT_CLAIMABLE, WRONG_RECIPIENT or CHANGED
+ */
+export const claimGift = async ({ claimToken, userId }) => {
+  const [gift, user] = await Promise.all([
+    Gift.findOne({ claimToken }),
+    User.findById(userId).select("name phone"),
+  ]);
+
+  if (!gift || !user) return { status: "NOT_FOUND" };
+  if (gift.status === "CLAIMED") return { status: "ALREADY_CLAIMED", gift };
+
+  const now = new Date();
+  if (gift.status === "EXPIRED" || (gift.status === "DELIVERED" && gift.expiresAt <= now)) {
+    return { status: "EXPIRED", gift };
+  }
+  if (gift.status !== "DELIVERED") return { status: "NOT_CLAIMABLE", gift };
+
+  const phone = normalizePhone(user.phone);
+  if (phone !== gift.recipient.phone) return { status: "WRONG_RECIPIENT", gift };
+
+  // Take the gift before activating, so a double tap cannot activate it twice
+  const claimed = await Gift.findOneAndUpdate(
+    { _id: gift._id, status: "DELIVERED", expiresAt: { $gt: now } },
+    { $set: { status: "CLAIMED", claimedBy: user._id, claimedAt: now } },
+    { new: true }
+  );
+  if (!claimed) return { status: "CHANGED" };
+
+  try {
+    claimed.activation = await ACTIVATORS[claimed.productType](claimed, user, phone);
+    await claimed.save();
+  } catch (error) {
+    await Gift.updateOne(
+      { _id: claimed._id },
+      { $set: { status: "DELIVERED", claimedBy: null, claimedAt: null } }
+    );
+    throw error;
+  }
+
+  console.log("[GIFT] Claimed:", { giftId: claimed._id, productType: claimed.productType, userId: user._id });
+
+  return { status: "CLAIMED", gift: claimed };
+};
+
+/**
+ * Undo what a gift's claim activated
+ * @param {Object} gift
+ */
+const revokeActivation = async (gift) => {
+  const { userMembershipId, serviceSubscriptionIds = [], featureAccessIds = [] } = gift.activation || {};
+
+  if (userMembershipId) {
+    const membership = await UserMembership.findById(userMembershipId);
+    if (membership && membership.status !== "REFUNDED") {
+      await membership.markAsRefunded();
+      const plan = await MembershipPlan.findById(membership.membershipPlanId);
+      if (plan) await plan.decrementPurchaseCount();
+    }
+  }
+
+  const subscriptions = await UserServiceSubscription.find({ _id: { $in: serviceSubscriptionIds } });
+  for (const subscription of subscriptions) {
+    if (subscription.status === "REFUNDED") continue;
+    await subscription.markAsRefunded();
+    const service = await Service.findById(subscription.serviceId);
+    if (service) await service.decrementActiveSubscriptionCount();
+  }
+
+  const accesses = await UserFeatureAccess.find({ _id: { $in: featureAccessIds } });
+  for (const access of accesses) {
+    if (access.status !== "REFUNDED") await access.markAsRefunded();
+  }
+  if (accesses.length > 0) {
+    const pricing = await FeaturePricing.findById(accesses[0].featurePricingId);
+    if (pricing) await pricing.decrementPurchaseCount();
+  }
+};
+
+/**
+ * A gift's payment was fully refunded: mark the gift refunded, revoke what
+ * its claim activated and give the coupon use back
+ * @param {Object} payment - GIFT Payment document
+ * @returns {Promise<void>}
+ */
+export const refundGift = async (payment) => {
+  const gift = await Gift.findOne({ orderId: payment.orderId });
+  if (!gift || gift.status === "REFUNDED") {
+    console.log("[GIFT] No gift to refund for order, skipping:", payment.orderId);
+    return;
+  }
+
+  if (gift.status === "CLAIMED") {
+    await revokeActivation(gift);
+  }
+
+  gift.status = "REFUNDED";
+  gift.refundedAt = new Date();
+  await gift.save();
+
+  console.log("[GIFT] Refunded:", gift._id);
+};
+
+let sweepRunning = false;
+
+/**
+ * One sweep: deliver gifts whose date has come, then expire delivered gifts
+ * whose claim window has closed
+ * @returns {Promise<Object>} Counts for the job run history
+ * @throws {Error} If the sweep fails, so the scheduler records the failure
+ */
+export const runGiftSweep = async () => {
+  if (sweepRunning) return { skipped: true, reason: "Sweep already running" };
+  sweepRunning = true;
+
+  try {
+    const now = new Date();
+
+    const due = await Gift.find({ status: "SCHEDULED", deliverAt: { $lte: now } })
+      .sort({ deliverAt: 1 })
+      .limit(DELIVERY_BATCH_SIZE)
+      .select("_id")
+      .lean();
+
+    let delivered = 0;
+    for (const { _id } of due) {
+      try {
+        if (await deliverGift(_id)) delivered++;
+      } catch (error) {
+        console.error("[GIFT] Delivery failed:", _id, error.message);
+      }
+    }
+
+    const { modifiedCount: expired } = await Gift.updateMany(
+      { status: "DELIVERED", expiresAt: { $lte: now } },
+      { $set: { status: "EXPIRED", expiredAt: now } }
+    );
+
+    if (delivered > 0 || expired > 0) {
+      console.log(`[GIFT] Sweep delivered ${delivered} gift(s), expired ${expired}`);
+    }
+
+    return { delivered, expired };
+  } catch (error) {
+    console.error("[GIFT] Sweep failed:", error.message);
+    throw error;
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+export default {
+  CLAIM_WINDOW_DAYS,
+  normalizePhone,
+  getClaimUrl,
+  getGiftName,
+  priceGift,
+  deliverGift,
+  confirmGiftPayment,
+  failGiftPayment,
+  claimGift,
+  refundGift,
+  runGiftSweep,
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Trending hashtags across posts, post comments and recommendations.
+ *
+ * Hashtags are extracted on save into each document's `hashtags` array
+ * (utils/hashtag.util.js). Trending counts uses inside a time window, skipping
+ * deleted and hidden content, and ranks tags by how many different people used
+ * them first, so one account repeating a tag can't make it trend.
+ *
+ * Trending is the same for every viewer, so only content anyone may see counts,
+ * judged as search does: posts in clubs or by public accounts that show their
+ * posts, comments on such posts, and recommendations. Deleted authors never count.
+ *
+ * @module services/hashtag
+ */
+
+import Post from "../schema/Post.schema.js";
+import PostComment from "../schema/PostComment.schema.js";
+import Recommendation from "../schema/Recommendation.schema.js";
+import User from "../schema/User.schema.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Trending windows in days */
+export const TRENDING_WINDOWS = {
+  "24h": 1,
+  "7d": 7,
+  "30d": 30,
+};
+
+/** Attach the author's User document as `authorUser` (empty for Admin authors) */
+const lookupAuthorUser = {
+  $lookup: {
+    from: User.collection.name,
+    localField: "author",
+    foreignField: "_id",
+    pipeline: [{ $project: { isDeleted: 1, privacySettings: 1 } }],
+    as: "authorUser",
+  },
+};
+
+// Admin authors have no User document; the conditions below pass for them
+const liveAuthor = { "authorUser.isDeleted": { $ne: true } };
+
+/** Posts anyone may see, as in search */
+const publicPostStages = [
+  lookupAuthorUser,
+  {
+    $match: {
+      ...liveAuthor,
+      "authorUser.privacySettings.showPosts": { $ne: false },
+      $or: [{ club: { $ne: null } }, { "authorUser.privacySettings.isPrivate": { $ne: true } }],
+    },
+  },
+];
+
+/**
+ * Most used hashtags in a window
+ * @param {Object} options
+ * @param {"24h"|"7d"|"30d"} [options.window="24h"]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array<{tag: string, authorCount: number, useCount: number}>>}
+ */
+export const getTrendingHashtags = async ({ window = "24h", limit = 20 } = {}) => {
+  const since = new Date(Date.now() - TRENDING_WINDOWS[window] * DAY_MS);
+
+  // Aggregations skip the soft-delete query hooks, so filter explicitly
+  const live = { isDeleted: false, isHidden: { $ne: true } };
+  const tagged = { $match: { ...live, createdAt: { $gte: since }, "hashtags.0": { $exists: true } } };
+  const project = { $project: { _id: 0, hashtags: 1, author: 1 } };
+
+  const postUses = [tagged, ...publicPostStages, project];
+  const commentUses = [
+    tagged,
+    lookupAuthorUser,
+    { $match: liveAuthor },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: "post",
+        foreignField: "_id",
+        pipeline: [{ $match: live }, ...publicPostStages, { $project: { _id: 1 } }],
+        as: "parentPost",
+      },
+    },
+    { $match: { "parentPost.0": { $exists: true } } },
+    project,
+  ];
+  const recommendationUses = [tagged, lookupAuthorUser, { $match: liveAuthor }, project];
+
+  return Post.aggregate([
+    ...postUses,
+    { $unionWith: { coll: PostComment.collection.name, pipeline: commentUses } },
+    { $unionWith: { coll: Recommendation.collection.name, pipeline: recommendationUses } },
+    { $unwind: "$hashtags" },
+    { $group: { _id: "$hashtags", useCount: { $sum: 1 }, authors: { $addToSet: "$author" } } },
+    { $project: { _id: 0, tag: "$_id", useCount: 1, authorCount: { $size: "$authors" } } },
+    { $sort: { authorCount: -1, useCount: -1, tag: 1 } },
+    { $limit: limit },
+  ]);
+};
+
+export default {
+  TRENDING_WINDOWS,
+  getTrendingHashtags,
+};
@@ -0,0 +1,487 @@
+/**
+ * @fileoverview GST invoices and credit notes for payments
+ *
+ * Every successful payment gets one tax invoice, issued by the payment webhook
+ * (or on first download, for payments confirmed some other way). Every refund
+ * gets a credit note against that invoice.
+ *
+ * Prices on the platform are GST-inclusive, so the tax is carved out of the
+ * amount paid: taxable value = total / (1 + rate). Supply inside the seller's
+ * state is split into CGST + SGST, supply to another state is charged IGST.
+ * For consumers without a GSTIN the place of supply is the seller's state
+ * (IGST Act s.12(2)(b): recipient address is not on record).
+ *
+ * Numbers are consecutive per financial year (April–March), as GST requires.
+ * A document is first inserted as a DRAFT keyed by its payment (or refund) —
+ * the unique index makes that insert the single winner of any race — and only
+ * then takes the next number from InvoiceSequence. Numbering a draft is
+ * claimed first too, so two callers finishing the same draft cannot both
+ * take a number.
+ */
+
+import Invoice from "../schema/Invoice.schema.js";
+import InvoiceSequence from "../schema/InvoiceSequence.schema.js";
+import Event from "../schema/Event.schema.js";
+import User from "../schema/User.schema.js";
+import {
+  generateInvoicePDF,
+  generateInvoiceFilename,
+  uploadInvoicePdfToCloudinary,
+} from "../utils/invoicePdf.util.js";
+
+const DEFAULT_GST_RATE = 18;
+const DRAFT_PREFIX = "DRAFT/";
+
+// A numbering claim older than this is from a crashed process and can be retaken
+const NUMBERING_CLAIM_MS = 60 * 1000;
+
+/**
+ * Payment statuses that had money captured and so carry an invoice
+ */
+export const INVOICEABLE_STATUSES = ["SUCCESS", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+/**
+ * SAC code per payment type. Confirm with finance before changing — these
+ * print on every invoice.
+ */
+const SAC_BY_PAYMENT_TYPE = {
+  EVENT: "999692", // Admission to entertainment events
+  SESSION: "999293", // Commercial training and coaching
+  SERVICE: "999293",
+  SOS: "999293",
+  MEMBERSHIP: "999599", // Membership organisation services n.e.c.
+  MEMBERSHIP_REQUEST: "999599",
+  FEATURE_REQUEST: "998439", // Online content n.e.c.
+};
+const DEFAULT_SAC = "999293";
+
+/**
+ * A gift is invoiced as the product it contains
+ */
+const GIFT_SAC_BY_PRODUCT_TYPE = {
+  MEMBERSHIP: SAC_BY_PAYMENT_TYPE.MEMBERSHIP,
+  SERVICE: SAC_BY_PAYMENT_TYPE.SERVICE,
+  FEATURE: SAC_BY_PAYMENT_TYPE.FEATURE_REQUEST,
+};
+
+/**
+ * GST state codes (first two digits of a GSTIN)
+ */
+const GST_STATES = {
+  "01": "Jammu and Kashmir", "02": "Himachal Pradesh", "03": "Punjab",
+  "04": "Chandigarh", "05": "Uttarakhand", "06": "Haryana", "07": "Delhi",
+  "08": "Rajasthan", "09": "Uttar Pradesh", "10": "Bihar", "11": "Sikkim",
+  "12": "Arunachal Pradesh", "13": "Nagaland", "14": "Manipur", "15": "Mizoram",
+  "16": "Tripura", "17": "Meghalaya", "18": "Assam", "19": "West Bengal",
+  "20": "Jharkhand", "21": "Odisha", "22": "Chhattisgarh", "23": "Madhya Pradesh",
+  "24": "Gujarat", "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra", "29": "Karnataka", "30": "Goa", "31": "Lakshadweep",
+  "32": "Kerala", "33": "Tamil Nadu", "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands", "36": "Telangana", "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
+
+/**
+ * Round a rupee amount to paise
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const configuredGstRate = Number(process.env.GST_RATE);
+const GST_RATE =
+  Number.isFinite(configuredGstRate) && configuredGstRate >= 0 ? configuredGstRate : DEFAULT_GST_RATE;
+
+const NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || "MOT";
+
+const sellerGstin = process.env.INVOICE_SELLER_GSTIN || null;
+const sellerStateCode = process.env.INVOICE_SELLER_STATE_CODE || (sellerGstin ? sellerGstin.slice(0, 2) : null);
+
+if (!sellerGstin) {
+  console.warn("[INVOICE] INVOICE_SELLER_GSTIN is not set — invoices will be issued without a GSTIN");
+}
+
+/**
+ * Supplier details printed on every document, from the INVOICE_SELLER_* env vars
+ */
+export const SELLER_DETAILS = Object.freeze({
+  name: process.env.INVOICE_SELLER_NAME || process.env.EMAIL_FROM_NAME || "Motivata",
+  gstin: sellerGstin,
+  address: process.env.INVOICE_SELLER_ADDRESS || null,
+  state: process.env.INVOICE_SELLER_STATE || GST_STATES[sellerStateCode] || null,
+  stateCode: sellerStateCode,
+  email: process.env.INVOICE_SELLER_EMAIL || null,
+  phone: null,
+});
+
+/**
+ * Indian financial year for a date, e.g. 2026-27 for 19 Oct 2026
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const getFinancialYear = (date = new Date()) => {
+  // Financial years turn over at midnight IST on 1 April
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Carve GST out of a tax-inclusive amount
+ * @param {number} total - Tax-inclusive amount
+ * @param {number} gstRate - Percent
+ * @param {'INTRA_STATE'|'INTER_STATE'} supplyType
+ * @returns {{ taxableValue: number, cgst: number, sgst: number, igst: number, totalTax: number }}
+ */
+export const splitTax = (total, gstRate, supplyType) => {
+  const taxableValue = roundAmount(total / (1 + gstRate / 100));
+  const totalTax = roundAmount(total - taxableValue);
+
+  if (supplyType === "INTER_STATE") {
+    return { taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+
+  // Put any odd paisa on SGST so CGST + SGST always equals the total tax
+  const cgst = roundAmount(totalTax / 2);
+  return { taxableValue, cgst, sgst: roundAmount(totalTax - cgst), igst: 0, totalTax };
+};
+
+/**
+ * Who the invoice is made out to: the checkout buyer when there is one,
+ * otherwise the paying user's profile
+ * @param {Object} payment
+ * @returns {Promise<Object>} Party snapshot
+ */
+const resolveBuyer = async (payment) => {
+  const buyer = payment.metadata?.buyer || {};
+  let user = null;
+
+  if (!buyer.name && payment.userId) {
+    user = await User.findById(payment.userId).select("name email phone").lean();
+  }
+
+  const gstin = (buyer.gstin || payment.metadata?.gstin || "").toUpperCase() || null;
+  const stateCode = gstin ? gstin.slice(0, 2) : null;
+
+  return {
+    name: buyer.name || user?.name || "Customer",
+    gstin,
+    address: null,
+    state: stateCode ? GST_STATES[stateCode] || null : null,
+    stateCode,
+    email: buyer.email || user?.email || null,
+    phone: buyer.phone || user?.phone || payment.phone || payment.metadata?.phone || null,
+  };
+};
+
+/**
+ * Describe what the payment bought, one line per item
+ * @param {Object} payment
+ * @returns {Promise<Array<Object>>} Line items with tax-inclusive amounts
+ */
+const buildLineItems = async (payment) => {
+  const metadata = payment.metadata || {};
+  let hsnSac = SAC_BY_PAYMENT_TYPE[payment.type] || DEFAULT_SAC;
+  let description;
+  let quantity = 1;
+
+  switch (payment.type) {
+    case "EVENT": {
+      const event = payment.eventId
+        ? await Event.findById(payment.eventId).select("name").lean()
+        : null;
+      quantity = metadata.totalTickets || 1;
+      description = `Event ticket: ${event?.name || "Event"}${metadata.tierName ? ` (${metadata.tierName})` : ""}`;
+      break;
+    }
+    case "SESSION":
+      description = `Session: ${metadata.sessionTitle || "Session booking"}`;
+      break;
+    case "MEMBERSHIP":
+    case "MEMBERSHIP_REQUEST":
+      description = `Membership: ${metadata.planName || "Membership plan"}${metadata.durationInDays ? ` (${metadata.durationInDays} days)` : ""}`;
+      break;
+    case "SERVICE":
+      description = `Services: ${(metadata.serviceNames || []).join(", ") || "Service subscription"}`;
+      break;
+    case "FEATURE_REQUEST":
+      description = `App feature access: ${(metadata.features || []).join(", ") || "Features"}${metadata.durationInDays ? ` (${metadata.durationInDays} days)` : ""}`;
+      break;
+    case "SOS":
+      description = `SOS program: ${metadata.programTitle || "Program"}`;
+      break;
+    case "GIFT":
+      hsnSac = GIFT_SAC_BY_PRODUCT_TYPE[metadata.productType] || DEFAULT_SAC;
+      description = `Gift for ${metadata.recipientName || "recipient"}: ${(metadata.itemNames || []).join(", ") || "Gift"}`;
+      break;
+    default:
+      description = metadata.description || `${payment.type} payment`;
+  }
+
+  return [
+    {
+      description,
+      hsnSac,
+      quantity,
+      unitPrice: roundAmount(payment.amount / quantity),
+      amount: roundAmount(payment.amount),
+    },
+  ];
+};
+
+/**
+ * Whether a document is still waiting for its number
+ * @param {Object} invoice
+ * @returns {boolean}
+ */
+export const isDraft = (invoice) => invoice.number.startsWith(DRAFT_PREFIX);
+
+/**
+ * Give a DRAFT document its number, then render and store its PDF.
+ * Storage failures are logged and left for the next download to retry —
+ * the document itself is valid without a stored copy.
+ * @param {Object} invoice - Invoice document
+ * @param {string} series - 'INV' or 'CN'
+ * @returns {Promise<Object>} The numbered invoice, or the draft if another
+ *   caller is numbering it right now
+ */
+const finalizeDocument = async (invoice, series) => {
+  if (isDraft(invoice)) {
+    const claimed = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        number: invoice.number,
+        $or: [
+          { numberingClaimedAt: null },
+          { numberingClaimedAt: { $lt: new Date(Date.now() - NUMBERING_CLAIM_MS) } },
+        ],
+      },
+      { $set: { numberingClaimedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return Invoice.findById(invoice._id);
+    }
+
+    const seq = await InvoiceSequence.next(`${series}/${claimed.financialYear}`);
+    const number = `${NUMBER_PREFIX}/${series}/${claimed.financialYear}/${String(seq).padStart(6, "0")}`;
+
+    invoice = await Invoice.findByIdAndUpdate(
+      claimed._id,
+      { $set: { number, issuedAt: new Date() } },
+      { new: true }
+    );
+    console.log(`[INVOICE] Issued ${invoice.documentType} ${invoice.number} for order ${invoice.orderId}`);
+  }
+
+  if (!invoice.pdf?.url) {
+    try {
+      const pdfBuffer = await generateInvoicePDF(invoice);
+      const { url, publicId } = await uploadInvoicePdfToCloudinary({ pdfBuffer, invoice });
+      invoice.pdf = { url, publicId, generatedAt: new Date() };
+      await invoice.save();
+    } catch (error) {
+      console.error(`[INVOICE] Failed to store PDF for ${invoice.number}:`, error.message);
+    }
+  }
+
+  return invoice;
+};
+
+/**
+ * Insert a DRAFT, or return the document that won the race for the same key
+ * @param {Object} data - Invoice fields
+ * @param {Object} existingQuery - Query that finds the competing document
+ */
+const createDraft = async (data, existingQuery) => {
+  try {
+    return await Invoice.create(data);
+  } catch (error) {
+    if (error.code === 11000) {
+      return Invoice.findOne(existingQuery);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue the tax invoice for a payment. Idempotent: returns the existing
+ * invoice if there is one, and finishes one left as a DRAFT by a crash.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} Invoice, or null for zero-value payments
+ * @throws {Error} If the payment was never captured
+ */
+export const issueInvoice = async (payment) => {
+  if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot invoice a payment with status ${payment.status}`);
+  }
+
+  const query = { paymentId: payment._id, documentType: "TAX_INVOICE" };
+  let invoice = await Invoice.findOne(query);
+
+  if (!invoice) {
+    // Nothing was charged, so there is no supply to invoice
+    if (!(payment.finalAmount > 0)) {
+      return null;
+    }
+
+    const seller = { ...SELLER_DETAILS };
+    const buyer = await resolveBuyer(payment);
+    const supplyType =
+      buyer.stateCode && seller.stateCode && buyer.stateCode !== seller.stateCode
+        ? "INTER_STATE"
+        : "INTRA_STATE";
+    const lineItems = await buildLineItems(payment);
+    const grandTotal = roundAmount(payment.finalAmount);
+
+    invoice = await createDraft(
+      {
+        documentType: "TAX_INVOICE",
+        number: `${DRAFT_PREFIX}${payment._id}`,
+        financialYear: getFinancialYear(payment.purchaseDateTime || new Date()),
+        paymentId: payment._id,
+        orderId: payment.orderId,
+        paymentType: payment.type,
+        userId: payment.userId || null,
+        seller,
+        buyer,
+        placeOfSupply: buyer.state || seller.state,
+        supplyType,
+        lineItems,
+        couponCode: payment.couponCode || null,
+        // Whatever brought the price down to the amount paid (coupon or voucher)
+        discountAmount: Math.max(0, roundAmount(payment.amount - payment.finalAmount)),
+        gstRate: GST_RATE,
+        ...splitTax(grandTotal, GST_RATE, supplyType),
+        grandTotal,
+        paymentMethod: payment.metadata?.paymentMethod || "RAZORPAY",
+      },
+      query
+    );
+  }
+
+  return finalizeDocument(invoice, "INV");
+};
+
+/**
+ * Issue a credit note for a refund. Idempotent per refund ID.
+ * The tax reversed is the refunded share at the invoice's own rate and
+ * supply type.
+ * @param {Object} payment - Payment document
+ * @param {Object} refund
+ * @param {string} refund.refundId - Gateway refund ID
+ * @param {number} refund.amount - Refunded amount in rupees
+ * @param {string} [refund.reason]
+ * @returns {Promise<Object|null>} Credit note, or null when the payment has no invoice
+ */
+export const issueCreditNote = async (payment, { refundId, amount, reason = null }) => {
+  const query = { refundId, documentType: "CREDIT_NOTE" };
+  let creditNote = await Invoice.findOne(query);
+
+  if (!creditNote) {
+    const invoice = await issueInvoice(payment);
+    if (!invoice) {
+      return null;
+    }
+    if (isDraft(invoice)) {
+      throw new Error(`Invoice for order ${payment.orderId} is still being numbered`);
+    }
+
+    const grandTotal = roundAmount(Math.min(amount, invoice.grandTotal));
+
+    creditNote = await createDraft(
+      {
+        documentType: "CREDIT_NOTE",
+        number: `${DRAFT_PREFIX}${refundId}`,
+        financialYear: getFinancialYear(),
+        paymentId: payment._id,
+        orderId: payment.orderId,
+        paymentType: payment.type,
+        userId: invoice.userId,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        lineItems: [
+          {
+            description: `Refund against invoice ${invoice.number}`,
+            hsnSac: invoice.lineItems[0]?.hsnSac || DEFAULT_SAC,
+            quantity: 1,
+            unitPrice: grandTotal,
+            amount: grandTotal,
+          },
+        ],
+        gstRate: invoice.gstRate,
+        ...splitTax(grandTotal, invoice.gstRate, invoice.supplyType),
+        grandTotal,
+        paymentMethod: invoice.paymentMethod,
+        originalInvoiceId: invoice._id,
+        originalInvoiceNumber: invoice.number,
+        refundId,
+        reason,
+      },
+      query
+    );
+  }
+
+  return finalizeDocument(creditNote, "CN");
+};
+
+/**
+ * Issue the invoice and any missing credit notes for a payment — for payments
+ * confirmed before invoicing existed, or whose webhook-time issue failed.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Array<Object>>} All documents for the payment, oldest first
+ */
+export const issueMissingDocuments = async (payment) => {
+  await issueInvoice(payment);
+
+  for (const refund of payment.refunds || []) {
+    await issueCreditNote(payment, refund);
+  }
+
+  return Invoice.find({ paymentId: payment._id }).sort({ issuedAt: 1 });
+};
+
+/**
+ * Render an invoice or credit note for download or attachment
+ * @param {Object} invoice
+ * @returns {Promise<{ filename: string, content: Buffer }>}
+ */
+export const renderInvoicePdf = async (invoice) => ({
+  filename: generateInvoiceFilename(invoice),
+  content: await generateInvoicePDF(invoice),
+});
+
+/**
+ * Invoice PDF as a nodemailer attachment. Never throws — a confirmation email
+ * must still go out if the invoice cannot be produced.
+ * @param {Object} payment
+ * @returns {Promise<Object|null>} Attachment, or null
+ */
+export const getInvoiceAttachment = async (payment) => {
+  try {
+    const invoice = await issueInvoice(payment);
+    if (!invoice || isDraft(invoice)) {
+      return null;
+    }
+
+    const { filename, content } = await renderInvoicePdf(invoice);
+    return { filename, content, contentType: "application/pdf" };
+  } catch (error) {
+    console.error(`[INVOICE] Could not attach invoice for order ${payment.orderId}:`, error.message);
+    return null;
+  }
+};
+
+export default {
+  INVOICEABLE_STATUSES,
+  SELLER_DETAILS,
+  getFinancialYear,
+  splitTax,
+  isDraft,
+  issueInvoice,
+  issueCreditNote,
+  issueMissingDocuments,
+  renderInvoicePdf,
+  getInvoiceAttachment,
+};
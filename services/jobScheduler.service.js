@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Persistent job scheduler with per-job lease locks
+ *
+ * Jobs are defined in code (config/jobs.config.js) and their schedule, run
+ * state and lock live in ScheduledJob, so every server instance can run the
+ * scheduler and each due run still happens exactly once:
+ * - Each poll, due jobs are claimed with an atomic findOneAndUpdate that only
+ *   succeeds while the job's lease is free or expired.
+ * - The instance running a job renews the lease every third of
+ *   JOB_LEASE_SECONDS. If it dies, the lease runs out and another instance
+ *   picks the job up; the dead run is recorded as ABANDONED.
+ * - A failed run is retried with exponential backoff (backoffSeconds,
+ *   doubling each attempt) up to maxAttempts, then goes back to its schedule.
+ * - A run still going after timeoutSeconds is recorded as TIMED_OUT and
+ *   counts as a failure. The handler is not interrupted; the lease is kept
+ *   until it settles so the job cannot overlap itself.
+ *
+ * Manual runs (admin panel) are picked up on the next poll, also while the
+ * job is paused; they are not retried and do not move the schedule.
+ *
+ * JOB_SCHEDULER_ENABLED=false keeps an instance from running jobs (it still
+ * refreshes the definitions).
+ */
+
+import os from "os";
+import ScheduledJob from "../schema/ScheduledJob.schema.js";
+import JobRun from "../schema/JobRun.schema.js";
+import { getNextCronRun } from "../utils/cronExpression.util.js";
+
+const DEFAULT_POLL_SECONDS = 15;
+const DEFAULT_LEASE_SECONDS = 120;
+const MIN_LEASE_SECONDS = 30;
+
+/**
+ * Identifies this process in locks and run history
+ */
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Jobs defined in this process, by name
+ */
+const definitions = new Map();
+
+/**
+ * Names of the jobs this instance is running right now
+ */
+const runningJobs = new Set();
+
+let pollTimer = null;
+let polling = false;
+let pollAgain = false;
+
+export const SCHEDULER_ENABLED = process.env.JOB_SCHEDULER_ENABLED !== "false";
+
+const POLL_SECONDS = Number(process.env.JOB_SCHEDULER_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+
+const LEASE_SECONDS = Math.max(Number(process.env.JOB_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS, MIN_LEASE_SECONDS);
+
+/**
+ * Next scheduled run of a trigger
+ * @param {{ type: "CRON"|"INTERVAL", cron?: string, intervalSeconds?: number }} trigger
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null}
+ */
+export const getNextScheduledRun = (trigger, after = new Date()) => {
+  if (trigger.type === "CRON") {
+    return getNextCronRun(trigger.cron, after);
+  }
+  return new Date(after.getTime() + trigger.intervalSeconds * 1000);
+};
+
+/**
+ * Define a job. Call before startJobScheduler().
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} [definition.description]
+ * @param {string} [definition.cron] - Five-field cron expression (server local time)
+ * @param {number} [definition.intervalSeconds] - Or: run every N seconds
+ * @param {Function} definition.handler - async ({ jobName, attempt, reason }) => result;
+ *   throws on failure. The result is stored in the run history, so keep it small.
+ * @param {number} [definition.maxAttempts=1] - Attempts per scheduled run
+ * @param {number} [definition.backoffSeconds=60] - Delay before the first retry
+ * @param {number} [definition.timeoutSeconds=600]
+ * @param {boolean} [definition.runOnCreate=false] - Run as soon as the job is first stored
+ * @throws {Error} If the definition is invalid
+ */
+export const defineJob = ({
+  name,
+  description = null,
+  cron,
+  intervalSeconds,
+  handler,
+  maxAttempts = 1,
+  backoffSeconds = 60,
+  timeoutSeconds = 600,
+  runOnCreate = false,
+}) => {
+  if (!name) throw new Error("Job name is required");
+  if (definitions.has(name)) throw new Error(`Job "${name}" is already defined`);
+  if (typeof handler !== "function") throw new Error(`Job "${name}" needs a handler`);
+  if (Boolean(cron) === Boolean(intervalSeconds)) {
+    throw new Error(`Job "${name}" needs either a cron expression or intervalSeconds`);
+  }
+
+  const trigger = cron
+    ? { type: "CRON", cron, intervalSeconds: null }
+    : { type: "INTERVAL", cron: null, intervalSeconds };
+
+  // Throws on a bad expression, so a typo fails at boot rather than silently never running
+  if (!getNextScheduledRun(trigger)) {
+    throw new Error(`Job "${name}" cron expression never fires: "${cron}"`);
+  }
+
+  definitions.set(name, {
+    name,
+    description,
+    trigger,
+    handler,
+    maxAttempts,
+    backoffSeconds,
+    timeoutSeconds,
+    runOnCreate,
+  });
+};
+
+/**
+ * Names of the jobs defined in this process
+ * @returns {string[]}
+ */
+export const getRegisteredJobNames = () => [...definitions.keys()];
+
+const sameTrigger = (a, b) =>
+  a?.type === b.type && (a?.cron || null) === b.cron && (a?.intervalSeconds || null) === b.intervalSeconds;
+
+/**
+ * Store new jobs and refresh the definition of existing ones. Pause state and
+ * run state are kept; the next run is recomputed only if the trigger changed.
+ */
+const syncDefinitions = async () => {
+  const now = new Date();
+
+  for (const definition of definitions.values()) {
+    const { name, description, trigger, maxAttempts, backoffSeconds, timeoutSeconds, runOnCreate } = definition;
+    const existing = await ScheduledJob.findOne({ name }).select("trigger").lean();
+
+    if (!existing) {
+      try {
+        await ScheduledJob.create({
+          name,
+          description,
+          trigger,
+          maxAttempts,
+          backoffSeconds,
+          timeoutSeconds,
+          nextRunAt: runOnCreate ? now : getNextScheduledRun(trigger, now),
+        });
+        console.log(`[SCHEDULER] Job "${name}" created`);
+      } catch (error) {
+        // Another instance created it at the same moment
+        if (error.code !== 11000) throw error;
+      }
+      continue;
+    }
+
+    const update = { description, trigger, maxAttempts, backoffSeconds, timeoutSeconds };
+    if (!sameTrigger(existing.trigger, trigger)) {
+      update.nextRunAt = getNextScheduledRun(trigger, now);
+      update.attempt = 1;
+      console.log(`[SCHEDULER] Job "${name}" trigger changed, next run ${update.nextRunAt?.toISOString()}`);
+    }
+    await ScheduledJob.updateOne({ name }, { $set: update });
+  }
+};
+
+/**
+ * Take the lease on a job if it is (still) due and nobody holds it
+ * @param {string} name
+ * @returns {Promise<Object|null>} The claimed job, or null
+ */
+const claimJob = (name) => {
+  const now = new Date();
+
+  return ScheduledJob.findOneAndUpdate(
+    {
+      name,
+      $and: [
+        { $or: [{ paused: false, nextRunAt: { $lte: now } }, { manualRunRequestedAt: { $ne: null } }] },
+        { $or: [{ "lock.expiresAt": null }, { "lock.expiresAt": { $lte: now } }] },
+      ],
+    },
+    {
+      $set: {
+        "lock.owner": INSTANCE_ID,
+        "lock.expiresAt": new Date(now.getTime() + LEASE_SECONDS * 1000),
+      },
+    },
+    { new: true }
+  ).lean();
+};
+
+const renewLease = (name) =>
+  ScheduledJob.updateOne(
+    { name, "lock.owner": INSTANCE_ID },
+    { $set: { "lock.expiresAt": new Date(Date.now() + LEASE_SECONDS * 1000) } }
+  );
+
+/**
+ * Where the job goes after a run: next attempt, or back to its schedule
+ */
+const getNextState = (job, definition, failed, finishedAt) => {
+  if (failed && job.attempt < definition.maxAttempts) {
+    const delaySeconds = definition.backoffSeconds * 2 ** (job.attempt - 1);
+    return {
+      attempt: job.attempt + 1,
+      nextRunAt: new Date(finishedAt.getTime() + delaySeconds * 1000),
+    };
+  }
+  return {
+    attempt: 1,
+    nextRunAt: getNextScheduledRun(definition.trigger, finishedAt),
+  };
+};
+
+/**
+ * Run a claimed job and record the outcome. Never throws.
+ * @param {Object} job - ScheduledJob as claimed
+ */
+const runJob = async (job) => {
+  const definition = definitions.get(job.name);
+  const manual = Boolean(job.manualRunRequestedAt);
+  const reason = manual ? "MANUAL" : job.attempt > 1 ? "RETRY" : "SCHEDULE";
+  const attempt = manual ? 1 : job.attempt;
+  const startedAt = new Date();
+
+  runningJobs.add(job.name);
+  let heartbeat = null;
+  let timeout = null;
+
+  try {
+    if (manual) {
+      // Only clear the request we picked up; one made while running stays queued
+      await ScheduledJob.updateOne(
+        { name: job.name, manualRunRequestedAt: job.manualRunRequestedAt },
+        { $set: { manualRunRequestedAt: null, manualRunRequestedBy: null } }
+      );
+    }
+
+    // A run still marked RUNNING belongs to an instance that lost the lease
+    await JobRun.updateMany(
+      { jobName: job.name, status: "RUNNING" },
+      { $set: { status: "ABANDONED", finishedAt: startedAt } }
+    );
+
+    const run = await JobRun.create({
+      jobName: job.name,
+      reason,
+      attempt,
+      instanceId: INSTANCE_ID,
+      triggeredBy: manual ? job.manualRunRequestedBy : null,
+      startedAt,
+    });
+
+    console.log(`[SCHEDULER] Running "${job.name}" (${reason.toLowerCase()}, attempt ${attempt})`);
+
+    heartbeat = setInterval(() => {
+      renewLease(job.name).catch((error) =>
+        console.error(`[SCHEDULER] Lease renewal failed for "${job.name}":`, error.message)
+      );
+    }, (LEASE_SECONDS * 1000) / 3);
+
+    let timedOut = false;
+    timeout = setTimeout(() => {
+      timedOut = true;
+      console.error(`[SCHEDULER] "${job.name}" still running after ${definition.timeoutSeconds}s`);
+      JobRun.updateOne(
+        { _id: run._id, status: "RUNNING" },
+        { $set: { status: "TIMED_OUT" } }
+      ).catch((error) => console.error("[SCHEDULER] Failed to mark run as timed out:", error.message));
+    }, definition.timeoutSeconds * 1000);
+
+    let result = null;
+    let error = null;
+    try {
+      result = (await definition.handler({ jobName: job.name, attempt, reason })) ?? null;
+    } catch (handlerError) {
+      error = handlerError;
+    }
+
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt.getTime() - startedAt.getTime();
+    const failed = Boolean(error) || timedOut;
+    const errorMessage = error
+      ? error.message
+      : timedOut
+        ? `Timed out after ${definition.timeoutSeconds}s`
+        : null;
+
+    await JobRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: timedOut ? "TIMED_OUT" : error ? "FAILED" : "SUCCEEDED",
+          finishedAt,
+          durationMs,
+          result,
+          error: { message: errorMessage, stack: error?.stack || null },
+        },
+      }
+    );
+
+    const update = {
+      $set: {
+        lastRunAt: startedAt,
+        lastStatus: failed ? "FAILED" : "SUCCEEDED",
+        lastError: errorMessage,
+        lastDurationMs: durationMs,
+        "lock.owner": null,
+        "lock.expiresAt": null,
+        ...(manual ? {} : getNextState(job, definition, failed, finishedAt)),
+      },
+    };
+    if (failed) {
+      update.$inc = { consecutiveFailures: 1 };
+    } else {
+      update.$set.consecutiveFailures = 0;
+    }
+
+    const released = await ScheduledJob.updateOne({ name: job.name, "lock.owner": INSTANCE_ID }, update);
+    if (released.matchedCount === 0) {
+      console.warn(`[SCHEDULER] Lost the lease on "${job.name}" while it ran; outcome kept in run history only`);
+    }
+
+    if (failed) {
+      console.error(`[SCHEDULER] "${job.name}" failed after ${durationMs}ms:`, errorMessage);
+    } else {
+      console.log(`[SCHEDULER] "${job.name}" succeeded in ${durationMs}ms`);
+    }
+  } catch (error) {
+    // Bookkeeping failed (database unreachable); the lease expires and the job is picked up again
+    console.error(`[SCHEDULER] Failed to run "${job.name}":`, error.message);
+  } finally {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    runningJobs.delete(job.name);
+  }
+};
+
+/**
+ * One poll: claim every due job this instance is not already running and
+ * start it. Jobs run side by side; the poll does not wait for them.
+ */
+const poll = async () => {
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+  polling = true;
+
+  try {
+    const now = new Date();
+    const names = getRegisteredJobNames().filter((name) => !runningJobs.has(name));
+    if (names.length === 0) return;
+
+    const due = await ScheduledJob.find({
+      name: { $in: names },
+      $and: [
+        { $or: [{ paused: false, nextRunAt: { $lte: now } }, { manualRunRequestedAt: { $ne: null } }] },
+        { $or: [{ "lock.expiresAt": null }, { "lock.expiresAt": { $lte: now } }] },
+      ],
+    })
+      .select("name")
+      .lean();
+
+    for (const { name } of due) {
+      const job = await claimJob(name);
+      if (job) runJob(job);
+    }
+  } catch (error) {
+    console.error("[SCHEDULER] Poll failed:", error.message);
+  } finally {
+    polling = false;
+    if (pollAgain) {
+      pollAgain = false;
+      setImmediate(poll);
+    }
+  }
+};
+
+/**
+ * Store the job definitions and start polling
+ */
+export const startJobScheduler = async () => {
+  await syncDefinitions();
+
+  if (!SCHEDULER_ENABLED) {
+    console.log("[SCHEDULER] Disabled on this instance (JOB_SCHEDULER_ENABLED=false)");
+    return;
+  }
+  if (pollTimer) return;
+
+  pollTimer = setInterval(poll, POLL_SECONDS * 1000);
+  console.log(
+    `[SCHEDULER] Started as ${INSTANCE_ID}: ${definitions.size} job(s), polling every ${POLL_SECONDS}s`
+  );
+  poll();
+};
+
+/**
+ * Queue a manual run, picked up on the next poll of any instance
+ * @param {string} name
+ * @param {string} adminId
+ * @returns {Promise<{ status: "REQUESTED"|"ALREADY_REQUESTED"|"NOT_FOUND", job?: Object }>}
+ */
+export const requestJobRun = async (name, adminId) => {
+  const job = await ScheduledJob.findOneAndUpdate(
+    { name, manualRunRequestedAt: null },
+    { $set: { manualRunRequestedAt: new Date(), manualRunRequestedBy: adminId } },
+    { new: true }
+  ).lean();
+
+  if (!job) {
+    const exists = await ScheduledJob.exists({ name });
+    return { status: exists ? "ALREADY_REQUESTED" : "NOT_FOUND" };
+  }
+
+  if (pollTimer) setImmediate(poll);
+  return { status: "REQUESTED", job };
+};
+
+/**
+ * Stop scheduled runs of a job. A run in progress is not interrupted.
+ * @param {string} name
+ * @param {string} adminId
+ * @returns {Promise<Object|null>} The job, or null if not found
+ */
+export const pauseJob = (name, adminId) =>
+  ScheduledJob.findOneAndUpdate(
+    { name },
+    { $set: { paused: true, pausedAt: new Date(), pausedBy: adminId } },
+    { new: true }
+  ).lean();
+
+/**
+ * Resume a paused job from its next scheduled time (missed runs are skipped)
+ * @param {string} name
+ * @returns {Promise<Object|null>} The job, or null if not found
+ */
+export const resumeJob = async (name) => {
+  const job = await ScheduledJob.findOne({ name }).select("trigger").lean();
+  if (!job) return null;
+
+  return ScheduledJob.findOneAndUpdate(
+    { name },
+    {
+      $set: {
+        paused: false,
+        pausedAt: null,
+        pausedBy: null,
+        attempt: 1,
+        nextRunAt: getNextScheduledRun(job.trigger),
+      },
+    },
+    { new: true }
+  ).lean();
+};
+
+export default {
+  INSTANCE_ID,
+  SCHEDULER_ENABLED,
+  getNextScheduledRun,
+  defineJob,
+  getRegisteredJobNames,
+  startJobScheduler,
+  requestJobRun,
+  pauseJob,
+  resumeJob,
+};
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview @mentions in post captions, post comments and recommendations.
+ *
+ * Clients write a mention as `@[Display Name](userId)` (utils/mention.util.js);
+ * any other `@` text is left as it is. On create and edit the text is resolved
+ * against the mentioned users: a mention stays linked, with the user's current
+ * name, only when
+ *
+ * - the user exists and neither side has blocked the other
+ * - a private account is mentioned by one of its approved followers
+ * - the user can see the content the mention is in (e.g. a follower-only post)
+ *
+ * Any other mention is rewritten to plain `@Display Name`, so the stored text
+ * never links someone who didn't pass these checks. The linked users are stored
+ * in the document's `mentions` array, which backs "posts I was mentioned in".
+ *
+ * @module services/mention
+ */
+
+import User from "../schema/User.schema.js";
+import Connect from "../schema/Connect.schema.js";
+import UserRestriction from "../schema/UserRestriction.schema.js";
+import { sendToMultipleDevices } from "../utils/fcm.util.js";
+import { MAX_MENTIONS, MENTION_PATTERN, mentionUserIds } from "../utils/mention.util.js";
+
+const CONTEXT_LABELS = {
+  POST: "a post",
+  COMMENT: "a comment",
+  RECOMMENDATION: "a recommendation",
+};
+
+/**
+ * Names are written back into the markup, so they must not close it early
+ */
+const markupName = (name) => String(name || "User").replace(/[[\]\n]/g, "").trim() || "User";
+
+/**
+ * Resolve the mentions in a text for its author
+ * @param {string} text
+ * @param {Object} options
+ * @param {string|ObjectId} options.authorId
+ * @param {"User"|"Admin"} [options.authorType="User"] - Admin authors may mention any user
+ * @param {function(ObjectId): Promise<boolean>} [options.canView] - Whether a
+ *   mentioned user can see the content; defaults to everyone
+ * @returns {Promise<{text: string, mentions: ObjectId[]}>} The text with
+ *   unresolved mentions made plain, and the linked users
+ */
+export const resolveMentions = async (text, { authorId, authorType = "User", canView = async () => true }) => {
+  const ids = mentionUserIds(text).slice(0, MAX_MENTIONS);
+  if (ids.length === 0) return { text, mentions: [] };
+
+  const author = authorId.toString();
+  const users = await User.find({ _id: { $in: ids } }).select("name privacySettings").lean();
+
+  let blockedIds = new Set();
+  let followedIds = new Set();
+  if (authorType === "User") {
+    const privateIds = users.filter((u) => u.privacySettings?.isPrivate).map((u) => u._id);
+    const [blocks, followed] = await Promise.all([
+      UserRestriction.find({
+        type: "BLOCK",
+        $or: [
+          { user: authorId, target: { $in: ids } },
+          { user: { $in: ids }, target: authorId },
+        ],
+      })
+        .select("user target")
+        .lean(),
+      privateIds.length > 0
+        ? Connect.find({ follower: authorId, following: { $in: privateIds }, isDeleted: false }).distinct("following")
+        : [],
+    ]);
+    blockedIds = new Set(blocks.map((b) => (b.user.toString() === author ? b.target : b.user).toString()));
+    followedIds = new Set(followed.map(String));
+  }
+
+  const allowed = users.filter((u) => {
+    const id = u._id.toString();
+    if (id === author) return true;
+    if (blockedIds.has(id)) return false;
+    return authorType !== "User" || !u.privacySettings?.isPrivate || followedIds.has(id);
+  });
+  const visible = await Promise.all(allowed.map((u) => canView(u._id)));
+  const linked = new Map(allowed.filter((_, i) => visible[i]).map((u) => [u._id.toString(), u]));
+
+  const resolvedText = text.replace(MENTION_PATTERN, (_, name, id) => {
+    const user = linked.get(id.toLowerCase());
+    return user ? `@[${markupName(user.name)}](${user._id})` : `@${name}`;
+  });
+
+  return {
+    text: resolvedText,
+    mentions: ids.filter((id) => linked.has(id)).map((id) => linked.get(id)._id),
+  };
+};
+
+/**
+ * Users mentioned now who weren't before an edit
+ * @param {Array<ObjectId|string>} previous
+ * @param {Array<ObjectId|string>} current
+ * @returns {Array<ObjectId|string>}
+ */
+export const addedMentions = (previous, current) => {
+  const before = new Set((previous || []).map(String));
+  return current.filter((id) => !before.has(id.toString()));
+};
+
+/**
+ * Push a mention notification. Users who muted the author, and the author
+ * themself, are skipped. Never throws, so callers can fire and forget.
+ * @param {Object} params
+ * @param {Array<ObjectId|string>} params.userIds - Mentioned users to notify
+ * @param {string|ObjectId} params.authorId
+ * @param {string} params.authorName
+ * @param {"POST"|"COMMENT"|"RECOMMENDATION"} params.context
+ * @param {Object<string, string>} [params.data] - IDs the app needs to open the content
+ */
+export const notifyMentions = async ({ userIds, authorId, authorName, context, data = {} }) => {
+  try {
+    const recipientIds = userIds.map(String).filter((id) => id !== authorId.toString());
+    if (recipientIds.length === 0) return;
+
+    const mutedBy = await UserRestriction.find({
+      type: "MUTE",
+      user: { $in: recipientIds },
+      target: authorId,
+    }).distinct("user");
+    const muted = new Set(mutedBy.map(String));
+
+    const recipients = await User.find({ _id: { $in: recipientIds.filter((id) => !muted.has(id)) } })
+      .select("fcmTokens")
+      .lean();
+    const tokens = recipients.flatMap((u) => (u.fcmTokens || []).map((t) => t.token).filter(Boolean));
+    if (tokens.length === 0) return;
+
+    await sendToMultipleDevices({
+      tokens,
+      title: "New mention",
+      body: `${authorName} mentioned you in ${CONTEXT_LABELS[context]}`,
+      data: {
+        type: "MENTION",
+        context,
+        byUserId: authorId.toString(),
+        byUserName: authorName,
+        ...data,
+      },
+    });
+  } catch (err) {
+    console.error("[MENTION] Failed to notify mentioned users:", err.message);
+  }
+};
+
+export default {
+  resolveMentions,
+  addedMentions,
+  notifyMentions,
+};
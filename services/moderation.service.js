@@ -0,0 +1,602 @@
+/**
+ * @fileoverview Moderation service - block/mute relations, content reports and
+ * the admin moderation queue.
+ *
+ * Block and mute are enforced where content is read: controllers ask
+ * UserRestriction.getHiddenUserIds() for the viewer and exclude those authors.
+ * Reports are grouped per reported item; one moderator decision (hide, delete,
+ * warn, suspend or dismiss) closes every open report on that item and sends
+ * each reporter a resolution notice.
+ *
+ * @module services/moderation
+ */
+
+import User from "../schema/User.schema.js";
+import Post from "../schema/Post.schema.js";
+import PostComment from "../schema/PostComment.schema.js";
+import Like from "../schema/Like.schema.js";
+import Club from "../schema/Club.schema.js";
+import Recommendation from "../schema/Recommendation.schema.js";
+import RecommendationComment from "../schema/RecommendationComment.schema.js";
+import ChallengeStory from "../schema/ChallengeStory.schema.js";
+import UserRestriction from "../schema/UserRestriction.schema.js";
+import ContentReport from "../schema/ContentReport.schema.js";
+import FollowRequest from "../schema/FollowRequest.schema.js";
+import { sendToMultipleDevices } from "../utils/fcm.util.js";
+import { removeFollowEdge } from "./followRequest.service.js";
+
+const DEFAULT_SUSPENSION_DAYS = 7;
+const SUSPENSION_DAYS = Number(process.env.MODERATION_SUSPENSION_DAYS) || DEFAULT_SUSPENSION_DAYS;
+
+/**
+ * The content models hide isHidden documents in their find hooks unless the
+ * query mentions isHidden; this matches both hidden and visible documents
+ * (null covers documents created before the field existed).
+ */
+const ANY_VISIBILITY = { $in: [true, false, null] };
+
+/**
+ * Decrement a denormalized counter without letting it go below 0
+ */
+const decrementCount = (Model, id, field) =>
+  Model.findByIdAndUpdate(id, [
+    { $set: { [field]: { $max: [0, { $subtract: [`$${field}`, 1] }] } } },
+  ]);
+
+/**
+ * What can be reported and how each kind is read, attributed and removed
+ */
+const TARGETS = {
+  POST: {
+    model: Post,
+    label: "post",
+    owner: (doc) => ({ type: doc.authorType, id: doc.author }),
+    snapshot: (doc) => ({
+      text: [doc.title, doc.caption, doc.content].filter(Boolean).join("\n"),
+      mediaUrls: doc.mediaUrls || [],
+    }),
+    // Same side effects as the author deleting their own post
+    onDelete: async (doc) => {
+      await Like.softDeleteByPost(doc._id);
+      if (doc.authorType === "User") {
+        await decrementCount(User, doc.author, "postCount");
+      }
+      if (doc.club) {
+        await decrementCount(Club, doc.club, "postCount");
+      }
+    },
+  },
+  POST_COMMENT: {
+    model: PostComment,
+    label: "comment",
+    owner: (doc) => ({ type: doc.authorType, id: doc.author }),
+    snapshot: (doc) => ({ text: doc.text, mediaUrls: [] }),
+    onDelete: (doc) => decrementCount(Post, doc.post, "commentCount"),
+  },
+  RECOMMENDATION: {
+    model: Recommendation,
+    label: "recommendation",
+    owner: (doc) => ({ type: doc.authorType, id: doc.author }),
+    snapshot: (doc) => ({ text: doc.text, mediaUrls: [] }),
+  },
+  RECOMMENDATION_COMMENT: {
+    model: RecommendationComment,
+    label: "comment",
+    owner: (doc) => ({ type: doc.authorType, id: doc.author }),
+    snapshot: (doc) => ({ text: doc.text, mediaUrls: [] }),
+    onDelete: (doc) => decrementCount(Recommendation, doc.recommendation, "commentCount"),
+  },
+  CHALLENGE_STORY: {
+    model: ChallengeStory,
+    label: "story",
+    owner: (doc) => ({ type: "User", id: doc.userId }),
+    snapshot: (doc) => ({
+      text: doc.caption || "",
+      mediaUrls: doc.mediaUrl ? [doc.mediaUrl] : [],
+    }),
+  },
+  PROFILE: {
+    model: User,
+    label: "profile",
+    owner: (doc) => ({ type: "User", id: doc._id }),
+    snapshot: (doc) => ({
+      text: [doc.name, doc.occupation, doc.bio].filter(Boolean).join("\n"),
+      mediaUrls: [],
+    }),
+    // A profile can only be acted on through its owner (warn / suspend)
+    removable: false,
+  },
+};
+
+/**
+ * Load a reportable item, including ones a moderator has hidden
+ * @param {string} targetType - Key of TARGETS
+ * @param {string} targetId
+ * @returns {Promise<Object|null>} Mongoose document
+ */
+const loadTarget = (targetType, targetId) => {
+  const { model, removable = true } = TARGETS[targetType];
+  if (!removable) {
+    return model.findById(targetId);
+  }
+  return model.findOne({ _id: targetId, isHidden: ANY_VISIBILITY }).select("+isHidden");
+};
+
+/**
+ * Push to all of a user's devices. Fire-and-forget: failures are logged.
+ */
+const notifyUsers = async (userIds, { title, body, data }) => {
+  try {
+    if (!userIds.length) return;
+    const users = await User.find({ _id: { $in: userIds } }, "fcmTokens").lean();
+    const tokens = users.flatMap((u) => (u.fcmTokens || []).map((t) => t.token).filter(Boolean));
+    if (tokens.length === 0) return;
+    await sendToMultipleDevices({ tokens, title, body, data });
+  } catch (error) {
+    console.error("[MODERATION] Push notification failed:", error.message);
+  }
+};
+
+// ============================================
+// BLOCK / MUTE
+// ============================================
+
+/**
+ * Block or mute a user. Idempotent. Blocking also removes follows and
+ * pending follow requests both ways.
+ * @param {string} userId - Acting user
+ * @param {string} targetId - User being blocked or muted
+ * @param {"BLOCK"|"MUTE"} type
+ * @returns {Promise<{status: "SELF"|"NOT_FOUND"|"OK", created?: boolean}>}
+ */
+export const addRestriction = async (userId, targetId, type) => {
+  if (userId.toString() === targetId.toString()) {
+    return { status: "SELF" };
+  }
+
+  const target = await User.exists({ _id: targetId });
+  if (!target) {
+    return { status: "NOT_FOUND" };
+  }
+
+  const result = await UserRestriction.updateOne(
+    { user: userId, target: targetId, type },
+    { $setOnInsert: { user: userId, target: targetId, type } },
+    { upsert: true }
+  );
+
+  if (type === "BLOCK") {
+    await Promise.all([
+      removeFollowEdge(userId, targetId),
+      removeFollowEdge(targetId, userId),
+      FollowRequest.updateMany(
+        {
+          status: "PENDING",
+          $or: [
+            { requester: userId, target: targetId },
+            { requester: targetId, target: userId },
+          ],
+        },
+        { $set: { status: "CANCELLED", respondedAt: new Date() } }
+      ),
+    ]);
+  }
+
+  return { status: "OK", created: result.upsertedCount > 0 };
+};
+
+/**
+ * Undo a block or mute
+ * @returns {Promise<boolean>} Whether a relation was removed
+ */
+export const removeRestriction = async (userId, targetId, type) => {
+  const result = await UserRestriction.deleteOne({ user: userId, target: targetId, type });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Users the caller has blocked or muted
+ * @param {string} userId
+ * @param {"BLOCK"|"MUTE"} type
+ * @param {{page?: number, limit?: number}} options
+ */
+export const listRestrictions = async (userId, type, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [restrictions, total] = await Promise.all([
+    UserRestriction.find({ user: userId, type })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("target", "name occupation")
+      .lean(),
+    UserRestriction.countDocuments({ user: userId, type }),
+  ]);
+
+  return {
+    users: restrictions
+      .filter((r) => r.target)
+      .map((r) => ({
+        _id: r.target._id,
+        name: r.target.name,
+        occupation: r.target.occupation,
+        since: r.createdAt,
+      })),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalCount: total,
+      limit,
+    },
+  };
+};
+
+// ============================================
+// SUSPENSION
+// ============================================
+
+/**
+ * The user's active suspension, if any
+ * @param {string} userId
+ * @returns {Promise<{suspendedUntil: Date, reason: string|null}|null>}
+ */
+export const getActiveSuspension = async (userId) => {
+  const user = await User.findById(userId).select("moderation").lean();
+  const until = user?.moderation?.suspendedUntil;
+  if (!until || until <= new Date()) return null;
+  return { suspendedUntil: until, reason: user.moderation.suspensionReason };
+};
+
+/**
+ * Lift a suspension early
+ * @returns {Promise<boolean>} False if the user does not exist
+ */
+export const unsuspendUser = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, {
+    $set: { "moderation.suspendedUntil": null, "moderation.suspensionReason": null },
+  });
+  return !!user;
+};
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Report an item
+ * @param {Object} params
+ * @param {string} params.reporterId
+ * @param {string} params.targetType - One of REPORT_TARGET_TYPES
+ * @param {string} params.targetId
+ * @param {string} params.reason - One of REPORT_REASONS
+ * @param {string} [params.details]
+ * @returns {Promise<{status: "NOT_FOUND"|"OWN_CONTENT"|"DUPLICATE"|"CREATED", report?: Object}>}
+ */
+export const createReport = async ({ reporterId, targetType, targetId, reason, details = "" }) => {
+  const config = TARGETS[targetType];
+  // Hidden items are already out of view; reporting them again adds nothing
+  const target = await config.model.findById(targetId);
+  if (!target) {
+    return { status: "NOT_FOUND" };
+  }
+
+  const owner = config.owner(target);
+  if (owner.type === "User" && owner.id.toString() === reporterId.toString()) {
+    return { status: "OWN_CONTENT" };
+  }
+
+  try {
+    const report = await ContentReport.create({
+      reporter: reporterId,
+      targetType,
+      targetId,
+      targetOwnerType: owner.type,
+      targetOwner: owner.id,
+      reason,
+      details,
+      snapshot: config.snapshot(target),
+    });
+    return { status: "CREATED", report };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: "DUPLICATE" };
+    }
+    throw error;
+  }
+};
+
+/**
+ * The caller's reports with their outcome
+ */
+export const listMyReports = async (reporterId, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [reports, total] = await Promise.all([
+    ContentReport.find({ reporter: reporterId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select("targetType targetId reason details status reporterNotice resolvedAt createdAt")
+      .lean(),
+    ContentReport.countDocuments({ reporter: reporterId }),
+  ]);
+
+  return {
+    reports,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalCount: total,
+      limit,
+    },
+  };
+};
+
+// ============================================
+// MODERATION QUEUE
+// ============================================
+
+/**
+ * Reported items, one row per item, most reported first
+ * @param {Object} params
+ * @param {string} [params.status="OPEN"]
+ * @param {string} [params.targetType]
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=20]
+ */
+export const getModerationQueue = async ({ status = "OPEN", targetType, page = 1, limit = 20 } = {}) => {
+  const match = { status };
+  if (targetType) match.targetType = targetType;
+
+  const [result] = await ContentReport.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { targetType: "$targetType", targetId: "$targetId" },
+        reportCount: { $sum: 1 },
+        reasons: { $addToSet: "$reason" },
+        firstReportedAt: { $min: "$createdAt" },
+        lastReportedAt: { $max: "$createdAt" },
+        targetOwnerType: { $first: "$targetOwnerType" },
+        targetOwner: { $first: "$targetOwner" },
+        snapshot: { $first: "$snapshot" },
+        action: { $first: "$action" },
+        resolvedAt: { $first: "$resolvedAt" },
+      },
+    },
+    { $sort: { reportCount: -1, lastReportedAt: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const items = result?.items || [];
+  const total = result?.total[0]?.count || 0;
+
+  const ownerIds = items.filter((i) => i.targetOwnerType === "User").map((i) => i.targetOwner);
+  const owners = await User.find({ _id: { $in: ownerIds } })
+    .select("name phone moderation")
+    .lean();
+  const ownerMap = new Map(owners.map((u) => [u._id.toString(), u]));
+
+  return {
+    items: items.map((item) => {
+      const owner = item.targetOwner && ownerMap.get(item.targetOwner.toString());
+      return {
+        targetType: item._id.targetType,
+        targetId: item._id.targetId,
+        reportCount: item.reportCount,
+        reasons: item.reasons,
+        firstReportedAt: item.firstReportedAt,
+        lastReportedAt: item.lastReportedAt,
+        snapshot: item.snapshot,
+        action: item.action,
+        resolvedAt: item.resolvedAt,
+        owner: owner
+          ? {
+              _id: owner._id,
+              name: owner.name,
+              phone: owner.phone,
+              warningCount: owner.moderation?.warningCount || 0,
+              suspendedUntil: owner.moderation?.suspendedUntil || null,
+            }
+          : { _id: item.targetOwner, type: item.targetOwnerType },
+      };
+    }),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalCount: total,
+      limit,
+    },
+  };
+};
+
+/**
+ * One reported item with its current state and every report on it
+ * @returns {Promise<{target: Object|null, isHidden: boolean, reports: Object[]}|null>}
+ *   null when the item has never been reported
+ */
+export const getTargetDetail = async (targetType, targetId) => {
+  const reports = await ContentReport.find({ targetType, targetId })
+    .sort({ createdAt: -1 })
+    .populate("reporter", "name phone")
+    .populate("resolvedBy", "name email")
+    .lean();
+
+  if (reports.length === 0) return null;
+
+  // Deleted items come back as null; the report snapshots still show the content
+  const target = await loadTarget(targetType, targetId);
+
+  return {
+    target: target ? target.toObject() : null,
+    isHidden: !!target?.isHidden,
+    reports,
+  };
+};
+
+const REPORTER_OUTCOMES = {
+  HIDE: "it has been hidden",
+  DELETE: "it has been removed",
+  WARN: "the author has been warned",
+  SUSPEND: "the author's account has been suspended",
+};
+
+const buildReporterNotice = (label, action) =>
+  action === "NONE"
+    ? `Thanks for your report. We reviewed this ${label} and found that it does not go against our community guidelines.`
+    : `Thanks for your report. We reviewed this ${label} and took action: ${REPORTER_OUTCOMES[action]}.`;
+
+const buildOwnerNotice = (label, action, { hideContent, suspendDays }) => {
+  const removed = hideContent ? ` Your ${label} has been hidden.` : "";
+  switch (action) {
+    case "HIDE":
+      return `Your ${label} has been hidden because it goes against our community guidelines.`;
+    case "DELETE":
+      return `Your ${label} has been removed because it goes against our community guidelines.`;
+    case "WARN":
+      return `You have received a warning for going against our community guidelines.${removed}`;
+    default:
+      return `Your account can't post, comment, like or follow for ${suspendDays} day(s) for going against our community guidelines.${removed}`;
+  }
+};
+
+/**
+ * Resolve every open report on one item
+ * @param {Object} params
+ * @param {string} params.targetType
+ * @param {string} params.targetId
+ * @param {"NONE"|"HIDE"|"DELETE"|"WARN"|"SUSPEND"} params.action - NONE dismisses the reports
+ * @param {boolean} [params.hideContent=false] - With WARN/SUSPEND, also hide the item
+ * @param {number} [params.suspendDays] - With SUSPEND; defaults to MODERATION_SUSPENSION_DAYS
+ * @param {string} [params.note] - Internal note; also the suspension reason shown to the user
+ * @param {string} params.adminId
+ * @returns {Promise<{status: "NO_OPEN_REPORTS"|"NOT_FOUND"|"INVALID_ACTION"|"RESOLVED", error?: string, reportsClosed?: number}>}
+ */
+export const resolveTarget = async ({
+  targetType,
+  targetId,
+  action,
+  hideContent = false,
+  suspendDays,
+  note = "",
+  adminId,
+}) => {
+  const config = TARGETS[targetType];
+  const removable = config.removable !== false;
+
+  const openReports = await ContentReport.find({ targetType, targetId, status: "OPEN" })
+    .select("reporter targetOwner targetOwnerType")
+    .lean();
+  if (openReports.length === 0) {
+    return { status: "NO_OPEN_REPORTS" };
+  }
+
+  const { targetOwner, targetOwnerType } = openReports[0];
+  const removesContent = action === "HIDE" || action === "DELETE" || hideContent;
+
+  if (removesContent && !removable) {
+    return { status: "INVALID_ACTION", error: "A profile cannot be hidden or deleted; warn or suspend the user instead" };
+  }
+  if ((action === "WARN" || action === "SUSPEND") && targetOwnerType !== "User") {
+    return { status: "INVALID_ACTION", error: "Only users can be warned or suspended" };
+  }
+
+  if (action !== "NONE") {
+    const target = removesContent ? await loadTarget(targetType, targetId) : null;
+    if (removesContent && !target) {
+      return { status: "NOT_FOUND" };
+    }
+
+    if (action === "DELETE") {
+      await target.softDelete();
+      if (config.onDelete) await config.onDelete(target);
+    } else if (removesContent && !target.isHidden) {
+      await config.model.updateOne({ _id: targetId, isHidden: ANY_VISIBILITY }, { $set: { isHidden: true } });
+    }
+
+    if (action === "WARN") {
+      await User.findByIdAndUpdate(targetOwner, {
+        $inc: { "moderation.warningCount": 1 },
+        $set: { "moderation.lastWarnedAt": new Date() },
+      });
+    } else if (action === "SUSPEND") {
+      const days = suspendDays || SUSPENSION_DAYS;
+      await User.findByIdAndUpdate(targetOwner, {
+        $set: {
+          "moderation.suspendedUntil": new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+          "moderation.suspensionReason": note || null,
+        },
+      });
+    }
+  }
+
+  const reporterNotice = buildReporterNotice(config.label, action);
+  const result = await ContentReport.updateMany(
+    { targetType, targetId, status: "OPEN" },
+    {
+      $set: {
+        status: action === "NONE" ? "DISMISSED" : "RESOLVED",
+        action,
+        resolvedBy: adminId,
+        resolvedAt: new Date(),
+        resolutionNote: note,
+        reporterNotice,
+      },
+    }
+  );
+
+  console.log(
+    `[MODERATION] ${targetType} ${targetId} resolved with ${action} by admin ${adminId} (${result.modifiedCount} reports)`
+  );
+
+  const reporterIds = [...new Set(openReports.map((r) => r.reporter.toString()))];
+  notifyUsers(reporterIds, {
+    title: "Update on your report",
+    body: reporterNotice,
+    data: { screen: "MyReports", type: "REPORT_RESOLVED", targetType, targetId: String(targetId) },
+  });
+
+  if (action !== "NONE" && targetOwnerType === "User") {
+    notifyUsers([targetOwner], {
+      title: "Community guidelines",
+      body: buildOwnerNotice(config.label, action, { hideContent, suspendDays: suspendDays || SUSPENSION_DAYS }),
+      data: { type: "MODERATION_ACTION", action, targetType, targetId: String(targetId) },
+    });
+  }
+
+  return { status: "RESOLVED", reportsClosed: result.modifiedCount };
+};
+
+/**
+ * Make a hidden item visible again. Does not reopen its reports.
+ * @returns {Promise<{status: "INVALID_ACTION"|"NOT_HIDDEN"|"UNHIDDEN"}>}
+ */
+export const unhideTarget = async (targetType, targetId) => {
+  const config = TARGETS[targetType];
+  if (config.removable === false) {
+    return { status: "INVALID_ACTION" };
+  }
+
+  const result = await config.model.updateOne({ _id: targetId, isHidden: true }, { $set: { isHidden: false } });
+  return { status: result.modifiedCount > 0 ? "UNHIDDEN" : "NOT_HIDDEN" };
+};
+
+export default {
+  addRestriction,
+  removeRestriction,
+  listRestrictions,
+  getActiveSuspension,
+  unsuspendUser,
+  createReport,
+  listMyReports,
+  getModerationQueue,
+  getTargetDetail,
+  resolveTarget,
+  unhideTarget,
+};
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview One-time codes for passwordless login and password reset
+ *
+ * Codes go out through the OTP provider (WhatsApp, or the stub in tests) and
+ * are stored only as an HMAC keyed with a server secret, so a leaked
+ * collection cannot be brute-forced offline the way a plain hash of a
+ * six-digit code could.
+ *
+ * Limits, per phone and purpose, whether or not the phone has an account:
+ *   - a code expires after OTP_TTL_MINUTES (default 10);
+ *   - each code allows MAX_ATTEMPTS wrong guesses, then it is dead;
+ *   - a new code can be requested once per RESEND_COOLDOWN_SECONDS, and at
+ *     most MAX_SENDS_PER_HOUR times an hour, which also caps what an attacker
+ *     can spend of our WhatsApp budget on someone else's number.
+ * The per-IP limits are the shared rate-limit buckets applied on the routes.
+ *
+ * Requesting a new code retires the previous one, so only the latest code
+ * sent to a phone ever works.
+ */
+
+import crypto from "crypto";
+import OtpChallenge from "../schema/OtpChallenge.schema.js";
+import User from "../schema/User.schema.js";
+import OtpProviderFactory from "./otp/OtpProviderFactory.js";
+
+const CODE_LENGTH = 6;
+const DEFAULT_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+
+const TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+
+/**
+ * HMAC key for codes. Same stance as the JWT secrets: there is no safe default.
+ */
+const HASH_SECRET = process.env.OTP_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const getHashSecret = () => {
+  if (!HASH_SECRET) {
+    throw new Error("OTP_SECRET is not set. Refusing to hash one-time codes without a secret.");
+  }
+  return HASH_SECRET;
+};
+
+/**
+ * Keyed hash of a code, bound to the phone and purpose it was issued for
+ */
+const hashCode = (phone, purpose, code) =>
+  crypto
+    .createHmac("sha256", getHashSecret())
+    .update(`${purpose}:${phone}:${code}`)
+    .digest("hex");
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+const digestsMatch = (a, b) => {
+  const bufferA = Buffer.from(a, "hex");
+  const bufferB = Buffer.from(b, "hex");
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Uniformly random numeric code, zero-padded
+ */
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+
+/**
+ * Send a code to a phone
+ *
+ * Unknown phones get status NO_ACCOUNT and nothing is sent, but the request
+ * is recorded so the cooldown and hourly limit apply to them as to any other
+ * phone. Callers should answer NO_ACCOUNT and SEND_FAILED exactly as SENT, so
+ * this endpoint cannot be used to find out which numbers have accounts.
+ *
+ * @param {Object} params
+ * @param {string} params.phone
+ * @param {'LOGIN'|'PASSWORD_RESET'} params.purpose
+ * @param {string} [params.ip] - Requester IP, kept for abuse review
+ * @returns {Promise<{ status: 'SENT'|'NO_ACCOUNT'|'COOLDOWN'|'LIMITED'|'SEND_FAILED',
+ *   expiresInMinutes?: number, retryAfterSeconds?: number }>}
+ */
+export const requestOtp = async ({ phone, purpose, ip = null }) => {
+  const now = Date.now();
+
+  const latest = await OtpChallenge.findOne({ phone, purpose }).sort({ createdAt: -1 }).select("createdAt");
+  if (latest) {
+    const elapsedSeconds = Math.floor((now - latest.createdAt.getTime()) / 1000);
+    if (elapsedSeconds < RESEND_COOLDOWN_SECONDS) {
+      return { status: "COOLDOWN", retryAfterSeconds: RESEND_COOLDOWN_SECONDS - elapsedSeconds };
+    }
+  }
+
+  const sentLastHour = await OtpChallenge.countDocuments({
+    phone,
+    purpose,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) },
+  });
+  if (sentLastHour >= MAX_SENDS_PER_HOUR) {
+    return { status: "LIMITED", retryAfterSeconds: 60 * 60 };
+  }
+
+  const user = await User.findOne({ phone, isDeleted: false }).select("_id");
+  const expiresInMinutes = TTL_MINUTES;
+
+  if (!user) {
+    // Counts toward the limits above; consumed from the start, so no code matches it
+    await OtpChallenge.create({
+      phone,
+      purpose,
+      userId: null,
+      codeHash: hashCode(phone, purpose, generateCode()),
+      maxAttempts: MAX_ATTEMPTS,
+      expiresAt: new Date(now + expiresInMinutes * 60 * 1000),
+      consumedAt: new Date(now),
+      requestIp: ip,
+    });
+    console.log(`[OTP] ${purpose} code requested for unknown phone ${phone} — not sent`);
+    return { status: "NO_ACCOUNT", expiresInMinutes };
+  }
+
+  // Only the newest code works
+  await OtpChallenge.updateMany(
+    { phone, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const provider = OtpProviderFactory.getOtpProvider();
+  const code = generateCode();
+
+  const challenge = await OtpChallenge.create({
+    phone,
+    purpose,
+    userId: user._id,
+    codeHash: hashCode(phone, purpose, code),
+    maxAttempts: MAX_ATTEMPTS,
+    expiresAt: new Date(now + expiresInMinutes * 60 * 1000),
+    provider: provider.name,
+    requestIp: ip,
+  });
+
+  try {
+    await provider.send({
+      phone,
+      code,
+      purpose,
+      expiresInMinutes,
+      userId: user._id.toString(),
+    });
+  } catch (error) {
+    // A code nobody received must not stay guessable
+    await OtpChallenge.updateOne({ _id: challenge._id }, { $set: { consumedAt: new Date() } });
+    console.error(`[OTP] ✗ Failed to send ${purpose} code to ${phone}:`, error.message);
+    return { status: "SEND_FAILED", expiresInMinutes };
+  }
+
+  console.log(`[OTP] ✓ ${purpose} code sent to ${phone} via ${provider.name}`);
+  return { status: "SENT", expiresInMinutes };
+};
+
+/**
+ * Check a code and consume it on success
+ *
+ * Every guess is counted atomically before the comparison, so parallel
+ * requests cannot squeeze in more than MAX_ATTEMPTS guesses, and a correct
+ * code is consumed atomically, so it logs in (or resets) exactly once.
+ *
+ * @param {Object} params
+ * @param {string} params.phone
+ * @param {'LOGIN'|'PASSWORD_RESET'} params.purpose
+ * @param {string} params.code
+ * @returns {Promise<{ ok: true, userId: string } |
+ *   { ok: false, reason: 'EXPIRED'|'LOCKED'|'INVALID', attemptsLeft?: number }>}
+ */
+export const verifyOtp = async ({ phone, purpose, code }) => {
+  const challenge = await OtpChallenge.findOne({ phone, purpose, consumedAt: null })
+    .sort({ createdAt: -1 })
+    .select("+codeHash");
+
+  if (!challenge || challenge.expiresAt.getTime() <= Date.now()) {
+    return { ok: false, reason: "EXPIRED" };
+  }
+
+  const counted = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null, attempts: { $lt: challenge.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!counted) {
+    return { ok: false, reason: "LOCKED" };
+  }
+
+  if (!digestsMatch(hashCode(phone, purpose, code), challenge.codeHash)) {
+    const attemptsLeft = counted.maxAttempts - counted.attempts;
+    console.log(`[OTP] Wrong ${purpose} code for ${phone} (${attemptsLeft} attempt(s) left)`);
+    return attemptsLeft > 0
+      ? { ok: false, reason: "INVALID", attemptsLeft }
+      : { ok: false, reason: "LOCKED" };
+  }
+
+  const consumed = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  if (!consumed) {
+    return { ok: false, reason: "EXPIRED" };
+  }
+
+  return { ok: true, userId: challenge.userId.toString() };
+};
+
+export default {
+  requestOtp,
+  verifyOtp,
+};
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview OTP Provider Interface - Base class for OTP delivery channels
+ * @module services/otp/OtpProvider
+ */
+
+/**
+ * Abstract OTP Provider class
+ * All OTP delivery implementations should extend this class
+ */
+class OtpProvider {
+  /**
+   * Delivery channel name, recorded on each challenge
+   * @returns {String}
+   */
+  get name() {
+    throw new Error('name getter must be implemented');
+  }
+
+  /**
+   * Deliver a one-time code
+   * @param {Object} message
+   * @param {String} message.phone - Recipient phone (10 digits)
+   * @param {String} message.code - The plain code
+   * @param {String} message.purpose - LOGIN or PASSWORD_RESET
+   * @param {Number} message.expiresInMinutes - How long the code is valid
+   * @param {String} [message.userId] - Recipient user ID for logging
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    throw new Error('send method must be implemented');
+  }
+}
+
+export default OtpProvider;
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview OTP Provider Factory - Selects the OTP delivery channel based on configuration
+ * @module services/otp/OtpProviderFactory
+ */
+
+import WhatsAppOtpProvider from './WhatsAppOtpProvider.js';
+import StubOtpProvider from './StubOtpProvider.js';
+
+/**
+ * OTP Provider Factory
+ * Returns the delivery channel named by the OTP_PROVIDER environment variable
+ *
+ * Supported providers:
+ * - WHATSAPP (default): WhatsApp template message
+ * - STUB: Captures codes in memory (tests and local development only)
+ */
+class OtpProviderFactory {
+  /**
+   * Get OTP provider instance based on environment configuration
+   * @returns {OtpProvider} OTP provider instance
+   */
+  static getOtpProvider() {
+    const provider = (process.env.OTP_PROVIDER || 'WHATSAPP').toUpperCase();
+
+    switch (provider) {
+      case 'STUB':
+        // In production the stub would silently swallow every code
+        if (process.env.NODE_ENV === 'production') {
+          console.error('[OTP] OTP_PROVIDER=STUB is not allowed in production. Using WHATSAPP.');
+          return new WhatsAppOtpProvider();
+        }
+        return new StubOtpProvider();
+
+      case 'WHATSAPP':
+      default:
+        if (provider !== 'WHATSAPP') {
+          console.warn(`Unknown OTP provider: ${provider}. Falling back to WHATSAPP.`);
+        }
+        return new WhatsAppOtpProvider();
+    }
+  }
+
+  /**
+   * Get available OTP providers
+   * @returns {Array<String>} List of available provider names
+   */
+  static getAvailableProviders() {
+    return ['WHATSAPP', 'STUB'];
+  }
+}
+
+export default OtpProviderFactory;
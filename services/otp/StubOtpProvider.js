@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Stub OTP Provider - Captures codes locally instead of sending them
+ * @module services/otp/StubOtpProvider
+ */
+
+import OtpProvider from './OtpProvider.js';
+
+/**
+ * Codes captured by every stub instance, newest last. Module-level so a test
+ * can read what the request handler "sent".
+ */
+const sentMessages = [];
+
+/**
+ * Stub OTP Provider
+ * For tests and local development: nothing leaves the process. The factory
+ * never hands this out in production.
+ */
+class StubOtpProvider extends OtpProvider {
+  get name() {
+    return 'STUB';
+  }
+
+  /**
+   * Record the code instead of delivering it
+   * @param {Object} message - See OtpProvider#send
+   * @returns {Promise<Object>} Stub delivery result
+   */
+  async send({ phone, code, purpose, expiresInMinutes }) {
+    sentMessages.push({ phone, code, purpose, expiresInMinutes, sentAt: new Date() });
+    console.log(`[OTP-STUB] Captured ${purpose} code for ${phone}`);
+
+    return { success: true, messageId: `stub_${sentMessages.length}`, recipient: phone };
+  }
+
+  /**
+   * Latest code captured for a phone (and optionally a purpose)
+   * @param {String} phone
+   * @param {String} [purpose]
+   * @returns {String|null}
+   */
+  static getLastCode(phone, purpose) {
+    for (let i = sentMessages.length - 1; i >= 0; i--) {
+      const message = sentMessages[i];
+      if (message.phone === phone && (!purpose || message.purpose === purpose)) {
+        return message.code;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Everything captured so far
+   * @returns {Array<Object>}
+   */
+  static getSentMessages() {
+    return [...sentMessages];
+  }
+
+  /**
+   * Forget captured codes
+   */
+  static reset() {
+    sentMessages.length = 0;
+  }
+}
+
+export default StubOtpProvider;
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview WhatsApp OTP Provider - Delivers codes through the WhatsApp template API
+ * @module services/otp/WhatsAppOtpProvider
+ */
+
+import OtpProvider from './OtpProvider.js';
+import { sendOtpWhatsApp } from '../../utils/whatsapp.util.js';
+
+/**
+ * WhatsApp OTP Provider
+ * Production delivery channel
+ */
+class WhatsAppOtpProvider extends OtpProvider {
+  get name() {
+    return 'WHATSAPP';
+  }
+
+  /**
+   * Send the code as a WhatsApp authentication template
+   * @param {Object} message - See OtpProvider#send
+   * @returns {Promise<Object>} WhatsApp API result
+   */
+  async send({ phone, code, purpose, expiresInMinutes, userId }) {
+    return sendOtpWhatsApp({ phone, code, purpose, expiresInMinutes, userId });
+  }
+}
+
+export default WhatsAppOtpProvider;
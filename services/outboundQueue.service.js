@@ -0,0 +1,470 @@
+/**
+ * @fileoverview Outbound message queue — durable delivery with retries,
+ * dead letters and per-provider rate limits for WhatsApp, email and push
+ *
+ * Every send in utils/whatsapp.util.js, utils/email.util.js and
+ * utils/fcm.util.js goes through queueMessage():
+ * 1. The message (OutboundMessage) and its CommunicationLog entry (PENDING)
+ *    are stored.
+ * 2. The first attempt is made right away, so callers still get the
+ *    provider's message ID when the provider is up.
+ * 3. A failed attempt is retried by the "outbound-queue" job with
+ *    exponential backoff up to maxAttempts. After that the message is a dead
+ *    letter (CommunicationLog FAILED) until an admin retries it.
+ * Errors a retry cannot fix (the transport sets `retryable: false`), such as
+ * an invalid recipient or a rejected template, go straight to dead.
+ *
+ * Each channel has a per-minute send budget (OUTBOUND_<CHANNEL>_PER_MINUTE),
+ * kept per instance; a message over budget waits for the job.
+ *
+ * Delivery is at-least-once: if an instance dies mid-send, the message is
+ * picked up again once its lock expires.
+ */
+
+import mongoose from "mongoose";
+import OutboundMessage from "../schema/OutboundMessage.schema.js";
+import CommunicationLog from "../schema/CommunicationLog.schema.js";
+import { INSTANCE_ID } from "./jobScheduler.service.js";
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const SEND_LOCK_SECONDS = 120;
+const BATCH_SIZE = 100;
+
+const DEFAULT_RATE_PER_MINUTE = {
+  WHATSAPP: 60,
+  EMAIL: 60,
+  PUSH: 300,
+};
+
+/**
+ * CommunicationLog type of each channel
+ */
+const LOG_TYPES = {
+  WHATSAPP: "WHATSAPP",
+  EMAIL: "EMAIL",
+  PUSH: "NOTIFICATION",
+};
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+const RETRY_BASE_SECONDS = Number(process.env.OUTBOUND_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+
+const RATE_PER_MINUTE = Object.fromEntries(
+  Object.entries(DEFAULT_RATE_PER_MINUTE).map(([channel, rate]) => [
+    channel,
+    Number(process.env[`OUTBOUND_${channel}_PER_MINUTE`]) || rate,
+  ])
+);
+
+/**
+ * Provider call per channel: async (payload) => ({ providerMessageId, details })
+ */
+const transports = new Map();
+
+/**
+ * Send times within the last minute, per channel
+ */
+const recentSends = new Map();
+
+/**
+ * Register the function that delivers a channel's messages. Called by the
+ * messaging utils when they are loaded.
+ * @param {"WHATSAPP"|"EMAIL"|"PUSH"} channel
+ * @param {Function} send - async (payload) => ({ providerMessageId, details });
+ *   throws on failure, with `retryable: false` when retrying cannot help and
+ *   optionally `retryPayload` to retry only part of the message
+ */
+export const registerTransport = (channel, send) => {
+  transports.set(channel, send);
+};
+
+/**
+ * Error a retry cannot fix (the message goes straight to dead)
+ * @param {string} message
+ * @returns {Error}
+ */
+export const permanentError = (message) => Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Take one send from the channel's per-minute budget
+ * @returns {boolean} false if the budget is used up
+ */
+const takeSendSlot = (channel) => {
+  const now = Date.now();
+  const sends = (recentSends.get(channel) || []).filter((time) => time > now - 60 * 1000);
+
+  if (sends.length >= RATE_PER_MINUTE[channel]) {
+    recentSends.set(channel, sends);
+    return false;
+  }
+
+  sends.push(now);
+  recentSends.set(channel, sends);
+  return true;
+};
+
+/**
+ * Delay before the next attempt: doubles per attempt, capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Seconds
+ */
+const getRetryDelaySeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+
+const dueFilter = (now) => ({
+  $or: [
+    { status: "QUEUED", nextAttemptAt: { $lte: now } },
+    // The instance sending it went away mid-send
+    { status: "SENDING", lockedUntil: { $lte: now } },
+  ],
+});
+
+const lockUntil = () => new Date(Date.now() + SEND_LOCK_SECONDS * 1000);
+
+/**
+ * Take a due message for sending
+ * @returns {Promise<Object|null>}
+ */
+const claimMessage = (messageId) =>
+  OutboundMessage.findOneAndUpdate(
+    { _id: messageId, ...dueFilter(new Date()) },
+    { $set: { status: "SENDING", lockedBy: INSTANCE_ID, lockedUntil: lockUntil() } },
+    { new: true }
+  ).lean();
+
+const markDead = async (message, { attempts, reason, error }) => {
+  const now = new Date();
+
+  await OutboundMessage.updateOne(
+    { _id: message._id, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        status: "DEAD",
+        attempts,
+        lastError: error,
+        deadAt: now,
+        deadReason: reason,
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    }
+  );
+  await CommunicationLog.updateOne(
+    { _id: message.communicationLogId },
+    { $set: { status: "FAILED", errorMessage: error, attempts } }
+  );
+
+  console.error(`[OUTBOUND] ✗ ${message.channel} message ${message._id} dead (${reason}): ${error}`);
+  return { status: "DEAD", error };
+};
+
+/**
+ * One attempt at a message this instance has locked. Never throws for a
+ * provider failure; the outcome is recorded on the message and its log.
+ * @param {Object} message - OutboundMessage, locked by this instance
+ * @param {Object} [payload=message.payload] - Content (passed in when it is not stored)
+ * @returns {Promise<{ status: "SENT"|"QUEUED"|"DEAD", providerMessageId?: string, details?: Object, error?: string }>}
+ *   `details` are the transport's delivery details, partial ones on failure
+ */
+const attemptDelivery = async (message, payload = message.payload) => {
+  const startedAt = new Date();
+  const attempts = message.attempts + 1;
+  const send = transports.get(message.channel);
+
+  if (!send) {
+    // Not loaded in this process; leave it for one that has it
+    await OutboundMessage.updateOne(
+      { _id: message._id, lockedBy: INSTANCE_ID },
+      { $set: { status: "QUEUED", lockedBy: null, lockedUntil: null } }
+    );
+    return { status: "QUEUED", error: `No ${message.channel} transport registered` };
+  }
+
+  if (message.expiresAt && message.expiresAt <= startedAt) {
+    return markDead(message, {
+      attempts: message.attempts,
+      reason: "EXPIRED",
+      error: message.lastError || "Expired before it could be sent",
+    });
+  }
+
+  if (!payload) {
+    return markDead(message, {
+      attempts: message.attempts,
+      reason: "MAX_ATTEMPTS",
+      error: "Content was not stored, so the message cannot be sent again",
+    });
+  }
+
+  try {
+    const { providerMessageId = null, details = null } = (await send(payload)) || {};
+
+    await OutboundMessage.updateOne(
+      { _id: message._id, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          status: "SENT",
+          sentAt: new Date(),
+          attempts,
+          lastAttemptAt: startedAt,
+          lastError: null,
+          providerMessageId,
+          lockedBy: null,
+          lockedUntil: null,
+        },
+      }
+    );
+    await CommunicationLog.updateOne(
+      { _id: message.communicationLogId },
+      {
+        $set: {
+          status: "SUCCESS",
+          messageId: providerMessageId,
+          errorMessage: null,
+          attempts,
+          ...(details && { "metadata.delivery": details }),
+        },
+      }
+    );
+
+    if (attempts > 1) {
+      console.log(`[OUTBOUND] ✓ ${message.channel} message ${message._id} sent on attempt ${attempts}`);
+    }
+    return { status: "SENT", providerMessageId, details };
+  } catch (error) {
+    // Partial results (e.g. devices a multicast did reach)
+    const details = error.details || null;
+
+    if (error.retryable === false || attempts >= message.maxAttempts) {
+      const outcome = await markDead(message, {
+        attempts,
+        reason: error.retryable === false ? "REJECTED" : "MAX_ATTEMPTS",
+        error: error.message,
+      });
+      return { ...outcome, details };
+    }
+
+    const nextAttemptAt = new Date(Date.now() + getRetryDelaySeconds(attempts) * 1000);
+
+    await OutboundMessage.updateOne(
+      { _id: message._id, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          status: "QUEUED",
+          attempts,
+          lastAttemptAt: startedAt,
+          lastError: error.message,
+          nextAttemptAt,
+          lockedBy: null,
+          lockedUntil: null,
+          ...(error.retryPayload && message.payload && { payload: error.retryPayload }),
+        },
+      }
+    );
+    await CommunicationLog.updateOne(
+      { _id: message.communicationLogId },
+      { $set: { errorMessage: `Attempt ${attempts} failed: ${error.message}`, attempts } }
+    );
+
+    console.warn(
+      `[OUTBOUND] ⚠ ${message.channel} message ${message._id} attempt ${attempts}/${message.maxAttempts} failed, retrying at ${nextAttemptAt.toISOString()}: ${error.message}`
+    );
+    return { status: "QUEUED", error: error.message, nextAttemptAt, details };
+  }
+};
+
+/**
+ * Store a message with its CommunicationLog entry and make the first attempt
+ * (unless the channel's rate budget is used up; then the job sends it)
+ *
+ * @param {Object} params
+ * @param {"WHATSAPP"|"EMAIL"|"PUSH"} params.channel
+ * @param {Object} params.payload - Passed to the channel's transport
+ * @param {Object} params.log - CommunicationLog fields (category, recipient, related IDs, metadata...)
+ * @param {boolean} [params.storePayload=true] - false for content that must not be
+ *   stored (OTPs): a single attempt, no retries
+ * @param {Date} [params.expiresAt] - Not sent after this
+ * @param {number} [params.maxAttempts] - Defaults to OUTBOUND_MAX_ATTEMPTS
+ *
+ * @returns {Promise<Object>} { status: "SENT"|"QUEUED"|"DEAD", outboundMessageId,
+ *   communicationLogId, providerMessageId?, details?, error? }
+ */
+export const queueMessage = async ({
+  channel,
+  payload,
+  log,
+  storePayload = true,
+  expiresAt = null,
+  maxAttempts,
+}) => {
+  const outboundMessageId = new mongoose.Types.ObjectId();
+  const sendNow = takeSendSlot(channel);
+
+  const communicationLog = await CommunicationLog.create({
+    ...log,
+    type: LOG_TYPES[channel],
+    status: "PENDING",
+    outboundMessageId,
+  });
+
+  const message = await OutboundMessage.create({
+    _id: outboundMessageId,
+    channel,
+    payload: storePayload ? payload : null,
+    communicationLogId: communicationLog._id,
+    maxAttempts: storePayload ? maxAttempts || MAX_ATTEMPTS : 1,
+    expiresAt,
+    ...(sendNow
+      ? { status: "SENDING", lockedBy: INSTANCE_ID, lockedUntil: lockUntil() }
+      : { status: "QUEUED" }),
+  });
+
+  const ids = { outboundMessageId, communicationLogId: communicationLog._id };
+
+  if (!sendNow) {
+    console.warn(`[OUTBOUND] ${channel} rate limit reached, message ${outboundMessageId} queued`);
+    return { status: "QUEUED", ...ids };
+  }
+
+  const outcome = await attemptDelivery(message.toObject(), payload);
+  return { ...outcome, ...ids };
+};
+
+/**
+ * Send what is due: retries whose backoff has passed, messages held back by
+ * the rate limit and those abandoned mid-send. Run by the "outbound-queue" job.
+ * @returns {Promise<Object>} Counts for the job run history
+ */
+export const processOutboundQueue = async () => {
+  const counts = { sent: 0, retrying: 0, dead: 0, deferred: 0 };
+
+  const due = await OutboundMessage.find(dueFilter(new Date()))
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("channel")
+    .lean();
+
+  // Channels out of budget (or not loaded) wait for the next run
+  const heldBack = new Set();
+
+  for (const { _id, channel } of due) {
+    if (heldBack.has(channel) || !transports.has(channel) || !takeSendSlot(channel)) {
+      heldBack.add(channel);
+      counts.deferred++;
+      continue;
+    }
+
+    const message = await claimMessage(_id);
+    if (!message) continue;
+
+    const outcome = await attemptDelivery(message);
+    if (outcome.status === "SENT") counts.sent++;
+    else if (outcome.status === "DEAD") counts.dead++;
+    else counts.retrying++;
+  }
+
+  if (due.length > 0) {
+    console.log(
+      `[OUTBOUND] Queue pass: ${counts.sent} sent, ${counts.retrying} to retry, ${counts.dead} dead, ${counts.deferred} held back`
+    );
+  }
+  return counts;
+};
+
+/**
+ * Put dead messages back in the queue with a fresh set of attempts
+ * @param {string[]} communicationLogIds - Entries from the communication log view
+ * @param {string} adminId
+ * @returns {Promise<{ queued: string[], skipped: Array<{ id: string, reason: string }> }>}
+ *   Skip reasons: NOT_FOUND, NOT_FAILED, NOT_QUEUED (sent before the queue
+ *   existed), NOT_STORED (content was never stored, e.g. OTPs), EXPIRED
+ */
+export const retryFailedMessages = async (communicationLogIds, adminId) => {
+  const ids = [...new Set(communicationLogIds.map(String))];
+  const now = new Date();
+
+  const logs = await CommunicationLog.find({ _id: { $in: ids } })
+    .select("status outboundMessageId")
+    .lean();
+  const logsById = new Map(logs.map((log) => [log._id.toString(), log]));
+
+  const messageIds = logs.map((log) => log.outboundMessageId).filter(Boolean);
+  const [messages, storedIds] = await Promise.all([
+    OutboundMessage.find({ _id: { $in: messageIds } }).select("status attempts expiresAt").lean(),
+    OutboundMessage.distinct("_id", { _id: { $in: messageIds }, payload: { $ne: null } }),
+  ]);
+  const messagesById = new Map(messages.map((message) => [message._id.toString(), message]));
+  const stored = new Set(storedIds.map(String));
+
+  const queued = [];
+  const skipped = [];
+
+  for (const id of ids) {
+    const log = logsById.get(id);
+    const message = log?.outboundMessageId && messagesById.get(log.outboundMessageId.toString());
+
+    let reason = null;
+    if (!log) reason = "NOT_FOUND";
+    else if (log.status !== "FAILED") reason = "NOT_FAILED";
+    else if (!message) reason = "NOT_QUEUED";
+    else if (message.status !== "DEAD") reason = "NOT_FAILED";
+    else if (!stored.has(message._id.toString())) reason = "NOT_STORED";
+    else if (message.expiresAt && message.expiresAt <= now) reason = "EXPIRED";
+
+    if (reason) {
+      skipped.push({ id, reason });
+      continue;
+    }
+
+    const result = await OutboundMessage.updateOne(
+      { _id: message._id, status: "DEAD" },
+      {
+        $set: {
+          status: "QUEUED",
+          nextAttemptAt: now,
+          maxAttempts: message.attempts + MAX_ATTEMPTS,
+          deadAt: null,
+          deadReason: null,
+        },
+        $push: { manualRetries: { adminId, at: now } },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      skipped.push({ id, reason: "NOT_FAILED" });
+      continue;
+    }
+
+    await CommunicationLog.updateOne({ _id: log._id }, { $set: { status: "PENDING" } });
+    queued.push(id);
+  }
+
+  console.log(`[OUTBOUND] Manual retry by ${adminId}: ${queued.length} queued, ${skipped.length} skipped`);
+  return { queued, skipped };
+};
+
+/**
+ * Messages per queue state
+ * @returns {Promise<Object>} e.g. { QUEUED: 3, SENDING: 0, DEAD: 12 }
+ */
+export const getQueueStats = async () => {
+  const rows = await OutboundMessage.aggregate([
+    { $match: { status: { $ne: "SENT" } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  return rows.reduce(
+    (stats, row) => ({ ...stats, [row._id]: row.count }),
+    { QUEUED: 0, SENDING: 0, DEAD: 0 }
+  );
+};
+
+export default {
+  registerTransport,
+  permanentError,
+  queueMessage,
+  processOutboundQueue,
+  retryFailedMessages,
+  getQueueStats,
+};
@@ -47,6 +47,27 @@ class MockPaymentService extends PaymentService {
     return true;
   }
 
+  /**
+   * Mock refund (always processed immediately)
+   * @param {String} paymentId - Payment ID
+   * @param {Number|null} amount - Amount in rupees (null = full)
+   * @param {String} reason - Refund reason
+   * @returns {Promise<Object>} Mock refund entity
+   */
+  async refund(paymentId, amount, reason) {
+    return {
+      id: `rfnd_mock_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`,
+      entity: 'refund',
+      amount: amount != null ? Math.round(amount * 100) : null, // Convert to paise
+      currency: 'INR',
+      payment_id: paymentId,
+      notes: { reason: reason || 'Refund initiated by admin' },
+      status: 'processed',
+      speed_processed: 'normal',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+  }
+
   /**
    * Generate mock payment ID for successful payment
    * @param {String} orderId - Order ID
@@ -33,6 +33,17 @@ class PaymentService {
     throw new Error('verifyPayment method must be implemented');
   }
 
+  /**
+   * Refund a captured payment, fully or partially
+   * @param {String} paymentId - Gateway payment ID
+   * @param {Number|null} amount - Amount to refund in rupees (null = full remaining amount)
+   * @param {String} reason - Reason recorded with the refund
+   * @returns {Promise<Object>} Refund details ({ id, amount (paise), status, ... })
+   */
+  async refund(paymentId, amount, reason) {
+    throw new Error('refund method must be implemented');
+  }
+
   /**
    * Get payment gateway configuration
    * @returns {Object} Gateway configuration for client
@@ -73,6 +73,31 @@ class RazorpayService extends PaymentService {
     return generatedSignature === signature;
   }
 
+  /**
+   * Refund a Razorpay payment
+   * Omitting the amount makes Razorpay refund whatever is still refundable.
+   * @param {String} paymentId - Razorpay payment ID (pay_...)
+   * @param {Number|null} amount - Amount in rupees (null = full)
+   * @param {String} reason - Stored in the refund notes
+   * @returns {Promise<Object>} Razorpay refund entity
+   */
+  async refund(paymentId, amount, reason) {
+    if (!this.razorpay) {
+      throw new Error('Razorpay is not initialized. Check credentials and package installation.');
+    }
+
+    const refundData = {
+      speed: 'normal',
+      notes: { reason: reason || 'Refund initiated by admin' }
+    };
+
+    if (amount != null) {
+      refundData.amount = Math.round(amount * 100); // Convert to paise
+    }
+
+    return this.razorpay.payments.refund(paymentId, refundData);
+  }
+
   /**
    * Get Razorpay gateway configuration
    * @returns {Object} Razorpay config for client
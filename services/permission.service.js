@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Effective admin permissions
+ *
+ * effective = role template ∪ Admin.access grants, or the whole catalogue for
+ * SUPER_ADMIN, or nothing for a deactivated account.
+ *
+ * Permissions are resolved from the database on each request rather than
+ * read from the access token, so a role change, a template edit or a
+ * deactivation applies immediately instead of when the token expires. Role
+ * templates are cached in memory for TEMPLATE_CACHE_MS; an edit clears this
+ * instance's cache at once, and other instances pick it up within that window.
+ */
+
+import Admin from "../schema/Admin.schema.js";
+import RoleTemplate from "../schema/RoleTemplate.schema.js";
+import {
+  PERMISSIONS,
+  TEMPLATE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+} from "../config/permissions.config.js";
+
+const TEMPLATE_CACHE_MS = 30 * 1000;
+
+let templateCache = null;
+let templateCacheExpiresAt = 0;
+
+/**
+ * Keep only catalogue permissions, in catalogue order
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+export const normalizePermissions = (permissions = []) =>
+  PERMISSIONS.filter((permission) => permissions.includes(permission));
+
+/**
+ * Current template for every editable role
+ * @returns {Promise<Object<string, { permissions: string[], isDefault: boolean,
+ *   updatedAt: Date|null, updatedBy: string|null }>>}
+ */
+export const getRoleTemplates = async () => {
+  if (templateCache && Date.now() < templateCacheExpiresAt) {
+    return templateCache;
+  }
+
+  const stored = await RoleTemplate.find({ role: { $in: TEMPLATE_ROLES } }).lean();
+
+  const templates = {};
+  for (const role of TEMPLATE_ROLES) {
+    const template = stored.find((doc) => doc.role === role);
+    templates[role] = template
+      ? {
+          permissions: normalizePermissions(template.permissions),
+          isDefault: false,
+          updatedAt: template.updatedAt,
+          updatedBy: template.updatedBy,
+        }
+      : {
+          permissions: DEFAULT_ROLE_PERMISSIONS[role],
+          isDefault: true,
+          updatedAt: null,
+          updatedBy: null,
+        };
+  }
+
+  templateCache = templates;
+  templateCacheExpiresAt = Date.now() + TEMPLATE_CACHE_MS;
+  return templates;
+};
+
+/**
+ * Drop the cached templates (after an edit)
+ */
+export const invalidateRoleTemplates = () => {
+  templateCache = null;
+  templateCacheExpiresAt = 0;
+};
+
+/**
+ * Effective permissions of an admin document
+ * @param {Object} admin - Admin with role, access and status
+ * @returns {Promise<{ role: string, status: string, permissions: string[],
+ *   template: string[], grants: string[] }>}
+ */
+export const resolvePermissions = async (admin) => {
+  const grants = normalizePermissions(admin.access);
+
+  if (admin.status === "DEACTIVATED") {
+    return { role: admin.role, status: admin.status, permissions: [], template: [], grants };
+  }
+
+  if (admin.role === "SUPER_ADMIN") {
+    return { role: admin.role, status: admin.status, permissions: [...PERMISSIONS], template: [...PERMISSIONS], grants };
+  }
+
+  const templates = await getRoleTemplates();
+  const template = templates[admin.role]?.permissions || [];
+
+  return {
+    role: admin.role,
+    status: admin.status,
+    permissions: normalizePermissions([...template, ...grants]),
+    template,
+    grants,
+  };
+};
+
+/**
+ * Effective permissions of an admin by ID
+ * @param {string} adminId
+ * @returns {Promise<Object|null>} null when the admin no longer exists
+ */
+export const getEffectivePermissions = async (adminId) => {
+  const admin = await Admin.findById(adminId).select("role access status").lean();
+
+  if (!admin) {
+    return null;
+  }
+
+  return { adminId: admin._id, ...(await resolvePermissions(admin)) };
+};
+
+/**
+ * Replace a role's template
+ * @param {string} role - One of TEMPLATE_ROLES
+ * @param {string[]} permissions - Catalogue permissions
+ * @param {string} adminId - Editor
+ * @returns {Promise<string[]>} Stored permissions
+ */
+export const updateRoleTemplate = async (role, permissions, adminId) => {
+  const template = await RoleTemplate.findOneAndUpdate(
+    { role },
+    { $set: { permissions: normalizePermissions(permissions), updatedBy: adminId } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  invalidateRoleTemplates();
+  return template.permissions;
+};
+
+/**
+ * Put a role back on the built-in defaults
+ * @param {string} role - One of TEMPLATE_ROLES
+ * @returns {Promise<string[]>} Default permissions
+ */
+export const resetRoleTemplate = async (role) => {
+  await RoleTemplate.deleteOne({ role });
+
+  invalidateRoleTemplates();
+  return DEFAULT_ROLE_PERMISSIONS[role];
+};
+
+export default {
+  normalizePermissions,
+  getRoleTemplates,
+  invalidateRoleTemplates,
+  resolvePermissions,
+  getEffectivePermissions,
+  updateRoleTemplate,
+  resetRoleTemplate,
+};
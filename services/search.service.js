@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Search across people, posts, clubs, recommendations and jobs.
+ *
+ * Matching runs on each model's searchKeys index (utils/searchIndex.util.js),
+ * never on a regex built from user input. Results go through an explicit
+ * projection per type, so contact fields (email, phone) are never read, and
+ * anything the viewer may not see is filtered inside the query:
+ *
+ * - people and content from users blocked either way, or muted, are left out
+ * - hidden profile fields are neither matched (not indexed) nor returned
+ * - posts of private accounts only match for approved followers, and posts
+ *   of users who hide their posts from their profile don't match at all
+ *
+ * @module services/search
+ */
+
+import mongoose from "mongoose";
+import User from "../schema/User.schema.js";
+import Post from "../schema/Post.schema.js";
+import Club from "../schema/Club.schema.js";
+import ClubMember from "../schema/ClubMember.schema.js";
+import Connect from "../schema/Connect.schema.js";
+import Recommendation from "../schema/Recommendation.schema.js";
+import JobPost from "../schema/JobPost.schema.js";
+import UserRestriction from "../schema/UserRestriction.schema.js";
+import {
+  buildQueryKeys,
+  queryKeyClauses,
+  scoreExpression,
+  facetValue,
+  tokenize,
+} from "../utils/searchIndex.util.js";
+
+export const SEARCH_TYPES = ["users", "posts", "clubs", "recommendations", "jobs"];
+
+/** Types each filter applies to */
+export const FILTER_TYPES = {
+  city: ["users", "jobs"],
+  occupation: ["users"],
+  clubId: ["users", "posts"],
+  hashtag: ["posts", "recommendations"],
+};
+
+/** Orderings after relevance for content, by `sortBy` */
+const CONTENT_SORTS = {
+  top: { likeCount: -1 },
+  recent: { createdAt: -1 },
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const emptyResult = (page, limit) => ({
+  items: [],
+  pagination: { currentPage: page, totalPages: 0, totalCount: 0, limit, hasNextPage: false, hasPrevPage: page > 1 },
+});
+
+/**
+ * Match, score and page one model
+ * @param {mongoose.Model} model
+ * @param {Object} options
+ * @param {string} [options.q] - Search text; without it everything passing the filters matches
+ * @param {Object[]} options.filters - Clauses that must all hold
+ * @param {Object[]} [options.stages] - Extra stages after the index match (visibility lookups)
+ * @param {Object} options.project - Whitelisted output fields
+ * @param {Object} options.sort - Tie-breaker after relevance, e.g. { memberCount: -1 }
+ * @param {number} options.page
+ * @param {number} options.limit
+ */
+const runSearch = async (model, { q, filters, stages = [], project, sort, page, limit }) => {
+  const queryKeys = buildQueryKeys(q || "");
+  // Only punctuation or symbols: nothing to look for
+  if (q && queryKeys.length === 0) return emptyResult(page, limit);
+
+  const [result] = await model.aggregate([
+    { $match: { $and: [...filters, ...queryKeyClauses(queryKeys)] } },
+    ...stages,
+    { $addFields: { score: scoreExpression(queryKeys) } },
+    { $sort: { score: -1, ...sort, _id: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { ...project, score: 1 } }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const totalCount = result.total[0]?.count ?? 0;
+  const totalPages = Math.ceil(totalCount / limit);
+  return {
+    items: result.items,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+/**
+ * Users the viewer follows, plus the viewer
+ */
+const getVisibleAuthorIds = async (viewerId) => {
+  if (!viewerId) return [];
+  const following = await Connect.find({ follower: viewerId }).distinct("following");
+  return [toObjectId(viewerId), ...following];
+};
+
+// ============================================
+// PEOPLE
+// ============================================
+
+/**
+ * Search people by name, occupation and bio
+ * @param {string|null} viewerId
+ * @param {Object} options
+ * @param {string} [options.q]
+ * @param {string} [options.city]
+ * @param {string} [options.occupation] - Every word must appear in the occupation
+ * @param {string} [options.clubId] - Approved members of this club only
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ */
+export const searchUsers = async (viewerId, { q, city, occupation, clubId, page = 1, limit = 20 } = {}) => {
+  const filters = [{ isDeleted: false }];
+
+  if (viewerId) {
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(viewerId);
+    filters.push({ _id: { $nin: [toObjectId(viewerId), ...hiddenUserIds] } });
+  }
+  if (city) {
+    filters.push({ searchKeys: `city:${facetValue(city)}` });
+  }
+  for (const word of tokenize(occupation)) {
+    filters.push({ searchKeys: `occ:${word}` });
+  }
+  if (clubId) {
+    const memberIds = await ClubMember.find({ club: clubId, status: "APPROVED" }).distinct("user");
+    filters.push({ _id: { $in: memberIds } });
+  }
+
+  const { items, pagination } = await runSearch(User, {
+    q,
+    filters,
+    project: {
+      name: 1,
+      occupation: 1,
+      age: 1,
+      bio: 1,
+      city: 1,
+      followerCount: 1,
+      followingCount: 1,
+      postCount: 1,
+      privacySettings: 1,
+      createdAt: 1,
+    },
+    sort: { followerCount: -1 },
+    page,
+    limit,
+  });
+
+  let followingSet = new Set();
+  if (viewerId && items.length > 0) {
+    const following = await Connect.find({
+      follower: viewerId,
+      following: { $in: items.map((u) => u._id) },
+    }).distinct("following");
+    followingSet = new Set(following.map((id) => id.toString()));
+  }
+
+  const users = items.map((user) => {
+    const privacy = user.privacySettings || {};
+    return {
+      id: user._id,
+      name: user.name,
+      occupation: privacy.showOccupation !== false ? user.occupation || null : null,
+      age: privacy.showAge !== false ? user.age || null : null,
+      bio: privacy.showBio !== false ? user.bio || null : null,
+      city: privacy.showCity !== false ? user.city || null : null,
+      followerCount: user.followerCount || 0,
+      followingCount: user.followingCount || 0,
+      postCount: user.postCount || 0,
+      isFollowing: followingSet.has(user._id.toString()),
+      isPrivate: privacy.isPrivate === true,
+      isOwnProfile: false,
+      joinedAt: user.createdAt,
+    };
+  });
+
+  return { users, pagination };
+};
+
+// ============================================
+// CONTENT
+// ============================================
+
+/**
+ * Search posts by title, caption and content
+ * @param {string|null} viewerId
+ * @param {Object} options
+ * @param {string} [options.q]
+ * @param {string} [options.clubId]
+ * @param {string} [options.hashtag] - Normalized tag (utils/hashtag.util.js)
+ * @param {"top"|"recent"} [options.sortBy="top"]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ */
+export const searchPosts = async (viewerId, { q, clubId, hashtag, sortBy = "top", page = 1, limit = 20 } = {}) => {
+  const [hiddenUserIds, visibleAuthorIds] = await Promise.all([
+    UserRestriction.getHiddenUserIds(viewerId),
+    getVisibleAuthorIds(viewerId),
+  ]);
+  const viewer = viewerId ? toObjectId(viewerId) : null;
+
+  const filters = [{ isDeleted: false, isHidden: { $ne: true }, author: { $nin: hiddenUserIds } }];
+  if (clubId) filters.push({ club: toObjectId(clubId) });
+  if (hashtag) filters.push({ hashtags: hashtag });
+
+  const { items, pagination } = await runSearch(Post, {
+    q,
+    filters,
+    stages: [
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: "author",
+          foreignField: "_id",
+          pipeline: [{ $project: { isDeleted: 1, privacySettings: 1 } }],
+          as: "authorUser",
+        },
+      },
+      // Admin authors have no User document; the conditions below pass for them
+      {
+        $match: {
+          "authorUser.isDeleted": { $ne: true },
+          $and: [
+            {
+              $or: [
+                { club: { $ne: null } },
+                { "authorUser.privacySettings.isPrivate": { $ne: true } },
+                { author: { $in: visibleAuthorIds } },
+              ],
+            },
+            {
+              $or: [
+                { "authorUser.privacySettings.showPosts": { $ne: false } },
+                ...(viewer ? [{ author: viewer }] : []),
+              ],
+            },
+          ],
+        },
+      },
+    ],
+    project: {
+      authorType: 1,
+      author: 1,
+      title: 1,
+      caption: 1,
+      mediaType: 1,
+      mediaUrls: 1,
+      mediaThumbnail: 1,
+      likeCount: 1,
+      commentCount: 1,
+      hashtags: 1,
+      mentions: 1,
+      club: 1,
+      createdAt: 1,
+    },
+    sort: CONTENT_SORTS[sortBy],
+    page,
+    limit,
+  });
+
+  await Post.populate(items, [
+    { path: "author", select: "name" },
+    { path: "club", select: "name thumbnail" },
+  ]);
+
+  const posts = items
+    .filter((post) => post.author)
+    .map((post) => ({
+      id: post._id,
+      title: post.title || "",
+      caption: post.caption || "",
+      mediaType: post.mediaType,
+      mediaUrls: post.mediaUrls,
+      mediaThumbnail: post.mediaThumbnail,
+      likeCount: post.likeCount || 0,
+      commentCount: post.commentCount || 0,
+      hashtags: post.hashtags || [],
+      mentions: post.mentions || [],
+      author: { id: post.author._id, name: post.author.name },
+      club: post.club ? { id: post.club._id, name: post.club.name, thumbnail: post.club.thumbnail } : null,
+      createdAt: post.createdAt,
+    }));
+
+  return { posts, pagination };
+};
+
+/**
+ * Search clubs by name and description
+ * @param {{q?: string, page?: number, limit?: number}} options
+ */
+export const searchClubs = async ({ q, page = 1, limit = 20 } = {}) => {
+  const { items, pagination } = await runSearch(Club, {
+    q,
+    filters: [{ isDeleted: false }],
+    project: { name: 1, description: 1, thumbnail: 1, memberCount: 1, postCount: 1, requiresApproval: 1 },
+    sort: { memberCount: -1 },
+    page,
+    limit,
+  });
+
+  const clubs = items.map((club) => ({
+    id: club._id,
+    name: club.name,
+    description: club.description || "",
+    thumbnail: club.thumbnail || null,
+    memberCount: club.memberCount || 0,
+    postCount: club.postCount || 0,
+    requiresApproval: club.requiresApproval === true,
+  }));
+
+  return { clubs, pagination };
+};
+
+/**
+ * Search recommendations by tag and text
+ * @param {string|null} viewerId
+ * @param {{q?: string, hashtag?: string, sortBy?: "top"|"recent", page?: number, limit?: number}} options
+ */
+export const searchRecommendations = async (viewerId, { q, hashtag, sortBy = "top", page = 1, limit = 20 } = {}) => {
+  const hiddenUserIds = await UserRestriction.getHiddenUserIds(viewerId);
+
+  const filters = [{ isDeleted: false, isHidden: { $ne: true }, author: { $nin: hiddenUserIds } }];
+  if (hashtag) filters.push({ hashtags: hashtag });
+
+  const { items, pagination } = await runSearch(Recommendation, {
+    q,
+    filters,
+    project: {
+      author: 1,
+      authorType: 1,
+      authorName: 1,
+      text: 1,
+      tags: 1,
+      hashtags: 1,
+      mentions: 1,
+      likeCount: 1,
+      commentCount: 1,
+      createdAt: 1,
+    },
+    sort: CONTENT_SORTS[sortBy],
+    page,
+    limit,
+  });
+
+  const recommendations = items.map((r) => ({
+    id: r._id,
+    text: r.text,
+    tags: r.tags || [],
+    hashtags: r.hashtags || [],
+    mentions: r.mentions || [],
+    author: { id: r.author, name: r.authorName, type: r.authorType },
+    likeCount: r.likeCount || 0,
+    commentCount: r.commentCount || 0,
+    createdAt: r.createdAt,
+  }));
+
+  return { recommendations, pagination };
+};
+
+/**
+ * Search active job posts by title, company, type and description
+ * @param {{q?: string, city?: string, page?: number, limit?: number}} options
+ */
+export const searchJobs = async ({ q, city, page = 1, limit = 20 } = {}) => {
+  const filters = [{ isDeleted: false, isActive: true }];
+  if (city) filters.push({ searchKeys: `city:${facetValue(city)}` });
+
+  const { items, pagination } = await runSearch(JobPost, {
+    q,
+    filters,
+    project: {
+      title: 1,
+      company: 1,
+      location: 1,
+      type: 1,
+      salary: 1,
+      deadline: 1,
+      jobImage: 1,
+      opportunityType: 1,
+      opportunityLocation: 1,
+      createdAt: 1,
+    },
+    sort: { createdAt: -1 },
+    page,
+    limit,
+  });
+
+  const jobs = items.map((job) => ({
+    id: job._id,
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    type: job.type,
+    salary: job.salary || "",
+    deadline: job.deadline || null,
+    jobImage: job.jobImage || "",
+    opportunityType: job.opportunityType || "",
+    opportunityLocation: job.opportunityLocation || "",
+    createdAt: job.createdAt,
+  }));
+
+  return { jobs, pagination };
+};
+
+/**
+ * Search one type, or the top results of every type the filters apply to
+ * @param {string|null} viewerId
+ * @param {Object} options
+ * @param {"all"|"users"|"posts"|"clubs"|"recommendations"|"jobs"} options.type
+ * @returns {Promise<Object>} For a single type, that type's result; for "all",
+ *   one result per type keyed by type
+ */
+export const search = async (viewerId, { type, ...options }) => {
+  const runners = {
+    users: () => searchUsers(viewerId, options),
+    posts: () => searchPosts(viewerId, options),
+    clubs: () => searchClubs(options),
+    recommendations: () => searchRecommendations(viewerId, options),
+    jobs: () => searchJobs(options),
+  };
+  if (type !== "all") return runners[type]();
+
+  // Filters narrow "all" to the types they apply to
+  const applicable = SEARCH_TYPES.filter((t) =>
+    Object.entries(FILTER_TYPES).every(([filter, types]) => !options[filter] || types.includes(t))
+  );
+
+  const results = await Promise.all(applicable.map((t) => runners[t]()));
+  return Object.fromEntries(applicable.map((t, i) => [t, results[i]]));
+};
+
+export default {
+  SEARCH_TYPES,
+  FILTER_TYPES,
+  searchUsers,
+  searchPosts,
+  searchClubs,
+  searchRecommendations,
+  searchJobs,
+  search,
+};
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Seat map — sections with row/column geometry, seat prices,
+ * the layout the app renders and adjacent-seat suggestions.
+ *
+ * A section is a block of rows at an origin on the map grid. Its seats are
+ * generated with labels `${labelPrefix}${row}${number}` and grid positions:
+ * seats next to each other in a row are 1 apart on x, and an aisle
+ * (aisleAfter) leaves a gap. Adjacent therefore means: same section, same
+ * row, x exactly 1 apart.
+ *
+ * Reservation and booking stay with reserveSeats/confirmSeatBooking in the
+ * seat arrangement controller; this module only describes and prices seats.
+ */
+
+import { findTier, getTierPrice } from "./ticketTier.service.js";
+
+const DEFAULT_SUGGESTIONS = 3;
+
+/**
+ * Seats of one section, generated from its geometry
+ * @param {Object} section - section as sent by an admin or stored
+ * @returns {Array<Object>} seats with label, section, row, number, x, y,
+ * accessible and blocked
+ */
+export const generateSectionSeats = (section) => {
+  const code = section.code.toUpperCase().trim();
+  const prefix = (section.labelPrefix || "").toUpperCase().trim();
+  const aisles = [...(section.aisleAfter || [])].sort((a, b) => a - b);
+  const blocked = new Set((section.blockedSeats || []).map((l) => l.toUpperCase().trim()));
+  const accessible = new Set((section.accessibleSeats || []).map((l) => l.toUpperCase().trim()));
+  const originX = section.origin?.x || 0;
+  const originY = section.origin?.y || 0;
+
+  const seats = [];
+  section.rows.forEach((row, rowIndex) => {
+    const rowLabel = row.label.toUpperCase().trim();
+    for (let number = 1; number <= row.seats; number++) {
+      const aislesBefore = aisles.filter((after) => after < number).length;
+      const label = `${prefix}${rowLabel}${number}`;
+      seats.push({
+        label,
+        section: code,
+        row: rowLabel,
+        number,
+        x: originX + (row.offset || 0) + (number - 1) + aislesBefore,
+        y: originY + rowIndex,
+        accessible: accessible.has(label),
+        blocked: blocked.has(label),
+      });
+    }
+  });
+
+  return seats;
+};
+
+/**
+ * Seats for an arrangement request: generated from `sections`, plus any flat
+ * `seats` without a map position.
+ * @param {Object} body - { sections?, seats? } from the validated request
+ * @returns {{ seats?: Array<Object>, sections?: Array<Object>, error?: string }}
+ */
+export const buildArrangementSeats = ({ sections = [], seats = [] }) => {
+  const generated = [];
+
+  for (const section of sections) {
+    const sectionSeats = generateSectionSeats(section);
+    const labels = new Set(sectionSeats.map((s) => s.label));
+
+    for (const label of [...(section.blockedSeats || []), ...(section.accessibleSeats || [])]) {
+      if (!labels.has(label.toUpperCase().trim())) {
+        return { error: `Seat ${label} is not in section ${section.code}` };
+      }
+    }
+    generated.push(...sectionSeats);
+  }
+
+  const flat = seats.map((seat) => ({
+    label: seat.label.toUpperCase().trim(),
+    section: null,
+    row: null,
+    number: null,
+    x: null,
+    y: null,
+    accessible: Boolean(seat.accessible),
+    blocked: Boolean(seat.blocked),
+  }));
+
+  const all = [...generated, ...flat];
+  const seen = new Set();
+  for (const seat of all) {
+    if (seat.label.length > 10) {
+      return { error: `Seat label ${seat.label} is longer than 10 characters` };
+    }
+    if (seen.has(seat.label)) {
+      return { error: `Seat label ${seat.label} is used twice` };
+    }
+    seen.add(seat.label);
+  }
+
+  // Stored sections keep the geometry only; blocked/accessible live on the seats
+  const storedSections = sections.map(
+    ({ blockedSeats, accessibleSeats, ...section }) => section
+  );
+
+  return { seats: all, sections: storedSections };
+};
+
+/**
+ * Price of one seat in the section
+ * @param {Object|null} section
+ * @param {Object} event - needs price and pricingTiers
+ * @returns {{ price: number|null, tierId: string|null }}
+ */
+export const getSectionPrice = (section, event) => {
+  if (section?.tierId) {
+    const tier = findTier(event, section.tierId);
+    return tier
+      ? { price: getTierPrice(tier).price, tierId: tier._id.toString() }
+      : { price: null, tierId: section.tierId.toString() };
+  }
+  if (section?.price != null) {
+    return { price: section.price, tierId: null };
+  }
+  return { price: event.price ?? null, tierId: null };
+};
+
+/**
+ * Whether the arrangement prices seats by section
+ */
+export const hasPricedSections = (arrangement) =>
+  (arrangement.sections || []).some((s) => s.price != null || s.tierId);
+
+/**
+ * Can be reserved right now (an expired reservation counts as free)
+ */
+const isFree = (seat, now) =>
+  seat.status === "AVAILABLE" ||
+  (seat.status === "RESERVED" && seat.reservationExpiry && seat.reservationExpiry <= now);
+
+/**
+ * Layout the app renders: grid size, sections with their bounds and price,
+ * and every seat with position, status and price. No booking details.
+ * @param {Object} arrangement - SeatArrangement document
+ * @param {Object} event - needs price and pricingTiers
+ */
+export const buildSeatLayout = (arrangement, event) => {
+  const now = new Date();
+  const sections = (arrangement.sections || []).map((section) => {
+    const seats = arrangement.seats.filter((s) => s.section === section.code && s.x != null);
+    const xs = seats.map((s) => s.x);
+    const ys = seats.map((s) => s.y);
+    const { price, tierId } = getSectionPrice(section, event);
+    const tier = tierId ? findTier(event, tierId) : null;
+
+    return {
+      code: section.code,
+      name: section.name,
+      color: section.color || null,
+      price,
+      tierId,
+      tierName: tier?.name || null,
+      bounds: seats.length
+        ? {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs) + 1,
+            height: Math.max(...ys) - Math.min(...ys) + 1,
+          }
+        : null,
+    };
+  });
+
+  const priceBySection = new Map(sections.map((s) => [s.code, s.price]));
+  const placed = arrangement.seats.filter((s) => s.x != null);
+
+  return {
+    width: placed.length ? Math.max(...placed.map((s) => s.x)) + 1 : 0,
+    height: placed.length ? Math.max(...placed.map((s) => s.y)) + 1 : 0,
+    sections,
+    seats: arrangement.seats.map((seat) => ({
+      label: seat.label,
+      section: seat.section,
+      row: seat.row,
+      number: seat.number,
+      x: seat.x,
+      y: seat.y,
+      accessible: seat.accessible,
+      status: isFree(seat, now) ? "AVAILABLE" : seat.status,
+      price: seat.section ? priceBySection.get(seat.section) : event.price ?? null,
+    })),
+  };
+};
+
+/**
+ * Cheapest blocks of `quantity` adjacent free seats. Ties go to the block
+ * nearest the middle of its row, then to the front row.
+ * @param {Object} arrangement - SeatArrangement document
+ * @param {Object} event - needs price and pricingTiers
+ * @param {Object} options
+ * @param {number} options.quantity
+ * @param {string} [options.section] - only this section
+ * @param {boolean} [options.accessible] - at least one accessible seat in the block
+ * @param {number} [options.limit=3]
+ * @returns {Array<{ seats: Array<string>, section: string, row: string, pricePerSeat: number|null, total: number|null }>}
+ */
+export const suggestAdjacentSeats = (
+  arrangement,
+  event,
+  { quantity, section, accessible = false, limit = DEFAULT_SUGGESTIONS }
+) => {
+  const now = new Date();
+  const sections = new Map((arrangement.sections || []).map((s) => [s.code, s]));
+
+  // Group placed seats into rows
+  const rows = new Map();
+  for (const seat of arrangement.seats) {
+    if (seat.x == null || !seat.section) continue;
+    if (section && seat.section !== section) continue;
+    const key = `${seat.section}|${seat.row}`;
+    if (!rows.has(key)) rows.set(key, []);
+    rows.get(key).push(seat);
+  }
+
+  const blocks = [];
+  for (const rowSeats of rows.values()) {
+    rowSeats.sort((a, b) => a.x - b.x);
+    const { price } = getSectionPrice(sections.get(rowSeats[0].section), event);
+    const rowMiddle = (rowSeats[0].x + rowSeats[rowSeats.length - 1].x) / 2;
+
+    for (let start = 0; start + quantity <= rowSeats.length; start++) {
+      const run = rowSeats.slice(start, start + quantity);
+      const adjacent = run.every((seat, i) => i === 0 || seat.x - run[i - 1].x === 1);
+      if (!adjacent || !run.every((seat) => isFree(seat, now))) continue;
+      if (accessible && !run.some((seat) => seat.accessible)) continue;
+
+      const blockMiddle = (run[0].x + run[run.length - 1].x) / 2;
+      blocks.push({
+        seats: run.map((seat) => seat.label),
+        section: run[0].section,
+        row: run[0].row,
+        pricePerSeat: price,
+        total: price == null ? null : price * quantity,
+        distanceFromMiddle: Math.abs(blockMiddle - rowMiddle),
+        y: run[0].y,
+      });
+    }
+  }
+
+  blocks.sort(
+    (a, b) =>
+      (a.total ?? Infinity) - (b.total ?? Infinity) ||
+      a.distanceFromMiddle - b.distanceFromMiddle ||
+      a.y - b.y
+  );
+
+  // One suggestion per row, so the alternatives are real alternatives
+  const suggestions = [];
+  const usedRows = new Set();
+  for (const { distanceFromMiddle, y, ...block } of blocks) {
+    const key = `${block.section}|${block.row}`;
+    if (usedRows.has(key)) continue;
+    usedRows.add(key);
+    suggestions.push(block);
+    if (suggestions.length === limit) break;
+  }
+
+  return suggestions;
+};
+
+/**
+ * Price the seats of an order from their sections. All seats sold through a
+ * pricing tier must share that tier, so the order has one tier.
+ * @param {Object} arrangement - SeatArrangement document
+ * @param {Object} event - needs price and pricingTiers
+ * @param {Array<string>} labels - selected seat labels
+ * @returns {{ total?: number, seats?: Array<{label: string, price: number}>, tierId?: string|null, error?: string }}
+ */
+export const priceSelectedSeats = (arrangement, event, labels) => {
+  const sections = new Map((arrangement.sections || []).map((s) => [s.code, s]));
+  const priced = [];
+  const tierIds = new Set();
+  let untiered = 0;
+
+  for (const rawLabel of labels) {
+    const label = rawLabel.toUpperCase().trim();
+    const seat = arrangement.seats.find((s) => s.label === label);
+    if (!seat) {
+      return { error: `Seat ${label} does not exist` };
+    }
+
+    const { price, tierId } = getSectionPrice(sections.get(seat.section) || null, event);
+    if (price == null) {
+      return { error: `Seat ${label} has no price` };
+    }
+    if (tierId) {
+      tierIds.add(tierId);
+    } else {
+      untiered++;
+    }
+    priced.push({ label, price });
+  }
+
+  if (tierIds.size > 1 || (tierIds.size === 1 && untiered > 0)) {
+    return { error: "Seats from different ticket tiers must be booked in separate orders" };
+  }
+
+  return {
+    total: priced.reduce((sum, seat) => sum + seat.price, 0),
+    seats: priced,
+    tierId: tierIds.size ? [...tierIds][0] : null,
+  };
+};
+
+export default {
+  generateSectionSeats,
+  buildArrangementSeats,
+  getSectionPrice,
+  hasPricedSections,
+  buildSeatLayout,
+  suggestAdjacentSeats,
+  priceSelectedSeats,
+};
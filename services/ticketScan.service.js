@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Ticket scanning — scan log, offline manifest and batch sync
+ *
+ * Every scan — online, through the check-in endpoint or synced from an
+ * offline device — goes through checkInTicket, which records the gate,
+ * device and direction (entry/exit) and moves the ticket between outside and
+ * inside. Holders may leave and come back (RE_ENTRY); an entry scan of a
+ * ticket whose holder is already inside is a DUPLICATE on the device that let
+ * them in and a CONFLICT anywhere else, reported with the admitting scan.
+ *
+ * Scanner devices download an event's manifest (the tickets allowed in, the
+ * revoked ones and the public keys for signed QR payloads), scan offline,
+ * then upload their scans in batches, applied oldest first. Re-uploading a
+ * batch is safe: scans are keyed by (deviceId, clientScanId).
+ *
+ * @module services/ticketScan
+ */
+
+import EventEnrollment from "../schema/EventEnrollment.schema.js";
+import CashEventEnrollment from "../schema/CashEventEnrollment.schema.js";
+import Event from "../schema/Event.schema.js";
+import TicketScan from "../schema/TicketScan.schema.js";
+import Admin from "../schema/Admin.schema.js";
+import { getWrongEventReason } from "./eventSeries.service.js";
+import {
+  TICKET_TYPES,
+  TICKET_SIGNATURE_REQUIRED,
+  getTicketKey,
+  getTicketPublicKeys,
+  isTicketSigningEnabled,
+  verifyTicketSignature,
+} from "../utils/ticketSignature.util.js";
+
+// Offline clocks drift; never accept a scan time this far in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const last10 = (phone) => String(phone || "").slice(-10);
+
+export const SCAN_DIRECTIONS = ["ENTRY", "EXIT"];
+
+/**
+ * Gate, direction and device of an online scan, from the scanner's query
+ * parameters or headers (X-Scanner-Gate, X-Scanner-Device-Id). Only an
+ * authenticated admin scanner sets these; the public QR links (no auth) always
+ * check in, so anyone holding a ticket link can't check its holder out.
+ * @param {Object} req - Express request object
+ * @returns {{ gate: string|null, direction: string, deviceId: string|null, error?: string }}
+ */
+export const getScanContext = (req) => {
+  if (req.user?.userType !== "admin") {
+    return { gate: null, direction: "ENTRY", deviceId: null };
+  }
+
+  const direction = String(req.query?.direction || req.body?.direction || "ENTRY").toUpperCase();
+  const gate = String(req.query?.gate || req.body?.gate || req.get("x-scanner-gate") || "").trim().slice(0, 50) || null;
+  const deviceId = String(req.body?.deviceId || req.get("x-scanner-device-id") || "").trim().slice(0, 100) || null;
+
+  return SCAN_DIRECTIONS.includes(direction)
+    ? { gate, direction, deviceId }
+    : { gate, direction, deviceId, error: "direction must be ENTRY or EXIT" };
+};
+
+/**
+ * Find a ticket in an EventEnrollment tickets map by phone, matching
+ * normalized and legacy (country-code) keys alike
+ * @param {Map|Object} tickets
+ * @param {string} phone
+ * @returns {{ ticket: Object|null, matchedPhone: string|null }}
+ */
+export const findEnrollmentTicket = (tickets, phone) => {
+  const entries = tickets instanceof Map ? [...tickets.entries()] : Object.entries(tickets || {});
+  const exact = entries.find(([storedPhone]) => storedPhone === phone);
+  const match = exact || entries.find(([storedPhone]) => last10(storedPhone) === last10(phone));
+  return match ? { ticket: match[1], matchedPhone: match[0] } : { ticket: null, matchedPhone: null };
+};
+
+/**
+ * Whether a ticket link was issued before the ticket was last reissued (on a
+ * transfer), i.e. it is the previous holder's QR. Compared to the second,
+ * the precision of token timestamps; links without a timestamp pass.
+ * @param {Date|null} issuedAt - From the signed payload or token
+ * @param {Date|null} reissuedAt - From the ticket
+ * @returns {boolean}
+ */
+export const isIssuedBeforeReissue = (issuedAt, reissuedAt) =>
+  Boolean(issuedAt && reissuedAt) &&
+  Math.floor(new Date(issuedAt).getTime() / 1000) < Math.floor(new Date(reissuedAt).getTime() / 1000);
+
+/**
+ * Management staff may only scan and watch their assigned events
+ * @param {Object} user - req.user
+ * @param {string} eventId
+ * @returns {Promise<boolean>}
+ */
+export const canScanEvent = async (user, eventId) => {
+  if (user.role !== "MANAGEMENT_STAFF") {
+    return true;
+  }
+
+  const admin = await Admin.findById(user.id).select("allowedEvents").lean();
+  return Boolean(admin?.allowedEvents?.some((id) => id.toString() === eventId.toString()));
+};
+
+/**
+ * Log one scan. Never throws: the scan log must not fail an admission.
+ * @param {Object} scan - TicketScan fields; ticketKey is derived when omitted
+ * @returns {Promise<Object|null>} The stored scan
+ */
+export const recordTicketScan = async (scan) => {
+  try {
+    return await TicketScan.create({
+      ...scan,
+      phone: scan.phone ? last10(scan.phone) : null,
+      ticketKey: scan.ticketKey || getTicketKey(scan.ticketType, scan.enrollmentId, scan.phone),
+    });
+  } catch (error) {
+    console.error("[TICKET-SCAN] Failed to record scan:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Everything a scanner needs to admit people to an event without the server.
+ * A ticket with a reissuedAt was transferred: devices must refuse signed
+ * payloads issued (iat) before it, as they carry the previous holder's QR.
+ * @param {string} eventId
+ * @returns {Promise<Object|null>} Manifest, or null if the event does not exist
+ */
+export const buildOfflineManifest = async (eventId) => {
+  const event = await Event.findById(eventId).select("name startDate endDate location").lean();
+  if (!event) return null;
+
+  const [enrollments, cashEnrollments] = await Promise.all([
+    EventEnrollment.find({ eventId }).select("tickets").lean(),
+    CashEventEnrollment.find({ eventId }).select("phone name status isTicketScanned ticketScannedAt attendanceStatus").lean(),
+  ]);
+
+  const tickets = [];
+  const revoked = [];
+
+  for (const enrollment of enrollments) {
+    for (const [phone, ticket] of Object.entries(enrollment.tickets || {})) {
+      const ticketKey = getTicketKey(TICKET_TYPES.ENROLLMENT, enrollment._id, phone);
+      if (ticket.status !== "ACTIVE") {
+        revoked.push({ ticketKey, status: ticket.status });
+        continue;
+      }
+      tickets.push({
+        ticketKey,
+        type: TICKET_TYPES.ENROLLMENT,
+        enrollmentId: enrollment._id,
+        phone: last10(phone),
+        holderName: null,
+        assignedSeat: ticket.assignedSeat || null,
+        reissuedAt: ticket.reissuedAt || null,
+        isScanned: Boolean(ticket.isTicketScanned),
+        scannedAt: ticket.ticketScannedAt || null,
+        isInside: isInside(ticket),
+      });
+    }
+  }
+
+  for (const enrollment of cashEnrollments) {
+    const ticketKey = getTicketKey(TICKET_TYPES.CASH, enrollment._id);
+    if (enrollment.status !== "ACTIVE") {
+      revoked.push({ ticketKey, status: enrollment.status });
+      continue;
+    }
+    tickets.push({
+      ticketKey,
+      type: TICKET_TYPES.CASH,
+      enrollmentId: enrollment._id,
+      phone: enrollment.phone,
+      holderName: enrollment.name,
+      assignedSeat: null,
+      reissuedAt: null,
+      isScanned: Boolean(enrollment.isTicketScanned),
+      scannedAt: enrollment.ticketScannedAt || null,
+      isInside: isInside(enrollment),
+    });
+  }
+
+  return {
+    event: {
+      id: event._id,
+      name: event.name,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      location: event.location || null,
+    },
+    generatedAt: new Date(),
+    signing: {
+      enabled: isTicketSigningEnabled(),
+      keys: getTicketPublicKeys(),
+    },
+    counts: {
+      allowed: tickets.length,
+      alreadyScanned: tickets.filter((ticket) => ticket.isScanned).length,
+      revoked: revoked.length,
+    },
+    tickets,
+    revoked,
+  };
+};
+
+/**
+ * Which ticket a scan refers to: from its signed payload if it has one,
+ * else from the fields the scanner sent
+ * @param {Object} scan - { sig } or { type, enrollmentId, phone }
+ * @returns {{ ticket?: Object, reason?: string }}
+ */
+export const identifyScannedTicket = (scan) => {
+  if (scan.sig) {
+    const result = verifyTicketSignature(scan.sig);
+    if (!result.valid) {
+      return { reason: `INVALID_SIGNATURE_${result.reason}` };
+    }
+    return { ticket: result.ticket };
+  }
+
+  if (TICKET_SIGNATURE_REQUIRED) {
+    return { reason: "SIGNATURE_REQUIRED" };
+  }
+
+  return {
+    ticket: {
+      type: scan.type,
+      enrollmentId: scan.enrollmentId,
+      eventId: null,
+      phone: scan.phone || null,
+    },
+  };
+};
+
+/**
+ * TICKET_NOT_FOUND, or WRONG_OCCURRENCE when the enrollment belongs to
+ * another date of the same series (unsigned tickets carry no eventId)
+ */
+const notFoundReason = async (model, enrollmentId, eventId) => {
+  const other = await model.findById(enrollmentId).select("eventId").lean().catch(() => null);
+  if (other && (await getWrongEventReason(String(other.eventId), eventId)) === "WRONG_OCCURRENCE") {
+    return { reason: "WRONG_OCCURRENCE" };
+  }
+  return { reason: "TICKET_NOT_FOUND" };
+};
+
+/**
+ * Current check-in state of a ticket
+ * @returns {Promise<Object>} { reason } when the ticket cannot be scanned
+ */
+const loadTicketState = async ({ type, enrollmentId, phone, issuedAt }, eventId) => {
+  if (type === TICKET_TYPES.CASH) {
+    const enrollment = await CashEventEnrollment.findOne({ _id: enrollmentId, eventId })
+      .select("status isTicketScanned ticketScannedAt attendanceStatus phone")
+      .lean();
+    if (!enrollment) return notFoundReason(CashEventEnrollment, enrollmentId, eventId);
+    if (phone && last10(phone) !== enrollment.phone) return { reason: "TICKET_NOT_FOUND" };
+    if (enrollment.status !== "ACTIVE") return { reason: `TICKET_${enrollment.status}` };
+
+    return { model: CashEventEnrollment, prefix: "", phone: enrollment.phone, state: enrollment };
+  }
+
+  const enrollment = await EventEnrollment.findOne({ _id: enrollmentId, eventId }).select("tickets").lean();
+  if (!enrollment) return notFoundReason(EventEnrollment, enrollmentId, eventId);
+
+  const { ticket, matchedPhone } = findEnrollmentTicket(enrollment.tickets, phone);
+  if (!ticket) return { reason: "TICKET_NOT_FOUND" };
+  if (ticket.status !== "ACTIVE") return { reason: `TICKET_${ticket.status}` };
+  if (isIssuedBeforeReissue(issuedAt, ticket.reissuedAt)) return { reason: "TICKET_REISSUED" };
+
+  return { model: EventEnrollment, prefix: `tickets.${matchedPhone}.`, phone: matchedPhone, state: ticket };
+};
+
+/**
+ * Whether the holder is inside. Tickets scanned before gates were tracked
+ * have no attendanceStatus; they count as inside.
+ */
+const isInside = (state) =>
+  state.attendanceStatus === "INSIDE" || (!state.attendanceStatus && Boolean(state.isTicketScanned));
+
+/**
+ * The entry that let the holder in (latest admitting ENTRY scan)
+ * @param {string} eventId
+ * @param {string} ticketKey
+ * @returns {Promise<Object|null>}
+ */
+const findAdmittingScan = (eventId, ticketKey) =>
+  TicketScan.findOne({ eventId, ticketKey, direction: "ENTRY", result: { $in: ["ACCEPTED", "RE_ENTRY"] } })
+    .sort({ scannedAt: -1 })
+    .lean();
+
+const describeScan = (scan) =>
+  scan && {
+    scanId: scan._id,
+    deviceId: scan.deviceId,
+    gate: scan.gate,
+    mode: scan.mode,
+    scannedAt: scan.scannedAt,
+    scannedBy: scan.scannedBy,
+  };
+
+// Attempts before a ticket that keeps changing under us is reported as a conflict
+const MAX_CHECK_IN_ATTEMPTS = 3;
+
+/**
+ * Check a ticket in or out at a gate. Used by the online scanners, the
+ * check-in endpoint and offline sync, so every path follows the same rules:
+ *
+ *   ENTRY, holder outside  -> ACCEPTED (first entry) or RE_ENTRY
+ *   ENTRY, holder inside   -> DUPLICATE (same device as the admitting entry)
+ *                             or CONFLICT (another device, or no device)
+ *   EXIT,  holder inside   -> ACCEPTED
+ *   EXIT,  holder outside  -> REJECTED (NOT_INSIDE)
+ *
+ * State changes are conditional on the state that was read, so two gates
+ * scanning the same ticket at once cannot both admit it. Every scan is logged.
+ *
+ * @param {Object} params
+ * @param {Object} params.ticket - { type, enrollmentId, phone, issuedAt? }; links issued
+ *   before the ticket was transferred are rejected (TICKET_REISSUED)
+ * @param {string} params.eventId
+ * @param {'ENTRY'|'EXIT'} [params.direction]
+ * @param {string|null} [params.gate]
+ * @param {string|null} [params.deviceId]
+ * @param {'ONLINE'|'OFFLINE'} params.mode
+ * @param {Date} [params.scannedAt]
+ * @param {string|null} [params.adminId]
+ * @param {string|null} [params.clientScanId] - Offline scans only
+ * @returns {Promise<{ result: string, reason: string|null, ticketKey: string, direction: string, gate: string|null, scannedAt: Date, firstScan: Object|null, firstEntry: boolean }>}
+ */
+export const checkInTicket = async ({
+  ticket,
+  eventId,
+  direction = "ENTRY",
+  gate = null,
+  deviceId = null,
+  mode,
+  scannedAt = new Date(),
+  adminId = null,
+  clientScanId = null,
+}) => {
+  const base = { eventId, ticketType: ticket.type, enrollmentId: ticket.enrollmentId, direction, gate, deviceId, mode, scannedAt, scannedBy: adminId, clientScanId };
+  const outcome = (result, reason, ticketKey, extra = {}) => ({
+    result,
+    reason,
+    ticketKey,
+    direction,
+    gate,
+    scannedAt,
+    firstScan: null,
+    firstEntry: false,
+    ...extra,
+  });
+
+  let loaded;
+  for (let attempt = 0; attempt < MAX_CHECK_IN_ATTEMPTS; attempt++) {
+    loaded = await loadTicketState(ticket, eventId);
+    if (loaded.reason) {
+      const ticketKey = getTicketKey(ticket.type, ticket.enrollmentId, ticket.phone);
+      await recordTicketScan({ ...base, phone: ticket.phone, ticketKey, result: "REJECTED", reason: loaded.reason });
+      return outcome("REJECTED", loaded.reason, ticketKey);
+    }
+
+    const { model, prefix, phone, state } = loaded;
+    const ticketKey = getTicketKey(ticket.type, ticket.enrollmentId, phone);
+    const inside = isInside(state);
+
+    if (direction === "EXIT" && !inside) {
+      await recordTicketScan({ ...base, phone, ticketKey, result: "REJECTED", reason: "NOT_INSIDE" });
+      return outcome("REJECTED", "NOT_INSIDE", ticketKey);
+    }
+    if (direction === "ENTRY" && inside) break;
+
+    const firstEntry = direction === "ENTRY" && !state.isTicketScanned;
+    const update = {
+      attendanceStatus: direction === "ENTRY" ? "INSIDE" : "LEFT",
+      lastGate: gate,
+      lastMovementAt: scannedAt,
+      ...(direction === "ENTRY" && { isTicketScanned: true }),
+      ...(firstEntry && { ticketScannedAt: scannedAt, ticketScannedBy: adminId }),
+    };
+
+    const result = await model.updateOne(
+      {
+        _id: ticket.enrollmentId,
+        [`${prefix}isTicketScanned`]: state.isTicketScanned ? true : { $ne: true },
+        [`${prefix}attendanceStatus`]: state.attendanceStatus || null,
+      },
+      { $set: Object.fromEntries(Object.entries(update).map(([field, value]) => [`${prefix}${field}`, value])) }
+    );
+
+    if (result.modifiedCount === 1) {
+      const scanResult = direction === "ENTRY" && !firstEntry ? "RE_ENTRY" : "ACCEPTED";
+      await recordTicketScan({ ...base, phone, ticketKey, result: scanResult });
+      return outcome(scanResult, null, ticketKey, { firstEntry });
+    }
+    // Changed since we read it (another gate); read again
+  }
+
+  // Entry while already inside: same door twice, or the ticket is in use elsewhere
+  const phone = loaded.phone;
+  const ticketKey = getTicketKey(ticket.type, ticket.enrollmentId, phone);
+  const firstScan = await findAdmittingScan(eventId, ticketKey);
+  const result = firstScan && deviceId && firstScan.deviceId === deviceId ? "DUPLICATE" : "CONFLICT";
+  const reason = result === "CONFLICT" ? "SCANNED_ELSEWHERE" : "SCANNED_ON_THIS_DEVICE";
+
+  await recordTicketScan({ ...base, phone, ticketKey, result, reason, firstScanId: firstScan?._id || null });
+
+  return outcome(result, reason, ticketKey, {
+    firstScan: describeScan(firstScan) || {
+      scanId: null,
+      deviceId: null,
+      gate: loaded.state.lastGate || null,
+      mode: "ONLINE",
+      scannedAt: loaded.state.ticketScannedAt || null,
+      scannedBy: null,
+    },
+  });
+};
+
+/**
+ * Reconcile one uploaded scan
+ * @returns {Promise<Object>} Per-scan result
+ */
+const reconcileScan = async (scan, { eventId, deviceId, gate, adminId }) => {
+  const existing = await TicketScan.findOne({ deviceId, clientScanId: scan.clientScanId }).lean();
+  if (existing) {
+    const firstScan = existing.firstScanId ? await TicketScan.findById(existing.firstScanId).lean() : null;
+    return {
+      clientScanId: scan.clientScanId,
+      ticketKey: existing.ticketKey,
+      direction: existing.direction,
+      gate: existing.gate,
+      result: existing.result,
+      reason: existing.reason,
+      alreadySynced: true,
+      firstScan: describeScan(firstScan),
+    };
+  }
+
+  const scanGate = scan.gate || gate || null;
+  const direction = scan.direction || "ENTRY";
+
+  const reject = (reason) => ({
+    clientScanId: scan.clientScanId,
+    ticketKey: null,
+    direction,
+    gate: scanGate,
+    result: "REJECTED",
+    reason,
+    alreadySynced: false,
+    firstScan: null,
+  });
+
+  const { ticket, reason } = identifyScannedTicket(scan);
+  if (!ticket) return reject(reason);
+  if (ticket.eventId && ticket.eventId !== String(eventId)) {
+    return reject(await getWrongEventReason(ticket.eventId, eventId));
+  }
+  if (![TICKET_TYPES.ENROLLMENT, TICKET_TYPES.CASH].includes(ticket.type)) return reject("MALFORMED");
+
+  const checkIn = await checkInTicket({
+    ticket,
+    eventId,
+    direction,
+    gate: scanGate,
+    deviceId,
+    mode: "OFFLINE",
+    scannedAt: new Date(Math.min(new Date(scan.scannedAt).getTime(), Date.now() + MAX_CLOCK_SKEW_MS)),
+    adminId,
+    clientScanId: scan.clientScanId,
+  });
+
+  return {
+    clientScanId: scan.clientScanId,
+    ticketKey: checkIn.ticketKey,
+    direction,
+    gate: scanGate,
+    result: checkIn.result,
+    reason: checkIn.reason,
+    alreadySynced: false,
+    firstScan: checkIn.firstScan,
+  };
+};
+
+/**
+ * Reconcile a batch of scans uploaded by an offline device. Scans are applied
+ * oldest first, so within a batch the earliest scan of a ticket admits it.
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.deviceId
+ * @param {string|null} [params.gate] - Gate for scans that do not name one
+ * @param {string} params.adminId - Admin uploading the batch
+ * @param {Array<Object>} params.scans - { clientScanId, scannedAt, sig } or { clientScanId, scannedAt, type, enrollmentId, phone }
+ * @returns {Promise<Object>} Summary, per-scan results and the conflicts
+ */
+export const reconcileOfflineScans = async ({ eventId, deviceId, gate = null, adminId, scans }) => {
+  const ordered = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+  const results = [];
+
+  for (const scan of ordered) {
+    try {
+      results.push(await reconcileScan(scan, { eventId, deviceId, gate, adminId }));
+    } catch (error) {
+      console.error(`[TICKET-SCAN] Sync failed for scan ${scan.clientScanId}:`, error.message);
+      results.push({
+        clientScanId: scan.clientScanId,
+        ticketKey: null,
+        direction: scan.direction || "ENTRY",
+        gate: scan.gate || gate || null,
+        result: "ERROR",
+        reason: "RETRY",
+        alreadySynced: false,
+        firstScan: null,
+      });
+    }
+  }
+
+  const count = (result) => results.filter((entry) => entry.result === result).length;
+  const summary = {
+    received: scans.length,
+    accepted: count("ACCEPTED"),
+    reEntries: count("RE_ENTRY"),
+    duplicates: count("DUPLICATE"),
+    conflicts: count("CONFLICT"),
+    rejected: count("REJECTED"),
+    errors: count("ERROR"),
+    alreadySynced: results.filter((entry) => entry.alreadySynced).length,
+  };
+
+  console.log(
+    `[TICKET-SCAN] Device ${deviceId} synced ${summary.received} scan(s) for event ${eventId}: ` +
+      `${summary.accepted} accepted, ${summary.conflicts} conflict(s), ${summary.rejected} rejected`
+  );
+
+  return {
+    summary,
+    results,
+    conflicts: results.filter((entry) => entry.result === "CONFLICT"),
+  };
+};
+
+export default {
+  SCAN_DIRECTIONS,
+  getScanContext,
+  canScanEvent,
+  identifyScannedTicket,
+  recordTicketScan,
+  checkInTicket,
+  buildOfflineManifest,
+  reconcileOfflineScans,
+};
@@ -0,0 +1,470 @@
+/**
+ * @fileoverview Pricing tier inventory — per-tier capacity, sale windows,
+ * members-only tiers and early-bird pricing.
+ *
+ * Counters live on the event's pricingTiers subdocuments:
+ * - sold: paid tickets
+ * - held: tickets in orders awaiting payment
+ * A tier with capacity null is limited only by the event's own seats.
+ *
+ * createOrder takes a hold with one conditional update, so two buyers cannot
+ * both get a tier's last ticket. The hold is recorded on the order as
+ * Payment.metadata.tierHold ({ tierId, count, expiresAt, status }); a successful
+ * payment moves it to sold, a failed, cancelled or expired one gives it back,
+ * and the "tier-hold-sweep" job releases holds whose payment never settled.
+ * Cash orders are paid on the spot and go straight to sold.
+ */
+
+import mongoose from "mongoose";
+import Event from "../schema/Event.schema.js";
+import Payment from "../schema/Payment.schema.js";
+
+/**
+ * The order's payment link expires with the hold, and Razorpay rejects an
+ * expire_by less than 15 minutes away.
+ */
+const MIN_HOLD_MINUTES = 16;
+const DEFAULT_HOLD_MINUTES = 30;
+
+/**
+ * Time given to a late payment webhook before the sweep releases its hold
+ */
+const SWEEP_GRACE_MINUTES = 5;
+const SWEEP_BATCH_SIZE = 500;
+
+export const TIER_HOLD_MINUTES = Math.max(
+  Number(process.env.TIER_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES,
+  MIN_HOLD_MINUTES
+);
+
+/**
+ * @returns {Object|null} the event's tier with this ID
+ */
+export const findTier = (event, tierId) =>
+  event.pricingTiers?.find((t) => t._id.toString() === String(tierId)) || null;
+
+/**
+ * Tickets of the tier still for sale
+ * @returns {number|null} null when the tier has no capacity of its own
+ */
+export const getTierRemaining = (tier) => {
+  if (tier.capacity == null) {
+    return null;
+  }
+  return Math.max(0, tier.capacity - (tier.sold || 0) - (tier.held || 0));
+};
+
+/**
+ * Price of an order whose first ticket is the tier's `position`-th (0-based).
+ * The early-bird price applies until earlyBirdEndDate and to the first
+ * earlyBirdQuantity tickets; an order that starts inside that allocation gets it.
+ * @returns {{ price: number, compareAtPrice: number|undefined, isEarlyBird: boolean }}
+ */
+export const getTierPrice = (tier, { position, now = new Date() } = {}) => {
+  const at = position ?? (tier.sold || 0) + (tier.held || 0);
+  const isEarlyBird =
+    tier.earlyBirdPrice != null &&
+    (!tier.earlyBirdEndDate || now < tier.earlyBirdEndDate) &&
+    (tier.earlyBirdQuantity == null || at < tier.earlyBirdQuantity);
+
+  if (isEarlyBird) {
+    return {
+      price: tier.earlyBirdPrice,
+      compareAtPrice: tier.compareAtPrice ?? tier.price,
+      isEarlyBird: true,
+    };
+  }
+  return { price: tier.price, compareAtPrice: tier.compareAtPrice, isEarlyBird: false };
+};
+
+/**
+ * @returns {"NOT_STARTED"|"ENDED"|"SOLD_OUT"|"ON_SALE"}
+ */
+export const getTierSaleStatus = (tier, now = new Date()) => {
+  if (tier.saleStartDate && now < tier.saleStartDate) return "NOT_STARTED";
+  if (tier.saleEndDate && now >= tier.saleEndDate) return "ENDED";
+  if (getTierRemaining(tier) === 0) return "SOLD_OUT";
+  return "ON_SALE";
+};
+
+/**
+ * Why `count` tickets of the tier cannot be bought right now. Capacity is
+ * checked again, atomically, when the tickets are held or sold.
+ * @param {Object} tier
+ * @param {Object} options
+ * @param {number} [options.count=1]
+ * @param {boolean} [options.isMember=false] - buyer has an active membership
+ * @returns {{ code: string, message: string }|null} null when the tier is on sale
+ */
+export const getTierPurchaseError = (tier, { count = 1, isMember = false, now = new Date() } = {}) => {
+  const status = getTierSaleStatus(tier, now);
+
+  if (status === "NOT_STARTED") {
+    return {
+      code: "NOT_STARTED",
+      message: `${tier.name} tickets go on sale on ${tier.saleStartDate.toLocaleString()}`,
+    };
+  }
+  if (status === "ENDED") {
+    return { code: "ENDED", message: `${tier.name} tickets are no longer on sale` };
+  }
+  if (tier.membersOnly && !isMember) {
+    return {
+      code: "MEMBERS_ONLY",
+      message: `${tier.name} tickets are for members only. Please become a member to book.`,
+    };
+  }
+
+  const remaining = getTierRemaining(tier);
+  if (remaining != null && remaining < count) {
+    return {
+      code: "SOLD_OUT",
+      message:
+        remaining === 0
+          ? `${tier.name} tickets are sold out`
+          : `Only ${remaining} ${tier.name} ticket(s) left`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Tier as shown to buyers: adds the price in effect, what is left and
+ * whether the viewer may buy it.
+ * @param {Object} tier - plain tier object
+ * @param {boolean} viewerIsMember
+ */
+export const withTierAvailability = (tier, viewerIsMember, now = new Date()) => {
+  const { price, compareAtPrice, isEarlyBird } = getTierPrice(tier, { now });
+  return {
+    ...tier,
+    currentPrice: price,
+    currentCompareAtPrice: compareAtPrice,
+    isEarlyBird,
+    remaining: getTierRemaining(tier),
+    saleStatus: getTierSaleStatus(tier, now),
+    locked: Boolean(tier.membersOnly) && !viewerIsMember,
+  };
+};
+
+/**
+ * Atomically add `count` to a tier counter, only while the tier has room.
+ * @param {"held"|"sold"} field
+ * @returns {Promise<Object|null>} the updated tier, or null when there is no room
+ */
+const claimTierTickets = async (eventId, tierId, count, field) => {
+  const id = new mongoose.Types.ObjectId(String(tierId));
+  const tier = {
+    $arrayElemAt: [
+      { $filter: { input: "$pricingTiers", cond: { $eq: ["$$this._id", id] } } },
+      0,
+    ],
+  };
+
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      "pricingTiers._id": id,
+      $expr: {
+        $let: {
+          vars: { tier },
+          in: {
+            $or: [
+              { $eq: [{ $ifNull: ["$$tier.capacity", null] }, null] },
+              {
+                $gte: [
+                  {
+                    $subtract: [
+                      "$$tier.capacity",
+                      { $add: [{ $ifNull: ["$$tier.sold", 0] }, { $ifNull: ["$$tier.held", 0] }] },
+                    ],
+                  },
+                  count,
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+    { $inc: { [`pricingTiers.$[tier].${field}`]: count } },
+    { new: true, arrayFilters: [{ "tier._id": id }] }
+  ).select("pricingTiers");
+
+  return event ? findTier(event, id) : null;
+};
+
+/**
+ * Take back `count` from a tier counter (never below zero)
+ */
+const returnToTier = (eventId, tierId, field, count) =>
+  Event.updateOne(
+    {
+      _id: eventId,
+      pricingTiers: {
+        $elemMatch: { _id: new mongoose.Types.ObjectId(String(tierId)), [field]: { $gte: count } },
+      },
+    },
+    { $inc: { [`pricingTiers.$.${field}`]: -count } }
+  );
+
+/**
+ * Price the tickets by the claim's position in the tier
+ */
+const priceClaim = (tier, count) =>
+  getTierPrice(tier, { position: (tier.sold || 0) + (tier.held || 0) - count });
+
+/**
+ * Hold tier tickets for an order awaiting payment. Store the returned `hold`
+ * as Payment.metadata.tierHold; if the order is not created, give the
+ * tickets back with releaseUnsavedHold().
+ * @returns {Promise<Object|null>} price, compareAtPrice, isEarlyBird and hold;
+ * null when the tier does not have `count` tickets left
+ */
+export const holdTierTickets = async ({ eventId, tierId, count }) => {
+  const tier = await claimTierTickets(eventId, tierId, count, "held");
+  if (!tier) {
+    return null;
+  }
+
+  const expiresAt = new Date(Date.now() + TIER_HOLD_MINUTES * 60 * 1000);
+  return {
+    ...priceClaim(tier, count),
+    hold: { tierId: String(tierId), count, expiresAt, status: "HELD" },
+  };
+};
+
+/**
+ * Give back a hold that never made it onto an order
+ */
+export const releaseUnsavedHold = (eventId, hold) =>
+  returnToTier(eventId, hold.tierId, "held", hold.count);
+
+/**
+ * Sell tier tickets outright (cash orders)
+ * @returns {Promise<Object|null>} price, compareAtPrice and isEarlyBird;
+ * null when the tier does not have `count` tickets left
+ */
+export const sellTierTickets = async ({ eventId, tierId, count }) => {
+  const tier = await claimTierTickets(eventId, tierId, count, "sold");
+  return tier ? priceClaim(tier, count) : null;
+};
+
+/**
+ * Give back cash-sold tickets whose order could not be completed
+ */
+export const unsellTierTickets = ({ eventId, tierId, count }) =>
+  returnToTier(eventId, tierId, "sold", count);
+
+/**
+ * Move the order's hold from one status to another, once.
+ * @returns {Promise<boolean>} whether this call made the move
+ */
+const moveHold = async (payment, from, to) => {
+  const result = await Payment.updateOne(
+    { _id: payment._id, "metadata.tierHold.status": from },
+    { $set: { "metadata.tierHold.status": to } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // Keep the loaded copy in line, in case the caller saves the metadata later
+  payment.metadata.tierHold.status = to;
+  return true;
+};
+
+/**
+ * Count a paid order's tickets as sold. Orders without a hold (waitlist
+ * offers, orders placed before tier inventory) are counted too.
+ * Errors are logged, not thrown: the payment has already gone through.
+ * @param {Object} payment - Payment document
+ */
+export const confirmTierSale = async (payment) => {
+  const { tierHold, priceTierId, totalTickets = 1 } = payment.metadata || {};
+  if (!payment.eventId || (!tierHold && !priceTierId)) {
+    return;
+  }
+
+  try {
+    if (!tierHold) {
+      await Event.updateOne(
+        { _id: payment.eventId, "pricingTiers._id": priceTierId },
+        { $inc: { "pricingTiers.$.sold": totalTickets } }
+      );
+      return;
+    }
+
+    if (await moveHold(payment, "HELD", "CONFIRMED")) {
+      await Event.updateOne(
+        {
+          _id: payment.eventId,
+          pricingTiers: { $elemMatch: { _id: tierHold.tierId, held: { $gte: tierHold.count } } },
+        },
+        { $inc: { "pricingTiers.$.held": -tierHold.count, "pricingTiers.$.sold": tierHold.count } }
+      );
+      console.log("[TIER] Hold confirmed:", payment.orderId, tierHold.tierId, tierHold.count);
+      return;
+    }
+
+    // Paid after the hold had already been released: the tickets are sold
+    // regardless, even if that takes the tier past its capacity
+    if (await moveHold(payment, "RELEASED", "CONFIRMED")) {
+      await Event.updateOne(
+        { _id: payment.eventId, "pricingTiers._id": tierHold.tierId },
+        { $inc: { "pricingTiers.$.sold": tierHold.count } }
+      );
+      console.warn("[TIER] Payment settled after its hold was released:", payment.orderId);
+    }
+  } catch (error) {
+    console.error("[TIER] Failed to confirm tier sale:", payment.orderId, error.message);
+  }
+};
+
+/**
+ * Give an unpaid order's held tickets back to its tier. Safe to call more
+ * than once and for orders without a hold.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<boolean>} whether tickets were given back
+ */
+export const releaseTierHold = async (payment) => {
+  const tierHold = payment.metadata?.tierHold;
+  if (!payment.eventId || !tierHold) {
+    return false;
+  }
+
+  try {
+    if (!(await moveHold(payment, "HELD", "RELEASED"))) {
+      return false;
+    }
+    await returnToTier(payment.eventId, tierHold.tierId, "held", tierHold.count);
+    console.log("[TIER] Hold released:", payment.orderId, tierHold.tierId, tierHold.count);
+    return true;
+  } catch (error) {
+    console.error("[TIER] Failed to release tier hold:", payment.orderId, error.message);
+    return false;
+  }
+};
+
+/**
+ * Give refunded tickets back to the order's tier
+ * @param {Object} payment - Payment document
+ * @param {number} count - tickets refunded
+ */
+export const returnRefundedTierTickets = async (payment, count) => {
+  const tierId = payment.metadata?.tierHold?.tierId || payment.metadata?.priceTierId;
+  if (!payment.eventId || !tierId || count <= 0) {
+    return;
+  }
+
+  try {
+    await returnToTier(payment.eventId, tierId, "sold", count);
+  } catch (error) {
+    console.error("[TIER] Failed to return refunded tickets:", payment.orderId, error.message);
+  }
+};
+
+/**
+ * Keep a tier's counters when an admin saves the event's tiers. Tiers sent
+ * with their `_id` are updated in place; tiers without one are new.
+ * @param {Array<Object>} existing - the event's current tiers
+ * @param {Array<Object>} incoming - validated tiers from the request
+ * @returns {{ tiers?: Array<Object>, guard?: Object, error?: string }}
+ * `guard` matches the event only while its counters are still the ones
+ * merged here; add it to the update filter.
+ */
+export const mergePricingTiers = (existing = [], incoming = []) => {
+  const byId = new Map(existing.map((t) => [t._id.toString(), t]));
+  const kept = new Set();
+  const tiers = [];
+
+  for (const tier of incoming) {
+    if (!tier._id) {
+      tiers.push(tier);
+      continue;
+    }
+
+    const current = byId.get(String(tier._id));
+    if (!current) {
+      return { error: `Pricing tier ${tier._id} does not belong to this event` };
+    }
+    kept.add(String(tier._id));
+
+    const sold = current.sold || 0;
+    const held = current.held || 0;
+    if (tier.capacity != null && tier.capacity < sold + held) {
+      return {
+        error: `${tier.name}: capacity cannot be below the ${sold + held} ticket(s) already sold or held`,
+      };
+    }
+    tiers.push({ ...tier, sold, held });
+  }
+
+  const removed = existing.filter((t) => !kept.has(t._id.toString()) && (t.sold || t.held));
+  if (removed.length > 0) {
+    return {
+      error: `Tiers with tickets sold or held cannot be removed (${removed
+        .map((t) => t.name)
+        .join(", ")}). End their sale instead.`,
+    };
+  }
+
+  // Counters that were never written are missing, which only null matches
+  const counter = (value) => value || { $in: [0, null] };
+  const guard =
+    existing.length > 0
+      ? {
+          $and: existing.map((t) => ({
+            pricingTiers: { $elemMatch: { _id: t._id, sold: counter(t.sold), held: counter(t.held) } },
+          })),
+        }
+      : {};
+
+  return { tiers, guard };
+};
+
+/**
+ * Release holds of orders that were never paid (job: "tier-hold-sweep").
+ * Payment webhooks release most holds; this catches the ones they miss.
+ * @returns {Promise<{released: number}>}
+ */
+export const runTierHoldSweep = async () => {
+  const cutoff = new Date(Date.now() - SWEEP_GRACE_MINUTES * 60 * 1000);
+  const payments = await Payment.find({
+    "metadata.tierHold.status": "HELD",
+    "metadata.tierHold.expiresAt": { $lte: cutoff },
+    status: { $ne: "SUCCESS" },
+  }).limit(SWEEP_BATCH_SIZE);
+
+  let released = 0;
+  for (const payment of payments) {
+    if (await releaseTierHold(payment)) {
+      released++;
+    }
+  }
+
+  if (released > 0) {
+    console.log(`[TIER] Sweep released ${released} expired hold(s)`);
+  }
+  return { released };
+};
+
+export default {
+  TIER_HOLD_MINUTES,
+  findTier,
+  getTierRemaining,
+  getTierPrice,
+  getTierSaleStatus,
+  getTierPurchaseError,
+  withTierAvailability,
+  holdTierTickets,
+  releaseUnsavedHold,
+  sellTierTickets,
+  unsellTierTickets,
+  confirmTierSale,
+  releaseTierHold,
+  returnRefundedTierTickets,
+  mergePricingTiers,
+  runTierHoldSweep,
+};
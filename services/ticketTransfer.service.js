@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Ticket transfers — a holder hands their ticket to another phone
+ *
+ * A transfer moves the ticket in the EventEnrollment tickets map from the old
+ * phone key to the new one, together with its seat, in one transaction. The
+ * ticket is stamped with reissuedAt, so QR links issued before the transfer
+ * are refused at the gate even if the ticket later comes back to the same
+ * phone (see isIssuedBeforeReissue). The new holder gets a fresh ticket
+ * image; the previous holder is told their QR no longer works.
+ *
+ * Each event sets whether transfers are allowed, how many times one ticket
+ * may change hands and how many hours before the start they close
+ * (Event.ticketTransfer).
+ *
+ * @module services/ticketTransfer
+ */
+
+import mongoose from "mongoose";
+import EventEnrollment from "../schema/EventEnrollment.schema.js";
+import Event from "../schema/Event.schema.js";
+import User from "../schema/User.schema.js";
+import TicketTransfer from "../schema/TicketTransfer.schema.js";
+import { findEnrollmentTicket } from "./ticketScan.service.js";
+import { transferSeatBooking } from "../src/SeatArrangement/seatArrangement.controller.js";
+import { generateAndUploadTicketImage, generateTicketFilename } from "../utils/ticketImage.util.js";
+import { signTicketLink, TICKET_TYPES } from "../utils/ticketSignature.util.js";
+import { sendTicketWhatsApp, sendTicketTransferredWhatsApp } from "../utils/whatsapp.util.js";
+import { sendEmail } from "../utils/email.util.js";
+import {
+  generateTicketEmail,
+  generateTicketEmailText,
+  generateTicketTransferredEmail,
+  generateTicketTransferredEmailText,
+} from "../utils/emailTemplate.util.js";
+
+const TICKET_BASE_URL = "https://motivata.synquic.com";
+
+// Applied where an event has no ticketTransfer settings of its own
+const DEFAULT_POLICY = {
+  enabled: true,
+  maxTransfersPerTicket: 1,
+  cutoffHours: 24,
+};
+
+const last10 = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+/**
+ * Transfer settings of an event, with defaults filled in
+ * @param {Object} event - Event document or lean object
+ * @returns {{ enabled: boolean, maxTransfersPerTicket: number, cutoffHours: number, closesAt: Date|null }}
+ */
+export const getTransferPolicy = (event) => {
+  const settings = event?.ticketTransfer || {};
+  const policy = {
+    enabled: settings.enabled ?? DEFAULT_POLICY.enabled,
+    maxTransfersPerTicket: settings.maxTransfersPerTicket ?? DEFAULT_POLICY.maxTransfersPerTicket,
+    cutoffHours: settings.cutoffHours ?? DEFAULT_POLICY.cutoffHours,
+  };
+
+  return {
+    ...policy,
+    closesAt: event?.startDate
+      ? new Date(new Date(event.startDate).getTime() - policy.cutoffHours * 60 * 60 * 1000)
+      : null,
+  };
+};
+
+/**
+ * Account registered on a phone, if any
+ * @param {string} phone - 10 digits
+ * @returns {Promise<Object|null>}
+ */
+const findUserByPhone = (phone) =>
+  User.findOne({ phone: { $in: [phone, `91${phone}`, `+91${phone}`] } })
+    .select("name email phone")
+    .lean();
+
+const formatEventDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })
+    : "";
+
+/**
+ * Issue the new holder's ticket image and send it to them
+ * @returns {Promise<{ ticketUrl: string|null, whatsapp: Object, email: Object }>}
+ */
+const deliverNewTicket = async ({ enrollment, event, phone, name, email, userId }) => {
+  const results = {
+    ticketUrl: null,
+    whatsapp: { sent: false, error: null },
+    email: { sent: false, error: null },
+  };
+
+  const eventName = event.name || "Event";
+  const qrData = signTicketLink(
+    `${TICKET_BASE_URL}/api/app/tickets/qr-scan?enrollmentId=${enrollment._id}&userId=${userId}&eventId=${event._id}&phone=${phone}`,
+    { type: TICKET_TYPES.ENROLLMENT, enrollmentId: enrollment._id, eventId: event._id, phone }
+  );
+
+  let imageBuffer;
+  try {
+    const image = await generateAndUploadTicketImage({
+      qrData,
+      eventName,
+      eventMode: event.mode || "OFFLINE",
+      eventLocation: event.city || "",
+      eventStartDate: event.startDate,
+      eventEndDate: event.endDate,
+      ticketCount: 1,
+      ticketPrice: enrollment.ticketPrice || "",
+      venueName: event.venueName || "",
+      bookingId: enrollment._id.toString(),
+      enrollmentId: enrollment._id.toString(),
+      phone,
+    });
+    imageBuffer = image.imageBuffer;
+    results.ticketUrl = image.imageUrl;
+  } catch (imageError) {
+    // Without an image there is nothing to send; the app still shows the ticket
+    console.error(`[TICKET-TRANSFER] Ticket image failed for ${phone}: ${imageError.message}`);
+    results.whatsapp.error = results.email.error = `Ticket image failed: ${imageError.message}`;
+    return results;
+  }
+
+  try {
+    const whatsappResult = await sendTicketWhatsApp({
+      phone,
+      name,
+      email: email || "",
+      eventName,
+      qrCodeUrl: results.ticketUrl,
+      eventId: event._id.toString(),
+      orderId: enrollment.orderId,
+      userId: userId.toString(),
+      enrollmentId: enrollment._id.toString(),
+    });
+    results.whatsapp = { sent: true, error: null, messageId: whatsappResult.messageId };
+  } catch (whatsappError) {
+    results.whatsapp = { sent: false, error: whatsappError.message };
+  }
+
+  if (email) {
+    const emailData = {
+      email,
+      phone,
+      userId: userId.toString(),
+      eventId: event._id.toString(),
+      enrollmentId: enrollment._id.toString(),
+      name,
+      eventName,
+      eventDate: formatEventDate(event.startDate),
+      eventLocation: event.city || "",
+      isBuyer: false,
+    };
+
+    try {
+      await sendEmail({
+        to: email,
+        subject: `Your Ticket - ${eventName}`,
+        html: generateTicketEmail(emailData),
+        text: generateTicketEmailText(emailData),
+        attachments: [{
+          filename: generateTicketFilename({ eventName, phone }),
+          content: imageBuffer,
+          contentType: "image/png",
+        }],
+        category: "TICKET_TRANSFER",
+        eventId: event._id.toString(),
+        orderId: enrollment.orderId,
+        userId: userId.toString(),
+        enrollmentId: enrollment._id.toString(),
+      });
+      results.email = { sent: true, error: null };
+    } catch (emailError) {
+      results.email = { sent: false, error: emailError.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Tell the previous holder their ticket has gone
+ * @returns {Promise<{ whatsapp: Object, email: Object }>}
+ */
+const notifyPreviousHolder = async ({ enrollment, event, phone, holder, toName, toPhone }) => {
+  const results = {
+    whatsapp: { sent: false, error: null },
+    email: { sent: false, error: null },
+  };
+  const name = holder?.name || "Customer";
+  const eventName = event.name || "Event";
+
+  try {
+    await sendTicketTransferredWhatsApp({
+      phone,
+      name,
+      eventName,
+      toName,
+      toPhone,
+      eventId: event._id.toString(),
+      userId: holder?._id?.toString(),
+      enrollmentId: enrollment._id.toString(),
+    });
+    results.whatsapp = { sent: true, error: null };
+  } catch (whatsappError) {
+    results.whatsapp = { sent: false, error: whatsappError.message };
+  }
+
+  if (holder?.email) {
+    const emailData = { name, toName, eventName, eventDate: formatEventDate(event.startDate) };
+    try {
+      await sendEmail({
+        to: holder.email,
+        subject: `Your Ticket Was Transferred - ${eventName}`,
+        html: generateTicketTransferredEmail(emailData),
+        text: generateTicketTransferredEmailText(emailData),
+        category: "TICKET_TRANSFER",
+        eventId: event._id.toString(),
+        orderId: enrollment.orderId,
+        userId: holder._id.toString(),
+        enrollmentId: enrollment._id.toString(),
+      });
+      results.email = { sent: true, error: null };
+    } catch (emailError) {
+      results.email = { sent: false, error: emailError.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Transfer one ticket of an online enrollment to another phone
+ *
+ * Allowed for the ticket's holder (the account on the ticket phone) and for
+ * the buyer, who manages every ticket of their order. The ticket must be
+ * active and not yet scanned, and the event must allow transfers and not be
+ * past its cut-off.
+ *
+ * @param {Object} params
+ * @param {string} params.enrollmentId
+ * @param {string} params.fromPhone - Current ticket phone
+ * @param {string} params.toPhone - Recipient's phone
+ * @param {string} params.toName - Recipient's name
+ * @param {string} [params.toEmail] - Recipient's email, for the ticket email
+ * @param {string} params.userId - User making the transfer
+ * @returns {Promise<{ status: 'TRANSFERRED'|'NOT_FOUND'|'FORBIDDEN'|'DISABLED'|'CLOSED'|'LIMIT_REACHED'|'NOT_ACTIVE'|'ALREADY_SCANNED'|'SAME_PHONE'|'RECIPIENT_HAS_TICKET'|'CHANGED', transfer?: Object, policy?: Object }>}
+ */
+export const transferTicket = async ({ enrollmentId, fromPhone, toPhone, toName, toEmail, userId }) => {
+  const enrollment = await EventEnrollment.findById(enrollmentId).lean();
+  if (!enrollment) return { status: "NOT_FOUND" };
+
+  const { ticket, matchedPhone } = findEnrollmentTicket(enrollment.tickets, fromPhone);
+  if (!ticket) return { status: "NOT_FOUND" };
+
+  const [event, initiator] = await Promise.all([
+    Event.findById(enrollment.eventId)
+      .select("name mode city venueName startDate endDate hasSeatArrangement ticketTransfer")
+      .lean(),
+    User.findById(userId).select("phone").lean(),
+  ]);
+  if (!event) return { status: "NOT_FOUND" };
+
+  const isBuyer = enrollment.userId.toString() === userId.toString();
+  const isHolder = Boolean(initiator?.phone) && last10(initiator.phone) === last10(matchedPhone);
+  if (!isBuyer && !isHolder) return { status: "FORBIDDEN" };
+
+  const policy = getTransferPolicy(event);
+  const transferCount = ticket.transferCount || 0;
+
+  if (!policy.enabled) return { status: "DISABLED", policy };
+  if (policy.closesAt && new Date() >= policy.closesAt) return { status: "CLOSED", policy };
+  if (transferCount >= policy.maxTransfersPerTicket) return { status: "LIMIT_REACHED", policy };
+  if (ticket.status !== "ACTIVE") return { status: "NOT_ACTIVE" };
+  if (ticket.isTicketScanned) return { status: "ALREADY_SCANNED" };
+
+  const newPhone = last10(toPhone);
+  if (newPhone === last10(matchedPhone)) return { status: "SAME_PHONE" };
+  if (findEnrollmentTicket(enrollment.tickets, newPhone).ticket) return { status: "RECIPIENT_HAS_TICKET" };
+
+  const reissuedAt = new Date();
+  const session = await mongoose.startSession();
+  let moved = false;
+  try {
+    await session.withTransaction(async () => {
+      // Only if nobody scanned, cancelled or transferred the ticket since we read it
+      const result = await EventEnrollment.updateOne(
+        {
+          _id: enrollment._id,
+          [`tickets.${matchedPhone}.status`]: "ACTIVE",
+          [`tickets.${matchedPhone}.isTicketScanned`]: { $ne: true },
+          [`tickets.${matchedPhone}.transferCount`]: transferCount || { $in: [0, null] },
+          [`tickets.${newPhone}`]: { $exists: false },
+        },
+        {
+          $unset: { [`tickets.${matchedPhone}`]: "" },
+          $set: {
+            [`tickets.${newPhone}`]: {
+              ...ticket,
+              transferCount: transferCount + 1,
+              reissuedAt,
+            },
+          },
+        },
+        { session }
+      );
+      moved = result.modifiedCount === 1;
+
+      if (moved && ticket.assignedSeat && event.hasSeatArrangement) {
+        await transferSeatBooking({
+          enrollmentId: enrollment._id,
+          fromPhone: matchedPhone,
+          toPhone: newPhone,
+          session,
+        });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (!moved) return { status: "CHANGED" };
+
+  console.log(`[TICKET-TRANSFER] Enrollment ${enrollment._id}: ticket ${matchedPhone} -> ${newPhone} by user ${userId}`);
+
+  const [recipient, previousHolder] = await Promise.all([
+    findUserByPhone(newPhone),
+    findUserByPhone(last10(matchedPhone)),
+  ]);
+
+  const transfer = await TicketTransfer.create({
+    enrollmentId: enrollment._id,
+    eventId: event._id,
+    fromPhone: matchedPhone,
+    toPhone: newPhone,
+    toName,
+    toEmail: toEmail || null,
+    toUserId: recipient?._id || null,
+    initiatedBy: userId,
+    assignedSeat: ticket.assignedSeat || null,
+    transferNumber: transferCount + 1,
+  });
+
+  const [delivery, notice] = await Promise.all([
+    deliverNewTicket({
+      enrollment,
+      event,
+      phone: newPhone,
+      name: recipient?.name || toName,
+      email: toEmail || recipient?.email || null,
+      userId: recipient?._id || enrollment.userId,
+    }),
+    notifyPreviousHolder({
+      enrollment,
+      event,
+      phone: matchedPhone,
+      holder: previousHolder,
+      toName,
+      toPhone: newPhone,
+    }),
+  ]);
+
+  transfer.ticketUrl = delivery.ticketUrl;
+  transfer.notifications = {
+    recipientWhatsapp: delivery.whatsapp,
+    recipientEmail: delivery.email,
+    senderWhatsapp: notice.whatsapp,
+    senderEmail: notice.email,
+  };
+  await transfer.save();
+
+  return { status: "TRANSFERRED", transfer: transfer.toObject(), policy };
+};
+
+export default {
+  getTransferPolicy,
+  transferTicket,
+};
@@ -0,0 +1,488 @@
+/**
+ * @fileoverview Personal referral codes — every user can invite others
+ *
+ * Unlike college referral codes (schema/ReferralCode.schema.js), which only
+ * prove a student belongs to a college, a personal code carries a reward on
+ * both sides: the referee gets a discount on an event, membership or feature
+ * purchase, and the referrer earns credits once that payment succeeds. The
+ * webhook records each earned referral in UserReferral and takes the credits
+ * back if the payment is fully refunded.
+ *
+ * Checkout rejects codes that would reward buyers for referring themselves:
+ * their own code, a code whose owner shares their phone or email or holds one
+ * of the order's tickets, and two users referring each other. A referee can be
+ * referred once, and a referral code is never combined with a coupon.
+ *
+ * @module services/userReferral
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../schema/User.schema.js";
+import UserReferral from "../schema/UserReferral.schema.js";
+import { CODE_CHARSETS } from "./couponBatch.service.js";
+
+const DEFAULT_DISCOUNT_PERCENT = 10;
+const DEFAULT_MAX_DISCOUNT = 200;
+const DEFAULT_CREDIT_AMOUNT = 100;
+
+/**
+ * Random characters after the name prefix of a generated code
+ */
+const CODE_RANDOM_LENGTH = 5;
+
+const MAX_CODE_ATTEMPTS = 5;
+
+const DISCOUNT_PERCENT = Number(process.env.USER_REFERRAL_DISCOUNT_PERCENT) || DEFAULT_DISCOUNT_PERCENT;
+
+const MAX_DISCOUNT = Number(process.env.USER_REFERRAL_MAX_DISCOUNT) || DEFAULT_MAX_DISCOUNT;
+
+const CREDIT_AMOUNT = Number(process.env.USER_REFERRAL_CREDIT_AMOUNT) || DEFAULT_CREDIT_AMOUNT;
+
+/**
+ * Current reward terms, for display
+ * @returns {{ discountPercent: number, maxDiscount: number, creditAmount: number }}
+ */
+export const getReferralTerms = () => ({
+  discountPercent: DISCOUNT_PERCENT,
+  maxDiscount: MAX_DISCOUNT,
+  creditAmount: CREDIT_AMOUNT,
+});
+
+const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * "Rahul Sharma" -> "Rahul S." so the leaderboard does not publish full names
+ * @param {string} name
+ * @returns {string}
+ */
+export const maskName = (name) => {
+  const [first, ...rest] = String(name || "").trim().split(/\s+/);
+  if (!first) return "Member";
+  const last = rest[rest.length - 1];
+  return last ? `${first} ${last.charAt(0).toUpperCase()}.` : first;
+};
+
+const generateCode = (name) => {
+  const alphabet = CODE_CHARSETS.UNAMBIGUOUS;
+  const prefix = String(name || "").toUpperCase().replace(/[^A-Z]/g, "").slice(0, 4) || "MV";
+  let code = prefix;
+  for (let i = 0; i < CODE_RANDOM_LENGTH; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+};
+
+/**
+ * The user's referral code, created on first use
+ * @param {string} userId
+ * @returns {Promise<string|null>} null if the user does not exist
+ */
+export const ensureReferralCode = async (userId) => {
+  const user = await User.findById(userId).select("name referralCode").lean();
+  if (!user) return null;
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+    try {
+      // Only set it if no other request did meanwhile
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, referralCode: { $exists: false } },
+        { $set: { referralCode: generateCode(user.name) } },
+        { new: true }
+      )
+        .select("referralCode")
+        .lean();
+
+      if (updated) return updated.referralCode;
+
+      const current = await User.findById(userId).select("referralCode").lean();
+      return current?.referralCode || null;
+    } catch (error) {
+      // Code taken by another user; draw again
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not generate a unique referral code");
+};
+
+/**
+ * Check a referral code at checkout and price the referee's discount.
+ * Mirrors validateCouponForType: { isValid: false, error, reason } on failure.
+ *
+ * @param {Object} options
+ * @param {string} options.code - Code as entered
+ * @param {number} options.amount - Order amount before discount
+ * @param {Object} options.buyer - { userId, phone, email }
+ * @param {Array<string>} [options.ticketPhones] - Other people the order is for
+ * @param {string} [options.couponCode] - Coupon on the same order, if any
+ * @returns {Promise<Object>} On success: { isValid: true, discountAmount,
+ *   finalAmount, referral } where referral goes into payment.metadata.userReferral
+ */
+export const validateUserReferral = async ({ code, amount, buyer, ticketPhones = [], couponCode }) => {
+  const normalizedCode = String(code || "").trim().toUpperCase();
+
+  if (couponCode) {
+    return {
+      isValid: false,
+      reason: "WITH_COUPON",
+      error: "A referral code cannot be combined with a coupon",
+    };
+  }
+
+  if (!(amount > 0)) {
+    return {
+      isValid: false,
+      reason: "NOT_APPLICABLE",
+      error: "Referral codes only apply to paid orders",
+    };
+  }
+
+  const referrer = await User.findOne({ referralCode: normalizedCode }).select("_id name phone email").lean();
+
+  if (!referrer) {
+    return { isValid: false, reason: "NOT_FOUND", error: "Invalid referral code" };
+  }
+
+  const buyerPhone = normalizePhone(buyer.phone);
+  const referrerPhone = normalizePhone(referrer.phone);
+  const sameEmail = buyer.email && referrer.email && buyer.email.toLowerCase() === referrer.email;
+
+  if (
+    (buyer.userId && String(buyer.userId) === String(referrer._id)) ||
+    buyerPhone === referrerPhone ||
+    sameEmail ||
+    ticketPhones.some((phone) => normalizePhone(phone) === referrerPhone)
+  ) {
+    return { isValid: false, reason: "SELF_REFERRAL", error: "You cannot use your own referral code" };
+  }
+
+  // Guest checkouts still belong to the account on their phone, if any
+  const buyerUserId = buyer.userId || (await User.findOne({ phone: buyerPhone }).select("_id").lean())?._id;
+
+  const [alreadyReferred, referredBack] = await Promise.all([
+    UserReferral.exists({
+      status: "EARNED",
+      $or: [{ refereePhone: buyerPhone }, ...(buyerUserId ? [{ refereeUserId: buyerUserId }] : [])],
+    }),
+    // The code's owner was referred by this buyer
+    buyerUserId
+      ? UserReferral.exists({ status: "EARNED", referrerId: buyerUserId, refereePhone: referrerPhone })
+      : null,
+  ]);
+
+  if (alreadyReferred) {
+    return {
+      isValid: false,
+      reason: "ALREADY_REFERRED",
+      error: "A referral discount has already been used on this account",
+    };
+  }
+
+  if (referredBack) {
+    return {
+      isValid: false,
+      reason: "MUTUAL_REFERRAL",
+      error: "You cannot use the referral code of someone you referred",
+    };
+  }
+
+  const discountAmount = roundAmount(Math.min((amount * DISCOUNT_PERCENT) / 100, MAX_DISCOUNT, amount));
+
+  return {
+    isValid: true,
+    discountAmount,
+    finalAmount: roundAmount(amount - discountAmount),
+    referral: {
+      code: normalizedCode,
+      referrerId: referrer._id.toString(),
+      discountAmount,
+    },
+  };
+};
+
+/**
+ * Credit the referrer for a successful payment made with their code.
+ * Safe to call more than once per payment.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} The UserReferral, or null if nothing was credited
+ */
+export const creditReferrer = async (payment) => {
+  const referral = payment.metadata?.userReferral;
+  if (!referral?.referrerId) return null;
+
+  let refereePhone = normalizePhone(payment.phone || payment.metadata?.buyer?.phone || payment.metadata?.phone);
+  if (!refereePhone && payment.userId) {
+    refereePhone = normalizePhone((await User.findById(payment.userId).select("phone").lean())?.phone);
+  }
+
+  let entry;
+  try {
+    entry = await UserReferral.create({
+      referrerId: referral.referrerId,
+      code: referral.code,
+      refereeUserId: payment.userId || null,
+      refereePhone,
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      paymentType: payment.type,
+      orderAmount: payment.amount,
+      discountAmount: referral.discountAmount || 0,
+      creditAmount: CREDIT_AMOUNT,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Already credited, or the referee was referred on another order meanwhile
+    console.log(`[USER-REFERRAL] Payment ${payment.orderId} not credited: referral already recorded`);
+    return null;
+  }
+
+  await User.updateOne({ _id: referral.referrerId }, { $inc: { referralCredits: entry.creditAmount } });
+
+  console.log(
+    `[USER-REFERRAL] ${entry.creditAmount} credits to ${referral.referrerId} for ${payment.type} order ${payment.orderId}`
+  );
+
+  return entry;
+};
+
+/**
+ * Take back the credits of a refunded payment
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} The reversed UserReferral, or null if there was none
+ */
+export const reverseReferralCredit = async (payment) => {
+  if (!payment.metadata?.userReferral) return null;
+
+  const entry = await UserReferral.findOneAndUpdate(
+    { paymentId: payment._id, status: "EARNED" },
+    { $set: { status: "REVERSED", reversedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!entry) return null;
+
+  await User.updateOne({ _id: entry.referrerId }, { $inc: { referralCredits: -entry.creditAmount } });
+
+  console.log(`[USER-REFERRAL] ${entry.creditAmount} credits taken back from ${entry.referrerId} (order ${payment.orderId} refunded)`);
+
+  return entry;
+};
+
+/**
+ * A user's code, balance and referrals
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Recent referrals to include
+ * @returns {Promise<Object|null>} null if the user does not exist
+ */
+export const getReferralSummary = async (userId, { limit = 20 } = {}) => {
+  const code = await ensureReferralCode(userId);
+  if (!code) return null;
+
+  const referrerId = new mongoose.Types.ObjectId(String(userId));
+
+  const [user, counts, recent] = await Promise.all([
+    User.findById(userId).select("referralCredits").lean(),
+    UserReferral.aggregate([
+      { $match: { referrerId } },
+      { $group: { _id: "$status", count: { $sum: 1 }, credits: { $sum: "$creditAmount" } } },
+    ]),
+    UserReferral.find({ referrerId })
+      .sort({ earnedAt: -1 })
+      .limit(limit)
+      .populate("refereeUserId", "name")
+      .lean(),
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map((row) => [row._id, row]));
+
+  return {
+    code,
+    terms: getReferralTerms(),
+    credits: user?.referralCredits || 0,
+    stats: {
+      successfulReferrals: byStatus.EARNED?.count || 0,
+      reversedReferrals: byStatus.REVERSED?.count || 0,
+      creditsEarned: byStatus.EARNED?.credits || 0,
+    },
+    referrals: recent.map((entry) => ({
+      name: maskName(entry.refereeUserId?.name),
+      paymentType: entry.paymentType,
+      creditAmount: entry.creditAmount,
+      status: entry.status,
+      earnedAt: entry.earnedAt,
+      reversedAt: entry.reversedAt,
+    })),
+  };
+};
+
+const getPeriodStart = (period) => {
+  if (period !== "month") return null;
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+};
+
+/**
+ * Top referrers by successful referrals. Names are masked and no contact
+ * details are returned.
+ * @param {Object} options
+ * @param {"month"|"all"} [options.period="all"]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.userId] - Caller, to report their own rank
+ * @returns {Promise<{ leaderboard: Array<Object>, me: Object|null }>}
+ */
+export const getLeaderboard = async ({ period = "all", limit = 20, userId } = {}) => {
+  const since = getPeriodStart(period);
+  const match = { status: "EARNED", ...(since && { earnedAt: { $gte: since } }) };
+
+  const rows = await UserReferral.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$referrerId",
+        referrals: { $sum: 1 },
+        credits: { $sum: "$creditAmount" },
+        lastReferredAt: { $max: "$earnedAt" },
+      },
+    },
+    // Earlier to reach the count ranks higher on ties
+    { $sort: { referrals: -1, lastReferredAt: 1 } },
+    { $limit: limit },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+    { $unwind: "$user" },
+    { $match: { "user.isDeleted": { $ne: true } } },
+  ]);
+
+  const leaderboard = rows.map((row, index) => ({
+    rank: index + 1,
+    name: maskName(row.user.name),
+    referrals: row.referrals,
+    credits: row.credits,
+    isYou: Boolean(userId) && String(row._id) === String(userId),
+  }));
+
+  let me = leaderboard.find((row) => row.isYou) || null;
+
+  if (!me && userId) {
+    const referrerId = new mongoose.Types.ObjectId(String(userId));
+    const [mine] = await UserReferral.aggregate([
+      { $match: { ...match, referrerId } },
+      { $group: { _id: null, referrals: { $sum: 1 }, credits: { $sum: "$creditAmount" } } },
+    ]);
+
+    if (mine) {
+      const [ahead] = await UserReferral.aggregate([
+        { $match: match },
+        { $group: { _id: "$referrerId", referrals: { $sum: 1 } } },
+        { $match: { referrals: { $gt: mine.referrals } } },
+        { $count: "count" },
+      ]);
+      me = { rank: (ahead?.count || 0) + 1, referrals: mine.referrals, credits: mine.credits, isYou: true };
+    }
+  }
+
+  return { leaderboard, me };
+};
+
+/**
+ * Referrer-wise report for admins, shaped like the college report
+ * @param {Object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<{ report: Array<Object>, totals: Object }>}
+ */
+export const getReferrerReport = async ({ from, to, limit = 100 } = {}) => {
+  const earnedAt = {};
+  if (from) earnedAt.$gte = new Date(from);
+  if (to) earnedAt.$lte = new Date(to);
+
+  const [result] = await UserReferral.aggregate([
+    { $match: Object.keys(earnedAt).length ? { earnedAt } : {} },
+    {
+      $group: {
+        _id: "$referrerId",
+        referralCount: { $sum: { $cond: [{ $eq: ["$status", "EARNED"] }, 1, 0] } },
+        reversedCount: { $sum: { $cond: [{ $eq: ["$status", "REVERSED"] }, 1, 0] } },
+        totalRevenue: {
+          $sum: {
+            $cond: [{ $eq: ["$status", "EARNED"] }, { $subtract: ["$orderAmount", "$discountAmount"] }, 0],
+          },
+        },
+        discountGiven: { $sum: { $cond: [{ $eq: ["$status", "EARNED"] }, "$discountAmount", 0] } },
+        creditsEarned: { $sum: { $cond: [{ $eq: ["$status", "EARNED"] }, "$creditAmount", 0] } },
+        lastReferredAt: { $max: "$earnedAt" },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              referrers: { $sum: 1 },
+              referrals: { $sum: "$referralCount" },
+              reversed: { $sum: "$reversedCount" },
+              revenue: { $sum: "$totalRevenue" },
+              discountGiven: { $sum: "$discountGiven" },
+              creditsEarned: { $sum: "$creditsEarned" },
+            },
+          },
+        ],
+        report: [
+          { $sort: { referralCount: -1, totalRevenue: -1 } },
+          { $limit: limit },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+          { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              referrerId: "$_id",
+              name: "$user.name",
+              phone: "$user.phone",
+              email: "$user.email",
+              referralCode: "$user.referralCode",
+              creditBalance: "$user.referralCredits",
+              referralCount: 1,
+              reversedCount: 1,
+              totalRevenue: 1,
+              discountGiven: 1,
+              creditsEarned: 1,
+              lastReferredAt: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result?.totals[0] || {};
+
+  return {
+    report: result?.report || [],
+    totals: {
+      referrers: totals.referrers || 0,
+      referrals: totals.referrals || 0,
+      reversed: totals.reversed || 0,
+      revenue: totals.revenue || 0,
+      discountGiven: totals.discountGiven || 0,
+      creditsEarned: totals.creditsEarned || 0,
+    },
+  };
+};
+
+export default {
+  getReferralTerms,
+  maskName,
+  ensureReferralCode,
+  validateUserReferral,
+  creditReferrer,
+  reverseReferralCredit,
+  getReferralSummary,
+  getLeaderboard,
+  getReferrerReport,
+};
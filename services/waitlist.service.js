@@ -0,0 +1,582 @@
+/**
+ * @fileoverview Event waitlist promotion — turns freed capacity into
+ * time-limited offers for the people waiting on a sold-out event.
+ *
+ * How a hold works depends on how the event tracks capacity:
+ * - Seat arrangement: concrete seats are RESERVED under the offer's orderId
+ *   with the hold expiry, exactly like a checkout reservation.
+ * - availableSeats counter: Event.waitlistHeldSeats is incremented, and every
+ *   public booking path checks Event.getBookableSeats(), which subtracts it.
+ * Events that track neither have no "sold out" and no waitlist.
+ *
+ * Promotion is triggered when capacity frees up (ticket cancellation, a
+ * released seat reservation, a refund, an expired offer) and by a one-minute
+ * sweep ("waitlist-sweep" job) that expires unpaid holds and catches anything
+ * the triggers missed.
+ * Both holds and the WAITING -> OFFERED claim are atomic, so overlapping
+ * promotion passes cannot offer the same seat or the same entry twice.
+ */
+
+import EventWaitlist from "../schema/EventWaitlist.schema.js";
+import Event from "../schema/Event.schema.js";
+import Payment from "../schema/Payment.schema.js";
+import SeatArrangement from "../schema/SeatArrangement.schema.js";
+import User from "../schema/User.schema.js";
+import { razorpayInstance } from "../utils/razorpay.util.js";
+import { sendWaitlistOfferWhatsApp } from "../utils/whatsapp.util.js";
+import { sendToMultipleDevices } from "../utils/fcm.util.js";
+import {
+  reserveSeats,
+  releaseSeatReservation,
+} from "../src/SeatArrangement/seatArrangement.controller.js";
+import { getTierPrice } from "./ticketTier.service.js";
+
+/**
+ * Razorpay rejects a payment link whose expire_by is less than 15 minutes
+ * away, and the link must not outlive the hold. So the hold is never shorter
+ * than 16 minutes.
+ */
+const MIN_HOLD_MINUTES = 16;
+const DEFAULT_HOLD_MINUTES = 30;
+
+export const HOLD_MINUTES = Math.max(
+  Number(process.env.WAITLIST_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES,
+  MIN_HOLD_MINUTES
+);
+
+/**
+ * Normalize a phone number to its last 10 digits (same rule as ticket keys)
+ */
+export const normalizePhone = (phone) => {
+  if (!phone) return phone;
+  const phoneStr = String(phone);
+  return phoneStr.length > 10 ? phoneStr.slice(-10) : phoneStr;
+};
+
+/**
+ * Price of an offer. Mirrors createOrder: the tier (or default) price is the
+ * total for the order, not per ticket, and a tier charges its current
+ * (early-bird or regular) price.
+ * @returns {{ amount: number|null, tierName: string|null }}
+ */
+export const getOfferPrice = (event, priceTierId) => {
+  if (priceTierId) {
+    const tier = event.pricingTiers?.find(
+      (t) => t._id.toString() === priceTierId.toString()
+    );
+    return tier
+      ? { amount: getTierPrice(tier).price, tierName: tier.name }
+      : { amount: null, tierName: null };
+  }
+
+  return { amount: event.price ?? null, tierName: null };
+};
+
+/**
+ * Whether the event tracks capacity at all (and so can sell out)
+ */
+export const tracksCapacity = (event) =>
+  Boolean(event.hasSeatArrangement) || event.availableSeats != null;
+
+/**
+ * Labels of seats that can be reserved right now, in arrangement order.
+ * Reservations past their expiry count as free; reserveSeats cleans them up.
+ */
+const getFreeSeatLabels = async (eventId) => {
+  const arrangement = await SeatArrangement.findOne({ eventId }).select("seats").lean();
+  if (!arrangement) {
+    return [];
+  }
+
+  const now = new Date();
+  return arrangement.seats
+    .filter(
+      (s) =>
+        s.status === "AVAILABLE" ||
+        (s.status === "RESERVED" && s.reservationExpiry && s.reservationExpiry <= now)
+    )
+    .map((s) => s.label);
+};
+
+/**
+ * Seats free for sale (or for a waitlist offer) right now.
+ * @returns {Promise<number|null>} null when the event does not track capacity
+ */
+export const getFreeCapacity = async (event) => {
+  if (event.hasSeatArrangement) {
+    const labels = await getFreeSeatLabels(event._id);
+    return labels.length;
+  }
+
+  return event.getBookableSeats();
+};
+
+/**
+ * Atomically hold `count` counter seats for a waitlist offer.
+ * @returns {Promise<boolean>} false when there is not enough bookable capacity
+ */
+const holdCounterSeats = async (eventId, count) => {
+  const held = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      availableSeats: { $ne: null },
+      $expr: {
+        $gte: [
+          { $subtract: ["$availableSeats", { $ifNull: ["$waitlistHeldSeats", 0] }] },
+          count,
+        ],
+      },
+    },
+    { $inc: { waitlistHeldSeats: count } },
+    { new: true }
+  );
+
+  return Boolean(held);
+};
+
+/**
+ * Give back counter seats held for an offer
+ */
+const releaseCounterSeats = (eventId, count) =>
+  Event.updateOne(
+    { _id: eventId, waitlistHeldSeats: { $gte: count } },
+    { $inc: { waitlistHeldSeats: -count } }
+  );
+
+/**
+ * Put a claimed entry back in the queue after a failed offer attempt
+ */
+const revertClaim = (entryId) =>
+  EventWaitlist.updateOne(
+    { _id: entryId, status: "OFFERED" },
+    { $set: { status: "WAITING", offer: {} }, $inc: { offerCount: -1 } }
+  );
+
+/**
+ * Send the offer over WhatsApp and, when the entry belongs to an app user,
+ * as a push notification. Failures are logged; the offer stands either way and
+ * is visible in the app and to admins.
+ * @returns {Promise<string[]>} channels the offer was delivered on
+ */
+const notifyOffer = async (entry, event) => {
+  const notifiedVia = [];
+  const { paymentUrl, amount, expiresAt, orderId } = entry.offer;
+
+  try {
+    await sendWaitlistOfferWhatsApp({
+      phone: entry.buyer.phone,
+      name: entry.buyer.name,
+      eventName: event.name,
+      amount,
+      paymentLink: paymentUrl,
+      expiresAt,
+      eventId: event._id,
+      orderId,
+    });
+    notifiedVia.push("WHATSAPP");
+  } catch (error) {
+    console.error("[WAITLIST] WhatsApp offer failed:", error.message);
+  }
+
+  try {
+    const user = entry.userId
+      ? await User.findById(entry.userId).select("fcmTokens").lean()
+      : await User.findOne({ phone: entry.phone }).select("fcmTokens").lean();
+    const tokens = (user?.fcmTokens || []).map((t) => t.token).filter(Boolean);
+
+    if (tokens.length > 0) {
+      const result = await sendToMultipleDevices({
+        tokens,
+        title: "A spot opened up!",
+        body: `Seats are free for ${event.name}. Pay within ${HOLD_MINUTES} minutes to confirm your booking.`,
+        data: {
+          type: "WAITLIST_OFFER",
+          screen: "EventDetail",
+          eventId: String(event._id),
+          waitlistEntryId: String(entry._id),
+          paymentUrl,
+        },
+        eventId: event._id,
+      });
+      if (result.successCount > 0) {
+        notifiedVia.push("PUSH");
+      }
+    }
+  } catch (error) {
+    console.error("[WAITLIST] Push offer failed:", error.message);
+  }
+
+  return notifiedVia;
+};
+
+/**
+ * Hold capacity for a claimed entry, create its payment link and notify it.
+ * Throws when capacity could not be held or the gateway failed; the caller
+ * puts the entry back in the queue.
+ */
+const makeOffer = async (event, entry) => {
+  const { amount, tierName } = getOfferPrice(event, entry.priceTierId);
+  if (!amount || amount <= 0) {
+    throw new Error("Event has no valid price for the requested tier");
+  }
+
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+  const holders = [entry.buyer, ...entry.others];
+  const totalTickets = entry.ticketCount;
+
+  const orderNotes = {
+    type: "EVENT",
+    eventId: String(event._id),
+    eventName: event.name,
+    totalTickets,
+    waitlistEntryId: String(entry._id),
+    ...(tierName && { tierName }),
+    buyer_name: entry.buyer.name || "",
+    buyer_email: entry.buyer.email || "",
+    buyer_phone: entry.buyer.phone || "",
+  };
+
+  const order = await razorpayInstance.orders.create({
+    amount: Math.round(amount * 100),
+    currency: "INR",
+    receipt: `waitlist_${Date.now()}`,
+    notes: orderNotes,
+  });
+
+  // Record the order before holding anything, so that if the process dies
+  // mid-offer the sweep can find this hold by its orderId and release it
+  entry.offer = {
+    orderId: order.id,
+    amount,
+    offeredAt: entry.offer?.offeredAt || new Date(),
+    expiresAt,
+  };
+  await entry.save();
+
+  // === HOLD ===
+  let selectedSeats = [];
+  if (event.hasSeatArrangement) {
+    const freeLabels = await getFreeSeatLabels(event._id);
+    if (freeLabels.length < totalTickets) {
+      throw new Error("Not enough free seats to hold");
+    }
+
+    selectedSeats = holders.map((holder, i) => ({
+      phone: holder.phone,
+      seatLabel: freeLabels[i],
+    }));
+
+    // Throws if another booking took one of these seats in the meantime
+    await reserveSeats({
+      eventId: event._id,
+      selectedSeats,
+      userId: entry.userId,
+      orderId: order.id,
+      expiresAt,
+    });
+  } else if (!(await holdCounterSeats(event._id, totalTickets))) {
+    throw new Error("Not enough bookable seats to hold");
+  }
+
+  const releaseHold = async () => {
+    if (event.hasSeatArrangement) {
+      await releaseSeatReservation({ orderId: order.id, promoteWaitlist: false });
+    } else {
+      await releaseCounterSeats(event._id, totalTickets);
+    }
+  };
+
+  try {
+    const payment = new Payment({
+      orderId: order.id,
+      userId: entry.userId,
+      type: "EVENT",
+      eventId: event._id,
+      amount,
+      discountAmount: 0,
+      finalAmount: amount,
+      status: "PENDING",
+      metadata: {
+        buyer: entry.buyer,
+        others: entry.others,
+        totalTickets,
+        perTicketPrice: amount / totalTickets,
+        razorpayOrderStatus: order.status,
+        ...(entry.priceTierId && { priceTierId: String(entry.priceTierId), tierName }),
+        ...(selectedSeats.length > 0 && { selectedSeats }),
+        waitlistEntryId: String(entry._id),
+      },
+    });
+    await payment.save();
+
+    const paymentLink = await razorpayInstance.paymentLink.create({
+      amount: Math.round(amount * 100),
+      currency: "INR",
+      description: `Waitlist offer for ${event.name}${tierName ? ` - ${tierName}` : ""} (${totalTickets} ticket${totalTickets > 1 ? "s" : ""})`,
+      reference_id: order.id,
+      expire_by: Math.floor(expiresAt.getTime() / 1000),
+      callback_url: `${process.env.WORDPRESS_FRONTEND_URL}/payment-success`,
+      callback_method: "get",
+      customer: {
+        name: entry.buyer.name || "",
+        email: entry.buyer.email || "",
+        contact: entry.buyer.phone || "",
+      },
+      notify: {
+        sms: false,
+        email: false,
+      },
+      reminder_enable: false,
+      notes: orderNotes,
+    });
+
+    payment.metadata = { ...payment.metadata, paymentLinkId: paymentLink.id };
+    await payment.save();
+
+    entry.offer.paymentLinkId = paymentLink.id;
+    entry.offer.paymentUrl = paymentLink.short_url;
+    entry.offer.seatLabels = selectedSeats.map((s) => s.seatLabel);
+    if (tierName) {
+      entry.tierName = tierName;
+    }
+    await entry.save();
+  } catch (error) {
+    await releaseHold();
+    await Payment.deleteOne({ orderId: order.id });
+    throw error;
+  }
+
+  entry.offer.notifiedVia = await notifyOffer(entry, event);
+  await EventWaitlist.updateOne(
+    { _id: entry._id },
+    { $set: { "offer.notifiedVia": entry.offer.notifiedVia } }
+  );
+
+  console.log("[WAITLIST] Offer made:", {
+    eventId: event._id,
+    entryId: entry._id,
+    orderId: order.id,
+    tickets: totalTickets,
+    expiresAt: expiresAt.toISOString(),
+    notifiedVia: entry.offer.notifiedVia,
+  });
+
+  return entry;
+};
+
+/**
+ * Offer freed capacity to the queue, in order.
+ *
+ * Walks WAITING entries by position. An entry asking for more seats than are
+ * free is skipped for this pass (the next, smaller party may fit); it keeps its
+ * place and is offered first once enough seats free up.
+ *
+ * @param {mongoose.Types.ObjectId|string} eventId
+ * @returns {Promise<Array<Object>>} entries that received an offer
+ */
+export const promoteWaitlist = async (eventId) => {
+  const offers = [];
+
+  const event = await Event.findById(eventId);
+  if (!event || !tracksCapacity(event)) {
+    return offers;
+  }
+
+  const now = new Date();
+  if (!event.isLive || event.endDate <= now || (event.bookingEndDate && now > event.bookingEndDate)) {
+    return offers;
+  }
+
+  let free = await getFreeCapacity(event);
+  if (!free || free <= 0) {
+    return offers;
+  }
+
+  const waiting = await EventWaitlist.find({ eventId, status: "WAITING" })
+    .sort({ position: 1, createdAt: 1 })
+    .select("_id ticketCount");
+
+  for (const candidate of waiting) {
+    if (free <= 0) break;
+    if (candidate.ticketCount > free) continue;
+
+    const entry = await EventWaitlist.claimForOffer(candidate._id);
+    if (!entry) continue;
+
+    try {
+      await makeOffer(event, entry);
+      offers.push(entry);
+      free -= entry.ticketCount;
+    } catch (error) {
+      await revertClaim(entry._id);
+      console.error("[WAITLIST] Offer failed, entry returned to queue:", {
+        eventId,
+        entryId: entry._id,
+        error: error.error?.description || error.message,
+      });
+      // Capacity moved under us or the gateway is failing; the sweep retries
+      break;
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Fire-and-forget promotion, for callers that just freed capacity and must not
+ * wait on (or fail because of) the waitlist.
+ */
+export const triggerWaitlistPromotion = (eventId) => {
+  if (!eventId) return;
+
+  promoteWaitlist(eventId).catch((error) => {
+    console.error("[WAITLIST] Promotion failed:", { eventId, error: error.message });
+  });
+};
+
+/**
+ * Settle a paid offer. Called by the payment webhook after the enrollment was
+ * created: the sold tickets now count against availableSeats, so the counter
+ * hold is dropped. If the hold already expired, nothing is held any more and
+ * the payment was a normal (late) booking.
+ * @param {Object} payment - Payment document with metadata.waitlistEntryId
+ * @returns {Promise<Object|null>} the converted entry
+ */
+export const convertWaitlistOffer = async (payment) => {
+  const entry = await EventWaitlist.settleOffer(payment.orderId, "CONVERTED", "PAID");
+
+  if (!entry) {
+    console.warn("[WAITLIST] Paid offer was no longer held:", {
+      orderId: payment.orderId,
+      waitlistEntryId: payment.metadata?.waitlistEntryId,
+    });
+    return null;
+  }
+
+  if (entry.offer.seatLabels.length === 0) {
+    await releaseCounterSeats(entry.eventId, entry.ticketCount);
+  }
+
+  console.log("[WAITLIST] Offer converted:", {
+    entryId: entry._id,
+    orderId: payment.orderId,
+  });
+
+  return entry;
+};
+
+/**
+ * End an open offer without payment and pass the capacity down the list.
+ * @param {string} orderId - Razorpay order ID of the offer
+ * @param {Object} [options]
+ * @param {'EXPIRED'|'CANCELLED'|'REMOVED'} [options.status='EXPIRED']
+ * @param {string} [options.reason]
+ * @param {boolean} [options.cancelLink=false] - Cancel the Razorpay link so a late payment is impossible
+ * @returns {Promise<Object|null>} the settled entry, or null if the offer was already settled
+ */
+export const releaseWaitlistOffer = async (
+  orderId,
+  { status = "EXPIRED", reason = null, cancelLink = false } = {}
+) => {
+  const entry = await EventWaitlist.settleOffer(orderId, status, reason);
+  if (!entry) {
+    return null;
+  }
+
+  if (cancelLink && entry.offer.paymentLinkId) {
+    try {
+      await razorpayInstance.paymentLink.cancel(entry.offer.paymentLinkId);
+    } catch (error) {
+      // Already paid/expired/cancelled links cannot be cancelled; the hold is gone either way
+      console.warn("[WAITLIST] Could not cancel payment link:", {
+        paymentLinkId: entry.offer.paymentLinkId,
+        error: error.error?.description || error.message,
+      });
+    }
+  }
+
+  await Payment.updateOne(
+    { orderId, status: "PENDING" },
+    { $set: { status: "FAILED", failureReason: `Waitlist offer ${status.toLowerCase()}${reason ? `: ${reason}` : ""}` } }
+  );
+
+  if (entry.offer.seatLabels.length > 0) {
+    // Releasing the seats triggers the next promotion itself
+    await releaseSeatReservation({ orderId });
+  } else {
+    await releaseCounterSeats(entry.eventId, entry.ticketCount);
+    triggerWaitlistPromotion(entry.eventId);
+  }
+
+  console.log("[WAITLIST] Offer released:", { entryId: entry._id, orderId, status, reason });
+
+  return entry;
+};
+
+let sweepRunning = false;
+
+/**
+ * One sweep: expire unpaid holds, then promote every event that has people
+ * waiting (catches capacity freed by paths that do not trigger promotion,
+ * such as lazily cleaned-up checkout reservations).
+ * @returns {Promise<Object>} Counts for the job run history
+ * @throws {Error} If the sweep fails, so the scheduler records the failure
+ */
+export const runWaitlistSweep = async () => {
+  if (sweepRunning) return { skipped: true, reason: "Sweep already running" };
+  sweepRunning = true;
+
+  try {
+    const now = new Date();
+    const staleClaimBefore = new Date(now.getTime() - 5 * 60 * 1000);
+
+    const expired = await EventWaitlist.find({
+      status: "OFFERED",
+      $or: [
+        { "offer.expiresAt": { $lte: now } },
+        { "offer.orderId": null, "offer.offeredAt": { $lte: staleClaimBefore } },
+      ],
+    }).select("offer.orderId");
+
+    for (const entry of expired) {
+      if (!entry.offer?.orderId) {
+        // Claimed but the offer never completed (process died mid-offer)
+        await revertClaim(entry._id);
+        continue;
+      }
+      await releaseWaitlistOffer(entry.offer.orderId, {
+        status: "EXPIRED",
+        reason: "HOLD_EXPIRED",
+        cancelLink: true,
+      });
+    }
+
+    const eventIds = await EventWaitlist.distinct("eventId", { status: "WAITING" });
+    for (const eventId of eventIds) {
+      await promoteWaitlist(eventId);
+    }
+
+    if (expired.length > 0) {
+      console.log(`[WAITLIST] Sweep expired ${expired.length} hold(s), checked ${eventIds.length} event(s)`);
+    }
+
+    return { expiredHolds: expired.length, eventsChecked: eventIds.length };
+  } catch (error) {
+    console.error("[WAITLIST] Sweep failed:", error.message);
+    throw error;
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+export default {
+  HOLD_MINUTES,
+  getOfferPrice,
+  getFreeCapacity,
+  tracksCapacity,
+  promoteWaitlist,
+  triggerWaitlistPromotion,
+  convertWaitlistOffer,
+  releaseWaitlistOffer,
+  runWaitlistSweep,
+};
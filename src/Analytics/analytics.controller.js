@@ -14,6 +14,10 @@ import CommunicationLog from "../../schema/CommunicationLog.schema.js";
 import Coupon from "../../schema/Coupon.schema.js";
 import Voucher from "../../schema/Voucher.Schema.js";
 import responseUtil from "../../utils/response.util.js";
+import {
+  retryFailedMessages,
+  getQueueStats,
+} from "../../services/outboundQueue.service.js";
 
 /**
  * Get date ranges for analytics
@@ -663,9 +667,16 @@ export const getCommunicationLogs = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate("eventId", "name startDate endDate bookingStartDate bookingEndDate")
-      .populate("userId", "name email phone");
-
-    const total = await CommunicationLog.countDocuments(filter);
+      .populate("userId", "name email phone")
+      .populate(
+        "outboundMessageId",
+        "status attempts maxAttempts nextAttemptAt lastAttemptAt deadAt deadReason expiresAt"
+      );
+
+    const [total, queue] = await Promise.all([
+      CommunicationLog.countDocuments(filter),
+      getQueueStats(),
+    ]);
 
     return responseUtil.success(res, "Communication logs fetched successfully", {
       logs,
@@ -675,6 +686,7 @@ export const getCommunicationLogs = async (req, res) => {
         limit: parseInt(limit),
         totalPages: Math.ceil(total / parseInt(limit)),
       },
+      queue,
     });
   } catch (error) {
     console.error("[ANALYTICS] Error fetching communication logs:", error);
@@ -686,7 +698,94 @@ export const getCommunicationLogs = async (req, res) => {
   }
 };
 
+/**
+ * Retry one failed message
+ * @route POST /api/web/analytics/communications/:id/retry
+ * @access Admin (communications:retry)
+ */
+export const retryCommunication = async (req, res) => {
+  try {
+    const { queued, skipped } = await retryFailedMessages([req.params.id], req.user.id);
+
+    if (queued.length > 0) {
+      return responseUtil.success(res, "Message queued for retry", { id: req.params.id });
+    }
+
+    switch (skipped[0].reason) {
+      case "NOT_FOUND":
+        return responseUtil.notFound(res, "Communication log not found");
+      case "NOT_FAILED":
+        return responseUtil.badRequest(res, "Only failed messages can be retried", "NOT_FAILED");
+      case "NOT_QUEUED":
+        return responseUtil.badRequest(
+          res,
+          "This message was sent before retries were available and cannot be resent",
+          "NOT_QUEUED"
+        );
+      case "NOT_STORED":
+        return responseUtil.badRequest(
+          res,
+          "The content of this message was not stored (e.g. a one-time code) and cannot be resent",
+          "NOT_STORED"
+        );
+      default:
+        return responseUtil.badRequest(res, "This message has expired and can no longer be sent", "EXPIRED");
+    }
+  } catch (error) {
+    console.error("[ANALYTICS] Error retrying communication:", error);
+    return responseUtil.internalError(res, "Failed to retry message", error.message);
+  }
+};
+
+/**
+ * Retry failed messages: the listed ones, or the newest `limit` failed ones
+ * matching the communication log filters
+ * @route POST /api/web/analytics/communications/retry
+ * @access Admin (communications:retry)
+ */
+export const bulkRetryCommunications = async (req, res) => {
+  try {
+    const { ids, type, category, startDate, endDate, limit = 100 } = req.body;
+
+    let logIds = ids;
+    if (!logIds) {
+      const filter = {
+        isDeleted: false,
+        status: "FAILED",
+        outboundMessageId: { $ne: null },
+      };
+      if (type) filter.type = type;
+      if (category) filter.category = category;
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const logs = await CommunicationLog.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select("_id")
+        .lean();
+      logIds = logs.map((log) => log._id.toString());
+    }
+
+    const { queued, skipped } = await retryFailedMessages(logIds, req.user.id);
+
+    return responseUtil.success(
+      res,
+      `${queued.length} message(s) queued for retry, ${skipped.length} skipped`,
+      { queued, skipped }
+    );
+  } catch (error) {
+    console.error("[ANALYTICS] Error bulk retrying communications:", error);
+    return responseUtil.internalError(res, "Failed to retry messages", error.message);
+  }
+};
+
 export default {
   getDashboardStats,
   getCommunicationLogs,
+  retryCommunication,
+  bulkRetryCommunications,
 };
@@ -7,8 +7,16 @@ import express from "express";
 import {
   getDashboardStats,
   getCommunicationLogs,
+  retryCommunication,
+  bulkRetryCommunications,
 } from "./analytics.controller.js";
 import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import { requirePermission } from "../../middleware/permission.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  communicationLogSchemas,
+} from "../../middleware/validation.middleware.js";
 
 const router = express.Router();
 
@@ -51,7 +59,7 @@ router.get("/dashboard", getDashboardStats);
  *
  * @query {string} [type] - Communication type (EMAIL, WHATSAPP, SMS)
  * @query {string} [category] - Category (TICKET, VOUCHER, etc.)
- * @query {string} [status] - Status (SUCCESS, FAILED, PENDING)
+ * @query {string} [status] - Status (SUCCESS, FAILED, PENDING = queued or awaiting a retry)
  * @query {string} [startDate] - Start date filter (ISO format)
  * @query {string} [endDate] - End date filter (ISO format)
  * @query {number} [page=1] - Page number
@@ -61,4 +69,31 @@ router.get("/dashboard", getDashboardStats);
  */
 router.get("/communications", getCommunicationLogs);
 
+/**
+ * @route POST /api/web/analytics/communications/retry
+ * @desc Queue failed messages for another round of attempts: `ids`, or the
+ * newest `limit` failed entries matching type/category/date filters
+ * @access Admin (communications:retry)
+ *
+ * @returns {Object} IDs queued and IDs skipped with the reason
+ */
+router.post(
+  "/communications/retry",
+  requirePermission("communications:retry"),
+  validateBody(communicationLogSchemas.bulkRetry),
+  bulkRetryCommunications
+);
+
+/**
+ * @route POST /api/web/analytics/communications/:id/retry
+ * @desc Queue one failed message for another round of attempts
+ * @access Admin (communications:retry)
+ */
+router.post(
+  "/communications/:id/retry",
+  requirePermission("communications:retry"),
+  validateParams(communicationLogSchemas.id),
+  retryCommunication
+);
+
 export default router;
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Admin audit log routes
+ * @module routes/admin/audit
+ */
+
+import express from 'express';
+import { getAuditLogs, getAuditLogById } from './audit.controller.js';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
+import { validateParams, validateQuery, auditLogSchemas } from '../../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * All routes require the audit:read permission
+ */
+router.use(authenticate);
+router.use(requirePermission('audit:read'));
+
+/**
+ * @route   GET /api/web/audit-logs
+ * @desc    Search admin actions by entity, actor, action and date range
+ * @access  Admin (audit:read)
+ */
+router.get(
+  '/',
+  validateQuery(auditLogSchemas.list),
+  getAuditLogs
+);
+
+/**
+ * @route   GET /api/web/audit-logs/:id
+ * @desc    One admin action with its before/after diff
+ * @access  Admin (audit:read)
+ */
+router.get(
+  '/:id',
+  validateParams(auditLogSchemas.id),
+  getAuditLogById
+);
+
+export default router;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Admin audit log — search and detail
+ * @module controllers/audit
+ */
+
+import AuditLog from '../../schema/AuditLog.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import { RETENTION_DAYS } from '../../services/audit.service.js';
+
+/**
+ * Fields returned when listing (the full diff is on the detail endpoint)
+ */
+const LIST_FIELDS = 'actor action method path target statusCode outcome ip createdAt changes.model changes.documentId changes.operation';
+
+/**
+ * Search the audit log by entity, actor, action and date range
+ * @route GET /api/web/audit-logs
+ * @access Admin (audit:read)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, entityType, entityId, actorId, action, method, outcome, from, to } = req.query;
+
+    const query = {};
+
+    if (entityType || entityId) {
+      query.entities = {
+        $elemMatch: {
+          ...(entityType && { type: entityType }),
+          ...(entityId && { id: entityId })
+        }
+      };
+    }
+    if (actorId) query['actor.adminId'] = actorId;
+    if (action) {
+      query.action = new RegExp(action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    if (method) query.method = method;
+    if (outcome) query.outcome = outcome;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [logs, totalCount] = await Promise.all([
+      AuditLog.find(query)
+        .select(LIST_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return responseUtil.success(res, 'Audit logs retrieved successfully', {
+      logs,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit: Number(limit)
+      },
+      retentionDays: RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('[AUDIT] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve audit logs', error.message);
+  }
+};
+
+/**
+ * One audit entry with its full before/after diff
+ * @route GET /api/web/audit-logs/:id
+ * @access Admin (audit:read)
+ */
+export const getAuditLogById = async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id).lean();
+
+    if (!log) {
+      return responseUtil.notFound(res, 'Audit log not found');
+    }
+
+    return responseUtil.success(res, 'Audit log retrieved successfully', { log });
+  } catch (error) {
+    console.error('[AUDIT] Detail error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve audit log', error.message);
+  }
+};
+
+export default {
+  getAuditLogs,
+  getAuditLogById
+};
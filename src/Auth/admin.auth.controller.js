@@ -7,6 +7,46 @@ import bcrypt from 'bcryptjs';
 import Admin from '../../schema/Admin.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import { generateTokens, refreshAccessToken } from '../../utils/jwt.util.js';
+import { getEffectivePermissions, resolvePermissions } from '../../services/permission.service.js';
+import { loadPermissions } from '../../middleware/permission.middleware.js';
+
+/**
+ * Refuse changes that would hand out more than the requester holds.
+ * Only a Super Admin can create, promote to, edit or delete a Super Admin,
+ * and anyone else can only grant permissions they have themselves.
+ * @param {Object} req - Express request object (authenticated admin)
+ * @param {Object|null} target - Admin being changed, null when creating
+ * @param {Object} changes - New role, access and/or status
+ * @returns {Promise<string|null>} Reason to refuse, or null
+ */
+const checkAssignable = async (req, target, { role, access, status }) => {
+  const requester = await loadPermissions(req);
+
+  if (requester?.role === 'SUPER_ADMIN') {
+    return null;
+  }
+
+  if (target?.role === 'SUPER_ADMIN' || role === 'SUPER_ADMIN') {
+    return 'Only a Super Admin can manage Super Admin accounts';
+  }
+
+  if (target && role === undefined && access === undefined && status === undefined) {
+    return null;
+  }
+
+  const before = target ? await resolvePermissions(target) : { permissions: [] };
+  const after = await resolvePermissions({
+    role: role ?? target?.role ?? 'MANAGEMENT_STAFF',
+    access: access ?? target?.access ?? [],
+    status: status ?? target?.status ?? 'ACTIVATED'
+  });
+
+  const ungranted = after.permissions.filter(
+    (permission) => !before.permissions.includes(permission) && !requester.permissions.includes(permission)
+  );
+
+  return ungranted.length > 0 ? `You cannot grant permissions you do not hold: ${ungranted.join(', ')}` : null;
+};
 
 /**
  * Register a new admin
@@ -25,7 +65,22 @@ import { generateTokens, refreshAccessToken } from '../../utils/jwt.util.js';
  */
 export const register = async (req, res) => {
   try {
-    const { name, username, email, phone, password, role, access, allowedEvents } = req.body;
+    const { name, username, email, phone, password, access, allowedEvents } = req.body;
+    let { role } = req.body;
+
+    if (req.user) {
+      // Created from the panel (POST /create)
+      const refusal = await checkAssignable(req, null, { role, access });
+      if (refusal) {
+        return responseUtil.forbidden(res, refusal);
+      }
+    } else {
+      // Public bootstrap (POST /register): only the very first admin, as Super Admin
+      if (await Admin.exists({})) {
+        return responseUtil.forbidden(res, 'Registration is closed. Ask a Super Admin to create your account.');
+      }
+      role = 'SUPER_ADMIN';
+    }
 
     // Check if username already exists
     const existingByUsername = await Admin.findOne({ username });
@@ -150,8 +205,11 @@ export const login = async (req, res) => {
     delete adminData.password;
     delete adminData.refreshToken;
 
+    const { permissions } = await resolvePermissions(admin);
+
     return responseUtil.success(res, 'Login successful', {
       admin: adminData,
+      permissions,
       tokens
     });
   } catch (error) {
@@ -348,7 +406,7 @@ export const changePassword = async (req, res) => {
 };
 
 /**
- * Get all admins (Super Admin only)
+ * Get all admins (admins:read)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
@@ -409,7 +467,7 @@ export const getAllAdmins = async (req, res) => {
 };
 
 /**
- * Get admin by ID (Super Admin only)
+ * Get admin by ID (admins:read)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -433,7 +491,7 @@ export const getAdminById = async (req, res) => {
 };
 
 /**
- * Update admin by ID (Super Admin only)
+ * Update admin by ID (admins:write)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -446,6 +504,17 @@ export const updateAdminById = async (req, res) => {
   try {
     const { name, username, email, phone, role, access, allowedEvents, status } = req.body;
 
+    const target = await Admin.findById(req.params.id).select('role access status');
+
+    if (!target) {
+      return responseUtil.notFound(res, 'Admin not found');
+    }
+
+    const refusal = await checkAssignable(req, target, { role, access, status });
+    if (refusal) {
+      return responseUtil.forbidden(res, refusal);
+    }
+
     // Check if username already exists
     if (username) {
       const existingByUsername = await Admin.findOne({
@@ -495,7 +564,7 @@ export const updateAdminById = async (req, res) => {
 };
 
 /**
- * Delete admin by ID (Super Admin only)
+ * Delete admin by ID (admins:delete)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -510,12 +579,19 @@ export const deleteAdminById = async (req, res) => {
       return responseUtil.badRequest(res, 'Cannot delete your own account');
     }
 
-    const admin = await Admin.findByIdAndDelete(req.params.id);
+    const target = await Admin.findById(req.params.id).select('role access status');
 
-    if (!admin) {
+    if (!target) {
       return responseUtil.notFound(res, 'Admin not found');
     }
 
+    const refusal = await checkAssignable(req, target, {});
+    if (refusal) {
+      return responseUtil.forbidden(res, refusal);
+    }
+
+    await Admin.deleteOne({ _id: target._id });
+
     return responseUtil.success(res, 'Admin deleted successfully');
   } catch (error) {
     console.error('Delete admin error:', error);
@@ -524,7 +600,55 @@ export const deleteAdminById = async (req, res) => {
 };
 
 /**
- * Get allowed events for an admin (Super Admin only)
+ * Get the effective permissions of the logged-in admin
+ * The admin panel uses this to decide which screens and actions to show.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user from middleware
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response with role, template, grants and effective permissions
+ */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await getEffectivePermissions(req.user.id);
+
+    if (!permissions) {
+      return responseUtil.notFound(res, 'Admin not found');
+    }
+
+    return responseUtil.success(res, 'Permissions retrieved successfully', permissions);
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    return responseUtil.internalError(res, 'Failed to get permissions', error.message);
+  }
+};
+
+/**
+ * Get the effective permissions of any admin
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Admin ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response with role, template, grants and effective permissions
+ */
+export const getAdminPermissions = async (req, res) => {
+  try {
+    const permissions = await getEffectivePermissions(req.params.id);
+
+    if (!permissions) {
+      return responseUtil.notFound(res, 'Admin not found');
+    }
+
+    return responseUtil.success(res, 'Permissions retrieved successfully', permissions);
+  } catch (error) {
+    console.error('Get admin permissions error:', error);
+    return responseUtil.internalError(res, 'Failed to get permissions', error.message);
+  }
+};
+
+/**
+ * Get allowed events for an admin (admins:read)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -552,7 +676,7 @@ export const getAllowedEvents = async (req, res) => {
 };
 
 /**
- * Update allowed events for an admin (Super Admin only)
+ * Update allowed events for an admin (admins:write)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -586,7 +710,7 @@ export const updateAllowedEvents = async (req, res) => {
 };
 
 /**
- * Add event to admin's allowed events (Super Admin only)
+ * Add event to admin's allowed events (admins:write)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -617,7 +741,7 @@ export const addAllowedEvent = async (req, res) => {
 };
 
 /**
- * Remove event from admin's allowed events (Super Admin only)
+ * Remove event from admin's allowed events (admins:write)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
@@ -659,6 +783,8 @@ export default {
   getAdminById,
   updateAdminById,
   deleteAdminById,
+  getMyPermissions,
+  getAdminPermissions,
   getAllowedEvents,
   updateAllowedEvents,
   addAllowedEvent,
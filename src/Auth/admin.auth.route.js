@@ -6,7 +6,8 @@
 import express from 'express';
 import Joi from 'joi';
 import * as adminAuthController from './admin.auth.controller.js';
-import { authenticate, isAdmin, isSuperAdmin } from '../../middleware/auth.middleware.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 import { validateBody, validateParams, adminSchemas, schemas } from '../../middleware/validation.middleware.js';
 import { loginLimiter } from '../../middleware/rateLimit.middleware.js';
 
@@ -83,6 +84,18 @@ router.get('/profile',
   adminAuthController.getProfile
 );
 
+/**
+ * @route GET /api/web/auth/permissions
+ * @description Get the logged-in admin's effective permissions (drives the admin panel UI)
+ * @header {string} Authorization - Bearer token
+ * @returns {Object} Role, template, grants and effective permissions
+ */
+router.get('/permissions',
+  authenticate,
+  isAdmin,
+  adminAuthController.getMyPermissions
+);
+
 /**
  * @route PUT /api/web/auth/profile
  * @description Update admin profile
@@ -116,12 +129,12 @@ router.put('/change-password',
 );
 
 /**
- * Super Admin only routes
+ * Admin account management (admins:* permissions)
  */
 
 /**
  * @route POST /api/web/auth/create
- * @description Create new admin (Super Admin only)
+ * @description Create new admin (admins:write)
  * @header {string} Authorization - Bearer token
  * @body {string} name - Admin name
  * @body {string} username - Admin username
@@ -134,14 +147,14 @@ router.put('/change-password',
  */
 router.post('/create',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:write'),
   validateBody(adminSchemas.register),
   adminAuthController.register
 );
 
 /**
  * @route GET /api/web/auth/admins
- * @description Get all admins (Super Admin only)
+ * @description Get all admins (admins:read)
  * @header {string} Authorization - Bearer token
  * @query {number} [page=1] - Page number
  * @query {number} [limit=10] - Items per page
@@ -152,27 +165,27 @@ router.post('/create',
  */
 router.get('/admins',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:read'),
   adminAuthController.getAllAdmins
 );
 
 /**
  * @route GET /api/web/auth/admins/:id
- * @description Get admin by ID (Super Admin only)
+ * @description Get admin by ID (admins:read)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @returns {Object} Admin data
  */
 router.get('/admins/:id',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:read'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   adminAuthController.getAdminById
 );
 
 /**
  * @route PUT /api/web/auth/admins/:id
- * @description Update admin by ID (Super Admin only)
+ * @description Update admin by ID (admins:write)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @body {string} [name] - Admin name
@@ -186,7 +199,7 @@ router.get('/admins/:id',
  */
 router.put('/admins/:id',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   validateBody(adminSchemas.update),
   adminAuthController.updateAdminById
@@ -194,39 +207,53 @@ router.put('/admins/:id',
 
 /**
  * @route DELETE /api/web/auth/admins/:id
- * @description Delete admin by ID (Super Admin only)
+ * @description Delete admin by ID (admins:delete)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @returns {Object} Success message
  */
 router.delete('/admins/:id',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:delete'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   adminAuthController.deleteAdminById
 );
 
 /**
- * Allowed Events Management Routes (Super Admin only)
+ * @route GET /api/web/auth/admins/:id/permissions
+ * @description Get an admin's role template, grants and effective permissions (admins:read)
+ * @header {string} Authorization - Bearer token
+ * @param {string} id - Admin ID
+ * @returns {Object} Effective permissions
+ */
+router.get('/admins/:id/permissions',
+  authenticate,
+  requirePermission('admins:read'),
+  validateParams(Joi.object({ id: schemas.mongoId.required() })),
+  adminAuthController.getAdminPermissions
+);
+
+/**
+ * Allowed Events Management Routes
  */
 
 /**
  * @route GET /api/web/auth/admins/:id/allowed-events
- * @description Get allowed events for an admin (Super Admin only)
+ * @description Get allowed events for an admin (admins:read)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @returns {Object} List of allowed events
  */
 router.get('/admins/:id/allowed-events',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:read'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   adminAuthController.getAllowedEvents
 );
 
 /**
  * @route PUT /api/web/auth/admins/:id/allowed-events
- * @description Update allowed events for an admin (Super Admin only)
+ * @description Update allowed events for an admin (admins:write)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @body {string[]} allowedEvents - Array of event IDs
@@ -234,7 +261,7 @@ router.get('/admins/:id/allowed-events',
  */
 router.put('/admins/:id/allowed-events',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   validateBody(adminSchemas.updateAllowedEvents),
   adminAuthController.updateAllowedEvents
@@ -242,7 +269,7 @@ router.put('/admins/:id/allowed-events',
 
 /**
  * @route POST /api/web/auth/admins/:id/allowed-events/:eventId
- * @description Add event to admin's allowed events (Super Admin only)
+ * @description Add event to admin's allowed events (admins:write)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @param {string} eventId - Event ID to add
@@ -250,14 +277,14 @@ router.put('/admins/:id/allowed-events',
  */
 router.post('/admins/:id/allowed-events/:eventId',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required(), eventId: schemas.mongoId.required() })),
   adminAuthController.addAllowedEvent
 );
 
 /**
  * @route DELETE /api/web/auth/admins/:id/allowed-events/:eventId
- * @description Remove event from admin's allowed events (Super Admin only)
+ * @description Remove event from admin's allowed events (admins:write)
  * @header {string} Authorization - Bearer token
  * @param {string} id - Admin ID
  * @param {string} eventId - Event ID to remove
@@ -265,7 +292,7 @@ router.post('/admins/:id/allowed-events/:eventId',
  */
 router.delete('/admins/:id/allowed-events/:eventId',
   authenticate,
-  isSuperAdmin,
+  requirePermission('admins:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required(), eventId: schemas.mongoId.required() })),
   adminAuthController.removeAllowedEvent
 );
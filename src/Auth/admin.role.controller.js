@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Role templates — the permission sets behind admin roles
+ * @module controllers/admin-role
+ */
+
+import responseUtil from '../../utils/response.util.js';
+import {
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  TEMPLATE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} from '../../config/permissions.config.js';
+import {
+  getRoleTemplates,
+  updateRoleTemplate,
+  resetRoleTemplate
+} from '../../services/permission.service.js';
+import { loadPermissions } from '../../middleware/permission.middleware.js';
+
+/**
+ * Permissions a template change would add that the editor does not hold.
+ * Without this, anyone with roles:write could widen their own role.
+ * @param {Object} req - Express request object
+ * @param {string[]} current - Template permissions now
+ * @param {string[]} next - Template permissions after the change
+ * @returns {Promise<string[]>}
+ */
+const findUngranted = async (req, current, next) => {
+  const editor = await loadPermissions(req);
+
+  if (editor.role === 'SUPER_ADMIN') {
+    return [];
+  }
+
+  return next.filter((permission) => !current.includes(permission) && !editor.permissions.includes(permission));
+};
+
+/**
+ * Get the permission catalogue and every role's template
+ * @route GET /api/web/roles
+ * @access Admin (admins:read)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const templates = await getRoleTemplates();
+
+    const catalogue = PERMISSION_GROUPS.map(({ group, permissions }) => ({
+      group,
+      permissions: Object.entries(permissions).map(([key, description]) => ({ key, description }))
+    }));
+
+    const roles = [
+      { role: 'SUPER_ADMIN', permissions: PERMISSIONS, editable: false, isDefault: true },
+      ...TEMPLATE_ROLES.map((role) => ({ role, editable: true, ...templates[role] }))
+    ];
+
+    return responseUtil.success(res, 'Roles retrieved successfully', { catalogue, roles });
+  } catch (error) {
+    console.error('[ROLES] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve roles', error.message);
+  }
+};
+
+/**
+ * Replace a role's template
+ * @route PUT /api/web/roles/:role
+ * @access Admin (roles:write)
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const templates = await getRoleTemplates();
+    const ungranted = await findUngranted(req, templates[role].permissions, permissions);
+
+    if (ungranted.length > 0) {
+      return responseUtil.forbidden(res, `You cannot grant permissions you do not hold: ${ungranted.join(', ')}`);
+    }
+
+    const saved = await updateRoleTemplate(role, permissions, req.user.id);
+
+    console.log('[ROLES] Template updated:', { role, adminId: req.user.id, permissions: saved });
+
+    return responseUtil.success(res, 'Role updated successfully', { role, permissions: saved, isDefault: false });
+  } catch (error) {
+    console.error('[ROLES] Update error:', error.message);
+    return responseUtil.internalError(res, 'Failed to update role', error.message);
+  }
+};
+
+/**
+ * Put a role back on the built-in template
+ * @route POST /api/web/roles/:role/reset
+ * @access Admin (roles:write)
+ */
+export const resetRole = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    const templates = await getRoleTemplates();
+
+    if (templates[role].isDefault) {
+      return responseUtil.success(res, 'Role already uses the default permissions', {
+        role,
+        permissions: templates[role].permissions,
+        isDefault: true
+      });
+    }
+
+    const ungranted = await findUngranted(req, templates[role].permissions, DEFAULT_ROLE_PERMISSIONS[role]);
+
+    if (ungranted.length > 0) {
+      return responseUtil.forbidden(res, `You cannot grant permissions you do not hold: ${ungranted.join(', ')}`);
+    }
+
+    const permissions = await resetRoleTemplate(role);
+
+    console.log('[ROLES] Template reset to defaults:', { role, adminId: req.user.id });
+
+    return responseUtil.success(res, 'Role reset to default permissions', { role, permissions, isDefault: true });
+  } catch (error) {
+    console.error('[ROLES] Reset error:', error.message);
+    return responseUtil.internalError(res, 'Failed to reset role', error.message);
+  }
+};
+
+export default {
+  getRoles,
+  updateRole,
+  resetRole
+};
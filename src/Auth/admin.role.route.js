@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Role template routes
+ * @module routes/admin-role
+ */
+
+import express from 'express';
+import { getRoles, updateRole, resetRole } from './admin.role.controller.js';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
+import { validateBody, validateParams, roleSchemas } from '../../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * @route   GET /api/web/roles
+ * @desc    Permission catalogue and the current template of every role
+ * @access  Admin (admins:read)
+ */
+router.get(
+  '/',
+  requirePermission('admins:read'),
+  getRoles
+);
+
+/**
+ * @route   PUT /api/web/roles/:role
+ * @desc    Replace the permissions of a role template
+ * @access  Admin (roles:write)
+ */
+router.put(
+  '/:role',
+  requirePermission('roles:write'),
+  validateParams(roleSchemas.role),
+  validateBody(roleSchemas.update),
+  updateRole
+);
+
+/**
+ * @route   POST /api/web/roles/:role/reset
+ * @desc    Put a role template back on the built-in defaults
+ * @access  Admin (roles:write)
+ */
+router.post(
+  '/:role/reset',
+  requirePermission('roles:write'),
+  validateParams(roleSchemas.role),
+  resetRole
+);
+
+export default router;
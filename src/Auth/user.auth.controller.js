@@ -15,6 +15,30 @@ import ClubMember from '../../schema/ClubMember.schema.js';
 import Club from '../../schema/Club.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import { generateTokens, refreshAccessToken } from '../../utils/jwt.util.js';
+import otpService from '../../services/otp.service.js';
+
+/**
+ * Reply for a failed code check. Every failure is a 401, so the shared login
+ * limiter (which counts failed responses) also caps code guessing per IP.
+ * @param {Object} res - Express response object
+ * @param {Object} result - Failed verifyOtp result
+ * @returns {Object} Response
+ */
+const respondOtpFailure = (res, result) => {
+  if (result.reason === 'INVALID') {
+    return responseUtil.unauthorized(
+      res,
+      `Incorrect code. ${result.attemptsLeft} attempt(s) left.`,
+      'OTP_INVALID'
+    );
+  }
+
+  if (result.reason === 'LOCKED') {
+    return responseUtil.unauthorized(res, 'Too many incorrect attempts. Please request a new code.', 'OTP_LOCKED');
+  }
+
+  return responseUtil.unauthorized(res, 'Code has expired or was already used. Please request a new code.', 'OTP_EXPIRED');
+};
 
 /**
  * Register a new user
@@ -723,7 +747,7 @@ export const getProfile = async (req, res) => {
  */
 export const updateProfile = async (req, res) => {
   try {
-    const { name, email, phone, occupation, age, achievement, bio, lifeExperiences } = req.body;
+    const { name, email, phone, occupation, age, achievement, bio, city, lifeExperiences } = req.body;
 
     // Check if email or phone already exists
     if (email || phone) {
@@ -746,7 +770,7 @@ export const updateProfile = async (req, res) => {
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { name, email, phone, occupation, age, achievement, bio, lifeExperiences },
+      { name, email, phone, occupation, age, achievement, bio, city, lifeExperiences },
       { new: true, runValidators: true }
     ).select('-password -refreshToken -isDeleted -deletedAt');
 
@@ -804,6 +828,148 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Send a one-time code for passwordless login or password reset
+ * The reply is the same whether or not the phone has an account.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.phone - User phone number
+ * @param {string} req.body.purpose - LOGIN or PASSWORD_RESET
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response with code expiry
+ */
+export const requestOtp = async (req, res) => {
+  try {
+    const { phone, purpose } = req.body;
+
+    const result = await otpService.requestOtp({ phone, purpose, ip: req.ip });
+
+    if (result.status === 'COOLDOWN' || result.status === 'LIMITED') {
+      res.setHeader('Retry-After', result.retryAfterSeconds);
+      return responseUtil.custom(
+        res,
+        429,
+        result.status === 'COOLDOWN'
+          ? `Please wait ${result.retryAfterSeconds} seconds before requesting another code`
+          : 'Too many codes requested for this number. Please try again later.',
+        { retryAfterSeconds: result.retryAfterSeconds },
+        'Rate limit exceeded'
+      );
+    }
+
+    // SENT, NO_ACCOUNT and SEND_FAILED get the same reply; an error only for
+    // failed sends would tell which numbers have accounts
+    return responseUtil.success(res, 'If this number has an account, a code has been sent on WhatsApp', {
+      expiresInMinutes: result.expiresInMinutes
+    });
+  } catch (error) {
+    console.error('[OTP] Request error:', error);
+    return responseUtil.internalError(res, 'Failed to send code', error.message);
+  }
+};
+
+/**
+ * Log in with a one-time code instead of a password
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.phone - User phone number
+ * @param {string} req.body.code - Code received on WhatsApp
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response with user data and tokens
+ */
+export const loginWithOtp = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    const result = await otpService.verifyOtp({ phone, purpose: 'LOGIN', code });
+
+    if (!result.ok) {
+      return respondOtpFailure(res, result);
+    }
+
+    const user = await User.findOne({ _id: result.userId, isDeleted: false });
+
+    if (!user) {
+      return responseUtil.unauthorized(res, 'Account not found');
+    }
+
+    // Generate tokens
+    const tokens = generateTokens({
+      id: user._id.toString(),
+      email: user.email,
+      phone: user.phone,
+      userType: 'user'
+    });
+
+    // Update refresh token and last login
+    user.refreshToken = tokens.refreshToken;
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    console.log('[OTP-LOGIN] Login successful', { userId: user._id, phone });
+
+    // Remove sensitive data
+    const userData = user.toObject();
+    delete userData.password;
+    delete userData.refreshToken;
+    delete userData.isDeleted;
+    delete userData.deletedAt;
+
+    return responseUtil.success(res, 'Login successful', {
+      user: userData,
+      tokens
+    });
+  } catch (error) {
+    console.error('[OTP-LOGIN] Login error:', error);
+    return responseUtil.internalError(res, 'Login failed', error.message);
+  }
+};
+
+/**
+ * Set a new password using a one-time code (forgotten password)
+ * Signs the user out of other devices by clearing the refresh token.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.phone - User phone number
+ * @param {string} req.body.code - Code received on WhatsApp
+ * @param {string} req.body.newPassword - New password
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response message
+ */
+export const resetPasswordWithOtp = async (req, res) => {
+  try {
+    const { phone, code, newPassword } = req.body;
+
+    const result = await otpService.verifyOtp({ phone, purpose: 'PASSWORD_RESET', code });
+
+    if (!result.ok) {
+      return respondOtpFailure(res, result);
+    }
+
+    const user = await User.findOne({ _id: result.userId, isDeleted: false });
+
+    if (!user) {
+      return responseUtil.unauthorized(res, 'Account not found');
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    user.refreshToken = null; // Invalidate refresh token
+    await user.save({ validateBeforeSave: false });
+
+    console.log('[OTP-RESET] Password reset', { userId: user._id, phone });
+
+    return responseUtil.success(res, 'Password reset successfully. Please log in with your new password.');
+  } catch (error) {
+    console.error('[OTP-RESET] Reset error:', error);
+    return responseUtil.internalError(res, 'Failed to reset password', error.message);
+  }
+};
+
 /**
  * Delete user account (soft delete)
  * Also soft deletes all Connect-related data (follows, likes, posts)
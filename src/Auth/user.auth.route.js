@@ -6,9 +6,10 @@
 import express from 'express';
 import Joi from 'joi';
 import * as userAuthController from './user.auth.controller.js';
-import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 import { validateBody, validateParams, userSchemas, schemas } from '../../middleware/validation.middleware.js';
-import { loginLimiter } from '../../middleware/rateLimit.middleware.js';
+import { loginLimiter, publicFormLimiter } from '../../middleware/rateLimit.middleware.js';
 
 const router = express.Router();
 
@@ -56,6 +57,46 @@ router.post('/login-phone',
   userAuthController.loginWithPhone
 );
 
+/**
+ * @route POST /api/app/auth/otp/request
+ * @description Send a one-time code on WhatsApp for login or password reset
+ * @body {string} phone - User phone number
+ * @body {string} [purpose=LOGIN] - LOGIN or PASSWORD_RESET
+ * @returns {Object} Code expiry (same reply whether or not the phone has an account)
+ */
+router.post('/otp/request',
+  publicFormLimiter,
+  validateBody(userSchemas.requestOtp),
+  userAuthController.requestOtp
+);
+
+/**
+ * @route POST /api/app/auth/otp/login
+ * @description Passwordless login with a one-time code
+ * @body {string} phone - User phone number
+ * @body {string} code - 6-digit code
+ * @returns {Object} User data and tokens
+ */
+router.post('/otp/login',
+  loginLimiter,
+  validateBody(userSchemas.loginWithOtp),
+  userAuthController.loginWithOtp
+);
+
+/**
+ * @route POST /api/app/auth/password/reset
+ * @description Reset a forgotten password with a one-time code
+ * @body {string} phone - User phone number
+ * @body {string} code - 6-digit code
+ * @body {string} newPassword - New password
+ * @returns {Object} Success message
+ */
+router.post('/password/reset',
+  loginLimiter,
+  validateBody(userSchemas.resetPasswordWithOtp),
+  userAuthController.resetPasswordWithOtp
+);
+
 /**
  * @route POST /api/app/auth/check-phone
  * @description Check if phone number exists
@@ -111,6 +152,7 @@ router.get('/profile',
  * @body {string} [name] - User name
  * @body {string} [email] - User email
  * @body {string} [phone] - User phone
+ * @body {string} [city] - City, used as a people-search filter
  * @returns {Object} Updated user profile
  */
 router.put('/profile',
@@ -145,12 +187,12 @@ router.delete('/account',
 );
 
 /**
- * Admin-only routes for user management
+ * Admin-only routes for user management (users:* permissions)
  */
 
 /**
  * @route GET /api/app/auth/users
- * @description Get all users (Admin only)
+ * @description Get all users (Admin, users:read)
  * @header {string} Authorization - Bearer token (Admin)
  * @query {number} [page=1] - Page number
  * @query {number} [limit=10] - Items per page
@@ -160,27 +202,27 @@ router.delete('/account',
  */
 router.get('/users',
   authenticate,
-  isAdmin,
+  requirePermission('users:read'),
   userAuthController.getAllUsers
 );
 
 /**
  * @route GET /api/app/auth/users/:id
- * @description Get user by ID (Admin only)
+ * @description Get user by ID (Admin, users:read)
  * @header {string} Authorization - Bearer token (Admin)
  * @param {string} id - User ID
  * @returns {Object} User data
  */
 router.get('/users/:id',
   authenticate,
-  isAdmin,
+  requirePermission('users:read'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   userAuthController.getUserById
 );
 
 /**
  * @route PUT /api/app/auth/users/:id
- * @description Update user by ID (Admin only)
+ * @description Update user by ID (Admin, users:write)
  * @header {string} Authorization - Bearer token (Admin)
  * @param {string} id - User ID
  * @body {string} [name] - User name
@@ -190,7 +232,7 @@ router.get('/users/:id',
  */
 router.put('/users/:id',
   authenticate,
-  isAdmin,
+  requirePermission('users:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   validateBody(userSchemas.update),
   userAuthController.updateUserById
@@ -198,42 +240,42 @@ router.put('/users/:id',
 
 /**
  * @route DELETE /api/app/auth/users/:id
- * @description Soft delete user by ID (Admin only)
+ * @description Soft delete user by ID (Admin, users:write)
  * @header {string} Authorization - Bearer token (Admin)
  * @param {string} id - User ID
  * @returns {Object} Success message
  */
 router.delete('/users/:id',
   authenticate,
-  isAdmin,
+  requirePermission('users:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   userAuthController.deleteUserById
 );
 
 /**
  * @route POST /api/app/auth/users/:id/restore
- * @description Restore soft deleted user (Admin only)
+ * @description Restore soft deleted user (Admin, users:write)
  * @header {string} Authorization - Bearer token (Admin)
  * @param {string} id - User ID
  * @returns {Object} Restored user data
  */
 router.post('/users/:id/restore',
   authenticate,
-  isAdmin,
+  requirePermission('users:write'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   userAuthController.restoreUser
 );
 
 /**
  * @route DELETE /api/app/auth/users/:id/permanent
- * @description Permanently delete user (Admin only)
+ * @description Permanently delete user (Admin, users:delete)
  * @header {string} Authorization - Bearer token (Admin)
  * @param {string} id - User ID
  * @returns {Object} Success message
  */
 router.delete('/users/:id/permanent',
   authenticate,
-  isAdmin,
+  requirePermission('users:delete'),
   validateParams(Joi.object({ id: schemas.mongoId.required() })),
   userAuthController.permanentDeleteUser
 );
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Private iCal feed of a user's tickets, session bookings and SOS calls
+ * @module Calendar/calendar.controller
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import {
+  ensureFeedToken,
+  rotateFeedToken,
+  getFeedUrl,
+  buildUserFeed,
+} from "../../services/calendar.service.js";
+
+/**
+ * Get the user's private calendar feed URL, creating it on first request
+ * GET /api/app/calendar/feed-url
+ */
+export const getFeedUrlForUser = async (req, res) => {
+  try {
+    const token = await ensureFeedToken(req.user.id);
+    if (!token) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    return responseUtil.success(res, "Calendar feed URL retrieved successfully", {
+      feedUrl: getFeedUrl(token),
+      webcalUrl: getFeedUrl(token).replace(/^https?:/, "webcal:"),
+    });
+  } catch (error) {
+    console.error("[CALENDAR] Get feed URL error:", error);
+    return responseUtil.internalError(res, "Failed to get calendar feed URL", error.message);
+  }
+};
+
+/**
+ * Replace the feed URL, e.g. after it was shared by mistake; the old one stops working
+ * POST /api/app/calendar/feed-url/rotate
+ */
+export const rotateFeedUrl = async (req, res) => {
+  try {
+    const token = await rotateFeedToken(req.user.id);
+    if (!token) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    console.log(`[CALENDAR] Feed URL rotated for user ${req.user.id}`);
+
+    return responseUtil.success(res, "Calendar feed URL reset successfully", {
+      feedUrl: getFeedUrl(token),
+      webcalUrl: getFeedUrl(token).replace(/^https?:/, "webcal:"),
+    });
+  } catch (error) {
+    console.error("[CALENDAR] Rotate feed URL error:", error);
+    return responseUtil.internalError(res, "Failed to reset calendar feed URL", error.message);
+  }
+};
+
+/**
+ * Serve the iCal feed; calendar apps poll this URL, so the token is the only credential
+ * GET /api/app/calendar/feed/:token.ics
+ */
+export const getFeed = async (req, res) => {
+  try {
+    const calendar = await buildUserFeed(req.params.token);
+    if (!calendar) {
+      return responseUtil.notFound(res, "Calendar feed not found");
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="motivata.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    return res.status(200).send(calendar);
+  } catch (error) {
+    console.error("[CALENDAR] Feed error:", error);
+    return responseUtil.internalError(res, "Failed to build calendar feed", error.message);
+  }
+};
+
+export default {
+  getFeedUrlForUser,
+  rotateFeedUrl,
+  getFeed,
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Calendar feed routes (User)
+ * @module Calendar/calendar.user.route
+ */
+
+import express from "express";
+import { getFeedUrlForUser, rotateFeedUrl, getFeed } from "./calendar.controller.js";
+import { authenticate } from "../../middleware/auth.middleware.js";
+import { validateParams, calendarSchemas } from "../../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/app/calendar/feed/:token.ics
+ * @desc    Private iCal feed of the user's tickets, session bookings and SOS calls,
+ *          kept in sync with reschedules and cancellations
+ * @access  Public (the token in the URL is the credential)
+ */
+router.get(
+  "/feed/:token.ics",
+  validateParams(calendarSchemas.feedToken),
+  getFeed
+);
+
+/**
+ * @route   GET /api/app/calendar/feed-url
+ * @desc    Get the user's private feed URL (http and webcal)
+ * @access  Private
+ */
+router.get("/feed-url", authenticate, getFeedUrlForUser);
+
+/**
+ * @route   POST /api/app/calendar/feed-url/rotate
+ * @desc    Replace the feed URL; the old one stops working
+ * @access  Private
+ */
+router.post("/feed-url/rotate", authenticate, rotateFeedUrl);
+
+export default router;
@@ -15,8 +15,8 @@ import {
 import {
   authenticate,
   isAdmin,
-  isSuperAdmin,
 } from "../../middleware/auth.middleware.js";
+import { requirePermission } from "../../middleware/permission.middleware.js";
 import { validateBody } from "../../middleware/validation.middleware.js";
 
 /** @type {express.Router} */
@@ -115,10 +115,10 @@ router.get("/connection/status", getConnectionStatus);
 /**
  * @route   POST /api/web/calendly/connection/disconnect
  * @desc    Disconnect Calendly (remove token and config)
- * @access  Super Admin only
+ * @access  Admin (sessions:delete)
  * @returns {Object} Success message
  */
-router.post("/connection/disconnect", isSuperAdmin, disconnectCalendly);
+router.post("/connection/disconnect", requirePermission("sessions:delete"), disconnectCalendly);
 
 /**
  * @route   POST /api/web/calendly/event-types/sync
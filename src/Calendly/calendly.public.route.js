@@ -7,6 +7,7 @@ import express from "express";
 import Joi from "joi";
 import axios from "axios";
 import crypto from "crypto";
+import mongoose from "mongoose";
 import { getAvailableSlots } from "./calendly.controller.js";
 import { optionalAuth, authenticate } from "../../middleware/auth.middleware.js";
 import User from "../../schema/User.schema.js";
@@ -16,6 +17,10 @@ import {
 } from "../../middleware/validation.middleware.js";
 import SessionBooking from "../../schema/SessionBooking.schema.js";
 import UserSOSProgress from "../Quiz/schemas/userSOSProgress.schema.js";
+import {
+  notifySessionBookingSchedule,
+  notifySosCallSchedule,
+} from "../../services/calendar.service.js";
 
 /**
  * Fetch scheduled event start time from Calendly API using invitee UUID.
@@ -127,8 +132,9 @@ router.get("/session-scheduled", async (req, res) => {
   console.log("[CALENDLY-CALLBACK] Session scheduled callback received:", { bookingId, sessionId, invitee_uuid });
 
   // Try to get real scheduled time from Calendly API
-  const scheduledAt = (await fetchScheduledTime(invitee_uuid)) || new Date();
-  console.log("[CALENDLY-CALLBACK] Scheduled at:", scheduledAt, invitee_uuid ? "(from Calendly API)" : "(fallback: now)");
+  const fetchedAt = await fetchScheduledTime(invitee_uuid);
+  const scheduledAt = fetchedAt || new Date();
+  console.log("[CALENDLY-CALLBACK] Scheduled at:", scheduledAt, fetchedAt ? "(from Calendly API)" : "(fallback: now)");
 
   // Immediately save to DB — don't rely solely on the app deep link
   if (bookingId) {
@@ -140,6 +146,9 @@ router.get("/session-scheduled", async (req, res) => {
         if (invitee_uuid) booking.calendlyEventUri = `https://api.calendly.com/event_invitees/${invitee_uuid}`;
         await booking.save();
         console.log("[CALENDLY-CALLBACK] ✓ Booking saved to DB:", bookingId, "→", scheduledAt);
+
+        // No calendar invite for the fallback time; the webhook sends it with the real one
+        if (fetchedAt) notifySessionBookingSchedule(booking._id);
       }
     } catch (err) {
       console.error("[CALENDLY-CALLBACK] Failed to save booking:", err.message);
@@ -251,6 +260,7 @@ router.post("/sync-my-bookings", authenticate, async (req, res) => {
 
         bookingById.delete(bookingId);
         synced++;
+        notifySessionBookingSchedule(bookingId);
 
         console.log(`[CALENDLY-SYNC-USER] ✓ Booking ${bookingId} scheduled at ${startTime.toISOString()} for user ${userId}`);
       }
@@ -265,10 +275,57 @@ router.post("/sync-my-bookings", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Undo the scheduling of a booking or SOS call whose Calendly meeting was cancelled
+ *
+ * The booking stays paid, so the user can pick a new slot. Cancels that are
+ * part of a reschedule, or that belong to an earlier invitee, are ignored.
+ *
+ * @param {Object} params
+ * @param {string} params.utmContent - Booking ID or SOS progress ID
+ * @param {string} params.inviteeUri - Cancelled invitee
+ * @param {boolean} params.rescheduled - Calendly sends a new invitee.created next
+ * @returns {Promise<void>}
+ */
+const handleInviteeCanceled = async ({ utmContent, inviteeUri, rescheduled }) => {
+  if (rescheduled) {
+    console.log("[CALENDLY-WEBHOOK] Cancel is part of a reschedule, waiting for the new time:", utmContent);
+    return;
+  }
+  if (!utmContent || !mongoose.Types.ObjectId.isValid(utmContent)) return;
+
+  const isOtherInvitee = (storedUri) => storedUri && inviteeUri && storedUri !== inviteeUri;
+
+  const sessionBooking = await SessionBooking.findById(utmContent);
+  if (sessionBooking) {
+    if (sessionBooking.status !== "scheduled" || isOtherInvitee(sessionBooking.calendlyEventUri)) return;
+
+    sessionBooking.status = "confirmed";
+    sessionBooking.scheduledSlot = undefined;
+    await sessionBooking.save();
+    console.log("[CALENDLY-WEBHOOK] ✓ Session booking unscheduled:", utmContent);
+    notifySessionBookingSchedule(sessionBooking._id);
+    return;
+  }
+
+  const sosProgress = await UserSOSProgress.findById(utmContent);
+  if (sosProgress) {
+    if (sosProgress.schedulingStatus !== "scheduled" || isOtherInvitee(sosProgress.calendlyInviteeUri)) return;
+
+    sosProgress.schedulingStatus = "pending";
+    sosProgress.scheduledAt = null;
+    await sosProgress.save();
+    console.log("[CALENDLY-WEBHOOK] ✓ SOS call unscheduled:", utmContent);
+    notifySosCallSchedule(sosProgress._id);
+  }
+};
+
 /**
  * @route   POST /api/app/calendly/webhook
  * @desc    Calendly webhook receiver for invitee.created / invitee.canceled events
- *          utm_content = bookingId (session booking) or sosId (SOS program)
+ *          utm_content = bookingId (session booking) or sosId (SOS program).
+ *          A reschedule arrives as a cancel (rescheduled: true) followed by a
+ *          create with the new time; both keep the user's calendar entry in sync.
  * @access  Public (verified by signing key if set)
  */
 router.post("/webhook", express.json({ type: "*/*" }), async (req, res) => {
@@ -300,14 +357,18 @@ router.post("/webhook", express.json({ type: "*/*" }), async (req, res) => {
 
     console.log("[CALENDLY-WEBHOOK] Received event:", event);
 
-    // Only handle invitee.created (new booking)
-    if (event !== "invitee.created") {
+    if (event !== "invitee.created" && event !== "invitee.canceled") {
       return res.status(200).json({ received: true });
     }
 
     const utmContent = payload?.tracking?.utm_content;
     const startTime = payload?.event?.start_time || payload?.scheduled_event?.start_time;
-    const inviteeUri = payload?.invitee?.uri || "";
+    const inviteeUri = payload?.invitee?.uri || payload?.uri || "";
+
+    if (event === "invitee.canceled") {
+      await handleInviteeCanceled({ utmContent, inviteeUri, rescheduled: !!payload?.rescheduled });
+      return res.status(200).json({ received: true });
+    }
 
     console.log("[CALENDLY-WEBHOOK] utm_content:", utmContent, "| start_time:", startTime);
 
@@ -321,12 +382,14 @@ router.post("/webhook", express.json({ type: "*/*" }), async (req, res) => {
     // Try session booking first
     const sessionBooking = await SessionBooking.findById(utmContent).catch(() => null);
     if (sessionBooking) {
-      if (sessionBooking.status !== "scheduled") {
+      const sameSlot = sessionBooking.scheduledSlot?.getTime() === scheduledAt.getTime();
+      if (sessionBooking.status !== "scheduled" || !sameSlot) {
         sessionBooking.status = "scheduled";
         sessionBooking.scheduledSlot = scheduledAt;
         if (inviteeUri) sessionBooking.calendlyEventUri = inviteeUri;
         await sessionBooking.save();
         console.log("[CALENDLY-WEBHOOK] ✓ Session booking updated:", utmContent, "→", scheduledAt);
+        notifySessionBookingSchedule(sessionBooking._id);
       } else {
         console.log("[CALENDLY-WEBHOOK] Session booking already scheduled:", utmContent);
       }
@@ -334,14 +397,15 @@ router.post("/webhook", express.json({ type: "*/*" }), async (req, res) => {
     }
 
     // Try SOS progress record
-    const mongoose = (await import("mongoose")).default;
     if (mongoose.Types.ObjectId.isValid(utmContent)) {
       const sosProgress = await UserSOSProgress.findById(utmContent).catch(() => null);
       if (sosProgress) {
+        sosProgress.schedulingStatus = "scheduled";
         sosProgress.scheduledAt = scheduledAt;
         if (inviteeUri) sosProgress.calendlyInviteeUri = inviteeUri;
         await sosProgress.save();
         console.log("[CALENDLY-WEBHOOK] ✓ SOS progress updated:", utmContent, "→", scheduledAt);
+        notifySosCallSchedule(sosProgress._id);
         return res.status(200).json({ received: true });
       }
     }
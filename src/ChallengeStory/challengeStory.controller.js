@@ -7,6 +7,7 @@ import mongoose from "mongoose";
 import ChallengeStory from "../../schema/ChallengeStory.schema.js";
 import ChallengeStoryView from "../../schema/ChallengeStoryView.schema.js";
 import UserChallenge from "../Challenge/userChallenge.schema.js";
+import UserRestriction from "../../schema/UserRestriction.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import cloudinary from "../../config/cloudinary.config.js";
 
@@ -159,12 +160,18 @@ export const getStoriesByChallengeGrouped = async (req, res) => {
     const requestingUserId = req.user?.id || null;
     const now = new Date();
 
+    // Aggregations skip the schema's find hooks, so hidden stories and
+    // blocked/muted users are filtered here
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(requestingUserId);
+
     // Aggregate: get all active stories for this challenge, grouped by user
     const userStories = await ChallengeStory.aggregate([
       {
         $match: {
           challengeId: new mongoose.Types.ObjectId(challengeId),
           isDeleted: false,
+          isHidden: { $ne: true },
+          userId: { $nin: hiddenUserIds },
           expiresAt: { $gt: now },
         },
       },
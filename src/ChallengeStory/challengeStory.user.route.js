@@ -25,6 +25,7 @@ import {
   authenticate,
   optionalAuth,
 } from "../../middleware/auth.middleware.js";
+import { rejectSuspended } from "../../middleware/moderation.middleware.js";
 import {
   validateBody,
   validateParams,
@@ -114,6 +115,7 @@ router.delete(
  */
 router.post(
   "/:challengeId",
+  rejectSuspended,
   validateParams(challengeStorySchemas.challengeIdParam),
   validateBody(challengeStorySchemas.create),
   createStory
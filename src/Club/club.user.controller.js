@@ -14,6 +14,7 @@ import Post from "../../schema/Post.schema.js";
 import Like from "../../schema/Like.schema.js";
 import Connect from "../../schema/Connect.schema.js";
 import User from "../../schema/User.schema.js";
+import UserRestriction from "../../schema/UserRestriction.schema.js";
 import responseUtil from "../../utils/response.util.js";
 
 /**
@@ -384,9 +385,12 @@ export const getClubFeed = async (req, res) => {
       return responseUtil.forbidden(res, "You must join this club to view its feed");
     }
 
-    // Get posts in this club
+    // Get posts in this club, leaving out users the viewer blocked or muted
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+    const query = { club: clubId, author: { $nin: hiddenUserIds } };
+
     const [posts, totalCount] = await Promise.all([
-      Post.find({ club: clubId })
+      Post.find(query)
         .populate({
           path: "author",
           select: "name email isDeleted",
@@ -398,7 +402,7 @@ export const getClubFeed = async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit)),
-      Post.countDocuments({ club: clubId }),
+      Post.countDocuments(query),
     ]);
 
     // Filter out posts with deleted authors (only Users have isDeleted field)
@@ -473,7 +477,7 @@ export const getClubMembers = async (req, res) => {
       ClubMember.find({ club: clubId, status: 'APPROVED' })
         .populate({
           path: "user",
-          select: "name email phone followerCount followingCount postCount",
+          select: "name followerCount followingCount postCount",
           match: { isDeleted: false },
         })
         .sort({ createdAt: -1 })
@@ -508,8 +512,6 @@ export const getClubMembers = async (req, res) => {
     const formattedMembers = validMemberships.map((membership) => ({
       id: membership.user._id,
       name: membership.user.name,
-      email: membership.user.email,
-      phone: membership.user.phone,
       followerCount: membership.user.followerCount,
       followingCount: membership.user.followingCount,
       postCount: membership.user.postCount,
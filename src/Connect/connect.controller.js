@@ -7,7 +7,17 @@ import Connect from "../../schema/Connect.schema.js";
 import User from "../../schema/User.schema.js";
 import Post from "../../schema/Post.schema.js";
 import Like from "../../schema/Like.schema.js";
+import UserRestriction from "../../schema/UserRestriction.schema.js";
 import responseUtil from "../../utils/response.util.js";
+import {
+  canViewAccount,
+  getFollowState,
+  createFollowRequest,
+  cancelFollowRequest,
+  setPrivateAccount,
+} from "../../services/followRequest.service.js";
+import FollowRequest from "../../schema/FollowRequest.schema.js";
+import { searchUsers as searchPeople } from "../../services/search.service.js";
 
 /**
  * Follow a user
@@ -30,6 +40,10 @@ export const followUser = async (req, res) => {
       return responseUtil.notFound(res, "User not found");
     }
 
+    if (await UserRestriction.isBlockedBetween(followerId, userId)) {
+      return responseUtil.forbidden(res, "You cannot follow this user");
+    }
+
     // Check if already following
     const existingFollow = await Connect.findOne({
       follower: followerId,
@@ -40,6 +54,26 @@ export const followUser = async (req, res) => {
       return responseUtil.conflict(res, "Already following this user");
     }
 
+    // Private accounts approve their followers
+    if (targetUser.privacySettings?.isPrivate) {
+      const { status, request } = await createFollowRequest(followerId, userId);
+
+      if (status === "ALREADY_PENDING") {
+        return responseUtil.conflict(res, "Follow request already sent");
+      }
+
+      return responseUtil.created(res, "Follow request sent", {
+        status: "PENDING",
+        request: {
+          id: request._id,
+          following: {
+            id: targetUser._id,
+            name: targetUser.name,
+          },
+        },
+      });
+    }
+
     // Create follow relationship
     const connection = new Connect({
       follower: followerId,
@@ -55,6 +89,7 @@ export const followUser = async (req, res) => {
     ]);
 
     return responseUtil.created(res, "User followed successfully", {
+      status: "FOLLOWING",
       connection: {
         id: connection._id,
         following: {
@@ -96,6 +131,10 @@ export const unfollowUser = async (req, res) => {
     });
 
     if (!connection) {
+      // Not following yet: withdraw a pending request to a private account instead
+      if (await cancelFollowRequest(followerId, userId)) {
+        return responseUtil.success(res, "Follow request cancelled");
+      }
       return responseUtil.notFound(res, "You are not following this user");
     }
 
@@ -127,25 +166,33 @@ export const getFollowers = async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
     const currentUserId = req.user?.id;
 
-    // Check if user exists
+    // Check if user exists (a block hides the user entirely)
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || (currentUserId && (await UserRestriction.isBlockedBetween(currentUserId, userId)))) {
       return responseUtil.notFound(res, "User not found");
     }
 
+    if (!(await canViewAccount(currentUserId, user))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
+    // Leave out users the viewer has blocked or muted, or who blocked them
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+    const filter = { following: userId, follower: { $nin: hiddenUserIds } };
+
     const skip = (page - 1) * limit;
 
     const [connections, totalCount] = await Promise.all([
-      Connect.find({ following: userId })
+      Connect.find(filter)
         .populate({
           path: "follower",
-          select: "name email followerCount followingCount postCount",
+          select: "name followerCount followingCount postCount",
           match: { isDeleted: false },
         })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit)),
-      Connect.countDocuments({ following: userId }),
+      Connect.countDocuments(filter),
     ]);
 
     // Filter out null followers (deleted users) and add isFollowing status
@@ -164,7 +211,6 @@ export const getFollowers = async (req, res) => {
       .map((c) => ({
         id: c.follower._id,
         name: c.follower.name,
-        email: c.follower.email,
         followerCount: c.follower.followerCount || 0,
         followingCount: c.follower.followingCount || 0,
         postCount: c.follower.postCount || 0,
@@ -204,25 +250,33 @@ export const getFollowing = async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
     const currentUserId = req.user?.id;
 
-    // Check if user exists
+    // Check if user exists (a block hides the user entirely)
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || (currentUserId && (await UserRestriction.isBlockedBetween(currentUserId, userId)))) {
       return responseUtil.notFound(res, "User not found");
     }
 
+    if (!(await canViewAccount(currentUserId, user))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
+    // Leave out users the viewer has blocked or muted, or who blocked them
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+    const filter = { follower: userId, following: { $nin: hiddenUserIds } };
+
     const skip = (page - 1) * limit;
 
     const [connections, totalCount] = await Promise.all([
-      Connect.find({ follower: userId })
+      Connect.find(filter)
         .populate({
           path: "following",
-          select: "name email followerCount followingCount postCount",
+          select: "name followerCount followingCount postCount",
           match: { isDeleted: false },
         })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit)),
-      Connect.countDocuments({ follower: userId }),
+      Connect.countDocuments(filter),
     ]);
 
     // Filter out null following (deleted users) and add isFollowing status
@@ -241,7 +295,6 @@ export const getFollowing = async (req, res) => {
       .map((c) => ({
         id: c.following._id,
         name: c.following.name,
-        email: c.following.email,
         followerCount: c.following.followerCount || 0,
         followingCount: c.following.followingCount || 0,
         postCount: c.following.postCount || 0,
@@ -271,97 +324,25 @@ export const getFollowing = async (req, res) => {
 };
 
 /**
- * Search users
+ * Search users by name, occupation and bio (see services/search.service.js).
+ * Contact fields are neither searched nor returned.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const searchUsers = async (req, res) => {
   try {
-    const { search, page = 1, limit = 20 } = req.query;
-    const currentUserId = req.user?.id;
-
-    if (!search || search.trim().length < 2) {
-      return responseUtil.badRequest(
-        res,
-        "Search query must be at least 2 characters"
-      );
-    }
-
-    const skip = (page - 1) * limit;
-
-    // Build search query
-    const searchRegex = new RegExp(search.trim(), "i");
-    const trimmed = search.trim();
-    const numericValue = Number(trimmed);
-    const orConditions = [
-      { name: searchRegex },
-      { email: searchRegex },
-      { phone: searchRegex },
-      { occupation: searchRegex },
-      { bio: searchRegex },
-    ];
-    if (!isNaN(numericValue) && trimmed !== "") {
-      orConditions.push({ age: numericValue });
-    }
-    const query = {
-      $or: orConditions,
-      isDeleted: false,
-    };
-
-    // Exclude current user from search results
-    if (currentUserId) {
-      query._id = { $ne: currentUserId };
-    }
-
-    const [users, totalCount] = await Promise.all([
-      User.find(query)
-        .select("name email phone occupation age bio followerCount followingCount postCount createdAt")
-        .sort({ followerCount: -1, name: 1 })
-        .skip(skip)
-        .limit(Number(limit)),
-      User.countDocuments(query),
-    ]);
-
-    // Add isFollowing status
-    let followingSet = new Set();
-    if (currentUserId) {
-      const currentUserFollowing = await Connect.find({
-        follower: currentUserId,
-      }).select("following");
-      followingSet = new Set(
-        currentUserFollowing.map((c) => c.following.toString())
-      );
-    }
-
-    const usersWithStatus = users.map((user) => ({
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      occupation: user.occupation || null,
-      age: user.age || null,
-      bio: user.bio || null,
-      followerCount: user.followerCount || 0,
-      followingCount: user.followingCount || 0,
-      postCount: user.postCount || 0,
-      isFollowing: currentUserId ? followingSet.has(user._id.toString()) : false,
-      isOwnProfile: false,
-      joinedAt: user.createdAt,
-    }));
-
-    const totalPages = Math.ceil(totalCount / limit);
-
-    return responseUtil.success(res, "Users found", {
-      users: usersWithStatus,
-      pagination: {
-        currentPage: Number(page),
-        totalPages,
-        totalCount,
-        limit: Number(limit),
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
+    const { search, city, occupation, clubId, page, limit } = req.query;
+
+    const { users, pagination } = await searchPeople(req.user?.id ?? null, {
+      q: search,
+      city,
+      occupation,
+      clubId,
+      page,
+      limit,
     });
+
+    return responseUtil.success(res, "Users found", { users, pagination });
   } catch (error) {
     console.error("[CONNECT] Search users error:", error);
     return responseUtil.internalError(res, "Failed to search users", error.message);
@@ -381,7 +362,7 @@ export const getUserProfile = async (req, res) => {
     const currentUserId = req.user?.id;
 
     const user = await User.findById(userId).select(
-      "name email phone occupation age bio followerCount followingCount postCount privacySettings createdAt"
+      "name occupation age bio city followerCount followingCount postCount privacySettings createdAt"
     );
 
     if (!user) {
@@ -391,11 +372,19 @@ export const getUserProfile = async (req, res) => {
     const isOwnProfile = currentUserId === userId;
     const privacy = user.privacySettings || {};
 
+    // Blocked either way: behave as if the profile does not exist
+    if (currentUserId && !isOwnProfile && (await UserRestriction.isBlockedBetween(currentUserId, userId))) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    // Private accounts show posts to approved followers only
+    const canViewContent = await canViewAccount(currentUserId, user);
+
     // Get user's recent posts — skip if viewer can't see posts
     let formattedPosts = [];
-    if (isOwnProfile || privacy.showPosts !== false) {
+    if (isOwnProfile || (privacy.showPosts !== false && canViewContent)) {
       const posts = await Post.find({ author: userId })
-        .populate("author", "name email")
+        .populate("author", "name")
         .sort({ createdAt: -1 })
         .limit(Number(postsLimit));
 
@@ -432,11 +421,21 @@ export const getUserProfile = async (req, res) => {
       }));
     }
 
-    // Determine follow status (needed for user object too)
-    let isFollowing = false;
+    // Determine follow and mute status (needed for user object too)
+    let followStatus = "NONE";
+    let isMuted = false;
+    let pendingFollowRequests = 0;
     if (currentUserId && !isOwnProfile) {
-      isFollowing = await Connect.isFollowing(currentUserId, userId);
+      const [state, mute] = await Promise.all([
+        getFollowState(currentUserId, userId),
+        UserRestriction.exists({ user: currentUserId, target: userId, type: "MUTE" }),
+      ]);
+      followStatus = state;
+      isMuted = !!mute;
+    } else if (isOwnProfile) {
+      pendingFollowRequests = await FollowRequest.countDocuments({ target: userId, status: "PENDING" });
     }
+    const isFollowing = followStatus === "FOLLOWING";
 
     // Build user object — respect privacy settings for non-owners
     const userObj = {
@@ -447,18 +446,25 @@ export const getUserProfile = async (req, res) => {
       postCount: user.postCount || 0,
       joinedAt: user.createdAt,
       isFollowing,
+      followStatus,
+      isMuted,
       isOwnProfile,
+      isPrivate: privacy.isPrivate === true,
+      canViewContent,
       // Fields visible to owner always; others see only if privacy allows
       ...(isOwnProfile || privacy.showOccupation !== false ? { occupation: user.occupation || null } : {}),
       ...(isOwnProfile || privacy.showAge !== false       ? { age: user.age || null }               : {}),
       ...(isOwnProfile || privacy.showBio !== false       ? { bio: user.bio || null }               : {}),
+      ...(isOwnProfile || privacy.showCity !== false      ? { city: user.city || null }             : {}),
       // Owner always gets their own privacy settings so they can manage toggles
       ...(isOwnProfile ? { privacySettings: {
         showOccupation: privacy.showOccupation !== false,
         showAge:        privacy.showAge !== false,
         showBio:        privacy.showBio !== false,
         showPosts:      privacy.showPosts !== false,
-      }} : {}),
+        showCity:       privacy.showCity !== false,
+        isPrivate:      privacy.isPrivate === true,
+      }, pendingFollowRequests } : {}),
     };
 
     return responseUtil.success(res, "User profile fetched successfully", {
@@ -484,18 +490,28 @@ export const getUserProfile = async (req, res) => {
 export const updatePrivacySettings = async (req, res) => {
   try {
     const currentUserId = req.user.id;
-    const { showOccupation, showAge, showBio, showPosts } = req.body;
+    const { showOccupation, showAge, showBio, showPosts, showCity, isPrivate } = req.body;
 
     const update = {};
     if (showOccupation !== undefined) update["privacySettings.showOccupation"] = Boolean(showOccupation);
     if (showAge !== undefined)        update["privacySettings.showAge"]        = Boolean(showAge);
     if (showBio !== undefined)        update["privacySettings.showBio"]        = Boolean(showBio);
     if (showPosts !== undefined)      update["privacySettings.showPosts"]      = Boolean(showPosts);
+    if (showCity !== undefined)       update["privacySettings.showCity"]       = Boolean(showCity);
 
-    if (Object.keys(update).length === 0) {
+    if (Object.keys(update).length === 0 && isPrivate === undefined) {
       return responseUtil.badRequest(res, "No privacy settings provided");
     }
 
+    // Switching private mode also keeps or approves followers (see setPrivateAccount)
+    let privateMode = null;
+    if (isPrivate !== undefined) {
+      privateMode = await setPrivateAccount(currentUserId, Boolean(isPrivate));
+      if (!privateMode) {
+        return responseUtil.notFound(res, "User not found");
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       currentUserId,
       { $set: update },
@@ -512,7 +528,10 @@ export const updatePrivacySettings = async (req, res) => {
         showAge:        user.privacySettings.showAge !== false,
         showBio:        user.privacySettings.showBio !== false,
         showPosts:      user.privacySettings.showPosts !== false,
+        showCity:       user.privacySettings.showCity !== false,
+        isPrivate:      user.privacySettings.isPrivate === true,
       },
+      ...(privateMode?.changed ? { privateMode } : {}),
     });
   } catch (error) {
     console.error("[CONNECT] Update privacy settings error:", error);
@@ -533,14 +552,18 @@ export const checkFollowStatus = async (req, res) => {
     if (userId === currentUserId) {
       return responseUtil.success(res, "Follow status", {
         isFollowing: false,
+        status: "NONE",
         isOwnProfile: true,
       });
     }
 
-    const isFollowing = await Connect.isFollowing(currentUserId, userId);
+    // FOLLOWING, PENDING (request to a private account awaiting approval) or NONE
+    const status = await getFollowState(currentUserId, userId);
 
     return responseUtil.success(res, "Follow status", {
-      isFollowing,
+      isFollowing: status === "FOLLOWING",
+      status,
+      isRequested: status === "PENDING",
       isOwnProfile: false,
     });
   } catch (error) {
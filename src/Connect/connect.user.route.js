@@ -20,8 +20,10 @@ import {
   getFeed,
   getExploreFeed,
   getMyPosts,
+  getMentionedPosts,
   getUserPosts,
   getPostById,
+  updatePost,
   deletePost,
   likePost,
   unlikePost,
@@ -30,17 +32,38 @@ import {
   openPostDeepLink,
   getPostComments,
   createPostComment,
+  updatePostComment,
   deletePostComment,
   likePostComment,
   unlikePostComment,
 } from "./post.controller.js";
+import {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+  reportContent,
+  getMyReports,
+} from "./moderation.controller.js";
+import {
+  getFollowRequests,
+  getSentFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+  removeFollower,
+} from "./followRequest.controller.js";
+import { getTrending, getHashtagPage } from "./hashtag.controller.js";
 import { uploadConnectMedia } from "./media.controller.js";
 import { authenticate, optionalAuth } from "../../middleware/auth.middleware.js";
+import { rejectSuspended } from "../../middleware/moderation.middleware.js";
 import {
   validateBody,
   validateParams,
   validateQuery,
   connectSchemas,
+  moderationSchemas,
 } from "../../middleware/validation.middleware.js";
 import clubUserRoutes from "../Club/club.user.route.js";
 
@@ -108,7 +131,9 @@ router.post(
  * @route POST /api/app/connect/posts
  * @description Create a new post
  * @access Private (authenticated users)
- * @body {string} [content] - Post text content
+ * @body {string} [caption] - Post caption; mentions use @[Name](userId)
+ *   (utils/mention.util.js); other "@" text stays plain, and more than 20
+ *   mentions is a 400
  * @body {string} [mediaType] - IMAGE or VIDEO
  * @body {string} [mediaUrl] - Media URL from upload
  * @body {string} [mediaThumbnail] - Thumbnail URL for videos
@@ -116,35 +141,40 @@ router.post(
 router.post(
   "/posts",
   authenticate,
+  rejectSuspended,
   validateBody(connectSchemas.createPost),
   createPost
 );
 
 /**
  * @route GET /api/app/connect/posts/feed
- * @description Get personalized feed (posts from followed users + own)
+ * @description Get personalized feed (posts from followed users + own), ranked for the viewer
  * @access Private (authenticated users)
- * @query {number} [page=1] - Page number
+ * @query {string} [cursor] - pagination.nextCursor from the previous page
  * @query {number} [limit=10] - Items per page
+ * @query {number} [page] - Sent by older app versions; without a cursor, pages
+ *   after the first come back empty with hasMore false
  */
 router.get(
   "/posts/feed",
   authenticate,
-  validateQuery(connectSchemas.feedQuery),
+  validateQuery(connectSchemas.rankedFeedQuery),
   getFeed
 );
 
 /**
  * @route GET /api/app/connect/posts/explore
- * @description Get explore feed (all posts, latest first)
- * @access Public (optional auth for like status)
- * @query {number} [page=1] - Page number
+ * @description Get explore feed (admin posts, ranked with admin boosts)
+ * @access Public (optional auth for like status and personal ranking)
+ * @query {string} [cursor] - pagination.nextCursor from the previous page
  * @query {number} [limit=10] - Items per page
+ * @query {number} [page] - Sent by older app versions; without a cursor, pages
+ *   after the first come back empty with hasMore false
  */
 router.get(
   "/posts/explore",
   optionalAuth,
-  validateQuery(connectSchemas.feedQuery),
+  validateQuery(connectSchemas.rankedFeedQuery),
   getExploreFeed
 );
 
@@ -162,6 +192,20 @@ router.get(
   getMyPosts
 );
 
+/**
+ * @route GET /api/app/connect/posts/mentions
+ * @description Posts the current user was @mentioned in (caption or comment), newest first
+ * @access Private (authenticated users)
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=10] - Items per page
+ */
+router.get(
+  "/posts/mentions",
+  authenticate,
+  validateQuery(connectSchemas.feedQuery),
+  getMentionedPosts
+);
+
 /**
  * @route GET /api/app/connect/posts/:postId
  * @description Get single post by ID
@@ -174,6 +218,23 @@ router.get(
   getPostById
 );
 
+/**
+ * @route PATCH /api/app/connect/posts/:postId
+ * @description Edit own post's caption (mentions and hashtags are re-parsed)
+ * @access Private (authenticated users)
+ * @body {string} caption - New caption; mentions use @[Name](userId)
+ *   (utils/mention.util.js); other "@" text stays plain, and more than 20
+ *   mentions is a 400
+ */
+router.patch(
+  "/posts/:postId",
+  authenticate,
+  rejectSuspended,
+  validateParams(connectSchemas.postId),
+  validateBody(connectSchemas.updatePost),
+  updatePost
+);
+
 /**
  * @route DELETE /api/app/connect/posts/:postId
  * @description Delete own post
@@ -194,6 +255,7 @@ router.delete(
 router.post(
   "/posts/:postId/like",
   authenticate,
+  rejectSuspended,
   validateParams(connectSchemas.postId),
   likePost
 );
@@ -268,15 +330,34 @@ router.get(
  * @route POST /api/app/connect/posts/:postId/comments
  * @description Add a comment to a post
  * @access Private (any authenticated user)
- * @body {string} text - Comment text
+ * @body {string} text - Comment text; mentions use @[Name](userId)
+ *   (utils/mention.util.js); other "@" text stays plain, and more than 20
+ *   mentions is a 400
  */
 router.post(
   "/posts/:postId/comments",
   authenticate,
+  rejectSuspended,
   validateParams(connectSchemas.postId),
+  validateBody(connectSchemas.postComment),
   createPostComment
 );
 
+/**
+ * @route PATCH /api/app/connect/posts/:postId/comments/:commentId
+ * @description Edit own comment (mentions and hashtags are re-parsed)
+ * @access Private (authenticated users)
+ * @body {string} text - New comment text, with mentions as on create
+ */
+router.patch(
+  "/posts/:postId/comments/:commentId",
+  authenticate,
+  rejectSuspended,
+  validateParams(connectSchemas.commentId),
+  validateBody(connectSchemas.postComment),
+  updatePostComment
+);
+
 /**
  * @route DELETE /api/app/connect/posts/:postId/comments/:commentId
  * @description Delete a comment (author or admin)
@@ -285,7 +366,7 @@ router.post(
 router.delete(
   "/posts/:postId/comments/:commentId",
   authenticate,
-  validateParams(connectSchemas.postId),
+  validateParams(connectSchemas.commentId),
   deletePostComment
 );
 
@@ -297,25 +378,68 @@ router.delete(
 router.post(
   "/posts/:postId/comments/:commentId/like",
   authenticate,
-  validateParams(connectSchemas.postId),
+  rejectSuspended,
+  validateParams(connectSchemas.commentId),
   likePostComment
 );
 router.delete(
   "/posts/:postId/comments/:commentId/like",
   authenticate,
-  validateParams(connectSchemas.postId),
+  validateParams(connectSchemas.commentId),
   unlikePostComment
 );
 
+// ============================================
+// HASHTAG ROUTES
+// ============================================
+
+/**
+ * @route GET /api/app/connect/hashtags/trending
+ * @description Most used hashtags in posts, comments and recommendations,
+ *   ranked by how many different people used them; only content anyone may
+ *   see counts
+ * @access Private (authenticated users)
+ * @query {string} [window=24h] - 24h, 7d or 30d
+ * @query {number} [limit=20] - Number of hashtags
+ */
+router.get(
+  "/hashtags/trending",
+  authenticate,
+  validateQuery(connectSchemas.trendingHashtagsQuery),
+  getTrending
+);
+
+/**
+ * @route GET /api/app/connect/hashtags/:tag
+ * @description Posts or recommendations with a hashtag (private accounts,
+ *   blocks and mutes respected)
+ * @access Private (authenticated users)
+ * @query {string} [type=posts] - posts or recommendations
+ * @query {string} [sortBy=top] - top (most liked) or recent
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=20] - Items per page
+ */
+router.get(
+  "/hashtags/:tag",
+  authenticate,
+  validateParams(connectSchemas.hashtag),
+  validateQuery(connectSchemas.hashtagQuery),
+  getHashtagPage
+);
+
 // ============================================
 // USER SEARCH ROUTES
 // ============================================
 
 /**
  * @route GET /api/app/connect/users/search
- * @description Search users by name, email, or phone
+ * @description Search users by name, occupation or bio (typo-tolerant; contact
+ *   fields are never searched or returned; blocked and muted users are left out)
  * @access Public (optional auth for follow status)
  * @query {string} search - Search term (min 2 characters)
+ * @query {string} [city] - Only users in this city
+ * @query {string} [occupation] - Only users whose occupation has these words
+ * @query {string} [clubId] - Only members of this club
  * @query {number} [page=1] - Page number
  * @query {number} [limit=20] - Items per page
  */
@@ -334,6 +458,10 @@ router.get(
  * @body {boolean} [showAge]
  * @body {boolean} [showBio]
  * @body {boolean} [showPosts]
+ * @body {boolean} [showCity]
+ * @body {boolean} [isPrivate] - Private account: follows need approval; posts and
+ *   follower lists are visible to approved followers only. Existing followers are
+ *   kept; turning it off approves pending requests.
  */
 router.patch(
   "/users/privacy",
@@ -341,6 +469,30 @@ router.patch(
   updatePrivacySettings
 );
 
+/**
+ * @route GET /api/app/connect/users/blocked
+ * @description Users the current user has blocked
+ * @access Private (authenticated users)
+ */
+router.get(
+  "/users/blocked",
+  authenticate,
+  validateQuery(connectSchemas.paginationQuery),
+  getBlockedUsers
+);
+
+/**
+ * @route GET /api/app/connect/users/muted
+ * @description Users the current user has muted
+ * @access Private (authenticated users)
+ */
+router.get(
+  "/users/muted",
+  authenticate,
+  validateQuery(connectSchemas.paginationQuery),
+  getMutedUsers
+);
+
 /**
  * @route GET /api/app/connect/users/:userId
  * @description Get user profile
@@ -398,25 +550,110 @@ router.get(
   getFollowing
 );
 
+// ============================================
+// BLOCK / MUTE ROUTES
+// ============================================
+
+/**
+ * @route POST /api/app/connect/users/:userId/block
+ * @description Block a user (hides both users from each other, removes follows both ways)
+ * @access Private (authenticated users)
+ */
+router.post(
+  "/users/:userId/block",
+  authenticate,
+  validateParams(connectSchemas.userId),
+  blockUser
+);
+
+/**
+ * @route DELETE /api/app/connect/users/:userId/block
+ * @description Unblock a user
+ * @access Private (authenticated users)
+ */
+router.delete(
+  "/users/:userId/block",
+  authenticate,
+  validateParams(connectSchemas.userId),
+  unblockUser
+);
+
+/**
+ * @route POST /api/app/connect/users/:userId/mute
+ * @description Mute a user (hides their content from the current user only)
+ * @access Private (authenticated users)
+ */
+router.post(
+  "/users/:userId/mute",
+  authenticate,
+  validateParams(connectSchemas.userId),
+  muteUser
+);
+
+/**
+ * @route DELETE /api/app/connect/users/:userId/mute
+ * @description Unmute a user
+ * @access Private (authenticated users)
+ */
+router.delete(
+  "/users/:userId/mute",
+  authenticate,
+  validateParams(connectSchemas.userId),
+  unmuteUser
+);
+
+// ============================================
+// REPORT ROUTES
+// ============================================
+
+/**
+ * @route POST /api/app/connect/reports
+ * @description Report a post, comment, recommendation, challenge story or profile
+ * @access Private (authenticated users)
+ * @body {string} targetType - POST, POST_COMMENT, RECOMMENDATION, RECOMMENDATION_COMMENT, CHALLENGE_STORY or PROFILE
+ * @body {string} targetId - ID of the reported item (user ID for PROFILE)
+ * @body {string} reason - SPAM, HARASSMENT, HATE_SPEECH, NUDITY, VIOLENCE, MISINFORMATION, SELF_HARM or OTHER
+ * @body {string} [details] - Required when reason is OTHER
+ */
+router.post(
+  "/reports",
+  authenticate,
+  validateBody(moderationSchemas.createReport),
+  reportContent
+);
+
+/**
+ * @route GET /api/app/connect/reports/me
+ * @description Current user's reports and their resolution notices
+ * @access Private (authenticated users)
+ */
+router.get(
+  "/reports/me",
+  authenticate,
+  validateQuery(connectSchemas.paginationQuery),
+  getMyReports
+);
+
 // ============================================
 // FOLLOW ROUTES
 // ============================================
 
 /**
  * @route POST /api/app/connect/follow/:userId
- * @description Follow a user
+ * @description Follow a user (sends a follow request if the account is private)
  * @access Private (authenticated users)
  */
 router.post(
   "/follow/:userId",
   authenticate,
+  rejectSuspended,
   validateParams(connectSchemas.userId),
   followUser
 );
 
 /**
  * @route DELETE /api/app/connect/follow/:userId
- * @description Unfollow a user
+ * @description Unfollow a user, or cancel a pending follow request
  * @access Private (authenticated users)
  */
 router.delete(
@@ -428,7 +665,7 @@ router.delete(
 
 /**
  * @route GET /api/app/connect/follow/:userId/status
- * @description Check if following a user
+ * @description Follow status: FOLLOWING, PENDING (request awaiting approval) or NONE
  * @access Private (authenticated users)
  */
 router.get(
@@ -438,6 +675,70 @@ router.get(
   checkFollowStatus
 );
 
+// ============================================
+// FOLLOW REQUEST ROUTES (private accounts)
+// ============================================
+
+/**
+ * @route GET /api/app/connect/follow-requests
+ * @description Pending requests to follow the current user
+ * @access Private (authenticated users)
+ */
+router.get(
+  "/follow-requests",
+  authenticate,
+  validateQuery(connectSchemas.paginationQuery),
+  getFollowRequests
+);
+
+/**
+ * @route GET /api/app/connect/follow-requests/sent
+ * @description Pending follow requests the current user has sent
+ * @access Private (authenticated users)
+ */
+router.get(
+  "/follow-requests/sent",
+  authenticate,
+  validateQuery(connectSchemas.paginationQuery),
+  getSentFollowRequests
+);
+
+/**
+ * @route POST /api/app/connect/follow-requests/:requestId/approve
+ * @description Approve a follow request
+ * @access Private (authenticated users)
+ */
+router.post(
+  "/follow-requests/:requestId/approve",
+  authenticate,
+  validateParams(connectSchemas.requestId),
+  approveFollowRequest
+);
+
+/**
+ * @route POST /api/app/connect/follow-requests/:requestId/reject
+ * @description Reject a follow request
+ * @access Private (authenticated users)
+ */
+router.post(
+  "/follow-requests/:requestId/reject",
+  authenticate,
+  validateParams(connectSchemas.requestId),
+  rejectFollowRequest
+);
+
+/**
+ * @route DELETE /api/app/connect/followers/:userId
+ * @description Remove a user from the current user's followers
+ * @access Private (authenticated users)
+ */
+router.delete(
+  "/followers/:userId",
+  authenticate,
+  validateParams(connectSchemas.userId),
+  removeFollower
+);
+
 // ============================================
 // CLUB ROUTES
 // ============================================
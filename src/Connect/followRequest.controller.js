@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Follow request controller for private Connect accounts
+ * @module controllers/connect/followRequest
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import {
+  listFollowRequests,
+  respondToFollowRequest,
+  removeFollowEdge,
+} from "../../services/followRequest.service.js";
+
+/**
+ * Pending requests to follow the current user
+ * @route GET /api/app/connect/follow-requests
+ */
+export const getFollowRequests = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await listFollowRequests(req.user.id, "incoming", { page, limit });
+
+    return responseUtil.success(res, "Follow requests fetched successfully", result);
+  } catch (error) {
+    console.error("[CONNECT] Get follow requests error:", error);
+    return responseUtil.internalError(res, "Failed to fetch follow requests", error.message);
+  }
+};
+
+/**
+ * Pending requests the current user has sent
+ * @route GET /api/app/connect/follow-requests/sent
+ */
+export const getSentFollowRequests = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await listFollowRequests(req.user.id, "sent", { page, limit });
+
+    return responseUtil.success(res, "Sent follow requests fetched successfully", result);
+  } catch (error) {
+    console.error("[CONNECT] Get sent follow requests error:", error);
+    return responseUtil.internalError(res, "Failed to fetch sent follow requests", error.message);
+  }
+};
+
+/**
+ * Approve a follow request; the requester becomes a follower
+ * @route POST /api/app/connect/follow-requests/:requestId/approve
+ */
+export const approveFollowRequest = async (req, res) => {
+  try {
+    const { status } = await respondToFollowRequest(req.user.id, req.params.requestId, true);
+
+    if (status === "NOT_FOUND") {
+      return responseUtil.notFound(res, "Follow request not found");
+    }
+
+    return responseUtil.success(res, "Follow request approved");
+  } catch (error) {
+    console.error("[CONNECT] Approve follow request error:", error);
+    return responseUtil.internalError(res, "Failed to approve follow request", error.message);
+  }
+};
+
+/**
+ * Reject a follow request
+ * @route POST /api/app/connect/follow-requests/:requestId/reject
+ */
+export const rejectFollowRequest = async (req, res) => {
+  try {
+    const { status } = await respondToFollowRequest(req.user.id, req.params.requestId, false);
+
+    if (status === "NOT_FOUND") {
+      return responseUtil.notFound(res, "Follow request not found");
+    }
+
+    return responseUtil.success(res, "Follow request rejected");
+  } catch (error) {
+    console.error("[CONNECT] Reject follow request error:", error);
+    return responseUtil.internalError(res, "Failed to reject follow request", error.message);
+  }
+};
+
+/**
+ * Remove someone from the current user's followers
+ * @route DELETE /api/app/connect/followers/:userId
+ */
+export const removeFollower = async (req, res) => {
+  try {
+    const removed = await removeFollowEdge(req.params.userId, req.user.id);
+
+    if (!removed) {
+      return responseUtil.notFound(res, "This user is not following you");
+    }
+
+    return responseUtil.success(res, "Follower removed");
+  } catch (error) {
+    console.error("[CONNECT] Remove follower error:", error);
+    return responseUtil.internalError(res, "Failed to remove follower", error.message);
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Hashtag controller: hashtag pages and trending hashtags
+ * @module controllers/connect/hashtag
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import { getTrendingHashtags } from "../../services/hashtag.service.js";
+import { searchPosts, searchRecommendations } from "../../services/search.service.js";
+
+/**
+ * Trending hashtags over a time window
+ * @route GET /api/app/connect/hashtags/trending
+ */
+export const getTrending = async (req, res) => {
+  try {
+    const { window, limit } = req.query;
+    const hashtags = await getTrendingHashtags({ window, limit });
+
+    return responseUtil.success(res, "Trending hashtags fetched successfully", { window, hashtags });
+  } catch (error) {
+    console.error("[HASHTAG] Get trending error:", error);
+    return responseUtil.internalError(res, "Failed to fetch trending hashtags", error.message);
+  }
+};
+
+/**
+ * Posts or recommendations carrying a hashtag. Uses the search service, so
+ * private accounts, blocks and mutes are respected the same way as in search.
+ * @route GET /api/app/connect/hashtags/:tag
+ */
+export const getHashtagPage = async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const { type, sortBy, page, limit } = req.query;
+    const options = { hashtag: tag, sortBy, page, limit };
+
+    const result =
+      type === "recommendations"
+        ? await searchRecommendations(req.user.id, options)
+        : await searchPosts(req.user.id, options);
+
+    return responseUtil.success(res, "Hashtag fetched successfully", { tag, type, ...result });
+  } catch (error) {
+    console.error("[HASHTAG] Get hashtag page error:", error);
+    return responseUtil.internalError(res, "Failed to fetch hashtag", error.message);
+  }
+};
+
+export default {
+  getTrending,
+  getHashtagPage,
+};
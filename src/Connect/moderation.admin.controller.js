@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Admin moderation queue controller - reported content grouped
+ * per item, moderator actions and their reversal.
+ * @module controllers/connect/moderationAdmin
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import {
+  getModerationQueue,
+  getTargetDetail,
+  resolveTarget,
+  unhideTarget,
+  unsuspendUser,
+} from "../../services/moderation.service.js";
+
+/**
+ * Reported items, most reported first
+ * @route GET /api/web/moderation/reports
+ */
+export const getReportQueue = async (req, res) => {
+  try {
+    const { status, targetType, page, limit } = req.query;
+    const result = await getModerationQueue({ status, targetType, page, limit });
+
+    return responseUtil.success(res, "Moderation queue retrieved successfully", result);
+  } catch (error) {
+    console.error("[MODERATION] Get queue error:", error);
+    return responseUtil.internalError(res, "Failed to retrieve moderation queue", error.message);
+  }
+};
+
+/**
+ * One reported item with every report on it
+ * @route GET /api/web/moderation/reports/:targetType/:targetId
+ */
+export const getReportedItem = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const detail = await getTargetDetail(targetType, targetId);
+
+    if (!detail) {
+      return responseUtil.notFound(res, "No reports found for this item");
+    }
+
+    return responseUtil.success(res, "Reported item retrieved successfully", detail);
+  } catch (error) {
+    console.error("[MODERATION] Get reported item error:", error);
+    return responseUtil.internalError(res, "Failed to retrieve reported item", error.message);
+  }
+};
+
+/**
+ * Act on a reported item and close all its open reports
+ * @route POST /api/web/moderation/reports/:targetType/:targetId/resolve
+ */
+export const resolveReportedItem = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, hideContent, suspendDays, note } = req.body;
+
+    const result = await resolveTarget({
+      targetType,
+      targetId,
+      action,
+      hideContent,
+      suspendDays,
+      note,
+      adminId: req.user.id,
+    });
+
+    switch (result.status) {
+      case "NO_OPEN_REPORTS":
+        return responseUtil.notFound(res, "No open reports for this item");
+      case "NOT_FOUND":
+        return responseUtil.notFound(res, "The reported content no longer exists; dismiss the reports instead");
+      case "INVALID_ACTION":
+        return responseUtil.badRequest(res, result.error);
+      default:
+        return responseUtil.success(res, action === "NONE" ? "Reports dismissed" : "Reports resolved", {
+          action,
+          reportsClosed: result.reportsClosed,
+        });
+    }
+  } catch (error) {
+    console.error("[MODERATION] Resolve error:", error);
+    return responseUtil.internalError(res, "Failed to resolve reports", error.message);
+  }
+};
+
+/**
+ * Make hidden content visible again
+ * @route POST /api/web/moderation/reports/:targetType/:targetId/unhide
+ */
+export const unhideReportedItem = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { status } = await unhideTarget(targetType, targetId);
+
+    if (status === "INVALID_ACTION") {
+      return responseUtil.badRequest(res, "Profiles cannot be hidden");
+    }
+    if (status === "NOT_HIDDEN") {
+      return responseUtil.notFound(res, "This item is not hidden");
+    }
+
+    return responseUtil.success(res, "Content is visible again");
+  } catch (error) {
+    console.error("[MODERATION] Unhide error:", error);
+    return responseUtil.internalError(res, "Failed to unhide content", error.message);
+  }
+};
+
+/**
+ * Lift a user's suspension early
+ * @route POST /api/web/moderation/users/:userId/unsuspend
+ */
+export const liftSuspension = async (req, res) => {
+  try {
+    const updated = await unsuspendUser(req.params.userId);
+
+    if (!updated) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    return responseUtil.success(res, "Suspension lifted");
+  } catch (error) {
+    console.error("[MODERATION] Unsuspend error:", error);
+    return responseUtil.internalError(res, "Failed to lift suspension", error.message);
+  }
+};
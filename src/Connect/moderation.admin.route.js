@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Admin routes for the Connect moderation queue
+ * @module routes/connect/moderationAdmin
+ *
+ * Base path: /api/web/moderation
+ */
+
+import express from "express";
+import {
+  getReportQueue,
+  getReportedItem,
+  resolveReportedItem,
+  unhideReportedItem,
+  liftSuspension,
+} from "./moderation.admin.controller.js";
+import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  connectSchemas,
+  moderationSchemas,
+} from "../../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticate, isAdmin);
+
+/**
+ * @route GET /api/web/moderation/reports
+ * @description Reported items grouped per item, most reported first
+ * @access Admin
+ * @query {string} [status=OPEN] - OPEN, RESOLVED or DISMISSED
+ * @query {string} [targetType] - POST, POST_COMMENT, RECOMMENDATION, RECOMMENDATION_COMMENT, CHALLENGE_STORY or PROFILE
+ */
+router.get("/reports", validateQuery(moderationSchemas.queue), getReportQueue);
+
+/**
+ * @route GET /api/web/moderation/reports/:targetType/:targetId
+ * @description A reported item, its current state and all reports on it
+ * @access Admin
+ */
+router.get(
+  "/reports/:targetType/:targetId",
+  validateParams(moderationSchemas.target),
+  getReportedItem
+);
+
+/**
+ * @route POST /api/web/moderation/reports/:targetType/:targetId/resolve
+ * @description Hide, delete, warn, suspend or dismiss (NONE); closes every open report on the item and notifies reporters
+ * @access Admin
+ * @body {string} action - NONE, HIDE, DELETE, WARN or SUSPEND
+ * @body {boolean} [hideContent] - With WARN/SUSPEND, also hide the item
+ * @body {number} [suspendDays] - With SUSPEND (default MODERATION_SUSPENSION_DAYS)
+ * @body {string} [note] - Internal note, also used as the suspension reason
+ */
+router.post(
+  "/reports/:targetType/:targetId/resolve",
+  validateParams(moderationSchemas.target),
+  validateBody(moderationSchemas.resolve),
+  resolveReportedItem
+);
+
+/**
+ * @route POST /api/web/moderation/reports/:targetType/:targetId/unhide
+ * @description Make hidden content visible again
+ * @access Admin
+ */
+router.post(
+  "/reports/:targetType/:targetId/unhide",
+  validateParams(moderationSchemas.target),
+  unhideReportedItem
+);
+
+/**
+ * @route POST /api/web/moderation/users/:userId/unsuspend
+ * @description Lift a user's suspension early
+ * @access Admin
+ */
+router.post(
+  "/users/:userId/unsuspend",
+  validateParams(connectSchemas.userId),
+  liftSuspension
+);
+
+export default router;
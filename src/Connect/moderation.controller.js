@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Block, mute and report controller for Connect users
+ * @module controllers/connect/moderation
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import {
+  addRestriction,
+  removeRestriction,
+  listRestrictions,
+  createReport,
+  listMyReports,
+} from "../../services/moderation.service.js";
+
+const RESTRICTION_LABELS = {
+  BLOCK: { done: "blocked", undone: "unblocked", verb: "block", listed: "Blocked users" },
+  MUTE: { done: "muted", undone: "unmuted", verb: "mute", listed: "Muted users" },
+};
+
+/**
+ * Build the add/remove/list handlers for one restriction type
+ * @param {"BLOCK"|"MUTE"} type
+ */
+const restrictionHandlers = (type) => {
+  const label = RESTRICTION_LABELS[type];
+
+  const add = async (req, res) => {
+    try {
+      const { status } = await addRestriction(req.user.id, req.params.userId, type);
+
+      if (status === "SELF") {
+        return responseUtil.badRequest(res, `Cannot ${label.verb} yourself`);
+      }
+      if (status === "NOT_FOUND") {
+        return responseUtil.notFound(res, "User not found");
+      }
+
+      return responseUtil.success(res, `User ${label.done} successfully`);
+    } catch (error) {
+      console.error(`[CONNECT] ${type} user error:`, error);
+      return responseUtil.internalError(res, `Failed to ${label.verb} user`, error.message);
+    }
+  };
+
+  const remove = async (req, res) => {
+    try {
+      const removed = await removeRestriction(req.user.id, req.params.userId, type);
+
+      if (!removed) {
+        return responseUtil.notFound(res, `You have not ${label.done} this user`);
+      }
+
+      return responseUtil.success(res, `User ${label.undone} successfully`);
+    } catch (error) {
+      console.error(`[CONNECT] Un${label.verb} user error:`, error);
+      return responseUtil.internalError(res, `Failed to un${label.verb} user`, error.message);
+    }
+  };
+
+  const list = async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const result = await listRestrictions(req.user.id, type, { page, limit });
+
+      return responseUtil.success(res, `${label.listed} retrieved successfully`, result);
+    } catch (error) {
+      console.error(`[CONNECT] List ${label.done} users error:`, error);
+      return responseUtil.internalError(res, `Failed to retrieve ${label.done} users`, error.message);
+    }
+  };
+
+  return { add, remove, list };
+};
+
+const blockHandlers = restrictionHandlers("BLOCK");
+const muteHandlers = restrictionHandlers("MUTE");
+
+/**
+ * Block a user: hides each from the other and removes follows both ways
+ * @route POST /api/app/connect/users/:userId/block
+ */
+export const blockUser = blockHandlers.add;
+
+/**
+ * @route DELETE /api/app/connect/users/:userId/block
+ */
+export const unblockUser = blockHandlers.remove;
+
+/**
+ * @route GET /api/app/connect/users/blocked
+ */
+export const getBlockedUsers = blockHandlers.list;
+
+/**
+ * Mute a user: hides their content from the caller only
+ * @route POST /api/app/connect/users/:userId/mute
+ */
+export const muteUser = muteHandlers.add;
+
+/**
+ * @route DELETE /api/app/connect/users/:userId/mute
+ */
+export const unmuteUser = muteHandlers.remove;
+
+/**
+ * @route GET /api/app/connect/users/muted
+ */
+export const getMutedUsers = muteHandlers.list;
+
+/**
+ * Report a post, comment, recommendation, challenge story or profile
+ * @route POST /api/app/connect/reports
+ */
+export const reportContent = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const result = await createReport({
+      reporterId: req.user.id,
+      targetType,
+      targetId,
+      reason,
+      details,
+    });
+
+    switch (result.status) {
+      case "NOT_FOUND":
+        return responseUtil.notFound(res, "The content you are reporting no longer exists");
+      case "OWN_CONTENT":
+        return responseUtil.badRequest(res, "You cannot report your own content");
+      case "DUPLICATE":
+        return responseUtil.conflict(res, "You have already reported this. Our team is reviewing it.");
+      default:
+        return responseUtil.created(res, "Thanks for your report. Our team will review it.", {
+          reportId: result.report._id,
+          status: result.report.status,
+        });
+    }
+  } catch (error) {
+    console.error("[CONNECT] Report content error:", error);
+    return responseUtil.internalError(res, "Failed to submit report", error.message);
+  }
+};
+
+/**
+ * The caller's reports and their resolution notices
+ * @route GET /api/app/connect/reports/me
+ */
+export const getMyReports = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await listMyReports(req.user.id, { page, limit });
+
+    return responseUtil.success(res, "Reports retrieved successfully", result);
+  } catch (error) {
+    console.error("[CONNECT] Get my reports error:", error);
+    return responseUtil.internalError(res, "Failed to retrieve reports", error.message);
+  }
+};
@@ -7,6 +7,8 @@ import Post from "../../schema/Post.schema.js";
 import Like from "../../schema/Like.schema.js";
 import cloudinary from "../../config/cloudinary.config.js";
 import responseUtil from "../../utils/response.util.js";
+import { resolveMentions, notifyMentions } from "../../services/mention.service.js";
+import { MAX_MENTIONS, hasTooManyMentions } from "../../utils/mention.util.js";
 import multer from "multer";
 
 // ============================================
@@ -47,10 +49,16 @@ const formatAdminPost = (post) => ({
   mediaThumbnail: post.mediaThumbnail,
   likeCount: post.likeCount,
   shareCount: post.shareCount,
+  hashtags: post.hashtags || [],
+  mentions: post.mentions || [],
   author: {
     id: post.author._id,
     name: post.author.name,
   },
+  boost: {
+    weight: post.boost?.weight ?? 1,
+    until: post.boost?.until ?? null,
+  },
   isAdminPost: true,
   createdAt: post.createdAt,
 });
@@ -123,6 +131,10 @@ export const createAdminPost = async (req, res) => {
       return responseUtil.badRequest(res, "Cannot have more than 10 photos");
     }
 
+    if (hasTooManyMentions(caption)) {
+      return responseUtil.badRequest(res, `Caption can mention at most ${MAX_MENTIONS} people`);
+    }
+
     const post = new Post({
       authorType: "Admin",
       author: adminId,
@@ -136,9 +148,24 @@ export const createAdminPost = async (req, res) => {
       isExplorePost: true,
     });
 
+    const { text: resolvedCaption, mentions } = await resolveMentions(post.caption, {
+      authorId: adminId,
+      authorType: "Admin",
+    });
+    post.caption = resolvedCaption;
+    post.mentions = mentions;
+
     await post.save();
     await post.populate({ path: "author", select: "name email" });
 
+    notifyMentions({
+      userIds: mentions,
+      authorId: adminId,
+      authorName: post.author.name,
+      context: "POST",
+      data: { postId: post._id.toString() },
+    });
+
     return responseUtil.created(res, "Post created successfully", {
       post: formatAdminPost(post),
     });
@@ -226,9 +253,40 @@ export const deleteAdminPost = async (req, res) => {
   }
 };
 
+/**
+ * Boost an explore post in the ranked explore feed
+ * PATCH /api/web/connect/posts/:postId/boost
+ */
+export const boostAdminPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { weight, until = null } = req.body;
+
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, isExplorePost: true },
+      { $set: { boost: { weight, until: weight === 1 ? null : until } } },
+      { new: true, runValidators: true }
+    ).populate({ path: "author", select: "name email" });
+
+    if (!post) {
+      return responseUtil.notFound(res, "Explore post not found");
+    }
+
+    console.log(`[ADMIN POST] Post ${postId} boost set to ${weight} by admin ${req.user.id}`);
+
+    return responseUtil.success(res, weight === 1 ? "Boost removed" : "Post boosted", {
+      post: formatAdminPost(post),
+    });
+  } catch (error) {
+    console.error("[ADMIN POST] Boost post error:", error);
+    return responseUtil.internalError(res, "Failed to boost post", error.message);
+  }
+};
+
 export default {
   uploadAdminMedia,
   createAdminPost,
   getAdminPosts,
   deleteAdminPost,
+  boostAdminPost,
 };
@@ -12,8 +12,14 @@ import {
   createAdminPost,
   getAdminPosts,
   deleteAdminPost,
+  boostAdminPost,
 } from "./post.admin.controller.js";
 import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  connectSchemas,
+} from "../../middleware/validation.middleware.js";
 
 const router = express.Router();
 
@@ -35,7 +41,7 @@ router.post("/media/upload", upload.single("file"), uploadAdminMedia);
  * @body {string} title - Post title (required)
  * @body {string[]} mediaUrls - Array of photo URLs from upload endpoint (required)
  * @body {string} [content] - Post content/context
- * @body {string} [caption] - Short caption
+ * @body {string} [caption] - Short caption; mentions use @[Name](userId), see utils/mention.util.js
  * @body {string} [mediaThumbnail] - Thumbnail URL
  */
 router.post("/posts", createAdminPost);
@@ -56,4 +62,18 @@ router.get("/posts", getAdminPosts);
  */
 router.delete("/posts/:postId", deleteAdminPost);
 
+/**
+ * @route PATCH /api/web/connect/posts/:postId/boost
+ * @description Boost an explore post in the ranked explore feed
+ * @access Admin
+ * @body {number} weight - Score multiplier from 1 (no boost) to 10
+ * @body {string|null} [until] - ISO date when the boost ends; omit to keep it until changed
+ */
+router.patch(
+  "/posts/:postId/boost",
+  validateParams(connectSchemas.postId),
+  validateBody(connectSchemas.boostPost),
+  boostAdminPost
+);
+
 export default router;
@@ -12,7 +12,24 @@ import Club from "../../schema/Club.schema.js";
 import ClubMember from "../../schema/ClubMember.schema.js";
 import PostComment from "../../schema/PostComment.schema.js";
 import PostCommentLike from "../../schema/PostCommentLike.schema.js";
+import UserRestriction from "../../schema/UserRestriction.schema.js";
 import responseUtil from "../../utils/response.util.js";
+import { canViewAccount } from "../../services/followRequest.service.js";
+import { decodeFeedCursor, getRankedFeed } from "../../services/feedRanking.service.js";
+import { resolveMentions, addedMentions, notifyMentions } from "../../services/mention.service.js";
+
+/**
+ * Helper: Whether the viewer may see a post. Club posts are governed by club
+ * membership; other posts by the author's private-account setting.
+ * @param {string|null} viewerId - Current user ID
+ * @param {Object} post - Post document (author may be populated)
+ * @returns {Promise<boolean>}
+ */
+const canViewPost = (viewerId, post) =>
+  post.club ? Promise.resolve(true) : canViewAccount(viewerId, post.author?._id ?? post.author);
+
+/** Most recent comment mentions looked at for "posts I was mentioned in" */
+const MENTION_COMMENT_SCAN = 500;
 
 /**
  * Helper: Map post document to response format
@@ -38,6 +55,8 @@ const formatPostResponse = (post, { currentUserId = null, likedPostIds = new Set
     likeCount: post.likeCount,
     shareCount: post.shareCount,
     commentCount: post.commentCount || 0,
+    hashtags: post.hashtags || [],
+    mentions: post.mentions || [],
     author: {
       id: post.author._id,
       name: post.author.name,
@@ -142,6 +161,16 @@ export const createPost = async (req, res) => {
     };
 
     const post = new Post(postData);
+
+    // Only people who can see the post stay linked
+    const { text: resolvedCaption, mentions } = await resolveMentions(post.caption, {
+      authorId,
+      authorType: post.authorType,
+      canView: (userId) => canViewPost(userId, post),
+    });
+    post.caption = resolvedCaption;
+    post.mentions = mentions;
+
     await post.save();
 
     // Update user's or admin's post count (only update User postCount, admins don't have this field)
@@ -162,6 +191,14 @@ export const createPost = async (req, res) => {
       { path: "club", select: "name thumbnail" },
     ]);
 
+    notifyMentions({
+      userIds: mentions,
+      authorId,
+      authorName: post.author.name,
+      context: "POST",
+      data: { postId: post._id.toString() },
+    });
+
     return responseUtil.created(res, "Post created successfully", {
       post: formatPostResponse(post, { currentUserId: authorId, likedPostIds: new Set() }),
     });
@@ -181,73 +218,73 @@ export const createPost = async (req, res) => {
 };
 
 /**
- * Get feed (posts from followed users + own posts)
+ * Helper: Decode the `cursor` query parameter of a ranked feed
+ * @param {string|undefined} cursor
+ * @returns {Object|null|false} Cursor state, null for the first page, false if malformed
+ */
+const readFeedCursor = (cursor) => (cursor ? decodeFeedCursor(cursor) || false : null);
+
+/**
+ * Helper: Empty ranked-feed page, served to older app versions asking for
+ * page 2+ by number. They get the ranked first page and then stop, instead
+ * of being served the first page again.
+ */
+const emptyFeedPage = (limit) => ({
+  posts: [],
+  pagination: { limit, nextCursor: null, hasMore: false },
+});
+
+/**
+ * Get feed (posts from followed users + own posts), ranked for the viewer
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { limit, page } = req.query;
     const currentUserId = req.user.id;
-    const skip = (page - 1) * limit;
 
-    // Get list of users the current user follows
-    const following = await Connect.find({ follower: currentUserId }).select("following");
+    const cursor = readFeedCursor(req.query.cursor);
+    if (cursor === false) {
+      return responseUtil.badRequest(res, "Invalid feed cursor");
+    }
+    if (!cursor && page > 1) {
+      return responseUtil.success(res, "Feed fetched successfully", emptyFeedPage(limit));
+    }
+
+    // Get list of users the current user follows, and those they blocked or muted
+    const [following, hiddenUserIds] = await Promise.all([
+      Connect.find({ follower: currentUserId }).select("following"),
+      UserRestriction.getHiddenUserIds(currentUserId),
+    ]);
     const followingIds = following.map((f) => f.following);
     const followingSet = new Set(followingIds.map((id) => id.toString()));
 
     // Include own posts in the feed
     const authorIds = [currentUserId, ...followingIds];
 
-    // Build query: posts from followed users + own posts, excluding deleted and club posts
-    const query = {
-      author: { $in: authorIds },
-      club: null  // Exclude club posts from main feed
-    };
-
-    const [posts, totalCount] = await Promise.all([
-      Post.find(query)
-        .populate({
-          path: "author",
-          select: "name email isDeleted",
-        })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(Number(limit)),
-      Post.countDocuments(query),
-    ]);
-
-    // Filter out posts with deleted authors (only Users have isDeleted field)
-    const validPosts = posts.filter((post) => {
-      if (!post.author) return false;
-      // If author has isDeleted field (User), check if not deleted
-      if ('isDeleted' in post.author) {
-        return !post.author.isDeleted;
-      }
-      // If no isDeleted field (Admin), include the post
-      return true;
+    const { posts, nextCursor, hasMore } = await getRankedFeed({
+      viewerId: currentUserId,
+      feed: "HOME",
+      // Posts from followed users + own posts, excluding muted and club posts
+      match: {
+        author: { $in: authorIds, $nin: hiddenUserIds },
+        club: null,
+      },
+      limit,
+      cursor,
     });
 
     // Get like status for all posts
-    const postIds = validPosts.map((p) => p._id);
-    const likedPostIds = await Like.hasLikedPosts(currentUserId, postIds);
+    const likedPostIds = await Like.hasLikedPosts(currentUserId, posts.map((p) => p._id));
 
-    const postsWithStatus = validPosts.map((post) =>
+    const postsWithStatus = posts.map((post) =>
       formatPostResponse(post, { currentUserId, likedPostIds, followingSet })
     );
 
-    const totalPages = Math.ceil(totalCount / limit);
-
     return responseUtil.success(res, "Feed fetched successfully", {
       posts: postsWithStatus,
-      pagination: {
-        currentPage: Number(page),
-        totalPages,
-        totalCount,
-        limit: Number(limit),
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
+      pagination: { limit, nextCursor, hasMore },
     });
   } catch (error) {
     console.error("[POST] Get feed error:", error);
@@ -256,47 +293,37 @@ export const getFeed = async (req, res) => {
 };
 
 /**
- * Get explore feed (all posts, sorted by latest)
+ * Get explore feed (admin-published posts, ranked with admin boosts)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getExploreFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const currentUserId = req.user?.id;
-    const skip = (page - 1) * limit;
+    const { limit, page } = req.query;
+    const currentUserId = req.user?.id ?? null;
 
-    // Build query: only admin-published explore posts
-    const query = { isExplorePost: true };
-
-    const [posts, totalCount] = await Promise.all([
-      Post.find(query)
-        .populate({
-          path: "author",
-          select: "name email isDeleted",
-        })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(Number(limit)),
-      Post.countDocuments(query),
-    ]);
+    const cursor = readFeedCursor(req.query.cursor);
+    if (cursor === false) {
+      return responseUtil.badRequest(res, "Invalid feed cursor");
+    }
+    if (!cursor && page > 1) {
+      return responseUtil.success(res, "Explore feed fetched successfully", emptyFeedPage(limit));
+    }
 
-    // Filter out posts with deleted authors (only Users have isDeleted field)
-    const validPosts = posts.filter((post) => {
-      if (!post.author) return false;
-      // If author has isDeleted field (User), check if not deleted
-      if ('isDeleted' in post.author) {
-        return !post.author.isDeleted;
-      }
-      // If no isDeleted field (Admin), include the post
-      return true;
+    const { posts, nextCursor, hasMore } = await getRankedFeed({
+      viewerId: currentUserId,
+      feed: "EXPLORE",
+      match: { isExplorePost: true },
+      limit,
+      cursor,
+      applyBoost: true,
     });
 
     // Get like status and following status for all posts if user is logged in
     let likedPostIds = new Set();
     let followingSet = new Set();
     if (currentUserId) {
-      const postIds = validPosts.map((p) => p._id);
+      const postIds = posts.map((p) => p._id);
       const [likedPosts, followingList] = await Promise.all([
         Like.hasLikedPosts(currentUserId, postIds),
         Connect.find({ follower: currentUserId }).select("following"),
@@ -305,22 +332,13 @@ export const getExploreFeed = async (req, res) => {
       followingSet = new Set(followingList.map((f) => f.following.toString()));
     }
 
-    const postsWithStatus = validPosts.map((post) =>
+    const postsWithStatus = posts.map((post) =>
       formatPostResponse(post, { currentUserId, likedPostIds, followingSet })
     );
 
-    const totalPages = Math.ceil(totalCount / limit);
-
     return responseUtil.success(res, "Explore feed fetched successfully", {
       posts: postsWithStatus,
-      pagination: {
-        currentPage: Number(page),
-        totalPages,
-        totalCount,
-        limit: Number(limit),
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
+      pagination: { limit, nextCursor, hasMore },
     });
   } catch (error) {
     console.error("[POST] Get explore feed error:", error);
@@ -377,6 +395,87 @@ export const getMyPosts = async (req, res) => {
   }
 };
 
+/**
+ * Get posts the current user was mentioned in, in the caption or in a comment.
+ * Deleted or hidden posts and comments, and content by blocked or muted users,
+ * are left out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMentionedPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const currentUserId = req.user.id;
+    const skip = (page - 1) * limit;
+
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+
+    const commentMentions = await PostComment.find({
+      mentions: currentUserId,
+      author: { $nin: hiddenUserIds },
+    })
+      .select("post")
+      .sort({ createdAt: -1 })
+      .limit(MENTION_COMMENT_SCAN)
+      .lean();
+    const commentPostIds = new Set(commentMentions.map((c) => c.post.toString()));
+
+    // isDeleted/isHidden are explicit because countDocuments skips the find hooks
+    const query = {
+      isDeleted: false,
+      isHidden: { $ne: true },
+      author: { $nin: hiddenUserIds },
+      $or: [{ mentions: currentUserId }, { _id: { $in: [...commentPostIds] } }],
+    };
+
+    const [posts, totalCount] = await Promise.all([
+      Post.find(query)
+        .populate("author", "name")
+        .populate("club", "name thumbnail")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Post.countDocuments(query),
+    ]);
+
+    // An author may have gone private since; the post then needs an approved follow
+    const visible = await Promise.all(posts.map((post) => post.author && canViewPost(currentUserId, post)));
+    const visiblePosts = posts.filter((_, i) => visible[i]);
+
+    const authorIds = visiblePosts.map((p) => p.author._id);
+    const [likedPostIds, following] = await Promise.all([
+      Like.hasLikedPosts(currentUserId, visiblePosts.map((p) => p._id)),
+      Connect.find({ follower: currentUserId, following: { $in: authorIds }, isDeleted: false }).distinct("following"),
+    ]);
+    const followingSet = new Set(following.map((id) => id.toString()));
+
+    const postsWithStatus = visiblePosts.map((post) => ({
+      ...formatPostResponse(post, { currentUserId, likedPostIds, followingSet }),
+      mentionedIn: [
+        ...(post.mentions.some((id) => id.toString() === currentUserId) ? ["POST"] : []),
+        ...(commentPostIds.has(post._id.toString()) ? ["COMMENT"] : []),
+      ],
+    }));
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return responseUtil.success(res, "Mentions fetched successfully", {
+      posts: postsWithStatus,
+      pagination: {
+        currentPage: Number(page),
+        totalPages,
+        totalCount,
+        limit: Number(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("[POST] Get mentioned posts error:", error);
+    return responseUtil.internalError(res, "Failed to fetch mentions", error.message);
+  }
+};
+
 /**
  * Get posts by a specific user
  * @param {Object} req - Express request object
@@ -389,12 +488,16 @@ export const getUserPosts = async (req, res) => {
     const currentUserId = req.user?.id;
     const skip = (page - 1) * limit;
 
-    // Check if user exists
+    // Check if user exists (a block hides the user entirely)
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || (currentUserId && (await UserRestriction.isBlockedBetween(currentUserId, userId)))) {
       return responseUtil.notFound(res, "User not found");
     }
 
+    if (!(await canViewAccount(currentUserId, user))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
     const query = { author: userId };
 
     const [posts, totalCount] = await Promise.all([
@@ -474,6 +577,15 @@ export const getPostById = async (req, res) => {
       return responseUtil.notFound(res, "Post not found");
     }
 
+    if (currentUserId && (await UserRestriction.isBlockedBetween(currentUserId, post.author._id))) {
+      return responseUtil.notFound(res, "Post not found");
+    }
+
+    // Posts of private accounts are for approved followers only
+    if (!(await canViewPost(currentUserId, post))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
     // Check like status and following status
     let likedPostIds = new Set();
     let followingSet = new Set();
@@ -501,6 +613,73 @@ export const getPostById = async (req, res) => {
   }
 };
 
+/**
+ * Edit the caption of an own post. Mentions and hashtags are recomputed;
+ * only users newly mentioned by the edit are notified.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updatePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { caption } = req.body;
+    const currentUserId = req.user.id;
+
+    const post = await Post.findById(postId);
+    if (!post) {
+      return responseUtil.notFound(res, "Post not found");
+    }
+
+    if (post.author.toString() !== currentUserId) {
+      return responseUtil.forbidden(res, "You can only edit your own posts");
+    }
+
+    const previousMentions = [...post.mentions];
+    const { text: resolvedCaption, mentions } = await resolveMentions(caption, {
+      authorId: currentUserId,
+      authorType: post.authorType,
+      canView: (userId) => canViewPost(userId, post),
+    });
+    post.caption = resolvedCaption;
+    post.mentions = mentions;
+    await post.save();
+
+    await post.populate([
+      { path: "author", select: "name" },
+      { path: "club", select: "name thumbnail" },
+    ]);
+
+    notifyMentions({
+      userIds: addedMentions(previousMentions, mentions),
+      authorId: currentUserId,
+      authorName: post.author.name,
+      context: "POST",
+      data: { postId: post._id.toString() },
+    });
+
+    const likedPostIds = await Like.hasLikedPosts(currentUserId, [post._id]);
+
+    return responseUtil.success(res, "Post updated successfully", {
+      post: formatPostResponse(post, { currentUserId, likedPostIds }),
+    });
+  } catch (error) {
+    console.error("[POST] Update post error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.keys(error.errors).map((key) => ({
+        field: key,
+        message: error.errors[key].message,
+      }));
+      return responseUtil.validationError(res, "Validation failed", errors);
+    }
+    if (error.name === "CastError") {
+      return responseUtil.badRequest(res, "Invalid post ID");
+    }
+
+    return responseUtil.internalError(res, "Failed to update post", error.message);
+  }
+};
+
 /**
  * Delete own post
  * @param {Object} req - Express request object
@@ -574,6 +753,14 @@ export const likePost = async (req, res) => {
       return responseUtil.notFound(res, "Post not found");
     }
 
+    if (await UserRestriction.isBlockedBetween(userId, post.author._id)) {
+      return responseUtil.forbidden(res, "You cannot interact with this post");
+    }
+
+    if (!(await canViewPost(userId, post))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
     // Check if already liked
     const existingLike = await Like.findOne({ user: userId, post: postId });
 
@@ -708,17 +895,24 @@ export const getPostLikers = async (req, res) => {
       return responseUtil.notFound(res, "Post not found");
     }
 
+    if (!(await canViewPost(currentUserId, post))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+    const filter = { post: postId, user: { $nin: hiddenUserIds } };
+
     const [likes, totalCount] = await Promise.all([
-      Like.find({ post: postId })
+      Like.find(filter)
         .populate({
           path: "user",
-          select: "name email followerCount followingCount postCount",
+          select: "name followerCount followingCount postCount",
           match: { isDeleted: false },
         })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit)),
-      Like.countDocuments({ post: postId }),
+      Like.countDocuments(filter),
     ]);
 
     // Filter out null users (deleted users) and add isFollowing status
@@ -735,7 +929,6 @@ export const getPostLikers = async (req, res) => {
       .map((l) => ({
         id: l.user._id,
         name: l.user.name,
-        email: l.user.email,
         followerCount: l.user.followerCount || 0,
         followingCount: l.user.followingCount || 0,
         postCount: l.user.postCount || 0,
@@ -812,19 +1005,24 @@ const resolveCommentAuthorName = async (reqUser) => {
 export const getPostComments = async (req, res) => {
   try {
     const { postId } = req.params;
+    const currentUserId = req.user?.id || null;
 
-    const exists = await Post.exists({ _id: postId });
-    if (!exists) {
+    const post = await Post.findById(postId).select("author club");
+    if (!post) {
       return responseUtil.notFound(res, "Post not found");
     }
 
-    const comments = await PostComment.find({ post: postId })
+    if (!(await canViewPost(currentUserId, post))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(currentUserId);
+
+    const comments = await PostComment.find({ post: postId, author: { $nin: hiddenUserIds } })
       .sort({ createdAt: -1 })
       .populate({ path: "author", select: "name" })
       .lean();
 
-    const currentUserId = req.user?.id || null;
-
     // Which of these comments has the viewer liked?
     let likedSet = new Set();
     if (currentUserId && comments.length > 0) {
@@ -844,6 +1042,8 @@ export const getPostComments = async (req, res) => {
       author: c.author?._id || c.author,
       authorName: c.author?.name || c.authorName || "User",
       text: c.text,
+      hashtags: c.hashtags || [],
+      mentions: c.mentions || [],
       likeCount: c.likeCount || 0,
       isLiked: likedSet.has(c._id.toString()),
       isOwnComment: currentUserId
@@ -884,19 +1084,43 @@ export const createPostComment = async (req, res) => {
       return responseUtil.notFound(res, "Post not found");
     }
 
+    if (await UserRestriction.isBlockedBetween(req.user.id, post.author)) {
+      return responseUtil.forbidden(res, "You cannot comment on this post");
+    }
+
+    if (req.user.userType !== "admin" && !(await canViewPost(req.user.id, post))) {
+      return responseUtil.forbidden(res, "This account is private", { code: "PRIVATE_ACCOUNT" });
+    }
+
     const authorType = req.user.userType === "admin" ? "Admin" : "User";
     const authorName = await resolveCommentAuthorName(req.user);
 
+    // Comments are seen by whoever can see the post
+    const { text: resolvedText, mentions } = await resolveMentions(text.trim(), {
+      authorId: req.user.id,
+      authorType,
+      canView: (userId) => canViewPost(userId, post),
+    });
+
     const comment = await PostComment.create({
       post: postId,
       authorType,
       author: req.user.id,
       authorName,
-      text: text.trim(),
+      text: resolvedText,
+      mentions,
     });
 
     await Post.findByIdAndUpdate(postId, { $inc: { commentCount: 1 } });
 
+    notifyMentions({
+      userIds: mentions,
+      authorId: req.user.id,
+      authorName,
+      context: "COMMENT",
+      data: { postId: postId.toString(), commentId: comment._id.toString() },
+    });
+
     return responseUtil.created(res, "Comment posted successfully", {
       comment: {
         _id: comment._id,
@@ -905,6 +1129,8 @@ export const createPostComment = async (req, res) => {
         author: req.user.id,
         authorName,
         text: comment.text,
+        hashtags: comment.hashtags,
+        mentions: comment.mentions,
         isOwnComment: true,
         createdAt: comment.createdAt,
         updatedAt: comment.updatedAt,
@@ -922,6 +1148,79 @@ export const createPostComment = async (req, res) => {
   }
 };
 
+/**
+ * Edit an own comment. Mentions and hashtags are recomputed; only users newly
+ * mentioned by the edit are notified.
+ * @route PATCH /api/app/connect/posts/:postId/comments/:commentId
+ */
+export const updatePostComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { text } = req.body;
+
+    const [comment, post] = await Promise.all([
+      PostComment.findById(commentId),
+      Post.findById(postId).select("author club"),
+    ]);
+
+    if (!comment || !post || comment.post.toString() !== postId) {
+      return responseUtil.notFound(res, "Comment not found");
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return responseUtil.forbidden(res, "You can only edit your own comments");
+    }
+
+    if (await UserRestriction.isBlockedBetween(req.user.id, post.author)) {
+      return responseUtil.forbidden(res, "You cannot comment on this post");
+    }
+
+    const previousMentions = [...comment.mentions];
+    const { text: resolvedText, mentions } = await resolveMentions(text, {
+      authorId: req.user.id,
+      authorType: comment.authorType,
+      canView: (userId) => canViewPost(userId, post),
+    });
+    comment.text = resolvedText;
+    comment.mentions = mentions;
+    await comment.save();
+
+    notifyMentions({
+      userIds: addedMentions(previousMentions, mentions),
+      authorId: req.user.id,
+      authorName: comment.authorName,
+      context: "COMMENT",
+      data: { postId: postId.toString(), commentId: comment._id.toString() },
+    });
+
+    return responseUtil.success(res, "Comment updated successfully", {
+      comment: {
+        _id: comment._id,
+        post: postId,
+        authorType: comment.authorType,
+        author: comment.author,
+        authorName: comment.authorName,
+        text: comment.text,
+        hashtags: comment.hashtags,
+        mentions: comment.mentions,
+        likeCount: comment.likeCount || 0,
+        isOwnComment: true,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("[POST] Update comment error:", error);
+    if (error.name === "ValidationError") {
+      return responseUtil.badRequest(res, error.message);
+    }
+    if (error.name === "CastError") {
+      return responseUtil.badRequest(res, "Invalid ID");
+    }
+    return responseUtil.internalError(res, "Failed to update comment", error.message);
+  }
+};
+
 /**
  * Delete a comment. Allowed for the comment author or any admin.
  * @route DELETE /api/app/connect/posts/:postId/comments/:commentId
@@ -1035,8 +1334,10 @@ export default {
   getFeed,
   getExploreFeed,
   getMyPosts,
+  getMentionedPosts,
   getUserPosts,
   getPostById,
+  updatePost,
   deletePost,
   likePost,
   unlikePost,
@@ -1045,6 +1346,7 @@ export default {
   openPostDeepLink,
   getPostComments,
   createPostComment,
+  updatePostComment,
   deletePostComment,
   likePostComment,
   unlikePostComment,
@@ -14,7 +14,16 @@ import {
   restoreCoupon,
   permanentDeleteCoupon
 } from './coupon.controller.js';
-import { authenticate, isAdmin, isSuperAdmin } from '../../middleware/auth.middleware.js';
+import {
+  createCouponBatch,
+  getCouponBatches,
+  getCouponBatchById,
+  exportCouponBatch,
+  disableCouponBatch,
+  enableCouponBatch
+} from './couponBatch.controller.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 import { validateBody, validateParams, validateQuery, couponSchemas } from '../../middleware/validation.middleware.js';
 
 const router = express.Router();
@@ -57,6 +66,73 @@ router.get(
   getDeletedCoupons
 );
 
+/**
+ * @route   POST /api/web/coupons/batches
+ * @desc    Generate a batch of unique single-use codes from one template
+ * @access  Admin
+ */
+router.post(
+  '/batches',
+  validateBody(couponSchemas.createBatch),
+  createCouponBatch
+);
+
+/**
+ * @route   GET /api/web/coupons/batches
+ * @desc    Get coupon batches with code and redemption counts
+ * @access  Admin
+ */
+router.get(
+  '/batches',
+  validateQuery(couponSchemas.listBatches),
+  getCouponBatches
+);
+
+/**
+ * @route   GET /api/web/coupons/batches/:id
+ * @desc    Get a batch with its redemption stats
+ * @access  Admin
+ */
+router.get(
+  '/batches/:id',
+  validateParams(couponSchemas.couponId),
+  getCouponBatchById
+);
+
+/**
+ * @route   GET /api/web/coupons/batches/:id/export
+ * @desc    Download the batch's codes (?format=csv|xlsx, default xlsx)
+ * @access  Admin
+ */
+router.get(
+  '/batches/:id/export',
+  validateParams(couponSchemas.couponId),
+  validateQuery(couponSchemas.exportBatch),
+  exportCouponBatch
+);
+
+/**
+ * @route   POST /api/web/coupons/batches/:id/disable
+ * @desc    Disable every code of the batch
+ * @access  Admin
+ */
+router.post(
+  '/batches/:id/disable',
+  validateParams(couponSchemas.couponId),
+  disableCouponBatch
+);
+
+/**
+ * @route   POST /api/web/coupons/batches/:id/enable
+ * @desc    Re-enable the codes of a disabled batch
+ * @access  Admin
+ */
+router.post(
+  '/batches/:id/enable',
+  validateParams(couponSchemas.couponId),
+  enableCouponBatch
+);
+
 /**
  * @route   GET /api/web/coupons/:id
  * @desc    Get single coupon by ID
@@ -105,11 +181,11 @@ router.post(
 /**
  * @route   DELETE /api/web/coupons/:id/permanent
  * @desc    Permanently delete coupon (cannot be undone)
- * @access  Super Admin only
+ * @access  Admin (coupons:delete)
  */
 router.delete(
   '/:id/permanent',
-  isSuperAdmin,
+  requirePermission('coupons:delete'),
   validateParams(couponSchemas.couponId),
   permanentDeleteCoupon
 );
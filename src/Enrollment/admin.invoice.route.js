@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Admin invoice register routes
+ * @module routes/admin/invoice
+ */
+
+import express from 'express';
+import { getAllInvoices, downloadInvoice } from './invoice.controller.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { validateParams, validateQuery, invoiceSchemas } from '../../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+/**
+ * All routes require authentication and admin access
+ */
+router.use(authenticate);
+router.use(isAdmin);
+
+/**
+ * @route   GET /api/web/invoices
+ * @desc    Invoice and credit note register with GST totals
+ * @access  Admin
+ */
+router.get(
+  '/',
+  validateQuery(invoiceSchemas.list),
+  getAllInvoices
+);
+
+/**
+ * @route   GET /api/web/invoices/:invoiceId/pdf
+ * @desc    Download an invoice or credit note (PDF)
+ * @access  Admin
+ */
+router.get(
+  '/:invoiceId/pdf',
+  validateParams(invoiceSchemas.invoiceId),
+  downloadInvoice
+);
+
+export default router;
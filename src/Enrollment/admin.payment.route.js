@@ -1,5 +1,5 @@
 /**
- * @fileoverview Admin payment routes for viewing all payments
+ * @fileoverview Admin payment routes for viewing and refunding payments
  * @module routes/admin/payment
  */
 
@@ -8,8 +8,19 @@ import {
   getAllPayments,
   getPaymentById
 } from './payment.controller.js';
+import {
+  refundPayment,
+  partialRefundPayment,
+  getPaymentRefunds
+} from './refund.controller.js';
+import {
+  getPaymentInvoices,
+  issuePaymentInvoices,
+  downloadPaymentDocument
+} from './invoice.controller.js';
 import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
-import { validateParams, validateQuery, paymentSchemas } from '../../middleware/validation.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
+import { validateBody, validateParams, validateQuery, paymentSchemas } from '../../middleware/validation.middleware.js';
 
 const router = express.Router();
 
@@ -41,4 +52,74 @@ router.get(
   getPaymentById
 );
 
+/**
+ * @route   GET /api/web/payments/:id/refunds
+ * @desc    List refunds issued against a payment (audit trail)
+ * @access  Admin
+ */
+router.get(
+  '/:id/refunds',
+  validateParams(paymentSchemas.paymentId),
+  getPaymentRefunds
+);
+
+/**
+ * @route   POST /api/web/payments/:id/refund
+ * @desc    Refund the remaining balance and reverse linked entities
+ * @access  Admin (payments:refund)
+ */
+router.post(
+  '/:id/refund',
+  requirePermission('payments:refund'),
+  validateParams(paymentSchemas.paymentId),
+  validateBody(paymentSchemas.refund),
+  refundPayment
+);
+
+/**
+ * @route   POST /api/web/payments/:id/refund/partial
+ * @desc    Refund part of a payment, optionally cancelling specific event tickets
+ * @access  Admin (payments:refund)
+ */
+router.post(
+  '/:id/refund/partial',
+  requirePermission('payments:refund'),
+  validateParams(paymentSchemas.paymentId),
+  validateBody(paymentSchemas.partialRefund),
+  partialRefundPayment
+);
+
+/**
+ * @route   GET /api/web/payments/:id/invoices
+ * @desc    List the invoice and credit notes for a payment
+ * @access  Admin
+ */
+router.get(
+  '/:id/invoices',
+  validateParams(paymentSchemas.paymentId),
+  getPaymentInvoices
+);
+
+/**
+ * @route   POST /api/web/payments/:id/invoices
+ * @desc    Issue any missing invoice or credit notes for a payment
+ * @access  Admin
+ */
+router.post(
+  '/:id/invoices',
+  validateParams(paymentSchemas.paymentId),
+  issuePaymentInvoices
+);
+
+/**
+ * @route   GET /api/web/payments/:id/invoices/:invoiceId/pdf
+ * @desc    Download an invoice or credit note (PDF) for a payment
+ * @access  Admin
+ */
+router.get(
+  '/:id/invoices/:invoiceId/pdf',
+  validateParams(paymentSchemas.invoiceParams),
+  downloadPaymentDocument
+);
+
 export default router;
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Admin ticket routes for QR code verification
+ * @fileoverview Admin ticket routes for QR code verification, gate check-in and offline scanning
  * @module routes/admin/ticket
  */
 
@@ -7,7 +7,23 @@ import express from 'express';
 import {
   verifyTicket
 } from './ticket.controller.js';
+import {
+  getTicketSigningKeys,
+  getOfflineManifest,
+  syncOfflineScans
+} from './ticket.offline.controller.js';
+import {
+  checkIn,
+  getEventAttendance,
+  streamEventAttendance
+} from './ticket.checkin.controller.js';
 import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  ticketScanSchemas
+} from '../../middleware/validation.middleware.js';
 
 const router = express.Router();
 
@@ -22,10 +38,81 @@ router.use(isAdmin);
  * @desc    Verify QR code ticket (for management staff at event)
  * @access  Admin/Staff
  * @query   token - JWT token from QR code
+ * @query   gate, direction (ENTRY|EXIT) - optional; device via X-Scanner-Device-Id
  */
 router.get(
   '/verify',
   verifyTicket
 );
 
+/**
+ * @route   POST /api/web/tickets/check-in
+ * @desc    Check a ticket in or out at a gate (re-entry allowed after an exit)
+ * @access  Admin/Staff (management staff: assigned events only)
+ * @body    { eventId, sig | type + enrollmentId + phone, gate, direction, deviceId }
+ */
+router.post(
+  '/check-in',
+  validateBody(ticketScanSchemas.checkIn),
+  checkIn
+);
+
+/**
+ * @route   GET /api/web/tickets/attendance/events/:eventId
+ * @desc    Attendance snapshot: checked-in, inside and no-shows by tier, gate and time bucket
+ * @access  Admin/Staff (management staff: assigned events only)
+ */
+router.get(
+  '/attendance/events/:eventId',
+  validateParams(ticketScanSchemas.eventIdParam),
+  validateQuery(ticketScanSchemas.attendance),
+  getEventAttendance
+);
+
+/**
+ * @route   GET /api/web/tickets/attendance/events/:eventId/stream
+ * @desc    Live attendance (Server-Sent Events)
+ * @access  Admin/Staff (management staff: assigned events only)
+ */
+router.get(
+  '/attendance/events/:eventId/stream',
+  validateParams(ticketScanSchemas.eventIdParam),
+  validateQuery(ticketScanSchemas.attendance),
+  streamEventAttendance
+);
+
+/**
+ * @route   GET /api/web/tickets/offline/keys
+ * @desc    Public keys for verifying signed ticket QR payloads on a device
+ * @access  Admin/Staff
+ */
+router.get(
+  '/offline/keys',
+  getTicketSigningKeys
+);
+
+/**
+ * @route   GET /api/web/tickets/offline/events/:eventId/manifest
+ * @desc    Download the allowed-ticket manifest for scanning an event offline
+ * @access  Admin/Staff (management staff: assigned events only)
+ */
+router.get(
+  '/offline/events/:eventId/manifest',
+  validateParams(ticketScanSchemas.eventIdParam),
+  getOfflineManifest
+);
+
+/**
+ * @route   POST /api/web/tickets/offline/events/:eventId/sync
+ * @desc    Upload offline scans; reports conflicts when a ticket was admitted elsewhere
+ * @access  Admin/Staff (management staff: assigned events only)
+ * @body    { deviceId, scans: [{ clientScanId, scannedAt, sig | type + enrollmentId + phone }] }
+ */
+router.post(
+  '/offline/events/:eventId/sync',
+  validateParams(ticketScanSchemas.eventIdParam),
+  validateBody(ticketScanSchemas.sync),
+  syncOfflineScans
+);
+
 export default router;
@@ -4,8 +4,14 @@
  */
 
 import Coupon from '../../schema/Coupon.schema.js';
-import Payment from '../../schema/Payment.schema.js';
 import responseUtil from '../../utils/response.util.js';
+import {
+  getCouponShapeError,
+  getCouponRuleError,
+  getCouponBatchError,
+  getCouponBuyerError,
+  calculateCouponDiscount
+} from '../../services/coupon.service.js';
 
 /**
  * Create a new coupon (Admin only)
@@ -57,11 +63,12 @@ export const getAllCoupons = async (req, res) => {
       sortBy = 'createdAt',
       sortOrder = 'desc',
       isActive,
-      search
+      search,
+      batchId
     } = req.query;
 
-    // Build query
-    const query = {};
+    // Build query. Generated batch codes are only listed for their batch.
+    const query = { batchId: batchId || null };
 
     if (typeof isActive !== 'undefined') {
       query.isActive = isActive;
@@ -117,12 +124,14 @@ export const getActiveCoupons = async (req, res) => {
   try {
     const now = new Date();
 
+    // Generated codes are handed out privately, so they are never listed
     const coupons = await Coupon.find({
       isActive: true,
+      batchId: null,
       validFrom: { $lte: now },
       validUntil: { $gte: now }
     })
-    .select('code discountPercent maxDiscountAmount minPurchaseAmount description validFrom validUntil')
+    .select('code discountType discountPercent maxDiscountAmount flatAmount buyQuantity freeQuantity minPurchaseAmount minTicketCount applicableTo eventIds tierIds membershipPlanIds serviceIds firstPurchaseOnly membersOnly description validFrom validUntil')
     .sort({ createdAt: -1 });
 
     return responseUtil.success(res, 'Active coupons retrieved successfully', { coupons });
@@ -162,27 +171,41 @@ export const getCouponById = async (req, res) => {
  * @param {string} code - Coupon code
  * @param {number} amount - Purchase amount
  * @param {string} phone - User's phone number (normalized to 10 digits)
- * @param {string} type - Type of purchase: 'EVENT', 'MEMBERSHIP', 'SESSION'
- * @returns {Object} { isValid, coupon, discountAmount, finalAmount, error }
+ * @param {string} type - Type of purchase: 'EVENT', 'MEMBERSHIP', 'SESSION', 'SERVICE', 'FEATURE'
+ * @param {Object} [context] - What is being bought, for targeted and bundle coupons
+ * @param {string} [context.userId] - Buyer's account, for per-user and first-purchase checks
+ * @param {string} [context.eventId]
+ * @param {string} [context.tierId] - Pricing tier _id
+ * @param {number} [context.ticketCount] - Tickets in the order (default 1)
+ * @param {number} [context.unitPrice] - Ticket price, for buy X get Y coupons
+ * @param {string} [context.membershipPlanId]
+ * @param {string[]} [context.serviceIds]
+ * @returns {Object} { isValid, coupon, discountAmount, finalAmount } or { isValid: false, reason, error }
  */
-export const validateCouponForType = async (code, amount, phone, type) => {
+export const validateCouponForType = async (code, amount, phone, type, context = {}) => {
   const logPrefix = '[COUPON-VALIDATE]';
   const startTime = Date.now();
+  const ticketCount = context.ticketCount || 1;
 
   console.log(`${logPrefix} ========== COUPON VALIDATION START ==========`);
   console.log(`${logPrefix} Input:`, {
     code: code?.toUpperCase() || 'N/A',
     amount,
     phone: phone ? `***${phone.slice(-4)}` : 'N/A',
-    type
+    type,
+    ticketCount
   });
 
+  const fail = ({ code: reason, message }) => {
+    console.log(`${logPrefix} [FAIL] ${reason}: ${message}`);
+    console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
+    return { isValid: false, reason, error: message };
+  };
+
   try {
     // Step 1: Check if code is provided
     if (!code) {
-      console.log(`${logPrefix} [FAIL] No coupon code provided`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Coupon code is required' };
+      return fail({ code: 'COUPON_REQUIRED', message: 'Coupon code is required' });
     }
 
     // Step 2: Find coupon in database
@@ -190,15 +213,15 @@ export const validateCouponForType = async (code, amount, phone, type) => {
     const coupon = await Coupon.findOne({ code: code.toUpperCase() });
 
     if (!coupon) {
-      console.log(`${logPrefix} [FAIL] Coupon not found in database`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Invalid coupon code' };
+      return fail({ code: 'NOT_FOUND', message: 'Invalid coupon code' });
     }
 
     console.log(`${logPrefix} [STEP 1] Coupon found:`, {
       id: coupon._id,
       code: coupon.code,
+      discountType: coupon.discountType,
       discountPercent: coupon.discountPercent,
+      flatAmount: coupon.flatAmount,
       maxDiscountAmount: coupon.maxDiscountAmount,
       minPurchaseAmount: coupon.minPurchaseAmount,
       applicableTo: coupon.applicableTo,
@@ -210,126 +233,55 @@ export const validateCouponForType = async (code, amount, phone, type) => {
       validUntil: coupon.validUntil
     });
 
-    // Step 3: Check if coupon is active
-    console.log(`${logPrefix} [STEP 2] Checking active status...`);
-    if (!coupon.isActive) {
-      console.log(`${logPrefix} [FAIL] Coupon is inactive`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Coupon is not active' };
-    }
-    console.log(`${logPrefix} [STEP 2] ✓ Coupon is active`);
-
-    // Step 4: Check validity dates
-    console.log(`${logPrefix} [STEP 3] Checking validity dates...`);
-    const now = new Date();
-    console.log(`${logPrefix} [STEP 3] Current time: ${now.toISOString()}`);
-    console.log(`${logPrefix} [STEP 3] Valid from: ${coupon.validFrom.toISOString()}`);
-    console.log(`${logPrefix} [STEP 3] Valid until: ${coupon.validUntil.toISOString()}`);
-
-    if (now < coupon.validFrom) {
-      const startsIn = Math.ceil((coupon.validFrom - now) / (1000 * 60 * 60 * 24));
-      console.log(`${logPrefix} [FAIL] Coupon not yet valid. Starts in ${startsIn} day(s)`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Coupon is not yet valid' };
+    // Step 3: Status, dates, type, targeting, usage and order thresholds
+    console.log(`${logPrefix} [STEP 2] Checking coupon rules for ${type || 'any purchase'}...`);
+    const ruleError = getCouponRuleError(coupon, {
+      type,
+      amount,
+      eventId: context.eventId,
+      tierId: context.tierId,
+      ticketCount,
+      membershipPlanId: context.membershipPlanId,
+      serviceIds: context.serviceIds
+    });
+    if (ruleError) {
+      return fail(ruleError);
     }
+    console.log(`${logPrefix} [STEP 2] ✓ Coupon rules satisfied`);
 
-    if (now > coupon.validUntil) {
-      const expiredAgo = Math.ceil((now - coupon.validUntil) / (1000 * 60 * 60 * 24));
-      console.log(`${logPrefix} [FAIL] Coupon expired ${expiredAgo} day(s) ago`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Coupon has expired' };
+    // Step 4: Generated codes are switched off with their batch
+    const batchError = await getCouponBatchError(coupon);
+    if (batchError) {
+      return fail(batchError);
     }
-    console.log(`${logPrefix} [STEP 3] ✓ Coupon is within validity period`);
 
-    // Step 5: Check if coupon is applicable to this type
-    console.log(`${logPrefix} [STEP 4] Checking applicability for type: ${type}...`);
-    const applicableTypes = coupon.applicableTo || ['ALL'];
-    console.log(`${logPrefix} [STEP 4] Coupon applicable to: ${applicableTypes.join(', ')}`);
-
-    if (!applicableTypes.includes('ALL') && !applicableTypes.includes(type)) {
-      console.log(`${logPrefix} [FAIL] Coupon not applicable for ${type}. Only valid for: ${applicableTypes.join(', ')}`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: `This coupon is not valid for ${type.toLowerCase()} purchases` };
+    // Step 5: Per-user limit, first purchase and membership
+    console.log(`${logPrefix} [STEP 3] Checking buyer eligibility...`);
+    const buyerError = await getCouponBuyerError(coupon, { phone, userId: context.userId });
+    if (buyerError) {
+      return fail(buyerError);
     }
-    console.log(`${logPrefix} [STEP 4] ✓ Coupon is applicable for ${type}`);
-
-    // Step 6: Check global usage limit
-    console.log(`${logPrefix} [STEP 5] Checking global usage limit...`);
-    console.log(`${logPrefix} [STEP 5] Current usage: ${coupon.usageCount}, Max limit: ${coupon.maxUsageLimit || 'Unlimited'}`);
+    console.log(`${logPrefix} [STEP 3] ✓ Buyer is eligible`);
 
-    if (coupon.maxUsageLimit !== null && coupon.usageCount >= coupon.maxUsageLimit) {
-      console.log(`${logPrefix} [FAIL] Global usage limit reached (${coupon.usageCount}/${coupon.maxUsageLimit})`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return { isValid: false, error: 'Coupon usage limit reached' };
-    }
-    console.log(`${logPrefix} [STEP 5] ✓ Global usage limit OK (${coupon.usageCount}/${coupon.maxUsageLimit || '∞'})`);
-
-    // Step 7: Check minimum purchase amount
-    console.log(`${logPrefix} [STEP 6] Checking minimum purchase amount...`);
-    console.log(`${logPrefix} [STEP 6] Purchase amount: ₹${amount}, Minimum required: ₹${coupon.minPurchaseAmount}`);
-
-    if (amount < coupon.minPurchaseAmount) {
-      console.log(`${logPrefix} [FAIL] Purchase amount ₹${amount} is below minimum ₹${coupon.minPurchaseAmount}`);
-      console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return {
-        isValid: false,
-        error: `Minimum purchase amount of ₹${coupon.minPurchaseAmount} required`
-      };
-    }
-    console.log(`${logPrefix} [STEP 6] ✓ Minimum purchase amount satisfied`);
-
-    // Step 8: Check user-specific usage by phone
-    console.log(`${logPrefix} [STEP 7] Checking per-user usage limit...`);
-    if (phone && coupon.maxUsagePerUser) {
-      const normalizedPhone = phone.slice(-10);
-      console.log(`${logPrefix} [STEP 7] Checking usage for phone: ***${normalizedPhone.slice(-4)}`);
-      console.log(`${logPrefix} [STEP 7] Max usage per user: ${coupon.maxUsagePerUser}`);
-
-      const userUsageCount = await Payment.countDocuments({
-        phone: normalizedPhone,
-        couponCode: coupon.code,
-        status: 'SUCCESS'
-      });
-
-      console.log(`${logPrefix} [STEP 7] User's current usage: ${userUsageCount}`);
-
-      if (userUsageCount >= coupon.maxUsagePerUser) {
-        console.log(`${logPrefix} [FAIL] Per-user limit reached (${userUsageCount}/${coupon.maxUsagePerUser})`);
-        console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-        return {
-          isValid: false,
-          error: 'You have reached the maximum usage limit for this coupon'
-        };
-      }
-      console.log(`${logPrefix} [STEP 7] ✓ Per-user usage limit OK (${userUsageCount}/${coupon.maxUsagePerUser})`);
-    } else {
-      console.log(`${logPrefix} [STEP 7] ✓ No per-user limit check needed (phone: ${phone ? 'provided' : 'not provided'}, maxUsagePerUser: ${coupon.maxUsagePerUser || 'not set'})`);
-    }
-
-    // Step 9: Calculate discount
-    console.log(`${logPrefix} [STEP 8] Calculating discount...`);
-    const calculatedDiscount = (amount * coupon.discountPercent) / 100;
-    const discountAmount = Math.min(calculatedDiscount, coupon.maxDiscountAmount);
-    const finalAmount = Math.max(amount - discountAmount, 0);
-
-    console.log(`${logPrefix} [STEP 8] Discount calculation:`, {
-      originalAmount: amount,
-      discountPercent: coupon.discountPercent,
-      calculatedDiscount: calculatedDiscount.toFixed(2),
-      maxDiscountCap: coupon.maxDiscountAmount,
-      appliedDiscount: discountAmount.toFixed(2),
-      finalAmount: finalAmount.toFixed(2),
-      savingsPercent: ((discountAmount / amount) * 100).toFixed(1) + '%'
+    // Step 6: Calculate discount
+    const discountAmount = calculateCouponDiscount(coupon, {
+      amount,
+      ticketCount,
+      unitPrice: context.unitPrice
     });
+    const finalAmount = Math.max(amount - discountAmount, 0);
+    // Effective percentage, so clients that only read discountPercent show the right saving
+    const discountPercent = coupon.discountType === 'PERCENT' || !amount
+      ? coupon.discountPercent
+      : Math.round((discountAmount / amount) * 10000) / 100;
 
-    // Success
     console.log(`${logPrefix} [SUCCESS] ✓ Coupon validation passed`);
     console.log(`${logPrefix} Summary:`, {
       couponCode: coupon.code,
+      discountType: coupon.discountType,
       originalAmount: `₹${amount}`,
-      discount: `₹${discountAmount.toFixed(2)} (${coupon.discountPercent}%)`,
-      finalAmount: `₹${finalAmount.toFixed(2)}`,
-      savings: `₹${discountAmount.toFixed(2)}`
+      discount: `₹${discountAmount.toFixed(2)} (${discountPercent}%)`,
+      finalAmount: `₹${finalAmount.toFixed(2)}`
     });
     console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
     console.log(`${logPrefix} ========== COUPON VALIDATION END ==========`);
@@ -339,8 +291,12 @@ export const validateCouponForType = async (code, amount, phone, type) => {
       coupon: {
         _id: coupon._id,
         code: coupon.code,
-        discountPercent: coupon.discountPercent,
+        discountType: coupon.discountType,
+        discountPercent,
         maxDiscountAmount: coupon.maxDiscountAmount,
+        flatAmount: coupon.flatAmount,
+        buyQuantity: coupon.buyQuantity,
+        freeQuantity: coupon.freeQuantity,
         description: coupon.description,
         validUntil: coupon.validUntil
       },
@@ -353,85 +309,57 @@ export const validateCouponForType = async (code, amount, phone, type) => {
     console.error(`${logPrefix} [ERROR] Stack:`, error.stack);
     console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
     console.log(`${logPrefix} ========== COUPON VALIDATION END (ERROR) ==========`);
-    return { isValid: false, error: 'Failed to validate coupon' };
+    return { isValid: false, reason: 'VALIDATION_FAILED', error: 'Failed to validate coupon' };
   }
 };
 
 /**
  * Validate and get coupon discount
+ * Pass the purchase type and what is being bought to check targeted coupons;
+ * a failed rule answers 400 with its reason in error.code
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} Response with coupon validation and discount
  */
 export const validateCoupon = async (req, res) => {
   try {
-    const { code, amount } = req.body;
-    const userId = req.user?.id;
-
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-
-    if (!coupon) {
-      return responseUtil.notFound(res, 'Invalid coupon code');
-    }
-
-    // Check if coupon is active
-    if (!coupon.isActive) {
-      return responseUtil.badRequest(res, 'Coupon is not active');
-    }
-
-    // Check validity dates
-    const now = new Date();
-    if (now < coupon.validFrom) {
-      return responseUtil.badRequest(res, 'Coupon is not yet valid');
-    }
-
-    if (now > coupon.validUntil) {
-      return responseUtil.badRequest(res, 'Coupon has expired');
-    }
-
-    // Check usage limit
-    if (coupon.maxUsageLimit !== null && coupon.usageCount >= coupon.maxUsageLimit) {
-      return responseUtil.badRequest(res, 'Coupon usage limit reached');
-    }
-
-    // Check minimum purchase amount
-    if (amount < coupon.minPurchaseAmount) {
-      return responseUtil.badRequest(
-        res,
-        `Minimum purchase amount of �${coupon.minPurchaseAmount} required`
-      );
-    }
+    const {
+      code,
+      amount,
+      type,
+      eventId,
+      tierId,
+      ticketCount,
+      unitPrice,
+      membershipPlanId,
+      serviceIds
+    } = req.body;
+
+    const result = await validateCouponForType(code, amount, req.user?.phone, type, {
+      userId: req.user?.id,
+      eventId,
+      tierId,
+      ticketCount,
+      unitPrice,
+      membershipPlanId,
+      serviceIds
+    });
 
-    // Check user-specific usage
-    if (userId && coupon.maxUsagePerUser) {
-      const userUsageCount = await Payment.countDocuments({
-        userId,
-        couponCode: coupon.code,
-        status: 'SUCCESS'
-      });
-
-      if (userUsageCount >= coupon.maxUsagePerUser) {
-        return responseUtil.badRequest(
-          res,
-          'You have reached the maximum usage limit for this coupon'
-        );
+    if (!result.isValid) {
+      if (result.reason === 'NOT_FOUND') {
+        return responseUtil.notFound(res, result.error);
+      }
+      if (result.reason === 'VALIDATION_FAILED') {
+        return responseUtil.internalError(res, result.error);
       }
+      return responseUtil.badRequest(res, result.error, { code: result.reason });
     }
 
-    // Calculate discount
-    const discountAmount = (amount * coupon.discountPercent) / 100;
-    const finalDiscount = Math.min(discountAmount, coupon.maxDiscountAmount);
-    const finalAmount = amount - finalDiscount;
-
     return responseUtil.success(res, 'Coupon is valid', {
-      coupon: {
-        code: coupon.code,
-        discountPercent: coupon.discountPercent,
-        maxDiscountAmount: coupon.maxDiscountAmount
-      },
-      originalAmount: amount,
-      discountAmount: finalDiscount,
-      finalAmount
+      coupon: result.coupon,
+      originalAmount: result.originalAmount,
+      discountAmount: result.discountAmount,
+      finalAmount: result.finalAmount
     });
   } catch (error) {
     console.error('Validate coupon error:', error);
@@ -516,6 +444,13 @@ export const updateCoupon = async (req, res) => {
       ]);
     }
 
+    // The discount type's own fields must be set once the update is applied
+    const shapeError = getCouponShapeError({ ...existingCoupon.toObject(), ...updateData });
+    if (shapeError) {
+      console.log('[COUPON-UPDATE] Validation failed:', shapeError.message);
+      return responseUtil.validationError(res, 'Validation failed', [shapeError]);
+    }
+
     console.log('[COUPON-UPDATE] Date validation passed, proceeding with update');
 
     const coupon = await Coupon.findByIdAndUpdate(
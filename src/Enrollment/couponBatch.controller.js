@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Coupon batch controller - bulk generation of unique
+ * single-use codes for college and partner campaigns
+ * @module controllers/couponBatch
+ */
+
+import Coupon from '../../schema/Coupon.schema.js';
+import CouponBatch from '../../schema/CouponBatch.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import {
+  getCodeFormatError,
+  generateBatchCoupons,
+  getBatchStats,
+  exportBatchCodes
+} from '../../services/couponBatch.service.js';
+
+/**
+ * Generate a batch of codes from one template (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the batch and how many codes were created
+ */
+export const createCouponBatch = async (req, res) => {
+  try {
+    const { name, notes, prefix, codeLength, charset, quantity, ...template } = req.body;
+
+    const formatError = getCodeFormatError({ charset, codeLength, quantity });
+    if (formatError) {
+      return responseUtil.badRequest(res, formatError);
+    }
+
+    // Check the template makes a valid coupon before writing thousands of them
+    await new Coupon({
+      ...template,
+      code: `${prefix}${'X'.repeat(codeLength)}`,
+      maxUsageLimit: 1,
+      maxUsagePerUser: 1,
+      createdBy: req.user.id
+    }).validate();
+
+    const batch = await CouponBatch.create({
+      name,
+      notes,
+      prefix,
+      codeLength,
+      charset,
+      quantity,
+      template,
+      createdBy: req.user.id
+    });
+
+    batch.generatedCount = await generateBatchCoupons(batch);
+    await batch.save();
+
+    console.log(`[COUPON-BATCH] Batch ${batch._id} "${name}": ${batch.generatedCount}/${quantity} codes generated`);
+
+    const message = batch.generatedCount < quantity
+      ? `Coupon batch created with ${batch.generatedCount} of ${quantity} codes`
+      : 'Coupon batch created successfully';
+
+    return responseUtil.created(res, message, { batch });
+  } catch (error) {
+    console.error('[COUPON-BATCH] Create batch error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map(key => ({
+        field: key,
+        message: error.errors[key].message
+      }));
+      return responseUtil.validationError(res, 'Validation failed', errors);
+    }
+
+    return responseUtil.internalError(res, 'Failed to create coupon batch', error.message);
+  }
+};
+
+/**
+ * Get coupon batches with code counts (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated batches
+ */
+export const getCouponBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, search } = req.query;
+
+    const query = {};
+    if (typeof isActive !== 'undefined') {
+      query.isActive = isActive;
+    }
+    if (search) {
+      query.$or = [
+        { name: new RegExp(search, 'i') },
+        { prefix: new RegExp(search, 'i') }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [batches, totalCount] = await Promise.all([
+      CouponBatch.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('createdBy', 'name email')
+        .lean(),
+      CouponBatch.countDocuments(query)
+    ]);
+
+    const counts = await Coupon.aggregate([
+      { $match: { batchId: { $in: batches.map((batch) => batch._id) }, isDeleted: false } },
+      {
+        $group: {
+          _id: '$batchId',
+          totalCodes: { $sum: 1 },
+          redeemedCodes: { $sum: { $cond: [{ $gt: ['$usageCount', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+    const countsByBatch = new Map(counts.map((count) => [String(count._id), count]));
+
+    return responseUtil.success(res, 'Coupon batches retrieved successfully', {
+      batches: batches.map((batch) => ({
+        ...batch,
+        totalCodes: countsByBatch.get(String(batch._id))?.totalCodes || 0,
+        redeemedCodes: countsByBatch.get(String(batch._id))?.redeemedCodes || 0
+      })),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit: Number(limit)
+      }
+    });
+  } catch (error) {
+    console.error('[COUPON-BATCH] Get batches error:', error);
+    return responseUtil.internalError(res, 'Failed to retrieve coupon batches', error.message);
+  }
+};
+
+/**
+ * Get a batch with its redemption stats (Admin only)
+ * Codes are listed through GET /api/web/coupons?batchId=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with batch and stats
+ */
+export const getCouponBatchById = async (req, res) => {
+  try {
+    const batch = await CouponBatch.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('disabledBy', 'name email');
+
+    if (!batch) {
+      return responseUtil.notFound(res, 'Coupon batch not found');
+    }
+
+    const stats = await getBatchStats(batch._id);
+
+    return responseUtil.success(res, 'Coupon batch retrieved successfully', { batch, stats });
+  } catch (error) {
+    console.error('[COUPON-BATCH] Get batch error:', error);
+    return responseUtil.internalError(res, 'Failed to retrieve coupon batch', error.message);
+  }
+};
+
+/**
+ * Download a batch's codes as CSV or XLSX (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportCouponBatch = async (req, res) => {
+  try {
+    const batch = await CouponBatch.findById(req.params.id);
+
+    if (!batch) {
+      return responseUtil.notFound(res, 'Coupon batch not found');
+    }
+
+    const { filename, content, contentType } = await exportBatchCodes(batch, req.query.format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    return res.send(content);
+  } catch (error) {
+    console.error('[COUPON-BATCH] Export error:', error);
+    return responseUtil.internalError(res, 'Failed to export coupon batch', error.message);
+  }
+};
+
+/**
+ * Turn every code of a batch off or back on, leaving each coupon's own
+ * isActive as it was
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} isActive
+ */
+const setCouponBatchActive = async (req, res, isActive) => {
+  try {
+    const batch = await CouponBatch.findByIdAndUpdate(
+      req.params.id,
+      {
+        isActive,
+        disabledAt: isActive ? null : new Date(),
+        disabledBy: isActive ? null : req.user.id
+      },
+      { new: true }
+    );
+
+    if (!batch) {
+      return responseUtil.notFound(res, 'Coupon batch not found');
+    }
+
+    console.log(`[COUPON-BATCH] Batch ${batch._id} ${isActive ? 'enabled' : 'disabled'} by ${req.user.id}`);
+
+    return responseUtil.success(
+      res,
+      isActive ? 'Coupon batch enabled successfully' : 'Coupon batch disabled successfully',
+      { batch }
+    );
+  } catch (error) {
+    console.error('[COUPON-BATCH] Update status error:', error);
+    return responseUtil.internalError(res, 'Failed to update coupon batch', error.message);
+  }
+};
+
+/**
+ * Disable every code of a batch (Admin only)
+ */
+export const disableCouponBatch = (req, res) => setCouponBatchActive(req, res, false);
+
+/**
+ * Re-enable the codes of a disabled batch (Admin only)
+ */
+export const enableCouponBatch = (req, res) => setCouponBatchActive(req, res, true);
+
+export default {
+  createCouponBatch,
+  getCouponBatches,
+  getCouponBatchById,
+  exportCouponBatch,
+  disableCouponBatch,
+  enableCouponBatch
+};
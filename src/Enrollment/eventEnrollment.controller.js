@@ -10,6 +10,7 @@ import Event from '../../schema/Event.schema.js';
 import User from '../../schema/User.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import { cancelSeatBooking } from '../SeatArrangement/seatArrangement.controller.js';
+import { triggerWaitlistPromotion } from '../../services/waitlist.service.js';
 
 /**
  * Create enrollment after successful payment
@@ -248,11 +249,11 @@ export const getUserEnrollments = async (req, res) => {
     // Execute both queries in parallel
     const [onlineEnrollments, cashEnrollments] = await Promise.all([
       EventEnrollment.find(onlineQuery)
-        .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode city price imageUrls')
+        .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode venueName city price imageUrls seriesId')
         .populate('paymentId', 'orderId amount finalAmount discountAmount')
         .lean(),
       CashEventEnrollment.find(cashQuery)
-        .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode city price imageUrls')
+        .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode venueName city price imageUrls seriesId')
         .populate('offlineCashId', 'priceCharged signature')
         .lean()
     ]);
@@ -382,7 +383,7 @@ export const getEnrollmentById = async (req, res) => {
     }
 
     const enrollment = await EventEnrollment.findOne(query)
-      .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode city price imageUrls')
+      .populate('eventId', 'name description startDate endDate bookingStartDate bookingEndDate mode venueName city price imageUrls seriesId')
       .populate('userId', 'name email phone')
       .populate('paymentId', 'orderId amount finalAmount discountAmount couponCode');
 
@@ -709,6 +710,9 @@ export const cancelEnrollment = async (req, res) => {
       }
 
       await Event.findByIdAndUpdate(enrollment.eventId._id, updateFields);
+
+      // Offer the freed seats to the waitlist
+      triggerWaitlistPromotion(enrollment.eventId._id);
     }
 
     return responseUtil.success(res, `${cancelledCount} ticket(s) cancelled successfully`, {
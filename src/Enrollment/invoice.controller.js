@@ -0,0 +1,274 @@
+/**
+ * @fileoverview GST invoices and credit notes — download and admin register
+ *
+ * Documents are issued by the payment webhook and the refund flow (see
+ * services/invoice.service.js). A payment confirmed before invoicing existed
+ * gets its invoice on first download.
+ *
+ * @module controllers/invoice
+ */
+
+import Invoice from '../../schema/Invoice.schema.js';
+import Payment from '../../schema/Payment.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import {
+  INVOICEABLE_STATUSES,
+  isDraft,
+  issueInvoice,
+  issueMissingDocuments,
+  renderInvoicePdf
+} from '../../services/invoice.service.js';
+
+/**
+ * Fields returned when listing documents (the PDF itself is a separate download)
+ */
+const LIST_FIELDS =
+  'documentType number financialYear issuedAt paymentId orderId paymentType buyer.name ' +
+  'buyer.phone buyer.gstin supplyType gstRate taxableValue cgst sgst igst totalTax grandTotal ' +
+  'originalInvoiceNumber refundId reason pdf.url';
+
+/**
+ * Send a document as a PDF download
+ * @param {Object} res - Express response object
+ * @param {Object} invoice - Invoice document
+ */
+const sendInvoicePdf = async (res, invoice) => {
+  if (isDraft(invoice)) {
+    return responseUtil.conflict(res, 'Invoice is being generated. Please retry in a moment.');
+  }
+
+  const { filename, content } = await renderInvoicePdf(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', content.length);
+
+  return res.send(content);
+};
+
+/**
+ * Find a payment the requester may see invoices for
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+const findOwnPayment = (req) => {
+  const isAdmin = req.user.userType === 'admin';
+  const query = isAdmin ? { _id: req.params.id } : { _id: req.params.id, userId: req.user.id };
+  return Payment.findOne(query);
+};
+
+/**
+ * Download the tax invoice for one of the user's payments
+ * @route GET /api/app/payments/:id/invoice
+ * @access Authenticated User
+ */
+export const downloadPaymentInvoice = async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+
+    if (!payment) {
+      return responseUtil.notFound(res, 'Payment not found');
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+      return responseUtil.badRequest(res, 'Invoices are only available for completed payments');
+    }
+
+    const invoice = await issueInvoice(payment);
+
+    if (!invoice) {
+      return responseUtil.notFound(res, 'No invoice is issued for free orders');
+    }
+
+    return await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('[INVOICE] Download error:', error.message);
+    return responseUtil.internalError(res, 'Failed to download invoice', error.message);
+  }
+};
+
+/**
+ * List the invoice and credit notes for one of the user's payments
+ * @route GET /api/app/payments/:id/invoices
+ * @access Authenticated User
+ */
+export const getPaymentInvoices = async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+
+    if (!payment) {
+      return responseUtil.notFound(res, 'Payment not found');
+    }
+
+    const invoices = await Invoice.find({ paymentId: payment._id })
+      .select(LIST_FIELDS)
+      .sort({ issuedAt: 1 });
+
+    return responseUtil.success(res, 'Invoices retrieved successfully', {
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      invoices
+    });
+  } catch (error) {
+    console.error('[INVOICE] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve invoices', error.message);
+  }
+};
+
+/**
+ * Download one invoice or credit note of the user's payment
+ * @route GET /api/app/payments/:id/invoices/:invoiceId/pdf
+ * @access Authenticated User
+ */
+export const downloadPaymentDocument = async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+
+    if (!payment) {
+      return responseUtil.notFound(res, 'Payment not found');
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.invoiceId, paymentId: payment._id });
+
+    if (!invoice) {
+      return responseUtil.notFound(res, 'Invoice not found');
+    }
+
+    return await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('[INVOICE] Document download error:', error.message);
+    return responseUtil.internalError(res, 'Failed to download invoice', error.message);
+  }
+};
+
+/**
+ * Issue any missing invoice or credit notes for a payment
+ * For payments confirmed before invoicing existed, or whose issue failed.
+ * @route POST /api/web/payments/:id/invoices
+ * @access Admin
+ */
+export const issuePaymentInvoices = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return responseUtil.notFound(res, 'Payment not found');
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+      return responseUtil.badRequest(res, `Cannot invoice a payment with status ${payment.status}`);
+    }
+
+    const invoices = await issueMissingDocuments(payment);
+
+    console.log('[INVOICE] Documents issued by admin:', {
+      paymentId: payment._id,
+      adminId: req.user?.id,
+      numbers: invoices.map((invoice) => invoice.number)
+    });
+
+    return responseUtil.success(res, 'Invoices issued successfully', {
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      invoices
+    });
+  } catch (error) {
+    console.error('[INVOICE] Issue error:', error.message);
+    return responseUtil.internalError(res, 'Failed to issue invoices', error.message);
+  }
+};
+
+/**
+ * Invoice register for finance: every invoice and credit note, filterable
+ * by type and issue date, with totals for the filtered set
+ * @route GET /api/web/invoices
+ * @access Admin
+ */
+export const getAllInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, documentType, paymentType, financialYear, from, to, search } = req.query;
+
+    const query = {};
+
+    if (documentType) query.documentType = documentType;
+    if (paymentType) query.paymentType = paymentType;
+    if (financialYear) query.financialYear = financialYear;
+    if (from || to) {
+      query.issuedAt = {};
+      if (from) query.issuedAt.$gte = new Date(from);
+      if (to) query.issuedAt.$lte = new Date(to);
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ number: pattern }, { orderId: pattern }, { 'buyer.phone': pattern }];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [invoices, totalCount, totals] = await Promise.all([
+      Invoice.find(query)
+        .select(LIST_FIELDS)
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Invoice.countDocuments(query),
+      Invoice.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: '$documentType',
+            count: { $sum: 1 },
+            taxableValue: { $sum: '$taxableValue' },
+            cgst: { $sum: '$cgst' },
+            sgst: { $sum: '$sgst' },
+            igst: { $sum: '$igst' },
+            grandTotal: { $sum: '$grandTotal' }
+          }
+        }
+      ])
+    ]);
+
+    return responseUtil.success(res, 'Invoices retrieved successfully', {
+      invoices,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit: Number(limit)
+      },
+      totals
+    });
+  } catch (error) {
+    console.error('[INVOICE] Register error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve invoices', error.message);
+  }
+};
+
+/**
+ * Download any invoice or credit note
+ * @route GET /api/web/invoices/:invoiceId/pdf
+ * @access Admin
+ */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+
+    if (!invoice) {
+      return responseUtil.notFound(res, 'Invoice not found');
+    }
+
+    return await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('[INVOICE] Admin download error:', error.message);
+    return responseUtil.internalError(res, 'Failed to download invoice', error.message);
+  }
+};
+
+export default {
+  downloadPaymentInvoice,
+  getPaymentInvoices,
+  downloadPaymentDocument,
+  issuePaymentInvoices,
+  getAllInvoices,
+  downloadInvoice
+};
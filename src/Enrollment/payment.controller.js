@@ -4,11 +4,19 @@
  */
 
 import Payment from '../../schema/Payment.schema.js';
-import Coupon from '../../schema/Coupon.schema.js';
 import Event from '../../schema/Event.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import PaymentServiceFactory from '../../services/payment/PaymentServiceFactory.js';
 import { reserveSeats, releaseSeatReservation } from '../SeatArrangement/seatArrangement.controller.js';
+import { releaseTierHold } from '../../services/ticketTier.service.js';
+import {
+  holdCouponUse,
+  releaseUnsavedCouponHold,
+  confirmCouponUse,
+  releaseCouponHold
+} from '../../services/couponHold.service.js';
+import { validateCouponForType } from './coupon.controller.js';
+import { validateUserReferral, creditReferrer } from '../../services/userReferral.service.js';
 
 /**
  * Get payment service instance
@@ -22,13 +30,17 @@ const paymentService = PaymentServiceFactory.getPaymentService();
  * @returns {Object} Response with order details
  */
 export const createPaymentOrder = async (req, res) => {
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
-    const { type, eventId, sessionId, amount, couponCode, metadata } = req.body;
+    const { type, eventId, sessionId, amount, couponCode, userReferralCode, metadata } = req.body;
     const userId = req.user.id;
 
     let finalAmount = amount;
     let discountAmount = 0;
     let appliedCouponCode = null;
+    let userReferral = null;
 
     // Validate event if type is EVENT
     if (type === 'EVENT' && eventId) {
@@ -55,8 +67,10 @@ export const createPaymentOrder = async (req, res) => {
         return responseUtil.badRequest(res, 'Booking has closed for this event');
       }
 
-      // Check available seats only if the event tracks them
-      if (event.availableSeats != null && event.availableSeats <= 0) {
+      // Check available seats only if the event tracks them.
+      // Seats held for waitlist offers are not bookable.
+      const bookableSeats = event.getBookableSeats();
+      if (bookableSeats != null && bookableSeats <= 0) {
         return responseUtil.badRequest(res, 'No seats available for this event');
       }
 
@@ -98,52 +112,59 @@ export const createPaymentOrder = async (req, res) => {
 
     // Apply coupon if provided
     if (couponCode) {
-      const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
-
-      if (!coupon) {
-        return responseUtil.notFound(res, 'Invalid coupon code');
-      }
-
-      // Validate coupon
-      const now = new Date();
-      if (!coupon.isActive) {
-        return responseUtil.badRequest(res, 'Coupon is not active');
-      }
+      const couponValidation = await validateCouponForType(
+        couponCode,
+        amount,
+        metadata?.buyer?.phone || req.user.phone,
+        type,
+        {
+          userId,
+          eventId,
+          tierId: metadata?.priceTierId,
+          ticketCount: metadata?.totalTickets || 1
+        }
+      );
 
-      if (now < coupon.validFrom || now > coupon.validUntil) {
-        return responseUtil.badRequest(res, 'Coupon is not valid at this time');
+      if (!couponValidation.isValid) {
+        if (couponValidation.reason === 'NOT_FOUND') {
+          return responseUtil.notFound(res, couponValidation.error);
+        }
+        return responseUtil.badRequest(res, couponValidation.error, { code: couponValidation.reason });
       }
 
-      if (coupon.maxUsageLimit !== null && coupon.usageCount >= coupon.maxUsageLimit) {
-        return responseUtil.badRequest(res, 'Coupon usage limit reached');
-      }
+      discountAmount = couponValidation.discountAmount;
+      finalAmount = couponValidation.finalAmount;
+      appliedCouponCode = couponValidation.coupon.code;
+    }
 
-      if (amount < coupon.minPurchaseAmount) {
-        return responseUtil.badRequest(
-          res,
-          `Minimum purchase amount of ₹${coupon.minPurchaseAmount} required`
-        );
+    // Apply a personal referral code if provided
+    if (userReferralCode) {
+      if (type !== 'EVENT') {
+        return responseUtil.badRequest(res, 'Referral codes apply to events, memberships and feature access', { code: 'NOT_APPLICABLE' });
       }
 
-      // Check user-specific usage
-      const userUsageCount = await Payment.countDocuments({
-        userId,
-        couponCode: coupon.code,
-        status: 'SUCCESS'
+      const referralValidation = await validateUserReferral({
+        code: userReferralCode,
+        amount,
+        buyer: {
+          userId,
+          phone: metadata?.buyer?.phone || req.user.phone,
+          email: metadata?.buyer?.email || req.user.email
+        },
+        ticketPhones: (metadata?.others || []).map(other => other.phone),
+        couponCode: appliedCouponCode
       });
 
-      if (userUsageCount >= coupon.maxUsagePerUser) {
-        return responseUtil.badRequest(
-          res,
-          'You have reached the maximum usage limit for this coupon'
-        );
+      if (!referralValidation.isValid) {
+        if (referralValidation.reason === 'NOT_FOUND') {
+          return responseUtil.notFound(res, referralValidation.error);
+        }
+        return responseUtil.badRequest(res, referralValidation.error, { code: referralValidation.reason });
       }
 
-      // Calculate discount
-      discountAmount = (amount * coupon.discountPercent) / 100;
-      discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
-      finalAmount = amount - discountAmount;
-      appliedCouponCode = coupon.code;
+      discountAmount = referralValidation.discountAmount;
+      finalAmount = referralValidation.finalAmount;
+      userReferral = referralValidation.referral;
     }
 
     // Ensure final amount is not negative
@@ -151,6 +172,17 @@ export const createPaymentOrder = async (req, res) => {
       finalAmount = 0;
     }
 
+    // Take the coupon use now, so a limited coupon can't be redeemed by more
+    // orders than it has uses while their payments are pending
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode);
+      if (!couponHold) {
+        return responseUtil.badRequest(res, 'Coupon usage limit reached', { code: 'USAGE_LIMIT_REACHED' });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
     // Create order using payment service
     const gatewayOrder = await paymentService.createOrder({
       amount: finalAmount,
@@ -176,10 +208,16 @@ export const createPaymentOrder = async (req, res) => {
       discountAmount,
       finalAmount,
       status: 'PENDING',
-      metadata: metadata || {}
+      metadata: {
+        ...metadata,
+        ...(userReferral && { userReferral }),
+        // Held coupon use, settled by the payment webhooks
+        ...(couponHold && { couponHold })
+      }
     });
 
     await payment.save();
+    unsavedCouponHold = null;
 
     // Reserve seats if event has seat arrangement
     if (type === 'EVENT' && eventId) {
@@ -223,6 +261,9 @@ export const createPaymentOrder = async (req, res) => {
             paymentId: payment._id,
             orderId: gatewayOrder.id
           });
+          if (couponHold) {
+            await releaseUnsavedCouponHold(couponHold);
+          }
 
           return responseUtil.badRequest(res, seatError.message || 'Selected seats are no longer available');
         }
@@ -239,7 +280,8 @@ export const createPaymentOrder = async (req, res) => {
         currency: 'INR',
         originalAmount: amount,
         discountAmount,
-        couponApplied: !!appliedCouponCode
+        couponApplied: !!appliedCouponCode,
+        referralApplied: !!userReferral
       },
       gateway: {
         name: paymentService.getGatewayName(),
@@ -249,6 +291,11 @@ export const createPaymentOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Create payment order error:', error);
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error('[COUPON] Hold release FAILED:', releaseError.message);
+      });
+    }
 
     if (error.name === 'ValidationError') {
       const errors = Object.keys(error.errors).map(key => ({
@@ -284,6 +331,11 @@ export const verifyPayment = async (req, res) => {
       return responseUtil.badRequest(res, 'Payment already verified');
     }
 
+    // A failed or refunded order must not be revived by a late verify call
+    if (payment.status !== 'PENDING') {
+      return responseUtil.badRequest(res, 'Payment can no longer be verified');
+    }
+
     // Verify payment using payment service
     const isValid = await paymentService.verifyPayment({
       orderId,
@@ -306,12 +358,14 @@ export const verifyPayment = async (req, res) => {
     payment.purchaseDateTime = new Date();
     await payment.save();
 
-    // Increment coupon usage if coupon was used
-    if (payment.couponCode) {
-      await Coupon.findOneAndUpdate(
-        { code: payment.couponCode },
-        { $inc: { usageCount: 1 } }
-      );
+    // Keep the coupon use held by the order (a no-op if the webhook got there first)
+    await confirmCouponUse(payment);
+
+    // Credit the referrer (a no-op if the webhook got there first)
+    try {
+      await creditReferrer(payment);
+    } catch (error) {
+      console.error('[USER-REFERRAL] Crediting referrer failed:', error.message);
     }
 
     // Note: Event ticket counts (ticketsSold, availableSeats) are updated
@@ -563,6 +617,12 @@ export const handlePaymentFailure = async (req, res) => {
       }
     }
 
+    // Give held pricing tier tickets back
+    await releaseTierHold(payment);
+
+    // Give the coupon use held by the order back
+    await releaseCouponHold(payment);
+
     return responseUtil.success(res, 'Payment failure recorded');
   } catch (error) {
     console.error('Handle payment failure error:', error);
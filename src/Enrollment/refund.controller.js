@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Admin-initiated refunds
+ *
+ * Refunds go through the payment service abstraction, so they work the same
+ * against Razorpay and the mock gateway. The linked entities are reversed as
+ * soon as the gateway accepts the refund — the refund.processed webhook that
+ * follows recognises the refund by its ID and only marks it PROCESSED.
+ *
+ * Every refund is recorded in Payment.refunds with the admin, reason, amount
+ * and what it reversed. That array is the audit trail. Each refund also gets
+ * a GST credit note against the payment's invoice.
+ *
+ * @module controllers/refund
+ */
+
+import Payment from '../../schema/Payment.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import PaymentServiceFactory from '../../services/payment/PaymentServiceFactory.js';
+import {
+  reverseRelatedEntities,
+  refundEnrollmentTickets,
+  describeReversals,
+  issueCreditNoteSafely
+} from '../razorpay/razorpay.webhook.js';
+
+/**
+ * Get payment service instance
+ */
+const paymentService = PaymentServiceFactory.getPaymentService();
+
+/**
+ * Round a rupee amount to paise precision, so repeated partial refunds do not
+ * drift by floating point error.
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Issue a refund and reverse the linked entities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {'FULL'|'PARTIAL'} options.scope
+ * @param {number} [options.amount] - Required for PARTIAL
+ * @param {Array<string>} [options.phones] - EVENT tickets covered by a PARTIAL refund
+ * @returns {Object} Response with the refund record
+ */
+const processRefund = async (req, res, { scope, amount, phones = [] }) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const adminId = req.user?._id || req.user?.id;
+
+  const payment = await Payment.findById(id);
+
+  if (!payment) {
+    return responseUtil.notFound(res, 'Payment not found');
+  }
+
+  if (payment.metadata?.paymentMethod === 'CASH') {
+    return responseUtil.badRequest(res, 'Cash payments cannot be refunded through the payment gateway');
+  }
+
+  if (!payment.paymentId) {
+    return responseUtil.badRequest(res, 'Payment has no gateway payment ID to refund');
+  }
+
+  if (!['SUCCESS', 'PARTIALLY_REFUNDED'].includes(payment.status)) {
+    return responseUtil.badRequest(res, `Cannot refund a payment with status ${payment.status}`);
+  }
+
+  if (phones.length > 0 && payment.type !== 'EVENT') {
+    return responseUtil.badRequest(res, 'Ticket phones can only be given for event payments');
+  }
+
+  const alreadyRefunded = payment.refundedAmount || 0;
+  const remaining = roundAmount(payment.finalAmount - alreadyRefunded);
+
+  if (remaining <= 0) {
+    return responseUtil.badRequest(res, 'Payment has already been fully refunded');
+  }
+
+  let refundAmount = remaining;
+  let refundScope = scope;
+
+  if (scope === 'PARTIAL') {
+    refundAmount = roundAmount(amount);
+
+    if (refundAmount > remaining) {
+      return responseUtil.badRequest(res, `Refund amount exceeds the refundable balance of ₹${remaining}`);
+    }
+
+    // Refunding the whole remaining balance is a full refund, whatever the endpoint
+    if (refundAmount === remaining) {
+      refundScope = 'FULL';
+    }
+  }
+
+  // Reserve the amount before calling the gateway. Matching on the
+  // refundedAmount we just read makes this a compare-and-set: if another
+  // refund for this payment got in first, we stop instead of refunding twice.
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['SUCCESS', 'PARTIALLY_REFUNDED'] },
+      refundedAmount: alreadyRefunded
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return responseUtil.conflict(res, 'Another refund for this payment is in progress. Please retry.');
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await paymentService.refund(payment.paymentId, refundAmount, reason);
+  } catch (gatewayError) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+
+    const message = gatewayError.error?.description || gatewayError.message;
+    console.error('[REFUND] Gateway refund failed:', {
+      paymentId: payment.paymentId,
+      amount: refundAmount,
+      error: message
+    });
+    return responseUtil.badRequest(res, 'Payment gateway rejected the refund', message);
+  }
+
+  console.log('[REFUND] Gateway refund created:', {
+    refundId: gatewayRefund.id,
+    paymentId: payment.paymentId,
+    amount: refundAmount,
+    scope: refundScope,
+    adminId
+  });
+
+  const refundRecord = {
+    refundId: gatewayRefund.id,
+    amount: refundAmount,
+    scope: refundScope,
+    reason,
+    status: gatewayRefund.status === 'processed' ? 'PROCESSED' : 'PENDING',
+    source: 'ADMIN',
+    phones,
+    initiatedBy: adminId,
+    processedAt: gatewayRefund.status === 'processed' ? new Date() : null
+  };
+
+  // Record the refund before reversing anything, so a refund.processed webhook
+  // that arrives mid-reversal finds it and does not reverse a second time.
+  const updated = await Payment.findByIdAndUpdate(
+    payment._id,
+    {
+      $set: { status: refundScope === 'FULL' ? 'REFUNDED' : 'PARTIALLY_REFUNDED' },
+      $push: { refunds: refundRecord }
+    },
+    { new: true }
+  );
+
+  let reversals = [];
+
+  if (refundScope === 'FULL') {
+    reversals = describeReversals(updated);
+    await reverseRelatedEntities(updated);
+  } else if (phones.length > 0) {
+    const refundedPhones = await refundEnrollmentTickets(updated, phones);
+    reversals = refundedPhones.map((phone) => `ticket:${phone}`);
+  }
+
+  const final = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'refunds.refundId': gatewayRefund.id },
+    { $set: { 'refunds.$.reversals': reversals } },
+    { new: true }
+  );
+
+  const refund = final.refunds.find((r) => r.refundId === gatewayRefund.id);
+  const creditNote = await issueCreditNoteSafely(final, refund);
+
+  console.log('[REFUND] Completed:', {
+    paymentId: payment._id,
+    refundId: gatewayRefund.id,
+    status: final.status,
+    reversals
+  });
+
+  return responseUtil.success(res, 'Refund initiated successfully', {
+    refund,
+    creditNote: creditNote
+      ? { _id: creditNote._id, number: creditNote.number, grandTotal: creditNote.grandTotal }
+      : null,
+    payment: {
+      _id: final._id,
+      orderId: final.orderId,
+      type: final.type,
+      status: final.status,
+      finalAmount: final.finalAmount,
+      refundedAmount: final.refundedAmount
+    }
+  });
+};
+
+/**
+ * Refund the full remaining balance of a payment
+ * Reverses everything the payment created: tickets and seats, coupon and
+ * voucher usage, membership, session booking, service subscriptions.
+ * @route POST /api/web/payments/:id/refund
+ * @access Super Admin
+ */
+export const refundPayment = async (req, res) => {
+  try {
+    return await processRefund(req, res, { scope: 'FULL' });
+  } catch (error) {
+    console.error('[REFUND] Full refund error:', error.message);
+    return responseUtil.internalError(res, 'Failed to refund payment', error.message);
+  }
+};
+
+/**
+ * Refund part of a payment
+ * For event payments, `phones` names the tickets the refund covers; those are
+ * cancelled and their seats released. Without phones, only money moves.
+ * @route POST /api/web/payments/:id/refund/partial
+ * @access Super Admin
+ */
+export const partialRefundPayment = async (req, res) => {
+  try {
+    const { amount, phones } = req.body;
+    return await processRefund(req, res, { scope: 'PARTIAL', amount, phones });
+  } catch (error) {
+    console.error('[REFUND] Partial refund error:', error.message);
+    return responseUtil.internalError(res, 'Failed to refund payment', error.message);
+  }
+};
+
+/**
+ * List the refunds issued against a payment
+ * @route GET /api/web/payments/:id/refunds
+ * @access Admin
+ */
+export const getPaymentRefunds = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .select('orderId type status finalAmount refundedAmount refunds')
+      .populate('refunds.initiatedBy', 'name username');
+
+    if (!payment) {
+      return responseUtil.notFound(res, 'Payment not found');
+    }
+
+    return responseUtil.success(res, 'Refunds retrieved successfully', {
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      status: payment.status,
+      finalAmount: payment.finalAmount,
+      refundedAmount: payment.refundedAmount,
+      refundableAmount: roundAmount(payment.finalAmount - (payment.refundedAmount || 0)),
+      refunds: payment.refunds
+    });
+  } catch (error) {
+    console.error('[REFUND] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve refunds', error.message);
+  }
+};
+
+export default {
+  refundPayment,
+  partialRefundPayment,
+  getPaymentRefunds
+};
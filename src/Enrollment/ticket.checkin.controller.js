@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Gate check-in and live attendance for events
+ * @module controllers/ticketCheckIn
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import { TICKET_TYPES } from "../../utils/ticketSignature.util.js";
+import { canScanEvent, checkInTicket, identifyScannedTicket } from "../../services/ticketScan.service.js";
+import { getAttendanceSnapshot } from "../../services/attendance.service.js";
+import { getWrongEventReason } from "../../services/eventSeries.service.js";
+
+// Live stream: one snapshot every `interval` seconds, closed after MAX_STREAM_MS
+// (clients reconnect) so an abandoned dashboard cannot poll forever
+const MAX_STREAM_MS = 30 * 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Check a ticket in or out at a gate
+ * @route POST /api/web/tickets/check-in
+ * @access Admin/Staff (management staff: assigned events only)
+ */
+export const checkIn = async (req, res) => {
+  try {
+    const { eventId, gate, direction, deviceId } = req.body;
+
+    if (!(await canScanEvent(req.user, eventId))) {
+      return responseUtil.forbidden(res, "You do not have access to this event");
+    }
+
+    const { ticket, reason } = identifyScannedTicket(req.body);
+    if (!ticket) {
+      return responseUtil.unauthorized(res, "Invalid ticket - signature check failed", reason);
+    }
+    if (ticket.eventId && ticket.eventId !== String(eventId)) {
+      const wrongEvent = await getWrongEventReason(ticket.eventId, eventId);
+      return responseUtil.badRequest(
+        res,
+        wrongEvent === "WRONG_OCCURRENCE" ? "Ticket is for another date of this event" : "Ticket is for a different event",
+        wrongEvent
+      );
+    }
+    if (![TICKET_TYPES.ENROLLMENT, TICKET_TYPES.CASH].includes(ticket.type)) {
+      return responseUtil.badRequest(res, "Invalid ticket", "MALFORMED");
+    }
+
+    const result = await checkInTicket({
+      ticket,
+      eventId,
+      direction,
+      gate: gate || null,
+      deviceId: deviceId || null,
+      mode: "ONLINE",
+      adminId: req.user.id,
+    });
+
+    const admitted = result.result === "ACCEPTED" || result.result === "RE_ENTRY";
+    const messages = {
+      ACCEPTED: direction === "EXIT" ? "Exit recorded" : "Entry granted",
+      RE_ENTRY: "Re-entry granted",
+      DUPLICATE: "Already checked in at this gate",
+      CONFLICT: "Ticket already checked in elsewhere",
+      REJECTED: {
+        NOT_INSIDE: "Ticket holder has not entered",
+        WRONG_OCCURRENCE: "Ticket is for another date of this event",
+      }[result.reason] || "Ticket cannot be checked in",
+    };
+
+    return responseUtil.success(res, messages[result.result], {
+      admitted,
+      ...result,
+    });
+  } catch (error) {
+    console.error("[CHECK-IN] Check-in error:", error.message);
+    return responseUtil.internalError(res, "Failed to check ticket in", error.message);
+  }
+};
+
+/**
+ * Attendance snapshot: check-ins by tier, gate and time bucket
+ * @route GET /api/web/tickets/attendance/events/:eventId
+ * @access Admin/Staff (management staff: assigned events only)
+ */
+export const getEventAttendance = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { bucketMinutes, since } = req.query;
+
+    if (!(await canScanEvent(req.user, eventId))) {
+      return responseUtil.forbidden(res, "You do not have access to this event");
+    }
+
+    const snapshot = await getAttendanceSnapshot(eventId, { bucketMinutes, since });
+    if (!snapshot) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    return responseUtil.success(res, "Attendance retrieved successfully", snapshot);
+  } catch (error) {
+    console.error("[CHECK-IN] Attendance error:", error.message);
+    return responseUtil.internalError(res, "Failed to retrieve attendance", error.message);
+  }
+};
+
+/**
+ * Live attendance as Server-Sent Events: an `attendance` event with the
+ * snapshot every `interval` seconds. Send the bearer token as usual (use a
+ * fetch-based SSE client; browser EventSource cannot set headers).
+ * @route GET /api/web/tickets/attendance/events/:eventId/stream
+ * @access Admin/Staff (management staff: assigned events only)
+ */
+export const streamEventAttendance = async (req, res) => {
+  const { eventId } = req.params;
+  const { bucketMinutes, since, interval } = req.query;
+
+  try {
+    if (!(await canScanEvent(req.user, eventId))) {
+      return responseUtil.forbidden(res, "You do not have access to this event");
+    }
+
+    const first = await getAttendanceSnapshot(eventId, { bucketMinutes, since });
+    if (!first) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send("attendance", first);
+
+    let busy = false;
+    const timer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        const snapshot = await getAttendanceSnapshot(eventId, { bucketMinutes, since });
+        if (snapshot) send("attendance", snapshot);
+      } catch (error) {
+        console.error("[CHECK-IN] Attendance stream error:", error.message);
+        send("error", { message: "Failed to refresh attendance" });
+      } finally {
+        busy = false;
+      }
+    }, interval * 1000);
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+    const close = () => {
+      clearInterval(timer);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    };
+    const expiry = setTimeout(() => {
+      close();
+      send("end", { reason: "STREAM_EXPIRED" });
+      res.end();
+    }, MAX_STREAM_MS);
+
+    req.on("close", close);
+  } catch (error) {
+    console.error("[CHECK-IN] Attendance stream error:", error.message);
+    if (!res.headersSent) {
+      return responseUtil.internalError(res, "Failed to stream attendance", error.message);
+    }
+    res.end();
+  }
+};
+
+export default {
+  checkIn,
+  getEventAttendance,
+  streamEventAttendance,
+};
@@ -10,6 +10,12 @@ import Event from "../../schema/Event.schema.js";
 import User from "../../schema/User.schema.js";
 import Voucher from "../../schema/Voucher.Schema.js";
 import responseUtil from "../../utils/response.util.js";
+import {
+  TICKET_TYPES,
+  signTicketLink,
+  checkTicketLinkSignature,
+} from "../../utils/ticketSignature.util.js";
+import { checkInTicket, getScanContext } from "../../services/ticketScan.service.js";
 import fs from "fs";
 import path from "path";
 
@@ -59,6 +65,17 @@ const findTicketByPhone = (enrollment, phone) => {
   return { ticket: null, matchedPhone: null };
 };
 
+/**
+ * Scanner message for a successful check-in
+ * @param {Object} checkIn - Result of checkInTicket
+ * @returns {string}
+ */
+const getCheckInMessage = (checkIn) => {
+  if (checkIn.direction === "EXIT") return "Exit recorded";
+  if (checkIn.result === "RE_ENTRY") return "Ticket verified successfully - Re-entry granted";
+  return "Ticket verified successfully - Entry granted";
+};
+
 /**
  * Generate JWT tokens for all tickets in enrollment
  * @param {Object} req - Express request object
@@ -169,10 +186,16 @@ export const generateQRCode = async (req, res) => {
       expiresIn: "30d",
     });
 
-    // Create verification URL
-    const verificationUrl = `${req.protocol}://${req.get(
-      "host"
-    )}/api/web/tickets/verify?token=${token}`;
+    // Create verification URL, signed so offline scanners can verify it too
+    const verificationUrl = signTicketLink(
+      `${req.protocol}://${req.get("host")}/api/web/tickets/verify?token=${token}`,
+      {
+        type: TICKET_TYPES.ENROLLMENT,
+        enrollmentId: enrollment._id,
+        eventId: enrollment.eventId._id,
+        phone: matchedPhone,
+      }
+    );
 
     // Generate QR code as buffer
     const qrBuffer = await QRCode.toBuffer(verificationUrl, {
@@ -285,48 +308,50 @@ export const verifyTicket = async (req, res) => {
       );
     }
 
-    // Check if ticket was already scanned
-    if (ticket.isTicketScanned) {
-      return responseUtil.success(res, "Ticket is valid but already scanned", {
-        isValid: true,
-        isAlreadyScanned: true,
-        scannedAt: ticket.ticketScannedAt,
-        ticket: {
-          phone: matchedPhone,
-          status: ticket.status,
-          assignedSeat: ticket.assignedSeat || null,
-        },
-        enrollment: {
-          id: enrollment._id,
-          user: {
-            name: enrollment.userId.name,
-            email: enrollment.userId.email,
-            phone: enrollment.userId.phone,
-          },
-          event: {
-            name: enrollment.eventId.name,
-            startDate: enrollment.eventId.startDate,
-            endDate: enrollment.eventId.endDate,
-            location: enrollment.eventId.location,
-          },
-        },
-      });
+    const scanContext = getScanContext(req);
+    if (scanContext.error) {
+      return responseUtil.badRequest(res, scanContext.error);
+    }
+
+    const checkIn = await checkInTicket({
+      ticket: {
+        type: TICKET_TYPES.ENROLLMENT,
+        enrollmentId: enrollment._id,
+        phone: matchedPhone,
+        issuedAt: decoded.iat ? new Date(decoded.iat * 1000) : null,
+      },
+      eventId: enrollment.eventId._id,
+      direction: scanContext.direction,
+      gate: scanContext.gate,
+      deviceId: scanContext.deviceId,
+      mode: "ONLINE",
+      adminId: req.user?.id || null,
+    });
+
+    if (checkIn.result === "REJECTED") {
+      return responseUtil.badRequest(
+        res,
+        checkIn.reason === "NOT_INSIDE" ? "Ticket holder has not entered" : "Ticket could not be checked in",
+        checkIn.reason
+      );
     }
 
-    // Mark this specific ticket as scanned
-    ticket.isTicketScanned = true;
-    ticket.ticketScannedAt = new Date();
-    ticket.ticketScannedBy = req.user?.id || null; // If admin middleware adds admin/user info
-    enrollment.tickets.set(matchedPhone, ticket);
-    await enrollment.save();
+    const isAlreadyScanned = checkIn.result === "DUPLICATE" || checkIn.result === "CONFLICT";
 
     return responseUtil.success(
       res,
-      "Ticket verified successfully - Entry granted",
+      isAlreadyScanned ? "Ticket is valid but already scanned" : getCheckInMessage(checkIn),
       {
         isValid: true,
-        isAlreadyScanned: false,
-        scannedAt: ticket.ticketScannedAt,
+        isAlreadyScanned,
+        scannedAt: ticket.ticketScannedAt || checkIn.scannedAt,
+        checkIn: {
+          result: checkIn.result,
+          direction: checkIn.direction,
+          gate: checkIn.gate,
+          at: checkIn.scannedAt,
+          firstScan: checkIn.firstScan,
+        },
         ticket: {
           phone: matchedPhone,
           status: ticket.status,
@@ -382,7 +407,10 @@ export const generateMockQRLink = async (req, res) => {
     // Generate QR scan links for each ticket (phone number)
     const qrScanLinks = [];
     for (const [phone, ticket] of enrollment.tickets) {
-      const qrScanLink = `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollmentId}&userId=${enrollment.userId}&eventId=${enrollment.eventId}&phone=${phone}`;
+      const qrScanLink = signTicketLink(
+        `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollmentId}&userId=${enrollment.userId}&eventId=${enrollment.eventId}&phone=${phone}`,
+        { type: TICKET_TYPES.ENROLLMENT, enrollmentId, eventId: enrollment.eventId, phone }
+      );
       qrScanLinks.push({
         phone,
         qrScanLink,
@@ -419,7 +447,7 @@ export const generateMockQRLink = async (req, res) => {
  */
 export const scanQRCode = async (req, res) => {
   try {
-    const { enrollmentId, userId, eventId, phone } = req.query;
+    const { enrollmentId, userId, eventId, phone, sig } = req.query;
 
     if (!enrollmentId || !eventId || !phone) {
       return responseUtil.badRequest(
@@ -428,6 +456,21 @@ export const scanQRCode = async (req, res) => {
       );
     }
 
+    // Signed links must match the ticket they name
+    const signature = checkTicketLinkSignature(sig, {
+      type: TICKET_TYPES.ENROLLMENT,
+      enrollmentId,
+      eventId,
+      phone,
+    });
+    if (!signature.ok) {
+      return responseUtil.unauthorized(
+        res,
+        "Invalid ticket - signature check failed",
+        signature.reason
+      );
+    }
+
     // Fetch enrollment details
     // Note: We don't filter by userId because the enrollment belongs to the buyer,
     // but other ticket holders (in multi-ticket purchases) have different userIds
@@ -458,12 +501,9 @@ export const scanQRCode = async (req, res) => {
       );
     }
 
-    // Check if already scanned
-    if (ticket.isTicketScanned) {
-      return responseUtil.badRequest(
-        res,
-        `Ticket for phone ${matchedPhone} has already been scanned at ${ticket.ticketScannedAt}`
-      );
+    const scanContext = getScanContext(req);
+    if (scanContext.error) {
+      return responseUtil.badRequest(res, scanContext.error);
     }
 
     // Fetch user details
@@ -493,11 +533,31 @@ export const scanQRCode = async (req, res) => {
       return responseUtil.notFound(res, "Event not found");
     }
 
-    // Update ticket scan status for this specific phone
-    ticket.isTicketScanned = true;
-    ticket.ticketScannedAt = new Date();
-    enrollment.tickets.set(matchedPhone, ticket);
-    await enrollment.save();
+    // Check the ticket in (or out) at this gate
+    const checkIn = await checkInTicket({
+      ticket: { type: TICKET_TYPES.ENROLLMENT, enrollmentId: enrollment._id, phone: matchedPhone, issuedAt: signature.issuedAt },
+      eventId,
+      direction: scanContext.direction,
+      gate: scanContext.gate,
+      deviceId: scanContext.deviceId,
+      mode: "ONLINE",
+    });
+
+    if (checkIn.result === "DUPLICATE" || checkIn.result === "CONFLICT") {
+      return responseUtil.badRequest(
+        res,
+        `Ticket for phone ${matchedPhone} has already been scanned at ${ticket.ticketScannedAt || checkIn.firstScan?.scannedAt}`
+      );
+    }
+    if (checkIn.result === "REJECTED") {
+      return responseUtil.badRequest(
+        res,
+        checkIn.reason === "NOT_INSIDE"
+          ? `Ticket holder for phone ${matchedPhone} has not entered`
+          : `Ticket for phone ${matchedPhone} could not be checked in`,
+        checkIn.reason
+      );
+    }
 
     // Fetch voucher claimed by this phone for this event
     const claimedVoucher = await Voucher.findOne({
@@ -536,10 +596,16 @@ export const scanQRCode = async (req, res) => {
       ticket: {
         phone: matchedPhone,
         status: ticket.status,
-        isTicketScanned: ticket.isTicketScanned,
-        ticketScannedAt: ticket.ticketScannedAt,
+        isTicketScanned: true,
+        ticketScannedAt: ticket.ticketScannedAt || checkIn.scannedAt,
         assignedSeat: ticket.assignedSeat || null,
       },
+      checkIn: {
+        result: checkIn.result,
+        direction: checkIn.direction,
+        gate: checkIn.gate,
+        at: checkIn.scannedAt,
+      },
       enrollment: {
         id: enrollment._id,
         paymentId: enrollment.paymentId,
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Offline ticket scanning — signing keys, event manifest and batch sync
+ * @module controllers/ticketOffline
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import { getTicketPublicKeys, isTicketSigningEnabled } from "../../utils/ticketSignature.util.js";
+import { buildOfflineManifest, canScanEvent, reconcileOfflineScans } from "../../services/ticketScan.service.js";
+
+/**
+ * Public keys for verifying signed ticket QR payloads
+ * @route GET /api/web/tickets/offline/keys
+ * @access Admin/Staff
+ */
+export const getTicketSigningKeys = async (req, res) => {
+  try {
+    return responseUtil.success(res, "Ticket signing keys retrieved", {
+      enabled: isTicketSigningEnabled(),
+      keys: getTicketPublicKeys(),
+    });
+  } catch (error) {
+    console.error("[TICKET-OFFLINE] Keys error:", error.message);
+    return responseUtil.internalError(res, "Failed to load ticket signing keys", error.message);
+  }
+};
+
+/**
+ * Allowed-ticket manifest for scanning an event offline
+ * @route GET /api/web/tickets/offline/events/:eventId/manifest
+ * @access Admin/Staff
+ */
+export const getOfflineManifest = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!(await canScanEvent(req.user, eventId))) {
+      return responseUtil.forbidden(res, "You do not have access to this event");
+    }
+
+    const manifest = await buildOfflineManifest(eventId);
+    if (!manifest) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    console.log(`[TICKET-OFFLINE] Manifest for event ${eventId}: ${manifest.counts.allowed} ticket(s), admin ${req.user.id}`);
+
+    return responseUtil.success(res, "Offline manifest generated", manifest);
+  } catch (error) {
+    console.error("[TICKET-OFFLINE] Manifest error:", error.message);
+    return responseUtil.internalError(res, "Failed to generate offline manifest", error.message);
+  }
+};
+
+/**
+ * Upload and reconcile scans made offline
+ * @route POST /api/web/tickets/offline/events/:eventId/sync
+ * @access Admin/Staff
+ */
+export const syncOfflineScans = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { deviceId, gate, scans } = req.body;
+
+    if (!(await canScanEvent(req.user, eventId))) {
+      return responseUtil.forbidden(res, "You do not have access to this event");
+    }
+
+    const result = await reconcileOfflineScans({
+      eventId,
+      deviceId,
+      gate: gate || null,
+      adminId: req.user.id,
+      scans,
+    });
+
+    const message = result.conflicts.length > 0
+      ? `Scans synced with ${result.conflicts.length} conflict(s)`
+      : "Scans synced successfully";
+
+    return responseUtil.success(res, message, { eventId, deviceId, ...result });
+  } catch (error) {
+    console.error("[TICKET-OFFLINE] Sync error:", error.message);
+    return responseUtil.internalError(res, "Failed to sync offline scans", error.message);
+  }
+};
+
+export default {
+  getTicketSigningKeys,
+  getOfflineManifest,
+  syncOfflineScans,
+};
@@ -11,6 +11,7 @@ import User from '../../schema/User.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import { sendBulkEmails } from '../../utils/email.util.js';
 import { sendTicketWhatsApp } from '../../utils/whatsapp.util.js';
+import { signTicketLink, TICKET_TYPES } from '../../utils/ticketSignature.util.js';
 import {
   generateTicketQRCode,
   generateQRFilename,
@@ -319,9 +320,17 @@ export const reshareTicket = async (req, res) => {
     }
 
     // Generate QR code URL for the ticket
-    const qrScanUrl = enrollmentType === 'ONLINE'
-      ? `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${event._id.toString()}&phone=${normalizedPhone}`
-      : `https://motivata.synquic.com/api/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${event._id.toString()}&phone=${normalizedPhone}`;
+    const qrScanUrl = signTicketLink(
+      enrollmentType === 'ONLINE'
+        ? `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${event._id.toString()}&phone=${normalizedPhone}`
+        : `https://motivata.synquic.com/api/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${event._id.toString()}&phone=${normalizedPhone}`,
+      {
+        type: enrollmentType === 'ONLINE' ? TICKET_TYPES.ENROLLMENT : TICKET_TYPES.CASH,
+        enrollmentId: enrollment._id,
+        eventId: event._id,
+        phone: normalizedPhone
+      }
+    );
 
     console.log('[RESHARE] QR Scan URL:', qrScanUrl);
 
@@ -594,9 +603,17 @@ export const bulkReshareTickets = async (req, res) => {
 
         // Generate and send ticket (simplified for bulk)
         const eventName = event.name || event.title || 'Event';
-        const qrScanUrl = enrollmentType === 'ONLINE'
-          ? `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${event._id}&phone=${normalizedPhone}`
-          : `https://motivata.synquic.com/api/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${event._id}&phone=${normalizedPhone}`;
+        const qrScanUrl = signTicketLink(
+          enrollmentType === 'ONLINE'
+            ? `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${event._id}&phone=${normalizedPhone}`
+            : `https://motivata.synquic.com/api/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${event._id}&phone=${normalizedPhone}`,
+          {
+            type: enrollmentType === 'ONLINE' ? TICKET_TYPES.ENROLLMENT : TICKET_TYPES.CASH,
+            enrollmentId: enrollment._id,
+            eventId: event._id,
+            phone: normalizedPhone
+          }
+        );
 
         // Generate QR code (simpler for bulk operations)
         const ticketBuffer = await generateTicketQRCode({
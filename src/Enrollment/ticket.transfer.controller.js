@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Ticket transfers initiated by the ticket holder
+ * @module controllers/ticketTransfer
+ */
+
+import EventEnrollment from "../../schema/EventEnrollment.schema.js";
+import TicketTransfer from "../../schema/TicketTransfer.schema.js";
+import User from "../../schema/User.schema.js";
+import responseUtil from "../../utils/response.util.js";
+import { transferTicket as transferTicketService } from "../../services/ticketTransfer.service.js";
+
+const formatClosesAt = (date) =>
+  new Date(date).toLocaleString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Transfer a ticket to another phone number
+ * @route POST /api/app/tickets/:enrollmentId/transfer
+ * @access Authenticated User (ticket holder or buyer)
+ */
+export const transferTicket = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+    const { fromPhone, toPhone, toName, toEmail } = req.body;
+
+    const result = await transferTicketService({
+      enrollmentId,
+      fromPhone,
+      toPhone,
+      toName,
+      toEmail,
+      userId: req.user.id,
+    });
+
+    switch (result.status) {
+      case "TRANSFERRED":
+        return responseUtil.success(res, "Ticket transferred successfully", {
+          transfer: result.transfer,
+          transfersLeft: Math.max(0, result.policy.maxTransfersPerTicket - result.transfer.transferNumber),
+        });
+      case "NOT_FOUND":
+        return responseUtil.notFound(res, `Ticket for phone ${fromPhone} not found`);
+      case "FORBIDDEN":
+        return responseUtil.forbidden(res, "Only the ticket holder or the buyer can transfer this ticket");
+      case "DISABLED":
+        return responseUtil.forbidden(res, "Ticket transfers are not allowed for this event");
+      case "CLOSED":
+        return responseUtil.badRequest(
+          res,
+          `Ticket transfers closed on ${formatClosesAt(result.policy.closesAt)}`,
+          "TRANSFER_CLOSED"
+        );
+      case "LIMIT_REACHED":
+        return responseUtil.badRequest(
+          res,
+          `This ticket has already been transferred the maximum of ${result.policy.maxTransfersPerTicket} time(s)`,
+          "TRANSFER_LIMIT_REACHED"
+        );
+      case "NOT_ACTIVE":
+        return responseUtil.badRequest(res, "Only active tickets can be transferred", "TICKET_NOT_ACTIVE");
+      case "ALREADY_SCANNED":
+        return responseUtil.badRequest(res, "This ticket has already been used at the event", "TICKET_ALREADY_SCANNED");
+      case "SAME_PHONE":
+        return responseUtil.badRequest(res, "The ticket is already on this phone number");
+      case "RECIPIENT_HAS_TICKET":
+        return responseUtil.conflict(res, "This phone number already has a ticket in this booking");
+      default:
+        return responseUtil.conflict(res, "The ticket changed while it was being transferred, please try again");
+    }
+  } catch (error) {
+    console.error("[TICKET-TRANSFER] Transfer error:", error.message);
+    return responseUtil.internalError(res, "Failed to transfer ticket", error.message);
+  }
+};
+
+/**
+ * Transfer history of an enrollment. The buyer sees every transfer; a ticket
+ * holder sees those to or from their own phone.
+ * @route GET /api/app/tickets/:enrollmentId/transfers
+ * @access Authenticated User
+ */
+export const getTicketTransfers = async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const [enrollment, user] = await Promise.all([
+      EventEnrollment.findById(enrollmentId).select("userId").lean(),
+      User.findById(req.user.id).select("phone").lean(),
+    ]);
+
+    if (!enrollment) {
+      return responseUtil.notFound(res, "Enrollment not found");
+    }
+
+    const filter = { enrollmentId };
+    if (enrollment.userId.toString() !== req.user.id) {
+      const phone = String(user?.phone || "").slice(-10);
+      if (!phone) {
+        return responseUtil.forbidden(res, "You do not have access to this enrollment");
+      }
+      filter.$or = [{ fromPhone: { $regex: `${phone}$` } }, { toPhone: phone }];
+    }
+
+    const transfers = await TicketTransfer.find(filter)
+      .select("-notifications -toEmail")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return responseUtil.success(res, "Ticket transfers retrieved", { transfers });
+  } catch (error) {
+    console.error("[TICKET-TRANSFER] History error:", error.message);
+    return responseUtil.internalError(res, "Failed to retrieve ticket transfers", error.message);
+  }
+};
+
+export default {
+  transferTicket,
+  getTicketTransfers,
+};
@@ -11,6 +11,11 @@ import {
   getPaymentById,
   handlePaymentFailure
 } from './payment.controller.js';
+import {
+  downloadPaymentInvoice,
+  getPaymentInvoices,
+  downloadPaymentDocument
+} from './invoice.controller.js';
 import { authenticate } from '../../middleware/auth.middleware.js';
 import { validateBody, validateParams, validateQuery, paymentSchemas } from '../../middleware/validation.middleware.js';
 
@@ -75,4 +80,37 @@ router.get(
   getPaymentById
 );
 
+/**
+ * @route   GET /api/app/payments/:id/invoice
+ * @desc    Download the GST tax invoice (PDF) for a payment
+ * @access  Authenticated User
+ */
+router.get(
+  '/:id/invoice',
+  validateParams(paymentSchemas.paymentId),
+  downloadPaymentInvoice
+);
+
+/**
+ * @route   GET /api/app/payments/:id/invoices
+ * @desc    List the invoice and credit notes for a payment
+ * @access  Authenticated User
+ */
+router.get(
+  '/:id/invoices',
+  validateParams(paymentSchemas.paymentId),
+  getPaymentInvoices
+);
+
+/**
+ * @route   GET /api/app/payments/:id/invoices/:invoiceId/pdf
+ * @desc    Download an invoice or credit note (PDF) for a payment
+ * @access  Authenticated User
+ */
+router.get(
+  '/:id/invoices/:invoiceId/pdf',
+  validateParams(paymentSchemas.invoiceParams),
+  downloadPaymentDocument
+);
+
 export default router;
@@ -15,12 +15,15 @@ import {
   redeemTickets,
   scanCashTicket,
 } from '../cash/offlineCash.controller.js';
+import { transferTicket, getTicketTransfers } from './ticket.transfer.controller.js';
 import { authenticate } from '../../middleware/auth.middleware.js';
 import { devOnly } from '../../middleware/devOnly.middleware.js';
 import {
   validateBody,
+  validateParams,
   validateQuery,
   offlineCashSchemas,
+  ticketTransferSchemas,
 } from '../../middleware/validation.middleware.js';
 
 const router = express.Router();
@@ -38,7 +41,7 @@ router.get('/mock/qr', devOnly, generateMockQRLink);
 
 /**
  * @route   GET /api/app/tickets/qr-scan
- * @desc    Scan QR code and fetch enrollment details
+ * @desc    Scan QR code and fetch enrollment details (always an ENTRY check-in)
  * @access  Public (no auth)
  */
 router.get('/qr-scan', scanQRCode);
@@ -67,7 +70,7 @@ router.post(
 
 /**
  * @route   GET /api/app/tickets/cash/qr-scan
- * @desc    Scan cash ticket QR code
+ * @desc    Scan cash ticket QR code (always an ENTRY check-in)
  * @access  Public (no auth)
  */
 router.get(
@@ -101,4 +104,27 @@ router.get(
   generateQRCode
 );
 
+/**
+ * @route   POST /api/app/tickets/:enrollmentId/transfer
+ * @desc    Transfer a ticket to another phone number
+ * @access  Authenticated User (ticket holder or buyer)
+ */
+router.post(
+  '/:enrollmentId/transfer',
+  validateParams(ticketTransferSchemas.enrollmentId),
+  validateBody(ticketTransferSchemas.transfer),
+  transferTicket
+);
+
+/**
+ * @route   GET /api/app/tickets/:enrollmentId/transfers
+ * @desc    Transfer history of an enrollment
+ * @access  Authenticated User
+ */
+router.get(
+  '/:enrollmentId/transfers',
+  validateParams(ticketTransferSchemas.enrollmentId),
+  getTicketTransfers
+);
+
 export default router;
@@ -16,7 +16,8 @@ import {
   restoreVoucher,
   permanentDeleteVoucher
 } from './voucher.controller.js';
-import { authenticate, isAdmin, isSuperAdmin } from '../../middleware/auth.middleware.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 import { validateBody, validateParams, validateQuery, voucherSchemas } from '../../middleware/validation.middleware.js';
 
 const router = express.Router();
@@ -129,11 +130,11 @@ router.post(
 /**
  * @route   DELETE /api/web/vouchers/:id/permanent
  * @desc    Permanently delete voucher (cannot be undone)
- * @access  Super Admin only
+ * @access  Admin (vouchers:delete)
  */
 router.delete(
   '/:id/permanent',
-  isSuperAdmin,
+  requirePermission('vouchers:delete'),
   validateParams(voucherSchemas.voucherId),
   permanentDeleteVoucher
 );
@@ -21,7 +21,8 @@ import {
   getWebsiteEvents,
   getWebEventById
 } from './event.controller.js';
-import { authenticate, isAdmin, isSuperAdmin } from '../../middleware/auth.middleware.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 import { validateBody, validateParams, validateQuery, eventSchemas } from '../../middleware/validation.middleware.js';
 import Joi from 'joi';
 
@@ -215,11 +216,11 @@ router.post(
 /**
  * @route   DELETE /api/web/events/:id/permanent
  * @desc    Permanently delete event (cannot be undone)
- * @access  Super Admin only
+ * @access  Admin (events:delete)
  */
 router.delete(
   '/:id/permanent',
-  isSuperAdmin,
+  requirePermission('events:delete'),
   validateParams(eventSchemas.eventId),
   permanentDeleteEvent
 );
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Admin routes for recurring and multi-date event series
+ * @module routes/admin/eventSeries
+ */
+
+import express from 'express';
+import {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  addOccurrence,
+  updateOccurrence,
+  removeOccurrence
+} from './eventSeries.controller.js';
+import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { validateBody, validateParams, validateQuery, eventSeriesSchemas } from '../../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+router.use(authenticate, isAdmin);
+
+/**
+ * @route   POST /api/web/event-series
+ * @desc    Make an event the first date of a series; the other dates come from
+ *          a recurrence rule or a list of dates (with venue/capacity per date)
+ * @access  Admin (events:write)
+ */
+router.post(
+  '/',
+  validateBody(eventSeriesSchemas.create),
+  createSeries
+);
+
+/**
+ * @route   GET /api/web/event-series
+ * @desc    List series with date counts and the next date
+ * @access  Admin (events:read)
+ */
+router.get(
+  '/',
+  validateQuery(eventSeriesSchemas.list),
+  getAllSeries
+);
+
+/**
+ * @route   GET /api/web/event-series/:id
+ * @desc    Series with every date, its capacity and bookings
+ * @access  Admin (events:read)
+ */
+router.get(
+  '/:id',
+  validateParams(eventSeriesSchemas.seriesId),
+  getSeriesById
+);
+
+/**
+ * @route   PATCH /api/web/event-series/:id
+ * @desc    Rename or deactivate a series; `occurrences` is copied to the upcoming dates
+ * @access  Admin (events:write)
+ */
+router.patch(
+  '/:id',
+  validateParams(eventSeriesSchemas.seriesId),
+  validateBody(eventSeriesSchemas.update),
+  updateSeries
+);
+
+/**
+ * @route   POST /api/web/event-series/:id/occurrences
+ * @desc    Add a date to a series
+ * @access  Admin (events:write)
+ */
+router.post(
+  '/:id/occurrences',
+  validateParams(eventSeriesSchemas.seriesId),
+  validateBody(eventSeriesSchemas.addOccurrence),
+  addOccurrence
+);
+
+/**
+ * @route   PATCH /api/web/event-series/:id/occurrences/:eventId
+ * @desc    Change the dates, venue or capacity of one date
+ * @access  Admin (events:write)
+ */
+router.patch(
+  '/:id/occurrences/:eventId',
+  validateParams(eventSeriesSchemas.occurrenceParams),
+  validateBody(eventSeriesSchemas.updateOccurrence),
+  updateOccurrence
+);
+
+/**
+ * @route   DELETE /api/web/event-series/:id/occurrences/:eventId
+ * @desc    Remove a date that has no bookings
+ * @access  Admin (events:write)
+ */
+router.delete(
+  '/:id/occurrences/:eventId',
+  validateParams(eventSeriesSchemas.occurrenceParams),
+  removeOccurrence
+);
+
+export default router;
@@ -9,6 +9,15 @@ import EventEnrollment from '../../schema/EventEnrollment.schema.js';
 import UserMembership from '../../schema/UserMembership.schema.js';
 import responseUtil from '../../utils/response.util.js';
 import { sendNewEventNotification } from '../../utils/fcm.util.js';
+import {
+  getTierPrice,
+  getTierRemaining,
+  getTierSaleStatus,
+  mergePricingTiers,
+  withTierAvailability
+} from '../../services/ticketTier.service.js';
+import EventSeries from '../../schema/EventSeries.schema.js';
+import { describeSeries, findListingEvents } from '../../services/eventSeries.service.js';
 
 /**
  * Returns a Set of saved event ID strings for the given user.
@@ -48,6 +57,8 @@ const getViewerIsMember = async (reqUser) => {
  * render the "Members Only" badge and the "Become a member" gate.
  * - requiresMembership: event is restricted to members
  * - locked: event is restricted AND the current viewer is not a member
+ * Pricing tiers get their current price and availability; members-only
+ * tiers are left out for non-members.
  * @param {Object} eventObj - plain event object (already .toObject())
  * @param {boolean} viewerIsMember - whether the current viewer is a member
  * @returns {Object} the same object with requiresMembership/locked added
@@ -56,9 +67,43 @@ const withAccessFlags = (eventObj, viewerIsMember) => {
   const requiresMembership = !!eventObj.audience && eventObj.audience !== 'ALL';
   eventObj.requiresMembership = requiresMembership;
   eventObj.locked = requiresMembership && !viewerIsMember;
+
+  if (Array.isArray(eventObj.pricingTiers)) {
+    eventObj.pricingTiers = eventObj.pricingTiers
+      .filter((tier) => viewerIsMember || !tier.membersOnly)
+      .map((tier) => withTierAvailability(tier, viewerIsMember));
+  }
   return eventObj;
 };
 
+/**
+ * Series block for one occurrence: the series with its dates still to come,
+ * so the app can offer the other dates. null for a standalone event.
+ */
+const getSeriesDates = async (event) => {
+  if (!event.seriesId) return null;
+
+  const [series, occurrences] = await Promise.all([
+    EventSeries.findById(event.seriesId).lean(),
+    Event.find({ seriesId: event.seriesId, isLive: true, endDate: { $gt: new Date() } })
+      .select('startDate endDate venueName city availableSeats waitlistHeldSeats isLive')
+      .sort({ startDate: 1 })
+      .lean()
+  ]);
+  return series ? describeSeries(series, occurrences) : null;
+};
+
+/**
+ * Listing entries (see findListingEvents) as events, a series showing as its
+ * next date with the other dates under `series`
+ */
+const toListedEvents = (entries, savedSet, viewerIsMember) =>
+  entries.map(({ event, series, occurrences }) => withAccessFlags({
+    ...event.toObject(),
+    isSaved: savedSet.has(event._id.toString()),
+    series: series ? describeSeries(series, occurrences) : null
+  }, viewerIsMember));
+
 /**
  * Create a new event
  * @param {Object} req - Express request object
@@ -257,6 +302,7 @@ export const getEventById = async (req, res) => {
       isSaved: savedSet.has(event._id.toString()),
       ticketBuyers,
       totalBuyers,
+      series: await getSeriesDates(event),
     }, viewerIsMember);
 
     if (!isAdminUser && !isCurrentlyLive) {
@@ -307,9 +353,29 @@ export const updateEvent = async (req, res) => {
     delete updates.deletedAt;
     delete updates.deletedBy;
 
+    // Set transfer settings field by field so a partial update keeps the rest
+    if (updates.ticketTransfer) {
+      for (const [field, value] of Object.entries(updates.ticketTransfer)) {
+        updates[`ticketTransfer.${field}`] = value;
+      }
+      delete updates.ticketTransfer;
+    }
+
+    // Tiers keep their sold/held counters. The guard makes the update miss
+    // if tickets were held or sold since the event was read.
+    let tierGuard = {};
+    if (updates.pricingTiers) {
+      const merged = mergePricingTiers(existingEvent.pricingTiers, updates.pricingTiers);
+      if (merged.error) {
+        return responseUtil.badRequest(res, merged.error);
+      }
+      updates.pricingTiers = merged.tiers;
+      tierGuard = merged.guard;
+    }
+
     // Perform the update directly without cross-field validations
-    const event = await Event.findByIdAndUpdate(
-      id,
+    const event = await Event.findOneAndUpdate(
+      { _id: id, ...tierGuard },
       updates,
       {
         new: true,
@@ -318,6 +384,13 @@ export const updateEvent = async (req, res) => {
     ).populate('createdBy', 'name email')
      .populate('updatedBy', 'name email');
 
+    if (!event && updates.pricingTiers) {
+      return responseUtil.conflict(
+        res,
+        'Tickets were booked while the pricing tiers were being saved. Please reload the event and try again.'
+      );
+    }
+
     // Only one event may be the website banner — clear it off any other.
     if (event && event.isBanner) {
       await Event.clearOtherBanners(event._id);
@@ -508,22 +581,17 @@ export const getUpcomingEvents = async (req, res) => {
 
     const { limit = 10 } = req.query;
 
-    const [events, savedSet, viewerIsMember] = await Promise.all([
-      Event.find({
+    // Dates of a series are grouped into one entry
+    const [entries, savedSet, viewerIsMember] = await Promise.all([
+      findListingEvents({
         startDate: { $gt: new Date() },
         isLive: true
-      })
-        .sort({ startDate: 1 })
-        .limit(Number(limit))
-        .populate('createdBy', 'name email'),
+      }, Number(limit)),
       getSavedSet(req.user?.id),
       getViewerIsMember(req.user)
     ]);
 
-    const eventsWithSaved = events.map((e) => withAccessFlags({
-      ...e.toObject(),
-      isSaved: savedSet.has(e._id.toString())
-    }, viewerIsMember));
+    const eventsWithSaved = toListedEvents(entries, savedSet, viewerIsMember);
 
     return responseUtil.success(res, 'Upcoming events fetched successfully', { events: eventsWithSaved });
   } catch (error) {
@@ -610,13 +678,27 @@ export const getEventTicketStats = async (req, res) => {
 
     // Calculate tier-based stats if multi-tier pricing
     if (event.pricingTiers && event.pricingTiers.length > 0) {
+      const now = new Date();
       stats.pricingType = 'multi-tier';
-      stats.tiers = event.pricingTiers.map(tier => ({
-        tierId: tier._id,
-        name: tier.name,
-        price: tier.price,
-        ticketQuantity: tier.ticketQuantity || 1
-      }));
+      stats.tiers = event.pricingTiers.map(tier => {
+        const { price: currentPrice, isEarlyBird } = getTierPrice(tier, { now });
+        return {
+          tierId: tier._id,
+          name: tier.name,
+          price: tier.price,
+          currentPrice,
+          isEarlyBird,
+          ticketQuantity: tier.ticketQuantity || 1,
+          capacity: tier.capacity,
+          sold: tier.sold || 0,
+          held: tier.held || 0,
+          remaining: getTierRemaining(tier),
+          saleStatus: getTierSaleStatus(tier, now),
+          saleStartDate: tier.saleStartDate,
+          saleEndDate: tier.saleEndDate,
+          membersOnly: tier.membersOnly
+        };
+      });
     } else {
       stats.pricingType = 'single';
       stats.price = event.price;
@@ -743,19 +825,14 @@ export const getWebsiteEvents = async (req, res) => {
 
     const { limit = 12 } = req.query;
 
-    const [events, savedSet, viewerIsMember] = await Promise.all([
-      Event.find({ isLive: true })
-        .sort({ startDate: 1 })
-        .limit(Number(limit))
-        .populate('createdBy', 'name email'),
+    // Dates of a series are grouped into one entry
+    const [entries, savedSet, viewerIsMember] = await Promise.all([
+      findListingEvents({ isLive: true }, Number(limit)),
       getSavedSet(req.user?.id),
       getViewerIsMember(req.user)
     ]);
 
-    const eventsWithSaved = events.map((e) => withAccessFlags({
-      ...e.toObject(),
-      isSaved: savedSet.has(e._id.toString())
-    }, viewerIsMember));
+    const eventsWithSaved = toListedEvents(entries, savedSet, viewerIsMember);
 
     return responseUtil.success(res, 'Website events fetched successfully', { events: eventsWithSaved });
   } catch (error) {
@@ -764,6 +841,41 @@ export const getWebsiteEvents = async (req, res) => {
   }
 };
 
+/**
+ * Upcoming bookable dates of a series
+ * @route GET /api/app/events/series/:id
+ * @access Public
+ */
+export const getSeriesEvents = async (req, res) => {
+  try {
+    await Event.updateExpiredEvents();
+
+    const series = await EventSeries.findOne({ _id: req.params.id, isActive: true }).lean();
+    if (!series) {
+      return responseUtil.notFound(res, 'Event series not found');
+    }
+
+    const [events, savedSet, viewerIsMember] = await Promise.all([
+      Event.find({ seriesId: series._id, isLive: true, endDate: { $gt: new Date() } })
+        .sort({ startDate: 1 })
+        .populate('createdBy', 'name email'),
+      getSavedSet(req.user?.id),
+      getViewerIsMember(req.user)
+    ]);
+
+    return responseUtil.success(res, 'Event series fetched successfully', {
+      series: describeSeries(series, events),
+      events: events.map((e) => withAccessFlags({
+        ...e.toObject(),
+        isSaved: savedSet.has(e._id.toString())
+      }, viewerIsMember))
+    });
+  } catch (error) {
+    console.error('Get series events error:', error);
+    return responseUtil.internalError(res, 'Failed to fetch event series', error.message);
+  }
+};
+
 /**
  * Get single event by ID for public website (no auth required)
  * @param {Object} req - Express request object
@@ -944,6 +1056,7 @@ export default {
   getFeaturedEvents,
   getBannerEvent,
   getWebsiteEvents,
+  getSeriesEvents,
   getWebEventById,
   saveEvent,
   unsaveEvent,
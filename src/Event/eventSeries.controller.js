@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Event series controller — recurring and multi-date events
+ * @module controllers/eventSeries
+ */
+
+import mongoose from 'mongoose';
+import Event from '../../schema/Event.schema.js';
+import EventSeries from '../../schema/EventSeries.schema.js';
+import EventEnrollment from '../../schema/EventEnrollment.schema.js';
+import SeatArrangement from '../../schema/SeatArrangement.schema.js';
+import Poll from '../../schema/Poll.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import {
+  MAX_OCCURRENCES,
+  applySeriesUpdate,
+  createOccurrences,
+  describeRecurrence,
+  expandRecurrence,
+  summarizeOccurrence
+} from '../../services/eventSeries.service.js';
+
+/**
+ * Occurrence fields of a request body, for buildOccurrenceData overrides
+ */
+const pickOverrides = ({ venueName, city, gmapLink, joinLink, availableSeats }) => ({
+  venueName,
+  city,
+  gmapLink,
+  joinLink,
+  availableSeats
+});
+
+/**
+ * Online enrollments and their tickets per occurrence
+ */
+const countEnrollments = async (eventIds) => {
+  const counts = await EventEnrollment.aggregate([
+    { $match: { eventId: { $in: eventIds } } },
+    { $group: { _id: '$eventId', enrollments: { $sum: 1 }, tickets: { $sum: '$ticketCount' } } }
+  ]);
+  return new Map(counts.map((c) => [c._id.toString(), c]));
+};
+
+/**
+ * Turn an event into the first occurrence of a new series and create the
+ * other occurrences
+ * @route POST /api/web/event-series
+ * @access Admin (events:write)
+ */
+export const createSeries = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { eventId, name, recurrence, dates } = req.body;
+    const adminId = req.user.id;
+
+    const template = await Event.findById(eventId).session(session);
+    if (!template) {
+      await session.abortTransaction();
+      return responseUtil.notFound(res, 'Event not found');
+    }
+    if (template.seriesId) {
+      await session.abortTransaction();
+      return responseUtil.conflict(res, 'Event is already part of a series');
+    }
+
+    let occurrences;
+    if (recurrence) {
+      occurrences = expandRecurrence(recurrence, template.startDate)
+        .slice(1)
+        .map((startDate) => ({ startDate }));
+    } else {
+      occurrences = dates
+        .map(({ startDate, endDate, ...fields }) => ({ startDate, endDate, overrides: pickOverrides(fields) }))
+        .sort((a, b) => a.startDate - b.startDate);
+    }
+
+    if (occurrences.length === 0) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, 'The recurrence rule gives no dates after the event itself');
+    }
+    if (occurrences.length + 1 > MAX_OCCURRENCES) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, `A series can have at most ${MAX_OCCURRENCES} dates`);
+    }
+    if (template.hasSeatArrangement && occurrences.some((o) => o.overrides?.availableSeats !== undefined)) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, 'Capacity of a seat-mapped event comes from its seat arrangement');
+    }
+
+    const [series] = await EventSeries.create(
+      [{
+        name: name || template.name,
+        recurrence: recurrence || null,
+        templateEventId: template._id,
+        createdBy: adminId
+      }],
+      { session }
+    );
+
+    template.seriesId = series._id;
+    template.updatedBy = adminId;
+    await template.save({ session });
+
+    const created = await createOccurrences({ template, series, occurrences, adminId, session });
+
+    await session.commitTransaction();
+
+    console.log(`[EVENT-SERIES] Created series ${series._id} from event ${template._id} with ${created.length + 1} dates`);
+
+    return responseUtil.created(res, 'Event series created successfully', {
+      series,
+      occurrences: [template, ...created].map(summarizeOccurrence)
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('[EVENT-SERIES] Create error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map((key) => ({
+        field: key,
+        message: error.errors[key].message
+      }));
+      return responseUtil.validationError(res, 'Validation failed', errors);
+    }
+
+    return responseUtil.internalError(res, 'Failed to create event series', error.message);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * List series with their next date
+ * @route GET /api/web/event-series
+ * @access Admin (events:read)
+ */
+export const getAllSeries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const skip = (page - 1) * limit;
+    const [seriesList, totalCount] = await Promise.all([
+      EventSeries.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('createdBy', 'name email')
+        .lean(),
+      EventSeries.countDocuments(query)
+    ]);
+
+    const now = new Date();
+    const seriesIds = seriesList.map((series) => series._id);
+    const stats = await Event.aggregate([
+      { $match: { seriesId: { $in: seriesIds }, isDeleted: false } },
+      {
+        $group: {
+          _id: '$seriesId',
+          occurrenceCount: { $sum: 1 },
+          upcomingCount: { $sum: { $cond: [{ $gt: ['$startDate', now] }, 1, 0] } },
+          nextStartDate: { $min: { $cond: [{ $gt: ['$startDate', now] }, '$startDate', null] } },
+          ticketsSold: { $sum: { $ifNull: ['$ticketsSold', 0] } }
+        }
+      }
+    ]);
+    const statsById = new Map(stats.map((s) => [s._id.toString(), s]));
+
+    const series = seriesList.map((s) => {
+      const { _id, ...counts } = statsById.get(s._id.toString()) || {};
+      return {
+        ...s,
+        schedule: describeRecurrence(s.recurrence),
+        occurrenceCount: counts.occurrenceCount || 0,
+        upcomingCount: counts.upcomingCount || 0,
+        nextStartDate: counts.nextStartDate || null,
+        ticketsSold: counts.ticketsSold || 0
+      };
+    });
+
+    return responseUtil.success(res, 'Event series fetched successfully', {
+      series,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit: Number(limit)
+      }
+    });
+  } catch (error) {
+    console.error('[EVENT-SERIES] List error:', error);
+    return responseUtil.internalError(res, 'Failed to fetch event series', error.message);
+  }
+};
+
+/**
+ * A series with every occurrence and its bookings
+ * @route GET /api/web/event-series/:id
+ * @access Admin (events:read)
+ */
+export const getSeriesById = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .lean();
+    if (!series) {
+      return responseUtil.notFound(res, 'Event series not found');
+    }
+
+    const events = await Event.find({ seriesId: series._id })
+      .select('name startDate endDate venueName city availableSeats waitlistHeldSeats ticketsSold isLive hasSeatArrangement occurrenceOverrides')
+      .sort({ startDate: 1 })
+      .lean();
+    const enrollmentCounts = await countEnrollments(events.map((e) => e._id));
+
+    const occurrences = events.map((event) => ({
+      ...summarizeOccurrence(event),
+      name: event.name,
+      ticketsSold: event.ticketsSold || 0,
+      enrollments: enrollmentCounts.get(event._id.toString())?.enrollments || 0,
+      enrolledTickets: enrollmentCounts.get(event._id.toString())?.tickets || 0,
+      hasSeatArrangement: event.hasSeatArrangement,
+      overrides: event.occurrenceOverrides,
+      isTemplate: event._id.toString() === series.templateEventId.toString()
+    }));
+
+    return responseUtil.success(res, 'Event series fetched successfully', {
+      series: { ...series, schedule: describeRecurrence(series.recurrence) },
+      occurrences
+    });
+  } catch (error) {
+    console.error('[EVENT-SERIES] Get error:', error);
+    return responseUtil.internalError(res, 'Failed to fetch event series', error.message);
+  }
+};
+
+/**
+ * Rename or deactivate a series, and copy shared details to its upcoming
+ * occurrences
+ * @route PATCH /api/web/event-series/:id
+ * @access Admin (events:write)
+ */
+export const updateSeries = async (req, res) => {
+  try {
+    const { name, isActive, occurrences } = req.body;
+    const adminId = req.user.id;
+
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) {
+      return responseUtil.notFound(res, 'Event series not found');
+    }
+
+    if (name !== undefined) series.name = name;
+    if (isActive !== undefined) series.isActive = isActive;
+    series.updatedBy = adminId;
+    await series.save();
+
+    const updatedOccurrences = occurrences
+      ? await applySeriesUpdate(series._id, occurrences, adminId)
+      : 0;
+
+    return responseUtil.success(res, 'Event series updated successfully', {
+      series,
+      updatedOccurrences
+    });
+  } catch (error) {
+    console.error('[EVENT-SERIES] Update error:', error);
+    return responseUtil.internalError(res, 'Failed to update event series', error.message);
+  }
+};
+
+/**
+ * Add one date to a series, copied from its template
+ * @route POST /api/web/event-series/:id/occurrences
+ * @access Admin (events:write)
+ */
+export const addOccurrence = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { startDate, endDate, ...fields } = req.body;
+    const adminId = req.user.id;
+
+    const series = await EventSeries.findById(req.params.id).session(session);
+    if (!series) {
+      await session.abortTransaction();
+      return responseUtil.notFound(res, 'Event series not found');
+    }
+
+    const [template, occurrenceCount] = await Promise.all([
+      Event.findById(series.templateEventId).session(session),
+      Event.countDocuments({ seriesId: series._id }).session(session)
+    ]);
+    if (!template) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, 'The event this series was created from has been deleted');
+    }
+    if (occurrenceCount >= MAX_OCCURRENCES) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, `A series can have at most ${MAX_OCCURRENCES} dates`);
+    }
+    if (template.hasSeatArrangement && fields.availableSeats !== undefined) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, 'Capacity of a seat-mapped event comes from its seat arrangement');
+    }
+
+    const [event] = await createOccurrences({
+      template,
+      series,
+      occurrences: [{ startDate, endDate, overrides: pickOverrides(fields) }],
+      adminId,
+      session
+    });
+
+    await session.commitTransaction();
+
+    return responseUtil.created(res, 'Date added to the series', { event });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('[EVENT-SERIES] Add occurrence error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map((key) => ({
+        field: key,
+        message: error.errors[key].message
+      }));
+      return responseUtil.validationError(res, 'Validation failed', errors);
+    }
+
+    return responseUtil.internalError(res, 'Failed to add date to the series', error.message);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Change one date of a series: its dates, venue or capacity. The fields set
+ * here are kept when the series is edited as a whole.
+ * @route PATCH /api/web/event-series/:id/occurrences/:eventId
+ * @access Admin (events:write)
+ */
+export const updateOccurrence = async (req, res) => {
+  try {
+    const { id, eventId } = req.params;
+
+    const event = await Event.findOne({ _id: eventId, seriesId: id });
+    if (!event) {
+      return responseUtil.notFound(res, 'Date not found in this series');
+    }
+    if (event.hasSeatArrangement && req.body.availableSeats !== undefined) {
+      return responseUtil.badRequest(res, 'Capacity of a seat-mapped event comes from its seat arrangement');
+    }
+
+    const startDate = req.body.startDate || event.startDate;
+    const endDate = req.body.endDate || event.endDate;
+    if (endDate <= startDate) {
+      return responseUtil.badRequest(res, 'End date must be after the start date');
+    }
+
+    // Booking closes as long before the new date as it did before the old one
+    if (req.body.startDate && event.bookingEndDate) {
+      const moveBy = req.body.startDate.getTime() - event.startDate.getTime();
+      event.bookingEndDate = new Date(event.bookingEndDate.getTime() + moveBy);
+    }
+
+    const overrides = new Set(event.occurrenceOverrides);
+    for (const [field, value] of Object.entries(req.body)) {
+      event[field] = value;
+      overrides.add(field);
+    }
+    event.occurrenceOverrides = [...overrides];
+    event.updatedBy = req.user.id;
+    await event.save();
+
+    return responseUtil.success(res, 'Date updated successfully', { event });
+  } catch (error) {
+    console.error('[EVENT-SERIES] Update occurrence error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.keys(error.errors).map((key) => ({
+        field: key,
+        message: error.errors[key].message
+      }));
+      return responseUtil.validationError(res, 'Validation failed', errors);
+    }
+
+    return responseUtil.internalError(res, 'Failed to update date', error.message);
+  }
+};
+
+/**
+ * Remove a date nobody has booked (soft delete, with its seat map and poll)
+ * @route DELETE /api/web/event-series/:id/occurrences/:eventId
+ * @access Admin (events:write)
+ */
+export const removeOccurrence = async (req, res) => {
+  try {
+    const { id, eventId } = req.params;
+
+    const [event, series] = await Promise.all([
+      Event.findOne({ _id: eventId, seriesId: id }),
+      EventSeries.findById(id).select('templateEventId').lean()
+    ]);
+    if (!event || !series) {
+      return responseUtil.notFound(res, 'Date not found in this series');
+    }
+    if (series.templateEventId.toString() === event._id.toString()) {
+      return responseUtil.badRequest(res, 'The event the series was created from cannot be removed from it');
+    }
+
+    const enrollments = await EventEnrollment.countDocuments({ eventId: event._id });
+    if (enrollments > 0 || event.ticketsSold > 0) {
+      return responseUtil.conflict(
+        res,
+        `This date has ${enrollments} booking(s). Cancel them before removing it.`
+      );
+    }
+
+    await event.softDelete(req.user.id);
+    await Promise.all([
+      SeatArrangement.deleteOne({ eventId: event._id }),
+      Poll.deleteOne({ eventId: event._id })
+    ]);
+
+    return responseUtil.success(res, 'Date removed from the series');
+  } catch (error) {
+    console.error('[EVENT-SERIES] Remove occurrence error:', error);
+    return responseUtil.internalError(res, 'Failed to remove date', error.message);
+  }
+};
+
+export default {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  addOccurrence,
+  updateOccurrence,
+  removeOccurrence
+};
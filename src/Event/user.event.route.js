@@ -11,6 +11,7 @@ import {
   getEventsByCategory,
   getEventTicketStats,
   getFeaturedEvents,
+  getSeriesEvents,
   saveEvent,
   unsaveEvent,
   getSavedEvents
@@ -87,6 +88,18 @@ router.get(
   getFeaturedEvents
 );
 
+/**
+ * @route   GET /api/app/events/series/:id
+ * @desc    Upcoming dates of a recurring or multi-date event
+ * @access  Public
+ */
+router.get(
+  '/series/:id',
+  optionalAuth,
+  validateParams(eventSchemas.eventId),
+  getSeriesEvents
+);
+
 /**
  * @route   GET /api/app/events/category/:category
  * @desc    Get events by category
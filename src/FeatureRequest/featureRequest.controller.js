@@ -14,6 +14,8 @@ import responseUtil from '../../utils/response.util.js';
 import { razorpayInstance } from '../../utils/razorpay.util.js';
 import { sendServicePaymentLinkWhatsApp } from '../../utils/whatsapp.util.js';
 import { validateCouponForType } from '../Enrollment/coupon.controller.js';
+import { holdCouponUse, releaseUnsavedCouponHold } from '../../services/couponHold.service.js';
+import { validateUserReferral } from '../../services/userReferral.service.js';
 
 // Helper function to normalize phone number
 const normalizePhone = (phone) => {
@@ -73,7 +75,7 @@ export const getFeaturePricing = async (req, res) => {
  */
 export const submitFeatureRequest = async (req, res) => {
   try {
-    const { phone, name, requestedFeatures, bundleId, couponCode } = req.body;
+    const { phone, name, requestedFeatures, bundleId, couponCode, userReferralCode } = req.body;
 
     console.log('[FEATURE-REQUEST] New request submission');
     console.log('[FEATURE-REQUEST] Phone:', phone, 'Name:', name);
@@ -188,7 +190,7 @@ export const submitFeatureRequest = async (req, res) => {
 
       if (!couponValidation.isValid) {
         console.log('[FEATURE-REQUEST] Coupon validation failed:', couponValidation.error);
-        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`);
+        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`, { code: couponValidation.reason });
       }
 
       couponInfo = {
@@ -209,6 +211,29 @@ export const submitFeatureRequest = async (req, res) => {
       isDeleted: false,
     });
 
+    // Check the referral code now; the discount is applied at approval
+    let referralInfo = null;
+    if (userReferralCode) {
+      const referralValidation = await validateUserReferral({
+        code: userReferralCode,
+        amount: totalPrice,
+        buyer: { userId: existingUser?._id, phone: normalizedPhone, email: existingUser?.email },
+        couponCode: couponInfo?.couponCode,
+      });
+
+      if (!referralValidation.isValid) {
+        console.log('[FEATURE-REQUEST] Referral code rejected:', referralValidation.reason);
+        return responseUtil.badRequest(res, `Referral error: ${referralValidation.error}`, { code: referralValidation.reason });
+      }
+
+      referralInfo = {
+        code: referralValidation.referral.code,
+        discountAmount: referralValidation.discountAmount,
+        originalAmount: totalPrice,
+        finalAmount: referralValidation.finalAmount,
+      };
+    }
+
     // Create feature request
     const featureRequest = new FeatureRequest({
       phone: normalizedPhone,
@@ -225,6 +250,12 @@ export const submitFeatureRequest = async (req, res) => {
         originalAmount: couponInfo.originalAmount,
         paymentAmount: couponInfo.finalAmount,
       }),
+      ...(referralInfo && {
+        userReferralCode: referralInfo.code,
+        discountAmount: referralInfo.discountAmount,
+        originalAmount: referralInfo.originalAmount,
+        paymentAmount: referralInfo.finalAmount,
+      }),
     });
 
     await featureRequest.save();
@@ -247,6 +278,7 @@ export const submitFeatureRequest = async (req, res) => {
             finalAmount: couponInfo.finalAmount,
           },
         }),
+        ...(referralInfo && { appliedReferral: referralInfo }),
       }
     );
   } catch (error) {
@@ -423,6 +455,9 @@ export const getSingleFeatureRequest = async (req, res) => {
  * @route POST /api/web/feature-requests/:id/approve
  */
 export const approveFeatureRequest = async (req, res) => {
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
     const { id } = req.params;
     const { features, paymentAmount, durationInDays, adminNotes, sendWhatsApp = true, couponCode } = req.body;
@@ -501,7 +536,7 @@ export const approveFeatureRequest = async (req, res) => {
       );
 
       if (!couponValidation.isValid) {
-        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`);
+        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`, { code: couponValidation.reason });
       }
 
       discountAmount = couponValidation.discountAmount;
@@ -513,6 +548,27 @@ export const approveFeatureRequest = async (req, res) => {
       console.log('[FEATURE-REQUEST-APPROVE] Coupon applied:', appliedCouponCode, 'Discount:', discountAmount);
     }
 
+    // Apply the referral code entered with the request. It no longer applying
+    // (e.g. the buyer was referred on another order since) does not block approval.
+    let userReferral = null;
+    if (request.userReferralCode) {
+      const referralValidation = await validateUserReferral({
+        code: request.userReferralCode,
+        amount: originalAmount,
+        buyer: { userId: request.existingUserId, phone: request.phone },
+        couponCode: appliedCouponCode,
+      });
+
+      if (referralValidation.isValid) {
+        discountAmount = referralValidation.discountAmount;
+        finalAmount = referralValidation.finalAmount;
+        userReferral = referralValidation.referral;
+        console.log('[FEATURE-REQUEST-APPROVE] Referral applied:', userReferral.code, 'Discount:', discountAmount);
+      } else {
+        console.log('[FEATURE-REQUEST-APPROVE] Referral not applied:', referralValidation.reason);
+      }
+    }
+
     // If admin provided custom payment amount, use that
     let amount = finalAmount;
     if (paymentAmount !== undefined && paymentAmount !== null) {
@@ -520,6 +576,7 @@ export const approveFeatureRequest = async (req, res) => {
       amount = paymentAmount;
       discountAmount = originalAmount - amount;
       if (discountAmount < 0) discountAmount = 0;
+      if (userReferral) userReferral.discountAmount = discountAmount;
     }
 
     if (amount < 0) {
@@ -534,6 +591,16 @@ export const approveFeatureRequest = async (req, res) => {
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7);
 
+    // Hold the coupon use until the link is paid or expires
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode, { expiresAt });
+      if (!couponHold) {
+        return responseUtil.badRequest(res, 'Coupon error: Coupon usage limit reached', { code: 'USAGE_LIMIT_REACHED' });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
     const featureDescription = approvedFeatures.length === 1
       ? `${approvedFeatures[0]} Tab Access`
       : `Feature Access: ${approvedFeatures.join(' + ')}`;
@@ -595,10 +662,13 @@ export const approveFeatureRequest = async (req, res) => {
         paymentLinkId: paymentLink.id,
         source: 'FEATURE_REQUEST',
         couponId: appliedCouponId?.toString() || null,
+        ...(userReferral && { userReferral }),
+        ...(couponHold && { couponHold }),
       },
     });
 
     await payment.save();
+    unsavedCouponHold = null;
     console.log('[FEATURE-REQUEST-APPROVE] Payment record created:', payment._id);
 
     // Update request
@@ -670,6 +740,11 @@ export const approveFeatureRequest = async (req, res) => {
     });
   } catch (error) {
     console.error('[FEATURE-REQUEST-APPROVE] Error:', error.message);
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error('[FEATURE-REQUEST-APPROVE] Coupon hold release failed:', releaseError.message);
+      });
+    }
     return responseUtil.internalError(res, 'Failed to approve feature request', error.message);
   }
 };
@@ -58,6 +58,14 @@ export const featureRequestSchemas = {
       .messages({
         'string.base': 'Coupon code must be a string',
       }),
+    userReferralCode: Joi.string()
+      .trim()
+      .uppercase()
+      .max(50)
+      .optional()
+      .messages({
+        'string.base': 'Referral code must be a string',
+      }),
   }).or('requestedFeatures', 'bundleId').messages({
     'object.missing': 'Please select at least one feature or a bundle',
   }),
@@ -0,0 +1,486 @@
+/**
+ * @fileoverview Gift controller
+ *
+ * App users buy a membership, services or feature access for someone else,
+ * see the gifts they sent and received, and claim a gift from its link. The
+ * buyer can refund a gift that expired unclaimed. Delivery, claiming and the
+ * expiry sweep are in the gift service.
+ *
+ * @module controllers/gift
+ */
+
+import Gift from "../../schema/Gift.schema.js";
+import Payment from "../../schema/Payment.schema.js";
+import User from "../../schema/User.schema.js";
+import responseUtil from "../../utils/response.util.js";
+import { razorpayInstance } from "../../utils/razorpay.util.js";
+import PaymentServiceFactory from "../../services/payment/PaymentServiceFactory.js";
+import { validateCouponForType } from "../Enrollment/coupon.controller.js";
+import { holdCouponUse, releaseUnsavedCouponHold } from "../../services/couponHold.service.js";
+import {
+  describeReversals,
+  reverseRelatedEntities,
+  issueCreditNoteSafely,
+} from "../razorpay/razorpay.webhook.js";
+import {
+  CLAIM_WINDOW_DAYS,
+  claimGift as claimGiftService,
+  getClaimUrl,
+  normalizePhone,
+  priceGift,
+} from "../../services/gift.service.js";
+
+const paymentService = PaymentServiceFactory.getPaymentService();
+
+/**
+ * How far ahead a gift can be scheduled
+ */
+const MAX_SCHEDULE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Statuses a recipient sees; scheduled gifts stay a surprise until delivered
+ */
+const RECIPIENT_STATUSES = ["DELIVERED", "CLAIMED", "EXPIRED"];
+
+/**
+ * Shape a gift for its buyer (the claim link stays with the recipient)
+ */
+const formatSentGift = (gift) => ({
+  _id: gift._id,
+  productType: gift.productType,
+  items: gift.items,
+  recipient: gift.recipient,
+  message: gift.message,
+  status: gift.status,
+  deliverAt: gift.deliverAt,
+  expiresAt: gift.expiresAt,
+  amount: gift.amount,
+  discountAmount: gift.discountAmount,
+  finalAmount: gift.finalAmount,
+  couponCode: gift.couponCode,
+  delivery: gift.delivery,
+  claimedAt: gift.claimedAt,
+  refundedAt: gift.refundedAt,
+  canRefund: gift.status === "EXPIRED",
+  createdAt: gift.createdAt,
+});
+
+/**
+ * Shape a gift for its recipient
+ */
+const formatReceivedGift = (gift) => ({
+  _id: gift._id,
+  productType: gift.productType,
+  items: gift.items.map(({ name, durationInDays, featureKeys }) => ({ name, durationInDays, featureKeys })),
+  from: { name: gift.buyer.name },
+  message: gift.message,
+  status: gift.status,
+  deliveredAt: gift.delivery?.deliveredAt,
+  expiresAt: gift.expiresAt,
+  claimedAt: gift.claimedAt,
+  claimUrl: gift.status === "DELIVERED" ? getClaimUrl(gift.claimToken) : null,
+});
+
+const paginate = async (query, { page, limit }, select) => {
+  const skip = (page - 1) * limit;
+  const [gifts, totalCount] = await Promise.all([
+    Gift.find(query).select(select).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Gift.countDocuments(query),
+  ]);
+
+  return {
+    gifts,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount,
+      limit,
+    },
+  };
+};
+
+/**
+ * Buy a gift: price it, apply the buyer's coupon and create the Razorpay
+ * order. The gift is scheduled once the payment webhook confirms it.
+ * @route POST /api/app/gifts
+ * @access User
+ */
+export const createGift = async (req, res) => {
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
+  try {
+    const { productType, membershipPlanId, serviceIds, featurePricingId, recipient, message, couponCode } = req.body;
+    const userId = req.user.id;
+
+    const buyer = await User.findById(userId).select("name phone email");
+    if (!buyer) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    const buyerPhone = normalizePhone(buyer.phone);
+    const recipientPhone = normalizePhone(recipient.phone);
+    if (recipientPhone === buyerPhone) {
+      return responseUtil.badRequest(res, "You cannot send a gift to yourself", "GIFT_TO_SELF");
+    }
+
+    const now = new Date();
+    const deliverAt = req.body.deliverAt && req.body.deliverAt > now ? req.body.deliverAt : now;
+    if (deliverAt - now > MAX_SCHEDULE_DAYS * DAY_MS) {
+      return responseUtil.badRequest(res, `A gift can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+    }
+
+    const priced = await priceGift({ productType, membershipPlanId, serviceIds, featurePricingId });
+    if (priced.error) {
+      return responseUtil.badRequest(res, priced.error);
+    }
+
+    const { items, amount } = priced;
+    let discountAmount = 0;
+    let finalAmount = amount;
+    let appliedCouponCode = null;
+
+    if (couponCode) {
+      const couponValidation = await validateCouponForType(couponCode, amount, buyerPhone, productType, {
+        userId,
+        membershipPlanId,
+        serviceIds,
+      });
+
+      if (!couponValidation.isValid) {
+        return responseUtil.badRequest(res, couponValidation.error, { code: couponValidation.reason });
+      }
+
+      discountAmount = couponValidation.discountAmount;
+      finalAmount = couponValidation.finalAmount;
+      appliedCouponCode = couponValidation.coupon.code;
+    }
+
+    // Razorpay cannot take an order under ₹1
+    if (finalAmount < 1) {
+      return responseUtil.badRequest(res, "This coupon cannot be used on a gift");
+    }
+
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode);
+      if (!couponHold) {
+        return responseUtil.badRequest(res, "Coupon usage limit reached", { code: "USAGE_LIMIT_REACHED" });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
+    const razorpayOrder = await razorpayInstance.orders.create({
+      amount: Math.round(finalAmount * 100),
+      currency: "INR",
+      receipt: `gift_${Date.now()}`,
+      notes: {
+        type: "GIFT",
+        productType,
+        phone: buyerPhone,
+        recipientPhone,
+        couponCode: appliedCouponCode || "",
+      },
+    });
+
+    const gift = await Gift.create({
+      productType,
+      items,
+      buyer: {
+        userId: buyer._id,
+        name: buyer.name,
+        phone: buyerPhone,
+        email: buyer.email,
+      },
+      recipient: {
+        name: recipient.name,
+        phone: recipientPhone,
+        email: recipient.email || undefined,
+      },
+      message,
+      deliverAt,
+      expiresAt: new Date(deliverAt.getTime() + CLAIM_WINDOW_DAYS * DAY_MS),
+      orderId: razorpayOrder.id,
+      amount,
+      couponCode: appliedCouponCode,
+      discountAmount,
+      finalAmount,
+    });
+
+    await Payment.create({
+      type: "GIFT",
+      orderId: razorpayOrder.id,
+      phone: buyerPhone,
+      userId: buyer._id,
+      amount,
+      couponCode: appliedCouponCode,
+      discountAmount,
+      finalAmount,
+      status: "PENDING",
+      metadata: {
+        phone: buyerPhone,
+        giftId: gift._id.toString(),
+        productType,
+        itemNames: items.map((item) => item.name),
+        recipientName: recipient.name,
+        recipientPhone,
+        ...(couponHold && { couponHold }),
+      },
+    });
+    unsavedCouponHold = null;
+
+    console.log("[GIFT] Order created:", {
+      giftId: gift._id,
+      orderId: razorpayOrder.id,
+      productType,
+      finalAmount,
+      deliverAt,
+    });
+
+    return responseUtil.created(res, "Gift order created successfully", {
+      orderId: razorpayOrder.id,
+      amount,
+      discountAmount,
+      finalAmount,
+      couponApplied: appliedCouponCode,
+      currency: "INR",
+      key: process.env.RAZORPAY_KEY_ID,
+      gift: formatSentGift(gift),
+    });
+  } catch (error) {
+    console.error("[GIFT] Create gift error:", error.message);
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error("[GIFT] Coupon hold release failed:", releaseError.message);
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return responseUtil.validationError(res, "Validation failed", errors);
+    }
+
+    return responseUtil.internalError(res, "Failed to create gift order", error.message);
+  }
+};
+
+/**
+ * Gifts I bought
+ * @route GET /api/app/gifts/sent
+ * @access User
+ */
+export const getSentGifts = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { "buyer.userId": req.user.id };
+    if (status) query.status = status;
+
+    const { gifts, pagination } = await paginate(query, req.query);
+
+    return responseUtil.success(res, "Sent gifts retrieved successfully", {
+      gifts: gifts.map(formatSentGift),
+      pagination,
+    });
+  } catch (error) {
+    console.error("[GIFT] Get sent gifts error:", error.message);
+    return responseUtil.internalError(res, "Failed to retrieve sent gifts", error.message);
+  }
+};
+
+/**
+ * Gifts delivered to my phone number
+ * @route GET /api/app/gifts/received
+ * @access User
+ */
+export const getReceivedGifts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("phone").lean();
+    if (!user) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    const { status } = req.query;
+    const query = {
+      "recipient.phone": normalizePhone(user.phone),
+      status: { $in: status ? RECIPIENT_STATUSES.filter((s) => s === status) : RECIPIENT_STATUSES },
+    };
+
+    const { gifts, pagination } = await paginate(query, req.query, "+claimToken");
+
+    return responseUtil.success(res, "Received gifts retrieved successfully", {
+      gifts: gifts.map(formatReceivedGift),
+      pagination,
+    });
+  } catch (error) {
+    console.error("[GIFT] Get received gifts error:", error.message);
+    return responseUtil.internalError(res, "Failed to retrieve received gifts", error.message);
+  }
+};
+
+/**
+ * What a claim link holds, for the claim screen
+ * @route GET /api/app/gifts/claim/:token
+ * @access Public
+ */
+export const getGiftByClaimToken = async (req, res) => {
+  try {
+    const gift = await Gift.findOne({ claimToken: req.params.token }).lean();
+
+    if (!gift || !RECIPIENT_STATUSES.includes(gift.status)) {
+      return responseUtil.notFound(res, "Gift not found");
+    }
+
+    const { claimUrl, ...details } = formatReceivedGift(gift);
+
+    return responseUtil.success(res, "Gift retrieved successfully", {
+      gift: {
+        ...details,
+        recipientName: gift.recipient.name,
+        recipientPhone: `******${gift.recipient.phone.slice(-4)}`,
+      },
+    });
+  } catch (error) {
+    console.error("[GIFT] Get gift by token error:", error.message);
+    return responseUtil.internalError(res, "Failed to retrieve gift", error.message);
+  }
+};
+
+/**
+ * Claim a gift onto my account
+ * @route POST /api/app/gifts/claim/:token
+ * @access User (logged in with the recipient's phone)
+ */
+export const claimGift = async (req, res) => {
+  try {
+    const result = await claimGiftService({ claimToken: req.params.token, userId: req.user.id });
+
+    switch (result.status) {
+      case "CLAIMED":
+        return responseUtil.success(res, "Gift claimed successfully", {
+          gift: formatReceivedGift(result.gift),
+          activation: result.gift.activation,
+        });
+      case "NOT_FOUND":
+        return responseUtil.notFound(res, "Gift not found");
+      case "ALREADY_CLAIMED":
+        return responseUtil.conflict(res, "This gift has already been claimed");
+      case "EXPIRED":
+        return responseUtil.badRequest(res, "This gift has expired", "GIFT_EXPIRED");
+      case "NOT_CLAIMABLE":
+        return responseUtil.badRequest(res, "This gift can no longer be claimed", "GIFT_NOT_CLAIMABLE");
+      case "WRONG_RECIPIENT":
+        return responseUtil.forbidden(
+          res,
+          `This gift was sent to the number ending ${result.gift.recipient.phone.slice(-4)}. Log in with that number to claim it.`
+        );
+      default:
+        return responseUtil.conflict(res, "The gift changed while it was being claimed, please try again");
+    }
+  } catch (error) {
+    console.error("[GIFT] Claim error:", error.message);
+    return responseUtil.internalError(res, "Failed to claim gift", error.message);
+  }
+};
+
+/**
+ * Refund a gift that expired unclaimed, to the buyer's original payment
+ * method
+ * @route POST /api/app/gifts/:id/refund
+ * @access User (buyer)
+ */
+export const refundExpiredGift = async (req, res) => {
+  try {
+    const gift = await Gift.findOne({ _id: req.params.id, "buyer.userId": req.user.id });
+    if (!gift) {
+      return responseUtil.notFound(res, "Gift not found");
+    }
+
+    if (gift.status !== "EXPIRED") {
+      return responseUtil.badRequest(res, "Only gifts that expired unclaimed can be refunded", "GIFT_NOT_REFUNDABLE");
+    }
+
+    const payment = await Payment.findOne({ orderId: gift.orderId, type: "GIFT" });
+    if (!payment?.paymentId || payment.status !== "SUCCESS") {
+      return responseUtil.badRequest(res, "This gift's payment cannot be refunded");
+    }
+
+    const refundAmount = payment.finalAmount;
+    const reason = req.body.reason || "Gift expired unclaimed";
+
+    // Same compare-and-set as an admin refund, so the two cannot both go through
+    const reserved = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "SUCCESS", refundedAmount: payment.refundedAmount || 0 },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+    if (!reserved) {
+      return responseUtil.conflict(res, "A refund for this gift is already in progress");
+    }
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await paymentService.refund(payment.paymentId, refundAmount, reason);
+    } catch (gatewayError) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+
+      const message = gatewayError.error?.description || gatewayError.message;
+      console.error("[GIFT] Gateway refund failed:", { giftId: gift._id, error: message });
+      return responseUtil.badRequest(res, "Payment gateway rejected the refund", message);
+    }
+
+    const refundRecord = {
+      refundId: gatewayRefund.id,
+      amount: refundAmount,
+      scope: "FULL",
+      reason,
+      status: gatewayRefund.status === "processed" ? "PROCESSED" : "PENDING",
+      source: "BUYER",
+      processedAt: gatewayRefund.status === "processed" ? new Date() : null,
+    };
+
+    // Recorded before reversing, so a refund.processed webhook does not reverse again
+    const updated = await Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { status: "REFUNDED" }, $push: { refunds: refundRecord } },
+      { new: true }
+    );
+
+    const reversals = describeReversals(updated);
+    await reverseRelatedEntities(updated);
+
+    const final = await Payment.findOneAndUpdate(
+      { _id: payment._id, "refunds.refundId": gatewayRefund.id },
+      { $set: { "refunds.$.reversals": reversals } },
+      { new: true }
+    );
+    const refund = final.refunds.find((r) => r.refundId === gatewayRefund.id);
+    await issueCreditNoteSafely(final, refund);
+
+    console.log("[GIFT] Refunded by buyer:", { giftId: gift._id, refundId: gatewayRefund.id, amount: refundAmount });
+
+    return responseUtil.success(res, "Gift refund initiated successfully", {
+      refund: {
+        refundId: refund.refundId,
+        amount: refund.amount,
+        status: refund.status,
+      },
+    });
+  } catch (error) {
+    console.error("[GIFT] Refund error:", error.message);
+    return responseUtil.internalError(res, "Failed to refund gift", error.message);
+  }
+};
+
+export default {
+  createGift,
+  getSentGifts,
+  getReceivedGifts,
+  getGiftByClaimToken,
+  claimGift,
+  refundExpiredGift,
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview User routes for gifts
+ * @module routes/user/gift
+ */
+
+import express from "express";
+import { authenticate } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  giftSchemas,
+} from "../../middleware/validation.middleware.js";
+import {
+  createGift,
+  getSentGifts,
+  getReceivedGifts,
+  getGiftByClaimToken,
+  claimGift,
+  refundExpiredGift,
+} from "./gift.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/app/gifts
+ * @desc    Buy a membership, services or feature access for someone else
+ * @access  User
+ */
+router.post("/", authenticate, validateBody(giftSchemas.create), createGift);
+
+/**
+ * @route   GET /api/app/gifts/sent
+ * @desc    Gifts I bought
+ * @access  User
+ */
+router.get("/sent", authenticate, validateQuery(giftSchemas.list), getSentGifts);
+
+/**
+ * @route   GET /api/app/gifts/received
+ * @desc    Gifts delivered to my phone number, with claim links
+ * @access  User
+ */
+router.get("/received", authenticate, validateQuery(giftSchemas.list), getReceivedGifts);
+
+/**
+ * @route   GET /api/app/gifts/claim/:token
+ * @desc    What a claim link holds (sender, message, product)
+ * @access  Public
+ */
+router.get("/claim/:token", validateParams(giftSchemas.claimToken), getGiftByClaimToken);
+
+/**
+ * @route   POST /api/app/gifts/claim/:token
+ * @desc    Claim a gift onto my account (must be the recipient's phone)
+ * @access  User
+ */
+router.post("/claim/:token", authenticate, validateParams(giftSchemas.claimToken), claimGift);
+
+/**
+ * @route   POST /api/app/gifts/:id/refund
+ * @desc    Refund a gift that expired unclaimed
+ * @access  User (buyer)
+ */
+router.post(
+  "/:id/refund",
+  authenticate,
+  validateParams(giftSchemas.id),
+  validateBody(giftSchemas.refund),
+  refundExpiredGift
+);
+
+export default router;
@@ -11,6 +11,8 @@ import User from "../../schema/User.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { razorpayInstance } from "../../utils/razorpay.util.js";
 import { validateCouponForType } from "../Enrollment/coupon.controller.js";
+import { holdCouponUse, releaseUnsavedCouponHold } from "../../services/couponHold.service.js";
+import { validateUserReferral } from "../../services/userReferral.service.js";
 
 // Helper function to normalize phone number
 const normalizePhone = (phone) => {
@@ -516,8 +518,11 @@ export const createMembershipPaymentOrder = async (req, res) => {
   console.log(`${logPrefix} Request ID: ${requestId}`);
   console.log(`${logPrefix} Timestamp: ${new Date().toISOString()}`);
 
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
-    const { phone, membershipPlanId, couponCode } = req.body;
+    const { phone, membershipPlanId, couponCode, userReferralCode } = req.body;
     const userId = req.user?._id;
     const normalizedPhone = normalizePhone(phone);
 
@@ -525,6 +530,7 @@ export const createMembershipPaymentOrder = async (req, res) => {
       phone: normalizedPhone ? `***${normalizedPhone.slice(-4)}` : 'N/A',
       membershipPlanId,
       couponCode: couponCode?.toUpperCase() || 'None',
+      userReferralCode: userReferralCode || 'None',
       userId: userId || 'Guest',
       ip: req.ip || req.headers['x-forwarded-for'] || 'Unknown'
     });
@@ -579,7 +585,8 @@ export const createMembershipPaymentOrder = async (req, res) => {
         couponCode,
         originalAmount,
         normalizedPhone,
-        "MEMBERSHIP"
+        "MEMBERSHIP",
+        { userId, membershipPlanId: plan._id }
       );
 
       if (!couponValidation.isValid) {
@@ -587,7 +594,7 @@ export const createMembershipPaymentOrder = async (req, res) => {
         console.log(`${logPrefix} [STEP 3] Reason: ${couponValidation.error}`);
         console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
         console.log(`${logPrefix} ========== CREATE ORDER REQUEST END (COUPON FAILED) ==========`);
-        return responseUtil.badRequest(res, couponValidation.error);
+        return responseUtil.badRequest(res, couponValidation.error, { code: couponValidation.reason });
       }
 
       // Coupon is valid - apply discount
@@ -610,6 +617,46 @@ export const createMembershipPaymentOrder = async (req, res) => {
       console.log(`${logPrefix} [STEP 3] No coupon code provided - proceeding with full price: ₹${originalAmount}`);
     }
 
+    // Step 3b: Apply personal referral code (if provided)
+    let userReferral = null;
+
+    if (userReferralCode) {
+      console.log(`${logPrefix} [STEP 3b] Referral code provided: ${userReferralCode}`);
+
+      const referralValidation = await validateUserReferral({
+        code: userReferralCode,
+        amount: originalAmount,
+        buyer: { userId, phone: normalizedPhone, email: req.user?.email },
+        couponCode: appliedCouponCode,
+      });
+
+      if (!referralValidation.isValid) {
+        console.log(`${logPrefix} [STEP 3b] [FAIL] Referral rejected: ${referralValidation.reason}`);
+        console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
+        console.log(`${logPrefix} ========== CREATE ORDER REQUEST END (REFERRAL FAILED) ==========`);
+        return responseUtil.badRequest(res, referralValidation.error, { code: referralValidation.reason });
+      }
+
+      discountAmount = referralValidation.discountAmount;
+      finalAmount = referralValidation.finalAmount;
+      userReferral = referralValidation.referral;
+
+      console.log(`${logPrefix} [STEP 3b] ✓ Referral applied: ₹${discountAmount} off, referrer ${userReferral.referrerId}`);
+    }
+
+    // Step 3c: Hold the coupon use until the payment settles
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode);
+      if (!couponHold) {
+        console.log(`${logPrefix} [STEP 3c] [FAIL] Coupon usage limit reached: ${appliedCouponCode}`);
+        console.log(`${logPrefix} ========== CREATE ORDER REQUEST END (COUPON FAILED) ==========`);
+        return responseUtil.badRequest(res, "Coupon usage limit reached", { code: "USAGE_LIMIT_REACHED" });
+      }
+      unsavedCouponHold = couponHold;
+      console.log(`${logPrefix} [STEP 3c] ✓ Coupon use held until ${couponHold.expiresAt.toISOString()}`);
+    }
+
     // Step 4: Create Razorpay order
     console.log(`${logPrefix} [STEP 4] Creating Razorpay order...`);
     console.log(`${logPrefix} [STEP 4] Amount to charge: ₹${finalAmount} (${Math.round(finalAmount * 100)} paise)`);
@@ -695,10 +742,13 @@ export const createMembershipPaymentOrder = async (req, res) => {
         userMembershipId: userMembership._id.toString(),
         planName: plan.name,
         durationInDays: plan.durationInDays,
+        ...(userReferral && { userReferral }),
+        ...(couponHold && { couponHold }),
       },
     });
 
     await payment.save();
+    unsavedCouponHold = null;
     console.log(`${logPrefix} [STEP 7] ✓ Payment record created: ${payment._id}`);
 
     // Success summary
@@ -727,6 +777,7 @@ export const createMembershipPaymentOrder = async (req, res) => {
         discountAmount,
         finalAmount,
         couponApplied: appliedCouponCode,
+        referralApplied: !!userReferral,
         currency: "INR",
         key: process.env.RAZORPAY_KEY_ID,
         membership: {
@@ -743,6 +794,12 @@ export const createMembershipPaymentOrder = async (req, res) => {
     console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
     console.log(`${logPrefix} ========== CREATE ORDER REQUEST END (ERROR) ==========`);
 
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error(`${logPrefix} [ERROR] Coupon hold release failed: ${releaseError.message}`);
+      });
+    }
+
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((err) => ({
         field: err.path,
@@ -1445,7 +1502,8 @@ export const validateMembershipCoupon = async (req, res) => {
       couponCode,
       plan.price,
       normalizedPhone,
-      "MEMBERSHIP"
+      "MEMBERSHIP",
+      { userId, membershipPlanId: plan._id }
     );
 
     if (!validation.isValid) {
@@ -1453,7 +1511,7 @@ export const validateMembershipCoupon = async (req, res) => {
       console.log(`${logPrefix} Reason: ${validation.error}`);
       console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
       console.log(`${logPrefix} ========== COUPON PREVIEW REQUEST END (FAILED) ==========`);
-      return responseUtil.badRequest(res, validation.error);
+      return responseUtil.badRequest(res, validation.error, { code: validation.reason });
     }
 
     // Success - prepare response
@@ -15,6 +15,7 @@ import responseUtil from '../../utils/response.util.js';
 import { razorpayInstance } from '../../utils/razorpay.util.js';
 import { sendPaymentLinkNotifications } from '../../utils/notification.util.js';
 import { validateCouponForType } from '../Enrollment/coupon.controller.js';
+import { holdCouponUse, releaseUnsavedCouponHold } from '../../services/couponHold.service.js';
 
 // Helper function to normalize phone number
 const normalizePhone = (phone) => {
@@ -242,12 +243,13 @@ export const submitMembershipRequest = async (req, res) => {
         couponCode,
         requestedPlan.price,
         normalizedPhone,
-        'MEMBERSHIP'
+        'MEMBERSHIP',
+        { membershipPlanId: requestedPlan._id }
       );
 
       if (!couponValidation.isValid) {
         console.log('[MEMBERSHIP-REQUEST] Coupon validation failed:', couponValidation.error);
-        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`);
+        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`, { code: couponValidation.reason });
       }
 
       // Store coupon information (admin can later choose to accept or override this)
@@ -401,11 +403,12 @@ export const previewCoupon = async (req, res) => {
       couponCode,
       plan.price,
       normalizePhone(phone),
-      'MEMBERSHIP'
+      'MEMBERSHIP',
+      { membershipPlanId: plan._id }
     );
 
     if (!validation.isValid) {
-      return responseUtil.badRequest(res, validation.error);
+      return responseUtil.badRequest(res, validation.error, { code: validation.reason });
     }
 
     return responseUtil.success(res, 'Coupon applied', {
@@ -433,6 +436,9 @@ export const previewCoupon = async (req, res) => {
  * @route POST /api/web/doer-requests/checkout
  */
 export const createDoerCheckout = async (req, res) => {
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
     const { phone, name, planId, couponCode, joinReason, referralCode } = req.body;
     const normalizedPhone = normalizePhone(phone);
@@ -503,16 +509,27 @@ export const createDoerCheckout = async (req, res) => {
         couponCode,
         originalAmount,
         normalizedPhone,
-        'MEMBERSHIP'
+        'MEMBERSHIP',
+        { membershipPlanId: plan._id }
       );
       if (!validation.isValid) {
-        return responseUtil.badRequest(res, `Coupon error: ${validation.error}`);
+        return responseUtil.badRequest(res, `Coupon error: ${validation.error}`, { code: validation.reason });
       }
       coupon = validation.coupon;
       discountAmount = validation.discountAmount;
       finalAmount = validation.finalAmount;
     }
 
+    // Hold the coupon use until the payment settles
+    let couponHold = null;
+    if (coupon) {
+      couponHold = await holdCouponUse(coupon.code);
+      if (!couponHold) {
+        return responseUtil.badRequest(res, 'Coupon error: Coupon usage limit reached', { code: 'USAGE_LIMIT_REACHED' });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
     // Step 5 — Razorpay order. This is a checkout, not a payment link: the user
     // pays on the site instead of waiting for WhatsApp.
     const razorpayOrder = await razorpayInstance.orders.create({
@@ -611,8 +628,10 @@ export const createDoerCheckout = async (req, res) => {
         durationInDays: plan.durationInDays,
         // The webhook counts the referral use off this on payment success
         referralCodeId: referralTag.referralCodeId?.toString() || null,
+        ...(couponHold && { couponHold }),
       },
     });
+    unsavedCouponHold = null;
 
     console.log('[DOER-CHECKOUT] Order', razorpayOrder.id, '→ ₹' + finalAmount);
 
@@ -635,6 +654,11 @@ export const createDoerCheckout = async (req, res) => {
     });
   } catch (error) {
     console.error('[DOER-CHECKOUT] Error:', error.message);
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error('[DOER-CHECKOUT] Coupon hold release failed:', releaseError.message);
+      });
+    }
     return responseUtil.internalError(res, 'Failed to start checkout', error.message);
   }
 };
@@ -796,6 +820,9 @@ export const getMembershipRequestById = async (req, res) => {
  * @route POST /api/web/membership-requests/:id/approve
  */
 export const approveMembershipRequest = async (req, res) => {
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
     const { id } = req.params;
     const { planId, paymentAmount, adminNotes, sendWhatsApp = true, couponCode, alternativePhone, alternativeEmail, contactPreference } = req.body;
@@ -909,12 +936,13 @@ export const approveMembershipRequest = async (req, res) => {
         couponCode,
         originalAmount,
         request.phone,
-        'MEMBERSHIP'
+        'MEMBERSHIP',
+        { membershipPlanId: plan._id }
       );
 
       if (!couponValidation.isValid) {
         console.log('[MEMBERSHIP-REQUEST-APPROVE] ❌ Coupon validation failed:', couponValidation.error);
-        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`);
+        return responseUtil.badRequest(res, `Coupon error: ${couponValidation.error}`, { code: couponValidation.reason });
       }
 
       // Apply coupon discount
@@ -974,6 +1002,17 @@ export const approveMembershipRequest = async (req, res) => {
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7); // 7 days expiry
 
+    // Hold the coupon use until the link is paid or expires
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode, { expiresAt });
+      if (!couponHold) {
+        console.log('[MEMBERSHIP-REQUEST-APPROVE] ❌ Coupon usage limit reached:', appliedCouponCode);
+        return responseUtil.badRequest(res, 'Coupon error: Coupon usage limit reached', { code: 'USAGE_LIMIT_REACHED' });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
     const paymentLinkOptions = {
       amount: Math.round(amount * 100), // Convert to paise
       currency: 'INR',
@@ -1052,10 +1091,12 @@ export const approveMembershipRequest = async (req, res) => {
         // Carried from the request so the webhook can count the referral use
         // once this link is actually paid.
         referralCodeId: request.referralCodeId?.toString() || null,
+        ...(couponHold && { couponHold }),
       },
     });
 
     await payment.save();
+    unsavedCouponHold = null;
     console.log('[MEMBERSHIP-REQUEST-APPROVE] ✓ Payment record created');
     console.log('  - Payment ID:', payment._id);
     console.log('  - Order ID:', payment.orderId);
@@ -1181,6 +1222,11 @@ export const approveMembershipRequest = async (req, res) => {
     console.error('[MEMBERSHIP-REQUEST-APPROVE] Error Stack:', error.stack);
     console.error('[MEMBERSHIP-REQUEST-APPROVE] Full Error:', JSON.stringify(error, null, 2));
     console.error('═══════════════════════════════════════════════════════════');
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error('[MEMBERSHIP-REQUEST-APPROVE] Coupon hold release failed:', releaseError.message);
+      });
+    }
     return responseUtil.internalError(res, 'Failed to approve membership request', error.message);
   }
 };
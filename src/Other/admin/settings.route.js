@@ -12,11 +12,23 @@ import {
   authenticate,
   isAdmin,
 } from "../../../middleware/auth.middleware.js";
+import { recordAuditChange } from "../../../utils/auditTrail.util.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const settingsPath = path.join(__dirname, "../../../settings.json");
 
+/**
+ * Write settings.json and record the change in the admin audit log
+ * (settings do not live in MongoDB, so the audit plugin cannot see them)
+ * @param {Object} before - Settings as read
+ * @param {Object} after - Settings to write
+ */
+const saveSettings = (before, after) => {
+  fs.writeFileSync(settingsPath, JSON.stringify(after, null, 2));
+  recordAuditChange({ model: "Settings", documentId: "settings.json", operation: "UPDATE", before, after });
+};
+
 /** @type {express.Router} */
 const router = express.Router();
 
@@ -58,9 +70,10 @@ router.put("/show-delete", (req, res) => {
       return responseUtil.badRequest(res, "showDelete must be a boolean");
     }
 
-    const settings = JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+    const raw = fs.readFileSync(settingsPath, "utf-8");
+    const settings = JSON.parse(raw);
     settings.showDelete = showDelete;
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    saveSettings(JSON.parse(raw), settings);
 
     return responseUtil.success(res, "Settings updated", {
       showDelete: settings.showDelete,
@@ -101,7 +114,8 @@ router.put("/app-version", (req, res) => {
   try {
     const { currentVersion, minimumVersion, forceUpdate, updateUrl } = req.body;
 
-    const settings = JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+    const raw = fs.readFileSync(settingsPath, "utf-8");
+    const settings = JSON.parse(raw);
 
     if (!settings.appVersion) {
       settings.appVersion = {};
@@ -120,7 +134,7 @@ router.put("/app-version", (req, res) => {
       settings.appVersion.updateUrl = updateUrl;
     }
 
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    saveSettings(JSON.parse(raw), settings);
 
     return responseUtil.success(res, "App version settings updated", {
       appVersion: settings.appVersion,
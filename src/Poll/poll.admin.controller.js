@@ -15,7 +15,7 @@ import { sendPollNotification } from "../../utils/fcm.util.js";
  */
 export const createPoll = async (req, res) => {
   try {
-    const { eventId, questions } = req.body;
+    const { eventId, questions, applyToSeries } = req.body;
 
     // Check if event exists
     const event = await Event.findById(eventId);
@@ -44,7 +44,32 @@ export const createPoll = async (req, res) => {
       action: "created",
     }).catch((err) => console.error("[FCM] Poll creation notification error:", err));
 
-    return responseUtil.created(res, "Poll created successfully", poll);
+    // Each date of a series has its own poll and submissions
+    let seriesPolls = 0;
+    if (applyToSeries && event.seriesId) {
+      const occurrenceIds = await Event.find({
+        seriesId: event.seriesId,
+        _id: { $ne: event._id },
+        endDate: { $gt: new Date() },
+      }).distinct("_id");
+      const withPoll = new Set(
+        (await Poll.find({ eventId: { $in: occurrenceIds } }).distinct("eventId")).map(String)
+      );
+      const missing = occurrenceIds.filter((id) => !withPoll.has(String(id)));
+
+      if (missing.length > 0) {
+        await Poll.insertMany(missing.map((id) => ({ eventId: id, questions })));
+        seriesPolls = missing.length;
+      }
+    }
+
+    return responseUtil.created(
+      res,
+      seriesPolls
+        ? `Poll created successfully, and for ${seriesPolls} other date(s) of the series`
+        : "Poll created successfully",
+      poll
+    );
   } catch (error) {
     console.error("Create poll error:", error);
     return responseUtil.internalError(res, "Failed to create poll", error.message);
@@ -21,7 +21,7 @@ router.use(authenticate, isAdmin);
 
 /**
  * POST /api/web/polls
- * Create a new poll for an event
+ * Create a new poll for an event (applyToSeries: also for the other upcoming dates of its series)
  */
 router.post("/", validateBody(pollSchemas.create), pollController.createPoll);
 
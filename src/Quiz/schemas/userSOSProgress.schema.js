@@ -222,6 +222,15 @@ const userSOSProgressSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+
+    /**
+     * Slot the last calendar invite was emailed for; null after a cancellation
+     * notice (see services/calendar.service.js)
+     */
+    calendarInviteSlot: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
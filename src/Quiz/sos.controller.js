@@ -8,6 +8,7 @@ import SOSQuiz from "./schemas/sosQuiz.schema.js";
 import UserSOSProgress from "./schemas/userSOSProgress.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { buildPaginationOptions, buildPaginationMeta } from "../shared/pagination.util.js";
+import { notifySosCallSchedule } from "../../services/calendar.service.js";
 
 // ============================================
 // SOS PROGRAM CONTROLLERS (Admin)
@@ -1375,6 +1376,9 @@ export const confirmSchedule = async (req, res) => {
 
     await progress.save();
 
+    // Without a time from Calendly the slot is only a placeholder, so no invite yet
+    if (scheduledAt) notifySosCallSchedule(progress._id);
+
     return responseUtil.success(res, "Session scheduled successfully", {
       programId,
       schedulingStatus: progress.schedulingStatus,
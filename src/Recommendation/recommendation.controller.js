@@ -11,8 +11,10 @@ import User from "../../schema/User.schema.js";
 import Admin from "../../schema/Admin.schema.js";
 import RecommendationLike from "../../schema/RecommendationLike.schema.js";
 import RecommendationBookmark from "../../schema/RecommendationBookmark.schema.js";
+import UserRestriction from "../../schema/UserRestriction.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { getIsDoer, getIsMember } from "../../middleware/membership.middleware.js";
+import { resolveMentions, addedMentions, notifyMentions } from "../../services/mention.service.js";
 import {
   RECOMMENDATION_TAGS,
   RECOMMENDATION_CATEGORIES,
@@ -88,12 +90,25 @@ export const createRecommendation = async (req, res) => {
     const { text, tags } = req.body;
     const { authorType, authorId, authorName } = await resolveAuthor(req.user);
 
+    // Recommendations are visible to every user, so only blocks and private
+    // accounts limit who can be mentioned
+    const { text: resolvedText, mentions } = await resolveMentions(text, { authorId, authorType });
+
     const recommendation = await Recommendation.create({
       authorType,
       author: authorId,
       authorName,
-      text,
+      text: resolvedText,
       tags,
+      mentions,
+    });
+
+    notifyMentions({
+      userIds: mentions,
+      authorId,
+      authorName,
+      context: "RECOMMENDATION",
+      data: { recommendationId: recommendation._id.toString() },
     });
 
     return responseUtil.created(res, "Recommendation posted successfully", {
@@ -123,11 +138,14 @@ export const getAllRecommendations = async (req, res) => {
   try {
     const { page = 1, limit = 10, sortOrder = "desc", tag, author } = req.query;
 
+    // Never show authors the viewer blocked or muted, or who blocked them
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(req.user.id);
+
     // The global feed only shows the last 7 days. When viewing a specific
     // member's recommendations, show all of theirs (no date window).
-    const query = {};
+    const query = { author: { $nin: hiddenUserIds } };
     if (author) {
-      query.author = author;
+      query.author.$eq = author;
     } else {
       query.createdAt = { $gte: new Date(Date.now() - FEED_WINDOW_MS) };
     }
@@ -204,6 +222,66 @@ export const getMyRecommendations = async (req, res) => {
   }
 };
 
+/**
+ * Edit the text of an own recommendation. Mentions and hashtags are
+ * recomputed; only users newly mentioned by the edit are notified.
+ * @route PATCH /api/app/recommendations/:id
+ */
+export const updateRecommendation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+
+    const recommendation = await Recommendation.findById(id);
+    if (!recommendation) {
+      return responseUtil.notFound(res, "Recommendation not found");
+    }
+
+    if (recommendation.author.toString() !== req.user.id) {
+      return responseUtil.forbidden(res, "You can only edit your own recommendations");
+    }
+
+    const previousMentions = [...recommendation.mentions];
+    const { text: resolvedText, mentions } = await resolveMentions(text, {
+      authorId: req.user.id,
+      authorType: recommendation.authorType,
+    });
+    recommendation.text = resolvedText;
+    recommendation.mentions = mentions;
+    // Legacy tags outside the current taxonomy must not block a text edit
+    await recommendation.save({ validateModifiedOnly: true });
+
+    notifyMentions({
+      userIds: addedMentions(previousMentions, mentions),
+      authorId: req.user.id,
+      authorName: recommendation.authorName,
+      context: "RECOMMENDATION",
+      data: { recommendationId: recommendation._id.toString() },
+    });
+
+    const [enriched] = await enrichForViewer([recommendation.toObject()], req.user.id);
+
+    return responseUtil.success(res, "Recommendation updated successfully", {
+      recommendation: enriched,
+    });
+  } catch (error) {
+    console.error("Update recommendation error:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.keys(error.errors).map((key) => ({
+        field: key,
+        message: error.errors[key].message,
+      }));
+      return responseUtil.validationError(res, "Validation failed", errors);
+    }
+    if (error.name === "CastError") {
+      return responseUtil.badRequest(res, "Invalid recommendation ID");
+    }
+
+    return responseUtil.internalError(res, "Failed to update recommendation", error.message);
+  }
+};
+
 /**
  * Delete a recommendation. Allowed for the author or any admin.
  * @route DELETE /api/app/recommendations/:id  (and admin route)
@@ -250,6 +328,10 @@ export const likeRecommendation = async (req, res) => {
       return responseUtil.notFound(res, "Recommendation not found");
     }
 
+    if (await UserRestriction.isBlockedBetween(req.user.id, recommendation.author)) {
+      return responseUtil.forbidden(res, "You cannot interact with this recommendation");
+    }
+
     try {
       await RecommendationLike.create({ recommendation: id, user: req.user.id });
       recommendation.likeCount = (recommendation.likeCount || 0) + 1;
@@ -409,12 +491,14 @@ export const getComments = async (req, res) => {
       return responseUtil.notFound(res, "Recommendation not found");
     }
 
-    const comments = await RecommendationComment.find({ recommendation: id })
+    const userId = req.user?.id;
+    const hiddenUserIds = await UserRestriction.getHiddenUserIds(userId);
+
+    const comments = await RecommendationComment.find({ recommendation: id, author: { $nin: hiddenUserIds } })
       .sort({ likeCount: -1, createdAt: -1 })
       .lean();
 
     // Attach isLiked per comment for the viewer.
-    const userId = req.user?.id;
     let enriched = comments.map((c) => ({ ...c, isLiked: false }));
 
     if (userId && comments.length > 0) {
@@ -459,6 +543,10 @@ export const createComment = async (req, res) => {
       return responseUtil.notFound(res, "Recommendation not found");
     }
 
+    if (await UserRestriction.isBlockedBetween(req.user.id, recommendation.author)) {
+      return responseUtil.forbidden(res, "You cannot comment on this recommendation");
+    }
+
     const { authorType, authorId, authorName } = await resolveAuthor(req.user);
 
     const comment = await RecommendationComment.create({
@@ -592,6 +680,7 @@ export default {
   createRecommendation,
   getAllRecommendations,
   getMyRecommendations,
+  updateRecommendation,
   deleteRecommendation,
   likeRecommendation,
   unlikeRecommendation,
@@ -10,6 +10,7 @@ import {
   createRecommendation,
   getAllRecommendations,
   getMyRecommendations,
+  updateRecommendation,
   deleteRecommendation,
   likeRecommendation,
   unlikeRecommendation,
@@ -24,6 +25,7 @@ import {
 } from "./recommendation.controller.js";
 import { authenticate } from "../../middleware/auth.middleware.js";
 import { requireMemberOrAdmin, requireDoer } from "../../middleware/membership.middleware.js";
+import { rejectSuspended } from "../../middleware/moderation.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middleware/validation.middleware.js";
 import { recommendationSchemas, commentSchemas } from "./recommendation.validation.js";
 
@@ -41,6 +43,7 @@ router.get("/", authenticate, validateQuery(recommendationSchemas.list), getAllR
 router.post(
   "/",
   authenticate,
+  rejectSuspended,
   requireMemberOrAdmin,
   validateBody(recommendationSchemas.create),
   createRecommendation
@@ -51,6 +54,7 @@ router.post(
 router.post(
   "/:id/like",
   authenticate,
+  rejectSuspended,
   validateParams(recommendationSchemas.recommendationId),
   likeRecommendation
 );
@@ -90,6 +94,7 @@ router.get(
 router.post(
   "/:id/comments",
   authenticate,
+  rejectSuspended,
   requireMemberOrAdmin,
   validateBody(commentSchemas.create),
   createComment
@@ -107,6 +112,7 @@ router.delete(
 router.post(
   "/:id/comments/:cid/like",
   authenticate,
+  rejectSuspended,
   validateParams(commentSchemas.commentId),
   likeComment
 );
@@ -119,7 +125,21 @@ router.delete(
   unlikeComment
 );
 
-// ─── Delete recommendation ────────────────────────────────────────────────────
+// ─── Edit / delete recommendation ─────────────────────────────────────────────
+
+/**
+ * Edit own recommendation text (mentions and hashtags are re-parsed).
+ * Mentions in recommendation text use @[Name](userId) (utils/mention.util.js);
+ * other "@" text stays plain, and more than 20 mentions is rejected by validation.
+ */
+router.patch(
+  "/:id",
+  authenticate,
+  rejectSuspended,
+  validateParams(recommendationSchemas.recommendationId),
+  validateBody(recommendationSchemas.update),
+  updateRecommendation
+);
 
 router.delete(
   "/:id",
@@ -11,6 +11,7 @@ import {
   COMMENT_MAX_WORDS,
   countWords,
 } from "./recommendation.constants.js";
+import { MAX_MENTIONS, hasTooManyMentions } from "../../utils/mention.util.js";
 
 const mongoId = Joi.string()
   .regex(/^[0-9a-fA-F]{24}$/)
@@ -23,12 +24,14 @@ const wordLimitedText = Joi.string()
     const words = countWords(value);
     if (words < 1) return helpers.error("any.required");
     if (words > RECOMMENDATION_MAX_WORDS) return helpers.error("string.maxWords");
+    if (hasTooManyMentions(value)) return helpers.error("string.mentions");
     return value;
   })
   .messages({
     "string.empty": "Recommendation text is required",
     "any.required": "Recommendation text is required",
     "string.maxWords": `Recommendation cannot exceed ${RECOMMENDATION_MAX_WORDS} words`,
+    "string.mentions": `Recommendation can mention at most ${MAX_MENTIONS} people`,
   });
 
 const tagsField = Joi.array()
@@ -66,6 +69,10 @@ export const recommendationSchemas = {
     tags: tagsField,
   }),
 
+  update: Joi.object({
+    text: wordLimitedText,
+  }),
+
   list: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
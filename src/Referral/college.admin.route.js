@@ -30,12 +30,13 @@ router.use(isAdmin);
 
 /**
  * @route   GET /api/web/colleges/report
- * @desc    Students per college, from paid referral-tagged memberships
+ * @desc    Students per college, from paid referral-tagged memberships,
+ *          plus personal referrers (users inviting users)
  * @access  Admin
  *
  * MUST stay above GET /:id — otherwise "report" is parsed as an id.
  */
-router.get('/report', getCollegeReport);
+router.get('/report', validateQuery(collegeSchemas.report), getCollegeReport);
 
 /**
  * @route   POST /api/web/colleges
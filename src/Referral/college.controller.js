@@ -12,6 +12,7 @@ import College from '../../schema/College.schema.js';
 import ReferralCode from '../../schema/ReferralCode.schema.js';
 import UserMembership from '../../schema/UserMembership.schema.js';
 import responseUtil from '../../utils/response.util.js';
+import { getReferrerReport } from '../../services/userReferral.service.js';
 
 /**
  * Create a college (admin)
@@ -206,13 +207,18 @@ export const deleteCollege = async (req, res) => {
  * referral-tagged memberships have a collegeId, so this is exactly the set of
  * student sign-ups.
  *
+ * Personal referrers (users inviting users) are reported alongside under
+ * `referrers`. kind=user returns only them; kind=college/leader only colleges.
+ *
  * @route GET /api/web/colleges/report
  */
 export const getCollegeReport = async (req, res) => {
   try {
-    const { kind } = req.query;
+    const { kind, from, to } = req.query;
+
+    const referrers = !kind || kind === 'user' ? await getReferrerReport({ from, to }) : undefined;
 
-    const rows = await UserMembership.aggregate([
+    const rows = kind === 'user' ? [] : await UserMembership.aggregate([
       {
         $match: {
           collegeId: { $ne: null },
@@ -271,6 +277,7 @@ export const getCollegeReport = async (req, res) => {
         students: totals.students,
         revenue: totals.revenue,
       },
+      ...(referrers && { referrers }),
     });
   } catch (error) {
     console.error('[COLLEGE] Report error:', error.message);
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Personal referral controller — a user's own code, their
+ * referral credits and the referral leaderboard.
+ *
+ * Codes are applied at checkout (userReferralCode on event, membership and
+ * feature orders) and credited by the payment webhook; see
+ * services/userReferral.service.js.
+ *
+ * @module controllers/userReferral
+ */
+
+import responseUtil from '../../utils/response.util.js';
+import { getReferralSummary, getLeaderboard } from '../../services/userReferral.service.js';
+
+/**
+ * My referral code (created on first visit), credits and recent referrals
+ * @route GET /api/app/referrals/me
+ */
+export const getMyReferrals = async (req, res) => {
+  try {
+    const summary = await getReferralSummary(req.user.id, { limit: req.query.limit });
+
+    if (!summary) {
+      return responseUtil.notFound(res, 'User not found');
+    }
+
+    return responseUtil.success(res, 'Referral details retrieved successfully', summary);
+  } catch (error) {
+    console.error('[USER-REFERRAL] Get my referrals error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve referral details', error.message);
+  }
+};
+
+/**
+ * Top referrers, with names masked, and the caller's own rank
+ * @route GET /api/app/referrals/leaderboard
+ */
+export const getReferralLeaderboard = async (req, res) => {
+  try {
+    const { period, limit } = req.query;
+
+    const { leaderboard, me } = await getLeaderboard({ period, limit, userId: req.user.id });
+
+    return responseUtil.success(res, 'Referral leaderboard retrieved successfully', {
+      period,
+      leaderboard,
+      me,
+    });
+  } catch (error) {
+    console.error('[USER-REFERRAL] Leaderboard error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve referral leaderboard', error.message);
+  }
+};
+
+export default {
+  getMyReferrals,
+  getReferralLeaderboard,
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview User routes for personal referrals
+ * @module routes/user/userReferral
+ */
+
+import express from 'express';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import { validateQuery, userReferralSchemas } from '../../middleware/validation.middleware.js';
+import { getMyReferrals, getReferralLeaderboard } from './userReferral.controller.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/app/referrals/me
+ * @desc    My referral code, credit balance and referrals
+ * @access  User
+ */
+router.get('/me', validateQuery(userReferralSchemas.summary), getMyReferrals);
+
+/**
+ * @route   GET /api/app/referrals/leaderboard
+ * @desc    Top referrers this month or all time (names masked)
+ * @access  User
+ */
+router.get('/leaderboard', validateQuery(userReferralSchemas.leaderboard), getReferralLeaderboard);
+
+export default router;
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Admin routes for the background job scheduler
+ * @module routes/admin/scheduler
+ */
+
+import express from 'express';
+import {
+  getScheduledJobs,
+  getJobRuns,
+  getScheduledJob,
+  pauseJob,
+  resumeJob,
+  runJob
+} from './scheduler.controller.js';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
+import { validateParams, validateQuery, scheduledJobSchemas } from '../../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/web/scheduled-jobs
+ * @desc    All jobs with schedule, lock and last outcome
+ * @access  Admin (jobs:read)
+ */
+router.get(
+  '/',
+  requirePermission('jobs:read'),
+  getScheduledJobs
+);
+
+/**
+ * @route   GET /api/web/scheduled-jobs/runs
+ * @desc    Run history by job, status and date range (failed=true for failures)
+ * @access  Admin (jobs:read)
+ */
+router.get(
+  '/runs',
+  requirePermission('jobs:read'),
+  validateQuery(scheduledJobSchemas.runs),
+  getJobRuns
+);
+
+/**
+ * @route   GET /api/web/scheduled-jobs/:name
+ * @desc    One job with its recent runs and last failure
+ * @access  Admin (jobs:read)
+ */
+router.get(
+  '/:name',
+  requirePermission('jobs:read'),
+  validateParams(scheduledJobSchemas.name),
+  getScheduledJob
+);
+
+/**
+ * @route   POST /api/web/scheduled-jobs/:name/pause
+ * @desc    Stop a job's scheduled runs
+ * @access  Admin (jobs:manage)
+ */
+router.post(
+  '/:name/pause',
+  requirePermission('jobs:manage'),
+  validateParams(scheduledJobSchemas.name),
+  pauseJob
+);
+
+/**
+ * @route   POST /api/web/scheduled-jobs/:name/resume
+ * @desc    Resume a paused job from its next scheduled time
+ * @access  Admin (jobs:manage)
+ */
+router.post(
+  '/:name/resume',
+  requirePermission('jobs:manage'),
+  validateParams(scheduledJobSchemas.name),
+  resumeJob
+);
+
+/**
+ * @route   POST /api/web/scheduled-jobs/:name/run
+ * @desc    Queue a run now, also when paused
+ * @access  Admin (jobs:manage)
+ */
+router.post(
+  '/:name/run',
+  requirePermission('jobs:manage'),
+  validateParams(scheduledJobSchemas.name),
+  runJob
+);
+
+export default router;
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Admin view and control of the background job scheduler
+ * @module controllers/scheduler
+ */
+
+import ScheduledJob from '../../schema/ScheduledJob.schema.js';
+import JobRun from '../../schema/JobRun.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import {
+  INSTANCE_ID,
+  SCHEDULER_ENABLED,
+  getRegisteredJobNames,
+  requestJobRun,
+  pauseJob as pauseJobService,
+  resumeJob as resumeJobService
+} from '../../services/jobScheduler.service.js';
+
+const FAILED_STATUSES = ['FAILED', 'TIMED_OUT', 'ABANDONED'];
+const RECENT_RUNS = 20;
+
+/**
+ * Add what the stored document does not say: whether this code version still
+ * defines the job and whether an instance is running it right now
+ */
+const withRuntimeState = (job, registeredNames, now = new Date()) => ({
+  ...job,
+  registered: registeredNames.includes(job.name),
+  running: Boolean(job.lock?.owner && job.lock.expiresAt > now)
+});
+
+/**
+ * All jobs with their schedule, lock and last outcome
+ * @route GET /api/web/scheduled-jobs
+ * @access Admin (jobs:read)
+ */
+export const getScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+    const registeredNames = getRegisteredJobNames();
+
+    return responseUtil.success(res, 'Scheduled jobs retrieved successfully', {
+      jobs: jobs.map((job) => withRuntimeState(job, registeredNames)),
+      scheduler: {
+        instanceId: INSTANCE_ID,
+        enabled: SCHEDULER_ENABLED
+      }
+    });
+  } catch (error) {
+    console.error('[SCHEDULER] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve scheduled jobs', error.message);
+  }
+};
+
+/**
+ * Run history across jobs, newest first. `failed=true` returns failed,
+ * timed out and abandoned runs.
+ * @route GET /api/web/scheduled-jobs/runs
+ * @access Admin (jobs:read)
+ */
+export const getJobRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, jobName, status, failed, from, to } = req.query;
+
+    const query = {};
+    if (jobName) query.jobName = jobName;
+    if (status) {
+      query.status = status;
+    } else if (failed) {
+      query.status = { $in: FAILED_STATUSES };
+    }
+    if (from || to) {
+      query.startedAt = {};
+      if (from) query.startedAt.$gte = new Date(from);
+      if (to) query.startedAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [runs, totalCount] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'name username')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    return responseUtil.success(res, 'Job runs retrieved successfully', {
+      runs,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit: Number(limit)
+      }
+    });
+  } catch (error) {
+    console.error('[SCHEDULER] Runs error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve job runs', error.message);
+  }
+};
+
+/**
+ * One job with its recent runs and last failure
+ * @route GET /api/web/scheduled-jobs/:name
+ * @access Admin (jobs:read)
+ */
+export const getScheduledJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const [job, recentRuns, lastFailure] = await Promise.all([
+      ScheduledJob.findOne({ name })
+        .populate('pausedBy', 'name username')
+        .populate('manualRunRequestedBy', 'name username')
+        .lean(),
+      JobRun.find({ jobName: name }).sort({ startedAt: -1 }).limit(RECENT_RUNS).lean(),
+      JobRun.findOne({ jobName: name, status: { $in: FAILED_STATUSES } }).sort({ startedAt: -1 }).lean()
+    ]);
+
+    if (!job) {
+      return responseUtil.notFound(res, 'Scheduled job not found');
+    }
+
+    return responseUtil.success(res, 'Scheduled job retrieved successfully', {
+      job: withRuntimeState(job, getRegisteredJobNames()),
+      recentRuns,
+      lastFailure
+    });
+  } catch (error) {
+    console.error('[SCHEDULER] Detail error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve scheduled job', error.message);
+  }
+};
+
+/**
+ * Stop a job's scheduled runs (a run in progress finishes)
+ * @route POST /api/web/scheduled-jobs/:name/pause
+ * @access Admin (jobs:manage)
+ */
+export const pauseJob = async (req, res) => {
+  try {
+    const job = await pauseJobService(req.params.name, req.user.id);
+    if (!job) {
+      return responseUtil.notFound(res, 'Scheduled job not found');
+    }
+
+    console.log(`[SCHEDULER] Job "${job.name}" paused by ${req.user.id}`);
+    return responseUtil.success(res, 'Job paused', { job });
+  } catch (error) {
+    console.error('[SCHEDULER] Pause error:', error.message);
+    return responseUtil.internalError(res, 'Failed to pause job', error.message);
+  }
+};
+
+/**
+ * Resume a paused job from its next scheduled time
+ * @route POST /api/web/scheduled-jobs/:name/resume
+ * @access Admin (jobs:manage)
+ */
+export const resumeJob = async (req, res) => {
+  try {
+    const job = await resumeJobService(req.params.name);
+    if (!job) {
+      return responseUtil.notFound(res, 'Scheduled job not found');
+    }
+
+    console.log(`[SCHEDULER] Job "${job.name}" resumed by ${req.user.id}`);
+    return responseUtil.success(res, 'Job resumed', { job });
+  } catch (error) {
+    console.error('[SCHEDULER] Resume error:', error.message);
+    return responseUtil.internalError(res, 'Failed to resume job', error.message);
+  }
+};
+
+/**
+ * Run a job now, also when paused. Picked up within one poll interval; the
+ * outcome shows in the run history.
+ * @route POST /api/web/scheduled-jobs/:name/run
+ * @access Admin (jobs:manage)
+ */
+export const runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!getRegisteredJobNames().includes(name)) {
+      const exists = await ScheduledJob.exists({ name });
+      return exists
+        ? responseUtil.badRequest(res, 'This job is no longer defined and cannot be run', 'JOB_NOT_REGISTERED')
+        : responseUtil.notFound(res, 'Scheduled job not found');
+    }
+
+    const result = await requestJobRun(name, req.user.id);
+
+    if (result.status === 'NOT_FOUND') {
+      return responseUtil.notFound(res, 'Scheduled job not found');
+    }
+    if (result.status === 'ALREADY_REQUESTED') {
+      return responseUtil.conflict(res, 'A manual run of this job is already queued');
+    }
+
+    console.log(`[SCHEDULER] Manual run of "${name}" requested by ${req.user.id}`);
+    return responseUtil.success(res, 'Job run queued', {
+      job: result.job,
+      schedulerEnabled: SCHEDULER_ENABLED
+    });
+  } catch (error) {
+    console.error('[SCHEDULER] Run request error:', error.message);
+    return responseUtil.internalError(res, 'Failed to queue job run', error.message);
+  }
+};
+
+export default {
+  getScheduledJobs,
+  getJobRuns,
+  getScheduledJob,
+  pauseJob,
+  resumeJob,
+  runJob
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Search controller for people, posts, clubs, recommendations and jobs
+ * @module controllers/search
+ */
+
+import responseUtil from "../../utils/response.util.js";
+import { search, FILTER_TYPES } from "../../services/search.service.js";
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_LIMIT_ALL = 5;
+
+/**
+ * Search one type, or the top few results of each type (type=all)
+ * @route GET /api/app/search
+ */
+export const searchAll = async (req, res) => {
+  try {
+    const { q, type, city, occupation, clubId, hashtag, page } = req.query;
+
+    if (type !== "all") {
+      const unsupported = Object.entries({ city, occupation, clubId, hashtag }).find(
+        ([filter, value]) => value && !FILTER_TYPES[filter].includes(type)
+      );
+      if (unsupported) {
+        return responseUtil.badRequest(
+          res,
+          `The ${unsupported[0]} filter only applies to ${FILTER_TYPES[unsupported[0]].join(" and ")}`
+        );
+      }
+    }
+
+    const limit = req.query.limit ?? (type === "all" ? DEFAULT_LIMIT_ALL : DEFAULT_LIMIT);
+    const results = await search(req.user?.id ?? null, {
+      type,
+      q,
+      city,
+      occupation,
+      clubId,
+      hashtag,
+      page: type === "all" ? 1 : page,
+      limit,
+    });
+
+    return responseUtil.success(res, "Search results fetched successfully", {
+      type,
+      ...(type === "all" ? { results } : results),
+    });
+  } catch (error) {
+    console.error("[SEARCH] Search error:", error);
+    return responseUtil.internalError(res, "Failed to search", error.message);
+  }
+};
+
+export default {
+  searchAll,
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview User routes for search
+ * @module routes/user/search
+ *
+ * Base path: /api/app/search
+ */
+
+import express from "express";
+import { optionalAuth } from "../../middleware/auth.middleware.js";
+import { validateQuery, searchSchemas } from "../../middleware/validation.middleware.js";
+import { searchAll } from "./search.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/app/search
+ * @desc    Ranked, typo-tolerant search. type=all returns the top results of each
+ *          type the filters apply to; a single type is paginated. Blocked and muted
+ *          users, private posts and hidden profile fields are never matched.
+ * @access  Public (optional auth for blocks, follows and private accounts)
+ * @query   {string} [q] - Search term (min 2 characters); required unless a filter is given
+ * @query   {string} [type=all] - all | users | posts | clubs | recommendations | jobs
+ * @query   {string} [city] - Users and jobs in this city
+ * @query   {string} [occupation] - Users whose occupation has these words
+ * @query   {string} [clubId] - Club members, or posts in the club
+ * @query   {string} [hashtag] - Posts and recommendations with this #hashtag
+ * @query   {number} [page=1] - Page number (single type only)
+ * @query   {number} [limit] - Items per page (default 20, or 5 per type for all)
+ */
+router.get("/", optionalAuth, validateQuery(searchSchemas.query), searchAll);
+
+export default router;
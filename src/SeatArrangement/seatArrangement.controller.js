@@ -8,6 +8,12 @@ import SeatArrangement from "../../schema/SeatArrangement.schema.js";
 import Event from "../../schema/Event.schema.js";
 import EventEnrollment from "../../schema/EventEnrollment.schema.js";
 import responseUtil from "../../utils/response.util.js";
+import { triggerWaitlistPromotion } from "../../services/waitlist.service.js";
+import {
+  buildArrangementSeats,
+  buildSeatLayout,
+  suggestAdjacentSeats,
+} from "../../services/seatMap.service.js";
 
 /**
  * Helper to normalize phone to 10 digits
@@ -99,9 +105,15 @@ export const createSeatArrangement = async (req, res) => {
 
   try {
     const { eventId } = req.params;
-    const { imageUrl, seats } = req.body;
+    const { imageUrl, seats, sections } = req.body;
     const adminId = req.user.id;
 
+    const built = buildArrangementSeats({ sections, seats });
+    if (built.error) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(res, built.error);
+    }
+
     // Verify event exists
     const event = await Event.findById(eventId).session(session);
     if (!event) {
@@ -121,10 +133,21 @@ export const createSeatArrangement = async (req, res) => {
       );
     }
 
-    // Initialize all seats with AVAILABLE status
-    const initializedSeats = seats.map((seat) => ({
-      label: seat.label.toUpperCase().trim(),
-      status: "AVAILABLE",
+    const unknownTier = built.sections.find(
+      (section) => section.tierId && !event.pricingTiers.id(section.tierId)
+    );
+    if (unknownTier) {
+      await session.abortTransaction();
+      return responseUtil.badRequest(
+        res,
+        `Section ${unknownTier.code} refers to a pricing tier this event does not have`
+      );
+    }
+
+    // Initialize all seats with AVAILABLE status, except blocked ones
+    const initializedSeats = built.seats.map(({ blocked, ...seat }) => ({
+      ...seat,
+      status: blocked ? "BLOCKED" : "AVAILABLE",
       bookedBy: null,
       bookedByPhone: null,
       reservedBy: null,
@@ -137,9 +160,10 @@ export const createSeatArrangement = async (req, res) => {
     const arrangement = new SeatArrangement({
       eventId,
       imageUrl,
+      sections: built.sections,
       seats: initializedSeats,
       totalSeats: initializedSeats.length,
-      availableSeatsCount: initializedSeats.length,
+      availableSeatsCount: initializedSeats.filter((s) => s.status === "AVAILABLE").length,
       bookedSeatsCount: 0,
       reservedSeatsCount: 0,
       createdBy: adminId,
@@ -150,7 +174,7 @@ export const createSeatArrangement = async (req, res) => {
     // Update event
     event.hasSeatArrangement = true;
     event.seatArrangementId = arrangement._id;
-    event.availableSeats = arrangement.totalSeats;
+    event.availableSeats = arrangement.availableSeatsCount;
     event.updatedBy = adminId;
     await event.save({ session });
 
@@ -205,6 +229,9 @@ export const getSeatArrangement = async (req, res) => {
       return responseUtil.notFound(res, "Seat arrangement not found");
     }
 
+    const pricing = await Event.findById(eventId).select("price pricingTiers").lean();
+    const layout = buildSeatLayout(arrangement, pricing || {});
+
     // For users, filter out sensitive data
     if (!isAdmin) {
       const filteredSeats = arrangement.seats.map((seat) => ({
@@ -224,11 +251,13 @@ export const getSeatArrangement = async (req, res) => {
           reservedSeatsCount: arrangement.reservedSeatsCount,
           seats: filteredSeats,
         },
+        layout,
       });
     }
 
     return responseUtil.success(res, "Seat arrangement retrieved", {
       arrangement,
+      layout,
     });
   } catch (error) {
     console.error("[SEAT-ARRANGEMENT] Get error:", error);
@@ -280,6 +309,55 @@ export const getAvailableSeats = async (req, res) => {
   }
 };
 
+/**
+ * Suggest the cheapest blocks of adjacent free seats for a party size
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSeatSuggestions = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { quantity, accessible, section } = req.query;
+
+    // Clean up expired reservations first
+    await cleanupExpiredReservations(eventId);
+
+    const [arrangement, event] = await Promise.all([
+      SeatArrangement.findOne({ eventId }).select("sections seats"),
+      Event.findById(eventId).select("price pricingTiers").lean(),
+    ]);
+
+    if (!arrangement || !event) {
+      return responseUtil.notFound(res, "Seat arrangement not found");
+    }
+
+    if (arrangement.sections.length === 0) {
+      return responseUtil.badRequest(
+        res,
+        "This seat arrangement has no map, pick seats from the available seats instead"
+      );
+    }
+
+    const suggestions = suggestAdjacentSeats(arrangement, event, {
+      quantity,
+      accessible,
+      section,
+    });
+
+    return responseUtil.success(res, "Seat suggestions retrieved", {
+      quantity,
+      suggestions,
+    });
+  } catch (error) {
+    console.error("[SEAT-ARRANGEMENT] Get seat suggestions error:", error);
+    return responseUtil.internalError(
+      res,
+      "Failed to suggest seats",
+      error.message
+    );
+  }
+};
+
 /**
  * Update seat arrangement (Admin)
  * @param {Object} req - Express request object
@@ -291,7 +369,7 @@ export const updateSeatArrangement = async (req, res) => {
 
   try {
     const { eventId } = req.params;
-    const { imageUrl, seats } = req.body;
+    const { imageUrl, seats, sections } = req.body;
     const adminId = req.user.id;
 
     const arrangement = await SeatArrangement.findOne({ eventId }).session(
@@ -307,9 +385,44 @@ export const updateSeatArrangement = async (req, res) => {
       arrangement.imageUrl = imageUrl;
     }
 
-    // Update seats if provided
-    if (seats && seats.length > 0) {
-      const newLabels = seats.map((s) => s.label.toUpperCase().trim());
+    // Update seats if provided. `sections` replaces the mapped seats and
+    // `seats` the unmapped ones; whichever is left out is kept as it is.
+    const replaceSections = sections !== undefined;
+    const replaceFlat = Boolean(seats && seats.length > 0);
+
+    if (replaceSections || replaceFlat) {
+      const built = buildArrangementSeats({
+        sections: replaceSections ? sections : [],
+        seats: replaceFlat ? seats : [],
+      });
+      if (built.error) {
+        await session.abortTransaction();
+        return responseUtil.badRequest(res, built.error);
+      }
+
+      if (replaceSections) {
+        const event = await Event.findById(eventId).select("pricingTiers").session(session);
+        const unknownTier = built.sections.find(
+          (section) => section.tierId && !event?.pricingTiers.id(section.tierId)
+        );
+        if (unknownTier) {
+          await session.abortTransaction();
+          return responseUtil.badRequest(
+            res,
+            `Section ${unknownTier.code} refers to a pricing tier this event does not have`
+          );
+        }
+      }
+
+      const requestedSeats = [
+        ...(replaceSections
+          ? built.seats.filter((seat) => seat.section)
+          : arrangement.seats.filter((seat) => seat.section)),
+        ...(replaceFlat
+          ? built.seats.filter((seat) => !seat.section)
+          : arrangement.seats.filter((seat) => !seat.section)),
+      ];
+      const newLabels = requestedSeats.map((s) => s.label);
       const existingSeatsMap = new Map(
         arrangement.seats.map((seat) => [seat.label, seat])
       );
@@ -331,6 +444,25 @@ export const updateSeatArrangement = async (req, res) => {
         );
       }
 
+      // Prevent blocking seats someone has booked or is paying for
+      const now = new Date();
+      const takenSeatsToBlock = requestedSeats.filter((seat) => {
+        const existingSeat = existingSeatsMap.get(seat.label);
+        return (
+          seat.blocked &&
+          existingSeat &&
+          (existingSeat.status === "BOOKED" ||
+            (existingSeat.status === "RESERVED" && existingSeat.reservationExpiry > now))
+        );
+      });
+      if (takenSeatsToBlock.length > 0) {
+        await session.abortTransaction();
+        return responseUtil.badRequest(
+          res,
+          `Cannot block booked or reserved seats: ${takenSeatsToBlock.map((s) => s.label).join(", ")}`
+        );
+      }
+
       // Warn about reserved seats being removed (but allow it)
       const reservedSeatsToRemove = removedSeats.filter(
         (seat) => seat.status === "RESERVED"
@@ -342,16 +474,32 @@ export const updateSeatArrangement = async (req, res) => {
       }
 
       // Build new seats array
-      const updatedSeats = newLabels.map((label) => {
-        const existingSeat = existingSeatsMap.get(label);
+      const updatedSeats = requestedSeats.map((seat) => {
+        const existingSeat = existingSeatsMap.get(seat.label);
+
+        // Kept as it is (the part of the map not in this request)
+        if (seat === existingSeat) {
+          return existingSeat;
+        }
+
+        const { blocked, ...placement } = seat;
         if (existingSeat) {
-          // Keep existing seat with all its data
+          // Keep existing seat with all its data, at its new place on the map
+          Object.assign(existingSeat, placement);
+          if (blocked) {
+            existingSeat.status = "BLOCKED";
+            existingSeat.reservedBy = null;
+            existingSeat.reservationExpiry = null;
+            existingSeat.orderId = null;
+          } else if (existingSeat.status === "BLOCKED") {
+            existingSeat.status = "AVAILABLE";
+          }
           return existingSeat;
         } else {
           // New seat - initialize as AVAILABLE
           return {
-            label,
-            status: "AVAILABLE",
+            ...placement,
+            status: blocked ? "BLOCKED" : "AVAILABLE",
             bookedBy: null,
             bookedByPhone: null,
             reservedBy: null,
@@ -362,6 +510,9 @@ export const updateSeatArrangement = async (req, res) => {
         }
       });
 
+      if (replaceSections) {
+        arrangement.sections = built.sections;
+      }
       arrangement.seats = updatedSeats;
     }
 
@@ -475,11 +626,11 @@ export const deleteSeatArrangement = async (req, res) => {
 };
 
 /**
- * Reserve seats temporarily (15 minutes) - Internal helper
- * Called from payment.controller.js
- * @param {Object} params - { eventId, selectedSeats, userId, orderId }
+ * Reserve seats temporarily (15 minutes by default) - Internal helper
+ * Called from payment.controller.js and the waitlist service
+ * @param {Object} params - { eventId, selectedSeats, userId, orderId, expiresAt? }
  */
-export const reserveSeats = async ({ eventId, selectedSeats, userId, orderId }) => {
+export const reserveSeats = async ({ eventId, selectedSeats, userId, orderId, expiresAt }) => {
   const operationId = `RSV-${Date.now().toString(36)}`;
   console.log('[SEAT:RESERVE] ========== START ==========', {
     operationId,
@@ -519,7 +670,8 @@ export const reserveSeats = async ({ eventId, selectedSeats, userId, orderId })
     });
 
     const now = new Date();
-    const reservationExpiry = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
+    // 15 minutes for checkout; waitlist offers pass their own, longer hold
+    const reservationExpiry = expiresAt || new Date(now.getTime() + 15 * 60 * 1000);
 
     const requestedLabels = selectedSeats.map((s) => s.seatLabel.toUpperCase().trim());
     const unavailableSeats = [];
@@ -772,9 +924,11 @@ export const confirmSeatBooking = async ({ orderId, enrollmentId }) => {
 /**
  * Release seat reservation (convert RESERVED → AVAILABLE) - Internal helper
  * Called from payment failure handlers
- * @param {Object} params - { orderId }
+ * @param {Object} params - { orderId, promoteWaitlist? }
+ * promoteWaitlist=false is for the waitlist itself rolling back a failed offer,
+ * which must not immediately retry the same offer.
  */
-export const releaseSeatReservation = async ({ orderId }) => {
+export const releaseSeatReservation = async ({ orderId, promoteWaitlist = true }) => {
   const operationId = `RLS-${Date.now().toString(36)}`;
   console.log('[SEAT:RELEASE] ========== START ==========', {
     operationId,
@@ -852,6 +1006,11 @@ export const releaseSeatReservation = async ({ orderId }) => {
     });
     console.log('[SEAT:RELEASE] ========== END ==========', { operationId });
 
+    // Freed seats go to the event's waitlist first
+    if (releasedCount > 0 && promoteWaitlist) {
+      triggerWaitlistPromotion(arrangement.eventId);
+    }
+
     return arrangement;
   } catch (error) {
     await session.abortTransaction();
@@ -984,14 +1143,50 @@ export const cancelSeatBooking = async ({ enrollmentId, phone }) => {
   }
 };
 
+/**
+ * Move a booked seat to another ticket phone - Internal helper
+ * Called from ticket transfer, inside its transaction
+ * @param {Object} params - { enrollmentId, fromPhone, toPhone, session }
+ * @returns {Promise<boolean>} Whether a seat was moved
+ */
+export const transferSeatBooking = async ({ enrollmentId, fromPhone, toPhone, session }) => {
+  const normalizedFrom = normalizePhone(fromPhone);
+  const normalizedTo = normalizePhone(toPhone);
+
+  const result = await SeatArrangement.updateOne(
+    {
+      seats: {
+        $elemMatch: {
+          enrollmentId,
+          bookedByPhone: normalizedFrom,
+          status: "BOOKED",
+        },
+      },
+    },
+    { $set: { "seats.$.bookedByPhone": normalizedTo } },
+    { session }
+  );
+
+  console.log('[SEAT:TRANSFER] Seat booking moved', {
+    enrollmentId,
+    from: normalizedFrom,
+    to: normalizedTo,
+    moved: result.modifiedCount === 1
+  });
+
+  return result.modifiedCount === 1;
+};
+
 export default {
   createSeatArrangement,
   getSeatArrangement,
   getAvailableSeats,
+  getSeatSuggestions,
   updateSeatArrangement,
   deleteSeatArrangement,
   reserveSeats,
   confirmSeatBooking,
   releaseSeatReservation,
   cancelSeatBooking,
+  transferSeatBooking,
 };
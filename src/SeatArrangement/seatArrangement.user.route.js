@@ -7,11 +7,13 @@ import express from "express";
 import { authenticate } from "../../middleware/auth.middleware.js";
 import {
   validateParams,
+  validateQuery,
   seatArrangementSchemas,
 } from "../../middleware/validation.middleware.js";
 import {
   getSeatArrangement,
   getAvailableSeats,
+  getSeatSuggestions,
 } from "./seatArrangement.controller.js";
 
 const router = express.Router();
@@ -32,6 +34,18 @@ router.get(
   getAvailableSeats
 );
 
+/**
+ * @route   GET /api/app/events/:eventId/seat-suggestions
+ * @desc    Cheapest adjacent free seats for ?quantity= (optionally &accessible=true, &section=)
+ * @access  User
+ */
+router.get(
+  "/:eventId/seat-suggestions",
+  validateParams(seatArrangementSchemas.eventIdParam),
+  validateQuery(seatArrangementSchemas.suggestions),
+  getSeatSuggestions
+);
+
 /**
  * @route   GET /api/app/events/:eventId/seat-arrangement
  * @desc    Get seat arrangement (filtered for users)
@@ -14,6 +14,7 @@ import responseUtil from "../../utils/response.util.js";
 import { razorpayInstance } from "../../utils/razorpay.util.js";
 import { sendServicePaymentLinkWhatsApp } from "../../utils/whatsapp.util.js";
 import { validateCouponForType } from "../Enrollment/coupon.controller.js";
+import { holdCouponUse, releaseUnsavedCouponHold } from "../../services/couponHold.service.js";
 
 // Helper function to normalize phone number
 const normalizePhone = (phone) => {
@@ -1417,13 +1418,14 @@ export const validateServiceCoupon = async (req, res) => {
       couponCode,
       totalAmount,
       normalizedPhone,
-      "SERVICE"
+      "SERVICE",
+      { userId: req.user?.id, serviceIds }
     );
 
     if (!validation.isValid) {
       console.log(`${logPrefix} [RESULT] Coupon validation FAILED: ${validation.error}`);
       console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-      return responseUtil.badRequest(res, validation.error);
+      return responseUtil.badRequest(res, validation.error, { code: validation.reason });
     }
 
     // Success response
@@ -1475,6 +1477,9 @@ export const createDirectPurchase = async (req, res) => {
   console.log(`${logPrefix} ========== CREATE DIRECT PURCHASE START ==========`);
   console.log(`${logPrefix} Request ID: ${requestId}`);
 
+  // Coupon use held for this request until its payment record exists
+  let unsavedCouponHold = null;
+
   try {
     const { phone, customerName, serviceIds, couponCode, alternativePhone, alternativeEmail, contactPreference } = req.body;
     const userId = req.user?._id;
@@ -1538,13 +1543,14 @@ export const createDirectPurchase = async (req, res) => {
         couponCode,
         originalAmount,
         normalizedPhone,
-        "SERVICE"
+        "SERVICE",
+        { userId: user?._id, serviceIds }
       );
 
       if (!couponValidation.isValid) {
         console.log(`${logPrefix} [COUPON] Validation failed: ${couponValidation.error}`);
         console.log(`${logPrefix} Duration: ${Date.now() - startTime}ms`);
-        return responseUtil.badRequest(res, couponValidation.error);
+        return responseUtil.badRequest(res, couponValidation.error, { code: couponValidation.reason });
       }
 
       // Coupon is valid - apply discount
@@ -1569,6 +1575,17 @@ export const createDirectPurchase = async (req, res) => {
     // Create payment link expiry (24 hours from now)
     const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
 
+    // Take the coupon use until the link is paid or expires
+    let couponHold = null;
+    if (appliedCouponCode) {
+      couponHold = await holdCouponUse(appliedCouponCode, { expiresAt });
+      if (!couponHold) {
+        console.log(`${logPrefix} [COUPON] Usage limit reached while holding: ${appliedCouponCode}`);
+        return responseUtil.badRequest(res, "Coupon usage limit reached", { code: "USAGE_LIMIT_REACHED" });
+      }
+      unsavedCouponHold = couponHold;
+    }
+
     // Create Razorpay payment link with FINAL AMOUNT (after discount)
     const paymentLinkOptions = {
       amount: Math.round(finalAmount * 100), // Amount in paise - USE finalAmount
@@ -1655,10 +1672,12 @@ export const createDirectPurchase = async (req, res) => {
         paymentLinkId: paymentLink.id,
         source: "DIRECT_PURCHASE",
         couponDetails: couponDetails, // NEW: Store coupon details
+        ...(couponHold && { couponHold }),
       },
     });
 
     await payment.save();
+    unsavedCouponHold = null;
     console.log(`${logPrefix} Payment record created: ${payment._id}`);
 
     // Send payment link notifications
@@ -1704,6 +1723,11 @@ export const createDirectPurchase = async (req, res) => {
     });
   } catch (error) {
     console.error(`${logPrefix} Error creating purchase:`, error.message);
+    if (unsavedCouponHold) {
+      await releaseUnsavedCouponHold(unsavedCouponHold).catch((releaseError) => {
+        console.error(`${logPrefix} [COUPON] Hold release FAILED:`, releaseError.message);
+      });
+    }
     return responseUtil.internalError(
       res,
       "Failed to create purchase",
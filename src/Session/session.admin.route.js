@@ -22,8 +22,8 @@ import {
 import {
   authenticate,
   isAdmin,
-  isSuperAdmin,
 } from "../../middleware/auth.middleware.js";
+import { requirePermission } from "../../middleware/permission.middleware.js";
 import {
   validateBody,
   validateParams,
@@ -218,13 +218,13 @@ router.post(
 /**
  * @route   DELETE /api/web/sessions/:id/permanent
  * @desc    Permanently delete session (cannot be undone)
- * @access  Super Admin only
+ * @access  Admin (sessions:delete)
  * @param   {string} id - Session ID
  * @returns {Object} Success message
  */
 router.delete(
   "/:id/permanent",
-  isSuperAdmin,
+  requirePermission("sessions:delete"),
   validateParams(sessionSchemas.sessionId),
   permanentDeleteSession
 );
@@ -8,6 +8,7 @@ import SessionBooking from "../../schema/SessionBooking.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { buildPaginationOptions, buildPaginationMeta } from "../shared/pagination.util.js";
 import { sendNewSessionNotification } from "../../utils/fcm.util.js";
+import { notifySessionBookingSchedule } from "../../services/calendar.service.js";
 
 /**
  * Create a new session
@@ -1072,6 +1073,9 @@ export const cancelBooking = async (req, res) => {
 
     console.log("[Session] Booking cancelled:", bookingId);
 
+    // Cancels the calendar invite, if one was sent
+    notifySessionBookingSchedule(booking._id);
+
     return responseUtil.success(res, "Booking cancelled successfully", {
       booking: {
         _id: booking._id,
@@ -1159,6 +1163,9 @@ export const updateBookingAdmin = async (req, res) => {
 
     console.log("[Session] Booking updated by admin:", bookingId);
 
+    // Invite for a new slot, or cancellation notice for a cancelled booking
+    if (status || scheduledSlot) notifySessionBookingSchedule(booking._id);
+
     return responseUtil.success(res, "Booking updated successfully", { booking });
   } catch (error) {
     console.error("Update booking admin error:", error);
@@ -1204,6 +1211,9 @@ export const confirmSessionSchedule = async (req, res) => {
 
     console.log("[Session] Booking scheduled by user:", bookingId, "at:", scheduled);
 
+    // Without a time from Calendly the slot is only a placeholder, so no invite yet
+    if (scheduledAt) notifySessionBookingSchedule(booking._id);
+
     return responseUtil.success(res, "Session scheduled successfully", {
       booking: {
         _id: booking._id,
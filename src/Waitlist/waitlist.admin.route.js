@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Admin routes for event waitlists
+ * @module routes/admin/waitlist
+ */
+
+import express from "express";
+import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  waitlistSchemas,
+} from "../../middleware/validation.middleware.js";
+import {
+  getEventWaitlist,
+  moveWaitlistEntry,
+  removeWaitlistEntry,
+  promoteEventWaitlist,
+} from "./waitlist.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/web/events/:eventId/waitlist
+ * @desc    View an event's waitlist queue
+ * @access  Admin
+ */
+router.get(
+  "/:eventId/waitlist",
+  authenticate,
+  isAdmin,
+  validateParams(waitlistSchemas.eventIdParam),
+  validateQuery(waitlistSchemas.list),
+  getEventWaitlist
+);
+
+/**
+ * @route   POST /api/web/events/:eventId/waitlist/promote
+ * @desc    Offer free capacity to the queue now
+ * @access  Admin
+ */
+router.post(
+  "/:eventId/waitlist/promote",
+  authenticate,
+  isAdmin,
+  validateParams(waitlistSchemas.eventIdParam),
+  promoteEventWaitlist
+);
+
+/**
+ * @route   PATCH /api/web/events/:eventId/waitlist/:entryId/position
+ * @desc    Move a waiting entry to a new place in the queue
+ * @access  Admin
+ */
+router.patch(
+  "/:eventId/waitlist/:entryId/position",
+  authenticate,
+  isAdmin,
+  validateParams(waitlistSchemas.entryParams),
+  validateBody(waitlistSchemas.move),
+  moveWaitlistEntry
+);
+
+/**
+ * @route   DELETE /api/web/events/:eventId/waitlist/:entryId
+ * @desc    Remove an entry (withdraws an open offer)
+ * @access  Admin
+ */
+router.delete(
+  "/:eventId/waitlist/:entryId",
+  authenticate,
+  isAdmin,
+  validateParams(waitlistSchemas.entryParams),
+  validateBody(waitlistSchemas.remove),
+  removeWaitlistEntry
+);
+
+export default router;
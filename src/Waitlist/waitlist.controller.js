@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Event waitlist controller
+ *
+ * App users join the waitlist of a sold-out event (optionally for a pricing
+ * tier, and with extra ticket holders). When capacity frees up the waitlist
+ * service offers it to the queue in order; admins can see the queue, move
+ * entries, remove them and run a promotion pass by hand.
+ *
+ * @module controllers/waitlist
+ */
+
+import EventWaitlist, { ACTIVE_WAITLIST_STATUSES } from "../../schema/EventWaitlist.schema.js";
+import Event from "../../schema/Event.schema.js";
+import EventEnrollment from "../../schema/EventEnrollment.schema.js";
+import User from "../../schema/User.schema.js";
+import responseUtil from "../../utils/response.util.js";
+import {
+  getFreeCapacity,
+  HOLD_MINUTES,
+  getOfferPrice,
+  normalizePhone,
+  promoteWaitlist,
+  releaseWaitlistOffer,
+  tracksCapacity,
+} from "../../services/waitlist.service.js";
+
+/**
+ * Shape an entry for the user who owns it
+ */
+const formatUserEntry = async (entry) => ({
+  _id: entry._id,
+  eventId: entry.eventId,
+  status: entry.status,
+  rank: await entry.getRank(),
+  ticketCount: entry.ticketCount,
+  priceTierId: entry.priceTierId,
+  tierName: entry.tierName,
+  others: entry.others,
+  offer:
+    entry.status === "OFFERED"
+      ? {
+          paymentUrl: entry.offer.paymentUrl,
+          amount: entry.offer.amount,
+          seatLabels: entry.offer.seatLabels,
+          expiresAt: entry.offer.expiresAt,
+        }
+      : null,
+  createdAt: entry.createdAt,
+});
+
+/**
+ * Join an event's waitlist
+ * @route POST /api/app/events/:eventId/waitlist
+ * @access User
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { priceTierId, others = [] } = req.body || {};
+    const userId = req.user.id;
+
+    const user = await User.findById(userId).select("name phone email");
+    if (!user) {
+      return responseUtil.notFound(res, "User not found");
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    const now = new Date();
+    if (!event.isLive || event.endDate <= now || (event.bookingEndDate && now > event.bookingEndDate)) {
+      return responseUtil.badRequest(res, "Event is not currently available for booking");
+    }
+
+    if (!tracksCapacity(event)) {
+      return responseUtil.badRequest(res, "This event does not have limited seats");
+    }
+
+    const { amount } = getOfferPrice(event, priceTierId);
+    if (!amount || amount <= 0) {
+      return responseUtil.badRequest(
+        res,
+        priceTierId ? "Invalid pricing tier ID" : "Event does not have default pricing. Please specify a pricing tier."
+      );
+    }
+
+    const buyerPhone = normalizePhone(user.phone);
+    const holderPhones = [buyerPhone, ...others.map((o) => normalizePhone(o.phone))];
+
+    if (new Set(holderPhones).size !== holderPhones.length) {
+      return responseUtil.badRequest(res, "Each ticket holder must have a unique phone number");
+    }
+
+    const ticketCount = holderPhones.length;
+
+    // Only sold-out events have a queue; if the seats are there, book them directly
+    const freeCapacity = await getFreeCapacity(event);
+    const peopleWaiting = await EventWaitlist.countDocuments({ eventId, status: "WAITING" });
+    if (freeCapacity >= ticketCount && peopleWaiting === 0) {
+      return responseUtil.badRequest(res, "Seats are available for this event. Please book directly.");
+    }
+
+    const ticketed = [];
+    for (const phone of holderPhones) {
+      const hasTicket = await EventEnrollment.exists({
+        eventId,
+        [`tickets.${phone}.status`]: "ACTIVE",
+      });
+      if (hasTicket) {
+        ticketed.push(phone);
+      }
+    }
+
+    if (ticketed.length > 0) {
+      return responseUtil.badRequest(
+        res,
+        `Phone number(s) already have tickets for this event: ${ticketed.join(", ")}`
+      );
+    }
+
+    const existing = await EventWaitlist.findOne({
+      eventId,
+      phone: buyerPhone,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+    if (existing) {
+      return responseUtil.conflict(res, "You are already on the waitlist for this event");
+    }
+
+    const tier = priceTierId
+      ? event.pricingTiers.find((t) => t._id.toString() === priceTierId)
+      : null;
+
+    const entry = new EventWaitlist({
+      eventId,
+      userId,
+      priceTierId: tier?._id || null,
+      tierName: tier?.name || null,
+      buyer: {
+        name: user.name,
+        phone: buyerPhone,
+        email: user.email || null,
+      },
+      others: others.map((o) => ({
+        name: o.name,
+        phone: normalizePhone(o.phone),
+        email: o.email || null,
+      })),
+      ticketCount,
+      phone: buyerPhone,
+      position: await EventWaitlist.nextPosition(eventId),
+    });
+
+    await entry.save();
+
+    console.log("[WAITLIST] Joined:", { eventId, entryId: entry._id, ticketCount });
+
+    return responseUtil.created(res, "Added to the waitlist", {
+      entry: await formatUserEntry(entry),
+      holdMinutes: HOLD_MINUTES,
+    });
+  } catch (error) {
+    // Unique index: a concurrent join for the same phone won
+    if (error.code === 11000) {
+      return responseUtil.conflict(res, "You are already on the waitlist for this event");
+    }
+
+    console.error("[WAITLIST] Join error:", error);
+    return responseUtil.internalError(res, "Failed to join waitlist", error.message);
+  }
+};
+
+/**
+ * Get the current user's waitlist entry for an event, with place in queue
+ * or the open offer
+ * @route GET /api/app/events/:eventId/waitlist
+ * @access User
+ */
+export const getMyWaitlistEntry = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const entry = await EventWaitlist.findOne({ eventId, userId: req.user.id })
+      .sort({ createdAt: -1 });
+
+    if (!entry) {
+      return responseUtil.notFound(res, "You are not on the waitlist for this event");
+    }
+
+    return responseUtil.success(res, "Waitlist entry retrieved successfully", {
+      entry: await formatUserEntry(entry),
+    });
+  } catch (error) {
+    console.error("[WAITLIST] Get entry error:", error);
+    return responseUtil.internalError(res, "Failed to retrieve waitlist entry", error.message);
+  }
+};
+
+/**
+ * Leave an event's waitlist. An open offer is given up and passed on.
+ * @route DELETE /api/app/events/:eventId/waitlist
+ * @access User
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const entry = await EventWaitlist.findOne({
+      eventId,
+      userId: req.user.id,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+
+    if (!entry) {
+      return responseUtil.notFound(res, "You are not on the waitlist for this event");
+    }
+
+    if (entry.status === "OFFERED" && entry.offer?.orderId) {
+      const released = await releaseWaitlistOffer(entry.offer.orderId, {
+        status: "CANCELLED",
+        reason: "LEFT_BY_USER",
+        cancelLink: true,
+      });
+
+      if (!released) {
+        return responseUtil.conflict(res, "Your offer was already settled. Please refresh.");
+      }
+    } else {
+      const left = await EventWaitlist.findOneAndUpdate(
+        { _id: entry._id, status: "WAITING" },
+        { $set: { status: "CANCELLED", closedAt: new Date(), closedReason: "LEFT_BY_USER" } }
+      );
+
+      if (!left) {
+        return responseUtil.conflict(res, "Your waitlist entry changed. Please refresh.");
+      }
+    }
+
+    return responseUtil.success(res, "Removed from the waitlist");
+  } catch (error) {
+    console.error("[WAITLIST] Leave error:", error);
+    return responseUtil.internalError(res, "Failed to leave waitlist", error.message);
+  }
+};
+
+/**
+ * List an event's waitlist (Admin). Defaults to the live queue
+ * (WAITING + OFFERED) in queue order.
+ * @route GET /api/web/events/:eventId/waitlist
+ * @access Admin
+ */
+export const getEventWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { page = 1, limit = 50, status = "ACTIVE", priceTierId } = req.query;
+
+    const event = await Event.findById(eventId).select(
+      "name availableSeats waitlistHeldSeats hasSeatArrangement"
+    );
+    if (!event) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    const query = { eventId };
+
+    if (status === "ACTIVE") {
+      query.status = { $in: ACTIVE_WAITLIST_STATUSES };
+    } else if (status !== "ALL") {
+      query.status = status;
+    }
+
+    if (priceTierId) {
+      query.priceTierId = priceTierId;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [entries, totalCount, statusCounts] = await Promise.all([
+      EventWaitlist.find(query)
+        .sort({ position: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate("userId", "name phone")
+        .populate("lastModifiedBy", "name username"),
+      EventWaitlist.countDocuments(query),
+      EventWaitlist.aggregate([
+        { $match: { eventId: event._id } },
+        { $group: { _id: "$status", count: { $sum: 1 }, tickets: { $sum: "$ticketCount" } } },
+      ]),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / Number(limit));
+
+    return responseUtil.success(res, "Waitlist retrieved successfully", {
+      event: {
+        _id: event._id,
+        name: event.name,
+        availableSeats: event.availableSeats,
+        waitlistHeldSeats: event.waitlistHeldSeats,
+        hasSeatArrangement: event.hasSeatArrangement,
+        freeCapacity: await getFreeCapacity(event),
+      },
+      summary: Object.fromEntries(
+        statusCounts.map((s) => [s._id, { entries: s.count, tickets: s.tickets }])
+      ),
+      entries,
+      pagination: {
+        currentPage: Number(page),
+        totalPages,
+        totalCount,
+        limit: Number(limit),
+        hasNextPage: Number(page) < totalPages,
+        hasPrevPage: Number(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error("[WAITLIST] Admin list error:", error);
+    return responseUtil.internalError(res, "Failed to retrieve waitlist", error.message);
+  }
+};
+
+/**
+ * Move a WAITING entry to a new place in the queue (Admin).
+ * Position is 1-based among WAITING entries; everyone else shifts by one.
+ * @route PATCH /api/web/events/:eventId/waitlist/:entryId/position
+ * @access Admin
+ */
+export const moveWaitlistEntry = async (req, res) => {
+  try {
+    const { eventId, entryId } = req.params;
+    const { position } = req.body;
+    const adminId = req.user.id;
+
+    const waiting = await EventWaitlist.find({ eventId, status: "WAITING" })
+      .sort({ position: 1, createdAt: 1 })
+      .select("_id");
+
+    const order = waiting.map((e) => e._id.toString());
+    const currentIndex = order.indexOf(entryId);
+
+    if (currentIndex === -1) {
+      return responseUtil.badRequest(res, "Only entries that are still waiting can be moved");
+    }
+
+    order.splice(currentIndex, 1);
+    const targetIndex = Math.min(position, order.length + 1) - 1;
+    order.splice(targetIndex, 0, entryId);
+
+    // Renumber the whole WAITING queue. The status guard leaves alone any
+    // entry that received an offer while we were reordering.
+    await EventWaitlist.bulkWrite(
+      order.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, status: "WAITING" },
+          update: {
+            $set: {
+              position: index + 1,
+              ...(id === entryId && { lastModifiedBy: adminId }),
+            },
+          },
+        },
+      }))
+    );
+
+    console.log("[WAITLIST] Entry moved:", {
+      eventId,
+      entryId,
+      from: currentIndex + 1,
+      to: targetIndex + 1,
+      adminId,
+    });
+
+    const entry = await EventWaitlist.findById(entryId);
+
+    return responseUtil.success(res, "Waitlist entry moved", {
+      entry,
+      rank: await entry.getRank(),
+    });
+  } catch (error) {
+    console.error("[WAITLIST] Move error:", error);
+    return responseUtil.internalError(res, "Failed to move waitlist entry", error.message);
+  }
+};
+
+/**
+ * Remove an entry from the queue (Admin). An open offer is withdrawn and its
+ * held seats go to the next entry.
+ * @route DELETE /api/web/events/:eventId/waitlist/:entryId
+ * @access Admin
+ */
+export const removeWaitlistEntry = async (req, res) => {
+  try {
+    const { eventId, entryId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.id;
+
+    const entry = await EventWaitlist.findOne({ _id: entryId, eventId });
+    if (!entry) {
+      return responseUtil.notFound(res, "Waitlist entry not found");
+    }
+
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      return responseUtil.badRequest(res, `Entry is already ${entry.status}`);
+    }
+
+    const closedReason = reason || "REMOVED_BY_ADMIN";
+
+    if (entry.status === "OFFERED" && entry.offer?.orderId) {
+      const released = await releaseWaitlistOffer(entry.offer.orderId, {
+        status: "REMOVED",
+        reason: closedReason,
+        cancelLink: true,
+      });
+      if (!released) {
+        return responseUtil.conflict(res, "The offer was settled in the meantime. Please refresh.");
+      }
+    } else {
+      const removed = await EventWaitlist.findOneAndUpdate(
+        { _id: entryId, status: "WAITING" },
+        { $set: { status: "REMOVED", closedAt: new Date(), closedReason } }
+      );
+      if (!removed) {
+        return responseUtil.conflict(res, "The entry changed in the meantime. Please refresh.");
+      }
+    }
+
+    await EventWaitlist.updateOne({ _id: entryId }, { $set: { lastModifiedBy: adminId } });
+
+    console.log("[WAITLIST] Entry removed:", { eventId, entryId, reason: closedReason, adminId });
+
+    return responseUtil.success(res, "Waitlist entry removed");
+  } catch (error) {
+    console.error("[WAITLIST] Remove error:", error);
+    return responseUtil.internalError(res, "Failed to remove waitlist entry", error.message);
+  }
+};
+
+/**
+ * Run a promotion pass now (Admin) — e.g. after raising availableSeats
+ * @route POST /api/web/events/:eventId/waitlist/promote
+ * @access Admin
+ */
+export const promoteEventWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId).select("_id");
+    if (!event) {
+      return responseUtil.notFound(res, "Event not found");
+    }
+
+    const offers = await promoteWaitlist(eventId);
+
+    return responseUtil.success(res, `${offers.length} waitlist offer(s) made`, {
+      offers: offers.map((entry) => ({
+        _id: entry._id,
+        buyer: entry.buyer,
+        ticketCount: entry.ticketCount,
+        offer: entry.offer,
+      })),
+    });
+  } catch (error) {
+    console.error("[WAITLIST] Manual promote error:", error);
+    return responseUtil.internalError(res, "Failed to promote waitlist", error.message);
+  }
+};
+
+export default {
+  joinWaitlist,
+  getMyWaitlistEntry,
+  leaveWaitlist,
+  getEventWaitlist,
+  moveWaitlistEntry,
+  removeWaitlistEntry,
+  promoteEventWaitlist,
+};
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview User routes for event waitlists
+ * @module routes/user/waitlist
+ */
+
+import express from "express";
+import { authenticate } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  waitlistSchemas,
+} from "../../middleware/validation.middleware.js";
+import {
+  joinWaitlist,
+  getMyWaitlistEntry,
+  leaveWaitlist,
+} from "./waitlist.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/app/events/:eventId/waitlist
+ * @desc    Join the waitlist of a sold-out event
+ * @access  User
+ */
+router.post(
+  "/:eventId/waitlist",
+  authenticate,
+  validateParams(waitlistSchemas.eventIdParam),
+  validateBody(waitlistSchemas.join),
+  joinWaitlist
+);
+
+/**
+ * @route   GET /api/app/events/:eventId/waitlist
+ * @desc    Get my waitlist entry (place in queue, or the open offer)
+ * @access  User
+ */
+router.get(
+  "/:eventId/waitlist",
+  authenticate,
+  validateParams(waitlistSchemas.eventIdParam),
+  getMyWaitlistEntry
+);
+
+/**
+ * @route   DELETE /api/app/events/:eventId/waitlist
+ * @desc    Leave the waitlist (gives up an open offer)
+ * @access  User
+ */
+router.delete(
+  "/:eventId/waitlist",
+  authenticate,
+  validateParams(waitlistSchemas.eventIdParam),
+  leaveWaitlist
+);
+
+export default router;
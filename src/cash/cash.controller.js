@@ -9,6 +9,7 @@ import User from '../../schema/User.schema.js';
 import EventEnrollment from '../../schema/EventEnrollment.schema.js';
 import CashPartner from '../../schema/CashPartner.schema.js';
 import Payment from '../../schema/Payment.schema.js';
+import UserMembership from '../../schema/UserMembership.schema.js';
 import bcrypt from 'bcryptjs';
 import responseUtil from '../../utils/response.util.js';
 import { sendBulkEmails } from '../../utils/email.util.js';
@@ -18,6 +19,13 @@ import {
 } from '../../utils/emailTemplate.util.js';
 import { generateTicketQRCode, generateQRFilename, uploadQRCodeToCloudinary } from '../../utils/qrcode.util.js';
 import { sendBulkTicketWhatsApp } from '../../utils/whatsapp.util.js';
+import { issueInvoice } from '../../services/invoice.service.js';
+import {
+  getTierPrice,
+  getTierPurchaseError,
+  sellTierTickets,
+  unsellTierTickets
+} from '../../services/ticketTier.service.js';
 
 /**
  * @typedef {Object} CashOrderRequest
@@ -178,14 +186,16 @@ export const createCashOrder = async (req, res) => {
     // Calculate ticket count
     const totalTickets = 1 + others.length;
 
-    // Check available seats
-    if (event.availableSeats != null && event.availableSeats < totalTickets) {
-      return responseUtil.badRequest(res, `Only ${event.availableSeats} seats available`);
+    // Check available seats (seats held for waitlist offers are not bookable)
+    const bookableSeats = event.getBookableSeats();
+    if (bookableSeats != null && bookableSeats < totalTickets) {
+      return responseUtil.badRequest(res, `Only ${bookableSeats} seats available`);
     }
 
     // Determine pricing
     let ticketPrice = 0;
     let tierName = null;
+    let tier = null;
 
     if (event.pricingTiers && event.pricingTiers.length > 0) {
       // Multi-tier pricing
@@ -193,12 +203,22 @@ export const createCashOrder = async (req, res) => {
         return responseUtil.badRequest(res, 'Pricing tier ID is required for this event');
       }
 
-      const tier = event.pricingTiers.id(priceTierId);
+      tier = event.pricingTiers.id(priceTierId);
       if (!tier) {
         return responseUtil.notFound(res, 'Pricing tier not found');
       }
 
-      ticketPrice = tier.price;
+      const isTierMember = tier.membersOnly
+        ? await UserMembership.hasActiveMembership(buyer.phone)
+        : false;
+      const tierError = getTierPurchaseError(tier, { count: totalTickets, isMember: isTierMember });
+      if (tierError) {
+        return tierError.code === 'MEMBERS_ONLY'
+          ? responseUtil.forbidden(res, tierError.message)
+          : responseUtil.badRequest(res, tierError.message);
+      }
+
+      ticketPrice = getTierPrice(tier).price;
       tierName = tier.name;
       console.log(`[CASH-ORDER] Using pricing tier: ${tierName} (₹${ticketPrice})`);
     } else {
@@ -208,7 +228,7 @@ export const createCashOrder = async (req, res) => {
     }
 
     // Calculate total amount
-    const totalAmount = ticketPrice * totalTickets;
+    let totalAmount = ticketPrice * totalTickets;
 
     // Generate order ID and payment ID
     const timestamp = Date.now();
@@ -249,6 +269,19 @@ export const createCashOrder = async (req, res) => {
       return responseUtil.conflict(res, 'User is already enrolled in this event');
     }
 
+    // Sell the tier tickets: atomic against the tier's capacity, and the
+    // early-bird price is decided by the sale itself
+    let tierSale = null;
+    if (tier) {
+      tierSale = await sellTierTickets({ eventId: event._id, tierId: tier._id, count: totalTickets });
+      if (!tierSale) {
+        return responseUtil.badRequest(res, `Not enough ${tierName} tickets left`);
+      }
+      ticketPrice = tierSale.price;
+      totalAmount = ticketPrice * totalTickets;
+      console.log('[CASH-ORDER] Tier tickets sold:', { tierName, ticketPrice, isEarlyBird: tierSale.isEarlyBird });
+    }
+
     // Create tickets Map with phone numbers as keys
     const ticketsMap = new Map();
 
@@ -286,7 +319,14 @@ export const createCashOrder = async (req, res) => {
       tickets: ticketsMap
     });
 
-    await enrollment.save();
+    try {
+      await enrollment.save();
+    } catch (enrollmentError) {
+      if (tierSale) {
+        await unsellTierTickets({ eventId: event._id, tierId: tier._id, count: totalTickets });
+      }
+      throw enrollmentError;
+    }
 
     console.log('[CASH-ORDER] Enrollment created successfully:', {
       enrollmentId: enrollment._id,
@@ -314,7 +354,8 @@ export const createCashOrder = async (req, res) => {
         partnerName: cashPartner.name,
         buyer: buyer,
         others: others,
-        totalTickets: totalTickets
+        totalTickets: totalTickets,
+        ...(tier && { priceTierId: tier._id.toString(), tierName })
       }
     });
     await payment.save();
@@ -325,6 +366,15 @@ export const createCashOrder = async (req, res) => {
       method: 'CASH'
     });
 
+    // Cash is a taxable sale too. A failure here must not undo the order —
+    // the invoice is issued again on first download.
+    try {
+      const invoice = await issueInvoice(payment);
+      console.log('[CASH-ORDER] Invoice issued:', invoice?.number || '(zero value, none)');
+    } catch (invoiceError) {
+      console.error('[CASH-ORDER] Failed to issue invoice:', invoiceError.message);
+    }
+
     // Update event ticket counts
     event.ticketsSold = (event.ticketsSold || 0) + totalTickets;
 
@@ -12,6 +12,7 @@
 import express from 'express';
 import { createCashOrder, createCashPartner } from './cash.controller.js';
 import { authenticate, isAdmin } from '../../middleware/auth.middleware.js';
+import { requirePermission } from '../../middleware/permission.middleware.js';
 
 const router = express.Router();
 
@@ -208,6 +209,6 @@ router.post('/partner', createCashPartner);
  * @see {@link EventEnrollment} Event Enrollment Schema
  * @see {@link Event} Event Schema
  */
-router.post('/order', createCashOrder);
+router.post('/order', requirePermission('cash:mint'), createCashOrder);
 
 export default router;
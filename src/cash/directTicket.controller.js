@@ -14,6 +14,7 @@ import Admin from "../../schema/Admin.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { sendTicketWhatsApp } from "../../utils/whatsapp.util.js";
 import { uploadQRCodeToCloudinary } from "../../utils/qrcode.util.js";
+import { signTicketLink, TICKET_TYPES } from "../../utils/ticketSignature.util.js";
 import { generateTicketImage, uploadTicketImageToCloudinary } from "../../utils/ticketImage.util.js";
 import bcrypt from "bcryptjs";
 
@@ -230,7 +231,10 @@ export const createDirectTicket = async (req, res) => {
     });
 
     // Update ticket link with enrollment ID
-    enrollment.ticketLink = `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${eventId}&phone=${normalizedPhone}`;
+    enrollment.ticketLink = signTicketLink(
+      `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${eventId}&phone=${normalizedPhone}`,
+      { type: TICKET_TYPES.CASH, enrollmentId: enrollment._id, eventId, phone: normalizedPhone }
+    );
     await enrollment.save();
 
     console.log(`[DIRECT_TICKET] Enrollment created: ${enrollment._id}`);
@@ -433,7 +437,10 @@ export const createDirectTicketBulk = async (req, res) => {
           ticketLink,
         });
 
-        enrollment.ticketLink = `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${eventId}&phone=${normalizedPhone}`;
+        enrollment.ticketLink = signTicketLink(
+          `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${eventId}&phone=${normalizedPhone}`,
+          { type: TICKET_TYPES.CASH, enrollmentId: enrollment._id, eventId, phone: normalizedPhone }
+        );
         await enrollment.save();
 
         results.successful.push({
@@ -19,6 +19,7 @@ import {
 } from "./directTicket.controller.js";
 import { directTicketSchemas } from "./directTicket.validation.js";
 import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import { requirePermission } from "../../middleware/permission.middleware.js";
 import {
   validateBody,
   validateParams,
@@ -103,10 +104,11 @@ router.get(
 /**
  * @route   DELETE /api/web/offline-cash/:id
  * @desc    Delete offline cash record (soft delete)
- * @access  Admin/Super Admin
+ * @access  Admin/Super Admin (cash:write)
  */
 router.delete(
   "/:id",
+  requirePermission("cash:write"),
   validateParams(offlineCashSchemas.id),
   deleteOfflineCash
 );
@@ -14,6 +14,8 @@ import responseUtil from "../../utils/response.util.js";
 import { sendTicketWhatsApp, sendRedemptionLinkWhatsApp, sendBulkVoucherWhatsApp } from "../../utils/whatsapp.util.js";
 import { uploadQRCodeToCloudinary, generateVoucherQRCode, uploadVoucherQRCodeToCloudinary } from "../../utils/qrcode.util.js";
 import { generateTicketImage, uploadTicketImageToCloudinary } from "../../utils/ticketImage.util.js";
+import { signTicketLink, checkTicketLinkSignature, TICKET_TYPES } from "../../utils/ticketSignature.util.js";
+import { checkInTicket, getScanContext } from "../../services/ticketScan.service.js";
 import bcrypt from "bcryptjs";
 
 const BASE_URL = process.env.BASE_URL || "https://motivata.synquic.com/api";
@@ -653,7 +655,10 @@ export const redeemTickets = async (req, res) => {
         });
 
         // Update ticket link with actual enrollment ID
-        enrollment.ticketLink = `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${record.eventId._id}&phone=${normalizedPhone}`;
+        enrollment.ticketLink = signTicketLink(
+          `${BASE_URL}/app/tickets/cash/qr-scan?enrollmentId=${enrollment._id}&userId=${user._id}&eventId=${record.eventId._id}&phone=${normalizedPhone}`,
+          { type: TICKET_TYPES.CASH, enrollmentId: enrollment._id, eventId: record.eventId._id, phone: normalizedPhone }
+        );
         await enrollment.save();
 
         createdEnrollments.push({ enrollment, user, attendeeData });
@@ -865,7 +870,7 @@ export const redeemTickets = async (req, res) => {
  */
 export const scanCashTicket = async (req, res) => {
   try {
-    const { enrollmentId, userId, eventId, phone } = req.query;
+    const { enrollmentId, userId, eventId, phone, sig } = req.query;
 
     if (!enrollmentId || !eventId || !phone) {
       return responseUtil.badRequest(
@@ -874,6 +879,21 @@ export const scanCashTicket = async (req, res) => {
       );
     }
 
+    // Signed links must match the ticket they name
+    const signature = checkTicketLinkSignature(sig, {
+      type: TICKET_TYPES.CASH,
+      enrollmentId,
+      eventId,
+      phone,
+    });
+    if (!signature.ok) {
+      return responseUtil.unauthorized(
+        res,
+        "Invalid ticket - signature check failed",
+        signature.reason
+      );
+    }
+
     const normalizedPhone = phone.slice(-10);
 
     const enrollment = await CashEventEnrollment.findOne({
@@ -895,7 +915,31 @@ export const scanCashTicket = async (req, res) => {
       );
     }
 
-    if (enrollment.isTicketScanned) {
+    const scanContext = getScanContext(req);
+    if (scanContext.error) {
+      return responseUtil.badRequest(res, scanContext.error);
+    }
+
+    // Check the ticket in (or out) at this gate
+    const checkIn = await checkInTicket({
+      ticket: { type: TICKET_TYPES.CASH, enrollmentId: enrollment._id, phone: normalizedPhone },
+      eventId,
+      direction: scanContext.direction,
+      gate: scanContext.gate,
+      deviceId: scanContext.deviceId,
+      mode: "ONLINE",
+      adminId: req.user?.id || null,
+    });
+
+    if (checkIn.result === "REJECTED") {
+      return responseUtil.badRequest(
+        res,
+        checkIn.reason === "NOT_INSIDE" ? "Ticket holder has not entered" : "Ticket could not be checked in",
+        checkIn.reason
+      );
+    }
+
+    if (checkIn.result === "DUPLICATE" || checkIn.result === "CONFLICT") {
       // Fetch voucher for already scanned ticket
       const claimedVoucher = await Voucher.findOne({
         claimedPhones: normalizedPhone,
@@ -911,6 +955,13 @@ export const scanCashTicket = async (req, res) => {
         isValid: true,
         isAlreadyScanned: true,
         scannedAt: enrollment.ticketScannedAt,
+        checkIn: {
+          result: checkIn.result,
+          direction: checkIn.direction,
+          gate: checkIn.gate,
+          at: checkIn.scannedAt,
+          firstScan: checkIn.firstScan,
+        },
         enrollment: {
           id: enrollment._id,
           name: enrollment.name,
@@ -926,11 +977,6 @@ export const scanCashTicket = async (req, res) => {
       });
     }
 
-    // Mark as scanned
-    enrollment.isTicketScanned = true;
-    enrollment.ticketScannedAt = new Date();
-    enrollment.ticketScannedBy = req.user?.id || null;
-    await enrollment.save();
 
     // Fetch voucher claimed by this phone for this event
     const claimedVoucher = await Voucher.findOne({
@@ -943,10 +989,22 @@ export const scanCashTicket = async (req, res) => {
       ]
     }).select('_id code title description');
 
-    return responseUtil.success(res, "Ticket verified - Entry granted", {
+    const message = checkIn.direction === "EXIT"
+      ? "Exit recorded"
+      : checkIn.result === "RE_ENTRY"
+        ? "Ticket verified - Re-entry granted"
+        : "Ticket verified - Entry granted";
+
+    return responseUtil.success(res, message, {
       isValid: true,
       isAlreadyScanned: false,
-      scannedAt: enrollment.ticketScannedAt,
+      scannedAt: enrollment.ticketScannedAt || checkIn.scannedAt,
+      checkIn: {
+        result: checkIn.result,
+        direction: checkIn.direction,
+        gate: checkIn.gate,
+        at: checkIn.scannedAt,
+      },
       enrollment: {
         id: enrollment._id,
         name: enrollment.name,
@@ -10,8 +10,17 @@ import User from "../../schema/User.schema.js";
 import EventEnrollment from "../../schema/EventEnrollment.schema.js";
 import UserMembership from "../../schema/UserMembership.schema.js";
 import Voucher from "../../schema/Voucher.Schema.js";
+import SeatArrangement from "../../schema/SeatArrangement.schema.js";
 import responseUtil from "../../utils/response.util.js";
 import { reserveSeats, releaseSeatReservation } from "../SeatArrangement/seatArrangement.controller.js";
+import {
+  findTier,
+  getTierPrice,
+  getTierPurchaseError,
+  holdTierTickets,
+  releaseUnsavedHold,
+} from "../../services/ticketTier.service.js";
+import { hasPricedSections, priceSelectedSeats } from "../../services/seatMap.service.js";
 import SOSProgram from "../Quiz/schemas/sosProgram.schema.js";
 
 /**
@@ -27,6 +36,33 @@ const normalizePhone = (phone) => {
   return phone;
 };
 
+/**
+ * Give back voucher claims made for an order that was not created
+ * @param {Object|null} voucher - Claimed voucher
+ * @param {Array<string>} phones - Phones the claim was made for
+ * @param {string} tag - Log prefix
+ */
+const rollbackVoucherClaim = async (voucher, phones, tag) => {
+  if (!voucher || phones.length === 0) {
+    return;
+  }
+
+  try {
+    await Voucher.findByIdAndUpdate(voucher._id, {
+      $pull: { claimedPhones: { $in: phones } }
+    });
+    console.log(`${tag} Voucher claim rolled back`, {
+      voucherId: voucher._id,
+      phones
+    });
+  } catch (voucherError) {
+    console.error(`${tag} Voucher rollback FAILED`, {
+      voucherId: voucher._id,
+      error: voucherError.message
+    });
+  }
+};
+
 /**
  * Validate email format using regex
  * @param {string} email - Email to validate
@@ -53,7 +89,8 @@ const isValidPhone = (phone) => {
  * @property {string} [currency='INR'] - Payment currency (default: INR)
  * @property {string} type - Payment type: 'EVENT', 'SESSION', 'OTHER', 'PRODUCT' (required)
  * @property {string} eventId - MongoDB ObjectId of the event (required)
- * @property {string} [priceTierId] - MongoDB ObjectId of the pricing tier (optional, uses default pricing if not provided)
+ * @property {string} [priceTierId] - MongoDB ObjectId of the pricing tier (optional, uses default pricing if not provided).
+ *   For seat maps with priced sections the selected seats set the price and tier.
  * @property {string} [sessionId] - MongoDB ObjectId of the session (optional, for future use)
  * @property {Object} [metadata] - Additional metadata for the payment
  * @property {string} [metadata.callbackUrl] - Custom callback URL after payment completion
@@ -76,6 +113,7 @@ const isValidPhone = (phone) => {
  * @property {string} data.paymentLinkId - Razorpay payment link ID
  * @property {string} data.status - Order status (e.g., "created")
  * @property {number} data.createdAt - Unix timestamp of order creation
+ * @property {Date} [data.holdExpiresAt] - When held tier tickets are released if unpaid (tiers with limited tickets)
  * @property {Object} data.gateway - Gateway configuration
  * @property {string} data.gateway.name - Gateway name ("razorpay")
  * @property {string} data.gateway.keyId - Razorpay key ID for client-side integration
@@ -97,7 +135,9 @@ const isValidPhone = (phone) => {
  *
  * @returns {Promise<CreateOrderResponse>} JSON response with order details and payment URL
  *
- * @throws {400} Bad Request - If type/eventId missing, invalid pricing tier, event not live, or booking period ended
+ * @throws {400} Bad Request - If type/eventId missing, invalid pricing tier, event not live, booking period ended,
+ *   tier not on sale, or not enough tier tickets left
+ * @throws {403} Forbidden - If the event or the tier is for members only and the buyer is not a member
  * @throws {404} Not Found - If event doesn't exist
  * @throws {500} Internal Server Error - If order creation fails
  *
@@ -157,6 +197,9 @@ const isValidPhone = (phone) => {
  * }
  */
 export const createOrder = async (req, res) => {
+  // Tier tickets held for this request until its payment record exists
+  let unsavedTierHold = null;
+
   try {
     // Debug logging to diagnose request issues
     console.log(`[DEBUG] createOrder called from origin: ${req.headers.origin}`);
@@ -349,24 +392,70 @@ export const createOrder = async (req, res) => {
     // === END DUPLICATE ENROLLMENT & TICKET CHECK ===
     // === END BUYER VALIDATION ===
 
+    // === SEAT SECTION PRICING ===
+    // Seat maps with priced sections price the order seat by seat. Seats in a
+    // section sold through a pricing tier put the order on that tier.
+    let seatPricing = null;
+    if (event.hasSeatArrangement) {
+      const arrangement = await SeatArrangement.findOne({ eventId }).select("sections seats");
+      if (arrangement && hasPricedSections(arrangement)) {
+        seatPricing = priceSelectedSeats(
+          arrangement,
+          event,
+          metadata.selectedSeats.map(s => s.seatLabel || s)
+        );
+        if (seatPricing.error) {
+          return responseUtil.badRequest(res, seatPricing.error);
+        }
+        if (seatPricing.tierId && priceTierId && String(priceTierId) !== seatPricing.tierId) {
+          return responseUtil.badRequest(res, "The selected seats are sold through a different pricing tier");
+        }
+
+        console.log('[RAZORPAY:SEAT] Priced by section', {
+          eventId,
+          seats: seatPricing.seats,
+          tierId: seatPricing.tierId
+        });
+      }
+    }
+    const orderTierId = seatPricing ? seatPricing.tierId : priceTierId;
+    // === END SEAT SECTION PRICING ===
+
     // Determine price based on pricing tier or default pricing
     let amount;
     let compareAtPrice;
     let tierName = null;
+    let tier = null;
 
-    if (priceTierId) {
+    if (orderTierId) {
       // Use pricing tier
-      const tier = event.pricingTiers?.find(
-        (t) => t._id.toString() === priceTierId
-      );
+      tier = findTier(event, orderTierId);
 
       if (!tier) {
         return responseUtil.badRequest(res, "Invalid pricing tier ID");
       }
 
-      amount = tier.price;
-      compareAtPrice = tier.compareAtPrice;
+      // Sale window, members-only and remaining tickets. Tiers with limited
+      // tickets are checked again atomically when the tickets are held below.
+      const isTierMember = tier.membersOnly
+        ? await UserMembership.hasActiveMembership(metadata.buyer.phone)
+        : false;
+      const tierError = getTierPurchaseError(tier, {
+        count: 1 + others.length,
+        isMember: isTierMember,
+      });
+      if (tierError) {
+        return tierError.code === "MEMBERS_ONLY"
+          ? responseUtil.forbidden(res, tierError.message)
+          : responseUtil.badRequest(res, tierError.message);
+      }
+
+      ({ price: amount, compareAtPrice } = getTierPrice(tier));
       tierName = tier.name;
+    } else if (seatPricing) {
+      // Sum of the selected seats' section prices
+      amount = seatPricing.total;
+      compareAtPrice = null;
     } else {
       // Use default pricing
       if (event.price == null) {
@@ -406,8 +495,23 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    // Use the tier price as the total amount (don't multiply by tickets)
-    const totalAmount = amount;
+    // === CAPACITY CHECK ===
+    // Seats held for waitlist offers are not for sale. Seat-arranged events are
+    // checked by the seat reservation below instead.
+    const bookableSeats = event.getBookableSeats();
+    if (!event.hasSeatArrangement && bookableSeats != null && bookableSeats < totalTickets) {
+      return responseUtil.badRequest(
+        res,
+        bookableSeats === 0
+          ? "This event is sold out. Join the waitlist to get notified when seats free up."
+          : `Only ${bookableSeats} seat(s) available`
+      );
+    }
+    // === END CAPACITY CHECK ===
+
+    // Use the tier price as the total amount (don't multiply by tickets),
+    // except for seats in a tier-priced section, which cost the tier price each
+    let totalAmount = seatPricing && tier ? amount * totalTickets : amount;
 
     // === VOUCHER CLAIMING ===
     let claimedVoucher = null;
@@ -488,6 +592,45 @@ export const createOrder = async (req, res) => {
     }
     // === END VOUCHER CLAIMING ===
 
+    // === TIER INVENTORY HOLD ===
+    // Tiers with limited tickets, or an early-bird allocation, hold the
+    // tickets until the payment settles. The hold is atomic, and it fixes the
+    // price: early-bird pricing goes to the orders that got an early-bird place.
+    let tierHold = null;
+    if (tier && (tier.capacity != null || tier.earlyBirdQuantity != null)) {
+      const claim = await holdTierTickets({
+        eventId,
+        tierId: tier._id,
+        count: totalTickets
+      });
+
+      if (!claim) {
+        console.log('[RAZORPAY:TIER] Hold FAILED - tier sold out', {
+          eventId,
+          tierId: tier._id,
+          requested: totalTickets
+        });
+        await rollbackVoucherClaim(claimedVoucher, voucherClaimedPhones, '[RAZORPAY:TIER]');
+        return responseUtil.badRequest(res, `Not enough ${tier.name} tickets left`);
+      }
+
+      tierHold = claim.hold;
+      unsavedTierHold = { eventId, hold: tierHold };
+      amount = claim.price;
+      compareAtPrice = claim.compareAtPrice;
+      totalAmount = seatPricing ? claim.price * totalTickets : claim.price;
+
+      console.log('[RAZORPAY:TIER] Tickets held', {
+        eventId,
+        tierId: tier._id,
+        count: totalTickets,
+        price: claim.price,
+        isEarlyBird: claim.isEarlyBird,
+        expiresAt: tierHold.expiresAt.toISOString()
+      });
+    }
+    // === END TIER INVENTORY HOLD ===
+
     // Calculate per-ticket price for metadata
     const perTicketPrice = totalAmount / totalTickets;
 
@@ -541,8 +684,11 @@ export const createOrder = async (req, res) => {
         ...metadata,
         razorpayOrderStatus: razorpayOrder.status,
         // Store pricing information
-        ...(priceTierId && { priceTierId, tierName }),
+        ...(orderTierId && { priceTierId: orderTierId, tierName }),
         ...(compareAtPrice && { compareAtPrice }),
+        ...(seatPricing && { seatPrices: seatPricing.seats }),
+        // Held tier tickets, settled by the payment webhooks
+        ...(tierHold && { tierHold }),
         // Store ticket count
         totalTickets: totalTickets,
         perTicketPrice: perTicketPrice,
@@ -555,6 +701,7 @@ export const createOrder = async (req, res) => {
     });
 
     await payment.save();
+    unsavedTierHold = null;
 
     // Reserve seats if event has seat arrangement
     if (event.hasSeatArrangement && metadata.selectedSeats && Array.isArray(metadata.selectedSeats) && metadata.selectedSeats.length > 0) {
@@ -596,22 +743,10 @@ export const createOrder = async (req, res) => {
           orderId: razorpayOrder.id
         });
 
-        // Rollback voucher claim if any
-        if (claimedVoucher && voucherClaimedPhones.length > 0) {
-          try {
-            await Voucher.findByIdAndUpdate(claimedVoucher._id, {
-              $pull: { claimedPhones: { $in: voucherClaimedPhones } }
-            });
-            console.log('[RAZORPAY:SEAT] Voucher claim rolled back', {
-              voucherId: claimedVoucher._id,
-              phones: voucherClaimedPhones
-            });
-          } catch (voucherError) {
-            console.error('[RAZORPAY:SEAT] Voucher rollback FAILED', {
-              voucherId: claimedVoucher._id,
-              error: voucherError.message
-            });
-          }
+        // Rollback voucher claim and tier hold if any
+        await rollbackVoucherClaim(claimedVoucher, voucherClaimedPhones, '[RAZORPAY:SEAT]');
+        if (tierHold) {
+          await releaseUnsavedHold(eventId, tierHold);
         }
 
         return responseUtil.badRequest(res, seatError.message || 'Selected seats are no longer available');
@@ -658,6 +793,8 @@ export const createOrder = async (req, res) => {
         email: false,
       },
       reminder_enable: false,
+      // The link must not outlive the tier hold
+      ...(tierHold && { expire_by: Math.floor(tierHold.expiresAt.getTime() / 1000) }),
       notes: paymentLinkNotes,
       options: {
         checkout: {
@@ -684,6 +821,7 @@ export const createOrder = async (req, res) => {
       paymentLinkId: paymentLink.id,
       status: razorpayOrder.status,
       createdAt: razorpayOrder.created_at,
+      ...(tierHold && { holdExpiresAt: tierHold.expiresAt }),
       gateway: {
         name: "razorpay",
         keyId: process.env.RAZORPAY_KEY_ID,
@@ -700,6 +838,11 @@ export const createOrder = async (req, res) => {
     });
   } catch (error) {
     console.error("Create order error:", error);
+    if (unsavedTierHold) {
+      await releaseUnsavedHold(unsavedTierHold.eventId, unsavedTierHold.hold).catch((releaseError) => {
+        console.error("[RAZORPAY:TIER] Hold release FAILED:", releaseError.message);
+      });
+    }
     return responseUtil.internalError(
       res,
       "Failed to create payment order",
@@ -8,11 +8,24 @@
  * @requires express
  * @requires ./razorpay.controller
  * @requires ./razorpay.webhook
+ * @requires ./webhookEvent.controller
  */
 
 import express from "express";
 import { createOrder, getPaymentStatus, createSosOrder } from "./razorpay.controller.js";
 import { handleWebhook } from "./razorpay.webhook.js";
+import {
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvents,
+} from "./webhookEvent.controller.js";
+import { authenticate, isAdmin } from "../../middleware/auth.middleware.js";
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  webhookEventSchemas,
+} from "../../middleware/validation.middleware.js";
 
 const router = express.Router();
 
@@ -233,6 +246,57 @@ router.get("/status/:orderId", getPaymentStatus);
  */
 router.post("/webhook", handleWebhook);
 
+/**
+ * WEBHOOK INBOX (admin)
+ *
+ * Every verified webhook is stored before it is processed. These routes apply
+ * auth individually rather than via router.use(), so the public payment routes
+ * above stay reachable. /events/replay MUST stay above /events/:eventId.
+ */
+
+/**
+ * @route   GET /api/web/razorpay/events
+ * @desc    List stored webhook events (FAILED by default; ?status=ALL for everything)
+ * @access  Admin
+ */
+router.get(
+  "/events",
+  authenticate,
+  isAdmin,
+  validateQuery(webhookEventSchemas.list),
+  getWebhookEvents
+);
+
+/**
+ * @route   POST /api/web/razorpay/events/replay
+ * @desc    Replay one or more FAILED webhook events. Already-processed events are skipped.
+ * @access  Admin
+ *
+ * @example
+ * Request Body:
+ * { "eventIds": ["evt_MhXXXXXXXXXX", "evt_MhYYYYYYYYYY"] }
+ */
+router.post(
+  "/events/replay",
+  authenticate,
+  isAdmin,
+  validateBody(webhookEventSchemas.replay),
+  replayWebhookEvents
+);
+
+/**
+ * @route   GET /api/web/razorpay/events/:eventId
+ * @desc    Get a single webhook event including its full payload
+ * @access  Admin
+ */
+router.get(
+  "/events/:eventId",
+  authenticate,
+  isAdmin,
+  validateParams(webhookEventSchemas.eventId),
+  getWebhookEventById
+);
+
 /**
  * App Callback - Redirects Razorpay callback to app via deep link
  * GET /api/web/razorpay/app-callback
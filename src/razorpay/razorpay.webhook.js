@@ -4,9 +4,10 @@
  * @module webhooks/razorpay
  */
 
+import crypto from 'crypto';
 import { verifyWebhookSignature } from '../../utils/razorpay.util.js';
 import Payment from '../../schema/Payment.schema.js';
-import Coupon from '../../schema/Coupon.schema.js';
+import WebhookEvent from '../../schema/WebhookEvent.schema.js';
 import Voucher from '../../schema/Voucher.Schema.js';
 import User from '../../schema/User.schema.js';
 import Event from '../../schema/Event.schema.js';
@@ -50,6 +51,41 @@ import {
   uploadTicketImageToCloudinary
 } from '../../utils/ticketImage.util.js';
 import { sendBulkTicketWhatsApp, sendBulkVoucherWhatsApp } from '../../utils/whatsapp.util.js';
+import { signTicketLink, TICKET_TYPES } from '../../utils/ticketSignature.util.js';
+import {
+  convertWaitlistOffer,
+  releaseWaitlistOffer,
+  triggerWaitlistPromotion
+} from '../../services/waitlist.service.js';
+import {
+  confirmTierSale,
+  releaseTierHold,
+  returnRefundedTierTickets
+} from '../../services/ticketTier.service.js';
+import {
+  confirmCouponUse,
+  releaseCouponHold,
+  returnRefundedCouponUse
+} from '../../services/couponHold.service.js';
+import {
+  issueInvoice,
+  issueCreditNote,
+  getInvoiceAttachment
+} from '../../services/invoice.service.js';
+import {
+  buildTicketEntry,
+  buildSessionBookingEntry,
+  getCalendarAttachment
+} from '../../services/calendar.service.js';
+import {
+  confirmGiftPayment,
+  failGiftPayment,
+  refundGift
+} from '../../services/gift.service.js';
+import {
+  creditReferrer,
+  reverseReferralCredit
+} from '../../services/userReferral.service.js';
 
 /**
  * @typedef {Object} RazorpayWebhookPayload
@@ -107,6 +143,12 @@ import { sendBulkTicketWhatsApp, sendBulkVoucherWhatsApp } from '../../utils/wha
  * All events are logged with detailed information to console for debugging.
  * Automatically updates related entities (coupons, event seats) on success/refund.
  *
+ * Every verified delivery is first stored in the WebhookEvent inbox, keyed by
+ * the x-razorpay-event-id header, and only then processed. A retry of an event
+ * that was already PROCESSED is acknowledged with 200 and not run again. A
+ * handler error marks the event FAILED and returns 500, so Razorpay retries it;
+ * admins can also replay FAILED events from /api/web/razorpay/events.
+ *
  * @example
  * // Webhook Configuration in Razorpay Dashboard
  * // URL: https://yourdomain.com/api/web/razorpay/webhook
@@ -197,63 +239,303 @@ export const handleWebhook = async (req, res) => {
 
     console.log('✓ Webhook signature verified');
 
-    // Handle different event types
-    const { event, payload: eventPayload } = payload;
+    // Razorpay sends the same x-razorpay-event-id on every retry of an event.
+    // If the header is ever missing, fall back to a hash of the signed body —
+    // a retry carries the identical body, so it still dedupes.
+    const eventId = req.headers['x-razorpay-event-id']
+      || `body_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
 
-    console.log('[WEBHOOK] Processing event type:', event);
+    const { record, isDuplicate } = await WebhookEvent.record({
+      eventId,
+      event: payload.event,
+      payload
+    });
 
-    switch (event) {
-      case 'payment.captured':
-        console.log('[WEBHOOK] Routing to handlePaymentCaptured');
-        await handlePaymentCaptured(eventPayload.payment.entity);
-        break;
+    if (isDuplicate) {
+      console.log('[WEBHOOK] Duplicate delivery of event:', eventId, 'status:', record.status);
+    }
 
-      case 'payment.failed':
-        console.log('[WEBHOOK] Routing to handlePaymentFailed');
-        await handlePaymentFailed(eventPayload.payment.entity);
-        break;
+    const result = await processWebhookEvent(record.eventId);
 
-      case 'order.paid':
-        console.log('[WEBHOOK] Routing to handleOrderPaid');
-        await handleOrderPaid(eventPayload.order.entity);
-        break;
+    if (result.status === 'FAILED') {
+      // Non-2xx makes Razorpay retry; the FAILED record is claimable again.
+      return responseUtil.internalError(res, 'Failed to process webhook', result.error);
+    }
 
-      case 'payment_link.paid':
-        console.log('[WEBHOOK] Routing to handlePaymentLinkPaid');
-        await handlePaymentLinkPaid(eventPayload.payment_link.entity);
-        break;
+    console.log('[WEBHOOK] === Webhook Processing Complete ===');
 
-      case 'payment_link.cancelled':
-        console.log('[WEBHOOK] Routing to handlePaymentLinkCancelled');
-        await handlePaymentLinkCancelled(eventPayload.payment_link.entity);
-        break;
+    return responseUtil.success(res, 'Webhook processed successfully', {
+      eventId,
+      status: result.status,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    return responseUtil.internalError(res, 'Failed to process webhook', error.message);
+  }
+};
 
-      case 'payment_link.expired':
-        console.log('[WEBHOOK] Routing to handlePaymentLinkExpired');
-        await handlePaymentLinkExpired(eventPayload.payment_link.entity);
-        break;
+/**
+ * Run the handler for a stored webhook event, at most once.
+ *
+ * Claims the inbox record atomically; if another request already holds the
+ * claim or the event is PROCESSED, nothing runs. Used by the live webhook and
+ * by the admin replay endpoint, so both paths share the same guarantee.
+ *
+ * @param {string} eventId - x-razorpay-event-id of a stored WebhookEvent
+ * @param {Object} [options]
+ * @param {string} [options.replayedBy] - Admin ID when triggered by a manual replay
+ *
+ * @returns {Promise<{eventId: string, status: string, skipped: boolean, error?: string}>}
+ */
+export const processWebhookEvent = async (eventId, { replayedBy = null } = {}) => {
+  const record = await WebhookEvent.claim(eventId);
 
-      case 'refund.created':
-        console.log('[WEBHOOK] Routing to handleRefundCreated');
-        await handleRefundCreated(eventPayload.refund.entity);
-        break;
+  if (!record) {
+    const existing = await WebhookEvent.findOne({ eventId }).select('status');
+    console.log('[WEBHOOK] Event not claimable, skipping:', eventId, existing?.status);
+    return { eventId, status: existing?.status || 'NOT_FOUND', skipped: true };
+  }
 
-      case 'refund.processed':
-        console.log('[WEBHOOK] Routing to handleRefundProcessed');
-        await handleRefundProcessed(eventPayload.refund.entity);
-        break;
+  if (replayedBy) {
+    record.lastReplayedBy = replayedBy;
+  }
 
-      default:
-        console.log('[WEBHOOK] Unhandled event type:', event);
-    }
+  console.log('[WEBHOOK] Processing event:', {
+    eventId,
+    event: record.event,
+    attempt: record.attempts
+  });
 
-    console.log('[WEBHOOK] === Webhook Processing Complete ===');
+  try {
+    await dispatchWebhookEvent(record.event, record.payload.payload);
+    await record.markProcessed();
+    return { eventId, status: 'PROCESSED', skipped: false };
+  } catch (error) {
+    console.error('[WEBHOOK] Event handler failed:', eventId, error.message);
+    await record.markFailed(error);
+    return { eventId, status: 'FAILED', skipped: false, error: error.message };
+  }
+};
+
+/**
+ * Route a webhook event to its handler
+ *
+ * @param {string} event - Razorpay event type
+ * @param {Object} eventPayload - The `payload` object of the webhook body
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const dispatchWebhookEvent = async (event, eventPayload) => {
+  console.log('[WEBHOOK] Processing event type:', event);
+
+  switch (event) {
+    case 'payment.captured':
+      console.log('[WEBHOOK] Routing to handlePaymentCaptured');
+      await handlePaymentCaptured(eventPayload.payment.entity);
+      break;
+
+    case 'payment.failed':
+      console.log('[WEBHOOK] Routing to handlePaymentFailed');
+      await handlePaymentFailed(eventPayload.payment.entity);
+      break;
+
+    case 'order.paid':
+      console.log('[WEBHOOK] Routing to handleOrderPaid');
+      await handleOrderPaid(eventPayload.order.entity);
+      break;
+
+    case 'payment_link.paid':
+      console.log('[WEBHOOK] Routing to handlePaymentLinkPaid');
+      await handlePaymentLinkPaid(eventPayload.payment_link.entity);
+      break;
+
+    case 'payment_link.cancelled':
+      console.log('[WEBHOOK] Routing to handlePaymentLinkCancelled');
+      await handlePaymentLinkCancelled(eventPayload.payment_link.entity);
+      break;
+
+    case 'payment_link.expired':
+      console.log('[WEBHOOK] Routing to handlePaymentLinkExpired');
+      await handlePaymentLinkExpired(eventPayload.payment_link.entity);
+      break;
+
+    case 'refund.created':
+      console.log('[WEBHOOK] Routing to handleRefundCreated');
+      await handleRefundCreated(eventPayload.refund.entity);
+      break;
+
+    case 'refund.processed':
+      console.log('[WEBHOOK] Routing to handleRefundProcessed');
+      await handleRefundProcessed(eventPayload.refund.entity);
+      break;
+
+    default:
+      console.log('[WEBHOOK] Unhandled event type:', event);
+  }
+};
 
-    return responseUtil.success(res, 'Webhook processed successfully');
+/**
+ * A fulfillment still PROCESSING after this long is taken to have died
+ * (process restart mid-run) and may be claimed again.
+ */
+const FULFILLMENT_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Log a success event that arrived for a FAILED or refunded payment. It is
+ * not fulfilled; a warning because money captured after a failure may need a
+ * manual refund.
+ *
+ * @param {Object} payment - Payment document
+ * @param {string} tag - Log prefix of the handler
+ * @private
+ */
+const logIgnoredSuccessEvent = (payment, tag) => {
+  console.warn(`${tag} Ignoring success event for ${payment.status} payment, check for a capture to refund:`, {
+    orderId: payment.orderId,
+    paymentId: payment.paymentId
+  });
+};
+
+/**
+ * Move a payment to SUCCESS exactly once, and claim its fulfillment.
+ *
+ * payment.captured, order.paid and payment_link.paid all arrive for the same
+ * payment, often within milliseconds. A read-then-save lets two of them see
+ * PENDING and both run updateRelatedEntities. The status guard in the query
+ * makes the transition atomic: only the first caller gets the document back.
+ *
+ * Only PENDING payments move. A late or replayed event must not revive a
+ * FAILED or refunded payment and issue its tickets or membership again.
+ *
+ * @param {Object} payment - Payment document (as read by the caller)
+ * @param {Object} updates - Fields to set alongside status/purchaseDateTime
+ *
+ * @returns {Promise<Object|null>} The updated payment, or null if it was no longer PENDING
+ * @private
+ */
+const markPaymentSuccess = (payment, updates = {}) => {
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'PENDING' },
+    {
+      $set: {
+        ...updates,
+        status: 'SUCCESS',
+        purchaseDateTime: new Date(),
+        'fulfillment.status': 'PROCESSING',
+        'fulfillment.startedAt': new Date()
+      },
+      $inc: { 'fulfillment.attempts': 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Claim the fulfillment of a payment that is already SUCCESS but whose
+ * entities were never created: an earlier run failed, died mid-way, or the
+ * payment was verified from the app before any webhook arrived.
+ *
+ * @param {Object} payment - Payment document
+ *
+ * @returns {Promise<Object|null>} The claimed payment, or null if it is fulfilled or being fulfilled
+ * @private
+ */
+const claimFulfillmentRetry = (payment) => {
+  return Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'SUCCESS',
+      $or: [
+        { 'fulfillment.status': { $in: ['PENDING', 'FAILED'] } },
+        {
+          'fulfillment.status': 'PROCESSING',
+          'fulfillment.startedAt': { $lt: new Date(Date.now() - FULFILLMENT_STALE_MS) }
+        }
+      ]
+    },
+    {
+      $set: { 'fulfillment.status': 'PROCESSING', 'fulfillment.startedAt': new Date() },
+      $inc: { 'fulfillment.attempts': 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Create the payment's entities and record the outcome. A failure is
+ * rethrown so the webhook event is marked FAILED and gets retried.
+ *
+ * @param {Object} payment - Payment document holding the fulfillment claim
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const fulfillPayment = async (payment) => {
+  try {
+    await updateRelatedEntities(payment);
   } catch (error) {
-    console.error('Webhook processing error:', error);
-    return responseUtil.internalError(res, 'Failed to process webhook', error.message);
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'fulfillment.status': 'FAILED', 'fulfillment.lastError': error.message } }
+    );
+    throw error;
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        'fulfillment.status': 'DONE',
+        'fulfillment.completedAt': new Date(),
+        'fulfillment.lastError': null
+      }
+    }
+  );
+};
+
+/**
+ * Event for a payment that is already SUCCESS: finish its fulfillment if no
+ * earlier run completed it, otherwise nothing to do.
+ *
+ * @param {Object} payment - Payment document
+ * @param {string} tag - Log prefix of the calling handler
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const retryFulfillment = async (payment, tag) => {
+  const claimed = await claimFulfillmentRetry(payment);
+
+  if (!claimed) {
+    console.log(`${tag} Payment already successful and fulfilled, skipping`);
+    return;
+  }
+
+  console.log(`${tag} Payment is SUCCESS but not fulfilled, retrying (attempt ${claimed.fulfillment.attempts})`);
+  await fulfillPayment(claimed);
+};
+
+/**
+ * Run a step of the fulfillment that must not repeat (tickets counted,
+ * messages sent) unless an earlier attempt already finished it.
+ *
+ * @param {Object} payment - Payment document
+ * @param {string} step - Step name stored in fulfillment.steps
+ * @param {Function} fn - The step
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const runFulfillmentStep = async (payment, step, fn) => {
+  if (payment.fulfillment?.steps?.includes(step)) {
+    console.log(`[FULFILLMENT] ${step} already done for order ${payment.orderId}, skipping`);
+    return;
   }
+
+  await fn();
+  await Payment.updateOne({ _id: payment._id }, { $addToSet: { 'fulfillment.steps': step } });
 };
 
 /**
@@ -294,25 +576,34 @@ const handlePaymentCaptured = async (paymentEntity) => {
   });
 
   if (payment.status === 'SUCCESS') {
-    console.log('[PAYMENT-CAPTURED] Payment already marked as successful, skipping');
+    await retryFulfillment(payment, '[PAYMENT-CAPTURED]');
+    return;
+  }
+
+  if (payment.status !== 'PENDING') {
+    logIgnoredSuccessEvent(payment, '[PAYMENT-CAPTURED]');
     return;
   }
 
   // Update payment record
-  payment.paymentId = paymentId;
-  payment.status = 'SUCCESS';
-  payment.purchaseDateTime = new Date();
-  payment.metadata = {
-    ...payment.metadata,
-    razorpayPaymentEntity: paymentEntity
-  };
-  await payment.save();
+  const updatedPayment = await markPaymentSuccess(payment, {
+    paymentId,
+    metadata: {
+      ...payment.metadata,
+      razorpayPaymentEntity: paymentEntity
+    }
+  });
+
+  if (!updatedPayment) {
+    console.log('[PAYMENT-CAPTURED] Payment is no longer PENDING (another event got there first), skipping');
+    return;
+  }
 
   console.log('[PAYMENT-CAPTURED] Payment updated to SUCCESS');
   console.log('[PAYMENT-CAPTURED] Calling updateRelatedEntities...');
 
   // Update related entities
-  await updateRelatedEntities(payment);
+  await fulfillPayment(updatedPayment);
 
   console.log('[PAYMENT-CAPTURED] ========== END ==========');
 };
@@ -351,8 +642,10 @@ const handlePaymentFailed = async (paymentEntity) => {
 
   console.log(`✓ Payment marked as failed for order: ${orderId}`);
 
-  // Release seat reservations if event has seat arrangement
-  if (payment.eventId && payment.metadata?.selectedSeats) {
+  // Release seat reservations if event has seat arrangement.
+  // A waitlist offer keeps its seats: the buyer can retry on the same link
+  // until the hold expires, and the expiry releases them.
+  if (payment.eventId && payment.metadata?.selectedSeats && !payment.metadata?.waitlistEntryId) {
     try {
       const event = await Event.findById(payment.eventId).select('hasSeatArrangement');
       if (event?.hasSeatArrangement) {
@@ -369,6 +662,12 @@ const handlePaymentFailed = async (paymentEntity) => {
 
   // Release voucher claim if voucher was used (for EVENT type)
   await releaseVoucherClaim(payment);
+
+  // Give held pricing tier tickets back
+  await releaseTierHold(payment);
+
+  // Give the coupon use held by the order back
+  await releaseCouponHold(payment);
 };
 
 /**
@@ -405,23 +704,32 @@ const handleOrderPaid = async (orderEntity) => {
   });
 
   if (payment.status === 'SUCCESS') {
-    console.log('[ORDER-PAID] Payment already marked as successful, skipping');
+    await retryFulfillment(payment, '[ORDER-PAID]');
     return;
   }
 
-  payment.status = 'SUCCESS';
-  payment.purchaseDateTime = new Date();
-  payment.metadata = {
-    ...payment.metadata,
-    razorpayOrderEntity: orderEntity
-  };
-  await payment.save();
+  if (payment.status !== 'PENDING') {
+    logIgnoredSuccessEvent(payment, '[ORDER-PAID]');
+    return;
+  }
+
+  const updatedPayment = await markPaymentSuccess(payment, {
+    metadata: {
+      ...payment.metadata,
+      razorpayOrderEntity: orderEntity
+    }
+  });
+
+  if (!updatedPayment) {
+    console.log('[ORDER-PAID] Payment is no longer PENDING (another event got there first), skipping');
+    return;
+  }
 
   console.log('[ORDER-PAID] Payment updated to SUCCESS');
   console.log('[ORDER-PAID] Calling updateRelatedEntities...');
 
   // Update related entities
-  await updateRelatedEntities(payment);
+  await fulfillPayment(updatedPayment);
 
   console.log('[ORDER-PAID] ========== END ==========');
 };
@@ -468,7 +776,12 @@ const handlePaymentLinkPaid = async (paymentLinkEntity) => {
   });
 
   if (payment.status === 'SUCCESS') {
-    console.log('[PAYMENT-LINK-PAID] Payment already marked as successful, skipping');
+    await retryFulfillment(payment, '[PAYMENT-LINK-PAID]');
+    return;
+  }
+
+  if (payment.status !== 'PENDING') {
+    logIgnoredSuccessEvent(payment, '[PAYMENT-LINK-PAID]');
     return;
   }
 
@@ -520,15 +833,21 @@ const handlePaymentLinkPaid = async (paymentLinkEntity) => {
     };
   }
 
-  payment.status = 'SUCCESS';
-  payment.purchaseDateTime = new Date();
-  await payment.save();
+  const updatedPayment = await markPaymentSuccess(payment, {
+    paymentId: payment.paymentId,
+    metadata: payment.metadata
+  });
+
+  if (!updatedPayment) {
+    console.log('[PAYMENT-LINK-PAID] Payment is no longer PENDING (another event got there first), skipping');
+    return;
+  }
 
   console.log('[PAYMENT-LINK-PAID] Payment updated to SUCCESS');
   console.log('[PAYMENT-LINK-PAID] Calling updateRelatedEntities...');
 
   // Update related entities
-  await updateRelatedEntities(payment);
+  await fulfillPayment(updatedPayment);
 
   console.log('[PAYMENT-LINK-PAID] ========== END ==========');
 };
@@ -561,6 +880,11 @@ const handlePaymentLinkCancelled = async (paymentLinkEntity) => {
 
   console.log(`✓ Payment link cancelled for order: ${orderId}`);
 
+  // A waitlist offer whose link is gone passes its hold down the list
+  if (payment.metadata?.waitlistEntryId) {
+    await releaseWaitlistOffer(orderId, { status: 'EXPIRED', reason: 'PAYMENT_LINK_CANCELLED' });
+  }
+
   // Release seat reservations if event has seat arrangement
   if (payment.eventId && payment.metadata?.selectedSeats) {
     try {
@@ -579,6 +903,12 @@ const handlePaymentLinkCancelled = async (paymentLinkEntity) => {
 
   // Release voucher claim if voucher was used (for EVENT type)
   await releaseVoucherClaim(payment);
+
+  // Give held pricing tier tickets back
+  await releaseTierHold(payment);
+
+  // Give the coupon use held by the order back
+  await releaseCouponHold(payment);
 };
 
 /**
@@ -609,6 +939,11 @@ const handlePaymentLinkExpired = async (paymentLinkEntity) => {
 
   console.log(`✓ Payment link expired for order: ${orderId}`);
 
+  // A waitlist offer whose link is gone passes its hold down the list
+  if (payment.metadata?.waitlistEntryId) {
+    await releaseWaitlistOffer(orderId, { status: 'EXPIRED', reason: 'PAYMENT_LINK_EXPIRED' });
+  }
+
   // Release seat reservations if event has seat arrangement
   if (payment.eventId && payment.metadata?.selectedSeats) {
     try {
@@ -627,6 +962,12 @@ const handlePaymentLinkExpired = async (paymentLinkEntity) => {
 
   // Release voucher claim if voucher was used (for EVENT type)
   await releaseVoucherClaim(payment);
+
+  // Give held pricing tier tickets back
+  await releaseTierHold(payment);
+
+  // Give the coupon use held by the order back
+  await releaseCouponHold(payment);
 };
 
 /**
@@ -673,26 +1014,164 @@ const handleRefundCreated = async (refundEntity) => {
 const handleRefundProcessed = async (refundEntity) => {
   console.log('Processing refund.processed event');
 
-  const { payment_id: paymentId } = refundEntity;
+  const { payment_id: paymentId, id: refundId } = refundEntity;
 
-  const payment = await Payment.findOne({ paymentId });
+  const existing = await Payment.findOne({ paymentId });
 
-  if (!payment) {
+  if (!existing) {
     console.error(`Payment not found for paymentId: ${paymentId}`);
     return;
   }
 
-  payment.status = 'REFUNDED';
-  payment.metadata = {
-    ...payment.metadata,
-    refund: refundEntity
+  // Refunds issued through the admin API are recorded with their refund ID
+  // when they are issued, and their entities are reversed right then. Here we
+  // only confirm that the money actually went back.
+  const tracked = await Payment.findOneAndUpdate(
+    { _id: existing._id, 'refunds.refundId': refundId },
+    {
+      $set: {
+        'refunds.$.status': 'PROCESSED',
+        'refunds.$.processedAt': new Date(),
+        'metadata.refund': refundEntity
+      }
+    },
+    { new: true }
+  );
+
+  if (tracked) {
+    console.log(`✓ Admin-initiated refund confirmed: ${refundId} for payment: ${paymentId}`);
+    return;
+  }
+
+  // Refund issued from the Razorpay dashboard. A partial one is recorded but
+  // reverses nothing — we cannot know which tickets it was meant to cover.
+  const refundAmount = (refundEntity.amount || 0) / 100;
+  const remaining = existing.finalAmount - (existing.refundedAmount || 0);
+
+  const refundRecord = {
+    refundId,
+    amount: refundAmount,
+    scope: refundAmount < remaining ? 'PARTIAL' : 'FULL',
+    reason: refundEntity.notes?.reason || null,
+    status: 'PROCESSED',
+    source: 'GATEWAY',
+    processedAt: new Date()
   };
-  await payment.save();
+
+  if (refundRecord.scope === 'PARTIAL') {
+    await Payment.findOneAndUpdate(
+      { _id: existing._id, 'refunds.refundId': { $ne: refundId } },
+      {
+        $set: { status: 'PARTIALLY_REFUNDED', 'metadata.refund': refundEntity },
+        $inc: { refundedAmount: refundAmount },
+        $push: { refunds: refundRecord }
+      }
+    );
+    console.log(`✓ Partial refund recorded for payment: ${paymentId} (₹${refundAmount}) — no entities reversed`);
+    await issueCreditNoteSafely(existing, refundRecord);
+    return;
+  }
+
+  // Same race as markPaymentSuccess: only the first refund.processed for a
+  // payment may reverse its entities, or seats and coupon uses go back twice.
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $ne: 'REFUNDED' } },
+    {
+      $set: {
+        status: 'REFUNDED',
+        refundedAmount: existing.finalAmount,
+        metadata: { ...existing.metadata, refund: refundEntity }
+      },
+      $push: { refunds: { ...refundRecord, reversals: describeReversals(existing) } }
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    console.log(`Payment already refunded, skipping reversal: ${paymentId}`);
+    return;
+  }
 
   console.log(`✓ Refund processed for payment: ${paymentId}`);
 
   // Reverse related entity updates
   await reverseRelatedEntities(payment);
+
+  await issueCreditNoteSafely(payment, refundRecord);
+};
+
+/**
+ * Issue the GST invoice for a confirmed payment. Logged, never thrown: the
+ * purchase has already succeeded, and the invoice can be issued again later.
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const issueInvoiceSafely = async (payment) => {
+  try {
+    const invoice = await issueInvoice(payment);
+    if (invoice) {
+      console.log(`[INVOICE] ✓ Invoice ${invoice.number} ready for order: ${payment.orderId}`);
+    }
+  } catch (error) {
+    console.error(`[INVOICE] ✗ Failed to issue invoice for order ${payment.orderId}:`, error.message);
+  }
+};
+
+/**
+ * Issue the credit note for a refund. Logged, never thrown, same as invoices.
+ *
+ * @param {Object} payment - Payment document from database
+ * @param {Object} refund - Refund record ({ refundId, amount, reason })
+ *
+ * @returns {Promise<Object|null>} Credit note, or null
+ */
+export const issueCreditNoteSafely = async (payment, refund) => {
+  try {
+    const creditNote = await issueCreditNote(payment, refund);
+    if (creditNote) {
+      console.log(`[INVOICE] ✓ Credit note ${creditNote.number} issued for refund: ${refund.refundId}`);
+    }
+    return creditNote;
+  } catch (error) {
+    console.error(`[INVOICE] ✗ Failed to issue credit note for refund ${refund.refundId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Credit the referrer of a payment made with a personal referral code.
+ * Logged, never thrown: the purchase has already succeeded.
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const creditReferrerSafely = async (payment) => {
+  try {
+    await creditReferrer(payment);
+  } catch (error) {
+    console.error(`[USER-REFERRAL] ✗ Failed to credit referrer for order ${payment.orderId}:`, error.message);
+  }
+};
+
+/**
+ * Take back the referrer's credits for a refunded payment. Logged, never thrown.
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const reverseReferralCreditSafely = async (payment) => {
+  try {
+    await reverseReferralCredit(payment);
+  } catch (error) {
+    console.error(`[USER-REFERRAL] ✗ Failed to reverse referral credits for order ${payment.orderId}:`, error.message);
+  }
 };
 
 /**
@@ -794,6 +1273,21 @@ const findOrCreateUser = async (userData) => {
   }
 };
 
+/**
+ * Remember the enrollment a payment produced, so a fulfillment retry reuses
+ * it instead of issuing the same tickets again.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} enrollment - Saved EventEnrollment
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const recordFulfillmentEnrollment = async (payment, enrollment) => {
+  await Payment.updateOne({ _id: payment._id }, { $set: { 'fulfillment.enrollmentId': enrollment._id } });
+  if (payment.fulfillment) payment.fulfillment.enrollmentId = enrollment._id;
+};
+
 /**
  * Create event enrollment and update event ticket counts
  * Creates an enrollment record for the buyer with all tickets (buyer + others)
@@ -801,6 +1295,7 @@ const findOrCreateUser = async (userData) => {
  * @param {Object} payment - Payment document from database
  *
  * @returns {Promise<Object>} Object containing enrollment, users, and event data
+ * @throws {Error} When the enrollment can't be created, so the fulfillment is retried
  * @private
  */
 const createEventEnrollment = async (payment) => {
@@ -840,6 +1335,16 @@ const createEventEnrollment = async (payment) => {
       otherUsers.push({ user: otherUser, details: other });
     }
 
+    // An earlier attempt already issued the tickets for this payment
+    if (payment.fulfillment?.enrollmentId) {
+      const enrollment = await EventEnrollment.findById(payment.fulfillment.enrollmentId);
+      if (enrollment) {
+        console.log('[ENROLLMENT] Reusing enrollment from earlier attempt:', enrollment._id);
+        const event = payment.eventId ? await Event.findById(payment.eventId) : null;
+        return { enrollment, buyerUser, otherUsers, event };
+      }
+    }
+
     // Helper to normalize phone numbers (extract last 10 digits)
     const normalizePhone = (phone) => {
       if (phone && phone.length > 10) {
@@ -923,6 +1428,7 @@ const createEventEnrollment = async (payment) => {
       existingEnrollment.ticketPrice = averageTicketPrice;
 
       await existingEnrollment.save();
+      await recordFulfillmentEnrollment(payment, existingEnrollment);
 
       console.log('[ENROLLMENT] Updated existing enrollment:', {
         enrollmentId: existingEnrollment._id,
@@ -1087,6 +1593,7 @@ const createEventEnrollment = async (payment) => {
     });
 
     await enrollment.save();
+    await recordFulfillmentEnrollment(payment, enrollment);
 
     console.log('[ENROLLMENT] Enrollment created successfully:', {
       enrollmentId: enrollment._id,
@@ -1219,8 +1726,8 @@ const createEventEnrollment = async (payment) => {
 
   } catch (error) {
     console.error('[ENROLLMENT] Error creating enrollment:', error);
-    // Don't throw error - webhook should still succeed even if enrollment fails
-    return null;
+    // The payment is already SUCCESS; failing the fulfillment gets it retried
+    throw error;
   }
 };
 
@@ -1268,6 +1775,16 @@ const sendEnrollmentEmails = async (payment, enrollment, buyerUser, otherUsers,
     }) : '';
     const eventLocation = event?.location || event?.city || '';
 
+    // GST invoice goes to the buyer only, alongside their ticket
+    const invoiceAttachment = await getInvoiceAttachment(payment);
+
+    // Add-to-calendar file per holder; its UID matches the holder's calendar feed entry
+    const calendarAttachmentsFor = (phone) => {
+      if (!event?.startDate) return [];
+      const attachment = getCalendarAttachment(eventName, [buildTicketEntry({ enrollment, event, phone })]);
+      return attachment ? [attachment] : [];
+    };
+
     // Process buyer's ticket
     try {
       const buyerPhone = payment.metadata.buyer.phone;
@@ -1275,7 +1792,10 @@ const sendEnrollmentEmails = async (payment, enrollment, buyerUser, otherUsers,
       console.log(`[WEBHOOK-NOTIFY] Processing buyer ticket for phone: ${buyerPhone} (normalized: ${normalizedBuyerPhone})`);
 
       // Build QR scan URL for ticket
-      const buyerQrScanUrl = `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${buyerUser._id.toString()}&eventId=${payment.eventId.toString()}&phone=${normalizedBuyerPhone}`;
+      const buyerQrScanUrl = signTicketLink(
+        `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${buyerUser._id.toString()}&eventId=${payment.eventId.toString()}&phone=${normalizedBuyerPhone}`,
+        { type: TICKET_TYPES.ENROLLMENT, enrollmentId: enrollment._id, eventId: payment.eventId, phone: normalizedBuyerPhone }
+      );
 
       let buyerTicketBuffer;
       let buyerTicketUrl;
@@ -1377,7 +1897,9 @@ const sendEnrollmentEmails = async (payment, enrollment, buyerUser, otherUsers,
               filename: buyerTicketFilename,
               content: buyerTicketBuffer,
               contentType: 'image/png'
-            }
+            },
+            ...(invoiceAttachment ? [invoiceAttachment] : []),
+            ...calendarAttachmentsFor(normalizedBuyerPhone)
           ],
           // Logging parameters
           category: 'TICKET',
@@ -1404,7 +1926,10 @@ const sendEnrollmentEmails = async (payment, enrollment, buyerUser, otherUsers,
         console.log(`[WEBHOOK-NOTIFY] Processing ticket for phone: ${otherPhone} (normalized: ${normalizedOtherPhone})`);
 
         // Build QR scan URL for ticket
-        const otherQrScanUrl = `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${payment.eventId.toString()}&phone=${normalizedOtherPhone}`;
+        const otherQrScanUrl = signTicketLink(
+          `https://motivata.synquic.com/api/app/tickets/qr-scan?enrollmentId=${enrollment._id.toString()}&userId=${user._id.toString()}&eventId=${payment.eventId.toString()}&phone=${normalizedOtherPhone}`,
+          { type: TICKET_TYPES.ENROLLMENT, enrollmentId: enrollment._id, eventId: payment.eventId, phone: normalizedOtherPhone }
+        );
 
         let ticketBuffer;
         let ticketUrl;
@@ -1506,7 +2031,8 @@ const sendEnrollmentEmails = async (payment, enrollment, buyerUser, otherUsers,
                 filename: ticketFilename,
                 content: ticketBuffer,
                 contentType: 'image/png'
-              }
+              },
+              ...calendarAttachmentsFor(normalizedOtherPhone)
             ],
             // Logging parameters
             category: 'TICKET',
@@ -1942,6 +2468,9 @@ const sendSessionConfirmation = async (payment, booking, session) => {
     // Send email notification
     if (userEmail) {
       try {
+        // Only once the session has a time: a fixed session date, or a slot already picked on Calendly
+        const calendarAttachment = getCalendarAttachment(session.title, [buildSessionBookingEntry(booking, session)]);
+
         const emailContent = {
           to: userEmail,
           subject: `Session Booking Confirmed - ${session.title}`,
@@ -1994,6 +2523,7 @@ Open the Motivata app to schedule your session. You'll find the scheduling link
 
 If you have any questions, please contact us at support@motivata.in
 `,
+          ...(calendarAttachment && { attachments: [calendarAttachment] }),
           // Logging parameters
           category: 'SESSION_BOOKING',
           sessionId: session._id?.toString(),
@@ -2003,6 +2533,15 @@ If you have any questions, please contact us at support@motivata.in
 
         await sendBulkEmails([emailContent]);
         console.log('[SESSION-CONFIRM] ✓ Email sent successfully');
+
+        // The slot is already in the user's calendar; scheduling updates only need to send changes
+        if (calendarAttachment && booking.scheduledSlot) {
+          await SessionBooking.updateOne(
+            { _id: booking._id },
+            { $set: { calendarInviteSlot: booking.scheduledSlot } },
+            { timestamps: false }
+          );
+        }
       } catch (emailError) {
         console.error('[SESSION-CONFIRM] ✗ Email sending failed:', emailError.message);
       }
@@ -2302,41 +2841,6 @@ const confirmMembershipPayment = async (payment) => {
     // Student referral: money has cleared, so the use is now real.
     await consumeReferralCode(payment);
 
-    // Increment coupon usage if coupon was used
-    if (payment.couponCode) {
-      console.log('[MEMBERSHIP-WEBHOOK] ========== COUPON USAGE INCREMENT START ==========');
-      console.log('[MEMBERSHIP-WEBHOOK] Coupon code used:', payment.couponCode);
-      console.log('[MEMBERSHIP-WEBHOOK] Payment ID:', payment._id);
-      console.log('[MEMBERSHIP-WEBHOOK] Order ID:', payment.orderId);
-      console.log('[MEMBERSHIP-WEBHOOK] Phone:', payment.phone ? `***${payment.phone.slice(-4)}` : 'N/A');
-      console.log('[MEMBERSHIP-WEBHOOK] Discount applied:', {
-        originalAmount: payment.amount,
-        discountAmount: payment.discountAmount,
-        finalAmount: payment.finalAmount
-      });
-
-      const updatedCoupon = await Coupon.findOneAndUpdate(
-        { code: payment.couponCode },
-        { $inc: { usageCount: 1 } },
-        { new: true }
-      );
-
-      if (updatedCoupon) {
-        console.log('[MEMBERSHIP-WEBHOOK] ✓ Coupon usage incremented successfully');
-        console.log('[MEMBERSHIP-WEBHOOK] Coupon stats after increment:', {
-          code: updatedCoupon.code,
-          usageCount: updatedCoupon.usageCount,
-          maxUsageLimit: updatedCoupon.maxUsageLimit || 'Unlimited',
-          remainingUses: updatedCoupon.maxUsageLimit ? updatedCoupon.maxUsageLimit - updatedCoupon.usageCount : 'Unlimited'
-        });
-      } else {
-        console.log('[MEMBERSHIP-WEBHOOK] [WARNING] Coupon not found for increment:', payment.couponCode);
-      }
-      console.log('[MEMBERSHIP-WEBHOOK] ========== COUPON USAGE INCREMENT END ==========');
-    } else {
-      console.log('[MEMBERSHIP-WEBHOOK] No coupon was used in this purchase');
-    }
-
     console.log('[MEMBERSHIP-WEBHOOK] Membership activation completed successfully');
   } catch (error) {
     console.error('[MEMBERSHIP-WEBHOOK] Error confirming membership payment:', error.message);
@@ -2427,41 +2931,6 @@ const handleMembershipRefund = async (payment) => {
     // Give the student's referral use back — the sale was reversed.
     await releaseReferralCode(payment);
 
-    // Decrement coupon usage if coupon was used
-    if (payment.couponCode) {
-      console.log('[MEMBERSHIP-REFUND] ========== COUPON USAGE DECREMENT START ==========');
-      console.log('[MEMBERSHIP-REFUND] Coupon code to decrement:', payment.couponCode);
-      console.log('[MEMBERSHIP-REFUND] Payment ID:', payment._id);
-      console.log('[MEMBERSHIP-REFUND] Order ID:', payment.orderId);
-      console.log('[MEMBERSHIP-REFUND] Refund context:', {
-        originalAmount: payment.amount,
-        discountAmount: payment.discountAmount,
-        finalAmount: payment.finalAmount,
-        refundReason: 'Membership refunded'
-      });
-
-      const updatedCoupon = await Coupon.findOneAndUpdate(
-        { code: payment.couponCode },
-        { $inc: { usageCount: -1 } },
-        { new: true }
-      );
-
-      if (updatedCoupon) {
-        console.log('[MEMBERSHIP-REFUND] ✓ Coupon usage decremented successfully');
-        console.log('[MEMBERSHIP-REFUND] Coupon stats after decrement:', {
-          code: updatedCoupon.code,
-          usageCount: updatedCoupon.usageCount,
-          maxUsageLimit: updatedCoupon.maxUsageLimit || 'Unlimited',
-          remainingUses: updatedCoupon.maxUsageLimit ? updatedCoupon.maxUsageLimit - updatedCoupon.usageCount : 'Unlimited'
-        });
-      } else {
-        console.log('[MEMBERSHIP-REFUND] [WARNING] Coupon not found for decrement:', payment.couponCode);
-      }
-      console.log('[MEMBERSHIP-REFUND] ========== COUPON USAGE DECREMENT END ==========');
-    } else {
-      console.log('[MEMBERSHIP-REFUND] No coupon was used in this purchase - no decrement needed');
-    }
-
     console.log('[MEMBERSHIP-REFUND] Membership refund completed successfully');
   } catch (error) {
     console.error('[MEMBERSHIP-REFUND] Error handling membership refund:', error.message);
@@ -2743,15 +3212,6 @@ const confirmFeatureRequestPayment = async (payment) => {
     await request.markCompleted(payment.paymentId, userFeatureAccessIds);
     console.log('[FEATURE-REQUEST-WEBHOOK] FeatureRequest marked as COMPLETED');
 
-    // Increment coupon usage if coupon was used
-    if (payment.couponCode) {
-      await Coupon.findOneAndUpdate(
-        { code: payment.couponCode },
-        { $inc: { usageCount: 1 } }
-      );
-      console.log('[FEATURE-REQUEST-WEBHOOK] Coupon usage incremented:', payment.couponCode);
-    }
-
     console.log('[FEATURE-REQUEST-WEBHOOK] ========== CONFIRM FEATURE REQUEST PAYMENT END ==========');
   } catch (error) {
     console.error('[FEATURE-REQUEST-WEBHOOK] Error confirming feature request payment:', error.message);
@@ -2920,41 +3380,6 @@ const confirmServicePayment = async (payment) => {
       }
     }
 
-    // Increment coupon usage if coupon was used
-    if (payment.couponCode) {
-      console.log('[SERVICE-WEBHOOK] ========== COUPON USAGE INCREMENT START ==========');
-      console.log('[SERVICE-WEBHOOK] Coupon code used:', payment.couponCode);
-      console.log('[SERVICE-WEBHOOK] Payment ID:', payment._id);
-      console.log('[SERVICE-WEBHOOK] Order ID:', payment.orderId);
-      console.log('[SERVICE-WEBHOOK] Phone:', payment.phone ? `***${payment.phone.slice(-4)}` : 'N/A');
-      console.log('[SERVICE-WEBHOOK] Discount applied:', {
-        originalAmount: payment.amount,
-        discountAmount: payment.discountAmount,
-        finalAmount: payment.finalAmount
-      });
-
-      const updatedCoupon = await Coupon.findOneAndUpdate(
-        { code: payment.couponCode },
-        { $inc: { usageCount: 1 } },
-        { new: true }
-      );
-
-      if (updatedCoupon) {
-        console.log('[SERVICE-WEBHOOK] Coupon usage incremented successfully');
-        console.log('[SERVICE-WEBHOOK] Coupon stats after increment:', {
-          code: updatedCoupon.code,
-          usageCount: updatedCoupon.usageCount,
-          maxUsageLimit: updatedCoupon.maxUsageLimit || 'Unlimited',
-          remainingUses: updatedCoupon.maxUsageLimit ? updatedCoupon.maxUsageLimit - updatedCoupon.usageCount : 'Unlimited'
-        });
-      } else {
-        console.log('[SERVICE-WEBHOOK] [WARNING] Coupon not found for increment:', payment.couponCode);
-      }
-      console.log('[SERVICE-WEBHOOK] ========== COUPON USAGE INCREMENT END ==========');
-    } else {
-      console.log('[SERVICE-WEBHOOK] No coupon was used in this purchase');
-    }
-
     console.log('[SERVICE-WEBHOOK] ========== CONFIRM SERVICE PAYMENT END ==========');
 
   } catch (error) {
@@ -3088,6 +3513,15 @@ const updateRelatedEntities = async (payment) => {
   // Log customer details if present
   logCustomerDetails(payment);
 
+  // Issue the GST invoice before any confirmation goes out, so the emails can carry it
+  await issueInvoiceSafely(payment);
+
+  // Personal referral rewards apply to every payment type
+  await creditReferrerSafely(payment);
+
+  // The coupon use stays counted (taken when the order was created)
+  await confirmCouponUse(payment);
+
   // Route to appropriate handler based on payment type
   if (payment.type === 'SESSION') {
     console.log('[UPDATE-ENTITIES] Detected SESSION type payment, calling confirmSessionBooking...');
@@ -3129,28 +3563,37 @@ const updateRelatedEntities = async (payment) => {
     return;
   }
 
+  if (payment.type === 'GIFT') {
+    console.log('[UPDATE-ENTITIES] Detected GIFT type payment, calling confirmGiftPayment...');
+    await confirmGiftPayment(payment);
+    console.log('[UPDATE-ENTITIES] Gift payment processed');
+    console.log('[UPDATE-ENTITIES] ========== END ==========');
+    return;
+  }
+
   console.log('[UPDATE-ENTITIES] Detected EVENT type payment (default flow)');
   // Default: EVENT type - existing flow
   // Create users and event enrollment
   const enrollmentData = await createEventEnrollment(payment);
 
+  // Count the tickets against their pricing tier (settles the order's tier hold)
+  await runFulfillmentStep(payment, 'TIER_SALE', () => confirmTierSale(payment));
+
+  // Settle the waitlist offer this payment was for (drops its seat hold)
+  if (payment.metadata?.waitlistEntryId) {
+    await convertWaitlistOffer(payment);
+  }
+
   // Send enrollment confirmation emails if enrollment was created successfully
   if (enrollmentData) {
     const { enrollment, buyerUser, otherUsers, event } = enrollmentData;
-    await sendEnrollmentEmails(payment, enrollment, buyerUser, otherUsers, event);
+    await runFulfillmentStep(payment, 'ENROLLMENT_EMAILS', () =>
+      sendEnrollmentEmails(payment, enrollment, buyerUser, otherUsers, event)
+    );
   }
 
   // Send voucher QR codes if voucher was used
-  await sendVoucherQRs(payment);
-
-  // Increment coupon usage if coupon was used
-  if (payment.couponCode) {
-    await Coupon.findOneAndUpdate(
-      { code: payment.couponCode },
-      { $inc: { usageCount: 1 } }
-    );
-    console.log(`✓ Coupon usage incremented: ${payment.couponCode}`);
-  }
+  await runFulfillmentStep(payment, 'VOUCHER_QRS', () => sendVoucherQRs(payment));
 
   console.log('✓ Payment processed. Users, enrollment, and emails sent successfully.');
   console.log('[UPDATE-ENTITIES] ========== END ==========');
@@ -3230,12 +3673,15 @@ const handleEnrollmentRefund = async (payment) => {
         }
 
         await event.save();
+        await returnRefundedTierTickets(payment, enrollment.ticketCount);
 
         console.log('[REFUND] Event ticket counts reversed:', {
           eventId: event._id,
           ticketsSold: event.ticketsSold,
           availableSeats: event.availableSeats
         });
+
+        triggerWaitlistPromotion(event._id);
       }
     }
 
@@ -3245,6 +3691,222 @@ const handleEnrollmentRefund = async (payment) => {
   }
 };
 
+/**
+ * Handle refund of a partial EVENT refund
+ * Marks only the listed tickets as REFUNDED, releases their seats and gives
+ * their places back to the event. Coupon and voucher usage stay as they are —
+ * the rest of the order still stands.
+ *
+ * @param {Object} payment - Payment document from database
+ * @param {Array<string>} phones - Ticket phones covered by the refund
+ *
+ * @returns {Promise<Array<string>>} Phones whose tickets were actually refunded
+ */
+export const refundEnrollmentTickets = async (payment, phones) => {
+  console.log('[PARTIAL-REFUND] Refunding tickets for payment:', payment.orderId, phones);
+
+  const enrollment = await EventEnrollment.findOne({ orderId: payment.orderId });
+
+  if (!enrollment) {
+    console.warn('[PARTIAL-REFUND] No enrollment found for order:', payment.orderId);
+    return [];
+  }
+
+  const refundedPhones = [];
+  const seatsToRelease = [];
+
+  for (const rawPhone of phones) {
+    const phone = rawPhone.length > 10 ? rawPhone.slice(-10) : rawPhone;
+    const ticket = enrollment.tickets.get(phone);
+
+    if (!ticket || ticket.status !== 'ACTIVE') {
+      console.log('[PARTIAL-REFUND] Ticket missing or not active, skipping:', phone);
+      continue;
+    }
+
+    enrollment.tickets.set(phone, {
+      ...ticket,
+      status: 'REFUNDED',
+      cancelledAt: new Date(),
+      cancellationReason: 'Payment partially refunded'
+    });
+    refundedPhones.push(phone);
+
+    if (ticket.assignedSeat) {
+      seatsToRelease.push(phone);
+    }
+  }
+
+  if (refundedPhones.length === 0) {
+    return [];
+  }
+
+  await enrollment.save();
+
+  const event = await Event.findById(enrollment.eventId);
+
+  if (event?.hasSeatArrangement) {
+    for (const phone of seatsToRelease) {
+      try {
+        await cancelSeatBooking({ enrollmentId: enrollment._id, phone });
+      } catch (seatError) {
+        console.error('[PARTIAL-REFUND] Seat release error:', phone, seatError.message);
+      }
+    }
+  }
+
+  if (event) {
+    event.ticketsSold = Math.max(0, (event.ticketsSold || 0) - refundedPhones.length);
+
+    if (event.availableSeats != null) {
+      event.availableSeats = event.availableSeats + refundedPhones.length;
+    }
+
+    await event.save();
+    await returnRefundedTierTickets(payment, refundedPhones.length);
+    triggerWaitlistPromotion(event._id);
+  }
+
+  console.log('[PARTIAL-REFUND] ✓ Tickets refunded:', refundedPhones);
+
+  return refundedPhones;
+};
+
+/**
+ * Handle membership request refund
+ * Ends the membership that the request created and gives the referral use back
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const handleMembershipRequestRefund = async (payment) => {
+  try {
+    console.log('[MEMBERSHIP-REQUEST-REFUND] Starting refund for payment:', payment.orderId);
+
+    const { membershipRequestId } = payment.metadata || {};
+
+    let request = null;
+    if (membershipRequestId) {
+      request = await MembershipRequest.findById(membershipRequestId);
+    }
+    if (!request) {
+      request = await MembershipRequest.findByOrderId(payment.orderId);
+    }
+
+    if (!request?.userMembershipId) {
+      console.log('[MEMBERSHIP-REQUEST-REFUND] No membership linked to request - skipping');
+      return;
+    }
+
+    const membership = await UserMembership.findById(request.userMembershipId);
+
+    if (membership && membership.status !== 'REFUNDED') {
+      await membership.markAsRefunded();
+      console.log('[MEMBERSHIP-REQUEST-REFUND] Membership marked as refunded:', membership._id);
+
+      const plan = await MembershipPlan.findById(membership.membershipPlanId);
+      if (plan) {
+        await plan.decrementPurchaseCount();
+      }
+    }
+
+    await releaseReferralCode(payment);
+  } catch (error) {
+    console.error('[MEMBERSHIP-REQUEST-REFUND] Error handling refund:', error.message);
+  }
+};
+
+/**
+ * Handle feature request refund
+ * Revokes every feature access the request granted
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const handleFeatureRequestRefund = async (payment) => {
+  try {
+    console.log('[FEATURE-REQUEST-REFUND] Starting refund for payment:', payment.orderId);
+
+    const { featureRequestId } = payment.metadata || {};
+
+    let request = null;
+    if (featureRequestId) {
+      request = await FeatureRequest.findById(featureRequestId);
+    }
+    if (!request) {
+      request = await FeatureRequest.findByOrderId(payment.orderId);
+    }
+
+    if (!request?.userFeatureAccessIds?.length) {
+      console.log('[FEATURE-REQUEST-REFUND] No feature access linked to request - skipping');
+      return;
+    }
+
+    const accesses = await UserFeatureAccess.find({ _id: { $in: request.userFeatureAccessIds } });
+
+    for (const access of accesses) {
+      if (access.status !== 'REFUNDED') {
+        await access.markAsRefunded();
+      }
+    }
+
+    console.log('[FEATURE-REQUEST-REFUND] Feature access revoked:', accesses.length);
+  } catch (error) {
+    console.error('[FEATURE-REQUEST-REFUND] Error handling refund:', error.message);
+  }
+};
+
+/**
+ * Describe what a full refund reverses, for the refund's audit record
+ *
+ * @param {Object} payment - Payment document from database
+ *
+ * @returns {Array<string>} e.g. ['enrollment:order_X', 'coupon:SAVE10']
+ */
+export const describeReversals = (payment) => {
+  const reversals = [];
+  const metadata = payment.metadata || {};
+
+  switch (payment.type) {
+    case 'SESSION':
+      reversals.push(`session-booking:${metadata.bookingReference || payment.orderId}`);
+      break;
+    case 'MEMBERSHIP':
+      reversals.push(`membership:${metadata.userMembershipId || payment.orderId}`);
+      break;
+    case 'MEMBERSHIP_REQUEST':
+      reversals.push(`membership-request:${metadata.membershipRequestId || payment.orderId}`);
+      break;
+    case 'FEATURE_REQUEST':
+      reversals.push(`feature-access:${metadata.featureRequestId || payment.orderId}`);
+      break;
+    case 'SERVICE':
+      reversals.push(`service-subscriptions:${metadata.serviceOrderId || payment.orderId}`);
+      break;
+    case 'GIFT':
+      reversals.push(`gift:${metadata.giftId || payment.orderId}`);
+      break;
+    default:
+      reversals.push(`enrollment:${payment.orderId}`);
+      (metadata.selectedSeats || []).forEach(({ seatLabel }) => reversals.push(`seat:${seatLabel}`));
+      if (metadata.voucherId) reversals.push(`voucher:${metadata.voucherId}`);
+  }
+
+  if (metadata.referralCodeId) reversals.push(`referral:${metadata.referralCodeId}`);
+  if (metadata.userReferral) reversals.push(`user-referral:${metadata.userReferral.code}`);
+
+  // Membership requests placed before coupon holds never counted their coupon
+  if (payment.couponCode && (payment.type !== 'MEMBERSHIP_REQUEST' || payment.metadata?.couponHold)) {
+    reversals.push(`coupon:${payment.couponCode}`);
+  }
+
+  return reversals;
+};
+
 /**
  * Reverse related entity updates after refund
  * Routes to appropriate handler based on payment type
@@ -3255,10 +3917,16 @@ const handleEnrollmentRefund = async (payment) => {
  * @returns {Promise<void>}
  * @private
  */
-const reverseRelatedEntities = async (payment) => {
+export const reverseRelatedEntities = async (payment) => {
   // Log customer details if present
   logCustomerDetails(payment);
 
+  // Referral credits are taken back for every payment type
+  await reverseReferralCreditSafely(payment);
+
+  // So is the coupon use
+  await returnRefundedCouponUse(payment);
+
   // Route to appropriate handler based on payment type
   if (payment.type === 'SESSION') {
     await handleSessionRefund(payment);
@@ -3278,6 +3946,24 @@ const reverseRelatedEntities = async (payment) => {
     return;
   }
 
+  if (payment.type === 'MEMBERSHIP_REQUEST') {
+    await handleMembershipRequestRefund(payment);
+    console.log('✓ Membership request refund processed successfully.');
+    return;
+  }
+
+  if (payment.type === 'FEATURE_REQUEST') {
+    await handleFeatureRequestRefund(payment);
+    console.log('✓ Feature request refund processed successfully.');
+    return;
+  }
+
+  if (payment.type === 'GIFT') {
+    await refundGift(payment);
+    console.log('✓ Gift refund processed successfully.');
+    return;
+  }
+
   // Default: EVENT type - existing flow
   // Handle enrollment refund
   await handleEnrollmentRefund(payment);
@@ -3285,15 +3971,6 @@ const reverseRelatedEntities = async (payment) => {
   // Release voucher claim if voucher was used
   await releaseVoucherClaim(payment);
 
-  // Decrement coupon usage if coupon was used
-  if (payment.couponCode) {
-    await Coupon.findOneAndUpdate(
-      { code: payment.couponCode },
-      { $inc: { usageCount: -1 } }
-    );
-    console.log(`✓ Coupon usage decremented: ${payment.couponCode}`);
-  }
-
   console.log('✓ Refund processed. Enrollment cancelled and ticket counts reversed.');
 };
 
@@ -3313,10 +3990,16 @@ const handlePaymentFailureByType = async (payment) => {
     await handleMembershipFailure(payment);
   } else if (payment.type === 'SERVICE') {
     await handleServiceFailure(payment);
+  } else if (payment.type === 'GIFT') {
+    await failGiftPayment(payment);
   }
   // For EVENT type, voucher release is already handled in releaseVoucherClaim
 };
 
 export default {
-  handleWebhook
+  handleWebhook,
+  processWebhookEvent,
+  reverseRelatedEntities,
+  refundEnrollmentTickets,
+  describeReversals
 };
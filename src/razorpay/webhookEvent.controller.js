@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Webhook inbox controller (admin)
+ *
+ * Lists stored Razorpay webhook events and replays FAILED ones. A replay goes
+ * through the same claim as a live delivery (processWebhookEvent), so an event
+ * that has since been PROCESSED — by a Razorpay retry, or by another admin —
+ * is reported as skipped instead of running twice.
+ *
+ * @module controllers/webhookEvent
+ */
+
+import WebhookEvent from '../../schema/WebhookEvent.schema.js';
+import responseUtil from '../../utils/response.util.js';
+import { processWebhookEvent } from './razorpay.webhook.js';
+
+/**
+ * List webhook events, FAILED by default
+ * @route GET /api/web/razorpay/events
+ */
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'FAILED',
+      event,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const query = {};
+
+    if (status !== 'ALL') {
+      query.status = status;
+    }
+
+    if (event) {
+      query.event = event;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [events, totalCount] = await Promise.all([
+      WebhookEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .select('-payload')
+        .populate('lastReplayedBy', 'name username'),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / Number(limit));
+
+    return responseUtil.success(res, 'Webhook events retrieved successfully', {
+      events,
+      pagination: {
+        currentPage: Number(page),
+        totalPages,
+        totalCount,
+        limit: Number(limit),
+        hasNextPage: Number(page) < totalPages,
+        hasPrevPage: Number(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('[WEBHOOK-INBOX] List error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve webhook events', error.message);
+  }
+};
+
+/**
+ * Get a single webhook event including its payload
+ * @route GET /api/web/razorpay/events/:eventId
+ */
+export const getWebhookEventById = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findOne({ eventId: req.params.eventId })
+      .populate('lastReplayedBy', 'name username');
+
+    if (!event) {
+      return responseUtil.notFound(res, 'Webhook event not found');
+    }
+
+    return responseUtil.success(res, 'Webhook event retrieved successfully', { event });
+  } catch (error) {
+    console.error('[WEBHOOK-INBOX] Get error:', error.message);
+    return responseUtil.internalError(res, 'Failed to retrieve webhook event', error.message);
+  }
+};
+
+/**
+ * Replay one or more FAILED webhook events
+ *
+ * Events are replayed one after another, not in parallel: several events for
+ * the same payment (e.g. a failed payment.captured and a failed order.paid)
+ * must not race each other.
+ *
+ * @route POST /api/web/razorpay/events/replay
+ */
+export const replayWebhookEvents = async (req, res) => {
+  try {
+    const { eventIds } = req.body;
+    const adminId = req.user?._id || req.user?.id;
+
+    const events = await WebhookEvent.find({ eventId: { $in: eventIds } }).select('eventId status');
+    const found = new Map(events.map((e) => [e.eventId, e]));
+
+    const results = [];
+
+    for (const eventId of eventIds) {
+      const stored = found.get(eventId);
+
+      if (!stored) {
+        results.push({ eventId, status: 'NOT_FOUND', skipped: true });
+        continue;
+      }
+
+      if (stored.status !== 'FAILED') {
+        results.push({ eventId, status: stored.status, skipped: true });
+        continue;
+      }
+
+      results.push(await processWebhookEvent(eventId, { replayedBy: adminId }));
+    }
+
+    const summary = {
+      requested: eventIds.length,
+      processed: results.filter((r) => r.status === 'PROCESSED' && !r.skipped).length,
+      failed: results.filter((r) => r.status === 'FAILED' && !r.skipped).length,
+      skipped: results.filter((r) => r.skipped).length,
+    };
+
+    console.log('[WEBHOOK-INBOX] Replay by', adminId, summary);
+
+    return responseUtil.success(res, 'Webhook replay completed', { summary, results });
+  } catch (error) {
+    console.error('[WEBHOOK-INBOX] Replay error:', error.message);
+    return responseUtil.internalError(res, 'Failed to replay webhook events', error.message);
+  }
+};
+
+export default {
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvents,
+};
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview OTP request/verify flow, with codes captured by the stub provider.
+ *
+ * OtpChallenge and User are backed by an in-memory collection that handles the
+ * queries otp.service makes, so the flow runs without a database. The clock is
+ * mocked to step through the resend cooldown, the hourly cap and code expiry.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+// Read by the modules below when they load
+process.env.OTP_PROVIDER = "STUB";
+process.env.OTP_SECRET = "test-otp-secret";
+process.env.OTP_TTL_MINUTES = "10";
+
+const { default: OtpChallenge } = await import("../schema/OtpChallenge.schema.js");
+const { default: User } = await import("../schema/User.schema.js");
+const { default: StubOtpProvider } = await import("../services/otp/StubOtpProvider.js");
+const { requestOtp, verifyOtp } = await import("../services/otp.service.js");
+
+const PHONE = "9876543210";
+const UNKNOWN_PHONE = "9000000000";
+const USER_ID = new mongoose.Types.ObjectId();
+
+// ============================================
+// IN-MEMORY COLLECTION
+// ============================================
+
+let challenges = [];
+
+const matchesValue = (actual, expected) => {
+  if (expected && typeof expected === "object" && !(expected instanceof Date) && !mongoose.isValidObjectId(expected)) {
+    return Object.entries(expected).every(([op, value]) => {
+      if (op === "$lt") return actual < value;
+      if (op === "$gt") return actual > value;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  }
+  if (expected === null) return actual === null || actual === undefined;
+  return String(actual) === String(expected);
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => matchesValue(doc[key], value));
+
+const applyUpdate = (doc, { $set = {}, $inc = {} }) => {
+  Object.assign(doc, $set);
+  for (const [key, by] of Object.entries($inc)) doc[key] = (doc[key] || 0) + by;
+};
+
+/**
+ * Thenable standing in for a Mongoose query; sort() only needs createdAt
+ */
+const query = (filter) => {
+  let newestFirst = false;
+  return {
+    sort(spec) {
+      newestFirst = spec.createdAt === -1;
+      return this;
+    },
+    select() {
+      return this;
+    },
+    then(resolve, reject) {
+      const found = challenges.filter((doc) => matches(doc, filter));
+      if (newestFirst) found.sort((a, b) => b.createdAt - a.createdAt);
+      return Promise.resolve(found[0] ? { ...found[0] } : null).then(resolve, reject);
+    },
+  };
+};
+
+const installCollection = () => {
+  mock.method(OtpChallenge, "findOne", (filter) => query(filter));
+  mock.method(OtpChallenge, "countDocuments", async (filter) => challenges.filter((doc) => matches(doc, filter)).length);
+  mock.method(OtpChallenge, "create", async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), attempts: 0, consumedAt: null, ...fields, createdAt: new Date() };
+    challenges.push(doc);
+    return { ...doc };
+  });
+  mock.method(OtpChallenge, "updateMany", async (filter, update) => {
+    const found = challenges.filter((doc) => matches(doc, filter));
+    found.forEach((doc) => applyUpdate(doc, update));
+    return { modifiedCount: found.length };
+  });
+  mock.method(OtpChallenge, "updateOne", async (filter, update) => {
+    const doc = challenges.find((d) => matches(d, filter));
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(OtpChallenge, "findOneAndUpdate", async (filter, update, options = {}) => {
+    const doc = challenges.find((d) => matches(d, filter));
+    if (!doc) return null;
+    const before = { ...doc };
+    applyUpdate(doc, update);
+    return options.new ? { ...doc } : before;
+  });
+
+  mock.method(User, "findOne", (filter) => ({
+    select: async () => (filter.phone === PHONE ? { _id: USER_ID } : null),
+  }));
+};
+
+// ============================================
+// TESTS
+// ============================================
+
+const advanceSeconds = (seconds) => mock.timers.tick(seconds * 1000);
+
+beforeEach(() => {
+  challenges = [];
+  StubOtpProvider.reset();
+  mock.timers.enable({ apis: ["Date"], now: new Date("2026-01-01T09:00:00Z").getTime() });
+  installCollection();
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe("requestOtp and verifyOtp", () => {
+  test("a code captured by the stub logs in once", async () => {
+    const sent = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    assert.deepEqual(sent, { status: "SENT", expiresInMinutes: 10 });
+
+    const code = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+    assert.match(code, /^\d{6}$/);
+
+    const verified = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code });
+    assert.deepEqual(verified, { ok: true, userId: USER_ID.toString() });
+
+    // Consumed on success
+    const replayed = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code });
+    assert.deepEqual(replayed, { ok: false, reason: "EXPIRED" });
+  });
+
+  test("a code only works for the purpose it was sent for", async () => {
+    await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    const code = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+
+    const result = await verifyOtp({ phone: PHONE, purpose: "PASSWORD_RESET", code });
+    assert.deepEqual(result, { ok: false, reason: "EXPIRED" });
+  });
+
+  test("a code stops working after it expires", async () => {
+    await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    const code = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+
+    advanceSeconds(10 * 60);
+
+    const result = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code });
+    assert.deepEqual(result, { ok: false, reason: "EXPIRED" });
+  });
+
+  test("five wrong guesses lock the code, even for the right one after", async () => {
+    await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    const code = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    for (let attemptsLeft = 4; attemptsLeft >= 1; attemptsLeft--) {
+      const result = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code: wrong });
+      assert.deepEqual(result, { ok: false, reason: "INVALID", attemptsLeft });
+    }
+
+    const fifth = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code: wrong });
+    assert.deepEqual(fifth, { ok: false, reason: "LOCKED" });
+
+    const correct = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code });
+    assert.deepEqual(correct, { ok: false, reason: "LOCKED" });
+  });
+
+  test("a new code can be requested only after the 60s cooldown, and replaces the old one", async () => {
+    await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    const first = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+
+    advanceSeconds(20);
+    const early = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    assert.deepEqual(early, { status: "COOLDOWN", retryAfterSeconds: 40 });
+    assert.equal(StubOtpProvider.getSentMessages().length, 1);
+
+    advanceSeconds(40);
+    const resent = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    assert.equal(resent.status, "SENT");
+    const second = StubOtpProvider.getLastCode(PHONE, "LOGIN");
+
+    if (first !== second) {
+      const old = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code: first });
+      assert.deepEqual(old, { ok: false, reason: "INVALID", attemptsLeft: 4 });
+    }
+    const current = await verifyOtp({ phone: PHONE, purpose: "LOGIN", code: second });
+    assert.equal(current.ok, true);
+  });
+
+  test("at most five codes are sent per hour", async () => {
+    for (let i = 0; i < 5; i++) {
+      const result = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+      assert.equal(result.status, "SENT");
+      advanceSeconds(61);
+    }
+
+    const capped = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    assert.deepEqual(capped, { status: "LIMITED", retryAfterSeconds: 60 * 60 });
+    assert.equal(StubOtpProvider.getSentMessages().length, 5);
+
+    // The first send leaves the hour window
+    advanceSeconds(60 * 60 - 5 * 61 + 1);
+    const later = await requestOtp({ phone: PHONE, purpose: "LOGIN" });
+    assert.equal(later.status, "SENT");
+  });
+
+  test("unknown phones send nothing but get the same limits", async () => {
+    const result = await requestOtp({ phone: UNKNOWN_PHONE, purpose: "LOGIN" });
+    assert.deepEqual(result, { status: "NO_ACCOUNT", expiresInMinutes: 10 });
+    assert.equal(StubOtpProvider.getSentMessages().length, 0);
+
+    const again = await requestOtp({ phone: UNKNOWN_PHONE, purpose: "LOGIN" });
+    assert.equal(again.status, "COOLDOWN");
+
+    for (let i = 0; i < 4; i++) {
+      advanceSeconds(61);
+      assert.equal((await requestOtp({ phone: UNKNOWN_PHONE, purpose: "LOGIN" })).status, "NO_ACCOUNT");
+    }
+    advanceSeconds(61);
+    assert.equal((await requestOtp({ phone: UNKNOWN_PHONE, purpose: "LOGIN" })).status, "LIMITED");
+  });
+});
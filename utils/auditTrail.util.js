@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Audit trail capture — which documents an admin request changed
+ *
+ * The audit middleware opens a context for each mutating admin request and
+ * runs the rest of the request inside it (AsyncLocalStorage). A global
+ * Mongoose plugin watches writes while a context is open and records, per
+ * document, the operation and a field-level before/after diff. When the
+ * response finishes, the middleware stores everything as one AuditLog entry.
+ *
+ * Outside an admin request (app users, crons, webhooks) the plugin does
+ * nothing, so the extra reads it makes for "before" snapshots only cost
+ * admin writes.
+ *
+ * Limits, kept deliberately small so one bulk action cannot bloat the log:
+ *   - updateMany/deleteMany/insertMany record the filter and counts, not docs;
+ *   - at most MAX_CHANGES documents and MAX_DIFF_FIELDS fields per document;
+ *   - long strings and large arrays are truncated;
+ *   - secrets (passwords, tokens, code hashes) are never stored.
+ * Work done in callbacks that escape the request's async context (e.g. inside
+ * some upload stream handlers) may not be captured; the request itself is
+ * still logged.
+ *
+ * @module utils/auditTrail
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+
+const auditStorage = new AsyncLocalStorage();
+
+const MAX_CHANGES = 50;
+const MAX_DIFF_FIELDS = 100;
+const MAX_STRING_LENGTH = 500;
+const MAX_ARRAY_JSON_LENGTH = 2000;
+const MAX_DEPTH = 4;
+
+// Never audited: the log itself, and high-churn technical collections
+const EXCLUDED_MODELS = ["AuditLog", "OtpChallenge", "CommunicationLog", "OutboundMessage", "TicketScan"];
+
+// Fields that change on every write and say nothing about the action
+const IGNORED_FIELDS = ["__v", "updatedAt"];
+
+const SECRET_FIELD = /password|token|secret|codehash|apikey/i;
+
+/**
+ * Run `fn` with an open audit context
+ * @param {Object} context - { changes: [] }
+ * @param {Function} fn
+ */
+export const runWithAuditContext = (context, fn) => auditStorage.run(context, fn);
+
+/**
+ * Audit context of the current request, if it is an audited admin request
+ * @returns {Object|undefined}
+ */
+export const getAuditContext = () => auditStorage.getStore();
+
+/**
+ * Plain value for storage and comparison
+ */
+const toPlain = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[binary ${value.length} bytes]`;
+  return value;
+};
+
+/**
+ * Shorten values that would bloat the log
+ */
+const truncate = (value) => {
+  if (typeof value === "string" && value.length > MAX_STRING_LENGTH) {
+    return `${value.slice(0, MAX_STRING_LENGTH)}…`;
+  }
+  if (Array.isArray(value)) {
+    const json = JSON.stringify(value);
+    if (json.length > MAX_ARRAY_JSON_LENGTH) {
+      return `[array of ${value.length}]`;
+    }
+  }
+  return value;
+};
+
+/**
+ * Flatten a document into dot paths. Arrays are compared as a whole.
+ * @param {Object} value
+ * @param {string} [prefix]
+ * @param {Object} [out]
+ * @param {number} [depth]
+ * @returns {Object<string, *>}
+ */
+const flatten = (value, prefix = "", out = {}, depth = 0) => {
+  for (const [key, raw] of Object.entries(value || {})) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (SECRET_FIELD.test(key)) {
+      out[path] = raw === undefined || raw === null ? raw : "[REDACTED]";
+      continue;
+    }
+
+    const plain = toPlain(raw);
+    const isNested =
+      plain !== null &&
+      typeof plain === "object" &&
+      !Array.isArray(plain) &&
+      depth < MAX_DEPTH &&
+      Object.keys(plain).length > 0;
+
+    if (isNested) {
+      flatten(plain, path, out, depth + 1);
+    } else {
+      out[path] = Array.isArray(plain) ? JSON.parse(JSON.stringify(plain)) : plain;
+    }
+  }
+  return out;
+};
+
+/**
+ * Field-level diff between two snapshots (either may be null)
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+export const diffSnapshots = (before, after) => {
+  const flatBefore = before ? flatten(before) : {};
+  const flatAfter = after ? flatten(after) : {};
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const diff = [];
+  for (const field of fields) {
+    const a = flatBefore[field];
+    const b = flatAfter[field];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+
+    diff.push({ field, before: truncate(a ?? null), after: truncate(b ?? null) });
+    if (diff.length >= MAX_DIFF_FIELDS) break;
+  }
+  return diff;
+};
+
+/**
+ * Redacted, truncated copy of a request body or filter for the log
+ * @param {*} value
+ * @param {number} [depth]
+ * @returns {*}
+ */
+export const sanitizeForAudit = (value, depth = 0) => {
+  const plain = toPlain(value);
+
+  if (Array.isArray(plain)) {
+    return truncate(plain.slice(0, 50).map((item) => sanitizeForAudit(item, depth + 1)));
+  }
+
+  if (plain && typeof plain === "object") {
+    if (depth >= MAX_DEPTH) return "[object]";
+    const out = {};
+    for (const [key, item] of Object.entries(plain)) {
+      out[key] = SECRET_FIELD.test(key) ? "[REDACTED]" : sanitizeForAudit(item, depth + 1);
+    }
+    return out;
+  }
+
+  return truncate(plain);
+};
+
+/**
+ * Record a change in the current audit context. Also usable directly for
+ * state that does not live in MongoDB (e.g. settings.json).
+ * @param {Object} change
+ * @param {string} change.model - Entity type, e.g. 'Event'
+ * @param {string} [change.documentId]
+ * @param {'CREATE'|'UPDATE'|'DELETE'|'UPDATE_MANY'|'DELETE_MANY'|'INSERT_MANY'} change.operation
+ * @param {Object|null} [change.before]
+ * @param {Object|null} [change.after]
+ * @param {Object} [change.filter] - For bulk operations
+ * @param {number} [change.count] - For bulk operations
+ */
+export const recordAuditChange = ({ model, documentId = null, operation, before = null, after = null, filter, count }) => {
+  const context = getAuditContext();
+  if (!context) return;
+
+  if (context.changes.length >= MAX_CHANGES) {
+    context.truncated = true;
+    return;
+  }
+
+  const diff = diffSnapshots(before, after);
+
+  // An update that changed nothing is noise
+  if (operation === "UPDATE" && diff.length === 0) return;
+
+  context.changes.push({
+    model,
+    documentId: documentId ? documentId.toString() : null,
+    operation,
+    diff,
+    ...(filter !== undefined && { filter: sanitizeForAudit(filter) }),
+    ...(count !== undefined && { count }),
+  });
+};
+
+const isAudited = (modelName) => Boolean(getAuditContext()) && modelName && !EXCLUDED_MODELS.includes(modelName);
+
+/**
+ * Widen a filter past the soft-delete hooks so the "before"/"after" lookups
+ * see the same document the write does, deleted or not
+ */
+const lookup = (model, filter) => {
+  const widened = Object.prototype.hasOwnProperty.call(filter, "isDeleted")
+    ? filter
+    : { ...filter, isDeleted: { $in: [true, false, null] } };
+  return model.findOne(widened).setOptions({ includeDeleted: true }).lean();
+};
+
+const SINGLE_UPDATES = ["findOneAndUpdate", "updateOne", "findOneAndReplace", "replaceOne"];
+const SINGLE_DELETES = ["findOneAndDelete", "deleteOne"];
+
+/**
+ * Mongoose plugin. Registered globally in config/auditTrail.config.js, which
+ * must be imported before any model is compiled.
+ * @param {mongoose.Schema} schema
+ */
+export const auditTrailPlugin = (schema) => {
+  // Document saves (create and update)
+  schema.pre("save", async function () {
+    if (this.$isSubdocument || !isAudited(this.constructor.modelName)) return;
+
+    this.$locals.auditOperation = this.isNew ? "CREATE" : "UPDATE";
+    this.$locals.auditBefore = this.isNew ? null : await lookup(this.constructor, { _id: this._id });
+  });
+
+  schema.post("save", function (doc) {
+    if (doc.$isSubdocument || !doc.$locals.auditOperation || !isAudited(doc.constructor.modelName)) return;
+
+    recordAuditChange({
+      model: doc.constructor.modelName,
+      documentId: doc._id,
+      operation: doc.$locals.auditOperation,
+      before: doc.$locals.auditBefore,
+      after: doc.toObject({ depopulate: true }),
+    });
+    delete doc.$locals.auditOperation;
+    delete doc.$locals.auditBefore;
+  });
+
+  // Document deletes (doc.deleteOne())
+  schema.pre("deleteOne", { document: true, query: false }, function () {
+    if (this.$isSubdocument || !isAudited(this.constructor.modelName)) return;
+
+    recordAuditChange({
+      model: this.constructor.modelName,
+      documentId: this._id,
+      operation: "DELETE",
+      before: this.toObject({ depopulate: true }),
+    });
+  });
+
+  // Single-document query updates
+  schema.pre(SINGLE_UPDATES, async function () {
+    if (!isAudited(this.model.modelName)) return;
+    this._auditBefore = await lookup(this.model, this.getFilter());
+  });
+
+  schema.post(SINGLE_UPDATES, async function () {
+    if (!isAudited(this.model.modelName)) return;
+
+    const before = this._auditBefore;
+    const after = before
+      ? await lookup(this.model, { _id: before._id })
+      : this.getOptions().upsert
+        ? await lookup(this.model, this.getFilter())
+        : null;
+
+    if (!before && !after) return;
+
+    recordAuditChange({
+      model: this.model.modelName,
+      documentId: (after || before)._id,
+      operation: before ? "UPDATE" : "CREATE",
+      before,
+      after,
+    });
+  });
+
+  // Single-document query deletes
+  schema.pre(SINGLE_DELETES, { document: false, query: true }, async function () {
+    if (!isAudited(this.model.modelName)) return;
+    this._auditBefore = await lookup(this.model, this.getFilter());
+  });
+
+  schema.post(SINGLE_DELETES, { document: false, query: true }, function () {
+    if (!isAudited(this.model.modelName) || !this._auditBefore) return;
+
+    recordAuditChange({
+      model: this.model.modelName,
+      documentId: this._auditBefore._id,
+      operation: "DELETE",
+      before: this._auditBefore,
+    });
+  });
+
+  // Bulk writes: filter and counts only
+  schema.post("updateMany", function (result) {
+    if (!isAudited(this.model.modelName)) return;
+
+    recordAuditChange({
+      model: this.model.modelName,
+      operation: "UPDATE_MANY",
+      filter: { filter: this.getFilter(), update: this.getUpdate() },
+      count: result?.modifiedCount ?? 0,
+    });
+  });
+
+  schema.post("deleteMany", { document: false, query: true }, function (result) {
+    if (!isAudited(this.model.modelName)) return;
+
+    recordAuditChange({
+      model: this.model.modelName,
+      operation: "DELETE_MANY",
+      filter: this.getFilter(),
+      count: result?.deletedCount ?? 0,
+    });
+  });
+
+  schema.post("insertMany", function (docs) {
+    if (!isAudited(this.modelName)) return;
+
+    recordAuditChange({
+      model: this.modelName,
+      operation: "INSERT_MANY",
+      filter: { ids: (docs || []).slice(0, 50).map((doc) => doc._id) },
+      count: docs?.length ?? 0,
+    });
+  });
+};
+
+export default {
+  runWithAuditContext,
+  getAuditContext,
+  recordAuditChange,
+  diffSnapshots,
+  sanitizeForAudit,
+  auditTrailPlugin,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Next run time of a cron expression
+ *
+ * The job scheduler stores each job's next run in the database, so it
+ * computes run times itself instead of leaving them to a cron library's
+ * in-process timers. Standard five-field expressions
+ * (minute hour day-of-month month day-of-week), in server local time, with
+ * `*`, lists, ranges and steps. As in cron, when both day fields are
+ * restricted a day matching either one runs.
+ *
+ * @module utils/cronExpression
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+// Give up looking after this many years (e.g. "0 0 31 2 *" never runs)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Values allowed by one field
+ * @param {string} part - e.g. "*", "5", "1-5", "*\/15", "0,30"
+ * @param {{ name: string, min: number, max: number }} field
+ * @returns {Set<number>}
+ */
+const parseField = (part, { name, min, max }) => {
+  const values = new Set();
+
+  for (const item of part.split(",")) {
+    const [range, stepText] = item.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name}: "${item}"`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [start, end] = range.split("-").map(Number);
+      from = start;
+      to = end === undefined ? (stepText === undefined ? start : max) : end;
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name}: "${item}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {Error} If the expression is not valid
+ */
+export const parseCronExpression = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is Sunday as well as 0
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+  parsed.anyDayOfMonth = parts[2] === "*";
+  parsed.anyDayOfWeek = parts[4] === "*";
+  return parsed;
+};
+
+const matchesDay = (cron, date) => {
+  const monthDay = cron.dayOfMonth.has(date.getDate());
+  const weekDay = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return weekDay;
+  if (cron.anyDayOfWeek) return monthDay;
+  return monthDay || weekDay;
+};
+
+/**
+ * First time the expression fires strictly after `after`
+ * @param {string} expression
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null} null if it never fires within MAX_SEARCH_YEARS
+ */
+export const getNextCronRun = (expression, after = new Date()) => {
+  const cron = parseCronExpression(expression);
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match
+  while (date <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+export default {
+  parseCronExpression,
+  getNextCronRun,
+};
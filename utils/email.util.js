@@ -4,7 +4,7 @@
  */
 
 import nodemailer from 'nodemailer';
-import CommunicationLog from '../schema/CommunicationLog.schema.js';
+import { queueMessage, registerTransport, permanentError } from '../services/outboundQueue.service.js';
 
 /**
  * Validate email configuration
@@ -49,7 +49,45 @@ const createTransporter = () => {
 };
 
 /**
- * Send an email
+ * Send a queued email — the outbound queue's EMAIL transport
+ * @param {Object} payload
+ * @param {Object} payload.mailOptions - Nodemailer options without `from`
+ * @returns {Promise<{ providerMessageId: string }>}
+ * @throws {Error} With `retryable: false` for a bad recipient or a mailbox the server refuses
+ */
+const deliverEmail = async ({ mailOptions }) => {
+  const { to } = mailOptions;
+  if (!to || typeof to !== 'string' || !to.includes('@')) {
+    throw permanentError(`Invalid recipient email: ${to}`);
+  }
+
+  const transporter = createTransporter();
+  const from = `"${process.env.EMAIL_FROM_NAME || 'Motivata'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`;
+
+  try {
+    const info = await transporter.sendMail({ from, ...mailOptions });
+    return { providerMessageId: info.messageId };
+  } catch (error) {
+    console.error(`[EMAIL] Error details:`, {
+      message: error.message,
+      code: error.code,
+      command: error.command,
+      response: error.response,
+      responseCode: error.responseCode
+    });
+    // 550-554: mailbox unavailable or rejected; the same message will be refused again
+    if (error.responseCode >= 550 && error.responseCode <= 554) {
+      error.retryable = false;
+    }
+    throw error;
+  }
+};
+
+registerTransport('EMAIL', deliverEmail);
+
+/**
+ * Send an email (through the outbound queue: stored, sent right away and
+ * retried if the mail server fails)
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email address
  * @param {string} options.subject - Email subject
@@ -65,99 +103,71 @@ const createTransporter = () => {
  * @param {string} [options.userId] - Related user ID for logging
  * @param {string} [options.enrollmentId] - Related enrollment ID for logging
  * @param {string} [options.voucherId] - Related voucher ID for logging
- * @returns {Promise<Object>} Nodemailer send result
- * @throws {Error} If email sending fails
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the email failed for good
  */
 export const sendEmail = async ({ to, subject, html, text, attachments, category, eventId, orderId, userId, enrollmentId, voucherId }) => {
-  let communicationLog = null;
-
   try {
-    // Create communication log entry (PENDING status)
-    communicationLog = new CommunicationLog({
-      type: 'EMAIL',
-      category: category || 'TRANSACTIONAL',
-      recipient: to,
-      subject,
-      status: 'PENDING',
-      eventId: eventId || null,
-      orderId: orderId || null,
-      userId: userId || null,
-      enrollmentId: enrollmentId || null,
-      voucherId: voucherId || null,
-      metadata: {
-        hasAttachments: !!(attachments && attachments.length > 0),
-        attachmentCount: attachments?.length || 0
-      }
-    });
-    await communicationLog.save();
-
-    console.log(`[EMAIL] Communication log created: ${communicationLog._id}`);
-    // Validate recipient email
-    if (!to || typeof to !== 'string' || !to.includes('@')) {
-      throw new Error(`Invalid recipient email: ${to}`);
-    }
-
     const attachmentInfo = attachments && attachments.length > 0
       ? ` with ${attachments.length} attachment(s)`
       : '';
     console.log(`[EMAIL] Preparing to send: "${subject}" → ${to}${attachmentInfo}`);
 
-    const transporter = createTransporter();
-
     const mailOptions = {
-      from: `"${process.env.EMAIL_FROM_NAME || 'Motivata'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
       to,
       subject,
       html,
       text: text || '' // Plain text fallback
     };
 
-    // Add attachments if provided
+    // Stored with the queued message, so Buffers are kept as base64
     if (attachments && attachments.length > 0) {
-      mailOptions.attachments = attachments;
+      mailOptions.attachments = attachments.map((attachment) => (
+        Buffer.isBuffer(attachment.content)
+          ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+          : attachment
+      ));
       console.log(`[EMAIL] Attachments:`, attachments.map(a => `${a.filename} (${a.content?.length || 0} bytes)`));
     }
 
-    console.log(`[EMAIL] Sending from: ${mailOptions.from}`);
-
-    const info = await transporter.sendMail(mailOptions);
+    const outcome = await queueMessage({
+      channel: 'EMAIL',
+      payload: { mailOptions },
+      log: {
+        category: category || 'TRANSACTIONAL',
+        recipient: to,
+        subject,
+        eventId: eventId || null,
+        orderId: orderId || null,
+        userId: userId || null,
+        enrollmentId: enrollmentId || null,
+        voucherId: voucherId || null,
+        metadata: {
+          hasAttachments: !!(attachments && attachments.length > 0),
+          attachmentCount: attachments?.length || 0
+        }
+      }
+    });
 
-    console.log(`[EMAIL] ✓ Sent successfully to ${to} (ID: ${info.messageId})`);
+    if (outcome.status === 'DEAD') {
+      throw new Error(outcome.error);
+    }
 
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = 'SUCCESS';
-      communicationLog.messageId = info.messageId;
-      await communicationLog.save();
-      console.log(`[EMAIL] Communication log updated to SUCCESS: ${communicationLog._id}`);
+    if (outcome.status === 'SENT') {
+      console.log(`[EMAIL] ✓ Sent successfully to ${to} (ID: ${outcome.providerMessageId})`);
+    } else {
+      console.warn(`[EMAIL] ⚠ "${subject}" → ${to} queued for retry${outcome.error ? `: ${outcome.error}` : ''}`);
     }
 
     return {
       success: true,
-      messageId: info.messageId,
-      recipient: to
+      messageId: outcome.providerMessageId || null,
+      recipient: to,
+      queued: outcome.status !== 'SENT',
+      outboundMessageId: outcome.outboundMessageId
     };
   } catch (error) {
-    console.error(`[EMAIL] ✗ Failed to send to ${to}`);
-
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = 'FAILED';
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-        console.log(`[EMAIL] Communication log updated to FAILED: ${communicationLog._id}`);
-      } catch (logError) {
-        console.error(`[EMAIL] Failed to update communication log:`, logError.message);
-      }
-    }
-    console.error(`[EMAIL] Error details:`, {
-      message: error.message,
-      code: error.code,
-      command: error.command,
-      response: error.response,
-      responseCode: error.responseCode
-    });
+    console.error(`[EMAIL] ✗ Failed to send to ${to}: ${error.message}`);
     throw new Error(`Failed to send email to ${to}: ${error.message}`);
   }
 };
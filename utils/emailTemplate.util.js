@@ -534,9 +534,264 @@ Building better experiences together
   `.trim();
 };
 
+/**
+ * Escape text for use in HTML
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+/**
+ * Generate the email telling a holder their ticket was transferred
+ * @param {Object} data - Transfer data
+ * @param {string} data.name - Previous holder's name
+ * @param {string} data.toName - Recipient's name
+ * @param {string} [data.eventName] - Event name (optional)
+ * @param {string} [data.eventDate] - Event date (optional)
+ * @returns {string} HTML email template
+ */
+export const generateTicketTransferredEmail = (data) => {
+  const { name, eventName = 'Event', eventDate = '' } = data;
+  // The recipient's name is typed in by the sender
+  const toName = escapeHtml(data.toName);
+
+  console.log(`[EMAIL-TEMPLATE] Generating ticket transfer email for ${name}`);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Ticket Was Transferred</title>
+  <style>
+    body {
+      font-family: 'Arial', sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f4f4f4;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 10px;
+      padding: 30px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      padding-bottom: 20px;
+      border-bottom: 3px solid #4CAF50;
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      color: #4CAF50;
+      margin: 0;
+      font-size: 28px;
+    }
+    .message {
+      margin-bottom: 20px;
+      font-size: 16px;
+    }
+    .footer {
+      text-align: center;
+      color: #777;
+      font-size: 14px;
+      border-top: 1px solid #eee;
+      padding-top: 20px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Ticket Transferred</h1>
+    </div>
+    <div class="message">
+      <p>Hello ${name},</p>
+      <p>Your ticket for <strong>${eventName}</strong>${eventDate ? ` on ${eventDate}` : ''} has been transferred to <strong>${toName}</strong>.</p>
+      <p>Your previous QR code is no longer valid and will not be accepted at the entrance.</p>
+      <p>If you did not make this transfer, please contact our support team right away.</p>
+    </div>
+    <div class="footer">
+      <p>Motivata<br>Building better experiences together</p>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the ticket transfer email
+ * @param {Object} data - Transfer data
+ * @returns {string} Plain text email
+ */
+export const generateTicketTransferredEmailText = (data) => {
+  const { name, toName, eventName = 'Event', eventDate = '' } = data;
+
+  return `
+TICKET TRANSFERRED
+
+Hello ${name},
+
+Your ticket for ${eventName}${eventDate ? ` on ${eventDate}` : ''} has been transferred to ${toName}.
+
+Your previous QR code is no longer valid and will not be accepted at the entrance.
+
+If you did not make this transfer, please contact our support team right away.
+
+Motivata
+Building better experiences together
+  `.trim();
+};
+
+/**
+ * Generate the email that hands a gift to its recipient
+ * @param {Object} data - Gift data
+ * @param {string} data.name - Recipient's name
+ * @param {string} data.senderName - Buyer's name
+ * @param {string} data.giftName - What was gifted
+ * @param {string} [data.message] - Buyer's personal message
+ * @param {string} data.claimUrl - Claim link
+ * @param {string} data.expiresOn - Claim deadline, formatted
+ * @returns {string} HTML email template
+ */
+export const generateGiftEmail = (data) => {
+  const { claimUrl, expiresOn } = data;
+  // Everything but the link is typed in by the buyer or an admin
+  const name = escapeHtml(data.name);
+  const senderName = escapeHtml(data.senderName);
+  const giftName = escapeHtml(data.giftName);
+  const message = escapeHtml(data.message);
+
+  console.log(`[EMAIL-TEMPLATE] Generating gift email for ${data.name}`);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>You Have a Gift</title>
+  <style>
+    body {
+      font-family: 'Arial', sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f4f4f4;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 10px;
+      padding: 30px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    }
+    .header {
+      text-align: center;
+      padding-bottom: 20px;
+      border-bottom: 3px solid #4CAF50;
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      color: #4CAF50;
+      margin: 0;
+      font-size: 28px;
+    }
+    .message {
+      margin-bottom: 20px;
+      font-size: 16px;
+    }
+    .note {
+      background-color: #f9f9f9;
+      border-left: 4px solid #4CAF50;
+      padding: 15px;
+      margin: 20px 0;
+      font-style: italic;
+      white-space: pre-line;
+    }
+    .button {
+      display: inline-block;
+      background-color: #4CAF50;
+      color: #ffffff !important;
+      text-decoration: none;
+      padding: 12px 30px;
+      border-radius: 5px;
+      font-weight: bold;
+    }
+    .footer {
+      text-align: center;
+      color: #777;
+      font-size: 14px;
+      border-top: 1px solid #eee;
+      padding-top: 20px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>You Have a Gift!</h1>
+    </div>
+    <div class="message">
+      <p>Hello ${name},</p>
+      <p><strong>${senderName}</strong> has gifted you <strong>${giftName}</strong>.</p>
+      ${message ? `<div class="note">${message}</div>` : ''}
+      <p style="text-align: center;"><a class="button" href="${claimUrl}">Claim Your Gift</a></p>
+      <p>Log in to the app with this phone number to claim it. The gift is yours to claim until <strong>${expiresOn}</strong>.</p>
+    </div>
+    <div class="footer">
+      <p>Motivata<br>Building better experiences together</p>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the gift email
+ * @param {Object} data - Gift data
+ * @returns {string} Plain text email
+ */
+export const generateGiftEmailText = (data) => {
+  const { name, senderName, giftName, message, claimUrl, expiresOn } = data;
+
+  return `
+YOU HAVE A GIFT
+
+Hello ${name},
+
+${senderName} has gifted you ${giftName}.
+${message ? `\n"${message}"\n` : ''}
+Claim your gift: ${claimUrl}
+
+Log in to the app with this phone number to claim it. The gift is yours to claim until ${expiresOn}.
+
+Motivata
+Building better experiences together
+  `.trim();
+};
+
 export default {
   generateEnrollmentEmail,
   generateEnrollmentEmailText,
   generateTicketEmail,
-  generateTicketEmailText
+  generateTicketEmailText,
+  generateTicketTransferredEmail,
+  generateTicketTransferredEmailText,
+  generateGiftEmail,
+  generateGiftEmailText
 };
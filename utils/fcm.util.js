@@ -4,13 +4,109 @@
  */
 
 import { firebaseAdmin } from "../config/firebase.config.js";
-import CommunicationLog from "../schema/CommunicationLog.schema.js";
+import { queueMessage, registerTransport } from "../services/outboundQueue.service.js";
 import User from "../schema/User.schema.js";
 import EventEnrollment from "../schema/EventEnrollment.schema.js";
 import CashEventEnrollment from "../schema/CashEventEnrollment.schema.js";
 
+// Token errors that will not go away on a retry
+const PERMANENT_TOKEN_ERRORS = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-argument",
+];
+
+// sendEachForMulticast takes at most this many tokens
+const MULTICAST_LIMIT = 500;
+
+/**
+ * Send a queued push message — the outbound queue's PUSH transport.
+ * A multicast that partly fails is retried for the failed devices only.
+ *
+ * @param {Object} payload
+ * @param {Object} payload.message - FCM message with `token` or `tokens`
+ * @returns {Promise<{ providerMessageId: string|null, details?: Object }>}
+ * @throws {Error} With `retryable: false` for a dead token, or with
+ *   `retryPayload` holding the devices still to reach
+ */
+const deliverPush = async ({ message }) => {
+  if (message.token) {
+    try {
+      const response = await firebaseAdmin.messaging().send(message);
+      return { providerMessageId: response };
+    } catch (error) {
+      if (PERMANENT_TOKEN_ERRORS.includes(error.code)) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }
+
+  const response = await firebaseAdmin.messaging().sendEachForMulticast(message);
+  const details = {
+    successCount: response.successCount,
+    failureCount: response.failureCount,
+  };
+
+  const retryTokens = [];
+  response.responses.forEach((resp, idx) => {
+    if (!resp.success) {
+      console.error(`[FCM]   ✗ Token ${idx}: ${resp.error?.message}`);
+      if (!PERMANENT_TOKEN_ERRORS.includes(resp.error?.code)) {
+        retryTokens.push(message.tokens[idx]);
+      }
+    }
+  });
+
+  if (retryTokens.length > 0) {
+    const error = new Error(`${retryTokens.length} of ${message.tokens.length} device(s) failed`);
+    error.details = details;
+    error.retryPayload = { message: { ...message, tokens: retryTokens } };
+    throw error;
+  }
+
+  return { providerMessageId: null, details };
+};
+
+registerTransport("PUSH", deliverPush);
+
 /**
- * Send push notification to a single device
+ * Notification, data and platform options shared by single and multicast sends
+ */
+const buildMessage = ({ title, body, data = {}, imageUrl }) => ({
+  notification: {
+    title,
+    body,
+    ...(imageUrl ? { imageUrl } : {}),
+  },
+  data: Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, String(value)])
+  ),
+  android: {
+    priority: "high",
+    notification: {
+      sound: "default",
+      channelId: "default",
+      icon: "ic_notification",
+      ...(imageUrl ? { imageUrl } : {}),
+    },
+  },
+  apns: {
+    payload: {
+      aps: {
+        sound: "default",
+        badge: 1,
+        ...(imageUrl ? { "mutable-content": 1 } : {}),
+      },
+    },
+    ...(imageUrl
+      ? { fcmOptions: { imageUrl } }
+      : {}),
+  },
+});
+
+/**
+ * Send push notification to a single device (through the outbound queue)
  *
  * @param {Object} params - Notification parameters
  * @param {string} params.token - FCM device token
@@ -20,7 +116,7 @@ import CashEventEnrollment from "../schema/CashEventEnrollment.schema.js";
  * @param {string} [params.userId] - User ID for logging
  * @param {string} [params.eventId] - Event ID for logging
  *
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
  */
 export const sendToDevice = async ({
   token,
@@ -30,90 +126,39 @@ export const sendToDevice = async ({
   userId,
   eventId,
 }) => {
-  let communicationLog = null;
-
   try {
-    console.log(`[FCM] ========== SENDING NOTIFICATION ==========`);
-    console.log(`[FCM] Token: ${token.substring(0, 20)}...`);
-    console.log(`[FCM] Title: ${title}`);
-    console.log(`[FCM] Body: ${body}`);
-
-    // Create communication log entry (PENDING status)
-    communicationLog = new CommunicationLog({
-      type: "NOTIFICATION",
-      category: "EVENT_REMINDER",
-      recipient: token.substring(0, 50),
-      status: "PENDING",
-      userId: userId || null,
-      eventId: eventId || null,
-      metadata: {
-        title,
-        body,
-        data,
-      },
-    });
-    await communicationLog.save();
-
-    // Build the message
-    const message = {
-      token,
-      notification: {
-        title,
-        body,
-      },
-      data: Object.fromEntries(
-        Object.entries(data).map(([key, value]) => [key, String(value)])
-      ),
-      android: {
-        priority: "high",
-        notification: {
-          sound: "default",
-          channelId: "default",
-          icon: "ic_notification",
+    console.log(`[FCM] Notification → ${token.substring(0, 20)}...: ${title}`);
+
+    const outcome = await queueMessage({
+      channel: "PUSH",
+      payload: { message: { token, ...buildMessage({ title, body, data }) } },
+      log: {
+        category: "EVENT_REMINDER",
+        recipient: token.substring(0, 50),
+        userId: userId || null,
+        eventId: eventId || null,
+        metadata: {
+          title,
+          body,
+          data,
         },
       },
-      apns: {
-        payload: {
-          aps: {
-            sound: "default",
-            badge: 1,
-          },
-        },
-      },
-    };
-
-    const response = await firebaseAdmin.messaging().send(message);
-
-    console.log(`[FCM] ✓ Message sent successfully!`);
-    console.log(`[FCM]   - Message ID: ${response}`);
-    console.log(`[FCM] ========== NOTIFICATION SENT ==========`);
+    });
 
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = "SUCCESS";
-      communicationLog.messageId = response;
-      await communicationLog.save();
+    if (outcome.status === "DEAD") {
+      console.error(`[FCM] ✗ FAILED to send notification: ${outcome.error}`);
+      return { success: false, error: outcome.error };
     }
 
     return {
       success: true,
-      messageId: response,
+      messageId: outcome.providerMessageId || null,
+      queued: outcome.status !== "SENT",
     };
   } catch (error) {
     console.error(`[FCM] ✗ FAILED to send notification`);
     console.error(`[FCM] Error: ${error.message}`);
 
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = "FAILED";
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-      } catch (logError) {
-        console.error(`[FCM] Failed to update log:`, logError.message);
-      }
-    }
-
     return {
       success: false,
       error: error.message,
@@ -122,7 +167,8 @@ export const sendToDevice = async ({
 };
 
 /**
- * Send push notification to multiple devices
+ * Send push notification to multiple devices (through the outbound queue,
+ * one queued message per MULTICAST_LIMIT devices)
  *
  * @param {Object} params - Notification parameters
  * @param {string[]} params.tokens - Array of FCM device tokens
@@ -131,7 +177,8 @@ export const sendToDevice = async ({
  * @param {Object} [params.data] - Custom data payload for navigation
  * @param {string} [params.eventId] - Event ID for logging
  *
- * @returns {Promise<Object>} Send results with success and failure counts
+ * @returns {Promise<Object>} Send results with success, failure and queued
+ *   (waiting for a retry) counts
  */
 export const sendToMultipleDevices = async ({
   tokens,
@@ -143,7 +190,7 @@ export const sendToMultipleDevices = async ({
 }) => {
   if (!tokens || tokens.length === 0) {
     console.log(`[FCM] No tokens provided, skipping notification`);
-    return { success: true, successCount: 0, failureCount: 0 };
+    return { success: true, successCount: 0, failureCount: 0, queuedCount: 0 };
   }
 
   console.log(`[FCM] ========== SENDING BULK NOTIFICATION ==========`);
@@ -151,81 +198,47 @@ export const sendToMultipleDevices = async ({
   console.log(`[FCM] Title: ${title}`);
   console.log(`[FCM] Body: ${body}`);
 
+  const counts = { successCount: 0, failureCount: 0, queuedCount: 0 };
+
   try {
-    // Build the multicast message
-    const message = {
-      tokens,
-      notification: {
-        title,
-        body,
-        ...(imageUrl ? { imageUrl } : {}),
-      },
-      data: Object.fromEntries(
-        Object.entries(data).map(([key, value]) => [key, String(value)])
-      ),
-      android: {
-        priority: "high",
-        notification: {
-          sound: "default",
-          channelId: "default",
-          icon: "ic_notification",
-          ...(imageUrl ? { imageUrl } : {}),
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: "default",
-            badge: 1,
-            "mutable-content": imageUrl ? 1 : 0,
+    const message = buildMessage({ title, body, data, imageUrl });
+
+    for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+      const batch = tokens.slice(i, i + MULTICAST_LIMIT);
+
+      const outcome = await queueMessage({
+        channel: "PUSH",
+        payload: { message: { ...message, tokens: batch } },
+        log: {
+          category: "EVENT_REMINDER",
+          recipient: `bulk:${batch.length}`,
+          eventId: eventId || null,
+          metadata: {
+            title,
+            body,
+            data,
+            totalRecipients: batch.length,
           },
         },
-        ...(imageUrl
-          ? { fcmOptions: { imageUrl } }
-          : {}),
-      },
-    };
-
-    const response = await firebaseAdmin.messaging().sendEachForMulticast(message);
-
-    console.log(`[FCM] ✓ Bulk send complete!`);
-    console.log(`[FCM]   - Success: ${response.successCount}`);
-    console.log(`[FCM]   - Failures: ${response.failureCount}`);
-
-    // Log failures for debugging
-    if (response.failureCount > 0) {
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) {
-          console.error(`[FCM]   ✗ Token ${idx}: ${resp.error?.message}`);
-        }
       });
-    }
 
-    // Create single communication log for bulk send
-    const communicationLog = new CommunicationLog({
-      type: "NOTIFICATION",
-      category: "EVENT_REMINDER",
-      recipient: `bulk:${tokens.length}`,
-      status: response.failureCount === 0 ? "SUCCESS" : "PENDING",
-      eventId: eventId || null,
-      metadata: {
-        title,
-        body,
-        data,
-        totalRecipients: tokens.length,
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-      },
-    });
-    await communicationLog.save();
+      const delivered = outcome.details?.successCount ?? (outcome.status === "SENT" ? batch.length : 0);
+      counts.successCount += delivered;
+      if (outcome.status === "SENT") {
+        counts.failureCount += batch.length - delivered;
+      } else if (outcome.status === "QUEUED") {
+        counts.queuedCount += batch.length - delivered;
+      } else {
+        counts.failureCount += batch.length - delivered;
+      }
+    }
 
+    console.log(`[FCM] ✓ Bulk send: ${counts.successCount} delivered, ${counts.failureCount} failed, ${counts.queuedCount} queued for retry`);
     console.log(`[FCM] ========== BULK NOTIFICATION COMPLETE ==========`);
 
     return {
       success: true,
-      successCount: response.successCount,
-      failureCount: response.failureCount,
-      responses: response.responses,
+      ...counts,
     };
   } catch (error) {
     console.error(`[FCM] ✗ CRITICAL ERROR in bulk send`);
@@ -234,8 +247,8 @@ export const sendToMultipleDevices = async ({
     return {
       success: false,
       error: error.message,
-      successCount: 0,
-      failureCount: tokens.length,
+      successCount: counts.successCount,
+      failureCount: tokens.length - counts.successCount,
     };
   }
 };
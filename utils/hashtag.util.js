@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Hashtag parsing for posts, comments and recommendations.
+ *
+ * A hashtag is `#` followed by letters, digits or underscores, e.g. `#MorningRun`.
+ * Tags are stored lowercased so `#Travel` and `#travel` are the same tag.
+ * All-digit tags (`#1`) are ignored, as is `#` inside words, URLs and HTML
+ * entities (`page#top`, `&#39;`).
+ *
+ * @module utils/hashtag
+ */
+
+export const MAX_HASHTAG_LENGTH = 50;
+
+/** Tags indexed per document; any after these stay plain text */
+export const MAX_HASHTAGS = 30;
+
+const HASHTAG_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}_&#/])#([\\p{L}\\p{N}_]{1,${MAX_HASHTAG_LENGTH}})(?![\\p{L}\\p{N}_])`,
+  "gu"
+);
+const TAG_PATTERN = new RegExp(`^[\\p{L}\\p{N}_]{1,${MAX_HASHTAG_LENGTH}}$`, "u");
+
+/**
+ * Canonical form of a tag, with or without the leading `#`
+ * @param {string} tag
+ * @returns {string|null} null when it isn't a valid tag
+ */
+export const normalizeHashtag = (tag) => {
+  const normalized = String(tag ?? "").trim().replace(/^#/, "").normalize("NFKC").toLowerCase();
+  if (!TAG_PATTERN.test(normalized) || /^\d+$/.test(normalized)) return null;
+  return normalized;
+};
+
+/**
+ * Distinct tags in the given texts, in order of first appearance
+ * @param {...string} texts
+ * @returns {string[]}
+ */
+export const extractHashtags = (...texts) => {
+  const tags = new Set();
+  for (const text of texts) {
+    for (const [, raw] of String(text ?? "").matchAll(HASHTAG_PATTERN)) {
+      const tag = normalizeHashtag(raw);
+      if (tag) tags.add(tag);
+      if (tags.size === MAX_HASHTAGS) return [...tags];
+    }
+  }
+  return [...tags];
+};
+
+export default {
+  MAX_HASHTAG_LENGTH,
+  MAX_HASHTAGS,
+  normalizeHashtag,
+  extractHashtags,
+};
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) builder for calendar attachments and feeds
+ *
+ * Every entry carries a stable UID and a SEQUENCE that grows with each change,
+ * so a calendar that imported an attachment, or subscribed to the feed, moves
+ * or cancels its copy instead of adding a second one.
+ *
+ * @module utils/ical
+ */
+
+const PRODID = '-//Motivata//Calendar//EN';
+const UID_DOMAIN = 'motivata.in';
+
+/**
+ * Content lines longer than 75 octets are folded (RFC 5545 §3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20260314T183000Z
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts towards their 75 octets
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a UID that stays the same for the life of the booking
+ * @param {string} kind - e.g. "ticket", "session-booking"
+ * @param {...*} ids - Parts identifying the entry
+ * @returns {string}
+ */
+export const buildUid = (kind, ...ids) => `${kind}-${ids.map(String).join('-')}@${UID_DOMAIN}`;
+
+/**
+ * SEQUENCE for an entry: whole seconds between its creation and its latest change
+ *
+ * Grows with every save without needing a counter, and never goes backwards.
+ *
+ * @param {Date} createdAt
+ * @param {...Date} updatedAts - Change times of the entry and the documents it is built from
+ * @returns {number}
+ */
+export const sequenceFor = (createdAt, ...updatedAts) => {
+  const created = new Date(createdAt || 0).getTime();
+  const latest = Math.max(created, ...updatedAts.filter(Boolean).map((date) => new Date(date).getTime()));
+  return Math.max(0, Math.floor((latest - created) / 1000));
+};
+
+/**
+ * Build the lines of one VEVENT
+ * @param {Object} entry
+ * @param {string} entry.uid - Stable UID (see buildUid)
+ * @param {Date} entry.start
+ * @param {Date} entry.end
+ * @param {string} entry.summary
+ * @param {string} [entry.description]
+ * @param {string} [entry.location]
+ * @param {string} [entry.url]
+ * @param {string} [entry.status] - CONFIRMED (default), TENTATIVE or CANCELLED
+ * @param {number} [entry.sequence]
+ * @param {Date} [entry.updatedAt] - Becomes LAST-MODIFIED
+ * @param {number} [entry.alarmMinutes] - Reminder this many minutes before the start
+ * @returns {string[]}
+ */
+const buildEventLines = (entry) => {
+  const status = entry.status || 'CONFIRMED';
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(entry.start)}`,
+    `DTEND:${formatDateTime(entry.end)}`,
+    `SUMMARY:${escapeText(entry.summary)}`
+  ];
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(entry.updatedAt)}`);
+
+  lines.push(`STATUS:${status}`);
+  lines.push(`SEQUENCE:${entry.sequence || 0}`);
+
+  if (entry.alarmMinutes && status !== 'CANCELLED') {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(entry.summary)}`,
+      `TRIGGER:-PT${entry.alarmMinutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {Array<Object>} options.events - Entries (see buildEventLines)
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {string} [options.refreshInterval] - ISO 8601 duration subscribers should poll at, e.g. "PT1H"
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+export const buildCalendar = ({ events, name, refreshInterval }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  for (const entry of events) {
+    lines.push(...buildEventLines(entry));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Build an email attachment holding one or more entries
+ * @param {Object} options
+ * @param {string} options.filename - Without extension
+ * @param {Array<Object>} options.events
+ * @returns {{ filename: string, content: Buffer, contentType: string }}
+ */
+export const buildCalendarAttachment = ({ filename, events }) => ({
+  filename: `${filename.replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 60) || 'event'}.ics`,
+  content: Buffer.from(buildCalendar({ events }), 'utf8'),
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+});
+
+export default {
+  buildUid,
+  sequenceFor,
+  buildCalendar,
+  buildCalendarAttachment
+};
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Invoice PDF rendering and storage
+ * Renders tax invoices and credit notes from an Invoice document with PDFKit,
+ * and stores the result on Cloudinary.
+ * @module utils/invoicePdf
+ */
+
+import PDFDocument from 'pdfkit';
+import cloudinary from '../config/cloudinary.config.js';
+
+const PAGE_MARGIN = 40;
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#666666';
+const RULE_COLOR = '#CCCCCC';
+
+/**
+ * Format a rupee amount for the PDF. The built-in PDF fonts have no ₹ glyph,
+ * so amounts are prefixed with "Rs.".
+ * @param {number} value
+ * @returns {string}
+ */
+const formatAmount = (value) =>
+  `Rs. ${Number(value || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+
+/**
+ * Format a date as DD Mon YYYY in IST
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+  });
+
+/**
+ * Draw a horizontal rule across the page at the current position
+ * @param {PDFDocument} doc
+ */
+const drawRule = (doc) => {
+  doc
+    .moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .strokeColor(RULE_COLOR)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw a party block (seller or buyer)
+ * @param {PDFDocument} doc
+ * @param {string} heading
+ * @param {Object} party
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ */
+const drawParty = (doc, heading, party, x, y, width) => {
+  doc.fontSize(8).fillColor(MUTED_COLOR).font('Helvetica-Bold').text(heading.toUpperCase(), x, y, { width });
+  doc.fontSize(10).fillColor(TEXT_COLOR).font('Helvetica-Bold').text(party.name || '-', { width });
+  doc.font('Helvetica').fontSize(9);
+
+  if (party.address) doc.text(party.address, { width });
+  if (party.state) doc.text(`State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ''}`, { width });
+  if (party.gstin) doc.text(`GSTIN: ${party.gstin}`, { width });
+  if (party.phone) doc.text(`Phone: ${party.phone}`, { width });
+  if (party.email) doc.text(`Email: ${party.email}`, { width });
+
+  return doc.y;
+};
+
+/**
+ * Render an invoice or credit note to PDF
+ * @param {Object} invoice - Invoice document (or lean object)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const generateInvoicePDF = (invoice) =>
+  new Promise((resolve, reject) => {
+    try {
+      const isCreditNote = invoice.documentType === 'CREDIT_NOTE';
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+          Title: `${isCreditNote ? 'Credit Note' : 'Tax Invoice'} ${invoice.number}`,
+          Author: invoice.seller?.name || 'Motivata'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+      // ---- Title ----
+      doc
+        .fillColor(TEXT_COLOR)
+        .font('Helvetica-Bold')
+        .fontSize(18)
+        .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'right' });
+      doc.moveDown(0.5);
+
+      // ---- Document details ----
+      doc.font('Helvetica').fontSize(9);
+      doc.text(`${isCreditNote ? 'Credit note' : 'Invoice'} no: ${invoice.number}`, { align: 'right' });
+      doc.text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+      doc.text(`Order ID: ${invoice.orderId}`, { align: 'right' });
+      if (isCreditNote && invoice.originalInvoiceNumber) {
+        doc.text(`Against invoice: ${invoice.originalInvoiceNumber}`, { align: 'right' });
+      }
+      doc.moveDown();
+      drawRule(doc);
+
+      // ---- Seller and buyer ----
+      const partyTop = doc.y;
+      const columnWidth = contentWidth / 2 - 10;
+      const sellerBottom = drawParty(doc, 'Supplier', invoice.seller || {}, PAGE_MARGIN, partyTop, columnWidth);
+      const buyerBottom = drawParty(
+        doc,
+        isCreditNote ? 'Issued to' : 'Billed to',
+        invoice.buyer || {},
+        PAGE_MARGIN + columnWidth + 20,
+        partyTop,
+        columnWidth
+      );
+
+      doc.x = PAGE_MARGIN;
+      doc.y = Math.max(sellerBottom, buyerBottom) + 10;
+      doc.fontSize(9).font('Helvetica');
+      doc.text(`Place of supply: ${invoice.placeOfSupply || '-'}`);
+      doc.text('Tax payable on reverse charge: No');
+      doc.moveDown();
+
+      // ---- Line items ----
+      const columns = [
+        { label: 'Description', width: contentWidth - 250, align: 'left' },
+        { label: 'HSN/SAC', width: 60, align: 'left' },
+        { label: 'Qty', width: 40, align: 'right' },
+        { label: 'Rate', width: 70, align: 'right' },
+        { label: 'Amount', width: 80, align: 'right' }
+      ];
+
+      const drawRow = (cells, { bold = false } = {}) => {
+        const rowTop = doc.y;
+        let x = PAGE_MARGIN;
+        let rowBottom = rowTop;
+
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(TEXT_COLOR);
+        columns.forEach((column, index) => {
+          doc.text(cells[index] ?? '', x, rowTop, { width: column.width, align: column.align });
+          rowBottom = Math.max(rowBottom, doc.y);
+          x += column.width;
+        });
+
+        doc.x = PAGE_MARGIN;
+        doc.y = rowBottom + 4;
+      };
+
+      drawRule(doc);
+      drawRow(columns.map((column) => column.label), { bold: true });
+      drawRule(doc);
+
+      for (const item of invoice.lineItems || []) {
+        drawRow([
+          item.description,
+          item.hsnSac,
+          String(item.quantity),
+          formatAmount(item.unitPrice),
+          formatAmount(item.amount)
+        ]);
+      }
+
+      if (invoice.discountAmount > 0) {
+        drawRow([
+          `Less: discount${invoice.couponCode ? ` (coupon ${invoice.couponCode})` : ''}`,
+          '',
+          '',
+          '',
+          `- ${formatAmount(invoice.discountAmount)}`
+        ]);
+      }
+
+      drawRule(doc);
+
+      // ---- Tax summary ----
+      const summaryRows = [['Taxable value', formatAmount(invoice.taxableValue)]];
+      const halfRate = invoice.gstRate / 2;
+
+      if (invoice.supplyType === 'INTER_STATE') {
+        summaryRows.push([`IGST @ ${invoice.gstRate}%`, formatAmount(invoice.igst)]);
+      } else {
+        summaryRows.push([`CGST @ ${halfRate}%`, formatAmount(invoice.cgst)]);
+        summaryRows.push([`SGST @ ${halfRate}%`, formatAmount(invoice.sgst)]);
+      }
+
+      summaryRows.push([isCreditNote ? 'Total credited' : 'Total paid', formatAmount(invoice.grandTotal)]);
+
+      const labelWidth = 150;
+      const valueWidth = 100;
+      const labelX = doc.page.width - PAGE_MARGIN - labelWidth - valueWidth;
+
+      summaryRows.forEach(([label, value], index) => {
+        const isTotal = index === summaryRows.length - 1;
+        const rowTop = doc.y;
+        doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(isTotal ? 10 : 9);
+        doc.text(label, labelX, rowTop, { width: labelWidth });
+        doc.text(value, labelX + labelWidth, rowTop, { width: valueWidth, align: 'right' });
+        doc.moveDown(0.3);
+      });
+
+      doc.x = PAGE_MARGIN;
+      doc.moveDown();
+
+      // ---- Notes ----
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+      doc.text('All amounts are inclusive of GST.', PAGE_MARGIN, doc.y, { width: contentWidth });
+      if (invoice.paymentMethod) {
+        doc.text(`Payment method: ${invoice.paymentMethod}`, { width: contentWidth });
+      }
+      if (isCreditNote && invoice.reason) {
+        doc.text(`Reason: ${invoice.reason}`, { width: contentWidth });
+      }
+      doc.moveDown(2);
+      doc.fillColor(TEXT_COLOR).fontSize(9).text(`For ${invoice.seller?.name || 'Motivata'}`, { align: 'right' });
+      doc.fillColor(MUTED_COLOR).fontSize(8).text('This is a computer-generated document and does not require a signature.', {
+        align: 'right'
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+/**
+ * File name for an invoice PDF, e.g. MOT-INV-2026-27-000123.pdf
+ * @param {Object} invoice
+ * @returns {string}
+ */
+export const generateInvoiceFilename = (invoice) =>
+  `${invoice.number.replace(/[^a-zA-Z0-9-]/g, '-')}.pdf`;
+
+/**
+ * Upload an invoice PDF to Cloudinary
+ * @param {Object} params
+ * @param {Buffer} params.pdfBuffer - Rendered PDF
+ * @param {Object} params.invoice - Invoice the PDF was rendered from
+ * @returns {Promise<{url: string, publicId: string}>}
+ */
+export const uploadInvoicePdfToCloudinary = async ({ pdfBuffer, invoice }) => {
+  if (!pdfBuffer || pdfBuffer.length === 0) {
+    throw new Error('PDF buffer is empty or undefined');
+  }
+
+  const folder = `invoices/${invoice.financialYear}`;
+  const publicId = generateInvoiceFilename(invoice);
+
+  const result = await cloudinary.uploader.upload(
+    `data:application/pdf;base64,${pdfBuffer.toString('base64')}`,
+    {
+      folder,
+      public_id: publicId,
+      resource_type: 'raw',
+      overwrite: true
+    }
+  );
+
+  console.log(`[INVOICE-UPLOAD] Stored ${invoice.number}: ${result.secure_url} (${result.bytes} bytes)`);
+
+  return { url: result.secure_url, publicId: result.public_id };
+};
+
+export default {
+  generateInvoicePDF,
+  generateInvoiceFilename,
+  uploadInvoicePdfToCloudinary
+};
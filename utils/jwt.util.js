@@ -31,10 +31,8 @@ const requireSecret = (name) => {
 };
 
 /**
- * Read through getters, not once at import time. ES module imports are hoisted
- * above server.js's dotenv.config(), so a value captured here at module load
- * could be read before .env exists. Deferring to first use avoids depending on
- * import order.
+ * Read through getters, not once at import time, so a missing secret fails the
+ * first sign or verify call rather than every module that imports this one.
  */
 const config = {
   get accessTokenSecret() {
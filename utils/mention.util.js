@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Mention markup in posts, comments and recommendations.
+ *
+ * Clients write a mention as `@[Display Name](userId)`, picking the user from
+ * the app's mention suggestions. Anything else, such as `@Asha` or
+ * `ping @[team] tomorrow`, is plain text and links nobody. Request validation
+ * only rejects text with more than MAX_MENTIONS mentions.
+ *
+ * @module utils/mention
+ */
+
+/** Users linked per document */
+export const MAX_MENTIONS = 20;
+
+export const MENTION_PATTERN = /@\[([^\[\]\n]{1,100})\]\(([0-9a-fA-F]{24})\)/g;
+
+/**
+ * Distinct user IDs in the mention markup of a text, in order of appearance
+ * @param {string} text
+ * @returns {string[]} Lowercased IDs
+ */
+export const mentionUserIds = (text) => [
+  ...new Set([...String(text ?? "").matchAll(MENTION_PATTERN)].map(([, , id]) => id.toLowerCase())),
+];
+
+/**
+ * Whether a text mentions more users than one document may link
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const hasTooManyMentions = (text) => mentionUserIds(text).length > MAX_MENTIONS;
+
+export default {
+  MAX_MENTIONS,
+  MENTION_PATTERN,
+  mentionUserIds,
+  hasTooManyMentions,
+};
@@ -5,6 +5,7 @@
 
 import QRCode from 'qrcode';
 import cloudinary from '../config/cloudinary.config.js';
+import { signTicketLink, TICKET_TYPES } from './ticketSignature.util.js';
 
 /**
  * Generate QR code as PNG buffer
@@ -34,8 +35,11 @@ export const generateTicketQRCode = async ({
       throw new Error('Missing required parameters for QR code generation');
     }
 
-    // Create QR scan URL (reusing the existing mock QR link format)
-    const qrScanUrl = `${baseUrl}/api/app/tickets/qr-scan?enrollmentId=${enrollmentId}&userId=${userId}&eventId=${eventId}&phone=${phone}`;
+    // Create QR scan URL (reusing the existing mock QR link format), signed for offline scanners
+    const qrScanUrl = signTicketLink(
+      `${baseUrl}/api/app/tickets/qr-scan?enrollmentId=${enrollmentId}&userId=${userId}&eventId=${eventId}&phone=${phone}`,
+      { type: TICKET_TYPES.ENROLLMENT, enrollmentId, eventId, phone }
+    );
 
     console.log(`[QR-UTIL] QR URL: ${qrScanUrl}`);
 
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Search keys for indexed, typo-tolerant search.
+ *
+ * Each searchable document stores a `searchKeys` array (multikey-indexed)
+ * built from its text fields:
+ *
+ * - `1w:` / `2w:` whole words of primary / secondary fields
+ * - `1p:` / `2p:` word prefixes, so "eng" finds "engineer"
+ * - `1d:` primary words and their one-letter deletions; a query word matches
+ *   when it shares a variant, which covers one typo ("jonh", "jhon" → "john")
+ * - facet keys such as `city:pune` or `occ:designer`, used as exact filters
+ *
+ * A query word is turned into the same kinds of keys, so matching is a plain
+ * `$in` on the index. Ranking weights each kind of hit (see KEY_WEIGHTS).
+ *
+ * @module utils/searchIndex
+ */
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+const MIN_TYPO_LENGTH = 4;
+const MAX_QUERY_WORDS = 5;
+
+/** Bounds how many keys long free-text fields (bios, captions) can add */
+const MAX_SECONDARY_WORDS = 60;
+
+/** Score of a query word by its best kind of hit */
+const KEY_WEIGHTS = { "1w": 10, "1p": 6, "1d": 4, "2w": 3, "2p": 2 };
+
+const WRITE_OPS = ["$set", "$unset", "$setOnInsert", "$push", "$addToSet", "$pull", "$rename"];
+
+/**
+ * Lowercase, strip accents and punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeText = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * @param {string} text
+ * @returns {string[]} Distinct words
+ */
+export const tokenize = (text) => [...new Set(normalizeText(text).split(" ").filter(Boolean))];
+
+const prefixesOf = (word) => {
+  const prefixes = [];
+  for (let length = MIN_PREFIX; length <= Math.min(word.length, MAX_PREFIX); length++) {
+    prefixes.push(word.slice(0, length));
+  }
+  return prefixes;
+};
+
+const typoVariantsOf = (word) => {
+  if (word.length < MIN_TYPO_LENGTH) return [word];
+  const variants = new Set([word]);
+  for (let i = 0; i < word.length; i++) {
+    variants.add(word.slice(0, i) + word.slice(i + 1));
+  }
+  return [...variants];
+};
+
+/**
+ * Facet value as stored and queried, e.g. "New Delhi" → "new delhi"
+ * @param {string} value
+ * @returns {string}
+ */
+export const facetValue = (value) => normalizeText(value);
+
+/**
+ * Build the searchKeys of a document
+ * @param {Object} fields
+ * @param {Array<string|string[]|null>} [fields.primary] - Names and titles
+ * @param {Array<string|string[]|null>} [fields.secondary] - Longer free text
+ * @param {Object<string, Array<string|null>>} [fields.facets] - e.g. { city: ["Pune"] }
+ * @returns {string[]}
+ */
+export const buildSearchKeys = ({ primary = [], secondary = [], facets = {} }) => {
+  const keys = new Set();
+
+  for (const word of tokenize(primary.flat().filter(Boolean).join(" "))) {
+    keys.add(`1w:${word}`);
+    for (const prefix of prefixesOf(word)) keys.add(`1p:${prefix}`);
+    for (const variant of typoVariantsOf(word)) keys.add(`1d:${variant}`);
+  }
+
+  const secondaryWords = tokenize(secondary.flat().filter(Boolean).join(" ")).slice(0, MAX_SECONDARY_WORDS);
+  for (const word of secondaryWords) {
+    keys.add(`2w:${word}`);
+    for (const prefix of prefixesOf(word)) keys.add(`2p:${prefix}`);
+  }
+
+  for (const [facet, values] of Object.entries(facets)) {
+    for (const value of values.filter(Boolean)) {
+      const normalized = facetValue(value);
+      if (normalized) keys.add(`${facet}:${normalized}`);
+    }
+  }
+
+  return [...keys];
+};
+
+/**
+ * Turn a search string into per-word key groups
+ * @param {string} query
+ * @returns {Array<Object<string, string[]>>} One entry per query word, keyed by kind
+ */
+export const buildQueryKeys = (query) =>
+  tokenize(query)
+    .slice(0, MAX_QUERY_WORDS)
+    .map((word) => {
+      const prefix = word.slice(0, MAX_PREFIX);
+      return {
+        "1w": [`1w:${word}`],
+        "1p": [`1p:${prefix}`],
+        "1d": word.length >= MIN_TYPO_LENGTH ? typoVariantsOf(word).map((v) => `1d:${v}`) : [],
+        "2w": [`2w:${word}`],
+        "2p": [`2p:${prefix}`],
+      };
+    });
+
+/**
+ * Filter requiring every query word to hit the index
+ * @param {Array<Object<string, string[]>>} queryKeys - From buildQueryKeys
+ * @returns {Object[]} Clauses for a `$and`
+ */
+export const queryKeyClauses = (queryKeys) =>
+  queryKeys.map((groups) => ({ searchKeys: { $in: Object.values(groups).flat() } }));
+
+/**
+ * Aggregation expression scoring a document: per query word the weight of its
+ * best hit, summed
+ * @param {Array<Object<string, string[]>>} queryKeys - From buildQueryKeys
+ * @returns {Object}
+ */
+export const scoreExpression = (queryKeys) => {
+  if (queryKeys.length === 0) return { $literal: 0 };
+
+  return {
+    $add: queryKeys.map((groups) => ({
+      $max: Object.entries(groups)
+        .filter(([, keys]) => keys.length > 0)
+        .map(([kind, keys]) => ({
+          $cond: [
+            { $gt: [{ $size: { $setIntersection: [{ $ifNull: ["$searchKeys", []] }, keys] } }, 0] },
+            KEY_WEIGHTS[kind],
+            0,
+          ],
+        })),
+    })),
+  };
+};
+
+/**
+ * Paths written by an update, from plain, operator or pipeline updates
+ */
+const updatedPaths = (update) => {
+  if (!update) return [];
+  const stages = Array.isArray(update) ? update : [update];
+  const paths = [];
+  for (const stage of stages) {
+    for (const [key, value] of Object.entries(stage)) {
+      if (!key.startsWith("$")) {
+        paths.push(key);
+      } else if (WRITE_OPS.includes(key) || key === "$addFields") {
+        paths.push(...(Array.isArray(value) ? value : Object.keys(value || {})));
+      }
+    }
+  }
+  return paths;
+};
+
+const touches = (paths, watched) =>
+  paths.some((path) =>
+    watched.some((w) => path === w || path.startsWith(`${w}.`) || w.startsWith(`${path}.`))
+  );
+
+/**
+ * Mongoose plugin keeping `searchKeys` in sync with the fields it is built from.
+ *
+ * Keys are rebuilt on save, and after findOneAndUpdate/updateOne/updateMany
+ * calls that write a watched path. Rebuilds read and write the raw collection
+ * so soft-delete query hooks don't skip documents.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string[]} options.watch - Paths the keys depend on
+ * @param {function(Object): Object} options.build - Document → buildSearchKeys input
+ */
+export const searchIndexPlugin = (schema, { watch, build }) => {
+  schema.add({ searchKeys: { type: [String], select: false } });
+  schema.index({ searchKeys: 1 });
+
+  const rebuild = async (model, ids) => {
+    if (ids.length === 0) return;
+    const docs = await model.collection.find({ _id: { $in: ids } }).toArray();
+    if (docs.length === 0) return;
+    await model.collection.bulkWrite(
+      docs.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { searchKeys: buildSearchKeys(build(doc)) } },
+        },
+      })),
+      { ordered: false }
+    );
+  };
+
+  schema.pre("save", function () {
+    if (this.isNew || watch.some((path) => this.isModified(path))) {
+      this.searchKeys = buildSearchKeys(build(this));
+    }
+  });
+
+  schema.pre(["updateOne", "updateMany"], async function () {
+    if (!touches(updatedPaths(this.getUpdate()), watch)) return;
+    this._searchKeyIds = await this.model.distinct("_id", this.getFilter());
+  });
+
+  schema.post(["updateOne", "updateMany"], async function () {
+    if (this._searchKeyIds) await rebuild(this.model, this._searchKeyIds);
+  });
+
+  schema.post("findOneAndUpdate", async function (doc) {
+    if (doc && touches(updatedPaths(this.getUpdate()), watch)) {
+      await rebuild(this.model, [doc._id]);
+    }
+  });
+
+  /**
+   * Rebuild the keys of every document (backfill after adding or changing the index)
+   * @param {number} [batchSize=500]
+   * @returns {Promise<number>} Documents processed
+   */
+  schema.statics.rebuildSearchKeys = async function (batchSize = 500) {
+    let processed = 0;
+    let lastId = null;
+    for (;;) {
+      const filter = lastId ? { _id: { $gt: lastId } } : {};
+      const ids = (
+        await this.collection.find(filter, { projection: { _id: 1 } }).sort({ _id: 1 }).limit(batchSize).toArray()
+      ).map((doc) => doc._id);
+      if (ids.length === 0) return processed;
+      await rebuild(this, ids);
+      processed += ids.length;
+      lastId = ids[ids.length - 1];
+    }
+  };
+};
+
+export default {
+  normalizeText,
+  tokenize,
+  facetValue,
+  buildSearchKeys,
+  buildQueryKeys,
+  queryKeyClauses,
+  scoreExpression,
+  searchIndexPlugin,
+};
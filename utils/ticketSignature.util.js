@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Signed ticket payloads for offline QR verification
+ *
+ * Ticket QR links carry a `sig` parameter: a compact token
+ * `base64url(claims).base64url(ed25519 signature)`. Scanner devices verify it
+ * with the public key from the offline manifest, so a door can admit people
+ * without a server round-trip. Only the server holds the private key.
+ *
+ * Claims are deliberately short (they share the QR with the scan URL):
+ *   v   - format version (1)
+ *   k   - key ID (first 16 hex chars of the SHA-256 of the public key)
+ *   t   - ticket type: "E" (EventEnrollment) or "C" (CashEventEnrollment)
+ *   e   - enrollment ID
+ *   ev  - event ID
+ *   p   - ticket phone (the EventEnrollment tickets map key)
+ *   iat - issued at, seconds
+ *
+ * Keys (PEM, Ed25519; literal "\n" sequences are accepted):
+ *   TICKET_SIGNING_PRIVATE_KEY        - current signing key
+ *   TICKET_SIGNING_RETIRED_PUBLIC_KEYS - earlier public keys, separated by
+ *                                        blank lines, still accepted for
+ *                                        tickets issued before a rotation
+ * Without a private key, links are issued unsigned as before and the
+ * manifest reports signing as disabled.
+ *
+ * @module utils/ticketSignature
+ */
+
+import crypto from "crypto";
+
+export const TICKET_TYPES = {
+  ENROLLMENT: "E",
+  CASH: "C",
+};
+
+const TOKEN_VERSION = 1;
+
+/** Reject unsigned ticket links (TICKET_REQUIRE_SIGNATURE=true) */
+export const TICKET_SIGNATURE_REQUIRED = process.env.TICKET_REQUIRE_SIGNATURE === "true";
+
+let warnedUnsigned = false;
+
+const readPem = (value) => (value ? value.replace(/\\n/g, "\n").trim() : "");
+
+const keyIdOf = (publicKey) =>
+  crypto
+    .createHash("sha256")
+    .update(publicKey.export({ type: "spki", format: "der" }))
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Signing key and accepted public keys. A malformed key throws, so a bad
+ * deployment stops at startup instead of at the first ticket.
+ * @returns {{ privateKey: crypto.KeyObject|null, keyId: string|null, publicKeys: Map<string, crypto.KeyObject> }}
+ */
+const loadKeys = () => {
+  const publicKeys = new Map();
+  let privateKey = null;
+  let keyId = null;
+
+  const privatePem = readPem(process.env.TICKET_SIGNING_PRIVATE_KEY);
+  if (privatePem) {
+    privateKey = crypto.createPrivateKey(privatePem);
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new Error("TICKET_SIGNING_PRIVATE_KEY must be an Ed25519 key");
+    }
+    const publicKey = crypto.createPublicKey(privateKey);
+    keyId = keyIdOf(publicKey);
+    publicKeys.set(keyId, publicKey);
+  }
+
+  const retired = readPem(process.env.TICKET_SIGNING_RETIRED_PUBLIC_KEYS);
+  for (const pem of retired.split(/\n\s*\n/).filter(Boolean)) {
+    const publicKey = crypto.createPublicKey(pem.trim());
+    publicKeys.set(keyIdOf(publicKey), publicKey);
+  }
+
+  return { privateKey, keyId, publicKeys };
+};
+
+const KEYS = loadKeys();
+
+/**
+ * @returns {boolean} Whether new tickets are signed
+ */
+export const isTicketSigningEnabled = () => Boolean(KEYS.privateKey);
+
+/**
+ * Public keys scanner devices should trust, current key first
+ * @returns {Array<{ keyId: string, algorithm: string, publicKey: string, current: boolean }>}
+ */
+export const getTicketPublicKeys = () => {
+  const { keyId, publicKeys } = KEYS;
+  return [...publicKeys.entries()]
+    .map(([id, key]) => ({
+      keyId: id,
+      algorithm: "Ed25519",
+      publicKey: key.export({ type: "spki", format: "pem" }),
+      current: id === keyId,
+    }))
+    .sort((a, b) => Number(b.current) - Number(a.current));
+};
+
+/**
+ * Stable identifier of one ticket, shared by the manifest, scans and devices.
+ * Phones are reduced to their last 10 digits, as older tickets map keys and
+ * links may carry a country code.
+ * @param {string} type - TICKET_TYPES value
+ * @param {string} enrollmentId
+ * @param {string} [phone] - Ticket phone (EventEnrollment only)
+ * @returns {string}
+ */
+export const getTicketKey = (type, enrollmentId, phone) =>
+  type === TICKET_TYPES.CASH ? `C:${enrollmentId}` : `E:${enrollmentId}:${String(phone).slice(-10)}`;
+
+/**
+ * Sign a ticket
+ * @param {Object} ticket
+ * @param {string} ticket.type - TICKET_TYPES value
+ * @param {string} ticket.enrollmentId
+ * @param {string} ticket.eventId
+ * @param {string} ticket.phone
+ * @returns {string|null} Token, or null when signing is not configured
+ */
+export const signTicket = ({ type, enrollmentId, eventId, phone }) => {
+  const { privateKey, keyId } = KEYS;
+  if (!privateKey) {
+    if (!warnedUnsigned) {
+      console.warn("[TICKET-SIGN] TICKET_SIGNING_PRIVATE_KEY is not set; issuing unsigned ticket links");
+      warnedUnsigned = true;
+    }
+    return null;
+  }
+
+  const claims = {
+    v: TOKEN_VERSION,
+    k: keyId,
+    t: type,
+    e: enrollmentId.toString(),
+    ev: eventId.toString(),
+    p: phone.toString(),
+    iat: Math.floor(Date.now() / 1000),
+  };
+
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString("base64url");
+  return `${body}.${signature}`;
+};
+
+/**
+ * Verify a ticket token
+ * @param {string} token
+ * @returns {{ valid: true, ticket: { type: string, enrollmentId: string, eventId: string, phone: string, keyId: string, issuedAt: Date } } | { valid: false, reason: string }}
+ */
+export const verifyTicketSignature = (token) => {
+  if (typeof token !== "string" || !token.includes(".")) {
+    return { valid: false, reason: "MALFORMED" };
+  }
+
+  const [body, signature] = token.split(".");
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+  } catch {
+    return { valid: false, reason: "MALFORMED" };
+  }
+
+  if (claims?.v !== TOKEN_VERSION || !claims.e || !claims.ev || !claims.p) {
+    return { valid: false, reason: "MALFORMED" };
+  }
+
+  const publicKey = KEYS.publicKeys.get(claims.k);
+  if (!publicKey) {
+    return { valid: false, reason: "UNKNOWN_KEY" };
+  }
+
+  let verified = false;
+  try {
+    verified = crypto.verify(null, Buffer.from(body), publicKey, Buffer.from(signature || "", "base64url"));
+  } catch {
+    verified = false;
+  }
+  if (!verified) {
+    return { valid: false, reason: "BAD_SIGNATURE" };
+  }
+
+  return {
+    valid: true,
+    ticket: {
+      type: claims.t,
+      enrollmentId: claims.e,
+      eventId: claims.ev,
+      phone: claims.p,
+      keyId: claims.k,
+      issuedAt: new Date(claims.iat * 1000),
+    },
+  };
+};
+
+/**
+ * Append the ticket signature to a QR scan link. Unchanged when signing is
+ * not configured.
+ * @param {string} url - Scan link with its query string
+ * @param {Object} ticket - See signTicket
+ * @returns {string}
+ */
+export const signTicketLink = (url, ticket) => {
+  const token = signTicket(ticket);
+  return token ? `${url}&sig=${token}` : url;
+};
+
+/**
+ * Check the `sig` of a scanned link against the ticket it names. Unsigned
+ * links are accepted unless TICKET_REQUIRE_SIGNATURE=true.
+ * @param {string|undefined} sig
+ * @param {Object} expected
+ * @param {string} expected.type
+ * @param {string} expected.enrollmentId
+ * @param {string} expected.eventId
+ * @param {string} expected.phone - Phone from the link (normalized before comparing)
+ * @returns {{ ok: boolean, reason?: string, issuedAt?: Date }} issuedAt for signed links
+ */
+export const checkTicketLinkSignature = (sig, { type, enrollmentId, eventId, phone }) => {
+  if (!sig) {
+    return TICKET_SIGNATURE_REQUIRED ? { ok: false, reason: "SIGNATURE_REQUIRED" } : { ok: true };
+  }
+
+  const result = verifyTicketSignature(sig);
+  if (!result.valid) {
+    return { ok: false, reason: result.reason };
+  }
+
+  const { ticket } = result;
+  const matches =
+    ticket.type === type &&
+    ticket.enrollmentId === String(enrollmentId) &&
+    ticket.eventId === String(eventId) &&
+    ticket.phone.slice(-10) === String(phone).slice(-10);
+
+  return matches ? { ok: true, issuedAt: ticket.issuedAt } : { ok: false, reason: "MISMATCH" };
+};
+
+export default {
+  TICKET_TYPES,
+  TICKET_SIGNATURE_REQUIRED,
+  isTicketSigningEnabled,
+  getTicketPublicKeys,
+  getTicketKey,
+  signTicket,
+  verifyTicketSignature,
+  signTicketLink,
+  checkTicketLinkSignature,
+};
@@ -1,12 +1,19 @@
 /**
  * @fileoverview WhatsApp messaging utility using WappService API
+ *
+ * Messages go through the outbound queue (services/outboundQueue.service.js):
+ * stored first, sent right away, and retried later if the API fails.
+ *
  * @module utils/whatsapp
  */
 
-import CommunicationLog from '../schema/CommunicationLog.schema.js';
+import { queueMessage, registerTransport } from '../services/outboundQueue.service.js';
 
 const WHATSAPP_API_BASE_URL = "https://api.wappservice.com/api";
 
+// Auth, timeout and rate-limit responses: worth another attempt later
+const RETRYABLE_STATUSES = [401, 403, 408, 429];
+
 /**
  * Validate WhatsApp configuration
  * @throws {Error} If WhatsApp configuration is invalid
@@ -63,6 +70,105 @@ const splitName = (fullName) => {
   };
 };
 
+/**
+ * Post a template message to the WhatsApp API — the outbound queue's
+ * WHATSAPP transport
+ *
+ * @param {Object} payload
+ * @param {Object} payload.requestBody - send-template-message request
+ * @returns {Promise<{ providerMessageId: string|null }>}
+ * @throws {Error} With `retryable: false` when the API rejects the message
+ *   itself (unknown template, invalid number)
+ */
+const postTemplateMessage = async ({ requestBody }) => {
+  validateWhatsAppConfig();
+
+  const apiUrl = `${WHATSAPP_API_BASE_URL}/${process.env.WHATSAPP_VENDOR_UID}/contact/send-template-message`;
+
+  const response = await fetch(apiUrl, {
+    method: "POST",
+    headers: {
+      "X-API-Key": process.env.WHATSAPP_API_KEY,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(requestBody),
+  });
+
+  const responseText = await response.text();
+
+  let responseData;
+  try {
+    responseData = JSON.parse(responseText);
+  } catch (parseError) {
+    throw new Error(`Invalid JSON response (HTTP ${response.status}): ${responseText}`);
+  }
+
+  if (!response.ok) {
+    console.error(`[WHATSAPP] ✗ API Error - Status: ${response.status}`, responseData);
+    const error = new Error(
+      responseData.message || responseData.error || `HTTP ${response.status}: WhatsApp API error`
+    );
+    // Other 4xx mean the request itself is wrong; auth, timeouts and rate limits can clear up
+    if (response.status >= 400 && response.status < 500 && !RETRYABLE_STATUSES.includes(response.status)) {
+      error.retryable = false;
+    }
+    throw error;
+  }
+
+  if (!responseData.message_id) {
+    console.warn(`[WHATSAPP] ⚠ No message_id in response for ${requestBody.template_name} → ${requestBody.phone_number}`);
+  }
+
+  return { providerMessageId: responseData.message_id || null };
+};
+
+registerTransport("WHATSAPP", postTemplateMessage);
+
+/**
+ * Queue a template message and make the first attempt
+ *
+ * @param {Object} params
+ * @param {Object} params.requestBody - send-template-message request
+ * @param {Object} params.log - CommunicationLog fields besides type, recipient and template
+ * @param {boolean} [params.storePayload] - false for content that must not be stored
+ * @param {Date} [params.expiresAt] - Not sent after this
+ *
+ * @returns {Promise<Object>} { success, messageId, recipient, queued, outboundMessageId };
+ *   `queued` is true while a retry is pending (messageId is then null)
+ * @throws {Error} If the message failed for good
+ */
+const queueTemplateMessage = async ({ requestBody, log, storePayload, expiresAt }) => {
+  const outcome = await queueMessage({
+    channel: "WHATSAPP",
+    payload: { requestBody },
+    log: {
+      ...log,
+      recipient: requestBody.phone_number,
+      templateName: requestBody.template_name,
+    },
+    storePayload,
+    expiresAt,
+  });
+
+  if (outcome.status === "DEAD") {
+    throw new Error(outcome.error);
+  }
+
+  if (outcome.status === "SENT") {
+    console.log(`[WHATSAPP] ✓ ${requestBody.template_name} sent to ${requestBody.phone_number} - Message ID: ${outcome.providerMessageId}`);
+  } else {
+    console.warn(`[WHATSAPP] ⚠ ${requestBody.template_name} to ${requestBody.phone_number} queued for retry${outcome.error ? `: ${outcome.error}` : ""}`);
+  }
+
+  return {
+    success: true,
+    messageId: outcome.providerMessageId || null,
+    recipient: requestBody.phone_number,
+    queued: outcome.status !== "SENT",
+    outboundMessageId: outcome.outboundMessageId,
+  };
+};
+
 /**
  * Send WhatsApp template message with ticket QR code
  *
@@ -77,8 +183,8 @@ const splitName = (fullName) => {
  * @param {string} [params.userId] - Related user ID for logging
  * @param {string} [params.enrollmentId] - Related enrollment ID for logging
  *
- * @returns {Promise<Object>} API response
- * @throws {Error} If message sending fails
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
  */
 export const sendTicketWhatsApp = async ({
   phone,
@@ -91,51 +197,11 @@ export const sendTicketWhatsApp = async ({
   userId,
   enrollmentId,
 }) => {
-  let communicationLog = null;
-
   try {
-    console.log(`[WHATSAPP] ========== STARTING WHATSAPP SEND ==========`);
-
-    // Create communication log entry (PENDING status)
-    const formattedPhoneForLog = formatPhoneNumber(phone);
-    communicationLog = new CommunicationLog({
-      type: 'WHATSAPP',
-      category: 'TICKET',
-      recipient: formattedPhoneForLog,
-      recipientName: name,
-      status: 'PENDING',
-      templateName: 'wp_ticket',
-      eventId: eventId || null,
-      orderId: orderId || null,
-      userId: userId || null,
-      enrollmentId: enrollmentId || null,
-      metadata: {
-        eventName,
-        qrCodeUrl
-      }
-    });
-    await communicationLog.save();
-
-    console.log(`[WHATSAPP] Communication log created: ${communicationLog._id}`);
-
-    // Validate config and log (masked)
-    validateWhatsAppConfig();
-    console.log(`[WHATSAPP] Config validated:`);
-    console.log(`[WHATSAPP]   - VENDOR_UID: ${process.env.WHATSAPP_VENDOR_UID}`);
-    console.log(`[WHATSAPP]   - API_KEY: ${process.env.WHATSAPP_API_KEY?.substring(0, 10)}...`);
-
     const formattedPhone = formatPhoneNumber(phone);
     const { first_name, last_name } = splitName(name);
 
-    console.log(`[WHATSAPP] Recipient details:`);
-    console.log(`[WHATSAPP]   - Original phone: ${phone}`);
-    console.log(`[WHATSAPP]   - Formatted phone: ${formattedPhone}`);
-    console.log(`[WHATSAPP]   - Name: ${first_name} ${last_name}`);
-    console.log(`[WHATSAPP]   - Email: ${email || "(none)"}`);
-    console.log(`[WHATSAPP]   - Event: ${eventName}`);
-    console.log(`[WHATSAPP]   - QR Code URL: ${qrCodeUrl}`);
-
-    const apiUrl = `${WHATSAPP_API_BASE_URL}/${process.env.WHATSAPP_VENDOR_UID}/contact/send-template-message`;
+    console.log(`[WHATSAPP] Ticket → ${formattedPhone} (${first_name} ${last_name}), event: ${eventName}`);
 
     // Build contact object - only include email if it's a valid non-empty string
     const contact = {
@@ -161,77 +227,23 @@ export const sendTicketWhatsApp = async ({
       contact,
     };
 
-    console.log(`[WHATSAPP] API URL: ${apiUrl}`);
-    console.log(`[WHATSAPP] Request body:`, JSON.stringify(requestBody, null, 2));
-
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "X-API-Key": process.env.WHATSAPP_API_KEY,
-        "Content-Type": "application/json",
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'TICKET',
+        recipientName: name,
+        eventId: eventId || null,
+        orderId: orderId || null,
+        userId: userId || null,
+        enrollmentId: enrollmentId || null,
+        metadata: {
+          eventName,
+          qrCodeUrl
+        }
       },
-      body: JSON.stringify(requestBody),
     });
-
-    console.log(`[WHATSAPP] Response status: ${response.status} ${response.statusText}`);
-
-    const responseText = await response.text();
-    console.log(`[WHATSAPP] Raw response: ${responseText}`);
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error(`[WHATSAPP] Failed to parse response as JSON`);
-      throw new Error(`Invalid JSON response: ${responseText}`);
-    }
-
-    console.log(`[WHATSAPP] Parsed response:`, JSON.stringify(responseData, null, 2));
-
-    if (!response.ok) {
-      console.error(`[WHATSAPP] ✗ API Error - Status: ${response.status}`);
-      console.error(`[WHATSAPP] ✗ Error details:`, responseData);
-      throw new Error(
-        responseData.message || responseData.error || `HTTP ${response.status}: WhatsApp API error`
-      );
-    }
-
-    console.log(`[WHATSAPP] ✓ Message sent successfully!`);
-    console.log(`[WHATSAPP]   - Message ID: ${responseData.message_id}`);
-    console.log(`[WHATSAPP]   - Recipient: ${formattedPhone}`);
-    console.log(`[WHATSAPP] ========== WHATSAPP SEND COMPLETE ==========`);
-
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = 'SUCCESS';
-      communicationLog.messageId = responseData.message_id;
-      await communicationLog.save();
-      console.log(`[WHATSAPP] Communication log updated to SUCCESS: ${communicationLog._id}`);
-    }
-
-    return {
-      success: true,
-      messageId: responseData.message_id,
-      recipient: formattedPhone,
-    };
   } catch (error) {
-    console.error(`[WHATSAPP] ✗ FAILED to send message to ${phone}`);
-
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = 'FAILED';
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-        console.log(`[WHATSAPP] Communication log updated to FAILED: ${communicationLog._id}`);
-      } catch (logError) {
-        console.error(`[WHATSAPP] Failed to update communication log:`, logError.message);
-      }
-    }
-    console.error(`[WHATSAPP] Error type: ${error.name}`);
-    console.error(`[WHATSAPP] Error message: ${error.message}`);
-    console.error(`[WHATSAPP] Error stack:`, error.stack);
-    console.error(`[WHATSAPP] ========== WHATSAPP SEND FAILED ==========`);
+    console.error(`[WHATSAPP] ✗ FAILED to send ticket to ${phone}: ${error.message}`);
     throw new Error(`Failed to send WhatsApp message to ${phone}: ${error.message}`);
   }
 };
@@ -256,44 +268,14 @@ export const sendTicketWhatsApp = async ({
  * @param {string} params.link - Redemption link to send
  * @param {string} [params.eventId] - Related event ID for logging
  *
- * @returns {Promise<Object>} API response
- * @throws {Error} If message sending fails
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
  */
 export const sendRedemptionLinkWhatsApp = async ({ phone, link, eventId }) => {
-  let communicationLog = null;
-
   try {
-    console.log(`[WHATSAPP] ========== SENDING REDEMPTION LINK ==========`);
-
-    // Create communication log entry (PENDING status)
-    const formattedPhoneForLog = formatPhoneNumber(phone);
-    communicationLog = new CommunicationLog({
-      type: 'WHATSAPP',
-      category: 'REDEMPTION_LINK',
-      recipient: formattedPhoneForLog,
-      status: 'PENDING',
-      templateName: 'wp_tmplt_rdm_9',
-      eventId: eventId || null,
-      metadata: {
-        link
-      }
-    });
-    await communicationLog.save();
-
-    console.log(`[WHATSAPP] Communication log created: ${communicationLog._id}`);
-
-    // Validate config
-    validateWhatsAppConfig();
-    console.log(`[WHATSAPP] Config validated`);
-
     const formattedPhone = formatPhoneNumber(phone);
 
-    console.log(`[WHATSAPP] Recipient details:`);
-    console.log(`[WHATSAPP]   - Original phone: ${phone}`);
-    console.log(`[WHATSAPP]   - Formatted phone: ${formattedPhone}`);
-    console.log(`[WHATSAPP]   - Link: ${link}`);
-
-    const apiUrl = `${WHATSAPP_API_BASE_URL}/${process.env.WHATSAPP_VENDOR_UID}/contact/send-template-message`;
+    console.log(`[WHATSAPP] Redemption link → ${formattedPhone}: ${link}`);
 
     const requestBody = {
       phone_number: formattedPhone,
@@ -309,77 +291,18 @@ export const sendRedemptionLinkWhatsApp = async ({ phone, link, eventId }) => {
       },
     };
 
-    console.log(`[WHATSAPP] API URL: ${apiUrl}`);
-    console.log(`[WHATSAPP] Request body:`, JSON.stringify(requestBody, null, 2));
-
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "X-API-Key": process.env.WHATSAPP_API_KEY,
-        "Content-Type": "application/json",
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'REDEMPTION_LINK',
+        eventId: eventId || null,
+        metadata: {
+          link
+        }
       },
-      body: JSON.stringify(requestBody),
     });
-
-    console.log(`[WHATSAPP] Response status: ${response.status} ${response.statusText}`);
-
-    const responseText = await response.text();
-    console.log(`[WHATSAPP] Raw response: ${responseText}`);
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error(`[WHATSAPP] Failed to parse response as JSON`);
-      throw new Error(`Invalid JSON response: ${responseText}`);
-    }
-
-    console.log(`[WHATSAPP] Parsed response:`, JSON.stringify(responseData, null, 2));
-
-    if (!response.ok) {
-      console.error(`[WHATSAPP] ✗ API Error - Status: ${response.status}`);
-      console.error(`[WHATSAPP] ✗ Error details:`, responseData);
-      throw new Error(
-        responseData.message || responseData.error || `HTTP ${response.status}: WhatsApp API error`
-      );
-    }
-
-    console.log(`[WHATSAPP] ✓ Redemption link sent successfully!`);
-    console.log(`[WHATSAPP]   - Message ID: ${responseData.message_id}`);
-    console.log(`[WHATSAPP]   - Recipient: ${formattedPhone}`);
-    console.log(`[WHATSAPP] ========== REDEMPTION LINK SEND COMPLETE ==========`);
-
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = 'SUCCESS';
-      communicationLog.messageId = responseData.message_id;
-      await communicationLog.save();
-      console.log(`[WHATSAPP] Communication log updated to SUCCESS: ${communicationLog._id}`);
-    }
-
-    return {
-      success: true,
-      messageId: responseData.message_id,
-      recipient: formattedPhone,
-    };
   } catch (error) {
-    console.error(`[WHATSAPP] ✗ FAILED to send redemption link to ${phone}`);
-
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = 'FAILED';
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-        console.log(`[WHATSAPP] Communication log updated to FAILED: ${communicationLog._id}`);
-      } catch (logError) {
-        console.error(`[WHATSAPP] Failed to update communication log:`, logError.message);
-      }
-    }
-    console.error(`[WHATSAPP] Error type: ${error.name}`);
-    console.error(`[WHATSAPP] Error message: ${error.message}`);
-    console.error(`[WHATSAPP] Error stack:`, error.stack);
-    console.error(`[WHATSAPP] ========== REDEMPTION LINK SEND FAILED ==========`);
+    console.error(`[WHATSAPP] ✗ FAILED to send redemption link to ${phone}: ${error.message}`);
     throw new Error(`Failed to send redemption link to ${phone}: ${error.message}`);
   }
 };
@@ -440,8 +363,8 @@ export const sendBulkTicketWhatsApp = async (messages) => {
  * @param {string} params.qrCodeUrl - URL to the voucher QR code image
  * @param {string} [params.voucherId] - Related voucher ID for logging
  *
- * @returns {Promise<Object>} API response
- * @throws {Error} If message sending fails
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
  */
 export const sendVoucherWhatsApp = async ({
   phone,
@@ -450,45 +373,11 @@ export const sendVoucherWhatsApp = async ({
   qrCodeUrl,
   voucherId,
 }) => {
-  let communicationLog = null;
-
   try {
-    console.log(`[WHATSAPP] ========== STARTING VOUCHER WHATSAPP SEND ==========`);
-
-    // Create communication log entry (PENDING status)
-    const formattedPhoneForLog = formatPhoneNumber(phone);
-    communicationLog = new CommunicationLog({
-      type: 'WHATSAPP',
-      category: 'VOUCHER',
-      recipient: formattedPhoneForLog,
-      recipientName: name,
-      status: 'PENDING',
-      templateName: 'wp_voucher_2',
-      voucherId: voucherId || null,
-      metadata: {
-        voucherTitle,
-        qrCodeUrl
-      }
-    });
-    await communicationLog.save();
-
-    console.log(`[WHATSAPP] Communication log created: ${communicationLog._id}`);
-
-    // Validate config
-    validateWhatsAppConfig();
-    console.log(`[WHATSAPP] Config validated`);
-
     const formattedPhone = formatPhoneNumber(phone);
     const { first_name, last_name } = splitName(name);
 
-    console.log(`[WHATSAPP] Voucher recipient details:`);
-    console.log(`[WHATSAPP]   - Original phone: ${phone}`);
-    console.log(`[WHATSAPP]   - Formatted phone: ${formattedPhone}`);
-    console.log(`[WHATSAPP]   - Name: ${first_name} ${last_name}`);
-    console.log(`[WHATSAPP]   - Voucher Title: ${voucherTitle}`);
-    console.log(`[WHATSAPP]   - QR Code URL: ${qrCodeUrl}`);
-
-    const apiUrl = `${WHATSAPP_API_BASE_URL}/${process.env.WHATSAPP_VENDOR_UID}/contact/send-template-message`;
+    console.log(`[WHATSAPP] Voucher → ${formattedPhone} (${first_name} ${last_name}), voucher: ${voucherTitle}`);
 
     const requestBody = {
       phone_number: formattedPhone,
@@ -505,77 +394,20 @@ export const sendVoucherWhatsApp = async ({
       },
     };
 
-    console.log(`[WHATSAPP] API URL: ${apiUrl}`);
-    console.log(`[WHATSAPP] Request body:`, JSON.stringify(requestBody, null, 2));
-
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "X-API-Key": process.env.WHATSAPP_API_KEY,
-        "Content-Type": "application/json",
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'VOUCHER',
+        recipientName: name,
+        voucherId: voucherId || null,
+        metadata: {
+          voucherTitle,
+          qrCodeUrl
+        }
       },
-      body: JSON.stringify(requestBody),
     });
-
-    console.log(`[WHATSAPP] Response status: ${response.status} ${response.statusText}`);
-
-    const responseText = await response.text();
-    console.log(`[WHATSAPP] Raw response: ${responseText}`);
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error(`[WHATSAPP] Failed to parse response as JSON`);
-      throw new Error(`Invalid JSON response: ${responseText}`);
-    }
-
-    console.log(`[WHATSAPP] Parsed response:`, JSON.stringify(responseData, null, 2));
-
-    if (!response.ok) {
-      console.error(`[WHATSAPP] ✗ API Error - Status: ${response.status}`);
-      console.error(`[WHATSAPP] ✗ Error details:`, responseData);
-      throw new Error(
-        responseData.message || responseData.error || `HTTP ${response.status}: WhatsApp API error`
-      );
-    }
-
-    console.log(`[WHATSAPP] ✓ Voucher message sent successfully!`);
-    console.log(`[WHATSAPP]   - Message ID: ${responseData.message_id}`);
-    console.log(`[WHATSAPP]   - Recipient: ${formattedPhone}`);
-    console.log(`[WHATSAPP] ========== VOUCHER WHATSAPP SEND COMPLETE ==========`);
-
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = 'SUCCESS';
-      communicationLog.messageId = responseData.message_id;
-      await communicationLog.save();
-      console.log(`[WHATSAPP] Communication log updated to SUCCESS: ${communicationLog._id}`);
-    }
-
-    return {
-      success: true,
-      messageId: responseData.message_id,
-      recipient: formattedPhone,
-    };
   } catch (error) {
-    console.error(`[WHATSAPP] ✗ FAILED to send voucher message to ${phone}`);
-
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = 'FAILED';
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-        console.log(`[WHATSAPP] Communication log updated to FAILED: ${communicationLog._id}`);
-      } catch (logError) {
-        console.error(`[WHATSAPP] Failed to update communication log:`, logError.message);
-      }
-    }
-    console.error(`[WHATSAPP] Error type: ${error.name}`);
-    console.error(`[WHATSAPP] Error message: ${error.message}`);
-    console.error(`[WHATSAPP] Error stack:`, error.stack);
-    console.error(`[WHATSAPP] ========== VOUCHER WHATSAPP SEND FAILED ==========`);
+    console.error(`[WHATSAPP] ✗ FAILED to send voucher message to ${phone}: ${error.message}`);
     throw new Error(`Failed to send voucher WhatsApp message to ${phone}: ${error.message}`);
   }
 };
@@ -648,8 +480,8 @@ export const sendBulkVoucherWhatsApp = async (messages) => {
  * @param {number} params.amount - Total amount
  * @param {string} [params.serviceOrderId] - Related service order ID for logging
  *
- * @returns {Promise<Object>} API response
- * @throws {Error} If message sending fails
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
  */
 export const sendServicePaymentLinkWhatsApp = async ({
   phone,
@@ -658,63 +490,14 @@ export const sendServicePaymentLinkWhatsApp = async ({
   amount,
   serviceOrderId,
 }) => {
-  let communicationLog = null;
-
   try {
-    console.log(`\n[WHATSAPP] ========== SENDING SERVICE PAYMENT LINK ==========`);
-    const startTime = Date.now();
-
-    // ===== STEP 1: VALIDATE INPUT PARAMETERS =====
-    console.log(`[WHATSAPP-DEBUG] Step 1: Validating input parameters`);
-    console.log(`[WHATSAPP-DEBUG]   - Phone provided: ${phone ? 'Yes' : 'No'}`);
-    console.log(`[WHATSAPP-DEBUG]   - Phone value: "${phone}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Phone length: ${phone?.length || 0} characters`);
-    console.log(`[WHATSAPP-DEBUG]   - Service name: "${serviceName}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Payment link: "${paymentLink}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Amount: ${amount} (type: ${typeof amount})`);
-
     if (!phone || phone.length < 10) {
-      console.error(`[WHATSAPP-DEBUG] ❌ Invalid phone number: too short or empty`);
       throw new Error('Invalid phone number: must be at least 10 digits');
     }
 
-    // ===== STEP 2: FORMAT PHONE NUMBER =====
-    console.log(`[WHATSAPP-DEBUG] Step 2: Formatting phone number`);
-    const formattedPhoneForLog = formatPhoneNumber(phone);
     const formattedPhone = formatPhoneNumber(phone);
-    console.log(`[WHATSAPP-DEBUG]   - Original: ${phone}`);
-    console.log(`[WHATSAPP-DEBUG]   - Formatted: ${formattedPhone}`);
-    console.log(`[WHATSAPP-DEBUG]   - Has country code: ${formattedPhone.startsWith('91') ? 'Yes' : 'No'}`);
-    console.log(`[WHATSAPP-DEBUG]   - Final format: ${formattedPhone.startsWith('+') ? 'International' : 'National'}`);
-
-    // ===== STEP 3: CREATE COMMUNICATION LOG =====
-    console.log(`[WHATSAPP-DEBUG] Step 3: Creating communication log`);
-    communicationLog = new CommunicationLog({
-      type: 'WHATSAPP',
-      category: 'SERVICE_PAYMENT_LINK',
-      recipient: formattedPhoneForLog,
-      status: 'PENDING',
-      templateName: 'srvc_temp_pay',
-      metadata: {
-        serviceName,
-        paymentLink,
-        amount,
-        serviceOrderId: serviceOrderId || null,
-      }
-    });
-    await communicationLog.save();
-    console.log(`[WHATSAPP-DEBUG]   ✓ Communication log created: ${communicationLog._id}`);
-
-    // ===== STEP 4: VALIDATE WHATSAPP CONFIG =====
-    console.log(`[WHATSAPP-DEBUG] Step 4: Validating WhatsApp configuration`);
-    validateWhatsAppConfig();
-    console.log(`[WHATSAPP-DEBUG]   ✓ API Base URL: ${WHATSAPP_API_BASE_URL}`);
-    console.log(`[WHATSAPP-DEBUG]   ✓ Vendor UID: ${process.env.WHATSAPP_VENDOR_UID ? 'Configured' : 'MISSING'}`);
-    console.log(`[WHATSAPP-DEBUG]   ✓ API Key: ${process.env.WHATSAPP_API_KEY ? 'Configured (' + process.env.WHATSAPP_API_KEY.substring(0, 8) + '...)' : 'MISSING'}`);
 
-    // ===== STEP 5: PREPARE API REQUEST =====
-    console.log(`[WHATSAPP-DEBUG] Step 5: Preparing API request`);
-    const apiUrl = `${WHATSAPP_API_BASE_URL}/${process.env.WHATSAPP_VENDOR_UID}/contact/send-template-message`;
+    console.log(`[WHATSAPP] Service payment link → ${formattedPhone}: ${serviceName}, ₹${amount}`);
 
     const requestBody = {
       phone_number: formattedPhone,
@@ -732,168 +515,20 @@ export const sendServicePaymentLinkWhatsApp = async ({
       },
     };
 
-    console.log(`[WHATSAPP-DEBUG]   - Template: srvc_temp_pay`);
-    console.log(`[WHATSAPP-DEBUG]   - Template Language: en_US`);
-    console.log(`[WHATSAPP-DEBUG]   - Template Arg 1 (Service): "${requestBody.templateArgs.field_1}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Template Arg 2 (Amount): "${requestBody.templateArgs.field_2}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Template Arg 3 (Link): "${requestBody.templateArgs.field_3}"`);
-    console.log(`[WHATSAPP-DEBUG]   - Contact Country: India`);
-    console.log(`[WHATSAPP-DEBUG]   - API Endpoint: ${apiUrl}`);
-
-    // ===== STEP 6: SEND API REQUEST =====
-    console.log(`[WHATSAPP-DEBUG] Step 6: Sending API request to WhatsApp provider`);
-    const requestStartTime = Date.now();
-
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "X-API-Key": process.env.WHATSAPP_API_KEY,
-        "Content-Type": "application/json",
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'SERVICE_PAYMENT_LINK',
+        metadata: {
+          serviceName,
+          paymentLink,
+          amount,
+          serviceOrderId: serviceOrderId || null,
+        }
       },
-      body: JSON.stringify(requestBody),
     });
-
-    const requestDuration = Date.now() - requestStartTime;
-    console.log(`[WHATSAPP-DEBUG]   - Request completed in ${requestDuration}ms`);
-    console.log(`[WHATSAPP-DEBUG]   - Response Status: ${response.status} ${response.statusText}`);
-    console.log(`[WHATSAPP-DEBUG]   - Response Headers:`, Object.fromEntries(response.headers.entries()));
-
-    // ===== STEP 7: PARSE API RESPONSE =====
-    console.log(`[WHATSAPP-DEBUG] Step 7: Parsing API response`);
-    const responseText = await response.text();
-    console.log(`[WHATSAPP-DEBUG]   - Raw response: ${responseText}`);
-    console.log(`[WHATSAPP-DEBUG]   - Response length: ${responseText.length} characters`);
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-      console.log(`[WHATSAPP-DEBUG]   ✓ JSON parse successful`);
-    } catch (parseError) {
-      console.error(`[WHATSAPP-DEBUG]   ✗ JSON parse FAILED`);
-      console.error(`[WHATSAPP-DEBUG]   - Parse error: ${parseError.message}`);
-      throw new Error(`Invalid JSON response: ${responseText}`);
-    }
-
-    console.log(`[WHATSAPP-DEBUG]   - Parsed response:`, JSON.stringify(responseData, null, 2));
-
-    // ===== STEP 8: ANALYZE RESPONSE =====
-    console.log(`[WHATSAPP-DEBUG] Step 8: Analyzing response`);
-    console.log(`[WHATSAPP-DEBUG]   - Response keys:`, Object.keys(responseData).join(', '));
-    console.log(`[WHATSAPP-DEBUG]   - Has 'success' field: ${responseData.hasOwnProperty('success') ? responseData.success : 'N/A'}`);
-    console.log(`[WHATSAPP-DEBUG]   - Has 'message_id' field: ${responseData.hasOwnProperty('message_id') ? 'Yes' : 'No'}`);
-    console.log(`[WHATSAPP-DEBUG]   - Has 'error' field: ${responseData.hasOwnProperty('error') ? 'Yes' : 'No'}`);
-    console.log(`[WHATSAPP-DEBUG]   - Has 'message' field: ${responseData.hasOwnProperty('message') ? 'Yes' : 'No'}`);
-
-    // Check for warnings or delivery indicators
-    if (responseData.warning) {
-      console.warn(`[WHATSAPP-DEBUG]   ⚠ WARNING in response: ${responseData.warning}`);
-    }
-    if (responseData.delivery_status) {
-      console.log(`[WHATSAPP-DEBUG]   - Delivery status: ${responseData.delivery_status}`);
-    }
-    if (responseData.queue_status) {
-      console.log(`[WHATSAPP-DEBUG]   - Queue status: ${responseData.queue_status}`);
-    }
-
-    if (!response.ok) {
-      console.error(`[WHATSAPP-DEBUG] ✗ API returned error status`);
-      console.error(`[WHATSAPP-DEBUG]   - HTTP Status: ${response.status}`);
-      console.error(`[WHATSAPP-DEBUG]   - Error details:`, responseData);
-      throw new Error(
-        responseData.message || responseData.error || `HTTP ${response.status}: WhatsApp API error`
-      );
-    }
-
-    // ===== STEP 9: VALIDATE SUCCESS RESPONSE =====
-    console.log(`[WHATSAPP-DEBUG] Step 9: Validating success response`);
-    if (!responseData.message_id) {
-      console.warn(`[WHATSAPP-DEBUG]   ⚠ WARNING: No message_id in response!`);
-      console.warn(`[WHATSAPP-DEBUG]   ⚠ This may indicate the message was not queued for delivery`);
-    } else {
-      console.log(`[WHATSAPP-DEBUG]   ✓ Message ID received: ${responseData.message_id}`);
-    }
-
-    const totalDuration = Date.now() - startTime;
-    console.log(`[WHATSAPP-DEBUG] ========== SEND SUMMARY ==========`);
-    console.log(`[WHATSAPP-DEBUG] ✓ API request successful`);
-    console.log(`[WHATSAPP-DEBUG] ✓ Message ID: ${responseData.message_id}`);
-    console.log(`[WHATSAPP-DEBUG] ✓ Recipient: ${formattedPhone}`);
-    console.log(`[WHATSAPP-DEBUG] ✓ Total processing time: ${totalDuration}ms`);
-    console.log(`[WHATSAPP-DEBUG] ========================================`);
-    console.log(`\n[WHATSAPP-DEBUG] 📱 DELIVERY NOTES:`);
-    console.log(`[WHATSAPP-DEBUG]   - Message has been accepted by WhatsApp API`);
-    console.log(`[WHATSAPP-DEBUG]   - Delivery to user's device depends on:`);
-    console.log(`[WHATSAPP-DEBUG]     1. User has WhatsApp installed on ${formattedPhone}`);
-    console.log(`[WHATSAPP-DEBUG]     2. User's WhatsApp is connected to internet`);
-    console.log(`[WHATSAPP-DEBUG]     3. User has not blocked business messages`);
-    console.log(`[WHATSAPP-DEBUG]     4. Template 'srvc_temp_pay' is approved and active`);
-    console.log(`[WHATSAPP-DEBUG]     5. WhatsApp provider (WappService) processes the queue`);
-    console.log(`[WHATSAPP-DEBUG]   - Typical delivery time: 1-30 seconds`);
-    console.log(`[WHATSAPP-DEBUG]   - If not received after 2 minutes, check above factors`);
-    console.log(`[WHATSAPP-DEBUG] ========================================\n`);
-
-    // Update communication log to SUCCESS
-    if (communicationLog) {
-      communicationLog.status = 'SUCCESS';
-      communicationLog.messageId = responseData.message_id;
-      await communicationLog.save();
-      console.log(`[WHATSAPP-DEBUG] Communication log updated to SUCCESS: ${communicationLog._id}`);
-    }
-
-    return {
-      success: true,
-      messageId: responseData.message_id,
-      recipient: formattedPhone,
-    };
   } catch (error) {
-    console.error(`\n[WHATSAPP-DEBUG] ========== ERROR OCCURRED ==========`);
-    console.error(`[WHATSAPP-DEBUG] ✗ FAILED to send service payment link`);
-    console.error(`[WHATSAPP-DEBUG] Error Details:`);
-    console.error(`[WHATSAPP-DEBUG]   - Error Type: ${error.constructor.name}`);
-    console.error(`[WHATSAPP-DEBUG]   - Error Message: ${error.message}`);
-    console.error(`[WHATSAPP-DEBUG]   - Error Code: ${error.code || 'N/A'}`);
-    console.error(`[WHATSAPP-DEBUG]   - Phone Number: ${phone}`);
-    console.error(`[WHATSAPP-DEBUG]   - Service Name: ${serviceName}`);
-    console.error(`[WHATSAPP-DEBUG]   - Stack Trace:`, error.stack);
-
-    console.error(`\n[WHATSAPP-DEBUG] 🔍 TROUBLESHOOTING STEPS:`);
-    if (error.message.includes('Invalid phone')) {
-      console.error(`[WHATSAPP-DEBUG]   ❌ Phone number validation failed`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Phone number format (must be 10 digits)`);
-      console.error(`[WHATSAPP-DEBUG]   → Provided: "${phone}"`);
-    } else if (error.message.includes('JSON')) {
-      console.error(`[WHATSAPP-DEBUG]   ❌ API returned invalid JSON`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: WhatsApp API is responding correctly`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: API endpoint is accessible`);
-    } else if (error.message.includes('fetch') || error.code === 'ECONNREFUSED') {
-      console.error(`[WHATSAPP-DEBUG]   ❌ Network/Connection error`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Internet connectivity`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: WhatsApp API endpoint is up`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Firewall settings`);
-    } else if (error.message.includes('API error') || error.message.includes('HTTP')) {
-      console.error(`[WHATSAPP-DEBUG]   ❌ WhatsApp API rejected the request`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: API key is valid`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Vendor UID is correct`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Template 'srvc_temp_pay' exists and is approved`);
-      console.error(`[WHATSAPP-DEBUG]   → Check: Account has sufficient credits`);
-    } else {
-      console.error(`[WHATSAPP-DEBUG]   ❌ Unknown error occurred`);
-      console.error(`[WHATSAPP-DEBUG]   → Check logs above for more details`);
-    }
-    console.error(`[WHATSAPP-DEBUG] ========================================\n`);
-
-    // Update communication log to FAILED
-    if (communicationLog) {
-      try {
-        communicationLog.status = 'FAILED';
-        communicationLog.errorMessage = error.message;
-        await communicationLog.save();
-        console.error(`[WHATSAPP-DEBUG] Communication log updated to FAILED: ${communicationLog._id}`);
-      } catch (logError) {
-        console.error(`[WHATSAPP-DEBUG] Failed to update communication log:`, logError.message);
-      }
-    }
-
+    console.error(`[WHATSAPP] ✗ FAILED to send service payment link to ${phone}: ${error.message}`);
     throw new Error(`Failed to send service payment link to ${phone}: ${error.message}`);
   }
 };
@@ -964,6 +599,290 @@ export const sendBulkServicePaymentLinkWhatsApp = async (recipients) => {
   }
 };
 
+/**
+ * Send WhatsApp message offering a waitlist spot with its payment link
+ * Uses template: wp_tmplt_waitlist_offer
+ *
+ * @param {Object} params - Message parameters
+ * @param {string} params.phone - Recipient phone number
+ * @param {string} params.name - Recipient name
+ * @param {string} params.eventName - Event name for template variable
+ * @param {number} params.amount - Amount to pay
+ * @param {string} params.paymentLink - Payment link URL
+ * @param {Date} params.expiresAt - When the hold (and the link) expires
+ * @param {string} [params.eventId] - Related event ID for logging
+ * @param {string} [params.orderId] - Related order ID for logging
+ *
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
+ */
+export const sendWaitlistOfferWhatsApp = async ({
+  phone,
+  name,
+  eventName,
+  amount,
+  paymentLink,
+  expiresAt,
+  eventId,
+  orderId,
+}) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phone);
+    const expiresAtText = new Date(expiresAt).toLocaleString("en-IN", {
+      timeZone: "Asia/Kolkata",
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+    const { first_name, last_name } = splitName(name);
+
+    const requestBody = {
+      phone_number: formattedPhone,
+      template_name: "wp_tmplt_waitlist_offer",
+      template_language: "en_US",
+      templateArgs: {
+        field_1: eventName,
+        field_2: String(amount),
+        field_3: paymentLink,
+        field_4: expiresAtText,
+      },
+      contact: {
+        first_name,
+        last_name,
+        country: "India",
+      },
+    };
+
+    console.log(`[WHATSAPP] Waitlist offer → ${formattedPhone}, event: ${eventName}, expires: ${expiresAtText}`);
+
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'WAITLIST_OFFER',
+        eventId: eventId || null,
+        orderId: orderId || null,
+        metadata: {
+          eventName,
+          amount,
+          paymentLink,
+          expiresAt,
+        }
+      },
+      // A retry after the hold has run out would offer a seat that is gone
+      expiresAt: new Date(expiresAt),
+    });
+  } catch (error) {
+    console.error(`[WHATSAPP] ✗ FAILED to send waitlist offer to ${phone}: ${error.message}`);
+    throw new Error(`Failed to send waitlist offer to ${phone}: ${error.message}`);
+  }
+};
+
+/**
+ * Tell a ticket holder their ticket was transferred to someone else.
+ * Their old QR code no longer works.
+ *
+ * @param {Object} params - Message parameters
+ * @param {string} params.phone - Previous holder's phone number
+ * @param {string} params.name - Previous holder's name
+ * @param {string} params.eventName - Event name for template variable
+ * @param {string} params.toName - Recipient's name
+ * @param {string} params.toPhone - Recipient's phone (sent masked)
+ * @param {string} [params.eventId] - Related event ID for logging
+ * @param {string} [params.userId] - Related user ID for logging
+ * @param {string} [params.enrollmentId] - Related enrollment ID for logging
+ *
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
+ */
+export const sendTicketTransferredWhatsApp = async ({
+  phone,
+  name,
+  eventName,
+  toName,
+  toPhone,
+  eventId,
+  userId,
+  enrollmentId,
+}) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phone);
+    const maskedToPhone = `******${String(toPhone).slice(-4)}`;
+    const { first_name, last_name } = splitName(name);
+
+    const requestBody = {
+      phone_number: formattedPhone,
+      template_name: "wp_tmplt_ticket_transferred",
+      template_language: "en_US",
+      templateArgs: {
+        field_1: eventName,
+        field_2: toName,
+        field_3: maskedToPhone,
+      },
+      contact: {
+        first_name,
+        last_name,
+        country: "India",
+      },
+    };
+
+    console.log(`[WHATSAPP] Ticket transfer notice → ${formattedPhone}, event: ${eventName}, transferred to: ${maskedToPhone}`);
+
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'TICKET_TRANSFER',
+        recipientName: name,
+        eventId: eventId || null,
+        userId: userId || null,
+        enrollmentId: enrollmentId || null,
+        metadata: {
+          eventName,
+          toName,
+          toPhone: maskedToPhone,
+        }
+      },
+    });
+  } catch (error) {
+    console.error(`[WHATSAPP] ✗ FAILED to send ticket transfer notice to ${phone}: ${error.message}`);
+    throw new Error(`Failed to send ticket transfer notice to ${phone}: ${error.message}`);
+  }
+};
+
+/**
+ * Send a gift's claim link to its recipient
+ * Uses template: wp_tmplt_gift
+ *
+ * @param {Object} params - Message parameters
+ * @param {string} params.phone - Recipient phone number
+ * @param {string} params.name - Recipient name
+ * @param {string} params.senderName - Buyer's name
+ * @param {string} params.giftName - What was gifted, e.g. "Gold Membership"
+ * @param {string} [params.message] - Buyer's personal message
+ * @param {string} params.claimUrl - Claim link
+ * @param {Date} params.expiresAt - Claim deadline
+ * @param {string} [params.orderId] - Gift order ID for logging
+ *
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
+ */
+export const sendGiftWhatsApp = async ({
+  phone,
+  name,
+  senderName,
+  giftName,
+  message,
+  claimUrl,
+  expiresAt,
+  orderId,
+}) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phone);
+    const expiresAtText = new Date(expiresAt).toLocaleDateString("en-IN", {
+      timeZone: "Asia/Kolkata",
+      dateStyle: "medium",
+    });
+    const { first_name, last_name } = splitName(name);
+
+    const requestBody = {
+      phone_number: formattedPhone,
+      template_name: "wp_tmplt_gift",
+      template_language: "en_US",
+      templateArgs: {
+        field_1: senderName,
+        field_2: giftName,
+        // Template variables cannot be empty
+        field_3: message || "-",
+        field_4: claimUrl,
+        field_5: expiresAtText,
+      },
+      contact: {
+        first_name,
+        last_name,
+        country: "India",
+      },
+    };
+
+    console.log(`[WHATSAPP] Gift → ${formattedPhone}, gift: ${giftName}, from: ${senderName}`);
+
+    return await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'GIFT',
+        recipientName: name,
+        orderId: orderId || null,
+        metadata: {
+          senderName,
+          giftName,
+          expiresAt,
+        }
+      },
+      // The link is useless once the claim window has closed
+      expiresAt: new Date(expiresAt),
+    });
+  } catch (error) {
+    console.error(`[WHATSAPP] ✗ FAILED to send gift to ${phone}: ${error.message}`);
+    throw new Error(`Failed to send gift to ${phone}: ${error.message}`);
+  }
+};
+
+/**
+ * Send a one-time login / password reset code via WhatsApp
+ *
+ * The code itself is never written to the communication log.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.phone - Recipient phone number
+ * @param {string} params.code - One-time code
+ * @param {string} params.purpose - LOGIN or PASSWORD_RESET
+ * @param {number} params.expiresInMinutes - How long the code is valid
+ * @param {string} [params.userId] - Related user ID for logging
+ *
+ * @returns {Promise<Object>} Send result (`queued: true` while a retry is pending)
+ * @throws {Error} If the message failed for good
+ */
+export const sendOtpWhatsApp = async ({ phone, code, purpose, expiresInMinutes, userId }) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phone);
+
+    const requestBody = {
+      phone_number: formattedPhone,
+      template_name: "wp_tmplt_otp",
+      template_language: "en_US",
+      templateArgs: {
+        field_1: code,
+        field_2: String(expiresInMinutes),
+      },
+      contact: {
+        country: "India",
+      },
+    };
+
+    console.log(`[WHATSAPP] OTP (${purpose}) → ${formattedPhone}`);
+
+    const result = await queueTemplateMessage({
+      requestBody,
+      log: {
+        category: 'OTP',
+        userId: userId || null,
+        metadata: {
+          purpose,
+          expiresInMinutes,
+        }
+      },
+      // Never store the code; the user asks for a new one instead of a retry
+      storePayload: false,
+    });
+
+    if (result.queued) {
+      // Held back by the rate limit: without a stored payload it cannot be sent later
+      throw new Error('WhatsApp is busy, please try again in a minute');
+    }
+    return result;
+  } catch (error) {
+    console.error(`[WHATSAPP] ✗ FAILED to send OTP to ${phone}: ${error.message}`);
+    throw new Error(`Failed to send OTP to ${phone}: ${error.message}`);
+  }
+};
+
 export default {
   sendTicketWhatsApp,
   sendBulkTicketWhatsApp,
@@ -972,4 +891,8 @@ export default {
   sendBulkVoucherWhatsApp,
   sendServicePaymentLinkWhatsApp,
   sendBulkServicePaymentLinkWhatsApp,
+  sendWaitlistOfferWhatsApp,
+  sendTicketTransferredWhatsApp,
+  sendGiftWhatsApp,
+  sendOtpWhatsApp,
 };